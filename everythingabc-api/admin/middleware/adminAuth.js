@@ -1,6 +1,19 @@
 const AdminUser = require('../../models/AdminUser');
+const AdminSession = require('../../models/AdminSession');
 const AuditLog = require('../../models/AuditLog');
 const { verifyToken, extractTokenFromHeader } = require('../utils/jwt');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
+const { rateLimit } = require('../../services/rateLimit/RateLimitManager');
+
+// Routes still open to a user who has to change their password
+const PASSWORD_CHANGE_PATHS = ['/admin/auth/me', '/admin/auth/change-password', '/admin/auth/logout'];
+
+// Routes still open to a user whose role requires two-factor authentication
+// they have not set up yet
+const TWO_FACTOR_SETUP_PATHS = [
+  ...PASSWORD_CHANGE_PATHS,
+  '/admin/auth/2fa', '/admin/auth/2fa/setup', '/admin/auth/2fa/enable'
+];
 
 /**
  * Middleware to authenticate admin users using JWT
@@ -189,10 +202,61 @@ const authenticateAdmin = async (req, res, next) => {
       });
     }
 
+    // Access tokens die with the session they were issued for
+    let session = null;
+    if (decoded.sessionId) {
+      session = await AdminSession.findOne({ id: decoded.sessionId, userId: user.id });
+
+      if (!session || session.inactiveReason()) {
+        await AuditLog.logAction({
+          userId: user.id,
+          userEmail: user.email,
+          action: 'login',
+          resourceType: 'system',
+          resourceId: 'auth',
+          description: 'Failed authentication - session ended',
+          ipAddress: req.ip || req.connection.remoteAddress,
+          userAgent: req.headers['user-agent'] || 'unknown',
+          severity: 'medium',
+          success: false,
+          errorMessage: `Session ${session ? session.revokedReason || 'expired' : 'not found'}`,
+          duration: Date.now() - startTime
+        });
+
+        return res.status(401).json({
+          success: false,
+          error: 'Session has ended',
+          code: 'SESSION_REVOKED'
+        });
+      }
+
+      await session.touch(req.ip || req.connection.remoteAddress);
+    }
+
+    // After a forced password reset the only thing a user can do is pick a
+    // new password
+    if (user.mustChangePassword && !PASSWORD_CHANGE_PATHS.includes(req.originalUrl.split('?')[0])) {
+      return res.status(403).json({
+        success: false,
+        error: 'You must change your password before continuing',
+        code: 'PASSWORD_CHANGE_REQUIRED'
+      });
+    }
+
+    if (!user.twoFactorEnabled && isTwoFactorRequired(user) &&
+        !TWO_FACTOR_SETUP_PATHS.includes(req.originalUrl.split('?')[0])) {
+      return res.status(403).json({
+        success: false,
+        error: 'You must set up two-factor authentication before continuing',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
+
     // Add user to request object
     req.user = user;
     req.authToken = token;
     req.tokenPayload = decoded;
+    req.adminSession = session;
 
     // Add request metadata for audit logging
     req.auditMeta = {
@@ -292,57 +356,10 @@ const refreshUserData = async (req, res, next) => {
 };
 
 /**
- * Rate limiting middleware for authentication endpoints
+ * Rate limiting middleware for authentication endpoints. Only failed
+ * attempts count; the store is shared between instances when Redis is up.
  */
-const authRateLimit = (req, res, next) => {
-  // This is a simple in-memory rate limiter
-  // In production, use Redis or a proper rate limiting solution
-
-  if (!global.authRateLimitStore) {
-    global.authRateLimitStore = new Map();
-  }
-
-  const clientIP = req.ip || req.connection.remoteAddress;
-  const now = Date.now();
-  const windowMs = 15 * 60 * 1000; // 15 minutes
-  const maxAttempts = 5;
-
-  // Clean old entries
-  const cutoff = now - windowMs;
-  for (const [ip, data] of global.authRateLimitStore.entries()) {
-    if (data.firstAttempt < cutoff) {
-      global.authRateLimitStore.delete(ip);
-    }
-  }
-
-  // Get current attempts
-  const current = global.authRateLimitStore.get(clientIP) || {
-    count: 0,
-    firstAttempt: now
-  };
-
-  if (current.count >= maxAttempts && current.firstAttempt > cutoff) {
-    return res.status(429).json({
-      success: false,
-      error: 'Too many authentication attempts',
-      code: 'RATE_LIMITED',
-      retryAfter: Math.ceil((current.firstAttempt + windowMs - now) / 1000)
-    });
-  }
-
-  // Increment counter on failed requests
-  res.on('finish', () => {
-    if (res.statusCode === 401 || res.statusCode === 400) {
-      current.count++;
-      global.authRateLimitStore.set(clientIP, current);
-    } else if (res.statusCode === 200) {
-      // Reset on successful login
-      global.authRateLimitStore.delete(clientIP);
-    }
-  });
-
-  next();
-};
+const authRateLimit = rateLimit('auth');
 
 module.exports = {
   authenticateAdmin,
@@ -1,8 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const AdminUser = require('../../models/AdminUser');
+const AdminSession = require('../../models/AdminSession');
 const AuditLog = require('../../models/AuditLog');
-const { generateTokenPair, verifyToken, hashToken } = require('../utils/jwt');
+const { generateTokenPair, hashToken } = require('../utils/jwt');
+const {
+  generateSecret,
+  verifyTotp,
+  otpauthUri,
+  qrCodeDataUrl,
+  generateRecoveryCodes,
+  isTwoFactorRequired,
+  createChallengeToken,
+  verifyChallengeToken
+} = require('../utils/twoFactor');
 const { authenticateAdmin, authRateLimit } = require('../middleware/adminAuth');
 
 // Helper function to handle async routes
@@ -10,9 +21,39 @@ const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
 
+// Why a refresh token was refused
+const REFRESH_FAILURES = {
+  invalid: {
+    description: 'Token refresh with invalid refresh token',
+    error: 'Invalid refresh token',
+    code: 'INVALID_REFRESH_TOKEN',
+    severity: 'high'
+  },
+  reused: {
+    description: 'Refresh token reused; session revoked',
+    error: 'Refresh token has already been used',
+    code: 'REFRESH_TOKEN_REUSED',
+    severity: 'critical'
+  },
+  revoked: {
+    description: 'Token refresh for a revoked session',
+    error: 'Session has been revoked',
+    code: 'SESSION_REVOKED',
+    severity: 'medium'
+  },
+  expired: {
+    description: 'Token refresh for an expired session',
+    error: 'Session has expired',
+    code: 'SESSION_EXPIRED',
+    severity: 'low'
+  }
+};
+
 /**
  * POST /admin/auth/login
- * Authenticate admin user and return JWT tokens
+ * Authenticate admin user and return JWT tokens. Users with two-factor
+ * authentication get a challenge token instead, to exchange at
+ * /login/two-factor together with a code.
  */
 router.post('/login', authRateLimit, asyncHandler(async (req, res) => {
   const startTime = Date.now();
@@ -125,39 +166,39 @@ router.post('/login', authRateLimit, asyncHandler(async (req, res) => {
       });
     }
 
-    // Generate token pair
-    const tokens = generateTokenPair(user);
+    // The password alone is not enough; failed attempts still count
+    // towards the lockout until the code is given
+    if (user.twoFactorEnabled) {
+      const challenge = createChallengeToken(user, { device: req.body.deviceName });
 
-    // Store refresh token (hashed)
-    await user.addRefreshToken(hashToken(tokens.refreshToken));
+      await AuditLog.logAction({
+        userId: user.id,
+        userEmail: user.email,
+        action: 'login',
+        resourceType: 'system',
+        resourceId: 'auth',
+        description: 'Password accepted, two-factor code requested',
+        ipAddress,
+        userAgent,
+        severity: 'low',
+        success: true,
+        duration: Date.now() - startTime
+      });
 
-    // Reset login attempts and update last login
-    await user.resetLoginAttempts();
-    await user.updateLastLogin();
+      return res.json({
+        success: true,
+        message: 'Two-factor code required',
+        data: {
+          twoFactorRequired: true,
+          ...challenge
+        }
+      });
+    }
 
-    // Log successful login
-    await AuditLog.logAction({
-      userId: user.id,
-      userEmail: user.email,
-      action: 'login',
-      resourceType: 'system',
-      resourceId: 'auth',
+    await completeLogin(req, res, user, {
+      device: req.body.deviceName,
       description: 'Successful login',
-      ipAddress,
-      userAgent,
-      severity: 'low',
-      success: true,
-      duration: Date.now() - startTime
-    });
-
-    // Return tokens and user info
-    res.json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: user.toSafeObject(),
-        ...tokens
-      }
+      startTime
     });
 
   } catch (error) {
@@ -186,6 +227,116 @@ router.post('/login', authRateLimit, asyncHandler(async (req, res) => {
   }
 }));
 
+/**
+ * POST /admin/auth/login/two-factor
+ * Second login step: exchange the challenge token and an authenticator or
+ * recovery code for JWT tokens
+ */
+router.post('/login/two-factor', authRateLimit, asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { challengeToken, code } = req.body;
+  const ipAddress = req.ip || req.connection.remoteAddress;
+  const userAgent = req.headers['user-agent'] || 'unknown';
+
+  if (!challengeToken || !code) {
+    return res.status(400).json({
+      success: false,
+      error: 'Challenge token and code are required',
+      code: 'MISSING_TWO_FACTOR_CODE'
+    });
+  }
+
+  const challenge = verifyChallengeToken(challengeToken);
+  const user = challenge && await AdminUser.findById(challenge.userId);
+
+  if (!user || !user.twoFactorEnabled) {
+    await AuditLog.logAction({
+      userId: challenge?.userId || 'unknown',
+      userEmail: user?.email || 'unknown',
+      action: 'login',
+      resourceType: 'system',
+      resourceId: 'auth',
+      description: 'Two-factor login with invalid or expired challenge',
+      ipAddress,
+      userAgent,
+      severity: 'medium',
+      success: false,
+      errorMessage: challenge ? 'User inactive or two-factor disabled' : 'Invalid challenge token',
+      duration: Date.now() - startTime
+    });
+
+    return res.status(401).json({
+      success: false,
+      error: 'Login has expired, please sign in again',
+      code: 'INVALID_CHALLENGE'
+    });
+  }
+
+  if (user.isLocked) {
+    await AuditLog.logAction({
+      userId: user.id,
+      userEmail: user.email,
+      action: 'login',
+      resourceType: 'system',
+      resourceId: 'auth',
+      description: 'Two-factor login on locked account',
+      ipAddress,
+      userAgent,
+      severity: 'medium',
+      success: false,
+      errorMessage: 'Account is locked',
+      duration: Date.now() - startTime
+    });
+
+    return res.status(401).json({
+      success: false,
+      error: 'Account is temporarily locked',
+      code: 'ACCOUNT_LOCKED',
+      lockUntil: user.lockUntil
+    });
+  }
+
+  const method = await user.verifyTwoFactorCode(code);
+
+  if (!method) {
+    await user.incLoginAttempts();
+
+    await AuditLog.logAction({
+      userId: user.id,
+      userEmail: user.email,
+      action: 'login',
+      resourceType: 'system',
+      resourceId: 'auth',
+      description: 'Login attempt with invalid two-factor code',
+      ipAddress,
+      userAgent,
+      severity: 'medium',
+      success: false,
+      errorMessage: 'Invalid two-factor code',
+      duration: Date.now() - startTime
+    });
+
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid code',
+      code: 'INVALID_TWO_FACTOR_CODE'
+    });
+  }
+
+  // A recovery code in use usually means a lost phone, so it is logged
+  // more prominently and the client is told how many are left
+  const remaining = user.twoFactorRecoveryCodes.length;
+  await completeLogin(req, res, user, {
+    device: challenge.device,
+    description: method === 'recovery'
+      ? `Successful login with a recovery code (${remaining} left)`
+      : 'Successful login with two-factor code',
+    severity: method === 'recovery' ? 'medium' : 'low',
+    startTime,
+    extra: method === 'recovery' ? { recoveryCodesRemaining: remaining } : {}
+  });
+}));
+
 /**
  * POST /admin/auth/refresh
  * Refresh access token using refresh token
@@ -205,43 +356,46 @@ router.post('/refresh', asyncHandler(async (req, res) => {
       });
     }
 
-    // Hash the provided refresh token to match stored version
-    const hashedRefreshToken = hashToken(refreshToken);
-
-    // Find user with this refresh token
-    const user = await AdminUser.findOne({
-      'refreshTokens.token': hashedRefreshToken,
-      isActive: true
+    // Exchange the token for a new one; each refresh token works once
+    const { outcome, session, refreshToken: newRefreshToken } = await AdminSession.rotate(refreshToken, {
+      ipAddress,
+      userAgent
     });
 
-    if (!user) {
+    if (outcome !== 'rotated') {
+      const failure = REFRESH_FAILURES[outcome];
+
       await AuditLog.logAction({
-        userId: 'unknown',
+        userId: session?.userId || 'unknown',
         userEmail: 'unknown',
         action: 'login',
         resourceType: 'system',
         resourceId: 'token_refresh',
-        description: 'Token refresh with invalid refresh token',
+        description: failure.description,
         ipAddress,
         userAgent,
-        severity: 'high',
+        severity: failure.severity,
         success: false,
-        errorMessage: 'Invalid refresh token',
+        errorMessage: failure.error,
         duration: Date.now() - startTime
       });
 
       return res.status(401).json({
         success: false,
-        error: 'Invalid refresh token',
-        code: 'INVALID_REFRESH_TOKEN'
+        error: failure.error,
+        code: failure.code
       });
     }
 
+    const user = await AdminUser.findOne({ id: session.userId });
+
     // Check if user is still active and not locked
-    if (!user.isActive || user.isLocked) {
+    if (!user || !user.isActive || user.isLocked) {
+      await session.revoke(user?.isActive === false ? 'deactivated' : 'revoked');
+
       await AuditLog.logAction({
-        userId: user.id,
-        userEmail: user.email,
+        userId: session.userId,
+        userEmail: user?.email || 'unknown',
         action: 'login',
         resourceType: 'system',
         resourceId: 'token_refresh',
@@ -261,12 +415,7 @@ router.post('/refresh', asyncHandler(async (req, res) => {
       });
     }
 
-    // Generate new token pair
-    const newTokens = generateTokenPair(user);
-
-    // Replace old refresh token with new one
-    await user.removeRefreshToken(hashedRefreshToken);
-    await user.addRefreshToken(hashToken(newTokens.refreshToken));
+    const newTokens = sessionTokens(user, session, newRefreshToken);
 
     // Log successful token refresh
     await AuditLog.logAction({
@@ -288,6 +437,7 @@ router.post('/refresh', asyncHandler(async (req, res) => {
       message: 'Token refreshed successfully',
       data: {
         user: user.toSafeObject(),
+        sessionId: session.id,
         ...newTokens
       }
     });
@@ -305,7 +455,7 @@ router.post('/refresh', asyncHandler(async (req, res) => {
 
 /**
  * POST /admin/auth/logout
- * Logout admin user and invalidate refresh token
+ * Logout admin user and end the current session
  */
 router.post('/logout', authenticateAdmin, asyncHandler(async (req, res) => {
   const startTime = Date.now();
@@ -313,10 +463,14 @@ router.post('/logout', authenticateAdmin, asyncHandler(async (req, res) => {
   try {
     const { refreshToken } = req.body;
 
-    if (refreshToken) {
-      // Remove the specific refresh token
-      const hashedRefreshToken = hashToken(refreshToken);
-      await req.user.removeRefreshToken(hashedRefreshToken);
+    // End the session the refresh token belongs to, or else the one this
+    // access token was issued for
+    const session = refreshToken
+      ? await AdminSession.findOne({ tokenHash: hashToken(refreshToken), userId: req.user.id })
+      : req.adminSession;
+
+    if (session && !session.revokedAt) {
+      await session.revoke('logout');
     }
 
     // Log successful logout
@@ -352,15 +506,14 @@ router.post('/logout', authenticateAdmin, asyncHandler(async (req, res) => {
 
 /**
  * POST /admin/auth/logout-all
- * Logout from all devices by clearing all refresh tokens
+ * Logout from all devices by ending all sessions
  */
 router.post('/logout-all', authenticateAdmin, asyncHandler(async (req, res) => {
   const startTime = Date.now();
 
   try {
-    // Clear all refresh tokens
-    req.user.refreshTokens = [];
-    await req.user.save();
+    // End every session, this one included
+    await AdminSession.revokeForUser(req.user.id, 'logout_all');
 
     // Log logout from all devices
     await AuditLog.logAction({
@@ -460,12 +613,12 @@ router.post('/change-password', authenticateAdmin, asyncHandler(async (req, res)
 
     // Update password
     req.user.passwordHash = newPassword;
+    req.user.mustChangePassword = false;
     req.user.lastModifiedBy = req.user.id;
     await req.user.save();
 
-    // Clear all refresh tokens to force re-login
-    req.user.refreshTokens = [];
-    await req.user.save();
+    // End all sessions to force re-login
+    await AdminSession.revokeForUser(req.user.id, 'password_change');
 
     // Log password change
     await AuditLog.logAction({
@@ -500,23 +653,346 @@ router.post('/change-password', authenticateAdmin, asyncHandler(async (req, res)
 
 /**
  * GET /admin/auth/sessions
- * Get user's active sessions (refresh tokens)
+ * Get user's active sessions, most recently used first
  */
 router.get('/sessions', authenticateAdmin, asyncHandler(async (req, res) => {
-  const sessions = req.user.refreshTokens.map((tokenData, index) => ({
-    id: index,
-    createdAt: tokenData.createdAt,
-    // Don't expose actual tokens
-    isActive: true
-  }));
+  const sessions = await AdminSession.findActiveForUser(req.user.id);
 
   res.json({
     success: true,
     data: {
-      sessions,
+      sessions: sessions.map(session => session.toSummary(req.tokenPayload?.sessionId)),
       count: sessions.length
     }
   });
 }));
 
+/**
+ * DELETE /admin/auth/sessions/:sessionId
+ * Sign one device out. Its refresh token stops working and so do access
+ * tokens issued for it.
+ */
+router.delete('/sessions/:sessionId', authenticateAdmin, asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const session = await AdminSession.findOne({ id: req.params.sessionId, userId: req.user.id });
+
+  if (!session || session.inactiveReason()) {
+    return res.status(404).json({
+      success: false,
+      error: 'Session not found',
+      code: 'SESSION_NOT_FOUND'
+    });
+  }
+
+  await session.revoke('revoked');
+
+  await AuditLog.logAction({
+    userId: req.user.id,
+    userEmail: req.user.email,
+    action: 'logout',
+    resourceType: 'system',
+    resourceId: 'auth',
+    description: `Revoked session on ${session.device}`,
+    ipAddress: req.auditMeta.ipAddress,
+    userAgent: req.auditMeta.userAgent,
+    severity: 'low',
+    success: true,
+    duration: Date.now() - startTime
+  });
+
+  res.json({
+    success: true,
+    message: 'Session revoked',
+    data: {
+      session: session.toSummary(req.tokenPayload?.sessionId)
+    }
+  });
+}));
+
+/**
+ * GET /admin/auth/2fa
+ * Two-factor status of the current user
+ */
+router.get('/2fa', authenticateAdmin, asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: twoFactorStatus(req.user)
+  });
+}));
+
+/**
+ * POST /admin/auth/2fa/setup
+ * Start enrollment: generate a secret and the QR code for an authenticator
+ * app. Nothing changes until it is confirmed at /2fa/enable.
+ */
+router.post('/2fa/setup', authenticateAdmin, asyncHandler(async (req, res) => {
+  if (req.user.twoFactorEnabled) {
+    return res.status(409).json({
+      success: false,
+      error: 'Two-factor authentication is already enabled',
+      code: 'TWO_FACTOR_ALREADY_ENABLED'
+    });
+  }
+
+  const secret = generateSecret();
+  req.user.twoFactorPendingSecret = secret;
+  await req.user.save();
+
+  const uri = otpauthUri(secret, req.user.email);
+
+  await twoFactorAudit(req, 'two_factor_setup', 'Started two-factor enrollment', { severity: 'low' });
+
+  res.json({
+    success: true,
+    message: 'Scan the QR code with an authenticator app, then confirm with a code from it',
+    data: {
+      secret,
+      otpauthUri: uri,
+      qrCode: await qrCodeDataUrl(uri)
+    }
+  });
+}));
+
+/**
+ * POST /admin/auth/2fa/enable
+ * Finish enrollment with a code from the app. Returns the recovery codes,
+ * which are not shown again.
+ */
+router.post('/2fa/enable', authRateLimit, authenticateAdmin, asyncHandler(async (req, res) => {
+  const user = req.user;
+
+  if (user.twoFactorEnabled) {
+    return res.status(409).json({
+      success: false,
+      error: 'Two-factor authentication is already enabled',
+      code: 'TWO_FACTOR_ALREADY_ENABLED'
+    });
+  }
+
+  if (!user.twoFactorPendingSecret) {
+    return res.status(409).json({
+      success: false,
+      error: 'Start two-factor setup first',
+      code: 'TWO_FACTOR_SETUP_MISSING'
+    });
+  }
+
+  const step = verifyTotp(user.twoFactorPendingSecret, req.body.code);
+
+  if (step === null) {
+    await twoFactorAudit(req, 'two_factor_enable', 'Two-factor enrollment with invalid code', {
+      success: false,
+      errorMessage: 'Invalid two-factor code'
+    });
+
+    return invalidTwoFactorCode(res);
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  user.twoFactorEnabled = true;
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = null;
+  user.twoFactorEnabledAt = new Date();
+  user.twoFactorLastUsedStep = step;
+  user.twoFactorRecoveryCodes = hashes;
+  user.lastModifiedBy = user.id;
+  await user.save();
+
+  await twoFactorAudit(req, 'two_factor_enable', 'Enabled two-factor authentication', { severity: 'high' });
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they are shown only once.',
+    data: {
+      ...twoFactorStatus(user),
+      recoveryCodes: codes
+    }
+  });
+}));
+
+/**
+ * POST /admin/auth/2fa/recovery-codes
+ * Replace all recovery codes. Requires a current code.
+ */
+router.post('/2fa/recovery-codes', authRateLimit, authenticateAdmin, asyncHandler(async (req, res) => {
+  const user = req.user;
+
+  if (!user.twoFactorEnabled) return twoFactorNotEnabled(res);
+
+  if (!await user.verifyTwoFactorCode(req.body.code)) {
+    await twoFactorAudit(req, 'recovery_codes_regenerate', 'Recovery code regeneration with invalid code', {
+      success: false,
+      errorMessage: 'Invalid two-factor code'
+    });
+
+    return invalidTwoFactorCode(res);
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactorRecoveryCodes = hashes;
+  await user.save();
+
+  await twoFactorAudit(req, 'recovery_codes_regenerate', 'Generated new recovery codes', { severity: 'high' });
+
+  res.json({
+    success: true,
+    message: 'New recovery codes generated. The old ones no longer work.',
+    data: {
+      ...twoFactorStatus(user),
+      recoveryCodes: codes
+    }
+  });
+}));
+
+/**
+ * POST /admin/auth/2fa/disable
+ * Turn two-factor authentication off. Requires the password and a code, and
+ * is refused when the user's role requires two-factor authentication.
+ */
+router.post('/2fa/disable', authRateLimit, authenticateAdmin, asyncHandler(async (req, res) => {
+  const user = req.user;
+  const { password, code } = req.body;
+
+  if (!user.twoFactorEnabled) return twoFactorNotEnabled(res);
+
+  if (isTwoFactorRequired(user)) {
+    return res.status(403).json({
+      success: false,
+      error: `Two-factor authentication is required for the ${user.role} role`,
+      code: 'TWO_FACTOR_REQUIRED'
+    });
+  }
+
+  if (!password || !await user.comparePassword(password)) {
+    await twoFactorAudit(req, 'two_factor_disable', 'Two-factor disable attempt with invalid password', {
+      success: false,
+      errorMessage: 'Invalid current password'
+    });
+
+    return res.status(400).json({
+      success: false,
+      error: 'Current password is incorrect',
+      code: 'INVALID_CURRENT_PASSWORD'
+    });
+  }
+
+  if (!await user.verifyTwoFactorCode(code)) {
+    await twoFactorAudit(req, 'two_factor_disable', 'Two-factor disable attempt with invalid code', {
+      success: false,
+      errorMessage: 'Invalid two-factor code'
+    });
+
+    return invalidTwoFactorCode(res);
+  }
+
+  user.clearTwoFactor();
+  user.lastModifiedBy = user.id;
+  await user.save();
+
+  await twoFactorAudit(req, 'two_factor_disable', 'Disabled two-factor authentication', { severity: 'high' });
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication disabled',
+    data: twoFactorStatus(user)
+  });
+}));
+
+// Helper functions
+async function completeLogin(req, res, user, { device, description, severity = 'low', startTime, extra = {} }) {
+  const ipAddress = req.ip || req.connection.remoteAddress;
+  const userAgent = req.headers['user-agent'] || 'unknown';
+
+  // Start a session for this device and issue its tokens
+  const { session, refreshToken } = await AdminSession.start(user, { ipAddress, userAgent, device });
+  const tokens = sessionTokens(user, session, refreshToken);
+
+  // Reset login attempts and update last login
+  await user.resetLoginAttempts();
+  await user.updateLastLogin();
+
+  await AuditLog.logAction({
+    userId: user.id,
+    userEmail: user.email,
+    action: 'login',
+    resourceType: 'system',
+    resourceId: 'auth',
+    description,
+    ipAddress,
+    userAgent,
+    severity,
+    success: true,
+    duration: Date.now() - startTime
+  });
+
+  // A session was issued, so earlier failures from this IP are forgiven
+  res.locals.rateLimitCleared = true;
+
+  // Return tokens and user info
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: user.toSafeObject(),
+      sessionId: session.id,
+      // The user can only reach the two-factor setup routes until done
+      twoFactorSetupRequired: !user.twoFactorEnabled && isTwoFactorRequired(user),
+      ...tokens,
+      ...extra
+    }
+  });
+}
+
+function twoFactorStatus(user) {
+  return {
+    enabled: Boolean(user.twoFactorEnabled),
+    enabledAt: user.twoFactorEnabledAt || null,
+    required: isTwoFactorRequired(user),
+    recoveryCodesRemaining: user.twoFactorEnabled ? user.twoFactorRecoveryCodes.length : 0
+  };
+}
+
+function twoFactorAudit(req, action, description, { severity = 'medium', success = true, errorMessage } = {}) {
+  return AuditLog.logAction({
+    userId: req.user.id,
+    userEmail: req.user.email,
+    action,
+    resourceType: 'user',
+    resourceId: req.user.id,
+    resourceName: req.user.fullName,
+    description,
+    ipAddress: req.auditMeta.ipAddress,
+    userAgent: req.auditMeta.userAgent,
+    severity,
+    success,
+    ...(errorMessage && { errorMessage }),
+    duration: Date.now() - req.auditMeta.startTime
+  });
+}
+
+function invalidTwoFactorCode(res) {
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid code',
+    code: 'INVALID_TWO_FACTOR_CODE'
+  });
+}
+
+function twoFactorNotEnabled(res) {
+  return res.status(409).json({
+    success: false,
+    error: 'Two-factor authentication is not enabled',
+    code: 'TWO_FACTOR_NOT_ENABLED'
+  });
+}
+
+function sessionTokens(user, session, refreshToken) {
+  return generateTokenPair(user, {
+    sessionId: session.id,
+    refreshToken,
+    refreshTokenExpiresAt: session.refreshExpiresAt
+  });
+}
+
 module.exports = router;
\ No newline at end of file
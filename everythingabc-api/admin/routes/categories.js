@@ -5,6 +5,8 @@ const { requirePermission } = require('../middleware/permissions');
 const { PERMISSIONS } = require('../middleware/permissions');
 const AuditLog = require('../../models/AuditLog');
 const Category = require('../../models/Category');
+const Item = require('../../models/Item');
+const Revision = require('../../models/Revision');
 const asyncHandler = require('express-async-handler');
 
 // GET /admin/categories - List all categories with stats
@@ -40,7 +42,7 @@ router.get('/',
 
     // Execute query with pagination
     const skip = (page - 1) * limit;
-    const [categories, total] = await Promise.all([
+    const [categoryDocs, total] = await Promise.all([
       Category.find(filter)
         .sort(sort)
         .skip(skip)
@@ -48,6 +50,7 @@ router.get('/',
         .lean(),
       Category.countDocuments(filter)
     ]);
+    const categories = await Item.attachToCategories(categoryDocs);
 
     // Enhance categories with stats
     const enhancedCategories = categories.map(category => {
@@ -121,15 +124,17 @@ router.get('/:id',
     const { id } = req.params;
     const { includeAnalytics = false } = req.query;
 
-    const category = await Category.findById(id).lean();
+    const categoryDoc = await Category.findById(id).lean();
 
-    if (!category) {
+    if (!categoryDoc) {
       return res.status(404).json({
         success: false,
         message: 'Category not found'
       });
     }
 
+    const [category] = await Item.attachToCategories([categoryDoc]);
+
     // Enhance with detailed stats
     const items = category.items || {};
     const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
@@ -288,6 +293,8 @@ router.put('/:id',
       { new: true, runValidators: true }
     );
 
+    await Revision.recordChange('category', existingCategory, updatedCategory, { user: req.user });
+
     // Log the update
     await AuditLog.logAction({
       userId: req.user.id,
@@ -337,6 +344,7 @@ router.delete('/:id',
         });
       }
 
+      await Item.deleteMany({ categoryId: category.id });
       await Category.findByIdAndDelete(id);
 
       await AuditLog.logAction({
@@ -420,7 +428,7 @@ router.post('/:id/duplicate',
           .replace(/[^a-z0-9]+/g, '-')
           .replace(/(^-|-$)/g, '')
       },
-      items: includeItems ? originalCategory.items : {},
+      items: undefined,
       metadata: {
         completenessScore: includeItems ? originalCategory.metadata.completenessScore : 0,
         totalItems: includeItems ? originalCategory.metadata.totalItems : 0,
@@ -438,6 +446,12 @@ router.post('/:id/duplicate',
     const newCategory = new Category(duplicateData);
     await newCategory.save();
 
+    if (includeItems) {
+      const items = await Item.find({ categoryId: originalCategory.id }).lean();
+      await Item.insertMany(items.map(({ _id, ...item }) => ({ ...item, categoryId: newCategory.id })));
+      await newCategory.refreshItemStats();
+    }
+
     await AuditLog.logAction({
       userId: req.user.id,
       userEmail: req.user.email,
@@ -468,14 +482,15 @@ router.get('/:id/gaps',
   asyncHandler(async (req, res) => {
     const { id } = req.params;
 
-    const category = await Category.findById(id).lean();
-    if (!category) {
+    const categoryDoc = await Category.findById(id).lean();
+    if (!categoryDoc) {
       return res.status(404).json({
         success: false,
         message: 'Category not found'
       });
     }
 
+    const [category] = await Item.attachToCategories([categoryDoc]);
     const gapAnalysis = await analyzeGaps(category);
 
     res.json({
@@ -580,7 +595,7 @@ router.get('/search/:query', asyncHandler(async (req, res) => {
       matchQuery.name = category;
     }
 
-    const categories = await Category.find(matchQuery).limit(parseInt(limit));
+    const categories = await Item.attachToCategories(await Category.find(matchQuery).limit(parseInt(limit)).lean());
 
     // Search through items
     const results = [];
@@ -0,0 +1,225 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateAdmin } = require('../middleware/adminAuth');
+const { requirePermission, PERMISSIONS } = require('../middleware/permissions');
+const { MAX_DAILY_QUOTA, validateApiKeyInput } = require('../utils/apiKeyManagement');
+const ApiKey = require('../../models/ApiKey');
+const ApiKeyUsage = require('../../models/ApiKeyUsage');
+const AuditLog = require('../../models/AuditLog');
+const asyncHandler = require('express-async-handler');
+
+/**
+ * API key management routes
+ *
+ * Keys give third-party apps read access to public content under a daily
+ * quota. They are revoked rather than deleted so their usage history stays
+ * attributable.
+ */
+
+// GET /api/v1/admin/api-keys - List keys with today's usage
+router.get('/',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ANALYTICS_READ),
+  asyncHandler(async (req, res) => {
+    const { status, search } = req.query;
+
+    const filter = {};
+    if (status === 'active' || status === 'revoked') filter.status = status;
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ name: pattern }, { owner: pattern }, { keyPrefix: pattern }];
+    }
+
+    const keys = await ApiKey.find(filter).sort({ createdAt: -1 });
+    const today = await ApiKeyUsage.find({
+      keyId: { $in: keys.map(key => key.id) },
+      date: ApiKeyUsage.dayOf()
+    });
+    const usageByKey = new Map(today.map(usage => [usage.keyId, usage]));
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys: keys.map(key => serialize(key, usageByKey.get(key.id))),
+        scopes: ApiKey.SCOPES,
+        defaultDailyQuota: ApiKey.DEFAULT_DAILY_QUOTA,
+        maxDailyQuota: MAX_DAILY_QUOTA
+      }
+    });
+  })
+);
+
+// GET /api/v1/admin/api-keys/:keyId - Get one key with its last 30 days of
+// usage
+router.get('/:keyId',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ANALYTICS_READ),
+  asyncHandler(async (req, res) => {
+    const apiKey = await ApiKey.findOne({ id: req.params.keyId });
+    if (!apiKey) return keyNotFound(res);
+
+    const { byDay } = await ApiKeyUsage.summarize({ days: 30, keyId: apiKey.id });
+    const today = byDay.find(day => day.date === ApiKeyUsage.dayOf());
+
+    res.json({
+      success: true,
+      data: {
+        apiKey: serialize(apiKey, today),
+        usage: byDay
+      }
+    });
+  })
+);
+
+// POST /api/v1/admin/api-keys - Issue a key. The key is in the response and
+// cannot be retrieved again.
+router.post('/',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.SETTINGS_UPDATE),
+  asyncHandler(async (req, res) => {
+    const { values, errors } = validateApiKeyInput(req.body, { create: true });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid API key',
+        details: errors
+      });
+    }
+
+    const { apiKey, key } = await ApiKey.issue(values, req.user.id);
+
+    await audit(req, apiKey, 'create', `Issued API key '${apiKey.name}' to ${apiKey.owner}`, {
+      changes: { after: { scopes: apiKey.scopes, dailyQuota: apiKey.dailyQuota, expiresAt: apiKey.expiresAt } }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { apiKey: serialize(apiKey), key },
+      message: 'API key issued. Copy it now, it will not be shown again.'
+    });
+  })
+);
+
+// PUT /api/v1/admin/api-keys/:keyId - Update details, scopes, quota and
+// expiry
+router.put('/:keyId',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.SETTINGS_UPDATE),
+  asyncHandler(async (req, res) => {
+    const { values, errors } = validateApiKeyInput(req.body);
+    if (errors.length === 0 && Object.keys(values).length === 0) {
+      errors.push('Nothing to update');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid API key',
+        details: errors
+      });
+    }
+
+    const apiKey = await ApiKey.findOne({ id: req.params.keyId });
+    if (!apiKey) return keyNotFound(res);
+    if (apiKey.status === 'revoked') return keyRevoked(res);
+
+    const fields = Object.keys(values);
+    const before = snapshot(apiKey, fields);
+
+    Object.assign(apiKey, values);
+    apiKey.lastModifiedBy = req.user.id;
+    await apiKey.save();
+
+    const accessChanged = ['scopes', 'dailyQuota', 'expiresAt'].some(field => field in values);
+
+    await audit(req, apiKey, 'update', `Updated API key '${apiKey.name}'`, {
+      changes: { before, after: snapshot(apiKey, fields), fields },
+      severity: accessChanged ? 'high' : 'low'
+    });
+
+    res.json({
+      success: true,
+      data: { apiKey: serialize(apiKey) },
+      message: 'API key updated successfully'
+    });
+  })
+);
+
+// POST /api/v1/admin/api-keys/:keyId/revoke - Stop a key working, for good
+router.post('/:keyId/revoke',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.SETTINGS_UPDATE),
+  asyncHandler(async (req, res) => {
+    const apiKey = await ApiKey.findOne({ id: req.params.keyId });
+    if (!apiKey) return keyNotFound(res);
+    if (apiKey.status === 'revoked') return keyRevoked(res);
+
+    apiKey.status = 'revoked';
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user.id;
+    apiKey.lastModifiedBy = req.user.id;
+    await apiKey.save();
+
+    await audit(req, apiKey, 'update', `Revoked API key '${apiKey.name}' of ${apiKey.owner}`, {
+      changes: { before: { status: 'active' }, after: { status: 'revoked' }, fields: ['status'] },
+      severity: 'high'
+    });
+
+    res.json({
+      success: true,
+      data: { apiKey: serialize(apiKey) },
+      message: 'API key revoked'
+    });
+  })
+);
+
+// Helper functions
+function serialize(apiKey, usage = null) {
+  return {
+    ...apiKey.toSafeObject(),
+    inactiveReason: apiKey.inactiveReason(),
+    usageToday: {
+      requests: usage?.requests || 0,
+      rejected: usage?.rejected || 0
+    }
+  };
+}
+
+function snapshot(apiKey, fields) {
+  return Object.fromEntries(fields.map(field => {
+    const value = apiKey[field];
+    return [field, Array.isArray(value) ? [...value] : value];
+  }));
+}
+
+function keyNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'API key not found'
+  });
+}
+
+function keyRevoked(res) {
+  return res.status(409).json({
+    success: false,
+    error: 'API key has been revoked',
+    code: 'API_KEY_REVOKED'
+  });
+}
+
+function audit(req, apiKey, action, description, { changes = null, severity = 'medium' } = {}) {
+  return AuditLog.logAction({
+    userId: req.user.id,
+    userEmail: req.user.email,
+    action,
+    resourceType: 'api_key',
+    resourceId: apiKey.id,
+    resourceName: `${apiKey.name} (${apiKey.keyPrefix}...)`,
+    description,
+    changes,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent') || 'unknown',
+    severity
+  });
+}
+
+module.exports = router;
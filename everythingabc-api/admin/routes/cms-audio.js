@@ -0,0 +1,278 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { authenticateAdmin } = require('../middleware/adminAuth');
+const { requirePermission, PERMISSIONS } = require('../middleware/permissions');
+const AuditLog = require('../../models/AuditLog');
+const Item = require('../../models/Item');
+const { speechGenerator } = require('../../services/speech/SpeechGenerator');
+const { pronunciationAudio, MAX_UPLOAD_SIZE } = require('../../services/speech/PronunciationAudio');
+const { queueManager } = require('../../services/queue/QueueManager');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES, isSupportedLocale } = require('../../utils/locales');
+const asyncHandler = require('express-async-handler');
+
+/**
+ * Pronunciation audio
+ *
+ * Items carry at most one spoken clip per locale. Clips are generated with a
+ * text-to-speech provider (see services/speech) or uploaded by an editor,
+ * and replace the item's previous clip for that locale.
+ */
+
+// Recordings are kept in memory; PronunciationAudio checks the type
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_UPLOAD_SIZE
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('audio/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only audio files are allowed'), false);
+    }
+  }
+});
+
+// GET /api/v1/admin/audio/providers - Speech providers and the active one
+router.get('/audio/providers',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_READ),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        ...speechGenerator.getStatus(),
+        locales: SUPPORTED_LOCALES,
+        upload: pronunciationAudio.getUploadLimits()
+      }
+    });
+  })
+);
+
+// POST /api/v1/admin/items/:itemId/audio/generate - Generate audio for one item
+router.post('/items/:itemId/audio/generate',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_UPDATE),
+  asyncHandler(async (req, res) => {
+    const { locale = DEFAULT_LOCALE, provider, voice } = req.body;
+
+    if (!isSupportedLocale(locale)) {
+      return unsupportedLocale(res, locale);
+    }
+
+    const item = await loadItem(req);
+    if (!item) return itemNotFound(res);
+
+    let audio;
+    try {
+      audio = await pronunciationAudio.generateForItem(item, {
+        locale,
+        provider,
+        voice,
+        createdBy: req.user.email
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    await logAudioChange(req, item, `Generated ${locale} pronunciation audio with ${audio.sourceProvider}`, audio);
+
+    res.json({
+      success: true,
+      data: { audio },
+      message: 'Pronunciation audio generated'
+    });
+  })
+);
+
+// POST /api/v1/admin/items/:itemId/audio - Upload a recording (field "file")
+router.post('/items/:itemId/audio',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_UPDATE),
+  upload.single('file'),
+  asyncHandler(async (req, res) => {
+    const { locale = DEFAULT_LOCALE } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No file uploaded'
+      });
+    }
+
+    if (!isSupportedLocale(locale)) {
+      return unsupportedLocale(res, locale);
+    }
+
+    const item = await loadItem(req);
+    if (!item) return itemNotFound(res);
+
+    let audio;
+    try {
+      audio = await pronunciationAudio.attachUpload(item, req.file, {
+        locale,
+        createdBy: req.user.email
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    await logAudioChange(req, item, `Uploaded ${locale} pronunciation audio`, audio);
+
+    res.status(201).json({
+      success: true,
+      data: { audio },
+      message: 'Pronunciation audio uploaded'
+    });
+  })
+);
+
+// DELETE /api/v1/admin/items/:itemId/audio/:locale - Remove a locale's clip
+router.delete('/items/:itemId/audio/:locale',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_UPDATE),
+  asyncHandler(async (req, res) => {
+    const item = await loadItem(req);
+    if (!item) return itemNotFound(res);
+
+    const removed = await pronunciationAudio.removeAudio(item, req.params.locale, req.user.email);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: `Item has no ${req.params.locale} pronunciation audio`
+      });
+    }
+
+    await AuditLog.logAction({
+      userId: req.user.id,
+      userEmail: req.user.email,
+      action: 'update',
+      resourceType: 'item',
+      resourceId: item.id,
+      description: `Removed ${req.params.locale} pronunciation audio from '${item.name}'`,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      changes: {
+        before: { audio: removed },
+        after: { audio: null }
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Pronunciation audio removed'
+    });
+  })
+);
+
+// POST /api/v1/admin/audio/generate-missing - Queue generation for every item
+// without audio in a locale, optionally within one category
+router.post('/audio/generate-missing',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_UPDATE),
+  asyncHandler(async (req, res) => {
+    const { locale = DEFAULT_LOCALE, categoryId, provider } = req.body;
+
+    if (!isSupportedLocale(locale)) {
+      return unsupportedLocale(res, locale);
+    }
+
+    if (provider && !speechGenerator.getStatus().availableProviders.includes(provider)) {
+      return res.status(400).json({
+        success: false,
+        error: `Speech provider not available: ${provider}`
+      });
+    }
+    if (!provider && !speechGenerator.isAvailable()) {
+      return res.status(400).json({
+        success: false,
+        error: 'No text-to-speech provider is configured'
+      });
+    }
+
+    const pending = await Item.countDocuments(pronunciationAudio.missingAudioFilter(locale, { categoryId }));
+
+    const job = await queueManager.addAudioGenerationJob({
+      locale,
+      categoryId,
+      provider,
+      requestedBy: req.user.email
+    });
+
+    res.status(202).json({
+      success: true,
+      data: {
+        jobId: job.id,
+        locale,
+        categoryId: categoryId || null,
+        pending
+      },
+      message: `Queued audio generation for ${pending} item(s)`
+    });
+  })
+);
+
+// GET /api/v1/admin/audio/jobs/:jobId - Progress of a generate-missing job
+router.get('/audio/jobs/:jobId',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_READ),
+  asyncHandler(async (req, res) => {
+    const job = await queueManager.getJobStatus('audio-generation', req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { job }
+    });
+  })
+);
+
+// Helper functions
+function loadItem(req) {
+  return Item.findByItemId(req.params.itemId, req.query.categoryId);
+}
+
+function itemNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Item not found'
+  });
+}
+
+function unsupportedLocale(res, locale) {
+  return res.status(400).json({
+    success: false,
+    error: `Unsupported locale '${locale}'. Use one of: ${SUPPORTED_LOCALES.join(', ')}`
+  });
+}
+
+function logAudioChange(req, item, summary, audio) {
+  return AuditLog.logAction({
+    userId: req.user.id,
+    userEmail: req.user.email,
+    action: 'update',
+    resourceType: 'item',
+    resourceId: item.id,
+    description: `${summary} for '${item.name}'`,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    changes: {
+      after: { audio }
+    }
+  });
+}
+
+module.exports = router;
@@ -4,7 +4,10 @@ const { authenticateAdmin } = require('../middleware/adminAuth');
 const { requirePermission, PERMISSIONS } = require('../middleware/permissions');
 const AuditLog = require('../../models/AuditLog');
 const Category = require('../../models/Category');
+const Item = require('../../models/Item');
+const Revision = require('../../models/Revision');
 const asyncHandler = require('express-async-handler');
+const { TRANSLATABLE_CATEGORY_FIELDS, parseTranslations } = require('../../utils/locales');
 
 // GET /api/v1/admin/categories - List all categories with statistics
 router.get('/',
@@ -31,13 +34,15 @@ router.get('/',
       .sort(sortObj)
       .lean();
 
+    const categoriesWithItems = await Item.attachToCategories(categories);
+
     // Calculate summary stats
     let totalItems = 0;
     let completedItems = 0;
     let publishedItems = 0;
 
-    const enhancedCategories = categories.map(category => {
-      const stats = calculateCategoryStats(category);
+    const enhancedCategories = categoriesWithItems.map(category => {
+      const stats = calculateCategoryStats(category.items);
       totalItems += stats.totalItems;
       completedItems += stats.completedItems;
       publishedItems += stats.publishedItems;
@@ -93,6 +98,8 @@ router.get('/:categoryId',
       });
     }
 
+    const [{ items: categoryItems }] = await Item.attachToCategories([category]);
+
     // Prepare response
     const responseData = {
       _id: category._id,
@@ -103,7 +110,8 @@ router.get('/:categoryId',
       group: category.group || 'educational',
       priority: category.priority || 50,
       color: category.color,
-      completeness: category.completeness || 0
+      completeness: category.completeness || 0,
+      translations: category.translations || {}
     };
 
     if (include_items === 'true') {
@@ -112,18 +120,18 @@ router.get('/:categoryId',
 
       if (letter && /^[A-Z]$/.test(letter.toUpperCase())) {
         // Include only specified letter
-        items[letter.toUpperCase()] = (category.items[letter.toUpperCase()] || []).map(formatItem);
+        items[letter.toUpperCase()] = categoryItems[letter.toUpperCase()].map(formatItem);
       } else {
         // Include all letters
         alphabet.split('').forEach(l => {
-          items[l] = (category.items[l] || []).map(formatItem);
+          items[l] = categoryItems[l].map(formatItem);
         });
       }
 
       responseData.items = items;
     }
 
-    responseData.metadata = calculateCategoryStats(category);
+    responseData.metadata = calculateCategoryStats(categoryItems);
 
     res.json({
       success: true,
@@ -174,7 +182,6 @@ router.post('/',
       color,
       status: 'active',
       completeness: 0,
-      items: {},
       metadata: {
         totalItems: 0,
         completedItems: 0,
@@ -232,6 +239,16 @@ router.put('/:categoryId',
     const { categoryId } = req.params;
     const { name, description, icon, priority, color, group } = req.body;
 
+    const { translations, error: translationError } = req.body.translations !== undefined
+      ? parseTranslations(req.body.translations, TRANSLATABLE_CATEGORY_FIELDS)
+      : {};
+    if (translationError) {
+      return res.status(400).json({
+        success: false,
+        error: translationError
+      });
+    }
+
     const category = await Category.findOne({ id: categoryId });
     if (!category) {
       return res.status(404).json({
@@ -249,11 +266,13 @@ router.put('/:categoryId',
     if (priority !== undefined) category.priority = priority;
     if (color) category.color = color;
     if (group) category.group = group;
+    if (translations) category.translations = translations;
 
     category.lastModifiedBy = req.user?.email || 'system';
     category.metadata.lastUpdated = new Date();
 
     await category.save();
+    await Revision.recordChange('category', before, category, { user: req.user });
 
     // Log the update
     await AuditLog.logAction({
@@ -283,6 +302,7 @@ router.put('/:categoryId',
           group: category.group,
           priority: category.priority,
           color: category.color,
+          translations: category.translations,
           metadata: {
             updatedAt: category.metadata.lastUpdated
           }
@@ -317,21 +337,18 @@ router.delete('/:categoryId',
     }
 
     // Count items and images
-    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-    let deletedItems = 0;
+    const items = await Item.find({ categoryId }).lean();
+    const deletedItems = items.length;
     let deletedImages = 0;
 
-    alphabet.split('').forEach(letter => {
-      const items = category.items[letter] || [];
-      deletedItems += items.length;
-      items.forEach(item => {
-        deletedImages += (item.images || []).length;
-      });
+    items.forEach(item => {
+      deletedImages += (item.images || []).length;
     });
 
-    const before = category.toObject();
+    const before = { ...category.toObject(), items: Item.groupByLetter(items) };
 
-    // Delete category
+    // Delete category and its items
+    await Item.deleteMany({ categoryId });
     await Category.deleteOne({ id: categoryId });
 
     // Log the deletion
@@ -374,7 +391,8 @@ router.get('/:categoryId/stats',
       });
     }
 
-    const stats = calculateDetailedStats(category);
+    const [{ items: categoryItems }] = await Item.attachToCategories([category]);
+    const stats = calculateDetailedStats(categoryItems);
 
     res.json({
       success: true,
@@ -403,7 +421,7 @@ function formatItem(item) {
   };
 }
 
-function calculateCategoryStats(category) {
+function calculateCategoryStats(itemsByLetter) {
   const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
   let totalItems = 0;
   let completedItems = 0;
@@ -414,7 +432,7 @@ function calculateCategoryStats(category) {
   let totalImages = 0;
 
   alphabet.split('').forEach(letter => {
-    const items = category.items[letter] || [];
+    const items = itemsByLetter[letter] || [];
     totalItems += items.length;
 
     items.forEach(item => {
@@ -445,7 +463,7 @@ function calculateCategoryStats(category) {
   };
 }
 
-function calculateDetailedStats(category) {
+function calculateDetailedStats(categoryItems) {
   const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
   const itemsByLetter = {};
   let totalItems = 0;
@@ -457,7 +475,7 @@ function calculateDetailedStats(category) {
   let totalImages = 0;
 
   alphabet.split('').forEach(letter => {
-    const items = category.items[letter] || [];
+    const items = categoryItems[letter] || [];
     const completed = items.filter(i => i.collectionStatus === 'complete').length;
     const published = items.filter(i => i.publishingStatus === 'published').length;
 
@@ -481,7 +499,7 @@ function calculateDetailedStats(category) {
     });
   });
 
-  const completeness = alphabet.split('').filter(l => (category.items[l] || []).length > 0).length;
+  const completeness = alphabet.split('').filter(l => (categoryItems[l] || []).length > 0).length;
   const completionRate = totalItems > 0 ? ((completedItems / totalItems) * 100).toFixed(2) : 0;
   const publishRate = totalItems > 0 ? ((publishedItems / totalItems) * 100).toFixed(2) : 0;
   const avgImagesPerItem = totalItems > 0 ? (totalImages / totalItems).toFixed(1) : 0;
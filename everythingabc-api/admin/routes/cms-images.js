@@ -0,0 +1,273 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateAdmin } = require('../middleware/adminAuth');
+const { requirePermission, PERMISSIONS } = require('../middleware/permissions');
+const AuditLog = require('../../models/AuditLog');
+const Item = require('../../models/Item');
+const { imageFraming } = require('../../services/processing/ImageFraming');
+const { licenseCompliance } = require('../../services/compliance/LicenseCompliance');
+const { LICENSE_TYPES } = require('../../utils/licenses');
+const asyncHandler = require('express-async-handler');
+const logger = require('../../utils/logger');
+
+/**
+ * Item images
+ *
+ * Choosing an item's primary image, how its size variants are framed and
+ * the license it is used under. Images are addressed by their sourceId
+ * within the item.
+ */
+
+// License fields editors can correct
+const LICENSE_FIELDS = ['type', 'name', 'version', 'licenseUrl', 'author', 'authorUrl', 'attribution', 'commercial', 'url'];
+
+// GET /api/v1/admin/images/sizes - Size boxes used for framing previews
+router.get('/images/sizes',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_READ),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: { sizes: imageFraming.getSizes() }
+    });
+  })
+);
+
+// GET /api/v1/admin/images/compliance - Images with missing or incompatible
+// licenses. Optional ?categoryId= and ?status= filters
+router.get('/images/compliance',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_READ),
+  asyncHandler(async (req, res) => {
+    const { categoryId, status } = req.query;
+    const report = await licenseCompliance.report({ categoryId, status });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  })
+);
+
+// PUT /api/v1/admin/items/:itemId/images/:sourceId/primary - Make an approved
+// image the item's primary image
+router.put('/items/:itemId/images/:sourceId/primary',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_UPDATE),
+  asyncHandler(async (req, res) => {
+    const item = await loadItem(req);
+    const image = item?.images.find(img => img.sourceId === req.params.sourceId);
+    if (!image) return imageNotFound(res);
+
+    if (image.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only approved images can be the primary image'
+      });
+    }
+
+    const previous = item.images.find(img => img.isPrimary);
+
+    item.images.forEach(img => img.isPrimary = false);
+    image.isPrimary = true;
+
+    // Keep the legacy image field in step
+    item.image = image.filePath;
+    item.imageAlt = item.imageAlt || `A ${item.name.toLowerCase()}`;
+
+    await item.save();
+
+    await AuditLog.logAction({
+      userId: req.user.id,
+      userEmail: req.user.email,
+      action: 'update',
+      resourceType: 'item',
+      resourceId: item.id,
+      description: `Set ${image.sourceProvider}/${image.sourceId} as the primary image of '${item.name}'`,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      changes: {
+        before: { primaryImage: previous?.sourceId || null },
+        after: { primaryImage: image.sourceId }
+      }
+    });
+
+    res.json({
+      success: true,
+      data: { image: imageFraming.describe(image, item) },
+      message: 'Primary image updated'
+    });
+  })
+);
+
+// PUT /api/v1/admin/items/:itemId/images/:sourceId/framing - Store a crop
+// rectangle and/or focal point and regenerate the size variants
+router.put('/items/:itemId/images/:sourceId/framing',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_UPDATE),
+  asyncHandler(async (req, res) => {
+    const { crop, focalPoint } = req.body;
+
+    if (crop === undefined && focalPoint === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide crop and/or focalPoint (null clears them)'
+      });
+    }
+
+    const errors = imageFraming.validate({ crop, focalPoint });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid framing',
+        details: errors
+      });
+    }
+
+    const item = await loadItem(req);
+    const image = item?.images.find(img => img.sourceId === req.params.sourceId);
+    if (!image) return imageNotFound(res);
+
+    const { crop: previousCrop, focalPoint: previousFocalPoint } = imageFraming.describe(image, item);
+
+    try {
+      await imageFraming.reframe(item, image, { crop, focalPoint });
+    } catch (error) {
+      logger.warn(`Failed to reframe image ${req.params.sourceId}`, { error: error.message });
+      return res.status(422).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    await item.save();
+
+    await AuditLog.logAction({
+      userId: req.user.id,
+      userEmail: req.user.email,
+      action: 'update',
+      resourceType: 'item',
+      resourceId: item.id,
+      description: `Re-cropped image ${image.sourceProvider}/${image.sourceId} of '${item.name}'`,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      changes: {
+        before: { crop: previousCrop, focalPoint: previousFocalPoint },
+        after: { crop: crop === undefined ? previousCrop : crop, focalPoint: focalPoint === undefined ? previousFocalPoint : focalPoint }
+      }
+    });
+
+    res.json({
+      success: true,
+      data: { image: imageFraming.describe(image, item) },
+      message: 'Image framing updated'
+    });
+  })
+);
+
+// PUT /api/v1/admin/items/:itemId/images/:sourceId/license - Correct an
+// image's license, e.g. to add the attribution its license requires
+router.put('/items/:itemId/images/:sourceId/license',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_UPDATE),
+  asyncHandler(async (req, res) => {
+    const updates = Object.fromEntries(
+      Object.entries(req.body || {}).filter(([field]) => LICENSE_FIELDS.includes(field))
+    );
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Provide at least one of: ${LICENSE_FIELDS.join(', ')}`
+      });
+    }
+
+    const errors = validateLicense(updates);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid license',
+        details: errors
+      });
+    }
+
+    const item = await loadItem(req);
+    const image = item?.images.find(img => img.sourceId === req.params.sourceId);
+    if (!image) return imageNotFound(res);
+
+    const previous = image.toObject().license || null;
+
+    image.license = { ...(previous || {}), ...updates };
+    image.updatedAt = new Date();
+
+    // An approved image must keep a license that allows it
+    const blocker = image.status === 'approved' && licenseCompliance.approvalBlocker(image);
+    if (blocker) {
+      return res.status(400).json({
+        success: false,
+        error: blocker,
+        details: licenseCompliance.check(image).map(({ message }) => message)
+      });
+    }
+
+    await item.save();
+
+    await AuditLog.logAction({
+      userId: req.user.id,
+      userEmail: req.user.email,
+      action: 'update',
+      resourceType: 'item',
+      resourceId: item.id,
+      description: `Updated the license of image ${image.sourceProvider}/${image.sourceId} of '${item.name}'`,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      changes: {
+        before: { license: previous },
+        after: { license: image.toObject().license }
+      }
+    });
+
+    res.json({
+      success: true,
+      data: { image: imageFraming.describe(image, item) },
+      message: 'Image license updated'
+    });
+  })
+);
+
+// Helper functions
+function validateLicense(license) {
+  const errors = [];
+
+  if ('type' in license && !LICENSE_TYPES.includes(license.type)) {
+    errors.push(`type must be one of: ${LICENSE_TYPES.join(', ')}`);
+  }
+  if ('commercial' in license && typeof license.commercial !== 'boolean') {
+    errors.push('commercial must be true or false');
+  }
+  for (const field of LICENSE_FIELDS.filter(field => !['type', 'commercial'].includes(field))) {
+    if (field in license && license[field] !== null && typeof license[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    }
+  }
+  for (const field of ['licenseUrl', 'authorUrl', 'url']) {
+    if (license[field] && !/^https?:\/\//.test(license[field])) {
+      errors.push(`${field} must be an http(s) URL`);
+    }
+  }
+
+  return errors;
+}
+
+function loadItem(req) {
+  return Item.findByItemId(req.params.itemId, req.query.categoryId);
+}
+
+function imageNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Image not found'
+  });
+}
+
+module.exports = router;
@@ -1,18 +1,39 @@
+const crypto = require('crypto');
+const path = require('path');
 const express = require('express');
+const fs = require('fs-extra');
 const router = express.Router();
 const multer = require('multer');
 const { authenticateAdmin } = require('../middleware/adminAuth');
 const { requirePermission, PERMISSIONS } = require('../middleware/permissions');
 const AuditLog = require('../../models/AuditLog');
 const Category = require('../../models/Category');
+const Item = require('../../models/Item');
 const asyncHandler = require('express-async-handler');
+const { TRANSLATABLE_ITEM_FIELDS } = require('../../utils/locales');
+const { queueManager } = require('../../services/queue/QueueManager');
+const FileOrganizer = require('../../services/storage/FileOrganizer');
+const {
+  CsvImport,
+  parseCsv,
+  buildRejectedCsv,
+  escapeCsvValue,
+  LIST_SEPARATOR,
+  TRANSLATION_LOCALES
+} = require('../../services/import/CsvImport');
+const { CategoryBundle, CONFLICT_STRATEGIES } = require('../../services/bundles/CategoryBundle');
+const logger = require('../../utils/logger');
+
+const csvImport = new CsvImport();
+const categoryBundle = new CategoryBundle();
+const fileOrganizer = new FileOrganizer();
 
 // Configure multer for CSV uploads
 const storage = multer.memoryStorage();
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
+    fileSize: 50 * 1024 * 1024 // 50MB limit
   },
   fileFilter: (req, file, cb) => {
     if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
@@ -37,7 +58,9 @@ router.post('/import/validate',
     }
 
     const csvContent = req.file.buffer.toString('utf-8');
-    const { rows, errors, warnings } = await parseAndValidateCSV(csvContent);
+    const { rows, errors, warnings } = parseCsv(csvContent, await csvImport.loadCategoryIds(), {
+      createCategories: req.body.createCategories === 'true'
+    });
 
     const valid = errors.length === 0;
 
@@ -48,13 +71,15 @@ router.post('/import/validate',
         rowCount: rows.length,
         errors,
         warnings,
-        preview: rows.slice(0, 5)
+        preview: rows.slice(0, 5).map(({ raw, ...row }) => row)
       }
     });
   })
 );
 
-// POST /api/v1/admin/import/csv - Import items from CSV
+// POST /api/v1/admin/import/csv - Queue an import (or a dry run) of a CSV file.
+// Rows that fail validation are rejected individually; poll the job for
+// progress, the diff and the rejected-rows report.
 router.post('/import/csv',
   authenticateAdmin,
   requirePermission(PERMISSIONS.ITEMS_CREATE),
@@ -67,184 +92,130 @@ router.post('/import/csv',
       });
     }
 
-    const { createCategories = 'false', skipDuplicates = 'true', updateExisting = 'false' } = req.body;
-
+    const {
+      createCategories = 'false',
+      skipDuplicates = 'true',
+      updateExisting = 'false',
+      dryRun = 'false'
+    } = req.body;
+    const options = {
+      createCategories: createCategories === 'true',
+      skipDuplicates: skipDuplicates === 'true',
+      updateExisting: updateExisting === 'true',
+      dryRun: dryRun === 'true',
+      importedBy: req.user?.email || 'csv-import'
+    };
+
+    // Header problems make the whole file unusable, so catch them up front
     const csvContent = req.file.buffer.toString('utf-8');
-    const { rows, errors, warnings } = await parseAndValidateCSV(csvContent);
+    const { rows, errors } = parseCsv(csvContent, await csvImport.loadCategoryIds(), options);
+    const fileErrors = errors.filter(error => error.row <= 1);
 
-    if (errors.length > 0) {
+    if (fileErrors.length > 0) {
       return res.status(400).json({
         success: false,
         error: 'CSV validation failed',
         data: {
           valid: false,
-          errors,
-          warnings
+          errors: fileErrors
         }
       });
     }
 
-    const results = [];
-    let created = 0;
-    let updated = 0;
-    let skipped = 0;
-    let failed = 0;
-
-    for (let i = 0; i < rows.length; i++) {
-      const row = rows[i];
-      const rowNum = i + 2; // Account for header row
-
-      try {
-        // Find or create category
-        let category = await Category.findOne({ id: row.category });
-
-        if (!category && createCategories === 'true') {
-          category = new Category({
-            id: row.category,
-            name: capitalize(row.category),
-            description: `Category for ${row.category}`,
-            icon: '📦',
-            color: 'from-gray-400 to-gray-300',
-            group: 'educational',
-            status: 'active',
-            items: {},
-            metadata: {
-              totalItems: 0,
-              createdAt: new Date()
-            }
-          });
-          await category.save();
-        }
-
-        if (!category) {
-          results.push({
-            row: rowNum,
-            status: 'failed',
-            reason: `Category '${row.category}' does not exist`,
-            itemName: row.itemName
-          });
-          failed++;
-          continue;
-        }
-
-        // Generate item ID
-        const itemId = generateItemId(row.itemName);
-        const upperLetter = row.letter.toUpperCase();
-
-        // Check if item exists
-        const existingItems = category.items[upperLetter] || [];
-        const existingItem = existingItems.find(i => i.id === itemId || i.name.toLowerCase() === row.itemName.toLowerCase());
-
-        if (existingItem) {
-          if (skipDuplicates === 'true') {
-            results.push({
-              row: rowNum,
-              status: 'skipped',
-              reason: 'Item already exists',
-              itemName: row.itemName
-            });
-            skipped++;
-            continue;
-          } else if (updateExisting === 'true') {
-            // Update existing item
-            existingItem.description = row.description || existingItem.description;
-            existingItem.tags = row.tags || existingItem.tags;
-            existingItem.difficulty = row.difficulty || existingItem.difficulty;
-            existingItem.updatedAt = new Date();
-
-            await category.save();
-
-            results.push({
-              row: rowNum,
-              status: 'updated',
-              itemId: existingItem.id,
-              itemName: row.itemName
-            });
-            updated++;
-            continue;
-          }
+    const tempDir = path.join(fileOrganizer.getTempPath(), 'imports');
+    await fs.ensureDir(tempDir);
+    const filePath = path.join(tempDir, `${crypto.randomUUID()}.csv`);
+    await fs.writeFile(filePath, csvContent);
+
+    let job;
+    try {
+      job = await queueManager.addCsvImportJob({
+        filePath,
+        fileName: req.file.originalname,
+        options,
+        requestedBy: {
+          id: req.user?.id,
+          email: req.user?.email,
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent')
         }
+      });
+    } catch (error) {
+      // Without a job nothing else will clean up the upload
+      await fs.remove(filePath).catch(() => {});
+      logger.error(`Failed to queue CSV import: ${error.message}`);
 
-        // Create new item
-        const newItem = {
-          id: itemId,
-          name: row.itemName.trim(),
-          description: row.description || '',
-          tags: row.tags || [],
-          difficulty: row.difficulty || 1,
-          collectionStatus: 'pending',
-          publishingStatus: 'draft',
-          images: [],
-          createdBy: req.user?.email || 'csv-import',
-          createdAt: new Date(),
-          updatedAt: new Date()
-        };
-
-        if (!category.items[upperLetter]) {
-          category.items[upperLetter] = [];
-        }
-        category.items[upperLetter].push(newItem);
+      return res.status(503).json({
+        success: false,
+        error: 'Import queue unavailable, please try again later',
+        code: 'IMPORT_QUEUE_UNAVAILABLE'
+      });
+    }
 
-        // Update metadata
-        category.metadata.totalItems = (category.metadata.totalItems || 0) + 1;
-        category.metadata.pendingItems = (category.metadata.pendingItems || 0) + 1;
-        category.metadata.draftItems = (category.metadata.draftItems || 0) + 1;
-        category.metadata.lastUpdated = new Date();
+    res.status(202).json({
+      success: true,
+      data: {
+        jobId: job.id,
+        dryRun: options.dryRun,
+        totalRows: rows.length,
+        invalidRows: new Set(errors.map(error => error.row)).size
+      },
+      message: `Queued ${options.dryRun ? 'dry run' : 'import'} of ${rows.length} row(s)`
+    });
+  })
+);
 
-        await category.save();
+// GET /api/v1/admin/import/jobs/:jobId - Progress and result of an import job
+router.get('/import/jobs/:jobId',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_READ),
+  asyncHandler(async (req, res) => {
+    const job = await queueManager.getJobStatus('csv-import', req.params.jobId);
 
-        results.push({
-          row: rowNum,
-          status: 'created',
-          itemId: newItem.id,
-          itemName: row.itemName
-        });
-        created++;
-
-      } catch (error) {
-        results.push({
-          row: rowNum,
-          status: 'failed',
-          reason: error.message,
-          itemName: row.itemName
-        });
-        failed++;
-      }
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
     }
 
-    // Log the import
-    await AuditLog.logAction({
-      userId: req.user?.id || 'system',
-      userEmail: req.user?.email || 'system',
-      action: 'csv_import',
-      resourceType: 'item',
-      resourceId: 'bulk',
-      description: `Imported CSV: ${created} created, ${updated} updated, ${skipped} skipped, ${failed} failed`,
-      ipAddress: req.ip,
-      userAgent: req.get('User-Agent'),
-      metadata: { created, updated, skipped, failed, totalRows: rows.length }
-    });
+    // The rejected rows are served as CSV below; report only the count here
+    const { filePath, requestedBy, ...data } = job.data;
+    let result = null;
+    if (job.result) {
+      const { headers, rejected, ...summary } = job.result;
+      result = { ...summary, rejected: rejected.length };
+    }
 
     res.json({
       success: true,
       data: {
-        imported: created + updated,
-        skipped,
-        failed,
-        summary: {
-          totalRows: rows.length,
-          created,
-          updated,
-          skipped,
-          errors: failed
-        },
-        results
-      },
-      message: `Import completed: ${created} created, ${updated} updated, ${skipped} skipped, ${failed} failed`
+        job: { ...job, data, result }
+      }
     });
   })
 );
 
+// GET /api/v1/admin/import/jobs/:jobId/rejected - Rejected rows with reasons, as CSV
+router.get('/import/jobs/:jobId/rejected',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_READ),
+  asyncHandler(async (req, res) => {
+    const job = await queueManager.getJobStatus('csv-import', req.params.jobId);
+
+    if (!job || !job.result) {
+      return res.status(404).json({
+        success: false,
+        error: job ? 'Job has not finished yet' : 'Job not found'
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=rejected-rows-${job.id}.csv`);
+    res.send(buildRejectedCsv(job.result.headers, job.result.rejected));
+  })
+);
+
 // GET /api/v1/admin/import/template - Download CSV template
 router.get('/import/template',
   authenticateAdmin,
@@ -252,13 +223,21 @@ router.get('/import/template',
   asyncHandler(async (req, res) => {
     const { format = 'basic' } = req.query;
 
-    const headers = 'category,letter,itemName,description,tags,difficulty';
-    const examples = [
+    let headers = 'category,letter,itemName,description,tags,difficulty';
+    let examples = [
       'animals,A,Ant,"Small insect that lives in colonies","insect,colony,worker",1',
       'animals,B,Bear,"Large mammal that hibernates","mammal,forest,hibernate",2',
       'fruits,A,Apple,"Sweet red fruit","fruit,sweet,healthy",1'
     ];
 
+    if (format === 'translations') {
+      headers += ',name.es,description.es,facts.es,name.de,description.de';
+      examples = [
+        'animals,A,Ant,"Small insect that lives in colonies","insect,colony,worker",1,Hormiga,"Insecto pequeño que vive en colonias","Puede levantar 50 veces su peso|Vive en hormigueros",Ameise,"Kleines Insekt, das in Kolonien lebt"',
+        'animals,B,Bear,"Large mammal that hibernates","mammal,forest,hibernate",2,Oso,"Mamífero grande que hiberna",,Bär,"Großes Säugetier, das Winterschlaf hält"'
+      ];
+    }
+
     const csvContent = [headers, ...examples].join('\n');
 
     res.setHeader('Content-Type', 'text/csv');
@@ -272,70 +251,85 @@ router.get('/export/csv',
   authenticateAdmin,
   requirePermission(PERMISSIONS.ITEMS_READ),
   asyncHandler(async (req, res) => {
-    const { categoryId, publishingStatus, collectionStatus, includeMetadata = 'false' } = req.query;
+    const { categoryId, publishingStatus, collectionStatus, includeMetadata = 'false', locales } = req.query;
+
+    // ?locales=es,de (or all) adds translation columns for those locales
+    const exportLocales = !locales ? [] : locales === 'all'
+      ? TRANSLATION_LOCALES
+      : locales.split(',').map(locale => locale.trim()).filter(Boolean);
+    const unknownLocales = exportLocales.filter(locale => !TRANSLATION_LOCALES.includes(locale));
+    if (unknownLocales.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported locale(s): ${unknownLocales.join(', ')}. Use one of: ${TRANSLATION_LOCALES.join(', ')}`
+      });
+    }
+    const translationHeaders = exportLocales.flatMap(locale =>
+      TRANSLATABLE_ITEM_FIELDS.map(field => `${field}.${locale}`)
+    );
 
     // Build filter
     const filter = { status: { $ne: 'archived' } };
     if (categoryId) filter.id = categoryId;
 
-    const categories = await Category.find(filter).lean();
+    const categories = await Category.find(filter, 'id').lean();
+
+    const itemFilter = { categoryId: { $in: categories.map(category => category.id) } };
+    if (publishingStatus) itemFilter.publishingStatus = publishingStatus;
+    if (collectionStatus) itemFilter.collectionStatus = collectionStatus;
+
+    const items = await Item.find(itemFilter).sort({ categoryId: 1, letter: 1, name: 1 }).lean();
 
     // Collect items
-    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
     const rows = [];
 
-    categories.forEach(category => {
-      alphabet.split('').forEach(letter => {
-        const items = category.items[letter] || [];
-        items.forEach(item => {
-          // Apply filters
-          if (publishingStatus && item.publishingStatus !== publishingStatus) return;
-          if (collectionStatus && item.collectionStatus !== collectionStatus) return;
-
-          const tags = (item.tags || []).join(',');
-
-          if (includeMetadata === 'true') {
-            rows.push({
-              category: category.id,
-              letter,
-              itemName: item.name,
-              description: item.description || '',
-              tags,
-              difficulty: item.difficulty || 1,
-              collectionStatus: item.collectionStatus || 'pending',
-              publishingStatus: item.publishingStatus || 'draft',
-              imageCount: (item.images || []).length,
-              createdAt: item.createdAt || '',
-              updatedAt: item.updatedAt || ''
-            });
-          } else {
-            rows.push({
-              category: category.id,
-              letter,
-              itemName: item.name,
-              description: item.description || '',
-              tags,
-              difficulty: item.difficulty || 1
-            });
-          }
+    items.forEach(item => {
+      const tags = (item.tags || []).join(',');
+
+      const translated = {};
+      for (const header of translationHeaders) {
+        const [field, locale] = header.split('.');
+        const value = item.translations?.[locale]?.[field];
+        translated[header] = Array.isArray(value) ? value.join(LIST_SEPARATOR) : (value || '');
+      }
+
+      if (includeMetadata === 'true') {
+        rows.push({
+          category: item.categoryId,
+          letter: item.letter,
+          itemName: item.name,
+          description: item.description || '',
+          tags,
+          difficulty: item.difficulty || 1,
+          collectionStatus: item.collectionStatus || 'pending',
+          publishingStatus: item.publishingStatus || 'draft',
+          imageCount: (item.images || []).length,
+          createdAt: item.createdAt || '',
+          updatedAt: item.updatedAt || '',
+          ...translated
         });
-      });
+      } else {
+        rows.push({
+          category: item.categoryId,
+          letter: item.letter,
+          itemName: item.name,
+          description: item.description || '',
+          tags,
+          difficulty: item.difficulty || 1,
+          ...translated
+        });
+      }
     });
 
     // Generate CSV
-    const headers = includeMetadata === 'true'
-      ? 'category,letter,itemName,description,tags,difficulty,collectionStatus,publishingStatus,imageCount,createdAt,updatedAt'
-      : 'category,letter,itemName,description,tags,difficulty';
-
-    const csvRows = rows.map(row => {
-      return Object.values(row).map(value => {
-        // Escape quotes and wrap in quotes if contains comma or newline
-        if (typeof value === 'string' && (value.includes(',') || value.includes('\n') || value.includes('"'))) {
-          return `"${value.replace(/"/g, '""')}"`;
-        }
-        return value;
-      }).join(',');
-    });
+    const headers = [
+      includeMetadata === 'true'
+        ? 'category,letter,itemName,description,tags,difficulty,collectionStatus,publishingStatus,imageCount,createdAt,updatedAt'
+        : 'category,letter,itemName,description,tags,difficulty',
+      ...translationHeaders
+    ].join(',');
+
+    const csvRows = rows.map(row => Object.values(row).map(escapeCsvValue).join(','));
 
     const csvContent = [headers, ...csvRows].join('\n');
 
@@ -351,157 +345,202 @@ router.get('/export/csv',
   })
 );
 
-// Helper functions
-async function parseAndValidateCSV(csvContent) {
-  const lines = csvContent.trim().split('\n');
-  const errors = [];
-  const warnings = [];
-  const rows = [];
-
-  if (lines.length < 2) {
-    errors.push({
-      row: 0,
-      field: 'file',
-      message: 'CSV file is empty or has no data rows'
-    });
-    return { rows, errors, warnings };
+// Category bundles: a ZIP with the category, its items, every image size and
+// pronunciation clip, for moving content between environments
+const bundleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 200 * 1024 * 1024 // 200MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'application/zip' || file.mimetype === 'application/x-zip-compressed' || file.originalname.endsWith('.zip')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only ZIP bundles are allowed'), false);
+    }
   }
+});
 
-  // Parse header
-  const headers = parseCSVLine(lines[0]);
-  const requiredHeaders = ['category', 'letter', 'itemName'];
+// Multipart fields arrive as strings
+const parseBundleOptions = (body) => {
+  const { conflict = 'skip', targetCategoryId, resolutions } = body;
 
-  requiredHeaders.forEach(header => {
-    if (!headers.includes(header)) {
-      errors.push({
-        row: 1,
-        field: header,
-        message: `Missing required header: ${header}`
-      });
+  if (!CONFLICT_STRATEGIES.includes(conflict)) {
+    return { error: `conflict must be one of: ${CONFLICT_STRATEGIES.join(', ')}` };
+  }
+
+  let parsedResolutions = {};
+  if (resolutions) {
+    try {
+      parsedResolutions = typeof resolutions === 'string' ? JSON.parse(resolutions) : resolutions;
+    } catch (error) {
+      return { error: 'resolutions must be a JSON object of { itemId: strategy }' };
     }
-  });
+    const invalid = Object.entries(parsedResolutions).filter(([, strategy]) => !CONFLICT_STRATEGIES.includes(strategy));
+    if (invalid.length > 0) {
+      return { error: `Invalid resolution for: ${invalid.map(([itemId]) => itemId).join(', ')}` };
+    }
+  }
 
-  if (errors.length > 0) {
-    return { rows, errors, warnings };
+  if (targetCategoryId && !/^[a-z0-9][a-z0-9-_]*$/.test(targetCategoryId)) {
+    return { error: 'targetCategoryId may only contain lowercase letters, numbers, dashes and underscores' };
   }
 
-  // Get all category IDs for validation
-  const categories = await Category.find({}, 'id').lean();
-  const categoryIds = new Set(categories.map(c => c.id));
+  return { conflict, targetCategoryId: targetCategoryId || undefined, resolutions: parsedResolutions };
+};
+
+// Permissions an import plan needs on top of items.create: creating its
+// category, and changing or replacing the items it collides with
+const bundleImportPermissions = ({ categoryExists, plan }) => {
+  const actions = new Set(plan.map(({ action }) => action));
+  return [
+    ...(categoryExists ? [] : [PERMISSIONS.CATEGORIES_CREATE]),
+    ...(actions.has('merge') || actions.has('overwrite') ? [PERMISSIONS.ITEMS_UPDATE] : []),
+    ...(actions.has('overwrite') ? [PERMISSIONS.ITEMS_DELETE] : [])
+  ];
+};
+
+// GET /api/v1/admin/export/bundle/:categoryId - Download a category bundle
+router.get('/export/bundle/:categoryId',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.CATEGORIES_READ),
+  asyncHandler(async (req, res) => {
+    const exported = await categoryBundle.exportCategory(req.params.categoryId, { exportedBy: req.user?.email });
 
-  // Parse data rows
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line) continue;
+    if (!exported) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found'
+      });
+    }
 
-    const values = parseCSVLine(line);
-    const row = {};
+    const { buffer, manifest } = exported;
 
-    headers.forEach((header, index) => {
-      row[header] = values[index] || '';
+    await AuditLog.logAction({
+      userId: req.user?.id || 'system',
+      userEmail: req.user?.email || 'system',
+      action: 'bundle_export',
+      resourceType: 'category',
+      resourceId: req.params.categoryId,
+      description: `Exported bundle: ${manifest.stats.items} items, ${manifest.stats.files} files`,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: { ...manifest.stats, missingFiles: manifest.missingFiles.length, size: buffer.length }
     });
 
-    const rowNum = i + 1;
+    const timestamp = new Date().toISOString().split('T')[0];
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename=bundle-${req.params.categoryId}-${timestamp}.zip`);
+    res.send(buffer);
+  })
+);
 
-    // Validate category
-    if (!row.category) {
-      errors.push({
-        row: rowNum,
-        field: 'category',
-        message: 'Category is required'
-      });
-    } else if (!categoryIds.has(row.category)) {
-      errors.push({
-        row: rowNum,
-        field: 'category',
-        message: `Category '${row.category}' does not exist`
+// POST /api/v1/admin/import/bundle/validate - Validate a bundle and preview conflicts
+router.post('/import/bundle/validate',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_CREATE),
+  bundleUpload.single('file'),
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No file uploaded'
       });
     }
 
-    // Validate letter
-    if (!row.letter) {
-      errors.push({
-        row: rowNum,
-        field: 'letter',
-        message: 'Letter is required'
-      });
-    } else if (!/^[A-Z]$/i.test(row.letter)) {
-      errors.push({
-        row: rowNum,
-        field: 'letter',
-        message: 'Letter must be A-Z'
-      });
+    const options = parseBundleOptions(req.body);
+    if (options.error) {
+      return res.status(400).json({ success: false, error: options.error });
     }
 
-    // Validate itemName
-    if (!row.itemName || !row.itemName.trim()) {
-      errors.push({
-        row: rowNum,
-        field: 'itemName',
-        message: 'Item name is required'
-      });
-    }
+    const { manifest, errors, warnings } = await categoryBundle.readBundle(req.file.buffer);
+    const valid = errors.length === 0;
 
-    // Validate difficulty (optional)
-    if (row.difficulty && (isNaN(row.difficulty) || row.difficulty < 1 || row.difficulty > 5)) {
-      warnings.push({
-        row: rowNum,
-        field: 'difficulty',
-        message: 'Invalid difficulty (should be 1-5), will default to 1'
+    res.json({
+      success: true,
+      data: {
+        valid,
+        errors,
+        warnings,
+        ...(valid && {
+          category: { id: manifest.category.id, name: manifest.category.name },
+          exportedAt: manifest.exportedAt,
+          stats: manifest.stats,
+          preview: await categoryBundle.previewImport(manifest, options)
+        })
+      }
+    });
+  })
+);
+
+// POST /api/v1/admin/import/bundle - Import a category bundle
+router.post('/import/bundle',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_CREATE),
+  bundleUpload.single('file'),
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No file uploaded'
       });
-      row.difficulty = 1;
-    } else {
-      row.difficulty = parseInt(row.difficulty) || 1;
     }
 
-    // Parse tags
-    if (row.tags) {
-      row.tags = row.tags.split(',').map(t => t.trim()).filter(t => t);
-    } else {
-      row.tags = [];
+    const options = parseBundleOptions(req.body);
+    if (options.error) {
+      return res.status(400).json({ success: false, error: options.error });
     }
 
-    rows.push(row);
-  }
-
-  return { rows, errors, warnings };
-}
-
-function parseCSVLine(line) {
-  const result = [];
-  let current = '';
-  let inQuotes = false;
-
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
+    const bundle = await categoryBundle.readBundle(req.file.buffer);
+    if (bundle.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bundle validation failed',
+        data: {
+          valid: false,
+          errors: bundle.errors,
+          warnings: bundle.warnings
+        }
+      });
+    }
 
-    if (char === '"') {
-      if (inQuotes && line[i + 1] === '"') {
-        current += '"';
-        i++;
-      } else {
-        inQuotes = !inQuotes;
-      }
-    } else if (char === ',' && !inQuotes) {
-      result.push(current.trim());
-      current = '';
-    } else {
-      current += char;
+    const preview = await categoryBundle.previewImport(bundle.manifest, options);
+    const missing = bundleImportPermissions(preview).filter(permission => !req.user.hasPermission(permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: `This import needs permissions you do not have: ${missing.join(', ')}`,
+        code: 'PERMISSION_DENIED',
+        required: missing
+      });
     }
-  }
 
-  result.push(current.trim());
-  return result;
-}
+    const result = await categoryBundle.importBundle(bundle, {
+      ...options,
+      preview,
+      importedBy: req.user?.email || 'bundle-import'
+    });
 
-function generateItemId(name) {
-  return name.toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/(^-|-$)/g, '') + '-' + Date.now().toString(36).slice(-6);
-}
+    await AuditLog.logAction({
+      userId: req.user?.id || 'system',
+      userEmail: req.user?.email || 'system',
+      action: 'bundle_import',
+      resourceType: 'category',
+      resourceId: result.targetCategoryId,
+      description: `Imported bundle from ${result.sourceCategoryId}: ${Object.entries(result.counts).map(([status, count]) => `${count} ${status}`).join(', ') || 'no items'}`,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: { ...result.counts, conflict: options.conflict, categoryCreated: result.categoryCreated }
+    });
 
-function capitalize(str) {
-  return str.charAt(0).toUpperCase() + str.slice(1);
-}
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        warnings: bundle.warnings
+      }
+    });
+  })
+);
 
 module.exports = router;
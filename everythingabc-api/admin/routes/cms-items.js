@@ -4,7 +4,11 @@ const { authenticateAdmin } = require('../middleware/adminAuth');
 const { requirePermission, PERMISSIONS } = require('../middleware/permissions');
 const AuditLog = require('../../models/AuditLog');
 const Category = require('../../models/Category');
+const Item = require('../../models/Item');
+const Revision = require('../../models/Revision');
+const { imageFraming } = require('../../services/processing/ImageFraming');
 const asyncHandler = require('express-async-handler');
+const { TRANSLATABLE_ITEM_FIELDS, parseTranslations } = require('../../utils/locales');
 
 // GET /api/v1/admin/categories/:categoryId/items - List items for category
 router.get('/:categoryId/items',
@@ -31,21 +35,14 @@ router.get('/:categoryId/items',
     }
 
     // Collect all items
-    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-    let allItems = [];
-
-    alphabet.split('').forEach(l => {
-      if (!letter || l === letter.toUpperCase()) {
-        const items = category.items[l] || [];
-        items.forEach(item => {
-          allItems.push({
-            ...formatItemDetailed(item),
-            categoryId: category.id,
-            letter: l
-          });
-        });
-      }
-    });
+    const filter = {};
+    if (letter) filter.letter = letter.toUpperCase();
+
+    let allItems = (await Item.findByCategory(category.id, filter).lean()).map(item => ({
+      ...formatItemDetailed(item),
+      categoryId: category.id,
+      letter: item.letter
+    }));
 
     // Apply filters
     if (collectionStatus) {
@@ -113,7 +110,7 @@ router.get('/:categoryId/items/:letter',
     }
 
     const upperLetter = letter.toUpperCase();
-    const items = (category.items[upperLetter] || []).map(item => ({
+    const items = (await Item.findByLetter(category.id, upperLetter).lean()).map(item => ({
       id: item.id,
       name: item.name,
       description: item.description,
@@ -140,7 +137,7 @@ router.post('/:categoryId/items',
   requirePermission(PERMISSIONS.ITEMS_CREATE),
   asyncHandler(async (req, res) => {
     const { categoryId } = req.params;
-    const { letter, name, description, tags, difficulty, facts } = req.body;
+    const { letter, name, description, tags, difficulty, facts, pronunciation } = req.body;
 
     // Validate required fields
     if (!letter || !name) {
@@ -150,6 +147,16 @@ router.post('/:categoryId/items',
       });
     }
 
+    const { translations, error: translationError } = req.body.translations !== undefined
+      ? parseTranslations(req.body.translations, TRANSLATABLE_ITEM_FIELDS)
+      : {};
+    if (translationError) {
+      return res.status(400).json({
+        success: false,
+        error: translationError
+      });
+    }
+
     const upperLetter = letter.toUpperCase();
     if (!/^[A-Z]$/.test(upperLetter)) {
       return res.status(400).json({
@@ -170,8 +177,7 @@ router.post('/:categoryId/items',
     const itemId = generateItemId(name);
 
     // Check if item already exists
-    const existingItems = category.items[upperLetter] || [];
-    if (existingItems.some(i => i.id === itemId)) {
+    if (await Item.exists({ categoryId: category.id, id: itemId })) {
       return res.status(409).json({
         success: false,
         error: 'Item with this ID already exists in this letter'
@@ -179,35 +185,28 @@ router.post('/:categoryId/items',
     }
 
     // Create new item
-    const newItem = {
+    const newItem = Item.buildForCategory(category, upperLetter, {
       id: itemId,
       name: name.trim(),
       description: description || '',
       tags: tags || [],
       difficulty: difficulty || 1,
       facts: facts || [],
+      pronunciation,
+      translations,
       collectionStatus: 'pending',
       publishingStatus: 'draft',
       images: [],
       createdBy: req.user?.email || 'system',
       createdAt: new Date(),
       updatedAt: new Date()
-    };
+    });
 
-    // Add item to category
-    if (!category.items[upperLetter]) {
-      category.items[upperLetter] = [];
-    }
-    category.items[upperLetter].push(newItem);
+    await newItem.save();
 
     // Update metadata
-    category.metadata.totalItems = (category.metadata.totalItems || 0) + 1;
-    category.metadata.pendingItems = (category.metadata.pendingItems || 0) + 1;
-    category.metadata.draftItems = (category.metadata.draftItems || 0) + 1;
-    category.metadata.lastUpdated = new Date();
     category.lastModifiedBy = req.user?.email || 'system';
-
-    await category.save();
+    await category.refreshItemStats();
 
     // Log the creation
     await AuditLog.logAction({
@@ -219,7 +218,7 @@ router.post('/:categoryId/items',
       description: `Created item: ${name} in category ${category.name}`,
       ipAddress: req.ip,
       userAgent: req.get('User-Agent'),
-      changes: { after: newItem }
+      changes: { after: newItem.toObject() }
     });
 
     res.status(201).json({
@@ -234,6 +233,8 @@ router.post('/:categoryId/items',
           tags: newItem.tags,
           difficulty: newItem.difficulty,
           facts: newItem.facts,
+          pronunciation: newItem.pronunciation,
+          translations: newItem.translations,
           collectionStatus: newItem.collectionStatus,
           publishingStatus: newItem.publishingStatus,
           imageCount: 0,
@@ -254,54 +255,28 @@ router.put('/items/:itemId',
   requirePermission(PERMISSIONS.ITEMS_UPDATE),
   asyncHandler(async (req, res) => {
     const { itemId } = req.params;
-    const { name, description, tags, difficulty, facts } = req.body;
-
-    // Find category containing this item
-    const category = await Category.findOne({
-      $or: [
-        { 'items.A.id': itemId }, { 'items.B.id': itemId }, { 'items.C.id': itemId },
-        { 'items.D.id': itemId }, { 'items.E.id': itemId }, { 'items.F.id': itemId },
-        { 'items.G.id': itemId }, { 'items.H.id': itemId }, { 'items.I.id': itemId },
-        { 'items.J.id': itemId }, { 'items.K.id': itemId }, { 'items.L.id': itemId },
-        { 'items.M.id': itemId }, { 'items.N.id': itemId }, { 'items.O.id': itemId },
-        { 'items.P.id': itemId }, { 'items.Q.id': itemId }, { 'items.R.id': itemId },
-        { 'items.S.id': itemId }, { 'items.T.id': itemId }, { 'items.U.id': itemId },
-        { 'items.V.id': itemId }, { 'items.W.id': itemId }, { 'items.X.id': itemId },
-        { 'items.Y.id': itemId }, { 'items.Z.id': itemId }
-      ]
-    });
+    const { name, description, tags, difficulty, facts, pronunciation } = req.body;
 
-    if (!category) {
-      return res.status(404).json({
+    const { translations, error: translationError } = req.body.translations !== undefined
+      ? parseTranslations(req.body.translations, TRANSLATABLE_ITEM_FIELDS)
+      : {};
+    if (translationError) {
+      return res.status(400).json({
         success: false,
-        error: 'Item not found'
+        error: translationError
       });
     }
 
-    // Find the item
-    let itemLetter = null;
-    let itemIndex = -1;
-    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-
-    for (const letter of alphabet) {
-      const items = category.items[letter] || [];
-      const index = items.findIndex(i => i.id === itemId);
-      if (index !== -1) {
-        itemLetter = letter;
-        itemIndex = index;
-        break;
-      }
-    }
-
-    if (!itemLetter) {
+    // Item ids are only unique within a category
+    const item = await Item.findByItemId(itemId, req.query.categoryId);
+    if (!item) {
       return res.status(404).json({
         success: false,
         error: 'Item not found'
       });
     }
 
-    const item = category.items[itemLetter][itemIndex];
-    const before = { ...item };
+    const before = item.toObject();
 
     // Update fields
     if (name) item.name = name.trim();
@@ -309,14 +284,20 @@ router.put('/items/:itemId',
     if (tags) item.tags = tags;
     if (difficulty) item.difficulty = difficulty;
     if (facts) item.facts = facts;
+    if (pronunciation !== undefined) item.pronunciation = pronunciation;
+    // Replaces every locale; send the full set of translations
+    if (translations) item.translations = translations;
 
     item.updatedAt = new Date();
     item.lastModifiedBy = req.user?.email || 'system';
 
-    category.metadata.lastUpdated = new Date();
-    category.lastModifiedBy = req.user?.email || 'system';
+    await item.save();
+    await Revision.recordChange('item', before, item, { user: req.user });
 
-    await category.save();
+    await Category.updateOne(
+      { id: item.categoryId },
+      { $set: { 'metadata.lastUpdated': new Date(), lastModifiedBy: req.user?.email || 'system' } }
+    );
 
     // Log the update
     await AuditLog.logAction({
@@ -328,7 +309,7 @@ router.put('/items/:itemId',
       description: `Updated item: ${item.name}`,
       ipAddress: req.ip,
       userAgent: req.get('User-Agent'),
-      changes: { before, after: item }
+      changes: { before, after: item.toObject() }
     });
 
     res.json({
@@ -341,6 +322,8 @@ router.put('/items/:itemId',
           tags: item.tags,
           difficulty: item.difficulty,
           facts: item.facts,
+          pronunciation: item.pronunciation,
+          translations: item.translations,
           metadata: {
             updatedAt: item.updatedAt
           }
@@ -359,63 +342,24 @@ router.delete('/items/:itemId',
     const { itemId } = req.params;
     const { deleteImages = 'false' } = req.query;
 
-    // Find category containing this item
-    const category = await Category.findOne({
-      $or: [
-        { 'items.A.id': itemId }, { 'items.B.id': itemId }, { 'items.C.id': itemId },
-        { 'items.D.id': itemId }, { 'items.E.id': itemId }, { 'items.F.id': itemId },
-        { 'items.G.id': itemId }, { 'items.H.id': itemId }, { 'items.I.id': itemId },
-        { 'items.J.id': itemId }, { 'items.K.id': itemId }, { 'items.L.id': itemId },
-        { 'items.M.id': itemId }, { 'items.N.id': itemId }, { 'items.O.id': itemId },
-        { 'items.P.id': itemId }, { 'items.Q.id': itemId }, { 'items.R.id': itemId },
-        { 'items.S.id': itemId }, { 'items.T.id': itemId }, { 'items.U.id': itemId },
-        { 'items.V.id': itemId }, { 'items.W.id': itemId }, { 'items.X.id': itemId },
-        { 'items.Y.id': itemId }, { 'items.Z.id': itemId }
-      ]
-    });
-
-    if (!category) {
+    const item = await Item.findByItemId(itemId);
+    if (!item) {
       return res.status(404).json({
         success: false,
         error: 'Item not found'
       });
     }
 
-    // Find and remove the item
-    let itemLetter = null;
-    let deletedItem = null;
-    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-
-    for (const letter of alphabet) {
-      const items = category.items[letter] || [];
-      const index = items.findIndex(i => i.id === itemId);
-      if (index !== -1) {
-        itemLetter = letter;
-        deletedItem = items[index];
-        items.splice(index, 1);
-        break;
-      }
-    }
+    const deletedItem = item.toObject();
+    const deletedImages = (deletedItem.images || []).length;
 
-    const deletedImages = (deletedItem?.images || []).length;
+    await item.deleteOne();
 
     // Update metadata
-    category.metadata.totalItems = Math.max((category.metadata.totalItems || 1) - 1, 0);
-    if (deletedItem?.collectionStatus === 'pending') {
-      category.metadata.pendingItems = Math.max((category.metadata.pendingItems || 1) - 1, 0);
-    } else {
-      category.metadata.completedItems = Math.max((category.metadata.completedItems || 1) - 1, 0);
+    const category = await Category.findOne({ id: deletedItem.categoryId });
+    if (category) {
+      await category.refreshItemStats();
     }
-    if (deletedItem?.publishingStatus === 'draft') {
-      category.metadata.draftItems = Math.max((category.metadata.draftItems || 1) - 1, 0);
-    } else if (deletedItem?.publishingStatus === 'review') {
-      category.metadata.reviewItems = Math.max((category.metadata.reviewItems || 1) - 1, 0);
-    } else if (deletedItem?.publishingStatus === 'published') {
-      category.metadata.publishedItems = Math.max((category.metadata.publishedItems || 1) - 1, 0);
-    }
-    category.metadata.lastUpdated = new Date();
-
-    await category.save();
 
     // Log the deletion
     await AuditLog.logAction({
@@ -424,7 +368,7 @@ router.delete('/items/:itemId',
       action: 'delete',
       resourceType: 'item',
       resourceId: itemId,
-      description: `Deleted item: ${deletedItem?.name}`,
+      description: `Deleted item: ${deletedItem.name}`,
       ipAddress: req.ip,
       userAgent: req.get('User-Agent'),
       changes: { before: deletedItem }
@@ -455,13 +399,23 @@ function formatItemDetailed(item) {
     description: item.description,
     tags: item.tags || [],
     difficulty: item.difficulty || 1,
+    facts: item.facts || [],
+    pronunciation: item.pronunciation,
+    translations: item.translations || {},
+    audio: (item.audio || []).map(clip => ({
+      locale: clip.locale,
+      url: clip.url,
+      sourceProvider: clip.sourceProvider,
+      mimeType: clip.mimeType,
+      durationMs: clip.durationMs,
+      createdAt: clip.createdAt
+    })),
     collectionStatus: item.collectionStatus || 'pending',
     publishingStatus: item.publishingStatus || 'draft',
     imageCount: (item.images || []).length,
     images: (item.images || []).map(img => ({
       imageId: img._id || img.sourceId,
-      url: img.filePath || img.sourceUrl,
-      isPrimary: img.isPrimary || false
+      ...imageFraming.describe(img, item)
     })),
     metadata: {
       createdAt: item.createdAt,
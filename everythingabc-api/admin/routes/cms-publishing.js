@@ -4,6 +4,8 @@ const { authenticateAdmin } = require('../middleware/adminAuth');
 const { requirePermission, PERMISSIONS } = require('../middleware/permissions');
 const AuditLog = require('../../models/AuditLog');
 const Category = require('../../models/Category');
+const Item = require('../../models/Item');
+const { publishScheduler } = require('../../services/publishing/PublishScheduler');
 const asyncHandler = require('express-async-handler');
 
 // PATCH /api/v1/admin/items/:itemId/status - Update item publishing status
@@ -59,6 +61,7 @@ router.patch('/items/:itemId/status',
     updateCategoryPublishingCounts(category, oldStatus, publishingStatus);
     category.metadata.lastUpdated = new Date();
 
+    await item.save();
     await category.save();
 
     // Log the status change
@@ -160,6 +163,7 @@ router.post('/items/bulk-status',
         updateCategoryPublishingCounts(category, oldStatus, publishingStatus);
         category.metadata.lastUpdated = new Date();
 
+        await item.save();
         await category.save();
 
         results.push({
@@ -209,38 +213,38 @@ router.get('/items/pending-review',
   authenticateAdmin,
   requirePermission(PERMISSIONS.ITEMS_READ),
   asyncHandler(async (req, res) => {
-    const { categoryId, limit = 50, offset = 0 } = req.query;
+    const { categoryId, reviewerId, limit = 50, offset = 0 } = req.query;
 
     const filter = { status: 'active' };
     if (categoryId) filter.id = categoryId;
 
-    const categories = await Category.find(filter).lean();
-
-    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-    let allItems = [];
-
-    categories.forEach(category => {
-      alphabet.split('').forEach(letter => {
-        const items = category.items[letter] || [];
-        items.forEach(item => {
-          if (item.publishingStatus === 'review') {
-            allItems.push({
-              id: item.id,
-              categoryId: category.id,
-              categoryName: category.name,
-              letter,
-              name: item.name,
-              collectionStatus: item.collectionStatus,
-              publishingStatus: item.publishingStatus,
-              imageCount: (item.images || []).length,
-              metadata: {
-                updatedAt: item.updatedAt
-              }
-            });
-          }
-        });
-      });
-    });
+    const categories = await Category.find(filter, 'id name').lean();
+    const categoryNames = new Map(categories.map(category => [category.id, category.name]));
+
+    const itemFilter = {
+      categoryId: { $in: [...categoryNames.keys()] },
+      publishingStatus: 'review'
+    };
+    if (reviewerId) itemFilter['review.reviewers.userId'] = reviewerId;
+
+    const items = await Item.find(itemFilter).lean();
+
+    let allItems = items.map(item => ({
+      id: item.id,
+      categoryId: item.categoryId,
+      categoryName: categoryNames.get(item.categoryId),
+      letter: item.letter,
+      name: item.name,
+      collectionStatus: item.collectionStatus,
+      publishingStatus: item.publishingStatus,
+      imageCount: (item.images || []).length,
+      reviewers: item.review?.reviewers || [],
+      metadata: {
+        updatedAt: item.updatedAt,
+        submittedAt: item.review?.submittedAt || null,
+        submittedBy: item.review?.submittedBy || null
+      }
+    }));
 
     // Sort by most recently updated
     allItems.sort((a, b) => new Date(b.metadata.updatedAt) - new Date(a.metadata.updatedAt));
@@ -262,13 +266,73 @@ router.get('/items/pending-review',
   })
 );
 
-// POST /api/v1/admin/items/:itemId/publish - Publish item
+// GET /api/v1/admin/items/scheduled - Get items with a pending publish or unpublish date
+router.get('/items/scheduled',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_READ),
+  asyncHandler(async (req, res) => {
+    const { categoryId, limit = 50, offset = 0 } = req.query;
+
+    const filter = {
+      $or: [
+        { publishAt: { $ne: null } },
+        { unpublishAt: { $ne: null } }
+      ]
+    };
+    if (categoryId) filter.categoryId = categoryId;
+
+    const items = await Item.find(filter)
+      .select('id categoryId letter name collectionStatus publishingStatus publishAt unpublishAt scheduledBy')
+      .lean();
+
+    // Soonest transition first
+    const nextTransition = (item) => Math.min(
+      item.publishAt ? new Date(item.publishAt).getTime() : Infinity,
+      item.unpublishAt ? new Date(item.unpublishAt).getTime() : Infinity
+    );
+    items.sort((a, b) => nextTransition(a) - nextTransition(b));
+
+    const total = items.length;
+    const paginatedItems = items.slice(parseInt(offset), parseInt(offset) + parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        items: paginatedItems.map(item => ({
+          id: item.id,
+          categoryId: item.categoryId,
+          letter: item.letter,
+          name: item.name,
+          collectionStatus: item.collectionStatus,
+          publishingStatus: item.publishingStatus,
+          schedule: scheduleOf(item)
+        })),
+        total,
+        page: {
+          limit: parseInt(limit),
+          offset: parseInt(offset)
+        }
+      }
+    });
+  })
+);
+
+// POST /api/v1/admin/items/:itemId/publish - Publish item now, or at `publishAt`.
+// An optional `unpublishAt` schedules the item to expire.
 router.post('/items/:itemId/publish',
   authenticateAdmin,
   requirePermission(PERMISSIONS.ITEMS_UPDATE),
   asyncHandler(async (req, res) => {
     const { itemId } = req.params;
 
+    const schedule = publishScheduler.parseSchedule(req.body);
+    if (schedule.error) {
+      return res.status(400).json({
+        success: false,
+        error: schedule.error
+      });
+    }
+
     const { category, item, letter } = await findItemInCategories(itemId);
 
     if (!category || !item) {
@@ -278,6 +342,27 @@ router.post('/items/:itemId/publish',
       });
     }
 
+    // Scheduled publish; collection may still be pending, the item goes live
+    // once it is complete and the date has passed
+    if (publishScheduler.isFuture(schedule.publishAt)) {
+      applySchedule(item, schedule, req.user);
+      await item.save();
+
+      await logScheduleChange(req, item, `Scheduled item ${item.name} to publish at ${schedule.publishAt.toISOString()}`);
+
+      return res.json({
+        success: true,
+        data: {
+          item: {
+            id: item.id,
+            publishingStatus: item.publishingStatus,
+            schedule: scheduleOf(item)
+          }
+        },
+        message: `Item scheduled to publish at ${schedule.publishAt.toISOString()}`
+      });
+    }
+
     // Validation: Can only publish items with complete collection status
     if (item.collectionStatus === 'pending') {
       return res.status(400).json({
@@ -291,15 +376,17 @@ router.post('/items/:itemId/publish',
 
     const oldStatus = item.publishingStatus;
 
-    // Update to published
+    // Update to published; publishing now supersedes any pending publishAt
     item.publishingStatus = 'published';
     item.publishedAt = new Date();
     item.publishedBy = req.user?.email || 'system';
     item.updatedAt = new Date();
+    applySchedule(item, { ...schedule, publishAt: null }, req.user);
 
     updateCategoryPublishingCounts(category, oldStatus, 'published');
     category.metadata.lastUpdated = new Date();
 
+    await item.save();
     await category.save();
 
     // Log the publication
@@ -309,7 +396,7 @@ router.post('/items/:itemId/publish',
       action: 'publish',
       resourceType: 'item',
       resourceId: itemId,
-      description: `Published item: ${item.name}`,
+      description: `Published item: ${item.name}${item.unpublishAt ? ` (unpublishes at ${item.unpublishAt.toISOString()})` : ''}`,
       ipAddress: req.ip,
       userAgent: req.get('User-Agent')
     });
@@ -323,7 +410,8 @@ router.post('/items/:itemId/publish',
           metadata: {
             publishedAt: item.publishedAt,
             publishedBy: item.publishedBy
-          }
+          },
+          schedule: scheduleOf(item)
         }
       },
       message: 'Item published successfully'
@@ -331,7 +419,7 @@ router.post('/items/:itemId/publish',
   })
 );
 
-// POST /api/v1/admin/items/:itemId/unpublish - Unpublish item
+// POST /api/v1/admin/items/:itemId/unpublish - Unpublish item now, or at `unpublishAt`
 router.post('/items/:itemId/unpublish',
   authenticateAdmin,
   requirePermission(PERMISSIONS.ITEMS_UPDATE),
@@ -347,15 +435,48 @@ router.post('/items/:itemId/unpublish',
       });
     }
 
+    // Validated against the item's own publishAt so it can't expire before it goes live
+    const schedule = publishScheduler.parseSchedule({
+      publishAt: item.publishAt,
+      unpublishAt: req.body.unpublishAt
+    });
+    if (schedule.error) {
+      return res.status(400).json({
+        success: false,
+        error: schedule.error
+      });
+    }
+
+    if (publishScheduler.isFuture(schedule.unpublishAt)) {
+      applySchedule(item, { unpublishAt: schedule.unpublishAt }, req.user);
+      await item.save();
+
+      await logScheduleChange(req, item, `Scheduled item ${item.name} to unpublish at ${schedule.unpublishAt.toISOString()}`);
+
+      return res.json({
+        success: true,
+        data: {
+          item: {
+            id: item.id,
+            publishingStatus: item.publishingStatus,
+            schedule: scheduleOf(item)
+          }
+        },
+        message: `Item scheduled to unpublish at ${schedule.unpublishAt.toISOString()}`
+      });
+    }
+
     const oldStatus = item.publishingStatus;
 
     // Update to draft
     item.publishingStatus = 'draft';
     item.updatedAt = new Date();
+    item.unpublishAt = undefined;
 
     updateCategoryPublishingCounts(category, oldStatus, 'draft');
     category.metadata.lastUpdated = new Date();
 
+    await item.save();
     await category.save();
 
     // Log the unpublication
@@ -379,7 +500,8 @@ router.post('/items/:itemId/unpublish',
           metadata: {
             unpublishedAt: new Date(),
             unpublishedBy: req.user?.email || 'system'
-          }
+          },
+          schedule: scheduleOf(item)
         }
       },
       message: 'Item unpublished successfully'
@@ -387,7 +509,44 @@ router.post('/items/:itemId/unpublish',
   })
 );
 
-// POST /api/v1/admin/items/bulk-publish - Bulk publish items
+// DELETE /api/v1/admin/items/:itemId/schedule - Cancel pending publish/unpublish dates
+router.delete('/items/:itemId/schedule',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_UPDATE),
+  asyncHandler(async (req, res) => {
+    const { itemId } = req.params;
+
+    const { category, item } = await findItemInCategories(itemId);
+
+    if (!category || !item) {
+      return res.status(404).json({
+        success: false,
+        error: 'Item not found'
+      });
+    }
+
+    const before = scheduleOf(item);
+    applySchedule(item, { publishAt: null, unpublishAt: null }, req.user);
+    await item.save();
+
+    await logScheduleChange(req, item, `Cancelled publishing schedule for item ${item.name}`, before);
+
+    res.json({
+      success: true,
+      data: {
+        item: {
+          id: item.id,
+          publishingStatus: item.publishingStatus,
+          schedule: scheduleOf(item)
+        }
+      },
+      message: 'Publishing schedule cancelled'
+    });
+  })
+);
+
+// POST /api/v1/admin/items/bulk-publish - Bulk publish items now, or at `publishAt`.
+// An optional `unpublishAt` applies to every item.
 router.post('/items/bulk-publish',
   authenticateAdmin,
   requirePermission(PERMISSIONS.ITEMS_UPDATE),
@@ -401,6 +560,15 @@ router.post('/items/bulk-publish',
       });
     }
 
+    const schedule = publishScheduler.parseSchedule(req.body);
+    if (schedule.error) {
+      return res.status(400).json({
+        success: false,
+        error: schedule.error
+      });
+    }
+
+    const scheduled = publishScheduler.isFuture(schedule.publishAt);
     const results = [];
     let published = 0;
     let failed = 0;
@@ -419,6 +587,19 @@ router.post('/items/bulk-publish',
           continue;
         }
 
+        if (scheduled) {
+          applySchedule(item, schedule, req.user);
+          await item.save();
+
+          results.push({
+            itemId,
+            status: 'scheduled',
+            schedule: scheduleOf(item)
+          });
+          published++;
+          continue;
+        }
+
         // Validation
         if (item.collectionStatus === 'pending') {
           results.push({
@@ -436,10 +617,12 @@ router.post('/items/bulk-publish',
         item.publishedAt = new Date();
         item.publishedBy = req.user?.email || 'system';
         item.updatedAt = new Date();
+        applySchedule(item, { ...schedule, publishAt: null }, req.user);
 
         updateCategoryPublishingCounts(category, oldStatus, 'published');
         category.metadata.lastUpdated = new Date();
 
+        await item.save();
         await category.save();
 
         results.push({
@@ -458,14 +641,17 @@ router.post('/items/bulk-publish',
       }
     }
 
-    // Log bulk publication
+    // Log bulk publication. Scheduled items are logged again, one by one,
+    // when the scheduler publishes them.
     await AuditLog.logAction({
       userId: req.user?.id || 'system',
       userEmail: req.user?.email || 'system',
-      action: 'bulk_publish',
+      action: scheduled ? 'update' : 'bulk_publish',
       resourceType: 'item',
       resourceId: 'bulk',
-      description: `Bulk published ${published} items`,
+      description: scheduled
+        ? `Scheduled ${published} items to publish at ${schedule.publishAt.toISOString()}`
+        : `Bulk published ${published} items`,
       ipAddress: req.ip,
       userAgent: req.get('User-Agent'),
       metadata: { itemIds, published, failed }
@@ -474,36 +660,31 @@ router.post('/items/bulk-publish',
     res.json({
       success: true,
       data: {
-        published,
+        published: scheduled ? 0 : published,
+        scheduled: scheduled ? published : 0,
         failed,
         results
       },
-      message: `${published} items published successfully${failed > 0 ? `, ${failed} failed` : ''}`
+      message: scheduled
+        ? `${published} items scheduled to publish at ${schedule.publishAt.toISOString()}${failed > 0 ? `, ${failed} failed` : ''}`
+        : `${published} items published successfully${failed > 0 ? `, ${failed} failed` : ''}`
     });
   })
 );
 
 // Helper functions
 async function findItemInCategories(itemId) {
-  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-
-  const category = await Category.findOne({
-    $or: alphabet.split('').map(letter => ({ [`items.${letter}.id`]: itemId }))
-  });
-
-  if (!category) {
+  const item = await Item.findByItemId(itemId);
+  if (!item) {
     return { category: null, item: null, letter: null };
   }
 
-  for (const letter of alphabet) {
-    const items = category.items[letter] || [];
-    const item = items.find(i => i.id === itemId);
-    if (item) {
-      return { category, item, letter };
-    }
+  const category = await Category.findOne({ id: item.categoryId });
+  if (!category) {
+    return { category: null, item: null, letter: null };
   }
 
-  return { category: null, item: null, letter: null };
+  return { category, item, letter: item.letter };
 }
 
 function updateCategoryPublishingCounts(category, oldStatus, newStatus) {
@@ -526,4 +707,43 @@ function updateCategoryPublishingCounts(category, oldStatus, newStatus) {
   }
 }
 
+// Copy future publishAt / unpublishAt values onto the item. null clears a
+// date, undefined leaves it as it is.
+function applySchedule(item, schedule, user) {
+  for (const field of ['publishAt', 'unpublishAt']) {
+    if (schedule[field] === undefined) continue;
+    item[field] = schedule[field] || undefined;
+  }
+  item.scheduledBy = item.publishAt || item.unpublishAt
+    ? user?.email || 'system'
+    : undefined;
+}
+
+function scheduleOf(item) {
+  return {
+    publishAt: item.publishAt || null,
+    unpublishAt: item.unpublishAt || null,
+    scheduledBy: item.scheduledBy || null
+  };
+}
+
+async function logScheduleChange(req, item, description, before = null) {
+  await AuditLog.logAction({
+    userId: req.user?.id || 'system',
+    userEmail: req.user?.email || 'system',
+    action: 'update',
+    resourceType: 'item',
+    resourceId: item.id,
+    resourceName: item.name,
+    description,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    changes: {
+      before,
+      after: scheduleOf(item),
+      fields: ['publishAt', 'unpublishAt']
+    }
+  });
+}
+
 module.exports = router;
@@ -0,0 +1,537 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateAdmin } = require('../middleware/adminAuth');
+const { requirePermission, PERMISSIONS } = require('../middleware/permissions');
+const AdminUser = require('../../models/AdminUser');
+const AuditLog = require('../../models/AuditLog');
+const Category = require('../../models/Category');
+const Item = require('../../models/Item');
+const ReviewEvent = require('../../models/ReviewEvent');
+const asyncHandler = require('express-async-handler');
+
+/**
+ * Editorial review workflow
+ *
+ * Editors submit an item for review (draft → review), optionally naming
+ * reviewers. Reviewers are users holding items.approve - moderators and
+ * admins. A reviewer either approves, which publishes the item, or requests
+ * changes, which sends it back to draft with a reason. Once reviewers are
+ * assigned, only they (or an admin) can decide on the item.
+ */
+
+// GET /api/v1/admin/reviews/reviewers - Users who can be assigned as reviewers
+router.get('/reviews/reviewers',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_READ),
+  asyncHandler(async (req, res) => {
+    const users = await AdminUser.find({ isActive: true })
+      .select('id email firstName lastName role permissions');
+
+    res.json({
+      success: true,
+      data: {
+        reviewers: users
+          .filter(canReview)
+          .map(user => ({
+            id: user.id,
+            email: user.email,
+            name: user.fullName,
+            role: user.role
+          }))
+      }
+    });
+  })
+);
+
+// GET /api/v1/admin/reviews/queue - Items in review assigned to a reviewer
+router.get('/reviews/queue',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_APPROVE),
+  asyncHandler(async (req, res) => {
+    const { reviewerId = req.user.id, unassigned, categoryId, limit = 50, offset = 0 } = req.query;
+
+    const filter = { publishingStatus: 'review' };
+    if (categoryId) filter.categoryId = categoryId;
+    if (unassigned === 'true') {
+      filter['review.reviewers.0'] = { $exists: false };
+    } else {
+      filter['review.reviewers.userId'] = reviewerId;
+    }
+
+    // Oldest submissions first
+    const items = await Item.find(filter)
+      .sort({ 'review.submittedAt': 1, updatedAt: 1 })
+      .lean();
+
+    const categories = await Category.find({ id: { $in: [...new Set(items.map(item => item.categoryId))] } }, 'id name').lean();
+    const categoryNames = new Map(categories.map(category => [category.id, category.name]));
+
+    const total = items.length;
+    const paginatedItems = items.slice(parseInt(offset), parseInt(offset) + parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        reviewerId: unassigned === 'true' ? null : reviewerId,
+        items: paginatedItems.map(item => ({
+          id: item.id,
+          categoryId: item.categoryId,
+          categoryName: categoryNames.get(item.categoryId),
+          letter: item.letter,
+          name: item.name,
+          collectionStatus: item.collectionStatus,
+          publishingStatus: item.publishingStatus,
+          imageCount: (item.images || []).length,
+          review: reviewStateOf(item)
+        })),
+        total,
+        page: {
+          limit: parseInt(limit),
+          offset: parseInt(offset)
+        }
+      }
+    });
+  })
+);
+
+// GET /api/v1/admin/items/:itemId/review - Review state, comments and history
+router.get('/items/:itemId/review',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_READ),
+  asyncHandler(async (req, res) => {
+    const item = await loadItem(req);
+    if (!item) return itemNotFound(res);
+
+    const events = (await ReviewEvent.findForItem(item)).map(event => event.toSummary());
+
+    res.json({
+      success: true,
+      data: {
+        item: {
+          id: item.id,
+          categoryId: item.categoryId,
+          name: item.name,
+          collectionStatus: item.collectionStatus,
+          publishingStatus: item.publishingStatus
+        },
+        review: reviewStateOf(item),
+        comments: ReviewEvent.threadComments(events),
+        history: events
+      }
+    });
+  })
+);
+
+// POST /api/v1/admin/items/:itemId/review/submit - Send a draft for review
+router.post('/items/:itemId/review/submit',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_UPDATE),
+  asyncHandler(async (req, res) => {
+    const { reviewerIds = [], comment } = req.body;
+
+    const item = await loadItem(req);
+    if (!item) return itemNotFound(res);
+
+    if (item.publishingStatus !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        error: `Only draft items can be submitted for review (item is ${item.publishingStatus})`
+      });
+    }
+
+    const { reviewers, error } = await findReviewers(reviewerIds);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    item.publishingStatus = 'review';
+    item.review = {
+      reviewers: item.review?.reviewers || [],
+      submittedAt: new Date(),
+      submittedBy: req.user?.email || 'system'
+    };
+    const added = assignReviewers(item, reviewers, req.user);
+    await item.save();
+
+    const event = await ReviewEvent.record(item, 'submitted', req.user, { body: comment });
+    for (const reviewer of added) {
+      await ReviewEvent.record(item, 'assigned', req.user, {
+        assignee: { userId: reviewer.userId, email: reviewer.email }
+      });
+    }
+
+    await refreshCategoryStats(item);
+
+    await AuditLog.logAction({
+      userId: req.user?.id || 'system',
+      userEmail: req.user?.email || 'system',
+      action: 'update_status',
+      resourceType: 'item',
+      resourceId: item.id,
+      resourceName: item.name,
+      description: `Submitted item ${item.name} for review`,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      changes: {
+        before: { publishingStatus: 'draft' },
+        after: { publishingStatus: 'review' }
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        review: reviewStateOf(item),
+        event: event.toSummary()
+      },
+      message: 'Item submitted for review'
+    });
+  })
+);
+
+// POST /api/v1/admin/items/:itemId/review/reviewers - Assign reviewers
+router.post('/items/:itemId/review/reviewers',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_UPDATE),
+  asyncHandler(async (req, res) => {
+    const { reviewerIds } = req.body;
+
+    if (!Array.isArray(reviewerIds) || reviewerIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'reviewerIds array is required and must not be empty'
+      });
+    }
+
+    const item = await loadItem(req);
+    if (!item) return itemNotFound(res);
+
+    const { reviewers, error } = await findReviewers(reviewerIds);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    if (!item.review) item.review = {};
+    const added = assignReviewers(item, reviewers, req.user);
+    await item.save();
+
+    for (const reviewer of added) {
+      await ReviewEvent.record(item, 'assigned', req.user, {
+        assignee: { userId: reviewer.userId, email: reviewer.email }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        review: reviewStateOf(item),
+        assigned: added.map(reviewer => reviewer.userId)
+      },
+      message: added.length > 0
+        ? `${added.length} reviewer${added.length === 1 ? '' : 's'} assigned`
+        : 'Reviewers already assigned'
+    });
+  })
+);
+
+// DELETE /api/v1/admin/items/:itemId/review/reviewers/:userId - Unassign a reviewer
+router.delete('/items/:itemId/review/reviewers/:userId',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_UPDATE),
+  asyncHandler(async (req, res) => {
+    const item = await loadItem(req);
+    if (!item) return itemNotFound(res);
+
+    const reviewer = item.review?.reviewers?.find(r => r.userId === req.params.userId);
+    if (!reviewer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Reviewer is not assigned to this item'
+      });
+    }
+
+    item.review.reviewers = item.review.reviewers.filter(r => r.userId !== reviewer.userId);
+    await item.save();
+
+    await ReviewEvent.record(item, 'unassigned', req.user, {
+      assignee: { userId: reviewer.userId, email: reviewer.email }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        review: reviewStateOf(item)
+      },
+      message: `${reviewer.email} unassigned`
+    });
+  })
+);
+
+// POST /api/v1/admin/items/:itemId/review/comments - Comment, or reply with parentId
+router.post('/items/:itemId/review/comments',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_UPDATE),
+  asyncHandler(async (req, res) => {
+    const { body, parentId } = req.body;
+
+    if (!body || !body.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Comment body is required'
+      });
+    }
+
+    const item = await loadItem(req);
+    if (!item) return itemNotFound(res);
+
+    if (parentId) {
+      const parent = await ReviewEvent.findOne({
+        _id: parentId,
+        itemId: item.id,
+        categoryId: item.categoryId,
+        type: 'comment'
+      }).catch(() => null);
+
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          error: 'Parent comment not found'
+        });
+      }
+    }
+
+    const event = await ReviewEvent.record(item, 'comment', req.user, {
+      body,
+      parentId: parentId || null
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        comment: event.toSummary()
+      },
+      message: 'Comment added'
+    });
+  })
+);
+
+// POST /api/v1/admin/items/:itemId/review/request-changes - Send back to draft with a reason
+router.post('/items/:itemId/review/request-changes',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_APPROVE),
+  asyncHandler(async (req, res) => {
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason is required when requesting changes'
+      });
+    }
+
+    const item = await loadItem(req);
+    if (!item) return itemNotFound(res);
+
+    const denied = checkCanDecide(item, req.user);
+    if (denied) {
+      return res.status(denied.status).json({ success: false, error: denied.error });
+    }
+
+    item.publishingStatus = 'draft';
+    setDecision(item, 'changes_requested', req.user, reason.trim());
+    await item.save();
+
+    const event = await ReviewEvent.record(item, 'changes_requested', req.user, { body: reason });
+    await refreshCategoryStats(item);
+
+    await AuditLog.logAction({
+      userId: req.user?.id || 'system',
+      userEmail: req.user?.email || 'system',
+      action: 'reject',
+      resourceType: 'item',
+      resourceId: item.id,
+      resourceName: item.name,
+      description: `Requested changes to item ${item.name}: ${reason.trim()}`.slice(0, 500),
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      changes: {
+        before: { publishingStatus: 'review' },
+        after: { publishingStatus: 'draft' }
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        review: reviewStateOf(item),
+        event: event.toSummary()
+      },
+      message: 'Changes requested; item moved back to draft'
+    });
+  })
+);
+
+// POST /api/v1/admin/items/:itemId/review/approve - Approve and publish
+router.post('/items/:itemId/review/approve',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_APPROVE),
+  asyncHandler(async (req, res) => {
+    const { comment } = req.body;
+
+    const item = await loadItem(req);
+    if (!item) return itemNotFound(res);
+
+    const denied = checkCanDecide(item, req.user);
+    if (denied) {
+      return res.status(denied.status).json({ success: false, error: denied.error });
+    }
+
+    // Same rule as the publish endpoints
+    if (item.collectionStatus === 'pending') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Cannot publish item with pending collection status. Please add images first.'
+        }
+      });
+    }
+
+    item.publishingStatus = 'published';
+    item.publishedAt = new Date();
+    item.publishedBy = req.user?.email || 'system';
+    setDecision(item, 'approved', req.user, comment);
+    await item.save();
+
+    const event = await ReviewEvent.record(item, 'approved', req.user, { body: comment });
+    await refreshCategoryStats(item);
+
+    await AuditLog.logAction({
+      userId: req.user?.id || 'system',
+      userEmail: req.user?.email || 'system',
+      action: 'approve',
+      resourceType: 'item',
+      resourceId: item.id,
+      resourceName: item.name,
+      description: `Approved and published item ${item.name}`,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      changes: {
+        before: { publishingStatus: 'review' },
+        after: { publishingStatus: 'published' }
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        review: reviewStateOf(item),
+        event: event.toSummary()
+      },
+      message: 'Item approved and published'
+    });
+  })
+);
+
+// Helper functions
+function loadItem(req) {
+  return Item.findByItemId(req.params.itemId, req.query.categoryId);
+}
+
+function itemNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Item not found'
+  });
+}
+
+function canReview(user) {
+  return user.role === 'admin' || user.permissions.includes(PERMISSIONS.ITEMS_APPROVE);
+}
+
+// Load active users for the given ids and check they can review
+async function findReviewers(reviewerIds) {
+  if (!Array.isArray(reviewerIds)) {
+    return { error: 'reviewerIds must be an array' };
+  }
+  if (reviewerIds.length === 0) {
+    return { reviewers: [] };
+  }
+
+  const users = await AdminUser.find({ id: { $in: reviewerIds }, isActive: true });
+  const found = new Map(users.map(user => [user.id, user]));
+
+  const missing = reviewerIds.filter(id => !found.has(id));
+  if (missing.length > 0) {
+    return { error: `Unknown reviewers: ${missing.join(', ')}` };
+  }
+
+  const ineligible = users.filter(user => !canReview(user));
+  if (ineligible.length > 0) {
+    return { error: `Reviewers need the ${PERMISSIONS.ITEMS_APPROVE} permission: ${ineligible.map(user => user.email).join(', ')}` };
+  }
+
+  return { reviewers: users };
+}
+
+// Add reviewers not already assigned; returns the newly added entries
+function assignReviewers(item, users, assignedBy) {
+  const assigned = new Set((item.review.reviewers || []).map(reviewer => reviewer.userId));
+  const added = users
+    .filter(user => !assigned.has(user.id))
+    .map(user => ({
+      userId: user.id,
+      email: user.email,
+      name: user.fullName,
+      assignedAt: new Date(),
+      assignedBy: assignedBy?.email || 'system'
+    }));
+
+  item.review.reviewers = [...(item.review.reviewers || []), ...added];
+  return added;
+}
+
+function checkCanDecide(item, user) {
+  if (item.publishingStatus !== 'review') {
+    return { status: 400, error: `Item is not in review (item is ${item.publishingStatus})` };
+  }
+
+  const reviewers = item.review?.reviewers || [];
+  if (user.role !== 'admin' && reviewers.length > 0 && !reviewers.some(reviewer => reviewer.userId === user.id)) {
+    return { status: 403, error: 'Only assigned reviewers can decide on this item' };
+  }
+
+  return null;
+}
+
+function setDecision(item, decision, user, reason) {
+  item.review = {
+    ...(item.review ? item.review.toObject() : {}),
+    decision,
+    decisionReason: reason || undefined,
+    decidedAt: new Date(),
+    decidedBy: user?.email || 'system'
+  };
+}
+
+async function refreshCategoryStats(item) {
+  const category = await Category.findOne({ id: item.categoryId });
+  if (category) {
+    await category.refreshItemStats();
+  }
+}
+
+function reviewStateOf(item) {
+  const review = item.review || {};
+  return {
+    reviewers: review.reviewers || [],
+    submittedAt: review.submittedAt || null,
+    submittedBy: review.submittedBy || null,
+    decision: review.decision || null,
+    decisionReason: review.decisionReason || null,
+    decidedAt: review.decidedAt || null,
+    decidedBy: review.decidedBy || null
+  };
+}
+
+module.exports = router;
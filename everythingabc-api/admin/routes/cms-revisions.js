@@ -0,0 +1,202 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateAdmin } = require('../middleware/adminAuth');
+const { requirePermission, PERMISSIONS } = require('../middleware/permissions');
+const AuditLog = require('../../models/AuditLog');
+const Category = require('../../models/Category');
+const Item = require('../../models/Item');
+const Revision = require('../../models/Revision');
+const asyncHandler = require('express-async-handler');
+
+/**
+ * Revision history routes
+ *
+ * Items and categories share the same list / show / diff / restore endpoints;
+ * only the lookup and the permissions differ.
+ */
+const RESOURCES = {
+  item: {
+    path: '/items/:itemId/revisions',
+    readPermission: PERMISSIONS.ITEMS_READ,
+    updatePermission: PERMISSIONS.ITEMS_UPDATE,
+    load: (req) => Item.findByItemId(req.params.itemId, req.query.categoryId)
+  },
+  category: {
+    path: '/:categoryId/revisions',
+    readPermission: PERMISSIONS.CATEGORIES_READ,
+    updatePermission: PERMISSIONS.CATEGORIES_UPDATE,
+    load: (req) => Category.findOne({ id: req.params.categoryId })
+  }
+};
+
+const notFound = (res, what) => res.status(404).json({
+  success: false,
+  error: `${what} not found`
+});
+
+for (const [resourceType, resource] of Object.entries(RESOURCES)) {
+  const label = resourceType === 'item' ? 'Item' : 'Category';
+
+  // GET .../revisions - List revisions, newest first
+  router.get(resource.path,
+    authenticateAdmin,
+    requirePermission(resource.readPermission),
+    asyncHandler(async (req, res) => {
+      const { page = 1, limit = 20 } = req.query;
+      const pageNum = Math.max(parseInt(page) || 1, 1);
+      const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+      const doc = await resource.load(req);
+      if (!doc) return notFound(res, label);
+
+      const key = Revision.keyFor(resourceType, doc);
+      const [revisions, total] = await Promise.all([
+        Revision.findForResource(key, { limit: limitNum, skip: (pageNum - 1) * limitNum }),
+        Revision.countDocuments(key)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          resourceType,
+          resourceId: doc.id,
+          categoryId: key.categoryId,
+          revisions: revisions.map(revision => revision.toSummary())
+        },
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      });
+    })
+  );
+
+  // GET .../revisions/diff?from=&to= - Compare two revisions; `to` defaults
+  // to the live document
+  router.get(`${resource.path}/diff`,
+    authenticateAdmin,
+    requirePermission(resource.readPermission),
+    asyncHandler(async (req, res) => {
+      const { from, to = 'current' } = req.query;
+
+      if (!from || isNaN(parseInt(from)) || (to !== 'current' && isNaN(parseInt(to)))) {
+        return res.status(400).json({
+          success: false,
+          error: 'from must be a revision number and to a revision number or "current"'
+        });
+      }
+
+      const doc = await resource.load(req);
+      if (!doc) return notFound(res, label);
+
+      const key = Revision.keyFor(resourceType, doc);
+      const fromRevision = await Revision.findVersion(key, from);
+      const toRevision = to === 'current' ? null : await Revision.findVersion(key, to);
+
+      if (!fromRevision || (to !== 'current' && !toRevision)) {
+        return notFound(res, 'Revision');
+      }
+
+      const toSnapshot = toRevision ? toRevision.snapshot : Revision.snapshotOf(resourceType, doc);
+
+      res.json({
+        success: true,
+        data: {
+          from: fromRevision.version,
+          to: toRevision ? toRevision.version : 'current',
+          changes: Revision.diffSnapshots(resourceType, fromRevision.snapshot, toSnapshot)
+        }
+      });
+    })
+  );
+
+  // GET .../revisions/:version - Full snapshot of one revision
+  router.get(`${resource.path}/:version`,
+    authenticateAdmin,
+    requirePermission(resource.readPermission),
+    asyncHandler(async (req, res) => {
+      const doc = await resource.load(req);
+      if (!doc) return notFound(res, label);
+
+      const revision = await Revision.findVersion(Revision.keyFor(resourceType, doc), req.params.version);
+      if (!revision) return notFound(res, 'Revision');
+
+      res.json({
+        success: true,
+        data: {
+          revision: {
+            ...revision.toSummary(),
+            snapshot: revision.snapshot
+          }
+        }
+      });
+    })
+  );
+
+  // POST .../revisions/:version/restore - Restore content to a revision.
+  // The restore is itself recorded as a new revision, so it can be undone.
+  router.post(`${resource.path}/:version/restore`,
+    authenticateAdmin,
+    requirePermission(resource.updatePermission),
+    asyncHandler(async (req, res) => {
+      const { comment } = req.body;
+
+      const doc = await resource.load(req);
+      if (!doc) return notFound(res, label);
+
+      const revision = await Revision.findVersion(Revision.keyFor(resourceType, doc), req.params.version);
+      if (!revision) return notFound(res, 'Revision');
+
+      const before = doc.toObject();
+
+      for (const field of Revision.CONTENT_FIELDS[resourceType]) {
+        doc.set(field, revision.snapshot[field] !== undefined ? revision.snapshot[field] : undefined);
+      }
+      doc.lastModifiedBy = req.user?.email || 'system';
+      if (resourceType === 'category') {
+        doc.metadata.lastUpdated = new Date();
+      }
+
+      await doc.save();
+
+      const restored = await Revision.recordChange(resourceType, before, doc, {
+        user: req.user,
+        action: 'restore',
+        restoredFrom: revision.version,
+        comment
+      });
+
+      await AuditLog.logAction({
+        userId: req.user?.id || 'system',
+        userEmail: req.user?.email || 'system',
+        action: 'update',
+        resourceType,
+        resourceId: doc.id,
+        resourceName: doc.name,
+        description: `Restored ${resourceType} ${doc.name} to revision ${revision.version}`,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        changes: {
+          before: Revision.snapshotOf(resourceType, before),
+          after: revision.snapshot,
+          fields: restored ? restored.changedFields : []
+        }
+      });
+
+      res.json({
+        success: true,
+        data: {
+          [resourceType]: doc,
+          revision: restored ? restored.toSummary() : null
+        },
+        message: restored
+          ? `Restored to revision ${revision.version}`
+          : `Already matches revision ${revision.version}`
+      });
+    })
+  );
+}
+
+module.exports = router;
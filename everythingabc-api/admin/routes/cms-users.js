@@ -0,0 +1,456 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateAdmin } = require('../middleware/adminAuth');
+const { requirePermission, PERMISSIONS, ROLES } = require('../middleware/permissions');
+const {
+  ALL_PERMISSIONS,
+  ALL_ROLES,
+  MIN_PASSWORD_LENGTH,
+  validateUserInput,
+  accessChangeDenial,
+  generateTemporaryPassword
+} = require('../utils/userManagement');
+const AdminUser = require('../../models/AdminUser');
+const AdminSession = require('../../models/AdminSession');
+const AuditLog = require('../../models/AuditLog');
+const asyncHandler = require('express-async-handler');
+
+/**
+ * Admin user management routes
+ *
+ * Accounts are deactivated rather than deleted while they might come back;
+ * only an inactive account can be deleted for good.
+ */
+
+// GET /api/v1/admin/users - List users, with counts by role
+router.get('/',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.USERS_READ),
+  asyncHandler(async (req, res) => {
+    const { role, status, search } = req.query;
+
+    const filter = {};
+    if (role) filter.role = role;
+    if (status === 'active') filter.isActive = true;
+    if (status === 'inactive') filter.isActive = false;
+    if (status === 'locked') filter.lockUntil = { $gt: new Date() };
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ email: pattern }, { firstName: pattern }, { lastName: pattern }];
+    }
+
+    const [users, stats] = await Promise.all([
+      AdminUser.find(filter).sort({ createdAt: -1 }),
+      AdminUser.getUserStats()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        users: users.map(serialize),
+        stats,
+        roles: ALL_ROLES,
+        permissions: ALL_PERMISSIONS
+      }
+    });
+  })
+);
+
+// GET /api/v1/admin/users/:userId - Get one user
+router.get('/:userId',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.USERS_READ),
+  asyncHandler(async (req, res) => {
+    const user = await loadUser(req);
+    if (!user) return userNotFound(res);
+
+    res.json({
+      success: true,
+      data: { user: serialize(user) }
+    });
+  })
+);
+
+// POST /api/v1/admin/users - Create a user. They choose their own password
+// at first sign-in unless mustChangePassword is false.
+router.post('/',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.USERS_CREATE),
+  asyncHandler(async (req, res) => {
+    const { values, errors } = validateUserInput(req.body, { create: true });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user',
+        details: errors
+      });
+    }
+
+    const denial = accessChangeDenial(req.user, null, { role: ROLES.EDITOR, ...values });
+    if (denial) return forbidden(res, denial);
+
+    if (await AdminUser.exists({ email: values.email })) {
+      return res.status(409).json({
+        success: false,
+        error: 'A user with this email already exists'
+      });
+    }
+
+    const { password, ...profile } = values;
+    const user = await AdminUser.createUser({
+      ...profile,
+      passwordHash: password,
+      mustChangePassword: req.body.mustChangePassword !== false
+    }, req.user.id);
+
+    await audit(req, user, 'create', `Created ${user.role} user '${user.email}'`, {
+      changes: { after: { role: user.role, permissions: user.permissions } }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { user: serialize(user) },
+      message: 'User created successfully'
+    });
+  })
+);
+
+// PUT /api/v1/admin/users/:userId - Update profile, role and permissions.
+// A new role without permissions resets them to the role's defaults.
+router.put('/:userId',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.USERS_UPDATE),
+  asyncHandler(async (req, res) => {
+    const { values, errors } = validateUserInput(req.body);
+    if (errors.length === 0 && Object.keys(values).length === 0) {
+      errors.push('Nothing to update');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user',
+        details: errors
+      });
+    }
+
+    const user = await loadUser(req);
+    if (!user) return userNotFound(res);
+
+    const denial = accessChangeDenial(req.user, user, values);
+    if (denial) return forbidden(res, denial);
+
+    if (values.role && values.role !== ROLES.ADMIN && await isLastActiveAdmin(user)) {
+      return lastAdmin(res);
+    }
+
+    if (values.email && values.email !== user.email &&
+        await AdminUser.exists({ email: values.email, id: { $ne: user.id } })) {
+      return res.status(409).json({
+        success: false,
+        error: 'A user with this email already exists'
+      });
+    }
+
+    const fields = Object.keys(values);
+    const before = snapshot(user, [...fields, 'permissions']);
+
+    Object.assign(user, values);
+    user.lastModifiedBy = req.user.id;
+    await user.save();
+
+    const after = snapshot(user, [...fields, 'permissions']);
+    const accessChanged = 'role' in values || 'permissions' in values;
+
+    await audit(req, user, 'update', `Updated user '${user.email}'`, {
+      changes: { before, after, fields },
+      severity: accessChanged ? 'high' : 'low'
+    });
+
+    res.json({
+      success: true,
+      data: { user: serialize(user) },
+      message: 'User updated successfully'
+    });
+  })
+);
+
+// POST /api/v1/admin/users/:userId/deactivate - Block sign-in and end all
+// sessions
+router.post('/:userId/deactivate',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.USERS_UPDATE),
+  asyncHandler(async (req, res) => {
+    const user = await loadUser(req);
+    if (!user) return userNotFound(res);
+
+    if (user.id === req.user.id) return forbidden(res, 'You cannot deactivate your own account');
+    const denial = accessChangeDenial(req.user, user);
+    if (denial) return forbidden(res, denial);
+    if (await isLastActiveAdmin(user)) return lastAdmin(res);
+
+    user.isActive = false;
+    user.lastModifiedBy = req.user.id;
+    await user.save();
+    await AdminSession.revokeForUser(user.id, 'deactivated');
+
+    await audit(req, user, 'update', `Deactivated user '${user.email}'`, {
+      changes: { before: { isActive: true }, after: { isActive: false }, fields: ['isActive'] },
+      severity: 'high'
+    });
+
+    res.json({
+      success: true,
+      data: { user: serialize(user) },
+      message: 'User deactivated'
+    });
+  })
+);
+
+// POST /api/v1/admin/users/:userId/activate - Allow a deactivated user to
+// sign in again
+router.post('/:userId/activate',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.USERS_UPDATE),
+  asyncHandler(async (req, res) => {
+    const user = await loadUser(req);
+    if (!user) return userNotFound(res);
+
+    const denial = accessChangeDenial(req.user, user);
+    if (denial) return forbidden(res, denial);
+
+    user.isActive = true;
+    user.lastModifiedBy = req.user.id;
+    await user.save();
+
+    await audit(req, user, 'update', `Reactivated user '${user.email}'`, {
+      changes: { before: { isActive: false }, after: { isActive: true }, fields: ['isActive'] },
+      severity: 'high'
+    });
+
+    res.json({
+      success: true,
+      data: { user: serialize(user) },
+      message: 'User activated'
+    });
+  })
+);
+
+// POST /api/v1/admin/users/:userId/reset-password - Set a temporary password
+// the user must replace at next sign-in. Without a `password` in the body
+// one is generated and returned once.
+router.post('/:userId/reset-password',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.USERS_UPDATE),
+  asyncHandler(async (req, res) => {
+    const password = req.body?.password;
+    if (password !== undefined && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+      return res.status(400).json({
+        success: false,
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+      });
+    }
+
+    const user = await loadUser(req);
+    if (!user) return userNotFound(res);
+
+    if (user.id === req.user.id) {
+      return forbidden(res, 'Use change-password to change your own password');
+    }
+    const denial = accessChangeDenial(req.user, user);
+    if (denial) return forbidden(res, denial);
+
+    const temporaryPassword = password || generateTemporaryPassword();
+
+    user.passwordHash = temporaryPassword;
+    user.mustChangePassword = true;
+    user.loginAttempts = 0;
+    user.lockUntil = null;
+    user.lastModifiedBy = req.user.id;
+    await user.save();
+    await AdminSession.revokeForUser(user.id, 'password_reset');
+
+    await audit(req, user, 'update', `Reset the password of '${user.email}'`, {
+      severity: 'high'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        user: serialize(user),
+        ...(password ? {} : { temporaryPassword })
+      },
+      message: 'Password reset. The user must choose a new password at next sign-in.'
+    });
+  })
+);
+
+// POST /api/v1/admin/users/:userId/unlock - Clear a lockout after too many
+// failed sign-ins
+router.post('/:userId/unlock',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.USERS_UPDATE),
+  asyncHandler(async (req, res) => {
+    const user = await loadUser(req);
+    if (!user) return userNotFound(res);
+
+    const denial = accessChangeDenial(req.user, user);
+    if (denial) return forbidden(res, denial);
+
+    const wasLocked = user.isLocked;
+    await user.resetLoginAttempts();
+    user.loginAttempts = 0;
+    user.lockUntil = null;
+
+    await audit(req, user, 'update', `Unlocked user '${user.email}'`, {
+      changes: { before: { isLocked: wasLocked }, after: { isLocked: false }, fields: ['isLocked'] },
+      severity: 'medium'
+    });
+
+    res.json({
+      success: true,
+      data: { user: serialize(user) },
+      message: wasLocked ? 'User unlocked' : 'User was not locked'
+    });
+  })
+);
+
+// POST /api/v1/admin/users/:userId/reset-two-factor - Remove two-factor
+// authentication from a user who lost their device and end their sessions.
+// They enroll again at next sign-in.
+router.post('/:userId/reset-two-factor',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.USERS_UPDATE),
+  asyncHandler(async (req, res) => {
+    const user = await loadUser(req);
+    if (!user) return userNotFound(res);
+
+    if (user.id === req.user.id) {
+      return forbidden(res, 'Use the two-factor settings to change your own');
+    }
+    const denial = accessChangeDenial(req.user, user);
+    if (denial) return forbidden(res, denial);
+
+    if (!user.twoFactorEnabled && !user.twoFactorPendingSecret) {
+      return res.status(409).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled for this user'
+      });
+    }
+
+    const wasEnabled = user.twoFactorEnabled;
+    user.clearTwoFactor();
+    user.lastModifiedBy = req.user.id;
+    await user.save();
+    await AdminSession.revokeForUser(user.id, 'two_factor_reset');
+
+    await audit(req, user, 'two_factor_reset', `Reset two-factor authentication of '${user.email}'`, {
+      changes: { before: { twoFactorEnabled: wasEnabled }, after: { twoFactorEnabled: false }, fields: ['twoFactorEnabled'] },
+      severity: 'high'
+    });
+
+    res.json({
+      success: true,
+      data: { user: serialize(user) },
+      message: 'Two-factor authentication reset'
+    });
+  })
+);
+
+// DELETE /api/v1/admin/users/:userId - Delete a deactivated user for good
+router.delete('/:userId',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.USERS_DELETE),
+  asyncHandler(async (req, res) => {
+    const user = await loadUser(req);
+    if (!user) return userNotFound(res);
+
+    if (user.id === req.user.id) return forbidden(res, 'You cannot delete your own account');
+    const denial = accessChangeDenial(req.user, user);
+    if (denial) return forbidden(res, denial);
+
+    if (user.isActive) {
+      return res.status(409).json({
+        success: false,
+        error: 'Deactivate the user before deleting them'
+      });
+    }
+
+    await AdminUser.deleteOne({ id: user.id });
+
+    await audit(req, user, 'delete', `Deleted user '${user.email}'`, {
+      changes: { before: { email: user.email, role: user.role } },
+      severity: 'high'
+    });
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully'
+    });
+  })
+);
+
+// Helper functions
+function loadUser(req) {
+  // AdminUser.findById only finds active users
+  return AdminUser.findOne({ id: req.params.userId });
+}
+
+function serialize(user) {
+  return {
+    ...user.toSafeObject(),
+    loginAttempts: user.loginAttempts || 0,
+    lockUntil: user.isLocked ? user.lockUntil : null
+  };
+}
+
+function snapshot(user, fields) {
+  return Object.fromEntries(fields.map(field => {
+    const value = user[field];
+    return [field, Array.isArray(value) ? [...value] : value];
+  }));
+}
+
+async function isLastActiveAdmin(user) {
+  if (user.role !== ROLES.ADMIN || !user.isActive) return false;
+  return (await AdminUser.countDocuments({ role: ROLES.ADMIN, isActive: true })) <= 1;
+}
+
+function userNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'User not found'
+  });
+}
+
+function forbidden(res, error) {
+  return res.status(403).json({
+    success: false,
+    error,
+    code: 'USER_CHANGE_DENIED'
+  });
+}
+
+function lastAdmin(res) {
+  return res.status(409).json({
+    success: false,
+    error: 'At least one active admin is required'
+  });
+}
+
+function audit(req, user, action, description, { changes = null, severity = 'medium' } = {}) {
+  return AuditLog.logAction({
+    userId: req.user.id,
+    userEmail: req.user.email,
+    action,
+    resourceType: 'user',
+    resourceId: user.id,
+    resourceName: user.fullName,
+    description,
+    changes,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent') || 'unknown',
+    severity
+  });
+}
+
+module.exports = router;
@@ -5,7 +5,11 @@ const { requirePermission } = require('../middleware/permissions');
 const { PERMISSIONS } = require('../middleware/permissions');
 const AuditLog = require('../../models/AuditLog');
 const Category = require('../../models/Category');
+const Item = require('../../models/Item');
 const AdminUser = require('../../models/AdminUser');
+const ApiKey = require('../../models/ApiKey');
+const ApiKeyUsage = require('../../models/ApiKeyUsage');
+const { rateLimitManager } = require('../../services/rateLimit/RateLimitManager');
 const asyncHandler = require('express-async-handler');
 
 // GET /admin/dashboard/overview - Main dashboard overview
@@ -155,6 +159,70 @@ router.get('/activity-feed',
   })
 );
 
+// GET /admin/dashboard/rate-limits - Rate limit policies and recent rejections
+router.get('/rate-limits',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ANALYTICS_READ),
+  asyncHandler(async (req, res) => {
+    const hours = Math.min(Math.max(parseInt(req.query.hours, 10) || 24, 1), 24 * 30);
+
+    res.json({
+      success: true,
+      data: {
+        store: rateLimitManager.store,
+        policies: rateLimitManager.describePolicies(),
+        hours,
+        rejections: await AuditLog.getRateLimitStats(hours)
+      }
+    });
+  })
+);
+
+// GET /admin/dashboard/api-usage - API key traffic per day and per key
+router.get('/api-usage',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ANALYTICS_READ),
+  asyncHandler(async (req, res) => {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const keyId = req.query.keyId || null;
+
+    const [{ since, byKey, byDay }, keys] = await Promise.all([
+      ApiKeyUsage.summarize({ days, keyId }),
+      ApiKey.find(keyId ? { id: keyId } : {})
+    ]);
+    const keysById = new Map(keys.map(key => [key.id, key]));
+
+    const totals = byDay.reduce((sum, day) => ({
+      requests: sum.requests + day.requests,
+      rejected: sum.rejected + day.rejected
+    }), { requests: 0, rejected: 0 });
+
+    res.json({
+      success: true,
+      data: {
+        days,
+        since,
+        totals: {
+          ...totals,
+          activeKeys: keys.filter(key => !key.inactiveReason()).length,
+          keysUsed: byKey.length
+        },
+        byDay,
+        byKey: byKey.map(usage => {
+          const key = keysById.get(usage.keyId);
+          return {
+            ...usage,
+            name: key?.name || null,
+            owner: key?.owner || null,
+            keyPrefix: key?.keyPrefix || null,
+            status: key?.status || null,
+            dailyQuota: key?.dailyQuota || null
+          };
+        })
+      }
+    });
+  })
+);
 
 // GET /admin/dashboard/export - Export dashboard data
 router.get('/export',
@@ -243,9 +311,9 @@ async function getRecentActivity(timeframe) {
 async function getPendingReviews() {
   // This would typically query a reviews collection
   // For now, we'll simulate by finding items with pending status
-  const categoriesWithPending = await Category.find({
+  const categoriesWithPending = await Item.attachToCategories(await Category.find({
     status: { $ne: 'archived' }
-  }).lean();
+  }).lean());
 
   let pendingReviews = [];
 
@@ -304,9 +372,9 @@ async function getSystemHealth() {
 }
 
 async function getCompletionStatistics() {
-  const categories = await Category.find({
+  const categories = await Item.attachToCategories(await Category.find({
     status: { $ne: 'archived' }
-  }).lean();
+  }).lean());
 
   let totalLetters = 0;
   let completedLetters = 0;
@@ -442,9 +510,9 @@ async function getPerformanceMetrics() {
 }
 
 async function getContentHealthMetrics() {
-  const categories = await Category.find({
+  const categories = await Item.attachToCategories(await Category.find({
     status: { $ne: 'archived' }
-  }).lean();
+  }).lean());
 
   let totalItems = 0;
   let approvedItems = 0;
@@ -497,9 +565,9 @@ async function getContentHealthMetrics() {
 }
 
 async function getPlatformGapsAnalysis() {
-  const categories = await Category.find({
+  const categories = await Item.attachToCategories(await Category.find({
     status: { $ne: 'archived' }
-  }).lean();
+  }).lean());
 
   const letterStats = {};
   'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('').forEach(letter => {
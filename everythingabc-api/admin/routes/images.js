@@ -0,0 +1,181 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs-extra');
+const { authenticateAdmin } = require('../middleware/adminAuth');
+const { requirePermission } = require('../middleware/permissions');
+const { PERMISSIONS } = require('../middleware/permissions');
+const AuditLog = require('../../models/AuditLog');
+const Item = require('../../models/Item');
+const PerceptualHash = require('../../services/analysis/PerceptualHash');
+const FileOrganizer = require('../../services/storage/FileOrganizer');
+const asyncHandler = require('express-async-handler');
+const logger = require('../../utils/logger');
+
+const perceptualHash = new PerceptualHash();
+const fileOrganizer = new FileOrganizer();
+
+// Best image to keep in a cluster: approved over pending, primary images
+// first, then the higher quality score
+const keepRank = (image) => [
+  image.status === 'approved' ? 1 : 0,
+  image.isPrimary ? 1 : 0,
+  image.qualityScore || 0
+];
+
+const compareForKeep = (a, b) => {
+  const rankA = keepRank(a);
+  const rankB = keepRank(b);
+  for (let i = 0; i < rankA.length; i++) {
+    if (rankA[i] !== rankB[i]) return rankB[i] - rankA[i];
+  }
+  return 0;
+};
+
+// GET /admin/images/duplicates - List near-duplicate image clusters
+router.get('/duplicates',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_READ),
+  asyncHandler(async (req, res) => {
+    const {
+      threshold,
+      categoryId,
+      includeRejected = 'false',
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    const maxDistance = Math.min(Math.max(parseInt(threshold) || perceptualHash.config.threshold, 0), 16);
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const entries = await Item.getImageHashIndex({ includeRejected: includeRejected === 'true' });
+
+    let clusters = perceptualHash.findClusters(entries, maxDistance).map(images => {
+      const sorted = [...images].sort(compareForKeep);
+      return {
+        size: sorted.length,
+        categories: [...new Set(sorted.map(image => image.categoryId))],
+        items: [...new Set(sorted.map(image => `${image.categoryId}/${image.itemId}`))],
+        suggestedKeep: sorted[0],
+        images: sorted.map(image => ({
+          ...image,
+          distance: PerceptualHash.hammingDistance(sorted[0].perceptualHash, image.perceptualHash)
+        }))
+      };
+    });
+
+    // A cluster belongs to a category if any of its images does, so
+    // cross-category copies still show up from either side
+    if (categoryId) {
+      clusters = clusters.filter(cluster => cluster.categories.includes(categoryId));
+    }
+
+    clusters.sort((a, b) => b.size - a.size);
+
+    const total = clusters.length;
+    const paged = clusters.slice((pageNum - 1) * limitNum, pageNum * limitNum);
+
+    res.json({
+      success: true,
+      data: {
+        clusters: paged,
+        threshold: maxDistance,
+        hashedImages: entries.length,
+        duplicateImages: clusters.reduce((sum, cluster) => sum + cluster.size - 1, 0)
+      },
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+  })
+);
+
+// POST /admin/images/duplicates/resolve - Reject and archive duplicate copies
+router.post('/duplicates/resolve',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_APPROVE),
+  asyncHandler(async (req, res) => {
+    const { keep, discard } = req.body;
+
+    if (!keep?.sourceId || !Array.isArray(discard) || discard.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'keep and a non-empty discard list are required'
+      });
+    }
+
+    const results = [];
+
+    for (const target of discard) {
+      const { categoryId, itemId, sourceId } = target || {};
+
+      if (!categoryId || !itemId || !sourceId) {
+        results.push({ ...target, success: false, error: 'categoryId, itemId and sourceId are required' });
+        continue;
+      }
+
+      if (sourceId === keep.sourceId && itemId === keep.itemId && categoryId === keep.categoryId) {
+        results.push({ ...target, success: false, error: 'Cannot discard the image being kept' });
+        continue;
+      }
+
+      const item = await Item.findByItemId(itemId, categoryId);
+      const image = item?.images.find(img => img.sourceId === sourceId);
+
+      if (!image) {
+        results.push({ ...target, success: false, error: 'Image not found' });
+        continue;
+      }
+
+      // Only local files can be archived; CDN copies stay where they are
+      const localPaths = [image.filePath, ...(image.processedSizes || []).map(size => size.path)]
+        .filter(filePath => filePath && !/^https?:\/\//.test(filePath));
+
+      const archived = [];
+      for (const filePath of new Set(localPaths)) {
+        try {
+          if (await fs.pathExists(filePath)) {
+            archived.push(await fileOrganizer.archiveImage(filePath, 'duplicate'));
+          }
+        } catch (error) {
+          logger.warn(`Failed to archive duplicate image file: ${filePath}`, error);
+        }
+      }
+
+      image.status = 'rejected';
+      image.isPrimary = false;
+      image.rejectionReason = 'Duplicate image';
+      image.rejectionDetails = { duplicateOf: keep, archivedPaths: archived };
+      image.updatedAt = new Date();
+
+      await item.save();
+
+      await AuditLog.logAction({
+        userId: req.user.id,
+        userEmail: req.user.email,
+        action: 'reject',
+        resourceType: 'item',
+        resourceId: `${categoryId}/${itemId}`,
+        resourceName: item.name,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        description: `Rejected duplicate image ${image.sourceProvider}/${sourceId} (kept ${keep.sourceId})`
+      });
+
+      results.push({ ...target, success: true, archived: archived.length });
+    }
+
+    const resolved = results.filter(result => result.success).length;
+
+    res.json({
+      success: resolved > 0,
+      message: `Resolved ${resolved} of ${discard.length} duplicate images`,
+      data: { results }
+    });
+  })
+);
+
+module.exports = router;
@@ -4,7 +4,9 @@ const { authenticateAdmin } = require('../middleware/adminAuth');
 const { requirePermission } = require('../middleware/permissions');
 const { PERMISSIONS } = require('../middleware/permissions');
 const { AuditLog } = require('../../models/AuditLog');
-const { Category } = require('../../models/Category');
+const Category = require('../../models/Category');
+const Item = require('../../models/Item');
+const Revision = require('../../models/Revision');
 const asyncHandler = require('express-async-handler');
 const multer = require('multer');
 const path = require('path');
@@ -59,23 +61,8 @@ router.get('/:categoryId/items',
       });
     }
 
-    let items = [];
-    const categoryItems = category.items || {};
-
-    if (letter) {
-      // Get items for specific letter
-      items = categoryItems[letter.toUpperCase()] || [];
-    } else {
-      // Get all items
-      const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
-      alphabet.forEach(l => {
-        const letterItems = (categoryItems[l] || []).map(item => ({
-          ...item,
-          letter: l
-        }));
-        items = items.concat(letterItems);
-      });
-    }
+    const filter = letter ? { letter: letter.toUpperCase() } : {};
+    let items = await Item.findByCategory(category.id, filter).lean();
 
     // Apply filters
     if (status) {
@@ -154,20 +141,7 @@ router.get('/:categoryId/items/:itemId',
       });
     }
 
-    // Find item across all letters
-    let foundItem = null;
-    let itemLetter = null;
-    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
-
-    for (const letter of alphabet) {
-      const items = category.items[letter] || [];
-      const item = items.find(i => i.id === itemId);
-      if (item) {
-        foundItem = item;
-        itemLetter = letter;
-        break;
-      }
-    }
+    const foundItem = await Item.findByItemId(itemId, category.id).lean();
 
     if (!foundItem) {
       return res.status(404).json({
@@ -190,7 +164,6 @@ router.get('/:categoryId/items/:itemId',
       data: {
         item: {
           ...foundItem,
-          letter: itemLetter,
           categoryId,
           categoryName: category.name
         }
@@ -272,11 +245,11 @@ router.post('/:categoryId/items',
       }
     };
 
-    // Add item to category using atomic operation
-    const updateResult = await Category.updateOne(
+    await Item.buildForCategory(category, targetLetter, newItem).save();
+
+    await Category.updateOne(
       { _id: categoryId },
       {
-        $push: { [`items.${targetLetter}`]: newItem },
         $inc: { 'metadata.totalItems': 1 },
         $set: {
           'metadata.lastUpdated': new Date(),
@@ -286,13 +259,6 @@ router.post('/:categoryId/items',
       }
     );
 
-    if (updateResult.modifiedCount === 0) {
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to add item to category'
-      });
-    }
-
     // Update gaps analysis
     await updateGapsAnalysis(categoryId);
 
@@ -340,30 +306,14 @@ router.put('/:categoryId/items/:itemId',
       });
     }
 
-    // Find the item and its letter
-    let itemLetter = null;
-    let itemIndex = -1;
-    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
-
-    for (const letter of alphabet) {
-      const items = category.items[letter] || [];
-      const index = items.findIndex(i => i.id === itemId);
-      if (index !== -1) {
-        itemLetter = letter;
-        itemIndex = index;
-        break;
-      }
-    }
-
-    if (!itemLetter) {
+    const existingItem = await Item.findByItemId(itemId, category.id).lean();
+    if (!existingItem) {
       return res.status(404).json({
         success: false,
         message: 'Item not found'
       });
     }
 
-    const existingItem = category.items[itemLetter][itemIndex];
-
     // Process image update if provided
     let imageData = existingItem.image;
     if (req.file) {
@@ -380,43 +330,49 @@ router.put('/:categoryId/items/:itemId',
 
     // Prepare update data
     const updateData = {};
-    if (req.body.name) updateData[`items.${itemLetter}.${itemIndex}.name`] = req.body.name.trim();
-    if (req.body.description !== undefined) updateData[`items.${itemLetter}.${itemIndex}.description`] = req.body.description;
+    if (req.body.name) updateData.name = req.body.name.trim();
+    if (req.body.description !== undefined) updateData.description = req.body.description;
     if (req.body.alternativeNames) {
-      updateData[`items.${itemLetter}.${itemIndex}.alternativeNames`] =
-        req.body.alternativeNames.split(',').map(n => n.trim());
+      updateData.alternativeNames = req.body.alternativeNames.split(',').map(n => n.trim());
     }
-    if (req.body.difficulty) updateData[`items.${itemLetter}.${itemIndex}.attributes.difficulty`] = parseInt(req.body.difficulty);
-    if (req.body.rarity) updateData[`items.${itemLetter}.${itemIndex}.attributes.rarity`] = req.body.rarity;
-    if (req.body.culturalContext) updateData[`items.${itemLetter}.${itemIndex}.attributes.culturalContext`] = req.body.culturalContext;
-    if (req.body.ageAppropriateness) updateData[`items.${itemLetter}.${itemIndex}.attributes.ageAppropriateness`] = parseInt(req.body.ageAppropriateness);
+    if (req.body.difficulty) updateData['attributes.difficulty'] = parseInt(req.body.difficulty);
+    if (req.body.rarity) updateData['attributes.rarity'] = req.body.rarity;
+    if (req.body.culturalContext) updateData['attributes.culturalContext'] = req.body.culturalContext;
+    if (req.body.ageAppropriateness) updateData['attributes.ageAppropriateness'] = parseInt(req.body.ageAppropriateness);
 
     if (req.file) {
-      updateData[`items.${itemLetter}.${itemIndex}.image`] = imageData;
+      updateData.image = imageData;
     }
 
-    updateData[`items.${itemLetter}.${itemIndex}.audit.updatedAt`] = new Date();
-    updateData[`items.${itemLetter}.${itemIndex}.audit.lastModifiedBy`] = req.user.id;
-    updateData['metadata.lastUpdated'] = new Date();
-    updateData['audit.lastModifiedBy'] = req.user.id;
     updateData['audit.updatedAt'] = new Date();
+    updateData['audit.lastModifiedBy'] = req.user.id;
 
     // Update the item
-    const updateResult = await Category.updateOne(
-      { _id: categoryId },
-      { $set: updateData }
+    const updatedItem = await Item.findOneAndUpdate(
+      { _id: existingItem._id },
+      { $set: updateData },
+      { new: true, lean: true }
     );
 
-    if (updateResult.modifiedCount === 0) {
+    if (!updatedItem) {
       return res.status(500).json({
         success: false,
         message: 'Failed to update item'
       });
     }
 
-    // Get updated item
-    const updatedCategory = await Category.findById(categoryId);
-    const updatedItem = updatedCategory.items[itemLetter][itemIndex];
+    await Revision.recordChange('item', existingItem, updatedItem, { user: req.user });
+
+    await Category.updateOne(
+      { _id: categoryId },
+      {
+        $set: {
+          'metadata.lastUpdated': new Date(),
+          'audit.lastModifiedBy': req.user.id,
+          'audit.updatedAt': new Date()
+        }
+      }
+    );
 
     // Log the update
     await AuditLog.logAction({
@@ -438,7 +394,6 @@ router.put('/:categoryId/items/:itemId',
       data: {
         item: {
           ...updatedItem,
-          letter: itemLetter,
           categoryId,
           categoryName: category.name
         }
@@ -462,33 +417,27 @@ router.delete('/:categoryId/items/:itemId',
       });
     }
 
-    // Find the item and its letter
-    let itemLetter = null;
-    let existingItem = null;
-    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
-
-    for (const letter of alphabet) {
-      const items = category.items[letter] || [];
-      const item = items.find(i => i.id === itemId);
-      if (item) {
-        itemLetter = letter;
-        existingItem = item;
-        break;
-      }
-    }
-
-    if (!itemLetter) {
+    const existingItem = await Item.findByItemId(itemId, category.id).lean();
+    if (!existingItem) {
       return res.status(404).json({
         success: false,
         message: 'Item not found'
       });
     }
 
-    // Remove item from category
-    const updateResult = await Category.updateOne(
+    // Remove item from the collection
+    const deleteResult = await Item.deleteOne({ _id: existingItem._id });
+
+    if (deleteResult.deletedCount === 0) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete item'
+      });
+    }
+
+    await Category.updateOne(
       { _id: categoryId },
       {
-        $pull: { [`items.${itemLetter}`]: { id: itemId } },
         $inc: { 'metadata.totalItems': -1 },
         $set: {
           'metadata.lastUpdated': new Date(),
@@ -498,13 +447,6 @@ router.delete('/:categoryId/items/:itemId',
       }
     );
 
-    if (updateResult.modifiedCount === 0) {
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to delete item'
-      });
-    }
-
     // Update gaps analysis
     await updateGapsAnalysis(categoryId);
 
@@ -665,7 +607,7 @@ async function updateGapsAnalysis(categoryId) {
   const category = await Category.findById(categoryId);
   if (!category) return;
 
-  const items = category.items || {};
+  const items = await category.loadItems();
   const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
 
   const missingLetters = [];
@@ -703,38 +645,24 @@ async function updateItemStatus(categoryId, itemId, status, metadata) {
     return { success: false, statusCode: 404, message: 'Category not found' };
   }
 
-  // Find the item
-  let itemLetter = null;
-  let itemIndex = -1;
-  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
-
-  for (const letter of alphabet) {
-    const items = category.items[letter] || [];
-    const index = items.findIndex(i => i.id === itemId);
-    if (index !== -1) {
-      itemLetter = letter;
-      itemIndex = index;
-      break;
-    }
-  }
-
-  if (!itemLetter) {
+  const item = await Item.findByItemId(itemId, category.id).select('_id').lean();
+  if (!item) {
     return { success: false, statusCode: 404, message: 'Item not found' };
   }
 
   // Update item status
   const updateData = {
-    [`items.${itemLetter}.${itemIndex}.quality.status`]: status,
-    [`items.${itemLetter}.${itemIndex}.quality.expertReviewed`]: true,
-    [`items.${itemLetter}.${itemIndex}.audit.updatedAt`]: new Date()
+    'quality.status': status,
+    'quality.expertReviewed': true,
+    'audit.updatedAt': new Date()
   };
 
   if (metadata.score) {
-    updateData[`items.${itemLetter}.${itemIndex}.quality.score`] = metadata.score;
+    updateData['quality.score'] = metadata.score;
   }
 
-  const updateResult = await Category.updateOne(
-    { _id: categoryId },
+  const updateResult = await Item.updateOne(
+    { _id: item._id },
     { $set: updateData }
   );
 
@@ -773,42 +701,11 @@ async function bulkRejectItems(categoryId, itemIds, reason, userId) {
 
 async function bulkDeleteItems(categoryId, itemIds, userId) {
   const results = [];
+  const category = await Category.findById(categoryId).select('id').lean();
   for (const itemId of itemIds) {
     try {
-      const updateResult = await Category.updateOne(
-        { _id: categoryId },
-        {
-          $pull: {
-            'items.A': { id: itemId },
-            'items.B': { id: itemId },
-            'items.C': { id: itemId },
-            'items.D': { id: itemId },
-            'items.E': { id: itemId },
-            'items.F': { id: itemId },
-            'items.G': { id: itemId },
-            'items.H': { id: itemId },
-            'items.I': { id: itemId },
-            'items.J': { id: itemId },
-            'items.K': { id: itemId },
-            'items.L': { id: itemId },
-            'items.M': { id: itemId },
-            'items.N': { id: itemId },
-            'items.O': { id: itemId },
-            'items.P': { id: itemId },
-            'items.Q': { id: itemId },
-            'items.R': { id: itemId },
-            'items.S': { id: itemId },
-            'items.T': { id: itemId },
-            'items.U': { id: itemId },
-            'items.V': { id: itemId },
-            'items.W': { id: itemId },
-            'items.X': { id: itemId },
-            'items.Y': { id: itemId },
-            'items.Z': { id: itemId }
-          }
-        }
-      );
-      results.push({ itemId, success: updateResult.modifiedCount > 0 });
+      const deleteResult = await Item.deleteOne({ categoryId: category?.id, id: itemId });
+      results.push({ itemId, success: deleteResult.deletedCount > 0 });
     } catch (error) {
       results.push({ itemId, success: false, error: error.message });
     }
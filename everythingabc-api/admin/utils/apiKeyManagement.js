@@ -0,0 +1,85 @@
+const ApiKey = require('../../models/ApiKey');
+
+// Fields an admin may set on a key. The key itself is generated and never
+// changes; a leaked key is revoked and a new one issued.
+const API_KEY_FIELDS = ['name', 'owner', 'contactEmail', 'scopes', 'dailyQuota', 'expiresAt', 'notes'];
+
+const MAX_DAILY_QUOTA = 10000000;
+
+/**
+ * Validate a create or update request for an API key.
+ *
+ * @param {Object} body - Request body
+ * @param {Object} [options]
+ * @param {boolean} [options.create=false] - Require the fields a new key needs
+ * @returns {{ values: Object, errors: string[] }} Only the recognised fields
+ *   that were sent end up in `values`
+ */
+const validateApiKeyInput = (body = {}, { create = false } = {}) => {
+  const values = {};
+  const errors = [];
+
+  for (const field of API_KEY_FIELDS) {
+    if (body[field] !== undefined) values[field] = body[field];
+  }
+
+  if (create) {
+    for (const field of ['name', 'owner', 'scopes']) {
+      if (!values[field]) errors.push(`${field} is required`);
+    }
+  }
+
+  for (const [field, max] of [['name', 100], ['owner', 200], ['notes', 1000]]) {
+    if (!(field in values)) continue;
+    if (typeof values[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+      continue;
+    }
+    values[field] = values[field].trim();
+    if (!values[field] && field !== 'notes') errors.push(`${field} cannot be empty`);
+    if (values[field].length > max) errors.push(`${field} must be at most ${max} characters`);
+  }
+
+  if ('contactEmail' in values && values.contactEmail !== null) {
+    if (typeof values.contactEmail !== 'string' ||
+        !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.contactEmail.trim())) {
+      errors.push('contactEmail must be a valid email address');
+    } else {
+      values.contactEmail = values.contactEmail.trim().toLowerCase();
+    }
+  }
+
+  if ('scopes' in values) {
+    if (!Array.isArray(values.scopes) || values.scopes.length === 0) {
+      errors.push('scopes must be a non-empty array');
+    } else {
+      const unknown = values.scopes.filter(scope => !ApiKey.SCOPES.includes(scope));
+      if (unknown.length > 0) errors.push(`Unknown scopes: ${unknown.join(', ')}`);
+      values.scopes = [...new Set(values.scopes)];
+    }
+  }
+
+  if ('dailyQuota' in values &&
+      (!Number.isInteger(values.dailyQuota) || values.dailyQuota < 1 || values.dailyQuota > MAX_DAILY_QUOTA)) {
+    errors.push(`dailyQuota must be a whole number between 1 and ${MAX_DAILY_QUOTA}`);
+  }
+
+  if ('expiresAt' in values && values.expiresAt !== null) {
+    const expiresAt = new Date(values.expiresAt);
+    if (Number.isNaN(expiresAt.getTime())) {
+      errors.push('expiresAt must be a date');
+    } else if (expiresAt <= Date.now()) {
+      errors.push('expiresAt must be in the future');
+    } else {
+      values.expiresAt = expiresAt;
+    }
+  }
+
+  return { values, errors };
+};
+
+module.exports = {
+  API_KEY_FIELDS,
+  MAX_DAILY_QUOTA,
+  validateApiKeyInput
+};
@@ -53,23 +53,29 @@ const decodeToken = (token) => {
 /**
  * Generate token pair (access + refresh)
  * @param {Object} user - User object
+ * @param {Object} [session] - Session the tokens belong to
+ * @param {string} [session.sessionId] - Added to the access token so it dies with the session
+ * @param {string} [session.refreshToken] - Refresh token already issued for the session
+ * @param {Date} [session.refreshTokenExpiresAt] - When that refresh token stops working
  * @returns {Object} Token pair with expiration info
  */
-const generateTokenPair = (user) => {
+const generateTokenPair = (user, session = {}) => {
   const payload = {
     userId: user.id,
     email: user.email,
     role: user.role,
     permissions: user.permissions,
-    tokenType: 'access'
+    tokenType: 'access',
+    ...(session.sessionId && { sessionId: session.sessionId })
   };
 
   const accessToken = generateAccessToken(payload);
-  const refreshToken = generateRefreshToken();
+  const refreshToken = session.refreshToken || generateRefreshToken();
 
   // Calculate expiration times
   const accessTokenExpiresAt = new Date(Date.now() + parseExpirationTime(JWT_EXPIRES_IN));
-  const refreshTokenExpiresAt = new Date(Date.now() + parseExpirationTime(REFRESH_TOKEN_EXPIRES_IN));
+  const refreshTokenExpiresAt = session.refreshTokenExpiresAt ||
+    new Date(Date.now() + parseExpirationTime(REFRESH_TOKEN_EXPIRES_IN));
 
   return {
     accessToken,
@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { generateAccessToken, verifyToken, hashToken } = require('./jwt');
+
+// TOTP as configured by authenticator apps by default (RFC 6238)
+const PERIOD_SECONDS = 30;
+const CODE_DIGITS = 6;
+
+// Codes from the previous and next period are accepted to allow for clock
+// drift between the server and the phone
+const DRIFT_STEPS = 1;
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'EverythingABC Admin';
+
+// Roles that must use two-factor authentication, e.g. "admin,editor"
+const REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
+// Time allowed between the password and the code at login
+const CHALLENGE_EXPIRES_IN = '5m';
+const CHALLENGE_TOKEN_TYPE = 'two_factor_challenge';
+
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (encoded) => {
+  const cleaned = encoded.toUpperCase().replace(/[\s=]/g, '');
+
+  let bits = '';
+  for (const char of cleaned) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error(`Invalid base32 character: ${char}`);
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new shared secret, base32 encoded as authenticator apps expect
+ * @returns {string} Secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const timeStep = (now = Date.now()) => Math.floor(now / 1000 / PERIOD_SECONDS);
+
+const hotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+};
+
+/**
+ * The code an authenticator app shows for a secret at a given time
+ * @param {string} secret - Base32 secret
+ * @param {number} [now] - Time in milliseconds
+ * @returns {string} Code
+ */
+const generateTotp = (secret, now = Date.now()) => hotp(secret, timeStep(now));
+
+/**
+ * Check a code against a secret.
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options]
+ * @param {number|null} [options.after] - Last time step already used; a code
+ *   is only good once
+ * @param {number} [options.now] - Time in milliseconds
+ * @returns {number|null} The time step the code belongs to, or null
+ */
+const verifyTotp = (secret, code, { after = null, now = Date.now() } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!secret || !new RegExp(`^\\d{${CODE_DIGITS}}$`).test(normalized)) return null;
+
+  const current = timeStep(now);
+  for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+    if (after !== null && step <= after) continue;
+
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+  }
+
+  return null;
+};
+
+/**
+ * The otpauth:// URI an authenticator app scans to add the account
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Usually the user's email
+ * @returns {string} URI
+ */
+const otpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(CODE_DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params}`;
+};
+
+/**
+ * Render an otpauth URI as a QR code image
+ * @param {string} uri - otpauth URI
+ * @returns {Promise<string>} PNG data URL
+ */
+const qrCodeDataUrl = (uri) => QRCode.toDataURL(uri, { errorCorrectionLevel: 'M', margin: 1, width: 240 });
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^0-9a-z]/g, '');
+
+/**
+ * Hash a recovery code for storage or lookup. Dashes, spaces and case are
+ * ignored.
+ * @param {string} code - Recovery code
+ * @returns {string|null} Hash, or null for something that cannot be a code
+ */
+const hashRecoveryCode = (code) => {
+  const normalized = normalizeRecoveryCode(code);
+  return /^[0-9a-f]{10}$/.test(normalized) ? hashToken(normalized) : null;
+};
+
+/**
+ * Generate a set of one-time recovery codes
+ * @returns {{ codes: string[], hashes: string[] }} Codes to show the user
+ *   once, and the hashes to store
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Whether a user's role requires two-factor authentication
+ * @param {Object} user - User object
+ * @returns {boolean}
+ */
+const isTwoFactorRequired = (user) => REQUIRED_ROLES.includes(user.role);
+
+/**
+ * Issue the token that stands for a correct password until the second
+ * factor is given. It is not an access token and opens no other route.
+ * @param {Object} user - User object
+ * @param {Object} [context] - Login details carried to the second step
+ * @returns {{ challengeToken: string, challengeExpiresAt: Date }}
+ */
+const createChallengeToken = (user, { device } = {}) => {
+  const challengeToken = generateAccessToken({
+    userId: user.id,
+    tokenType: CHALLENGE_TOKEN_TYPE,
+    ...(device && { device })
+  }, CHALLENGE_EXPIRES_IN);
+
+  return {
+    challengeToken,
+    challengeExpiresAt: new Date(verifyToken(challengeToken).exp * 1000)
+  };
+};
+
+/**
+ * Verify a challenge token
+ * @param {string} token - Challenge token
+ * @returns {Object|null} Payload, or null if invalid, expired or not a
+ *   challenge token
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    const payload = verifyToken(token);
+    return payload.tokenType === CHALLENGE_TOKEN_TYPE ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  REQUIRED_ROLES,
+  RECOVERY_CODE_COUNT,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  otpauthUri,
+  qrCodeDataUrl,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  isTwoFactorRequired,
+  createChallengeToken,
+  verifyChallengeToken
+};
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const AdminUser = require('../../models/AdminUser');
+const { PERMISSIONS, ROLES } = require('../middleware/permissions');
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+const ALL_ROLES = Object.values(ROLES);
+
+// Fields an admin may set on another user. Passwords go through their own
+// endpoints so that every reset is audited as one.
+const PROFILE_FIELDS = ['email', 'firstName', 'lastName', 'bio', 'avatar'];
+const ACCESS_FIELDS = ['role', 'permissions'];
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Validate a create or update request for an admin user.
+ *
+ * @param {Object} body - Request body
+ * @param {Object} [options]
+ * @param {boolean} [options.create=false] - Require the fields a new user needs
+ * @returns {{ values: Object, errors: string[] }} Only the recognised fields
+ *   that were sent end up in `values`
+ */
+const validateUserInput = (body = {}, { create = false } = {}) => {
+  const fields = [...PROFILE_FIELDS, ...ACCESS_FIELDS, ...(create ? ['password'] : [])];
+  const values = {};
+  const errors = [];
+
+  for (const field of fields) {
+    if (body[field] !== undefined) values[field] = body[field];
+  }
+
+  if (create) {
+    for (const field of ['email', 'firstName', 'lastName', 'password']) {
+      if (!values[field]) errors.push(`${field} is required`);
+    }
+  }
+
+  for (const field of PROFILE_FIELDS) {
+    if (field in values && values[field] !== null && typeof values[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    }
+  }
+
+  if (typeof values.email === 'string') {
+    values.email = values.email.trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.email)) errors.push('email must be a valid email address');
+  }
+
+  for (const field of ['firstName', 'lastName']) {
+    if (typeof values[field] === 'string') {
+      values[field] = values[field].trim();
+      if (!values[field]) errors.push(`${field} cannot be empty`);
+      if (values[field].length > 50) errors.push(`${field} must be at most 50 characters`);
+    }
+  }
+
+  if ('password' in values && (typeof values.password !== 'string' || values.password.length < MIN_PASSWORD_LENGTH)) {
+    errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+  }
+
+  if ('role' in values && !ALL_ROLES.includes(values.role)) {
+    errors.push(`role must be one of: ${ALL_ROLES.join(', ')}`);
+  }
+
+  if ('permissions' in values) {
+    if (!Array.isArray(values.permissions)) {
+      errors.push('permissions must be an array');
+    } else {
+      const unknown = values.permissions.filter(permission => !ALL_PERMISSIONS.includes(permission));
+      if (unknown.length > 0) errors.push(`Unknown permissions: ${unknown.join(', ')}`);
+      values.permissions = [...new Set(values.permissions)];
+    }
+  }
+
+  return { values, errors };
+};
+
+/**
+ * Why `actor` may not make `changes` to `target`, or null when they may.
+ * Nobody changes their own role or permissions, only admins manage admins,
+ * and a permission can only be granted by someone who holds it. Nor can
+ * anyone manage a user who holds a permission they lack, since resetting
+ * that user's password or two-factor would hand them its access.
+ *
+ * @param {Object} actor - The signed-in admin user
+ * @param {Object|null} target - The user being changed, or null for a new user
+ * @param {Object} changes - Validated values, as returned by validateUserInput
+ */
+const accessChangeDenial = (actor, target, changes = {}) => {
+  const isAdmin = actor.role === ROLES.ADMIN;
+  const changesAccess = ACCESS_FIELDS.some(field => field in changes);
+
+  if (target && target.id === actor.id && changesAccess) {
+    return 'You cannot change your own role or permissions';
+  }
+
+  if (!isAdmin && (target?.role === ROLES.ADMIN || changes.role === ROLES.ADMIN)) {
+    return 'Only admins can manage admin users';
+  }
+
+  if (!isAdmin && target) {
+    const beyond = (target.permissions || []).filter(permission => !actor.hasPermission(permission));
+    if (beyond.length > 0) {
+      return `You cannot manage a user with permissions you do not have: ${beyond.join(', ')}`;
+    }
+  }
+
+  // A role sent without permissions brings that role's defaults with it
+  const granted = changes.permissions ||
+    (changes.role ? AdminUser.schema.methods.getDefaultPermissions(changes.role) : null);
+
+  if (!isAdmin && granted) {
+    const withheld = granted.filter(permission => !actor.hasPermission(permission));
+    if (withheld.length > 0) {
+      return `You cannot grant permissions you do not have: ${withheld.join(', ')}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * A readable one-time password for a forced reset. The user has to replace
+ * it when they next sign in.
+ */
+const generateTemporaryPassword = () => {
+  return crypto.randomBytes(12).toString('base64url');
+};
+
+module.exports = {
+  ALL_PERMISSIONS,
+  ALL_ROLES,
+  MIN_PASSWORD_LENGTH,
+  validateUserInput,
+  accessChangeDenial,
+  generateTemporaryPassword
+};
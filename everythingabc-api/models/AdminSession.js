@@ -0,0 +1,252 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { generateRefreshToken, hashToken, parseExpirationTime } = require('../admin/utils/jwt');
+
+// A refresh token must be used within REFRESH_TOKEN_EXPIRES_IN of the last
+// one being issued, and no session outlives SESSION_MAX_AGE however often it
+// is refreshed
+const REFRESH_TOKEN_LIFETIME = parseExpirationTime(process.env.REFRESH_TOKEN_EXPIRES_IN || '7d');
+const SESSION_LIFETIME = parseExpirationTime(process.env.SESSION_MAX_AGE || '30d');
+
+// Rotated tokens remembered per session for reuse detection. An older token
+// is simply invalid.
+const MAX_ROTATED_TOKENS = 100;
+
+// Touching lastUsedAt on every request would mean a write per request
+const LAST_USED_RESOLUTION = 5 * 60 * 1000;
+
+const REVOKE_REASONS = [
+  'logout', 'logout_all', 'revoked', 'password_change', 'password_reset',
+  'deactivated', 'reuse_detected', 'expired', 'two_factor_reset'
+];
+
+/**
+ * A short label for the device behind a user agent, e.g. "Firefox on
+ * Windows". Good enough to tell a user's sessions apart, not a full parser.
+ */
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg(e|A|iOS)?\//],
+    ['Opera', /OPR\/|Opera/],
+    ['Firefox', /Firefox\/|FxiOS\//],
+    ['Chrome', /Chrome\/|CriOS\//],
+    ['Safari', /Safari\//],
+    ['curl', /^curl\//],
+    ['Postman', /PostmanRuntime\//]
+  ];
+  const systems = [
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+};
+
+// Admin Session Schema: one per sign-in, holding the hash of its current
+// refresh token. Each refresh replaces the token; the old hashes are kept so
+// a replayed token can be recognised and the session ended.
+const AdminSessionSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    index: true
+  },
+  rotatedTokenHashes: {
+    type: [String],
+    index: true
+  },
+  device: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  ipAddress: String,
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When the current refresh token stops working
+  refreshExpiresAt: {
+    type: Date,
+    required: true
+  },
+  // Absolute end of the session
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: REVOKE_REASONS,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'adminSessions'
+});
+
+AdminSessionSchema.index({ userId: 1, revokedAt: 1, expiresAt: 1 });
+
+// Sessions are of no use after their absolute expiry, revoked or not
+AdminSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance Methods
+
+// Why the session can no longer be used, or null while it can
+AdminSessionSchema.methods.inactiveReason = function(now = Date.now()) {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= now || this.refreshExpiresAt <= now) return 'expired';
+  return null;
+};
+
+AdminSessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Record use by an access token, at most every few minutes
+AdminSessionSchema.methods.touch = function(ipAddress) {
+  if (Date.now() - this.lastUsedAt < LAST_USED_RESOLUTION) return Promise.resolve();
+  this.lastUsedAt = new Date();
+  if (ipAddress) this.ipAddress = ipAddress;
+  return this.updateOne({ lastUsedAt: this.lastUsedAt, ipAddress: this.ipAddress });
+};
+
+AdminSessionSchema.methods.toSummary = function(currentSessionId = null) {
+  return {
+    id: this.id,
+    device: this.device,
+    ipAddress: this.ipAddress,
+    userAgent: this.userAgent,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    current: this.id === currentSessionId
+  };
+};
+
+// Static Methods
+AdminSessionSchema.statics.describeDevice = describeDevice;
+
+/**
+ * Start a session for a user who just signed in.
+ *
+ * @returns {Promise<{session: AdminSession, refreshToken: string}>}
+ */
+AdminSessionSchema.statics.start = async function(user, { ipAddress, userAgent, device } = {}) {
+  const refreshToken = generateRefreshToken();
+  const now = Date.now();
+
+  const session = await this.create({
+    id: crypto.randomBytes(12).toString('hex'),
+    userId: user.id,
+    tokenHash: hashToken(refreshToken),
+    device: (typeof device === 'string' && device.trim().slice(0, 100)) || describeDevice(userAgent),
+    ipAddress,
+    userAgent,
+    lastUsedAt: new Date(now),
+    refreshExpiresAt: new Date(now + Math.min(REFRESH_TOKEN_LIFETIME, SESSION_LIFETIME)),
+    expiresAt: new Date(now + SESSION_LIFETIME)
+  });
+
+  return { session, refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new one. Presenting a token that has
+ * already been exchanged means it was copied, so the whole session is
+ * revoked, including whoever holds the latest token.
+ *
+ * @returns {Promise<{outcome: string, session?: AdminSession, refreshToken?: string}>}
+ *   outcome is 'rotated', 'invalid', 'reused', 'revoked' or 'expired'
+ */
+AdminSessionSchema.statics.rotate = async function(refreshToken, { ipAddress, userAgent } = {}) {
+  const tokenHash = hashToken(refreshToken);
+  const session = await this.findOne({ tokenHash });
+
+  if (!session) {
+    const reused = await this.findOne({ rotatedTokenHashes: tokenHash });
+    if (!reused) return { outcome: 'invalid' };
+
+    if (!reused.revokedAt) await reused.revoke('reuse_detected');
+    return { outcome: 'reused', session: reused };
+  }
+
+  const inactive = session.inactiveReason();
+  if (inactive) {
+    if (inactive === 'expired' && !session.revokedAt) await session.revoke('expired');
+    return { outcome: inactive, session };
+  }
+
+  const nextToken = generateRefreshToken();
+  const now = Date.now();
+
+  // Matching on the old hash makes the exchange atomic: of two requests
+  // racing with the same token, only one gets a new token
+  const rotated = await this.findOneAndUpdate(
+    { _id: session._id, tokenHash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: hashToken(nextToken),
+        lastUsedAt: new Date(now),
+        refreshExpiresAt: new Date(Math.min(now + REFRESH_TOKEN_LIFETIME, session.expiresAt.getTime())),
+        ...(ipAddress && { ipAddress }),
+        ...(userAgent && { userAgent })
+      },
+      $push: { rotatedTokenHashes: { $each: [tokenHash], $slice: -MAX_ROTATED_TOKENS } }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await session.revoke('reuse_detected');
+    return { outcome: 'reused', session };
+  }
+
+  return { outcome: 'rotated', session: rotated, refreshToken: nextToken };
+};
+
+AdminSessionSchema.statics.findActiveForUser = function(userId) {
+  const now = new Date();
+  return this.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: now },
+    refreshExpiresAt: { $gt: now }
+  }).sort({ lastUsedAt: -1 });
+};
+
+AdminSessionSchema.statics.revokeForUser = function(userId, reason) {
+  return this.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+module.exports = mongoose.model('AdminSession', AdminSessionSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { verifyTotp, hashRecoveryCode } = require('../admin/utils/twoFactor');
 
 // Admin User Schema for CMS authentication
 const AdminUserSchema = new mongoose.Schema({
@@ -77,14 +78,11 @@ const AdminUserSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
-  refreshTokens: [{
-    token: String,
-    createdAt: {
-      type: Date,
-      default: Date.now,
-      expires: '7d' // Auto-delete after 7 days
-    }
-  }],
+  // Set when an admin resets the password; cleared once the user picks a new one
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
   // Profile information
   avatar: {
     type: String, // URL to profile image
@@ -104,6 +102,25 @@ const AdminUserSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Secret shown during enrollment, until the user confirms it with a code
+  twoFactorPendingSecret: {
+    type: String,
+    default: null
+  },
+  twoFactorEnabledAt: {
+    type: Date,
+    default: null
+  },
+  // Time step of the last accepted code, so no code works twice
+  twoFactorLastUsedStep: {
+    type: Number,
+    default: null
+  },
+  // Hashes of the unused one-time recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    default: []
+  },
   // Activity tracking
   createdBy: {
     type: String, // Admin user ID who created this user
@@ -150,9 +167,10 @@ AdminUserSchema.pre('save', async function(next) {
   }
 });
 
-// Pre-save middleware to set default permissions based on role
+// Pre-save middleware to set default permissions based on role, unless
+// permissions were set explicitly alongside it
 AdminUserSchema.pre('save', function(next) {
-  if (this.isModified('role') || this.isNew) {
+  if ((this.isModified('role') || this.isNew) && !this.isModified('permissions')) {
     this.permissions = this.getDefaultPermissions(this.role);
   }
   next();
@@ -197,25 +215,49 @@ AdminUserSchema.methods.updateLastLogin = function() {
   return this.save();
 };
 
-AdminUserSchema.methods.addRefreshToken = function(token) {
-  // Remove old tokens (keep max 5)
-  if (this.refreshTokens.length >= 5) {
-    this.refreshTokens = this.refreshTokens.slice(-4);
+/**
+ * Check a second-factor code: an authenticator code or, failing that, one of
+ * the recovery codes. Either is used up atomically, so two requests racing
+ * with the same code cannot both succeed.
+ *
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<string|null>} 'totp', 'recovery', or null if rejected
+ */
+AdminUserSchema.methods.verifyTwoFactorCode = async function(code) {
+  if (!this.twoFactorEnabled) return null;
+
+  const step = verifyTotp(this.twoFactorSecret, code, { after: this.twoFactorLastUsedStep });
+  if (step !== null) {
+    const result = await this.constructor.updateOne(
+      { id: this.id, $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }] },
+      { $set: { twoFactorLastUsedStep: step } }
+    );
+    if (result.modifiedCount !== 1) return null;
+
+    this.twoFactorLastUsedStep = step;
+    return 'totp';
   }
 
-  this.refreshTokens.push({
-    token,
-    createdAt: new Date()
-  });
+  const hash = hashRecoveryCode(code);
+  if (!hash) return null;
 
-  return this.save();
+  const result = await this.constructor.updateOne(
+    { id: this.id, twoFactorRecoveryCodes: hash },
+    { $pull: { twoFactorRecoveryCodes: hash } }
+  );
+  if (result.modifiedCount !== 1) return null;
+
+  this.twoFactorRecoveryCodes.pull(hash);
+  return 'recovery';
 };
 
-AdminUserSchema.methods.removeRefreshToken = function(token) {
-  this.refreshTokens = this.refreshTokens.filter(
-    refreshToken => refreshToken.token !== token
-  );
-  return this.save();
+AdminUserSchema.methods.clearTwoFactor = function() {
+  this.twoFactorEnabled = false;
+  this.twoFactorSecret = null;
+  this.twoFactorPendingSecret = null;
+  this.twoFactorEnabledAt = null;
+  this.twoFactorLastUsedStep = null;
+  this.twoFactorRecoveryCodes = [];
 };
 
 AdminUserSchema.methods.hasPermission = function(permission) {
@@ -248,8 +290,10 @@ AdminUserSchema.methods.getDefaultPermissions = function(role) {
 AdminUserSchema.methods.toSafeObject = function() {
   const userObject = this.toObject();
   delete userObject.passwordHash;
-  delete userObject.refreshTokens;
   delete userObject.twoFactorSecret;
+  delete userObject.twoFactorPendingSecret;
+  delete userObject.twoFactorLastUsedStep;
+  delete userObject.twoFactorRecoveryCodes;
   delete userObject.loginAttempts;
   delete userObject.lockUntil;
 
@@ -284,7 +328,7 @@ AdminUserSchema.statics.createUser = async function(userData, createdBy = null)
 
 AdminUserSchema.statics.getActiveUsers = function() {
   return this.find({ isActive: true })
-    .select('-passwordHash -refreshTokens -twoFactorSecret -loginAttempts -lockUntil')
+    .select('-passwordHash -twoFactorSecret -twoFactorPendingSecret -twoFactorRecoveryCodes -loginAttempts -lockUntil')
     .sort({ createdAt: -1 });
 };
 
@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { hashToken } = require('../admin/utils/jwt');
+
+// What a key can read, by public route group. Keys never grant writes.
+const API_KEY_SCOPES = ['categories.read', 'search.read', 'credits.read'];
+
+const KEY_PREFIX = 'eabc_';
+const DEFAULT_DAILY_QUOTA = Number(process.env.API_KEY_DEFAULT_DAILY_QUOTA) || 10000;
+
+// Touching lastUsedAt on every request would mean a write per request
+const LAST_USED_RESOLUTION = 5 * 60 * 1000;
+
+// API Key Schema: a key issued to a school or partner app. Only a hash of the
+// key is stored; the key itself is shown once, when issued.
+const ApiKeySchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // School or company the key was issued to
+  owner: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  contactEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  // Start of the key, enough to recognise it in lists and logs
+  keyPrefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  // Requests per UTC day
+  dailyQuota: {
+    type: Number,
+    min: 1,
+    default: DEFAULT_DAILY_QUOTA
+  },
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active',
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: String,
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  createdBy: {
+    type: String,
+    default: null
+  },
+  lastModifiedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'apiKeys'
+});
+
+// Instance Methods
+
+// Why the key can no longer be used, or null while it can
+ApiKeySchema.methods.inactiveReason = function(now = Date.now()) {
+  if (this.status === 'revoked') return 'revoked';
+  if (this.expiresAt && this.expiresAt <= now) return 'expired';
+  return null;
+};
+
+ApiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Record use, at most every few minutes
+ApiKeySchema.methods.touch = function() {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt < LAST_USED_RESOLUTION) return Promise.resolve();
+  this.lastUsedAt = new Date();
+  return this.updateOne({ lastUsedAt: this.lastUsedAt });
+};
+
+ApiKeySchema.methods.toSafeObject = function() {
+  const apiKey = this.toObject();
+  delete apiKey.keyHash;
+  delete apiKey._id;
+  delete apiKey.__v;
+
+  return apiKey;
+};
+
+// Static Methods
+
+/**
+ * Generate a new key
+ * @returns {{ key: string, keyPrefix: string, keyHash: string }}
+ */
+ApiKeySchema.statics.newKey = function() {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  return {
+    key,
+    keyPrefix: key.slice(0, KEY_PREFIX.length + 6),
+    keyHash: hashToken(key)
+  };
+};
+
+/**
+ * Issue a key.
+ *
+ * @returns {Promise<{apiKey: ApiKey, key: string}>} The key is not stored
+ *   and cannot be shown again
+ */
+ApiKeySchema.statics.issue = async function(fields, createdBy = null) {
+  const { key, keyPrefix, keyHash } = this.newKey();
+
+  const apiKey = await this.create({
+    ...fields,
+    id: crypto.randomBytes(12).toString('hex'),
+    keyPrefix,
+    keyHash,
+    createdBy
+  });
+
+  return { apiKey, key };
+};
+
+ApiKeySchema.statics.findByKey = function(key) {
+  if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return Promise.resolve(null);
+  return this.findOne({ keyHash: hashToken(key) });
+};
+
+ApiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+ApiKeySchema.statics.DEFAULT_DAILY_QUOTA = DEFAULT_DAILY_QUOTA;
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Usage counters are kept for a little over a year
+const RETENTION_DAYS = 400;
+
+// API Key Usage Schema: one document per key and UTC day. The counter doubles
+// as the daily quota, so serving a request and counting it is one write.
+const ApiKeyUsageSchema = new mongoose.Schema({
+  keyId: {
+    type: String,
+    required: true
+  },
+  // UTC day, YYYY-MM-DD
+  date: {
+    type: String,
+    required: true
+  },
+  // Requests served
+  requests: {
+    type: Number,
+    default: 0
+  },
+  // Requests refused for being over quota
+  rejected: {
+    type: Number,
+    default: 0
+  },
+  // Requests served per scope
+  byScope: {
+    categories: { type: Number, default: 0 },
+    search: { type: Number, default: 0 },
+    credits: { type: Number, default: 0 }
+  },
+  lastRequestAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'apiKeyUsage'
+});
+
+ApiKeyUsageSchema.index({ keyId: 1, date: 1 }, { unique: true });
+ApiKeyUsageSchema.index({ date: 1 });
+ApiKeyUsageSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Static Methods
+
+ApiKeyUsageSchema.statics.dayOf = function(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+};
+
+// When the current UTC day's quota starts over
+ApiKeyUsageSchema.statics.resetAt = function(now = Date.now()) {
+  return new Date(Math.floor(now / DAY) * DAY + DAY);
+};
+
+/**
+ * Count a request against a key's daily quota.
+ *
+ * @param {string} keyId - API key id
+ * @param {string} scope - Scope the request was made under, e.g. 'search.read'
+ * @param {number} quota - Requests allowed per day
+ * @returns {Promise<{allowed: boolean, used: number}>} used is the number of
+ *   requests served today, this one included when allowed
+ */
+ApiKeyUsageSchema.statics.consume = async function(keyId, scope, quota, now = Date.now()) {
+  const date = this.dayOf(now);
+  const underQuota = { keyId, date, requests: { $lt: quota } };
+  const update = {
+    $inc: { requests: 1, [`byScope.${scope.split('.')[0]}`]: 1 },
+    $set: { lastRequestAt: new Date(now) }
+  };
+
+  try {
+    const usage = await this.findOneAndUpdate(underQuota, update, { upsert: true, new: true });
+    return { allowed: true, used: usage.requests };
+  } catch (error) {
+    // The day's document exists but did not match: over quota, or created
+    // by a concurrent request since the lookup
+    if (error.code !== 11000) throw error;
+  }
+
+  const usage = await this.findOneAndUpdate(underQuota, update, { new: true });
+  if (usage) return { allowed: true, used: usage.requests };
+
+  const refused = await this.findOneAndUpdate(
+    { keyId, date },
+    { $inc: { rejected: 1 }, $set: { lastRequestAt: new Date(now) } },
+    { new: true }
+  );
+  return { allowed: false, used: refused ? refused.requests : quota };
+};
+
+/**
+ * Usage per key and per day over the last few days, today included
+ * @param {Object} [options]
+ * @param {number} [options.days=30]
+ * @param {string} [options.keyId] - Limit to one key
+ * @returns {Promise<{ since: string, byKey: Object[], byDay: Object[] }>}
+ */
+ApiKeyUsageSchema.statics.summarize = async function({ days = 30, keyId = null } = {}) {
+  const since = this.dayOf(Date.now() - (days - 1) * DAY);
+  const match = { date: { $gte: since }, ...(keyId && { keyId }) };
+  const totals = {
+    requests: { $sum: '$requests' },
+    rejected: { $sum: '$rejected' },
+    categories: { $sum: '$byScope.categories' },
+    search: { $sum: '$byScope.search' },
+    credits: { $sum: '$byScope.credits' }
+  };
+
+  const [byKey, byDay] = await Promise.all([
+    this.aggregate([
+      { $match: match },
+      { $group: { _id: '$keyId', ...totals, activeDays: { $sum: 1 }, lastRequestAt: { $max: '$lastRequestAt' } } },
+      { $sort: { requests: -1 } }
+    ]),
+    this.aggregate([
+      { $match: match },
+      { $group: { _id: '$date', ...totals, keys: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ])
+  ]);
+
+  const byScope = ({ categories, search, credits }) => ({ categories, search, credits });
+
+  return {
+    since,
+    byKey: byKey.map(({ _id, requests, rejected, activeDays, lastRequestAt, ...scopes }) => ({
+      keyId: _id, requests, rejected, activeDays, lastRequestAt, byScope: byScope(scopes)
+    })),
+    byDay: byDay.map(({ _id, requests, rejected, keys, ...scopes }) => ({
+      date: _id, requests, rejected, keys, byScope: byScope(scopes)
+    }))
+  };
+};
+
+module.exports = mongoose.model('ApiKeyUsage', ApiKeyUsageSchema);
@@ -23,14 +23,17 @@ const AuditLogSchema = new mongoose.Schema({
     enum: [
       'create', 'update', 'delete', 'approve', 'reject',
       'login', 'logout', 'view',
-      'publish', 'unpublish', 'bulk_publish', 'update_status', 'bulk_update_status'
+      'publish', 'unpublish', 'bulk_publish', 'update_status', 'bulk_update_status',
+      'csv_import', 'bundle_import', 'bundle_export',
+      'two_factor_setup', 'two_factor_enable', 'two_factor_disable', 'two_factor_reset',
+      'recovery_codes_regenerate', 'rate_limited'
     ],
     index: true
   },
   resourceType: {
     type: String,
     required: true,
-    enum: ['category', 'item', 'user', 'settings', 'system'],
+    enum: ['category', 'item', 'user', 'settings', 'system', 'api_key'],
     index: true
   },
   resourceId: {
@@ -240,6 +243,32 @@ AuditLogSchema.statics.getActionStats = async function(days = 30) {
   return stats;
 };
 
+// Rejections are logged once per client and window, so counts are clients
+// that hit a limit rather than requests refused
+AuditLogSchema.statics.getRateLimitStats = async function(hours = 24) {
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+  const stats = await this.aggregate([
+    { $match: { action: 'rate_limited', createdAt: { $gte: since } } },
+    {
+      $group: {
+        _id: '$resourceId',
+        count: { $sum: 1 },
+        ipAddresses: { $addToSet: '$ipAddress' },
+        lastRejectedAt: { $max: '$createdAt' }
+      }
+    },
+    { $sort: { count: -1 } }
+  ]);
+
+  return stats.map(({ _id, ipAddresses, ...stat }) => ({
+    policy: _id,
+    ...stat,
+    uniqueIps: ipAddresses.length,
+    ipAddresses: ipAddresses.slice(0, 20)
+  }));
+};
+
 AuditLogSchema.statics.getMostActiveUsers = async function(days = 30, limit = 10) {
   const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
 
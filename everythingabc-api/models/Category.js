@@ -1,255 +1,21 @@
 const mongoose = require('mongoose');
 
-// Image metadata schema from ICS
-const ImageMetadataSchema = new mongoose.Schema({
-  width: { type: Number, required: true },
-  height: { type: Number, required: true },
-  fileSize: { type: Number, required: true },
-  format: { type: String, required: true },
-  colorSpace: String,
-  hasAlpha: Boolean,
-  orientation: Number
-}, { _id: false });
-
-// Quality score schema from ICS
-const QualityScoreSchema = new mongoose.Schema({
-  overall: {
-    type: Number,
-    required: true,
-    min: 0,
-    max: 10
-  },
-  breakdown: {
-    technical: { type: Number, min: 0, max: 10 },
-    relevance: { type: Number, min: 0, max: 10 },
-    aesthetic: { type: Number, min: 0, max: 10 },
-    usability: { type: Number, min: 0, max: 10 }
-  }
-}, { _id: false });
-
-// Enhanced image schema combining both systems
-const ImageSchema = new mongoose.Schema({
-  // ICS source information
-  sourceUrl: String,
-  sourceProvider: {
-    type: String,
-    enum: ['unsplash', 'pixabay', 'pexels', 'wikimedia', 'dalle', 'google-ai', 'midjourney', 'stable-diffusion', 'manual'],
-    required: true
-  },
-  sourceId: { type: String, required: true },
-
-  // File information
-  filePath: { type: String, required: true },
-  fileName: { type: String, required: true },
-
-  // Image metadata
-  metadata: ImageMetadataSchema,
-
-  // Quality assessment
-  qualityScore: QualityScoreSchema,
-
-  // Status and approval
-  status: {
-    type: String,
-    enum: ['pending', 'processing', 'approved', 'rejected', 'manual_review'],
-    default: 'approved',
-    index: true
-  },
-
-  // Display priority
-  isPrimary: {
-    type: Boolean,
-    default: false
-  },
-
-  // License information
-  license: {
-    type: {
-      type: String,
-      required: true,
-      enum: ['unsplash', 'pixabay', 'pexels', 'cc0', 'generated', 'purchased']
-    },
-    attribution: String,
-    commercial: { type: Boolean, default: true },
-    url: String
-  },
-
-  // Usage tracking
-  usageCount: { type: Number, default: 0 },
-  lastUsed: Date,
-
-  // Processing information
-  processedSizes: [{
-    size: {
-      type: String,
-      enum: ['original', 'large', 'medium', 'small', 'thumbnail']
-    },
-    path: String,
-    width: Number,
-    height: Number,
-    fileSize: Number
-  }],
-
-  // Approval workflow
-  approvedAt: Date,
-  approvedBy: String,
-  rejectionReason: String,
-  rejectionDetails: mongoose.Schema.Types.Mixed,
-
-  // Timestamps
-  createdAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now }
-}, { _id: false });
-
-// Collection progress schema for each item
-const CollectionProgressSchema = new mongoose.Schema({
-  status: {
-    type: String,
-    enum: ['pending', 'collecting', 'completed', 'failed', 'paused'],
-    default: 'pending'
-  },
+const { EmbeddedItemSchema } = require('./Item');
+const { DEFAULT_LOCALE, TRANSLATABLE_CATEGORY_FIELDS, isSupportedLocale } = require('../utils/locales');
+const { APPROVAL_ACTIONS, CONDITION_FIELDS, CONDITION_OPERATORS } = require('../services/collection/ApprovalRules');
 
-  // Target and actual counts
-  targetCount: { type: Number, default: 3 },
-  collectedCount: { type: Number, default: 0 },
-  approvedCount: { type: Number, default: 0 },
-  rejectedCount: { type: Number, default: 0 },
-
-  // Collection attempts
-  searchAttempts: { type: Number, default: 0 },
-  lastSearchTerms: [String],
-
-  // Difficulty assessment
-  difficulty: {
-    type: String,
-    enum: ['easy', 'medium', 'hard', 'very_hard'],
-    default: 'medium'
-  },
-
-  // Source breakdown
-  sources: {
-    unsplash: {
-      found: { type: Number, default: 0 },
-      approved: { type: Number, default: 0 },
-      lastSearched: Date
-    },
-    pixabay: {
-      found: { type: Number, default: 0 },
-      approved: { type: Number, default: 0 },
-      lastSearched: Date
-    },
-    pexels: {
-      found: { type: Number, default: 0 },
-      approved: { type: Number, default: 0 },
-      lastSearched: Date
-    },
-    wikimedia: {
-      found: { type: Number, default: 0 },
-      approved: { type: Number, default: 0 },
-      lastSearched: Date
-    },
-    dalle: {
-      generated: { type: Number, default: 0 },
-      approved: { type: Number, default: 0 },
-      lastGenerated: Date
-    }
-  },
-
-  // Quality metrics
-  averageQualityScore: { type: Number, min: 0, max: 10 },
-  bestQualityScore: { type: Number, min: 0, max: 10 },
-
-  // Error tracking
-  errors: [{
-    timestamp: { type: Date, default: Date.now },
-    source: String,
-    message: String,
-    details: mongoose.Schema.Types.Mixed
+// Auto-approval rule: all conditions must hold for the action to apply
+const ApprovalRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  enabled: { type: Boolean, default: true },
+  conditions: [{
+    _id: false,
+    field: { type: String, enum: CONDITION_FIELDS, required: true },
+    operator: { type: String, enum: CONDITION_OPERATORS, required: true },
+    value: mongoose.Schema.Types.Mixed
   }],
-
-  // Timestamps
-  startedAt: Date,
-  completedAt: Date,
-  lastAttempt: Date,
-  nextAttempt: Date
-}, { _id: false });
-
-// Enhanced item schema combining EverythingABC and ICS
-const ItemSchema = new mongoose.Schema({
-  // Existing EverythingABC fields
-  id: { type: String, required: true },
-  name: { type: String, required: true, trim: true },
-
-  // Legacy single image field (for backward compatibility)
-  image: String,
-  imageAlt: String,
-
-  // New multi-image system
-  images: [ImageSchema],
-
-  // Existing metadata
-  difficulty: { type: Number, min: 1, max: 5, default: 1 },
-  pronunciation: String,
-  description: { type: String, required: true, trim: true },
-  facts: [String],
-  tags: [String],
-
-  // Category-specific metadata (preserved)
-  nutritionFacts: {
-    vitamins: [String],
-    minerals: [String],
-    benefits: [String]
-  },
-  technicalFacts: {
-    speed: String,
-    environment: String,
-    passengers: String
-  },
-  colorInfo: {
-    hex: String,
-    rgb: String,
-    family: String,
-    mood: String
-  },
-  roomLocation: String,
-  uses: [String],
-
-  // New collection management
-  collectionProgress: CollectionProgressSchema,
-
-  // Two-track status system for CMS
-  collectionStatus: {
-    type: String,
-    enum: ['pending', 'complete'],
-    default: 'pending'
-  },
-  publishingStatus: {
-    type: String,
-    enum: ['draft', 'review', 'published'],
-    default: 'draft'
-  },
-
-  // Legacy status fields (backward compatibility)
-  status: {
-    type: String,
-    enum: ['draft', 'published', 'archived'],
-    default: 'published'
-  },
-  approvalStatus: {
-    type: String,
-    enum: ['pending', 'approved', 'rejected'],
-    default: 'approved'
-  },
-
-  // Admin tracking
-  createdBy: String,
-  lastModifiedBy: String,
-  approvedBy: String,
-  approvedAt: Date,
-
-  // Timestamps
-  createdAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now }
+  action: { type: String, enum: APPROVAL_ACTIONS, required: true },
+  reason: String
 }, { _id: false });
 
 // Image collection strategy schema
@@ -266,7 +32,9 @@ const ImageCollectionStrategySchema = new mongoose.Schema({
   autoApprovalThreshold: { type: Number, default: 8.5 },
   maxSearchAttempts: { type: Number, default: 5 },
   retryInterval: { type: Number, default: 24 }, // hours
-  customSearchTerms: [String]
+  customSearchTerms: [String],
+  // Evaluated in order before the thresholds; the first match decides
+  approvalRules: [ApprovalRuleSchema]
 }, { _id: false });
 
 // Collection progress summary for category level
@@ -311,6 +79,12 @@ const CategoryCollectionProgressSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// One locale's translation of a category's display fields
+const CategoryTranslationSchema = new mongoose.Schema({
+  name: { type: String, trim: true },
+  description: { type: String, trim: true }
+}, { _id: false });
+
 // Main enhanced category schema
 const CategorySchema = new mongoose.Schema({
   // Existing EverythingABC fields (preserved)
@@ -340,19 +114,25 @@ const CategorySchema = new mongoose.Schema({
   ageRange: String,
   learningObjectives: [String],
 
-  // Enhanced items with image collection
-  items: {
-    A: [ItemSchema], B: [ItemSchema], C: [ItemSchema],
-    D: [ItemSchema], E: [ItemSchema], F: [ItemSchema],
-    G: [ItemSchema], H: [ItemSchema], I: [ItemSchema],
-    J: [ItemSchema], K: [ItemSchema], L: [ItemSchema],
-    M: [ItemSchema], N: [ItemSchema], O: [ItemSchema],
-    P: [ItemSchema], Q: [ItemSchema], R: [ItemSchema],
-    S: [ItemSchema], T: [ItemSchema], U: [ItemSchema],
-    V: [ItemSchema], W: [ItemSchema], X: [ItemSchema],
-    Y: [ItemSchema], Z: [ItemSchema]
+  // Keyed by locale (see utils/locales.js); English lives in the fields above
+  translations: {
+    type: Map,
+    of: CategoryTranslationSchema,
+    default: undefined,
+    validate: {
+      validator: (translations) => !translations ||
+        Array.from(translations.keys()).every(locale => isSupportedLocale(locale) && locale !== DEFAULT_LOCALE),
+      message: 'Unsupported translation locale'
+    }
   },
 
+  // Legacy embedded items. Items now live in their own collection (see
+  // models/Item.js and scripts/migration/04-item-normalization.js); these
+  // arrays are only populated on documents that have not been migrated yet.
+  items: Object.fromEntries('ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('').map(letter =>
+    [letter, { type: [EmbeddedItemSchema], default: undefined }]
+  )),
+
   // New image collection management
   imageCollection: {
     strategy: ImageCollectionStrategySchema,
@@ -394,44 +174,13 @@ CategorySchema.index({ tags: 1 });
 
 // New indexes for image collection
 CategorySchema.index({ 'imageCollection.progress.nextScheduledRun': 1 });
-CategorySchema.index({ 'items.A.images.status': 1 });
-CategorySchema.index({ 'items.A.images.qualityScore.overall': -1 });
-
-// Text search index (preserved and enhanced)
-CategorySchema.index({
-  'name': 'text',
-  'description': 'text',
-  'items.A.name': 'text', 'items.B.name': 'text', 'items.C.name': 'text',
-  'items.D.name': 'text', 'items.E.name': 'text', 'items.F.name': 'text',
-  'items.G.name': 'text', 'items.H.name': 'text', 'items.I.name': 'text',
-  'items.J.name': 'text', 'items.K.name': 'text', 'items.L.name': 'text',
-  'items.M.name': 'text', 'items.N.name': 'text', 'items.O.name': 'text',
-  'items.P.name': 'text', 'items.Q.name': 'text', 'items.R.name': 'text',
-  'items.S.name': 'text', 'items.T.name': 'text', 'items.U.name': 'text',
-  'items.V.name': 'text', 'items.W.name': 'text', 'items.X.name': 'text',
-  'items.Y.name': 'text', 'items.Z.name': 'text'
-});
-
-// Virtual for primary image (backward compatibility)
-ItemSchema.virtual('primaryImage').get(function() {
-  const primaryImg = this.images.find(img => img.isPrimary && img.status === 'approved');
-  if (primaryImg) return primaryImg.filePath;
 
-  const approvedImg = this.images.find(img => img.status === 'approved');
-  if (approvedImg) return approvedImg.filePath;
-
-  return this.image || '/images/placeholder.webp';
-});
+// Text search index (item names are indexed on the Item collection)
+CategorySchema.index({ name: 'text', description: 'text' });
 
-// Virtual for collection completion percentage
-ItemSchema.virtual('collectionCompletionPercent').get(function() {
-  if (!this.collectionProgress) return 0;
-  const { approvedCount, targetCount } = this.collectionProgress;
-  return Math.round((approvedCount / Math.max(targetCount, 1)) * 100);
-});
-
-// Enhanced middleware to update category-level progress
-CategorySchema.pre('save', function(next) {
+// Recompute category-level counters from a flat list of items, each carrying
+// its alphabet letter
+function applyItemStats(category, entries) {
   const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
   let totalItems = 0;
   let completedItems = 0;
@@ -444,73 +193,126 @@ CategorySchema.pre('save', function(next) {
   let qualityScores = [];
 
   // Calculate completeness and collection progress
-  for (const letter of alphabet) {
-    if (this.items[letter] && this.items[letter].length > 0) {
-      this.completeness = Math.max(this.completeness, alphabet.indexOf(letter) + 1);
-
-      for (const item of this.items[letter]) {
-        totalItems++;
-
-        if (item.collectionProgress) {
-          switch (item.collectionProgress.status) {
-            case 'completed': completedItems++; break;
-            case 'collecting': collectingItems++; break;
-            case 'failed': failedItems++; break;
-            default: pendingItems++; break;
-          }
-        } else {
-          pendingItems++;
-        }
+  for (const { letter, item } of entries) {
+    category.completeness = Math.max(category.completeness, alphabet.indexOf(letter) + 1);
+    totalItems++;
+
+    if (item.collectionProgress) {
+      switch (item.collectionProgress.status) {
+        case 'completed': completedItems++; break;
+        case 'collecting': collectingItems++; break;
+        case 'failed': failedItems++; break;
+        default: pendingItems++; break;
+      }
+    } else {
+      pendingItems++;
+    }
 
-        if (item.images) {
-          for (const image of item.images) {
-            totalImages++;
-            if (image.status === 'approved') {
-              approvedImages++;
-              if (image.qualityScore && image.qualityScore.overall) {
-                qualityScores.push(image.qualityScore.overall);
-              }
-            } else if (image.status === 'pending') {
-              pendingImages++;
-            }
+    if (item.images) {
+      for (const image of item.images) {
+        totalImages++;
+        if (image.status === 'approved') {
+          approvedImages++;
+          if (image.qualityScore && image.qualityScore.overall) {
+            qualityScores.push(image.qualityScore.overall);
           }
+        } else if (image.status === 'pending') {
+          pendingImages++;
         }
       }
     }
   }
 
   // Update metadata
-  this.metadata.totalItems = totalItems;
-  this.metadata.lastUpdated = new Date();
+  category.metadata.totalItems = totalItems;
+  category.metadata.lastUpdated = new Date();
 
   // Update collection progress
-  if (this.imageCollection && this.imageCollection.progress) {
-    this.imageCollection.progress.totalItems = totalItems;
-    this.imageCollection.progress.completedItems = completedItems;
-    this.imageCollection.progress.pendingItems = pendingItems;
-    this.imageCollection.progress.collectingItems = collectingItems;
-    this.imageCollection.progress.failedItems = failedItems;
-    this.imageCollection.progress.totalImages = totalImages;
-    this.imageCollection.progress.approvedImages = approvedImages;
-    this.imageCollection.progress.pendingImages = pendingImages;
+  if (category.imageCollection && category.imageCollection.progress) {
+    category.imageCollection.progress.totalItems = totalItems;
+    category.imageCollection.progress.completedItems = completedItems;
+    category.imageCollection.progress.pendingItems = pendingItems;
+    category.imageCollection.progress.collectingItems = collectingItems;
+    category.imageCollection.progress.failedItems = failedItems;
+    category.imageCollection.progress.totalImages = totalImages;
+    category.imageCollection.progress.approvedImages = approvedImages;
+    category.imageCollection.progress.pendingImages = pendingImages;
 
     if (qualityScores.length > 0) {
-      this.imageCollection.progress.avgQualityScore =
+      category.imageCollection.progress.avgQualityScore =
         qualityScores.reduce((sum, score) => sum + score, 0) / qualityScores.length;
     }
   }
+}
+
+// Legacy middleware: documents that still embed their items keep their
+// counters in sync on save. Migrated categories use refreshItemStats().
+CategorySchema.pre('save', function(next) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+  const entries = [];
+
+  for (const letter of alphabet) {
+    if (this.items && this.items[letter]) {
+      for (const item of this.items[letter]) {
+        entries.push({ letter, item });
+      }
+    }
+  }
+
+  if (this.isNew || this.isModified('items')) {
+    applyItemStats(this, entries);
+  }
 
   next();
 });
 
+// Recalculate counters from the Item collection and persist them
+CategorySchema.methods.refreshItemStats = async function() {
+  const Item = mongoose.model('Item');
+  const items = await Item.find({ categoryId: this.id })
+    .select('letter collectionProgress collectionStatus publishingStatus images.status images.qualityScore')
+    .lean();
+
+  this.completeness = 0;
+  applyItemStats(this, items.map(item => ({ letter: item.letter, item })));
+
+  this.metadata.completedItems = items.filter(item => item.collectionStatus === 'complete').length;
+  this.metadata.publishedItems = items.filter(item => item.publishingStatus === 'published').length;
+  this.metadata.reviewItems = items.filter(item => item.publishingStatus === 'review').length;
+  this.metadata.draftItems = items.filter(item => !item.publishingStatus || item.publishingStatus === 'draft').length;
+  this.metadata.pendingItems = items.length - this.metadata.completedItems;
+
+  this.markModified('metadata');
+  return this.save();
+};
+
+// Load this category's items from the Item collection, grouped by letter
+CategorySchema.methods.loadItems = async function(filter = {}) {
+  const Item = mongoose.model('Item');
+  const items = await Item.findByCategory(this.id, filter);
+  return Item.groupByLetter(items);
+};
+
 // Instance methods (preserved and enhanced)
-CategorySchema.methods.getLettersWithItems = function() {
+// Pass grouped items from loadItems() for migrated categories; without an
+// argument the legacy embedded items are used.
+CategorySchema.methods.getLettersWithItems = function(items = this.items) {
   const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
   return alphabet.split('').filter(letter =>
-    this.items[letter] && this.items[letter].length > 0
+    items && items[letter] && items[letter].length > 0
   );
 };
 
+// Display fields in a locale, falling back to English for anything untranslated
+CategorySchema.methods.getLocalizedFields = function(locale = DEFAULT_LOCALE) {
+  const translation = (locale !== DEFAULT_LOCALE && this.translations?.get(locale)) || {};
+  return Object.fromEntries(TRANSLATABLE_CATEGORY_FIELDS.map(field =>
+    [field, translation[field] || this[field]]
+  ));
+};
+
+// Legacy embedded-item helpers, kept for un-migrated documents and the
+// migration scripts. Application code goes through models/Item.js.
 CategorySchema.methods.getItemsByLetter = function(letter) {
   const upperLetter = letter.toUpperCase();
   return this.items[upperLetter] || [];
@@ -565,6 +367,7 @@ CategorySchema.methods.startImageCollection = function() {
   return this.save();
 };
 
+// Legacy embedded-item variant of findPendingCollectionItems()
 CategorySchema.methods.getPendingCollectionItems = function() {
   const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
   const pendingItems = [];
@@ -588,6 +391,24 @@ CategorySchema.methods.getPendingCollectionItems = function() {
   return pendingItems.sort((a, b) => b.priority - a.priority);
 };
 
+// Items in the Item collection that still need images, highest priority first
+CategorySchema.methods.findPendingCollectionItems = async function() {
+  const Item = mongoose.model('Item');
+  const items = await Item.find({
+    categoryId: this.id,
+    'collectionProgress.status': { $in: ['pending', 'collecting'] },
+    $expr: { $lt: ['$collectionProgress.approvedCount', '$collectionProgress.targetCount'] }
+  });
+
+  return items
+    .map(item => ({
+      letter: item.letter,
+      item,
+      priority: this.calculateCollectionPriority(item)
+    }))
+    .sort((a, b) => b.priority - a.priority);
+};
+
 CategorySchema.methods.calculateCollectionPriority = function(item) {
   let priority = 100;
 
@@ -618,16 +439,6 @@ CategorySchema.statics.findByIdWithStats = async function(categoryId) {
   return category;
 };
 
-CategorySchema.statics.searchItems = async function(query) {
-  return this.find(
-    {
-      $text: { $search: query },
-      status: 'active'
-    },
-    { score: { $meta: 'textScore' } }
-  ).sort({ score: { $meta: 'textScore' } });
-};
-
 CategorySchema.statics.getActiveCategories = function() {
   return this.find({ status: 'active' }).sort({ completeness: -1, name: 1 });
 };
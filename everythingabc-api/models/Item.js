@@ -0,0 +1,640 @@
+const mongoose = require('mongoose');
+const { DEFAULT_LOCALE, TRANSLATABLE_ITEM_FIELDS, getAlphabet, isSupportedLocale, letterFor } = require('../utils/locales');
+const { LICENSE_TYPES } = require('../utils/licenses');
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+
+// Image metadata schema from ICS
+const ImageMetadataSchema = new mongoose.Schema({
+  width: { type: Number, required: true },
+  height: { type: Number, required: true },
+  fileSize: { type: Number, required: true },
+  format: { type: String, required: true },
+  colorSpace: String,
+  hasAlpha: Boolean,
+  orientation: Number
+}, { _id: false });
+
+// Quality score schema from ICS
+const QualityScoreSchema = new mongoose.Schema({
+  overall: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 10
+  },
+  breakdown: {
+    technical: { type: Number, min: 0, max: 10 },
+    relevance: { type: Number, min: 0, max: 10 },
+    aesthetic: { type: Number, min: 0, max: 10 },
+    usability: { type: Number, min: 0, max: 10 }
+  }
+}, { _id: false });
+
+// Enhanced image schema combining both systems
+// Manual framing for the size variants, as fractions (0-1) of the original
+const CropSchema = new mongoose.Schema({
+  x: { type: Number, min: 0, max: 1, required: true },
+  y: { type: Number, min: 0, max: 1, required: true },
+  width: { type: Number, min: 0, max: 1, required: true },
+  height: { type: Number, min: 0, max: 1, required: true }
+}, { _id: false });
+
+const FocalPointSchema = new mongoose.Schema({
+  x: { type: Number, min: 0, max: 1, required: true },
+  y: { type: Number, min: 0, max: 1, required: true }
+}, { _id: false });
+
+const ImageSchema = new mongoose.Schema({
+  // ICS source information
+  sourceUrl: String,
+  sourceProvider: {
+    type: String,
+    enum: ['unsplash', 'pixabay', 'pexels', 'wikimedia', 'openverse', 'dalle', 'google-ai', 'midjourney', 'stable-diffusion', 'stub', 'manual'],
+    required: true
+  },
+  sourceId: { type: String, required: true },
+
+  // File information
+  filePath: { type: String, required: true },
+  fileName: { type: String, required: true },
+
+  // Image metadata
+  metadata: ImageMetadataSchema,
+
+  // Quality assessment
+  qualityScore: QualityScoreSchema,
+
+  // 64-bit dHash (hex) used to spot the same picture from different sources
+  perceptualHash: String,
+
+  // Status and approval
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'approved', 'rejected', 'manual_review'],
+    default: 'approved',
+    index: true
+  },
+
+  // Display priority
+  isPrimary: {
+    type: Boolean,
+    default: false
+  },
+
+  // How the size variants are cut from the original
+  crop: CropSchema,
+  focalPoint: FocalPointSchema,
+
+  // License information
+  license: {
+    type: {
+      type: String,
+      required: true,
+      enum: LICENSE_TYPES
+    },
+    // Creative Commons name and version, e.g. 'CC BY-SA 4.0' and '4.0'
+    name: String,
+    version: String,
+    licenseUrl: String,
+    author: String,
+    authorUrl: String,
+    attribution: String,
+    commercial: { type: Boolean, default: true },
+    // Page the image was found on
+    url: String
+  },
+
+  // Usage tracking
+  usageCount: { type: Number, default: 0 },
+  lastUsed: Date,
+
+  // Processing information
+  processedSizes: [{
+    size: {
+      type: String,
+      enum: ['original', 'large', 'medium', 'small', 'thumbnail']
+    },
+    path: String,
+    width: Number,
+    height: Number,
+    fileSize: Number
+  }],
+
+  // Approval workflow
+  approvedAt: Date,
+  approvedBy: String,
+  rejectionReason: String,
+  rejectionDetails: mongoose.Schema.Types.Mixed,
+
+  // Why collection approved, rejected or queued this image for review
+  approvalDecision: {
+    action: String,
+    status: String,
+    rule: String,
+    reason: String,
+    conditions: [{
+      _id: false,
+      field: String,
+      operator: String,
+      value: mongoose.Schema.Types.Mixed,
+      actual: mongoose.Schema.Types.Mixed
+    }],
+    evaluatedAt: Date
+  },
+
+  // Timestamps
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Collection progress schema for each item
+const CollectionProgressSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['pending', 'collecting', 'completed', 'failed', 'paused'],
+    default: 'pending'
+  },
+
+  // Target and actual counts
+  targetCount: { type: Number, default: 3 },
+  collectedCount: { type: Number, default: 0 },
+  approvedCount: { type: Number, default: 0 },
+  rejectedCount: { type: Number, default: 0 },
+
+  // Collection attempts
+  searchAttempts: { type: Number, default: 0 },
+  lastSearchTerms: [String],
+
+  // Difficulty assessment
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard', 'very_hard'],
+    default: 'medium'
+  },
+
+  // Source breakdown
+  sources: {
+    unsplash: {
+      found: { type: Number, default: 0 },
+      approved: { type: Number, default: 0 },
+      lastSearched: Date
+    },
+    pixabay: {
+      found: { type: Number, default: 0 },
+      approved: { type: Number, default: 0 },
+      lastSearched: Date
+    },
+    pexels: {
+      found: { type: Number, default: 0 },
+      approved: { type: Number, default: 0 },
+      lastSearched: Date
+    },
+    wikimedia: {
+      found: { type: Number, default: 0 },
+      approved: { type: Number, default: 0 },
+      lastSearched: Date
+    },
+    openverse: {
+      found: { type: Number, default: 0 },
+      approved: { type: Number, default: 0 },
+      lastSearched: Date
+    },
+    dalle: {
+      generated: { type: Number, default: 0 },
+      approved: { type: Number, default: 0 },
+      lastGenerated: Date
+    }
+  },
+
+  // Quality metrics
+  averageQualityScore: { type: Number, min: 0, max: 10 },
+  bestQualityScore: { type: Number, min: 0, max: 10 },
+
+  // Error tracking
+  errors: [{
+    timestamp: { type: Date, default: Date.now },
+    source: String,
+    message: String,
+    details: mongoose.Schema.Types.Mixed
+  }],
+
+  // Timestamps
+  startedAt: Date,
+  completedAt: Date,
+  lastAttempt: Date,
+  nextAttempt: Date
+}, { _id: false });
+
+// Item fields shared by the standalone Item collection and the legacy
+// embedded `items.A` … `items.Z` arrays on Category documents
+const itemFields = {
+  // Existing EverythingABC fields
+  id: { type: String, required: true },
+  name: { type: String, required: true, trim: true },
+
+  // Legacy single image field (for backward compatibility)
+  image: String,
+  imageAlt: String,
+
+  // New multi-image system
+  images: [ImageSchema],
+
+  // Existing metadata
+  difficulty: { type: Number, min: 1, max: 5, default: 1 },
+  pronunciation: String,
+  description: { type: String, required: true, trim: true },
+  facts: [String],
+  tags: [String],
+
+  // Category-specific metadata (preserved)
+  nutritionFacts: {
+    vitamins: [String],
+    minerals: [String],
+    benefits: [String]
+  },
+  technicalFacts: {
+    speed: String,
+    environment: String,
+    passengers: String
+  },
+  colorInfo: {
+    hex: String,
+    rgb: String,
+    family: String,
+    mood: String
+  },
+  roomLocation: String,
+  uses: [String],
+
+  // New collection management
+  collectionProgress: CollectionProgressSchema,
+
+  // Two-track status system for CMS
+  collectionStatus: {
+    type: String,
+    enum: ['pending', 'complete'],
+    default: 'pending'
+  },
+  publishingStatus: {
+    type: String,
+    enum: ['draft', 'review', 'published'],
+    default: 'draft'
+  },
+
+  // Legacy status fields (backward compatibility)
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'archived'],
+    default: 'published'
+  },
+  approvalStatus: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'approved'
+  },
+
+  // Admin tracking
+  createdBy: String,
+  lastModifiedBy: String,
+  approvedBy: String,
+  approvedAt: Date,
+  publishedBy: String,
+  publishedAt: Date,
+
+  // Timestamps
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+};
+
+// Virtuals shared by both item schemas
+function addItemVirtuals(schema) {
+  // Virtual for primary image (backward compatibility)
+  schema.virtual('primaryImage').get(function() {
+    const primaryImg = this.images.find(img => img.isPrimary && img.status === 'approved');
+    if (primaryImg) return primaryImg.filePath;
+
+    const approvedImg = this.images.find(img => img.status === 'approved');
+    if (approvedImg) return approvedImg.filePath;
+
+    return this.image || '/images/placeholder.webp';
+  });
+
+  // Virtual for collection completion percentage
+  schema.virtual('collectionCompletionPercent').get(function() {
+    if (!this.collectionProgress) return 0;
+    const { approvedCount, targetCount } = this.collectionProgress;
+    return Math.round((approvedCount / Math.max(targetCount, 1)) * 100);
+  });
+}
+
+// Embedded item schema, only used by the legacy Category.items field
+const EmbeddedItemSchema = new mongoose.Schema(itemFields, { _id: false });
+addItemVirtuals(EmbeddedItemSchema);
+
+// Editorial review state. Comments and history live in ReviewEvent.
+const ReviewerSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  email: { type: String, required: true },
+  name: String,
+  assignedAt: { type: Date, default: Date.now },
+  assignedBy: String
+}, { _id: false });
+
+const ReviewStateSchema = new mongoose.Schema({
+  reviewers: [ReviewerSchema],
+  submittedAt: Date,
+  submittedBy: String,
+  // Latest reviewer decision; cleared when the item is resubmitted
+  decision: {
+    type: String,
+    enum: ['changes_requested', 'approved']
+  },
+  decisionReason: String,
+  decidedAt: Date,
+  decidedBy: String
+}, { _id: false });
+
+// One locale's translation of an item. `letter` is derived from the
+// translated name using that locale's alphabet.
+const ItemTranslationSchema = new mongoose.Schema({
+  name: { type: String, trim: true },
+  description: { type: String, trim: true },
+  pronunciation: String,
+  facts: [String],
+  letter: String
+}, { _id: false });
+
+// Spoken pronunciation of an item's name, at most one per locale. Generated
+// by a text-to-speech provider or uploaded by an editor.
+const AudioSchema = new mongoose.Schema({
+  locale: { type: String, required: true, default: DEFAULT_LOCALE },
+  // The text that was spoken (the item's name in that locale)
+  text: String,
+  sourceProvider: {
+    type: String,
+    enum: ['espeak', 'openai', 'stub', 'upload'],
+    required: true
+  },
+  voice: String,
+
+  // CDN url or local path, as with images
+  filePath: { type: String, required: true },
+  // Public URL the apps play from
+  url: { type: String, required: true },
+  mimeType: String,
+  fileSize: Number,
+  durationMs: Number,
+
+  createdBy: String,
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Standalone item schema - one document per item
+const ItemSchema = new mongoose.Schema({
+  // Owning category (Category.id, not its ObjectId) and alphabet bucket
+  categoryId: { type: String, required: true, trim: true },
+  letter: {
+    type: String,
+    required: true,
+    uppercase: true,
+    match: /^[A-Z]$/
+  },
+
+  ...itemFields,
+
+  // Scheduled publishing transitions, applied by the publishing-schedule queue
+  publishAt: Date,
+  unpublishAt: Date,
+  scheduledBy: String,
+
+  review: ReviewStateSchema,
+
+  audio: {
+    type: [AudioSchema],
+    validate: {
+      validator: (audio) => new Set(audio.map(entry => entry.locale)).size === audio.length,
+      message: 'Only one audio clip per locale'
+    }
+  },
+
+  // Keyed by locale (see utils/locales.js); English lives in the fields above
+  translations: {
+    type: Map,
+    of: ItemTranslationSchema,
+    default: undefined,
+    validate: {
+      validator: (translations) => !translations ||
+        Array.from(translations.keys()).every(locale => isSupportedLocale(locale) && locale !== DEFAULT_LOCALE),
+      message: 'Unsupported translation locale'
+    }
+  }
+}, {
+  collection: 'items'
+});
+addItemVirtuals(ItemSchema);
+
+// Indexes for performance
+ItemSchema.index({ id: 1 });
+ItemSchema.index({ categoryId: 1, id: 1 }, { unique: true });
+ItemSchema.index({ categoryId: 1, letter: 1, name: 1 });
+ItemSchema.index({ status: 1 });
+ItemSchema.index({ publishingStatus: 1 });
+ItemSchema.index({ collectionStatus: 1 });
+ItemSchema.index({ tags: 1 });
+ItemSchema.index({ 'images.sourceId': 1 });
+ItemSchema.index({ 'images.perceptualHash': 1 });
+ItemSchema.index({ publishAt: 1 }, { sparse: true });
+ItemSchema.index({ unpublishAt: 1 }, { sparse: true });
+ItemSchema.index({ publishingStatus: 1, 'review.reviewers.userId': 1 });
+
+ItemSchema.pre('save', function(next) {
+  if (this.letter) this.letter = this.letter.toUpperCase();
+  if (this.translations) {
+    for (const [locale, translation] of this.translations) {
+      translation.letter = letterFor(translation.name, locale) || undefined;
+    }
+  }
+  if (!this.isNew && this.isModified()) this.updatedAt = new Date();
+  next();
+});
+
+// The pronunciation clip for a locale, if any
+ItemSchema.methods.getAudio = function(locale = DEFAULT_LOCALE) {
+  return (this.audio || []).find(entry => entry.locale === locale) || null;
+};
+
+// Static methods
+ItemSchema.statics.ALPHABET = ALPHABET;
+
+// What the public API shows. Drafts, items in review and items the schedule
+// has unpublished stay in the CMS.
+ItemSchema.statics.PUBLISHED = Object.freeze({ publishingStatus: 'published' });
+
+ItemSchema.statics.findByCategory = function(categoryId, filter = {}) {
+  return this.find({ categoryId, ...filter }).sort({ letter: 1, name: 1 });
+};
+
+ItemSchema.statics.findByLetter = function(categoryId, letter, filter = {}) {
+  return this.find({ categoryId, letter: letter.toUpperCase(), ...filter }).sort({ name: 1 });
+};
+
+// Items are unique per category, but most admin routes only carry the item id
+ItemSchema.statics.findByItemId = function(itemId, categoryId = null) {
+  const query = { id: itemId };
+  if (categoryId) query.categoryId = categoryId;
+  return this.findOne(query);
+};
+
+// Group a flat list of items into the { A: [...], ..., Z: [...] } shape the
+// public API and the apps have always consumed
+ItemSchema.statics.groupByLetter = function(items) {
+  const grouped = {};
+  for (const letter of ALPHABET) {
+    grouped[letter] = [];
+  }
+
+  for (const item of items) {
+    const letter = (item.letter || '').toUpperCase();
+    if (grouped[letter]) {
+      grouped[letter].push(item);
+    }
+  }
+
+  return grouped;
+};
+
+// Plain object in the shape items had while embedded in categories, so API
+// responses don't change for existing clients
+ItemSchema.statics.toEmbeddedShape = function(item) {
+  const { _id, __v, categoryId, letter, ...fields } = item.toObject ? item.toObject() : item;
+  return fields;
+};
+
+/**
+ * An item's fields in another language, falling back to English for anything
+ * not translated. `letter` is the item's bucket in that locale's alphabet.
+ *
+ * @returns {object|null} null when the item's name has no bucket in the locale
+ */
+ItemSchema.statics.localize = function(item, locale) {
+  const fields = this.toEmbeddedShape(item);
+  const { translations, ...rest } = fields;
+
+  if (!locale || locale === DEFAULT_LOCALE) {
+    return { ...rest, letter: item.letter };
+  }
+
+  const translation = (translations instanceof Map ? translations.get(locale) : translations?.[locale]) || {};
+  const localized = { ...rest, locale, translated: Boolean(translation.name) };
+
+  for (const field of TRANSLATABLE_ITEM_FIELDS) {
+    const value = translation[field];
+    if (value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)) {
+      localized[field] = value;
+    }
+  }
+
+  localized.letter = letterFor(localized.name, locale);
+  return localized.letter ? localized : null;
+};
+
+// Group items by their letter in a locale's alphabet. Items that can't be
+// bucketed in that locale (e.g. untranslated names in another script) are left out.
+ItemSchema.statics.groupByLocale = function(items, locale = DEFAULT_LOCALE) {
+  const grouped = Object.fromEntries(getAlphabet(locale).map(letter => [letter, []]));
+
+  for (const item of items) {
+    const localized = this.localize(item, locale);
+    if (!localized || !grouped[localized.letter]) continue;
+
+    const { letter, ...fields } = localized;
+    grouped[letter].push(fields);
+  }
+
+  for (const letter of Object.keys(grouped)) {
+    grouped[letter].sort((a, b) => a.name.localeCompare(b.name, locale));
+  }
+
+  return grouped;
+};
+
+// Attach `items`, grouped by letter, to plain (lean) category objects
+ItemSchema.statics.attachToCategories = async function(categories) {
+  const items = await this.find({ categoryId: { $in: categories.map(c => c.id) } })
+    .sort({ letter: 1, name: 1 })
+    .lean();
+
+  return categories.map(category => ({
+    ...category,
+    items: this.groupByLetter(items.filter(item => item.categoryId === category.id))
+  }));
+};
+
+ItemSchema.statics.getLettersWithItems = async function(categoryId) {
+  const letters = await this.distinct('letter', { categoryId });
+  return letters.sort();
+};
+
+// Build a new Item document for a category, seeding collection progress the
+// same way Category.addItem does for embedded items
+ItemSchema.statics.buildForCategory = function(category, letter, data) {
+  const item = new this({
+    ...data,
+    categoryId: category.id,
+    letter: letter.toUpperCase()
+  });
+
+  if (!data.collectionProgress) {
+    item.collectionProgress = {
+      status: 'pending',
+      targetCount: category.imageCollection?.strategy?.targetImagesPerItem || 3,
+      collectedCount: 0,
+      approvedCount: 0,
+      rejectedCount: 0
+    };
+  }
+
+  return item;
+};
+
+// One flat entry per hashed image across the library, for duplicate checks.
+// Rejected images are left out unless asked for, so a bad copy never blocks
+// a good one.
+ItemSchema.statics.getImageHashIndex = function(options = {}) {
+  const match = { 'images.perceptualHash': { $exists: true, $ne: null } };
+  if (!options.includeRejected) {
+    match['images.status'] = { $ne: 'rejected' };
+  }
+
+  return this.aggregate([
+    { $match: { 'images.perceptualHash': { $exists: true } } },
+    { $unwind: '$images' },
+    { $match: match },
+    {
+      $project: {
+        _id: 0,
+        categoryId: 1,
+        letter: 1,
+        itemId: '$id',
+        itemName: '$name',
+        sourceProvider: '$images.sourceProvider',
+        sourceId: '$images.sourceId',
+        filePath: '$images.filePath',
+        status: '$images.status',
+        isPrimary: '$images.isPrimary',
+        qualityScore: '$images.qualityScore.overall',
+        perceptualHash: '$images.perceptualHash',
+        createdAt: '$images.createdAt'
+      }
+    }
+  ]);
+};
+
+const Item = mongoose.model('Item', ItemSchema);
+
+module.exports = Item;
+module.exports.ItemSchema = ItemSchema;
+module.exports.EmbeddedItemSchema = EmbeddedItemSchema;
+module.exports.ImageSchema = ImageSchema;
+module.exports.AudioSchema = AudioSchema;
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const MAX_CARDS = 5000;
+
+// Learner ids are random UUIDs generated by the app. There are no accounts,
+// so knowing the id is what grants access to the progress.
+const LEARNER_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// One review card per item. Scheduling (SM-2) happens in the app; the API
+// only stores cards and merges them between devices.
+const CardSchema = new mongoose.Schema({
+  categoryId: { type: String, required: true },
+  itemId: { type: String, required: true },
+  letter: String,
+  learned: { type: Boolean, default: true },
+  repetitions: { type: Number, default: 0, min: 0 },
+  interval: { type: Number, default: 0, min: 0 }, // days
+  easeFactor: { type: Number, default: 2.5, min: 1.3 },
+  dueAt: Date,
+  learnedAt: Date,
+  lastReviewedAt: Date,
+  // Set by the client on every change; the newer copy wins when merging
+  updatedAt: { type: Date, required: true }
+}, { _id: false });
+
+// LearnerProgress Schema for anonymous learner profiles synced from the app
+const LearnerProgressSchema = new mongoose.Schema({
+  learnerId: {
+    type: String,
+    required: true,
+    unique: true,
+    match: LEARNER_ID_PATTERN
+  },
+  cards: [CardSchema],
+  lastSyncedAt: Date
+}, {
+  timestamps: true,
+  collection: 'learner_progress'
+});
+
+const cardKey = (card) => `${card.categoryId}:${card.itemId}`;
+
+const toDate = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Static Methods
+LearnerProgressSchema.statics.MAX_CARDS = MAX_CARDS;
+
+LearnerProgressSchema.statics.isValidLearnerId = function(learnerId) {
+  return typeof learnerId === 'string' && LEARNER_ID_PATTERN.test(learnerId);
+};
+
+/**
+ * Validate and whitelist a card sent by the app.
+ *
+ * @returns {object|null} the card, or null if it is unusable
+ */
+LearnerProgressSchema.statics.normalizeCard = function(card) {
+  if (!card || typeof card.categoryId !== 'string' || typeof card.itemId !== 'string') {
+    return null;
+  }
+
+  const dates = {};
+  for (const field of ['dueAt', 'learnedAt', 'lastReviewedAt', 'updatedAt']) {
+    dates[field] = toDate(card[field]);
+    if (dates[field] === null) return null;
+  }
+  if (!dates.updatedAt) return null;
+
+  const number = (value, fallback, min) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? Math.max(parsed, min) : fallback;
+  };
+
+  return {
+    categoryId: card.categoryId,
+    itemId: card.itemId,
+    letter: typeof card.letter === 'string' ? card.letter.toUpperCase().slice(0, 1) : undefined,
+    learned: card.learned !== false,
+    repetitions: Math.round(number(card.repetitions, 0, 0)),
+    interval: number(card.interval, 0, 0),
+    easeFactor: number(card.easeFactor, 2.5, 1.3),
+    ...dates
+  };
+};
+
+// Merge two card lists, keeping the most recently updated copy of each card
+LearnerProgressSchema.statics.mergeCards = function(current = [], incoming = []) {
+  const merged = new Map();
+
+  for (const card of [...current, ...incoming]) {
+    const key = cardKey(card);
+    const existing = merged.get(key);
+    if (!existing || new Date(card.updatedAt) > new Date(existing.updatedAt)) {
+      merged.set(key, card);
+    }
+  }
+
+  return Array.from(merged.values());
+};
+
+// Instance Methods
+LearnerProgressSchema.methods.toResponse = function() {
+  return {
+    learnerId: this.learnerId,
+    cards: this.cards.map(card => card.toObject ? card.toObject() : card),
+    lastSyncedAt: this.lastSyncedAt
+  };
+};
+
+module.exports = mongoose.model('LearnerProgress', LearnerProgressSchema);
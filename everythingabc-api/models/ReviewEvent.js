@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+const EVENT_TYPES = [
+  'submitted',
+  'assigned',
+  'unassigned',
+  'comment',
+  'changes_requested',
+  'approved'
+];
+
+// ReviewEvent Schema - the editorial review history of an item. Comments are
+// events too; replies point at the comment they answer through parentId.
+const ReviewEventSchema = new mongoose.Schema({
+  // Item.id and its Item.categoryId; item ids are only unique within a category
+  itemId: {
+    type: String,
+    required: true
+  },
+  categoryId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: EVENT_TYPES
+  },
+  // Comment text, or the reason given when requesting changes
+  body: {
+    type: String,
+    trim: true,
+    maxlength: 5000
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Reviewer affected by assigned / unassigned events
+  assignee: {
+    userId: String,
+    email: String
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  userEmail: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  collection: 'review_events'
+});
+
+ReviewEventSchema.index({ categoryId: 1, itemId: 1, createdAt: 1 });
+
+// Static Methods
+ReviewEventSchema.statics.EVENT_TYPES = EVENT_TYPES;
+
+ReviewEventSchema.statics.findForItem = function(item) {
+  return this.find({ categoryId: item.categoryId, itemId: item.id }).sort({ createdAt: 1 });
+};
+
+ReviewEventSchema.statics.record = function(item, type, user, fields = {}) {
+  return this.create({
+    itemId: item.id,
+    categoryId: item.categoryId,
+    type,
+    userId: user?.id || 'system',
+    userEmail: user?.email || 'system',
+    ...fields
+  });
+};
+
+/**
+ * Nest comment events into threads. Replies to a missing parent are shown
+ * at the top level rather than dropped.
+ *
+ * @param {Array<object>} events - summaries in chronological order
+ * @returns {Array<object>} top-level comments, each with a `replies` array
+ */
+ReviewEventSchema.statics.threadComments = function(events) {
+  const comments = events
+    .filter(event => event.type === 'comment')
+    .map(event => ({ ...event, replies: [] }));
+  const byId = new Map(comments.map(comment => [String(comment.id), comment]));
+  const threads = [];
+
+  for (const comment of comments) {
+    const parent = comment.parentId && byId.get(String(comment.parentId));
+    if (parent) {
+      parent.replies.push(comment);
+    } else {
+      threads.push(comment);
+    }
+  }
+
+  return threads;
+};
+
+// Instance Methods
+ReviewEventSchema.methods.toSummary = function() {
+  return {
+    id: this._id.toString(),
+    type: this.type,
+    body: this.body,
+    parentId: this.parentId ? this.parentId.toString() : null,
+    assignee: this.assignee?.userId ? this.assignee : null,
+    userId: this.userId,
+    userEmail: this.userEmail,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('ReviewEvent', ReviewEventSchema);
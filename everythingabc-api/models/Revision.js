@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+
+// Editable content captured in each revision. Images, collection progress and
+// derived stats are left out: they change through collection and review, not
+// edits, and restoring them could point at files that no longer exist.
+const CONTENT_FIELDS = {
+  item: [
+    'name', 'description', 'image', 'imageAlt', 'difficulty', 'pronunciation',
+    'facts', 'tags', 'nutritionFacts', 'technicalFacts', 'colorInfo', 'roomLocation', 'uses',
+    'translations'
+  ],
+  category: [
+    'name', 'icon', 'color', 'difficulty', 'description', 'status', 'priority',
+    'group', 'tags', 'ageRange', 'learningObjectives', 'translations'
+  ]
+};
+
+// Revision Schema for point-in-time history of items and categories
+const RevisionSchema = new mongoose.Schema({
+  resourceType: {
+    type: String,
+    required: true,
+    enum: Object.keys(CONTENT_FIELDS)
+  },
+  // Category.id or Item.id
+  resourceId: {
+    type: String,
+    required: true
+  },
+  // Owning category for items; item ids are only unique within a category
+  categoryId: {
+    type: String,
+    default: null
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['baseline', 'update', 'restore']
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  changedFields: [String],
+  restoredFrom: Number,
+  userId: String,
+  userEmail: String,
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  collection: 'revisions',
+  minimize: false
+});
+
+RevisionSchema.index({ resourceType: 1, categoryId: 1, resourceId: 1, version: -1 }, { unique: true });
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Static Methods
+RevisionSchema.statics.CONTENT_FIELDS = CONTENT_FIELDS;
+
+RevisionSchema.statics.snapshotOf = function(resourceType, doc) {
+  const source = doc.toObject ? doc.toObject() : doc;
+  const snapshot = {};
+
+  for (const field of CONTENT_FIELDS[resourceType]) {
+    if (source[field] !== undefined) {
+      snapshot[field] = source[field];
+    }
+  }
+
+  // Round-trip so Dates, subdocuments and Maps (translations) are stored as
+  // plain JSON values
+  return JSON.parse(JSON.stringify(snapshot, (key, value) =>
+    value instanceof Map ? Object.fromEntries(value) : value
+  ));
+};
+
+// Field-level differences between two snapshots
+RevisionSchema.statics.diffSnapshots = function(resourceType, before = {}, after = {}) {
+  return CONTENT_FIELDS[resourceType]
+    .filter(field => !isEqual(before[field], after[field]))
+    .map(field => ({
+      field,
+      before: before[field] ?? null,
+      after: after[field] ?? null
+    }));
+};
+
+RevisionSchema.statics.keyFor = function(resourceType, doc) {
+  return {
+    resourceType,
+    resourceId: doc.id,
+    categoryId: resourceType === 'item' ? doc.categoryId : null
+  };
+};
+
+RevisionSchema.statics.findForResource = function(key, options = {}) {
+  const { limit = 50, skip = 0 } = options;
+  return this.find(key)
+    .sort({ version: -1 })
+    .skip(skip)
+    .limit(limit);
+};
+
+RevisionSchema.statics.findVersion = function(key, version) {
+  return this.findOne({ ...key, version: parseInt(version) });
+};
+
+/**
+ * Record an edit. `before` and `after` are the document states around the
+ * change. Resources edited for the first time get a baseline revision of
+ * `before` so the original content can always be restored. Edits that don't
+ * touch any content field are not recorded.
+ *
+ * @returns {Promise<Revision|null>} the new revision, or null if nothing changed
+ */
+RevisionSchema.statics.recordChange = async function(resourceType, before, after, options = {}) {
+  try {
+    return await this.appendRevision(resourceType, before, after, options);
+  } catch (error) {
+    // Two concurrent edits raced for the same version number; the retry
+    // diffs against whichever one won
+    if (error.code === 11000) {
+      return this.appendRevision(resourceType, before, after, options);
+    }
+    throw error;
+  }
+};
+
+RevisionSchema.statics.appendRevision = async function(resourceType, before, after, options = {}) {
+  const { user, action = 'update', restoredFrom, comment } = options;
+  const key = this.keyFor(resourceType, after);
+  const author = {
+    userId: user?.id || 'system',
+    userEmail: user?.email || 'system'
+  };
+
+  let latest = await this.findOne(key).sort({ version: -1 });
+
+  if (!latest) {
+    latest = await this.create({
+      ...key,
+      version: 1,
+      action: 'baseline',
+      snapshot: this.snapshotOf(resourceType, before),
+      changedFields: [],
+      ...author
+    });
+  }
+
+  const snapshot = this.snapshotOf(resourceType, after);
+  const changedFields = this.diffSnapshots(resourceType, latest.snapshot, snapshot).map(change => change.field);
+
+  if (changedFields.length === 0) {
+    return null;
+  }
+
+  return this.create({
+    ...key,
+    version: latest.version + 1,
+    action,
+    snapshot,
+    changedFields,
+    restoredFrom,
+    comment,
+    ...author
+  });
+};
+
+// Instance Methods
+RevisionSchema.methods.toSummary = function() {
+  return {
+    version: this.version,
+    action: this.action,
+    changedFields: this.changedFields,
+    restoredFrom: this.restoredFrom,
+    userEmail: this.userEmail,
+    comment: this.comment,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Revision', RevisionSchema);
@@ -1,31 +1,72 @@
 const express = require('express');
 const router = express.Router();
 const Category = require('../models/Category');
+const Item = require('../models/Item');
+const ItemSearch = require('../services/search/ItemSearch');
+const QuizGenerator = require('../services/quiz/QuizGenerator');
+const PrintRenderer = require('../services/print/PrintRenderer');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES, getAlphabet, isSupportedLocale } = require('../utils/locales');
+
+const itemSearch = new ItemSearch();
+const quizGenerator = new QuizGenerator();
+const printRenderer = new PrintRenderer();
 
 // Helper function to handle async routes
 const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
 
+// Load a category's items grouped by letter, in the embedded shape
+const loadGroupedItems = async (category) => {
+  const grouped = Item.groupByLetter(await Item.findByCategory(category.id, Item.PUBLISHED).lean());
+  for (const letter of Object.keys(grouped)) {
+    grouped[letter] = grouped[letter].map(item => Item.toEmbeddedShape(item));
+  }
+  return grouped;
+};
+
+// Items grouped by the locale's alphabet, with translated fields
+const loadLocalizedItems = async (category, lang) => {
+  const items = await Item.findByCategory(category.id, Item.PUBLISHED).lean();
+  return Item.groupByLocale(items, lang);
+};
+
+// Locales this category or any of its items has translations for
+const getAvailableLanguages = async (category) => {
+  const locales = new Set([DEFAULT_LOCALE, ...(category.translations?.keys() || [])]);
+  const itemLocales = await Item.aggregate([
+    { $match: { categoryId: category.id, ...Item.PUBLISHED, translations: { $type: 'object' } } },
+    { $project: { locales: { $map: { input: { $objectToArray: '$translations' }, in: '$$this.k' } } } },
+    { $unwind: '$locales' },
+    { $group: { _id: '$locales' } }
+  ]);
+  itemLocales.forEach(({ _id }) => locales.add(_id));
+  return SUPPORTED_LOCALES.filter(locale => locales.has(locale));
+};
+
 // Helper function to format category response
-const formatCategoryResponse = (category) => {
+const formatCategoryResponse = (category, groupedItems, lang = DEFAULT_LOCALE) => {
   if (!category) return null;
 
+  const { name, description } = category.getLocalizedFields(lang);
+
   return {
     id: category.id,
-    name: category.name,
+    name,
     icon: category.icon,
     color: category.color,
     difficulty: category.difficulty,
-    description: category.description,
+    description,
     status: category.status,
     completeness: category.completeness,
     tags: category.tags,
     ageRange: category.ageRange,
     learningObjectives: category.learningObjectives,
-    items: category.items,
+    items: groupedItems,
     metadata: category.metadata,
-    lettersWithItems: category.getLettersWithItems(),
+    lettersWithItems: lang === DEFAULT_LOCALE
+      ? category.getLettersWithItems(groupedItems)
+      : getAlphabet(lang).filter(letter => groupedItems[letter].length > 0),
     createdAt: category.createdAt,
     updatedAt: category.updatedAt
   };
@@ -55,20 +96,25 @@ router.get('/', asyncHandler(async (req, res) => {
 
   const categories = await Category.find(query).sort(sortOption);
 
+  // Letters and preview images for every category in a single pass
+  const itemSummaries = await Item.aggregate([
+    { $match: { categoryId: { $in: categories.map(category => category.id) }, ...Item.PUBLISHED } },
+    { $sort: { letter: 1, name: 1 } },
+    {
+      $group: {
+        _id: '$categoryId',
+        letters: { $addToSet: '$letter' },
+        images: { $push: '$image' }
+      }
+    }
+  ]);
+  const summaryByCategory = new Map(itemSummaries.map(summary => [summary._id, summary]));
+
   const formattedCategories = categories.map(category => {
+    const summary = summaryByCategory.get(category.id) || { letters: [], images: [] };
+
     // Collect all images from the category for preview
-    const allImages = [];
-    if (category.items) {
-      Object.values(category.items).forEach(letterItems => {
-        if (Array.isArray(letterItems)) {
-          letterItems.forEach(item => {
-            if (item && item.image) {
-              allImages.push(item.image);
-            }
-          });
-        }
-      });
-    }
+    const allImages = summary.images.filter(Boolean);
 
     return {
       id: category.id,
@@ -83,7 +129,7 @@ router.get('/', asyncHandler(async (req, res) => {
         totalItems: category.metadata.totalItems,
         viewCount: category.metadata.viewCount
       },
-      lettersWithItems: category.getLettersWithItems(),
+      lettersWithItems: summary.letters.sort(),
       sampleImages: allImages // Include all images for slideshow
     };
   });
@@ -96,7 +142,17 @@ router.get('/', asyncHandler(async (req, res) => {
 }));
 
 // GET /api/v1/categories/:id - Get specific category with all items
+// Optional ?lang= returns translated fields, bucketed by that language's alphabet
 router.get('/:id', asyncHandler(async (req, res) => {
+  const lang = req.query.lang || DEFAULT_LOCALE;
+
+  if (!isSupportedLocale(lang)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unsupported language '${lang}'. Use one of: ${SUPPORTED_LOCALES.join(', ')}`
+    });
+  }
+
   const category = await Category.findByIdWithStats(req.params.id);
 
   if (!category) {
@@ -106,9 +162,18 @@ router.get('/:id', asyncHandler(async (req, res) => {
     });
   }
 
+  const groupedItems = lang === DEFAULT_LOCALE
+    ? await loadGroupedItems(category)
+    : await loadLocalizedItems(category, lang);
+
   res.json({
     success: true,
-    data: formatCategoryResponse(category)
+    data: {
+      ...formatCategoryResponse(category, groupedItems, lang),
+      lang,
+      alphabet: getAlphabet(lang),
+      availableLanguages: await getAvailableLanguages(category)
+    }
   });
 }));
 
@@ -133,7 +198,8 @@ router.get('/:id/letters/:letter', asyncHandler(async (req, res) => {
     });
   }
 
-  const items = category.getItemsByLetter(upperLetter);
+  const items = (await Item.findByLetter(category.id, upperLetter, Item.PUBLISHED).lean())
+    .map(item => Item.toEmbeddedShape(item));
 
   res.json({
     success: true,
@@ -177,7 +243,7 @@ router.post('/:id/letters/:letter', asyncHandler(async (req, res) => {
     });
   }
 
-  const newItem = {
+  const itemData = {
     id: req.body.id || name.toLowerCase().replace(/\s+/g, '-'),
     name,
     image,
@@ -190,7 +256,11 @@ router.post('/:id/letters/:letter', asyncHandler(async (req, res) => {
     ...req.body // Include any category-specific fields
   };
 
-  await category.addItem(upperLetter, newItem);
+  const item = Item.buildForCategory(category, upperLetter, itemData);
+  await item.save();
+  await category.refreshItemStats();
+
+  const newItem = Item.toEmbeddedShape(item);
 
   res.status(201).json({
     success: true,
@@ -224,7 +294,8 @@ router.delete('/:id/letters/:letter/items/:itemId', asyncHandler(async (req, res
     });
   }
 
-  await category.removeItem(upperLetter, itemId);
+  await Item.deleteOne({ categoryId: category.id, letter: upperLetter, id: itemId });
+  await category.refreshItemStats();
 
   res.json({
     success: true,
@@ -233,9 +304,9 @@ router.delete('/:id/letters/:letter/items/:itemId', asyncHandler(async (req, res
 }));
 
 // GET /api/v1/categories/search/:query - Search items across all categories
+// Optional filters: category, letter, difficulty, tag; paginated with page/limit
 router.get('/search/:query', asyncHandler(async (req, res) => {
   const { query } = req.params;
-  const { limit = 20 } = req.query;
 
   if (!query || query.trim().length < 2) {
     return res.status(400).json({
@@ -244,40 +315,84 @@ router.get('/search/:query', asyncHandler(async (req, res) => {
     });
   }
 
-  const categories = await Category.searchItems(query).limit(parseInt(limit));
-
-  // Extract matching items from categories
-  const results = [];
-  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-
-  categories.forEach(category => {
-    alphabet.split('').forEach(letter => {
-      if (category.items[letter]) {
-        category.items[letter].forEach(item => {
-          const searchTerm = query.toLowerCase();
-          if (item.name.toLowerCase().includes(searchTerm) ||
-              item.description.toLowerCase().includes(searchTerm) ||
-              item.tags.some(tag => tag.includes(searchTerm))) {
-            results.push({
-              ...item.toObject(),
-              categoryId: category.id,
-              categoryName: category.name,
-              letter: letter
-            });
-          }
-        });
-      }
-    });
-  });
+  const { results, facets, pagination } = await itemSearch.search(query, req.query);
 
   res.json({
     success: true,
     data: results,
     count: results.length,
+    total: pagination.totalItems,
+    pagination,
+    facets,
     query: query
   });
 }));
 
+// GET /api/v1/categories/:id/quiz - Generate a quiz from the category's items
+// Optional: seed (same seed, same quiz), count, modes (picture,letter,spell,fact)
+router.get('/:id/quiz', asyncHandler(async (req, res) => {
+  const options = quizGenerator.parseOptions(req.query);
+
+  if (options.error) {
+    return res.status(400).json({
+      success: false,
+      error: options.error
+    });
+  }
+
+  const category = await Category.findOne({ id: req.params.id });
+
+  if (!category) {
+    return res.status(404).json({
+      success: false,
+      error: 'Category not found'
+    });
+  }
+
+  const items = await Item.findByCategory(category.id, Item.PUBLISHED).lean();
+  const quiz = quizGenerator.generate(category, items, options);
+
+  res.json({
+    success: true,
+    data: {
+      ...quiz,
+      categoryName: category.name
+    },
+    count: quiz.questions.length
+  });
+}));
+
+// GET /api/v1/categories/:id/print - Printable PDF (?layout=flashcards|poster|worksheet&paper=a4|letter&cardsPerPage=6)
+router.get('/:id/print', asyncHandler(async (req, res) => {
+  const options = printRenderer.parseOptions(req.query);
+
+  if (options.error) {
+    return res.status(400).json({
+      success: false,
+      error: options.error
+    });
+  }
+
+  const category = await Category.findOne({ id: req.params.id });
+
+  if (!category) {
+    return res.status(404).json({
+      success: false,
+      error: 'Category not found'
+    });
+  }
+
+  const items = await Item.findByCategory(category.id, Item.PUBLISHED).lean();
+  const pdf = await printRenderer.renderCached(category, items, options);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="${category.id}-${options.layout}.pdf"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+}));
+
 // POST /api/v1/categories - Create new category (admin function)
 router.post('/', asyncHandler(async (req, res) => {
   const categoryData = {
@@ -290,17 +405,28 @@ router.post('/', asyncHandler(async (req, res) => {
     status: req.body.status || 'active',
     tags: req.body.tags || [],
     ageRange: req.body.ageRange,
-    learningObjectives: req.body.learningObjectives || [],
-    items: req.body.items || {}
+    learningObjectives: req.body.learningObjectives || []
   };
 
   const category = new Category(categoryData);
   await category.save();
 
+  // Items may be supplied grouped by letter, as in the response shape
+  const newItems = [];
+  for (const [letter, letterItems] of Object.entries(req.body.items || {})) {
+    if (!/^[A-Z]$/i.test(letter) || !Array.isArray(letterItems)) continue;
+    letterItems.forEach(itemData => newItems.push(Item.buildForCategory(category, letter, itemData)));
+  }
+
+  if (newItems.length > 0) {
+    await Item.insertMany(newItems);
+    await category.refreshItemStats();
+  }
+
   res.status(201).json({
     success: true,
     message: 'Category created successfully',
-    data: formatCategoryResponse(category)
+    data: formatCategoryResponse(category, await loadGroupedItems(category))
   });
 }));
 
@@ -328,7 +454,7 @@ router.put('/:id', asyncHandler(async (req, res) => {
   res.json({
     success: true,
     message: 'Category updated successfully',
-    data: formatCategoryResponse(category)
+    data: formatCategoryResponse(category, await loadGroupedItems(category))
   });
 }));
 
@@ -0,0 +1,30 @@
+const express = require('express');
+const asyncHandler = require('express-async-handler');
+const router = express.Router();
+
+const { licenseCompliance } = require('../services/compliance/LicenseCompliance');
+
+/**
+ * Image Credits Routes
+ * Attribution for every approved image, generated from the stored licenses
+ */
+
+// @desc    Credits for approved images, grouped by category and item
+// @route   GET /api/v1/credits
+// @access  Public
+router.get('/', asyncHandler(async (req, res) => {
+  const categories = await licenseCompliance.credits({ categoryId: req.query.category });
+
+  res.json({
+    success: true,
+    data: {
+      categories,
+      count: categories.reduce(
+        (total, category) => total + category.items.reduce((sum, item) => sum + item.credits.length, 0),
+        0
+      )
+    }
+  });
+}));
+
+module.exports = router;
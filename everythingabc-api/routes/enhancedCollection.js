@@ -53,7 +53,7 @@ router.post('/categories/:categoryId/start', asyncHandler(async (req, res) => {
     }
 
     // Get pending items for this category
-    const pendingItems = category.getPendingCollectionItems();
+    const pendingItems = await category.findPendingCollectionItems();
 
     if (pendingItems.length === 0) {
       return res.status(400).json({
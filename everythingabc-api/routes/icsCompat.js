@@ -4,11 +4,15 @@ const path = require('path');
 const router = express.Router();
 
 const Category = require('../models/Category');
+const Item = require('../models/Item');
 const logger = require('winston');
 
 // Import ImageCollector for enhanced search functionality
 const ImageCollector = require('../services/collection/ImageCollector');
 const ImageDownloader = require('../services/download/ImageDownloader');
+const ItemSearch = require('../services/search/ItemSearch');
+
+const itemSearch = new ItemSearch();
 
 /**
  * ICS Compatibility Routes
@@ -51,7 +55,6 @@ router.post('/collect/selected', asyncHandler(async (req, res) => {
         description: `${category.charAt(0).toUpperCase() + category.slice(1)} collection`,
         status: 'active',
         tags: ['auto-created'],
-        items: {},
         createdBy: 'ics-system',
         createdAt: new Date()
       });
@@ -61,10 +64,7 @@ router.post('/collect/selected', asyncHandler(async (req, res) => {
 
     // Find or create the item in the category
     const upperLetter = letter.toUpperCase();
-    if (!categoryDoc.items[upperLetter]) {
-      categoryDoc.items[upperLetter] = [];
-    }
-    const items = categoryDoc.items[upperLetter];
+    const items = await Item.findByLetter(categoryDoc.id, upperLetter);
     let item = items.find(i => i.name.toLowerCase() === itemName.toLowerCase());
 
     // If item doesn't exist, create it
@@ -75,7 +75,7 @@ router.post('/collect/selected', asyncHandler(async (req, res) => {
         itemName
       });
 
-      item = {
+      item = Item.buildForCategory(categoryDoc, upperLetter, {
         id: itemName.toLowerCase().replace(/\s+/g, '-'),
         name: itemName,
         description: `A ${itemName.toLowerCase()}`,
@@ -91,9 +91,7 @@ router.post('/collect/selected', asyncHandler(async (req, res) => {
         },
         createdAt: new Date(),
         createdBy: 'ics-system'
-      };
-
-      categoryDoc.items[upperLetter].push(item);
+      });
     }
 
     // Initialize ImageCollector service
@@ -201,16 +199,10 @@ router.post('/collect/selected', asyncHandler(async (req, res) => {
     if (item.collectionStatus === 'pending' && item.images.length > 0) {
       item.collectionStatus = 'complete';
       logger.info(`Auto-updated collectionStatus to 'complete' for ${category}/${letter}/${itemName}`);
-
-      if (categoryDoc.metadata?.pendingItems > 0) {
-        categoryDoc.metadata.pendingItems -= 1;
-      }
-      categoryDoc.metadata = categoryDoc.metadata || {};
-      categoryDoc.metadata.completedItems = (categoryDoc.metadata.completedItems || 0) + 1;
     }
 
-    categoryDoc.markModified('items');
-    await categoryDoc.save();
+    await item.save();
+    await categoryDoc.refreshItemStats();
 
     logger.info(`Collected ${processedImages.length} images (Direct S3) for ${category}/${letter}/${itemName}`);
 
@@ -370,7 +362,6 @@ router.get('/search/enhanced', asyncHandler(async (req, res) => {
 router.get('/categories/search/:query', asyncHandler(async (req, res) => {
   try {
     const { query } = req.params;
-    const { limit = 20, category } = req.query;
 
     if (!query || query.trim().length < 2) {
       return res.status(400).json({
@@ -379,41 +370,15 @@ router.get('/categories/search/:query', asyncHandler(async (req, res) => {
       });
     }
 
-    let matchQuery = { status: 'active' };
-    if (category) {
-      matchQuery.id = category;
-    }
-
-    const categories = await Category.find(matchQuery).limit(parseInt(limit));
-
-    // Search through items
-    const results = [];
-    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-    const searchTerm = query.toLowerCase();
-
-    categories.forEach(cat => {
-      alphabet.split('').forEach(letter => {
-        if (cat.items[letter]) {
-          cat.items[letter].forEach(item => {
-            if (item.name.toLowerCase().includes(searchTerm) ||
-                item.description.toLowerCase().includes(searchTerm) ||
-                item.tags?.some(tag => tag.toLowerCase().includes(searchTerm))) {
-              results.push({
-                ...item.toObject(),
-                categoryId: cat.id,
-                categoryName: cat.name,
-                letter: letter
-              });
-            }
-          });
-        }
-      });
-    });
+    const { results, facets, pagination } = await itemSearch.search(query, req.query);
 
     res.json({
       success: true,
-      data: results.slice(0, parseInt(limit)),
+      data: results,
       count: results.length,
+      total: pagination.totalItems,
+      pagination,
+      facets,
       query: query
     });
 
@@ -538,11 +503,11 @@ router.post('/collect/category', asyncHandler(async (req, res) => {
     };
 
     // Collect for all items in all letters
-    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+    const categoryItems = await categoryDoc.loadItems();
 
-    for (const letter of alphabet) {
-      if (categoryDoc.items[letter] && categoryDoc.items[letter].length > 0) {
-        for (const item of categoryDoc.items[letter]) {
+    for (const letter of Object.keys(categoryItems)) {
+      if (categoryItems[letter].length > 0) {
+        for (const item of categoryItems[letter]) {
           results.totalItems++;
           results.processedItems++;
 
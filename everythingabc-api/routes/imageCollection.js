@@ -3,8 +3,14 @@ const asyncHandler = require('express-async-handler');
 const router = express.Router();
 
 const Category = require('../models/Category');
+const Item = require('../models/Item');
 const ImageCollectionService = require('../services/ImageCollectionService');
 const QualityAssessmentService = require('../services/QualityAssessmentService');
+const ApprovalRules = require('../services/collection/ApprovalRules');
+const AuditLog = require('../models/AuditLog');
+const { authenticateAdmin } = require('../admin/middleware/adminAuth');
+const { requirePermission, PERMISSIONS } = require('../admin/middleware/permissions');
+const { licenseCompliance } = require('../services/compliance/LicenseCompliance');
 const logger = require('../utils/logger');
 
 // Initialize services
@@ -103,7 +109,7 @@ router.post('/categories/:categoryId/start', asyncHandler(async (req, res) => {
     }
 
     // Get pending items for this category
-    const pendingItems = category.getPendingCollectionItems();
+    const pendingItems = await category.findPendingCollectionItems();
 
     if (pendingItems.length === 0) {
       return res.status(400).json({
@@ -180,7 +186,7 @@ router.post('/categories/:categoryId/items/:letter/:itemId/start', asyncHandler(
       });
     }
 
-    const item = category.items[letter.toUpperCase()]?.find(item => item.id === itemId);
+    const item = await Item.findOne({ categoryId, letter: letter.toUpperCase(), id: itemId });
     if (!item) {
       return res.status(404).json({
         success: false,
@@ -264,35 +270,29 @@ router.get('/categories/:categoryId/status', asyncHandler(async (req, res) => {
     const categoryJobs = activeJobs.filter(job => job.data.categoryId === categoryId);
 
     // Calculate detailed progress
-    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-    const itemProgress = [];
-
-    for (const letter of alphabet) {
-      if (category.items[letter]) {
-        for (const item of category.items[letter]) {
-          const activeJob = categoryJobs.find(job =>
-            job.data.letter === letter && job.data.itemId === item.id
-          );
-
-          itemProgress.push({
-            letter,
-            itemId: item.id,
-            itemName: item.name,
-            status: item.collectionProgress?.status || 'pending',
-            targetCount: item.collectionProgress?.targetCount || 3,
-            approvedCount: item.collectionProgress?.approvedCount || 0,
-            collectedCount: item.collectionProgress?.collectedCount || 0,
-            searchAttempts: item.collectionProgress?.searchAttempts || 0,
-            difficulty: item.collectionProgress?.difficulty || 'medium',
-            avgQuality: item.collectionProgress?.averageQualityScore || 0,
-            hasActiveJob: !!activeJob,
-            jobId: activeJob?.id,
-            lastAttempt: item.collectionProgress?.lastAttempt,
-            nextAttempt: item.collectionProgress?.nextAttempt
-          });
-        }
-      }
-    }
+    const items = await Item.findByCategory(category.id).lean();
+    const itemProgress = items.map(item => {
+      const activeJob = categoryJobs.find(job =>
+        job.data.letter === item.letter && job.data.itemId === item.id
+      );
+
+      return {
+        letter: item.letter,
+        itemId: item.id,
+        itemName: item.name,
+        status: item.collectionProgress?.status || 'pending',
+        targetCount: item.collectionProgress?.targetCount || 3,
+        approvedCount: item.collectionProgress?.approvedCount || 0,
+        collectedCount: item.collectionProgress?.collectedCount || 0,
+        searchAttempts: item.collectionProgress?.searchAttempts || 0,
+        difficulty: item.collectionProgress?.difficulty || 'medium',
+        avgQuality: item.collectionProgress?.averageQualityScore || 0,
+        hasActiveJob: !!activeJob,
+        jobId: activeJob?.id,
+        lastAttempt: item.collectionProgress?.lastAttempt,
+        nextAttempt: item.collectionProgress?.nextAttempt
+      };
+    });
 
     res.json({
       success: true,
@@ -324,28 +324,34 @@ router.get('/review/pending', asyncHandler(async (req, res) => {
     const { limit = 20, category = null } = req.query;
 
     const matchStage = {
-      status: 'active',
-      'items.A.images': { $exists: true }
+      'images.status': { $in: ['pending', 'manual_review'] }
     };
 
     if (category) {
-      matchStage.id = category;
+      matchStage.categoryId = category;
     }
 
-    const categories = await Category.aggregate([
+    const images = await Item.aggregate([
       { $match: matchStage },
-      { $unwind: '$items' },
-      { $unwind: '$items' },
-      { $unwind: '$items.images' },
-      { $match: { 'items.images.status': { $in: ['pending', 'manual_review'] } } },
+      { $unwind: '$images' },
+      { $match: { 'images.status': { $in: ['pending', 'manual_review'] } } },
+      {
+        $lookup: {
+          from: 'categories',
+          localField: 'categoryId',
+          foreignField: 'id',
+          as: 'category'
+        }
+      },
+      { $match: { 'category.status': 'active' } },
       {
         $project: {
-          categoryId: '$id',
-          categoryName: '$name',
-          letter: '$items.letter',
-          itemId: '$items.id',
-          itemName: '$items.name',
-          image: '$items.images',
+          categoryId: 1,
+          categoryName: { $first: '$category.name' },
+          letter: 1,
+          itemId: '$id',
+          itemName: '$name',
+          image: '$images',
           _id: 0
         }
       },
@@ -355,7 +361,7 @@ router.get('/review/pending', asyncHandler(async (req, res) => {
 
     res.json({
       success: true,
-      data: categories
+      data: images
     });
 
   } catch (error) {
@@ -390,7 +396,7 @@ router.post('/review/:categoryId/:letter/:itemId/:imageId', asyncHandler(async (
       });
     }
 
-    const item = category.items[letter.toUpperCase()]?.find(item => item.id === itemId);
+    const item = await Item.findOne({ categoryId, letter: letter.toUpperCase(), id: itemId });
     if (!item) {
       return res.status(404).json({
         success: false,
@@ -406,6 +412,15 @@ router.post('/review/:categoryId/:letter/:itemId/:imageId', asyncHandler(async (
       });
     }
 
+    const blocker = action === 'approve' && licenseCompliance.approvalBlocker(image);
+    if (blocker) {
+      return res.status(400).json({
+        success: false,
+        error: blocker,
+        details: licenseCompliance.check(image).map(({ message }) => message)
+      });
+    }
+
     // Update image status
     if (action === 'approve') {
       image.status = 'approved';
@@ -438,8 +453,8 @@ router.post('/review/:categoryId/:letter/:itemId/:imageId', asyncHandler(async (
     }
 
     // Save changes
-    category.markModified('items');
-    await category.save();
+    await item.save();
+    await category.refreshItemStats();
 
     logger.info(`Image ${action}ed: ${categoryId}/${letter}/${itemId}/${imageId}`);
 
@@ -487,7 +502,7 @@ router.put('/categories/:categoryId/strategy', asyncHandler(async (req, res) =>
     const validFields = [
       'enabled', 'prioritySources', 'excludeSources', 'useAiGeneration',
       'minQualityThreshold', 'targetImagesPerItem', 'autoApprovalThreshold',
-      'maxSearchAttempts', 'retryInterval', 'customSearchTerms'
+      'maxSearchAttempts', 'retryInterval', 'customSearchTerms', 'approvalRules'
     ];
 
     const updates = {};
@@ -504,6 +519,17 @@ router.put('/categories/:categoryId/strategy', asyncHandler(async (req, res) =>
       });
     }
 
+    if (updates.approvalRules !== undefined) {
+      const ruleErrors = ApprovalRules.validateRules(updates.approvalRules);
+      if (ruleErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid approval rules',
+          details: ruleErrors
+        });
+      }
+    }
+
     // Update strategy
     Object.assign(category.imageCollection.strategy, updates);
     category.imageCollection.lastConfigUpdate = new Date();
@@ -531,6 +557,82 @@ router.put('/categories/:categoryId/strategy', asyncHandler(async (req, res) =>
   }
 }));
 
+// @desc    Re-run the category's approval rules on images waiting for review
+// @route   POST /api/v1/collection/categories/:categoryId/approval-rules/apply
+// @access  Admin
+router.post('/categories/:categoryId/approval-rules/apply',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_APPROVE),
+  asyncHandler(async (req, res) => {
+    try {
+      const { categoryId } = req.params;
+      const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
+
+      const category = await Category.findOne({ id: categoryId });
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          error: 'Category not found'
+        });
+      }
+
+      const strategy = category.imageCollection?.strategy;
+      const items = await Item.find({ categoryId, 'images.status': 'manual_review' });
+      const summary = { evaluated: 0, approved: 0, rejected: 0, manual_review: 0 };
+      const decisions = [];
+
+      for (const item of items) {
+        for (const image of item.images.filter(img => img.status === 'manual_review')) {
+          const decision = ApprovalRules.evaluateRules(ApprovalRules.buildFacts(image), strategy);
+          summary.evaluated++;
+          summary[decision.status]++;
+          decisions.push({ itemId: item.id, letter: item.letter, sourceId: image.sourceId, decision });
+
+          if (!dryRun) {
+            ApprovalRules.applyDecision(image, decision);
+          }
+        }
+
+        if (!dryRun) {
+          await item.save();
+        }
+      }
+
+      if (!dryRun) {
+        await category.refreshItemStats();
+
+        await AuditLog.logAction({
+          userId: req.user.id,
+          userEmail: req.user.email,
+          action: 'update_status',
+          resourceType: 'category',
+          resourceId: category.id,
+          resourceName: category.name,
+          description: `Applied approval rules to ${summary.evaluated} image(s) awaiting review in ${category.name}: ` +
+            `${summary.approved} approved, ${summary.rejected} rejected`,
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent') || 'unknown',
+          changes: { after: summary }
+        });
+      }
+
+      logger.info(`Applied approval rules for category ${categoryId}`, { dryRun, ...summary });
+
+      res.json({
+        success: true,
+        data: { categoryId, dryRun, summary, decisions }
+      });
+
+    } catch (error) {
+      logger.error(`Failed to apply approval rules for category ${req.params.categoryId}:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to apply approval rules'
+      });
+    }
+  })
+);
+
 // @desc    Get queue status and job information
 // @route   GET /api/v1/collection/queue/status
 // @access  Admin
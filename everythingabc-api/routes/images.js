@@ -3,6 +3,8 @@ const asyncHandler = require('express-async-handler');
 const router = express.Router();
 
 const Category = require('../models/Category');
+const Item = require('../models/Item');
+const { licenseCompliance } = require('../services/compliance/LicenseCompliance');
 const logger = require('winston');
 
 /**
@@ -27,27 +29,36 @@ router.get('/', asyncHandler(async (req, res) => {
 
     // Build match criteria
     const matchCriteria = {};
-    if (category) matchCriteria.id = category;
-    if (status !== undefined) matchCriteria.status = { $ne: 'deleted' };
+    if (category) matchCriteria.categoryId = category;
+    if (letter) matchCriteria.letter = letter.toUpperCase();
+
+    const imageStages = [
+      { $match: matchCriteria },
+      { $unwind: { path: '$images', preserveNullAndEmptyArrays: true } },
+      { $match: status ? { 'images.status': status } : {} }
+    ];
 
     // Aggregation pipeline to get all images
     const pipeline = [
-      { $match: matchCriteria },
-      { $unwind: '$items' },
-      { $unwind: '$items' },
-      { $match: letter ? { 'items.letter': letter.toUpperCase() } : {} },
-      { $unwind: { path: '$items.images', preserveNullAndEmptyArrays: true } },
-      { $match: status ? { 'items.images.status': status } : {} },
+      ...imageStages,
+      {
+        $lookup: {
+          from: Category.collection.name,
+          localField: 'categoryId',
+          foreignField: 'id',
+          as: 'category'
+        }
+      },
       {
         $project: {
           _id: 0,
-          categoryId: '$id',
-          categoryName: '$name',
-          letter: '$items.letter',
-          itemId: '$items.id',
-          itemName: '$items.name',
-          image: '$items.images',
-          sortField: `$items.images.${sortBy === 'createdAt' ? 'createdAt' : 'updatedAt'}`
+          categoryId: '$categoryId',
+          categoryName: { $first: '$category.name' },
+          letter: '$letter',
+          itemId: '$id',
+          itemName: '$name',
+          image: '$images',
+          sortField: `$images.${sortBy === 'createdAt' ? 'createdAt' : 'updatedAt'}`
         }
       },
       { $sort: { sortField: sortOrder === 'desc' ? -1 : 1 } },
@@ -55,20 +66,10 @@ router.get('/', asyncHandler(async (req, res) => {
       { $limit: parseInt(limit) }
     ];
 
-    const images = await Category.aggregate(pipeline);
+    const images = await Item.aggregate(pipeline);
 
     // Get total count for pagination
-    const countPipeline = [
-      { $match: matchCriteria },
-      { $unwind: '$items' },
-      { $unwind: '$items' },
-      { $match: letter ? { 'items.letter': letter.toUpperCase() } : {} },
-      { $unwind: { path: '$items.images', preserveNullAndEmptyArrays: true } },
-      { $match: status ? { 'items.images.status': status } : {} },
-      { $count: 'total' }
-    ];
-
-    const countResult = await Category.aggregate(countPipeline);
+    const countResult = await Item.aggregate([...imageStages, { $count: 'total' }]);
     const totalCount = countResult[0]?.total || 0;
 
     res.json({
@@ -114,64 +115,9 @@ router.patch('/:imageId/status', asyncHandler(async (req, res) => {
       });
     }
 
-    // Find the image across all categories
-    const categories = await Category.find({
-      'items.A.images.sourceId': imageId,
-      'items.B.images.sourceId': imageId,
-      'items.C.images.sourceId': imageId,
-      'items.D.images.sourceId': imageId,
-      'items.E.images.sourceId': imageId,
-      'items.F.images.sourceId': imageId,
-      'items.G.images.sourceId': imageId,
-      'items.H.images.sourceId': imageId,
-      'items.I.images.sourceId': imageId,
-      'items.J.images.sourceId': imageId,
-      'items.K.images.sourceId': imageId,
-      'items.L.images.sourceId': imageId,
-      'items.M.images.sourceId': imageId,
-      'items.N.images.sourceId': imageId,
-      'items.O.images.sourceId': imageId,
-      'items.P.images.sourceId': imageId,
-      'items.Q.images.sourceId': imageId,
-      'items.R.images.sourceId': imageId,
-      'items.S.images.sourceId': imageId,
-      'items.T.images.sourceId': imageId,
-      'items.U.images.sourceId': imageId,
-      'items.V.images.sourceId': imageId,
-      'items.W.images.sourceId': imageId,
-      'items.X.images.sourceId': imageId,
-      'items.Y.images.sourceId': imageId,
-      'items.Z.images.sourceId': imageId
-    });
-
-    // Alternative approach: search through all categories
-    const allCategories = await Category.find({});
-    let foundImage = null;
-    let foundCategory = null;
-    let foundLetter = null;
-    let foundItem = null;
-
-    for (const category of allCategories) {
-      const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-      for (const letter of alphabet) {
-        if (category.items[letter]) {
-          for (const item of category.items[letter]) {
-            if (item.images) {
-              const image = item.images.find(img => img.sourceId === imageId);
-              if (image) {
-                foundImage = image;
-                foundCategory = category;
-                foundLetter = letter;
-                foundItem = item;
-                break;
-              }
-            }
-          }
-          if (foundImage) break;
-        }
-      }
-      if (foundImage) break;
-    }
+    // Find the image across all items
+    const foundItem = await Item.findOne({ 'images.sourceId': imageId });
+    const foundImage = foundItem?.images.find(img => img.sourceId === imageId);
 
     if (!foundImage) {
       return res.status(404).json({
@@ -180,6 +126,15 @@ router.patch('/:imageId/status', asyncHandler(async (req, res) => {
       });
     }
 
+    const blocker = status === 'approved' && licenseCompliance.approvalBlocker(foundImage);
+    if (blocker) {
+      return res.status(400).json({
+        success: false,
+        error: blocker,
+        details: licenseCompliance.check(foundImage).map(({ message }) => message)
+      });
+    }
+
     // Update image status
     foundImage.status = status;
     foundImage.updatedAt = new Date();
@@ -208,8 +163,12 @@ router.patch('/:imageId/status', asyncHandler(async (req, res) => {
       }
     }
 
-    foundCategory.markModified('items');
-    await foundCategory.save();
+    await foundItem.save();
+
+    const foundCategory = await Category.findOne({ id: foundItem.categoryId });
+    if (foundCategory) {
+      await foundCategory.refreshItemStats();
+    }
 
     logger.info(`Updated image ${imageId} status to ${status}`);
 
@@ -219,8 +178,8 @@ router.patch('/:imageId/status', asyncHandler(async (req, res) => {
       data: {
         imageId,
         newStatus: status,
-        categoryId: foundCategory.id,
-        letter: foundLetter,
+        categoryId: foundItem.categoryId,
+        letter: foundItem.letter,
         itemId: foundItem.id,
         collectionStatus: foundItem.collectionProgress?.status
       }
@@ -241,18 +200,16 @@ router.patch('/:imageId/status', asyncHandler(async (req, res) => {
 router.get('/stats', asyncHandler(async (req, res) => {
   try {
     const pipeline = [
-      { $unwind: '$items' },
-      { $unwind: '$items' },
-      { $unwind: { path: '$items.images', preserveNullAndEmptyArrays: true } },
+      { $unwind: { path: '$images', preserveNullAndEmptyArrays: true } },
       {
         $group: {
-          _id: '$items.images.status',
+          _id: '$images.status',
           count: { $sum: 1 }
         }
       }
     ];
 
-    const statusCounts = await Category.aggregate(pipeline);
+    const statusCounts = await Item.aggregate(pipeline);
 
     const stats = {
       total: 0,
@@ -0,0 +1,103 @@
+const express = require('express');
+const asyncHandler = require('express-async-handler');
+const router = express.Router();
+
+const LearnerProgress = require('../models/LearnerProgress');
+
+/**
+ * Learner Progress Routes
+ * Optional cloud sync for the app's anonymous learner profiles. The app keeps
+ * its own copy in local storage and pushes/pulls cards here when sync is on.
+ */
+
+const validateLearnerId = (req, res, next) => {
+  if (!LearnerProgress.isValidLearnerId(req.params.learnerId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid learner id'
+    });
+  }
+  next();
+};
+
+// @desc    Get a learner's synced cards
+// @route   GET /api/v1/learners/:learnerId/progress
+// @access  Public (learner id acts as the key)
+router.get('/:learnerId/progress', validateLearnerId, asyncHandler(async (req, res) => {
+  const progress = await LearnerProgress.findOne({ learnerId: req.params.learnerId });
+
+  res.json({
+    success: true,
+    data: progress
+      ? progress.toResponse()
+      : { learnerId: req.params.learnerId, cards: [], lastSyncedAt: null }
+  });
+}));
+
+// @desc    Merge the app's cards into the synced copy and return the result
+// @route   PUT /api/v1/learners/:learnerId/progress
+// @access  Public (learner id acts as the key)
+router.put('/:learnerId/progress', validateLearnerId, asyncHandler(async (req, res) => {
+  const { cards } = req.body;
+
+  if (!Array.isArray(cards)) {
+    return res.status(400).json({
+      success: false,
+      error: 'cards array is required'
+    });
+  }
+
+  if (cards.length > LearnerProgress.MAX_CARDS) {
+    return res.status(400).json({
+      success: false,
+      error: `A learner can have at most ${LearnerProgress.MAX_CARDS} cards`
+    });
+  }
+
+  const incoming = cards.map(card => LearnerProgress.normalizeCard(card));
+  const invalid = incoming.filter(card => !card).length;
+  if (invalid > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `${invalid} card${invalid === 1 ? ' is' : 's are'} missing categoryId, itemId or a valid updatedAt`
+    });
+  }
+
+  let progress = await LearnerProgress.findOne({ learnerId: req.params.learnerId });
+  if (!progress) {
+    progress = new LearnerProgress({ learnerId: req.params.learnerId, cards: [] });
+  }
+
+  const current = progress.cards.map(card => card.toObject());
+  const merged = LearnerProgress.mergeCards(current, incoming);
+
+  if (merged.length > LearnerProgress.MAX_CARDS) {
+    return res.status(400).json({
+      success: false,
+      error: `A learner can have at most ${LearnerProgress.MAX_CARDS} cards`
+    });
+  }
+
+  progress.cards = merged;
+  progress.lastSyncedAt = new Date();
+  await progress.save();
+
+  res.json({
+    success: true,
+    data: progress.toResponse()
+  });
+}));
+
+// @desc    Delete a learner's synced progress
+// @route   DELETE /api/v1/learners/:learnerId/progress
+// @access  Public (learner id acts as the key)
+router.delete('/:learnerId/progress', validateLearnerId, asyncHandler(async (req, res) => {
+  const result = await LearnerProgress.deleteOne({ learnerId: req.params.learnerId });
+
+  res.json({
+    success: true,
+    data: { deleted: result.deletedCount > 0 }
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const asyncHandler = require('express-async-handler');
+const path = require('path');
+const router = express.Router();
+
+const Item = require('../models/Item');
+const FileOrganizer = require('../services/storage/FileOrganizer');
+const { AUDIO_EXTENSIONS } = require('../services/speech/PronunciationAudio');
+const { imageFraming } = require('../services/processing/ImageFraming');
+
+/**
+ * Media Routes
+ * Files stored on local disk when S3 isn't configured. The categories folder
+ * also holds collected images awaiting review, so only pronunciation audio is
+ * served from it directly; images go through a route that checks their status.
+ */
+
+// @desc    An approved item image, or one of its sizes ('file' is the current file)
+// @route   GET /api/v1/media/images/:categoryId/:itemId/:sourceId/:size
+// @access  Public
+router.get('/images/:categoryId/:itemId/:sourceId/:size', asyncHandler(async (req, res) => {
+  const { categoryId, itemId, sourceId, size } = req.params;
+
+  const item = await Item.findByItemId(itemId, categoryId);
+  const image = item?.images.find(img => img.sourceId === sourceId);
+  const location = image?.status === 'approved' ? imageFraming.location(image, size) : null;
+
+  if (!location) {
+    return res.status(404).json({
+      success: false,
+      error: 'Image not found'
+    });
+  }
+
+  if (/^https?:\/\//.test(location)) {
+    return res.redirect(location);
+  }
+
+  res.sendFile(path.resolve(location), { maxAge: '1h' });
+}));
+
+// @desc    Pronunciation audio clips
+// @route   GET /api/v1/media/:category/:letter/:item/audio/:file
+// @access  Public
+router.use((req, res, next) => {
+  const segments = req.path.split('/');
+  const extension = path.extname(req.path).slice(1).toLowerCase();
+
+  if (segments[segments.length - 2] !== 'audio' || !AUDIO_EXTENSIONS.includes(extension)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Media not found'
+    });
+  }
+
+  next();
+}, express.static(new FileOrganizer().getCategoriesPath(), { maxAge: '7d', fallthrough: false }));
+
+module.exports = router;
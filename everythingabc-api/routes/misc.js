@@ -3,75 +3,190 @@ const asyncHandler = require('express-async-handler');
 const router = express.Router();
 
 const Category = require('../models/Category');
+const Item = require('../models/Item');
 const logger = require('winston');
 
+const ImageCollector = require('../services/collection/ImageCollector');
+const { aiGenerator } = require('../services/generation/AIGenerator');
+const { rateLimit } = require('../services/rateLimit/RateLimitManager');
+const { authenticateAdmin } = require('../admin/middleware/adminAuth');
+const { requirePermission, PERMISSIONS } = require('../admin/middleware/permissions');
+
 /**
  * Miscellaneous Routes
  * AI generation, client stats, activity feeds, and other utilities
  */
 
-// @desc    Generate images using AI
+// @desc    Generate image previews using AI
 // @route   POST /api/v1/generate/images
 // @access  Admin
-router.post('/generate/images', asyncHandler(async (req, res) => {
-  try {
-    const { itemName, category, options = {} } = req.body;
+router.post('/generate/images',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_CREATE),
+  rateLimit('generation'),
+  asyncHandler(async (req, res) => {
+    try {
+      const { itemName, category, options = {} } = req.body;
+
+      if (!itemName || !category) {
+        return res.status(400).json({
+          success: false,
+          error: 'Item name and category are required'
+        });
+      }
+
+      const count = Math.min(Math.max(parseInt(options.count) || 1, 1), 4);
+      const prompt = options.useEnhanced === false
+        ? itemName
+        : aiGenerator.buildPrompt(itemName, category, options.style);
+
+      const imageCollector = new ImageCollector();
+      await imageCollector.initialize();
+
+      const result = await imageCollector.generatePreviews(prompt, {
+        itemName,
+        category,
+        count,
+        // Generation spends provider credit, so the server picks the provider.
+        // Callers may only choose while the stub is configured for offline work.
+        provider: aiGenerator.preferredProvider === 'stub' ? options.provider : undefined,
+        quality: options.quality
+      });
+
+      logger.info(`Generated ${result.images.length} AI image previews for ${itemName} in ${category}`, {
+        provider: result.provider,
+        totalCost: result.totalCost
+      });
+
+      res.json({
+        success: true,
+        message: `Generated ${result.images.length} images for ${itemName}`,
+        data: {
+          itemName,
+          category,
+          prompt,
+          provider: result.provider,
+          images: result.images,
+          generatedCount: result.images.length,
+          totalCost: result.totalCost
+        }
+      });
 
-    if (!itemName || !category) {
-      return res.status(400).json({
+    } catch (error) {
+      logger.error('Failed to generate images:', error);
+      res.status(error.status === 429 ? 429 : 500).json({
         success: false,
-        error: 'Item name and category are required'
+        error: `Failed to generate images: ${error.message}`
       });
     }
+  })
+);
 
-    // For now, return a placeholder response
-    // In a full implementation, this would integrate with OpenAI DALL-E, Midjourney, etc.
-    const mockGeneratedImages = [
-      {
-        id: `generated_${Date.now()}_1`,
-        url: `https://example.com/generated/${category}/${itemName.toLowerCase().replace(/\s+/g, '_')}_1.jpg`,
-        thumbnailUrl: `https://example.com/generated/thumbs/${category}/${itemName.toLowerCase().replace(/\s+/g, '_')}_1_thumb.jpg`,
-        source: 'ai_generated',
-        generator: options.generator || 'dall-e-3',
-        prompt: `High-quality photo of ${itemName} for ${category} category`,
-        status: 'pending',
-        qualityScore: Math.floor(Math.random() * 3) + 7, // 7-10 range
-        createdAt: new Date()
-      },
-      {
-        id: `generated_${Date.now()}_2`,
-        url: `https://example.com/generated/${category}/${itemName.toLowerCase().replace(/\s+/g, '_')}_2.jpg`,
-        thumbnailUrl: `https://example.com/generated/thumbs/${category}/${itemName.toLowerCase().replace(/\s+/g, '_')}_2_thumb.jpg`,
-        source: 'ai_generated',
-        generator: options.generator || 'dall-e-3',
-        prompt: `Professional studio photo of ${itemName}`,
-        status: 'pending',
-        qualityScore: Math.floor(Math.random() * 3) + 7,
-        createdAt: new Date()
+// @desc    Attach a generated preview to an item as a pending image
+// @route   POST /api/v1/generate/download-preview
+// @access  Admin
+router.post('/generate/download-preview',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.ITEMS_CREATE),
+  asyncHandler(async (req, res) => {
+    try {
+      const { previewData, itemName, category, options = {} } = req.body;
+      const name = itemName?.trim();
+
+      if (!previewData?.previewId || !name || !category) {
+        return res.status(400).json({
+          success: false,
+          error: 'Preview, item name and category are required'
+        });
       }
-    ];
 
-    logger.info(`Generated ${mockGeneratedImages.length} AI images for ${itemName} in ${category}`);
+      const letter = name.charAt(0).toUpperCase();
+      if (!Item.ALPHABET.includes(letter)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Item name must start with a letter'
+        });
+      }
 
-    res.json({
-      success: true,
-      message: `Generated ${mockGeneratedImages.length} images for ${itemName}`,
-      data: {
-        itemName,
-        category,
-        generator: options.generator || 'dall-e-3',
-        images: mockGeneratedImages,
-        generatedCount: mockGeneratedImages.length
+      const categoryDoc = await Category.findOne({ id: category });
+      if (!categoryDoc) {
+        return res.status(404).json({
+          success: false,
+          error: 'Category not found'
+        });
       }
-    });
 
-  } catch (error) {
-    logger.error('Failed to generate images:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to generate images'
-    });
-  }
+      // Find or create the item in the category
+      const items = await Item.findByLetter(categoryDoc.id, letter);
+      let item = items.find(i => i.name.toLowerCase() === name.toLowerCase());
+
+      if (!item) {
+        item = Item.buildForCategory(categoryDoc, letter, {
+          id: name.toLowerCase().replace(/\s+/g, '-'),
+          name,
+          description: `A ${name.toLowerCase()}`,
+          tags: [category],
+          difficulty: 1,
+          status: 'draft',
+          images: [],
+          createdAt: new Date(),
+          createdBy: req.user.id
+        });
+      }
+
+      const imageCollector = new ImageCollector();
+      await imageCollector.initialize();
+
+      const image = await imageCollector.attachGeneratedPreview(previewData.previewId, item, {
+        uploadToCloud: options.uploadToCloud
+      });
+
+      if (!image) {
+        return res.status(404).json({
+          success: false,
+          error: 'Preview not found or already used'
+        });
+      }
+
+      await categoryDoc.refreshItemStats();
+
+      logger.info(`Attached generated image to ${item.name} in ${categoryDoc.id}`, {
+        previewId: previewData.previewId,
+        sourceProvider: image.sourceProvider,
+        qualityScore: image.qualityScore?.overall
+      });
+
+      res.json({
+        success: true,
+        message: `Added generated image to ${item.name} for review`,
+        data: {
+          categoryId: categoryDoc.id,
+          letter,
+          itemId: item.id,
+          image
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to attach generated image:', error);
+      res.status(error.code === 'DUPLICATE_IMAGE' ? 409 : 500).json({
+        success: false,
+        error: `Failed to attach generated image: ${error.message}`
+      });
+    }
+  })
+);
+
+// @desc    Get AI generation statistics
+// @route   GET /api/v1/generate/stats
+// @access  Admin
+router.get('/generate/stats', asyncHandler(async (req, res) => {
+  await aiGenerator.initialize();
+
+  res.json({
+    success: true,
+    stats: aiGenerator.getGenerationStats()
+  });
 }));
 
 // @desc    Get client statistics and system info
@@ -141,15 +256,8 @@ router.get('/dashboard/activity-feed', asyncHandler(async (req, res) => {
     // Mock activity data - in a real implementation this might come from an audit log
     const activities = [];
 
-    recentCategories.forEach(category => {
-      const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-      let itemCount = 0;
-
-      alphabet.split('').forEach(letter => {
-        if (category.items[letter]) {
-          itemCount += category.items[letter].length;
-        }
-      });
+    for (const category of recentCategories) {
+      const itemCount = await Item.countDocuments({ categoryId: category.id });
 
       activities.push({
         id: `activity_${category.id}_${Date.now()}`,
@@ -168,7 +276,7 @@ router.get('/dashboard/activity-feed', asyncHandler(async (req, res) => {
         timestamp: category.updatedAt,
         severity: 'info'
       });
-    });
+    }
 
     // Add some mock system activities
     activities.push(
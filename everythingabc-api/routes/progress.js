@@ -3,6 +3,7 @@ const asyncHandler = require('express-async-handler');
 const router = express.Router();
 
 const Category = require('../models/Category');
+const Item = require('../models/Item');
 const logger = require('winston');
 
 /**
@@ -28,7 +29,7 @@ router.get('/', asyncHandler(async (req, res) => {
     const matchCriteria = { status: 'active' };
     if (category) matchCriteria.id = category;
 
-    const categories = await Category.find(matchCriteria);
+    const categories = await Item.attachToCategories(await Category.find(matchCriteria).lean());
 
     const progressData = [];
 
@@ -130,7 +131,7 @@ router.get('/', asyncHandler(async (req, res) => {
 // @access  Admin
 router.get('/summary', asyncHandler(async (req, res) => {
   try {
-    const categories = await Category.find({ status: 'active' });
+    const categories = await Item.attachToCategories(await Category.find({ status: 'active' }).lean());
 
     const summary = categories.map(cat => {
       let totalItems = 0;
@@ -226,9 +227,10 @@ router.get('/category/:categoryId', asyncHandler(async (req, res) => {
 
     const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
     const letterProgress = {};
+    const groupedItems = await category.loadItems();
 
     alphabet.split('').forEach(letter => {
-      const items = category.items[letter] || [];
+      const items = groupedItems[letter] || [];
 
       letterProgress[letter] = {
         letter,
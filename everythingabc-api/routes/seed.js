@@ -3,6 +3,7 @@ const asyncHandler = require('express-async-handler');
 const router = express.Router();
 
 const Category = require('../models/Category');
+const Item = require('../models/Item');
 const logger = require('winston');
 
 /**
@@ -50,7 +51,6 @@ router.post('/categories', asyncHandler(async (req, res) => {
           description: categoryData.description,
           status: categoryData.status || 'active',
           tags: categoryData.tags || [],
-          items: categoryData.items || {},
           metadata: {
             totalItems: 0,
             viewCount: 0,
@@ -58,30 +58,37 @@ router.post('/categories', asyncHandler(async (req, res) => {
           }
         };
 
-        // Count items
-        if (categoryData.items) {
-          Object.values(categoryData.items).forEach(letterItems => {
-            if (Array.isArray(letterItems)) {
-              categoryDoc.metadata.totalItems += letterItems.length;
-              results.totalItems += letterItems.length;
-            }
-          });
-        }
+        let category;
 
         if (existingCategory) {
           if (options.overwrite) {
             Object.assign(existingCategory, categoryDoc);
-            await existingCategory.save();
+            category = await existingCategory.save();
+            await Item.deleteMany({ categoryId: category.id });
             results.updated.push(categoryDoc.id);
           } else {
             results.errors.push(`Category ${categoryDoc.id} already exists`);
             continue;
           }
         } else {
-          await Category.create(categoryDoc);
+          category = await Category.create(categoryDoc);
           results.created.push(categoryDoc.id);
         }
 
+        // Items are seeded grouped by letter
+        const newItems = [];
+        Object.entries(categoryData.items || {}).forEach(([letter, letterItems]) => {
+          if (/^[A-Z]$/i.test(letter) && Array.isArray(letterItems)) {
+            letterItems.forEach(itemData => newItems.push(Item.buildForCategory(category, letter, itemData)));
+          }
+        });
+
+        if (newItems.length > 0) {
+          await Item.insertMany(newItems);
+          results.totalItems += newItems.length;
+        }
+        await category.refreshItemStats();
+
         results.totalCategories++;
 
       } catch (error) {
@@ -120,10 +127,12 @@ router.delete('/categories', asyncHandler(async (req, res) => {
     if (category) {
       // Delete specific category
       deleteResult = await Category.deleteOne({ id: category });
+      await Item.deleteMany({ categoryId: category });
       message = `Deleted category: ${category}`;
     } else {
       // Delete all categories
       deleteResult = await Category.deleteMany({});
+      await Item.deleteMany({});
       message = `Deleted all ${deleteResult.deletedCount} categories`;
     }
 
@@ -152,22 +161,7 @@ router.get('/stats', asyncHandler(async (req, res) => {
     const totalCategories = await Category.countDocuments();
     const activeCategories = await Category.countDocuments({ status: 'active' });
 
-    // Get item count across all categories
-    const categories = await Category.find({}, 'items metadata');
-    let totalItems = 0;
-
-    categories.forEach(category => {
-      if (category.metadata?.totalItems) {
-        totalItems += category.metadata.totalItems;
-      } else {
-        // Calculate if not stored in metadata
-        Object.values(category.items || {}).forEach(letterItems => {
-          if (Array.isArray(letterItems)) {
-            totalItems += letterItems.length;
-          }
-        });
-      }
-    });
+    const totalItems = await Item.countDocuments();
 
     res.json({
       success: true,
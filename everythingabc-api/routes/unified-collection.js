@@ -2,6 +2,7 @@ const express = require('express');
 const asyncHandler = require('express-async-handler');
 
 const Category = require('../models/Category');
+const Item = require('../models/Item');
 const ImageCollectionService = require('../services/ImageCollectionService');
 const QualityAssessmentService = require('../services/QualityAssessmentService');
 
@@ -94,8 +95,7 @@ router.post('/items/:categoryId/:letter/:itemId/collect', asyncHandler(async (re
       });
     }
 
-    const items = category.getItemsByLetter(letter);
-    const item = items.find(i => i.id === itemId);
+    const item = await Item.findOne({ categoryId, letter: letter.toUpperCase(), id: itemId });
 
     if (!item) {
       return res.status(404).json({
@@ -156,7 +156,7 @@ router.get('/status/:categoryId', asyncHandler(async (req, res) => {
 
     // Get detailed progress
     const progress = category.imageCollection.progress;
-    const pendingItems = category.getPendingCollectionItems();
+    const pendingItems = await category.findPendingCollectionItems();
 
     res.json({
       success: true,
@@ -341,8 +341,7 @@ router.post('/images/:categoryId/:letter/:itemId/approve', asyncHandler(async (r
       });
     }
 
-    const items = category.getItemsByLetter(letter);
-    const item = items.find(i => i.id === itemId);
+    const item = await Item.findOne({ categoryId, letter: letter.toUpperCase(), id: itemId });
 
     if (!item) {
       return res.status(404).json({
@@ -384,8 +383,8 @@ router.post('/images/:categoryId/:letter/:itemId/approve', asyncHandler(async (r
       item.collectionProgress.completedAt = new Date();
     }
 
-    category.markModified('items');
-    await category.save();
+    await item.save();
+    await category.refreshItemStats();
 
     res.json({
       success: true,
@@ -426,8 +425,7 @@ router.post('/images/:categoryId/:letter/:itemId/reject', asyncHandler(async (re
       });
     }
 
-    const items = category.getItemsByLetter(letter);
-    const item = items.find(i => i.id === itemId);
+    const item = await Item.findOne({ categoryId, letter: letter.toUpperCase(), id: itemId });
 
     if (!item) {
       return res.status(404).json({
@@ -469,8 +467,8 @@ router.post('/images/:categoryId/:letter/:itemId/reject', asyncHandler(async (re
       item.collectionProgress.completedAt = null;
     }
 
-    category.markModified('items');
-    await category.save();
+    await item.save();
+    await category.refreshItemStats();
 
     res.json({
       success: true,
@@ -0,0 +1,111 @@
+/**
+ * Backfill Perceptual Hashes
+ *
+ * Computes perceptualHash for images collected before duplicate detection
+ * existed, reading each image from its CDN URL or local file.
+ *
+ * Usage: node scripts/backfill-perceptual-hashes.js [--force]
+ *   --force  recompute hashes that are already set
+ */
+
+const mongoose = require('mongoose');
+const axios = require('axios');
+const fs = require('fs-extra');
+require('dotenv').config();
+
+const Item = require('../models/Item');
+const PerceptualHash = require('../services/analysis/PerceptualHash');
+
+const force = process.argv.includes('--force');
+const perceptualHash = new PerceptualHash();
+
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/everythingabc', {
+  useNewUrlParser: true,
+  useUnifiedTopology: true
+});
+
+async function loadImageBuffer(image) {
+  const candidates = [
+    image.filePath,
+    ...(image.processedSizes || []).map(size => size.path)
+  ].filter(Boolean);
+
+  for (const location of candidates) {
+    try {
+      if (/^https?:\/\//.test(location)) {
+        const response = await axios.get(location, { responseType: 'arraybuffer', timeout: 30000 });
+        return Buffer.from(response.data);
+      }
+      if (await fs.pathExists(location)) {
+        return fs.readFile(location);
+      }
+    } catch (error) {
+      // Try the next location
+    }
+  }
+
+  return null;
+}
+
+async function backfillPerceptualHashes() {
+  console.log('🔄 Backfilling perceptual hashes...\n');
+
+  const stats = {
+    itemsScanned: 0,
+    imagesHashed: 0,
+    imagesSkipped: 0,
+    imagesMissing: 0
+  };
+
+  try {
+    const cursor = Item.find({ 'images.0': { $exists: true } }).cursor();
+
+    for await (const item of cursor) {
+      stats.itemsScanned++;
+      let updated = false;
+
+      for (const image of item.images) {
+        if (image.perceptualHash && !force) {
+          stats.imagesSkipped++;
+          continue;
+        }
+
+        const buffer = await loadImageBuffer(image);
+        if (!buffer) {
+          stats.imagesMissing++;
+          console.log(`  ⚠️  ${item.categoryId}/${item.id}: could not load ${image.sourceProvider}/${image.sourceId}`);
+          continue;
+        }
+
+        image.perceptualHash = await perceptualHash.computeHash(buffer);
+        stats.imagesHashed++;
+        updated = true;
+      }
+
+      if (updated) {
+        await item.save();
+        console.log(`  💾 ${item.categoryId}/${item.id}`);
+      }
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log('📊 BACKFILL SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Items scanned:   ${stats.itemsScanned}`);
+    console.log(`Images hashed:   ${stats.imagesHashed}`);
+    console.log(`Already hashed:  ${stats.imagesSkipped}`);
+    console.log(`Unreadable:      ${stats.imagesMissing}`);
+    console.log('\n✅ Backfill completed successfully!');
+
+  } catch (error) {
+    console.error('\n❌ Backfill failed:', error);
+    throw error;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+backfillPerceptualHashes().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,355 @@
+#!/usr/bin/env node
+
+/**
+ * EverythingABC Migration Script - Phase 4: Item Normalization
+ *
+ * Moves items out of the 26 embedded `items.A` … `items.Z` arrays on each
+ * category into the standalone `items` collection (see models/Item.js):
+ * - One Item document per item, tagged with categoryId and letter
+ * - Indexes on item id, category/letter, status and tags
+ * - Embedded arrays are removed from the category documents
+ * - Legacy per-letter category indexes are dropped
+ *
+ * IMPORTANT: Creates backup before any changes
+ * ROLLBACK: Run with --rollback flag to move items back into their categories
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Configuration
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/everythingabc';
+const BACKUP_DIR = path.join(__dirname, '../../backups');
+const DRY_RUN = process.argv.includes('--dry-run');
+const ROLLBACK = process.argv.includes('--rollback');
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+
+// Logging utility
+const log = (message, type = 'info') => {
+  const timestamp = new Date().toISOString();
+  const prefix = type === 'error' ? '❌' : type === 'warning' ? '⚠️' : type === 'success' ? '✅' : 'ℹ️';
+  console.log(`${prefix} [${timestamp}] ${message}`);
+};
+
+// Database connection
+let db;
+
+// Falls back to an existing mongoose connection so the steps can be reused
+// from tests and other scripts
+const getDb = () => db || mongoose.connection.db;
+
+async function connectDatabase() {
+  try {
+    log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    db = mongoose.connection.db;
+    log('✅ Connected to MongoDB successfully');
+  } catch (error) {
+    log(`Failed to connect to MongoDB: ${error.message}`, 'error');
+    process.exit(1);
+  }
+}
+
+// Backup functionality
+async function createBackup() {
+  try {
+    log('Creating database backup...');
+
+    await fs.mkdir(BACKUP_DIR, { recursive: true });
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupFile = path.join(BACKUP_DIR, `backup-phase4-${timestamp}.json`);
+
+    const collections = ['categories', 'items'];
+    const backup = {};
+
+    for (const collectionName of collections) {
+      try {
+        const documents = await getDb().collection(collectionName).find({}).toArray();
+        backup[collectionName] = documents;
+        log(`  Backed up ${documents.length} documents from ${collectionName}`);
+      } catch (error) {
+        log(`  Warning: Could not backup ${collectionName}: ${error.message}`, 'warning');
+        backup[collectionName] = [];
+      }
+    }
+
+    await fs.writeFile(backupFile, JSON.stringify(backup, null, 2));
+    log(`✅ Backup created: ${backupFile}`);
+
+    return backupFile;
+  } catch (error) {
+    log(`Failed to create backup: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+// Create indexes on the items collection and drop the per-letter ones on
+// categories (MongoDB allows a single text index per collection, so the old
+// one has to go before Category can build its new name/description index)
+async function prepareIndexes() {
+  try {
+    log('🔄 Preparing indexes...');
+
+    if (DRY_RUN) {
+      log('  [DRY RUN] Would create item indexes and drop legacy category indexes');
+      return true;
+    }
+
+    const items = getDb().collection('items');
+    await items.createIndex({ id: 1 });
+    await items.createIndex({ categoryId: 1, id: 1 }, { unique: true });
+    await items.createIndex({ categoryId: 1, letter: 1, name: 1 });
+    await items.createIndex({ status: 1 });
+    await items.createIndex({ publishingStatus: 1 });
+    await items.createIndex({ collectionStatus: 1 });
+    await items.createIndex({ tags: 1 });
+    await items.createIndex({ 'images.sourceId': 1 });
+    log('  ✅ Created item indexes');
+
+    const categories = getDb().collection('categories');
+    const indexes = await categories.indexes();
+    const legacyIndexes = indexes.filter(index =>
+      Object.keys(index.key).some(key => key.startsWith('items.')) ||
+      (index.weights && Object.keys(index.weights).some(key => key.startsWith('items.')))
+    );
+
+    for (const index of legacyIndexes) {
+      await categories.dropIndex(index.name);
+      log(`  Dropped legacy category index ${index.name}`);
+    }
+
+    return true;
+  } catch (error) {
+    log(`Failed to prepare indexes: ${error.message}`, 'error');
+    return false;
+  }
+}
+
+// Move embedded items into the items collection
+async function normalizeItems() {
+  try {
+    log('🔄 Moving embedded items into the items collection...');
+
+    const categories = getDb().collection('categories');
+    const items = getDb().collection('items');
+    const docs = await categories.find({ items: { $exists: true } }).toArray();
+
+    let movedItems = 0;
+    let migratedCategories = 0;
+
+    for (const category of docs) {
+      const operations = [];
+
+      for (const letter of ALPHABET) {
+        for (const { _id, ...item } of (category.items && category.items[letter]) || []) {
+          operations.push({
+            updateOne: {
+              filter: { categoryId: category.id, id: item.id },
+              update: { $set: { ...item, categoryId: category.id, letter } },
+              upsert: true
+            }
+          });
+        }
+      }
+
+      if (DRY_RUN) {
+        log(`  [DRY RUN] Would move ${operations.length} items from ${category.id}`);
+        movedItems += operations.length;
+        continue;
+      }
+
+      if (operations.length > 0) {
+        await items.bulkWrite(operations, { ordered: false });
+      }
+
+      await categories.updateOne({ _id: category._id }, { $unset: { items: '' } });
+
+      movedItems += operations.length;
+      migratedCategories++;
+      log(`  ✅ Moved ${operations.length} items from ${category.id}`);
+    }
+
+    log(`✅ Moved ${movedItems} items from ${DRY_RUN ? docs.length : migratedCategories} categories`);
+    return true;
+  } catch (error) {
+    log(`Item normalization failed: ${error.message}`, 'error');
+    return false;
+  }
+}
+
+// Rollback functionality - rebuilds the embedded arrays from the current
+// contents of the items collection, so edits made after migrating are kept
+async function performRollback() {
+  try {
+    log('🔄 Starting rollback process...');
+
+    const categories = getDb().collection('categories');
+    const items = getDb().collection('items');
+    const docs = await categories.find({}).toArray();
+
+    for (const category of docs) {
+      const categoryItems = await items.find({ categoryId: category.id }).sort({ name: 1 }).toArray();
+
+      const embedded = {};
+      for (const letter of ALPHABET) {
+        embedded[letter] = [];
+      }
+
+      for (const item of categoryItems) {
+        const { _id, __v, categoryId, letter, ...fields } = item;
+        if (embedded[letter]) {
+          embedded[letter].push(fields);
+        }
+      }
+
+      if (DRY_RUN) {
+        log(`  [DRY RUN] Would restore ${categoryItems.length} items to ${category.id}`);
+        continue;
+      }
+
+      await categories.updateOne({ _id: category._id }, { $set: { items: embedded } });
+      log(`  Restored ${categoryItems.length} items to ${category.id}`);
+    }
+
+    if (!DRY_RUN) {
+      try {
+        await items.drop();
+      } catch (error) {
+        // Collection might not exist
+      }
+    }
+
+    log('✅ Rollback completed successfully');
+    return true;
+  } catch (error) {
+    log(`Rollback failed: ${error.message}`, 'error');
+    return false;
+  }
+}
+
+// Validation
+async function validateMigration() {
+  try {
+    log('🔍 Validating migration...');
+
+    if (DRY_RUN) {
+      log('  [DRY RUN] Skipping validation');
+      return true;
+    }
+
+    const categories = getDb().collection('categories');
+    const items = getDb().collection('items');
+
+    let validationErrors = 0;
+
+    const embedded = await categories.countDocuments({ items: { $exists: true } });
+    if (embedded > 0) {
+      log(`  ❌ ${embedded} categories still embed items`, 'error');
+      validationErrors++;
+    }
+
+    const categoryIds = await categories.distinct('id');
+    const orphaned = await items.countDocuments({ categoryId: { $nin: categoryIds } });
+    if (orphaned > 0) {
+      log(`  ❌ ${orphaned} items reference a missing category`, 'error');
+      validationErrors++;
+    }
+
+    const badLetters = await items.countDocuments({ letter: { $nin: ALPHABET } });
+    if (badLetters > 0) {
+      log(`  ❌ ${badLetters} items have an invalid letter`, 'error');
+      validationErrors++;
+    }
+
+    if (validationErrors === 0) {
+      log('✅ Migration validation passed');
+      return true;
+    } else {
+      log(`❌ Migration validation failed with ${validationErrors} errors`, 'error');
+      return false;
+    }
+  } catch (error) {
+    log(`Validation failed: ${error.message}`, 'error');
+    return false;
+  }
+}
+
+// Main execution
+async function main() {
+  try {
+    await connectDatabase();
+
+    if (ROLLBACK) {
+      const success = await performRollback();
+      process.exit(success ? 0 : 1);
+    }
+
+    if (DRY_RUN) {
+      log('🔍 DRY RUN MODE - No changes will be made');
+    }
+
+    // Step 1: Create backup
+    const backupFile = await createBackup();
+
+    // Step 2: Indexes
+    const indexSuccess = await prepareIndexes();
+
+    if (!indexSuccess) {
+      log('Index preparation failed! No items were moved.', 'error');
+      process.exit(1);
+    }
+
+    // Step 3: Move items
+    const migrationSuccess = await normalizeItems();
+
+    if (!migrationSuccess) {
+      log('Migration failed! Consider running rollback.', 'error');
+      process.exit(1);
+    }
+
+    // Step 4: Validate migration
+    const validationSuccess = await validateMigration();
+
+    if (!validationSuccess) {
+      log('Validation failed! Consider running rollback.', 'error');
+      process.exit(1);
+    }
+
+    if (DRY_RUN) {
+      log('✅ DRY RUN completed successfully - ready for actual migration');
+    } else {
+      log('✅ Phase 4 migration completed successfully!');
+      log(`📁 Backup saved: ${backupFile}`);
+    }
+
+  } catch (error) {
+    log(`Migration failed: ${error.message}`, 'error');
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+// Handle process interruption
+process.on('SIGINT', async () => {
+  log('Migration interrupted by user');
+  await mongoose.disconnect();
+  process.exit(1);
+});
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  main,
+  createBackup,
+  prepareIndexes,
+  normalizeItems,
+  performRollback,
+  validateMigration
+};
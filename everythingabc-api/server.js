@@ -6,6 +6,9 @@ const winston = require("winston");
 require("dotenv").config();
 
 const database = require("./db");
+const { queueManager } = require("./services/queue/QueueManager");
+const { rateLimitManager, rateLimit } = require("./services/rateLimit/RateLimitManager");
+const { apiKeyAuth } = require("./services/apiKeys/ApiKeyAuth");
 const categoryRoutes = require("./routes/categories");
 const imageCollectionRoutes = require("./routes/imageCollection");
 const enhancedCollectionRoutes = require("./routes/enhancedCollection");
@@ -15,6 +18,9 @@ const icsCompatRoutes = require("./routes/icsCompat");
 const seedRoutes = require("./routes/seed");
 const imagesRoutes = require("./routes/images");
 const progressRoutes = require("./routes/progress");
+const learnerRoutes = require("./routes/learners");
+const creditsRoutes = require("./routes/credits");
+const mediaRoutes = require("./routes/media");
 const miscRoutes = require("./routes/misc");
 
 // Admin routes
@@ -22,12 +28,19 @@ const adminAuthRoutes = require("./admin/routes/auth");
 const adminCategoriesRoutes = require("./admin/routes/categories");
 const adminItemsRoutes = require("./admin/routes/items");
 const adminDashboardRoutes = require("./admin/routes/dashboard");
+const adminImagesRoutes = require("./admin/routes/images");
 
 // CMS Admin routes
 const cmsCategoriesRoutes = require("./admin/routes/cms-categories");
 const cmsItemsRoutes = require("./admin/routes/cms-items");
 const cmsPublishingRoutes = require("./admin/routes/cms-publishing");
 const cmsImportExportRoutes = require("./admin/routes/cms-import-export");
+const cmsRevisionsRoutes = require("./admin/routes/cms-revisions");
+const cmsReviewsRoutes = require("./admin/routes/cms-reviews");
+const cmsAudioRoutes = require("./admin/routes/cms-audio");
+const cmsImagesRoutes = require("./admin/routes/cms-images");
+const cmsUsersRoutes = require("./admin/routes/cms-users");
+const cmsApiKeysRoutes = require("./admin/routes/cms-api-keys");
 
 // Create Express app
 const app = express();
@@ -60,6 +73,13 @@ if (process.env.NODE_ENV !== "production") {
   );
 }
 
+// Behind a reverse proxy, req.ip (and with it rate limiting) has to come
+// from X-Forwarded-For. TRUST_PROXY takes a hop count or an express preset.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Security middleware
 app.use(
   helmet({
@@ -79,7 +99,8 @@ app.use(
     ],
     credentials: true,
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"],
+    exposedHeaders: ["RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "RateLimit-Policy", "Retry-After"],
   })
 );
 
@@ -186,6 +207,18 @@ app.get("/health/detailed", async (req, res) => {
   }
 });
 
+// API keys for third-party consumers. A request with a valid key is held to
+// the key's daily quota and skips the per-IP limits below.
+app.use(["/api/v1/categories/search", "/api/v1/search"], apiKeyAuth("search.read"));
+app.use("/api/v1/categories", apiKeyAuth("categories.read"));
+app.use("/api/v1/credits", apiKeyAuth("credits.read"));
+
+// Rate limits for public routes. Searches and printouts are mounted first: a
+// request only counts against the first policy it meets.
+app.use(["/api/v1/categories/search", "/api/v1/search"], rateLimit("search"));
+app.use("/api/v1/categories/:id/print", rateLimit("print"));
+app.use(["/api/v1/categories", "/api/v1/credits", "/api/v1/learners", "/api/v1/progress"], rateLimit("public"));
+
 // API routes
 app.use("/api/v1/categories", categoryRoutes);
 app.use("/api/v1/collection", imageCollectionRoutes);
@@ -196,6 +229,12 @@ app.use("/api/v1", icsCompatRoutes); // Handles /collect/selected and /categorie
 app.use("/api/v1/seed", seedRoutes);
 app.use("/api/v1/images", imagesRoutes);
 app.use("/api/v1/progress", progressRoutes);
+app.use("/api/v1/learners", learnerRoutes);
+app.use("/api/v1/credits", creditsRoutes);
+
+// Media stored on local disk when S3 isn't configured (pronunciation audio)
+app.use("/api/v1/media", mediaRoutes);
+
 app.use("/api/v1", miscRoutes); // Handles /generate, /clients, /dashboard, /status
 
 // Admin routes (legacy)
@@ -203,12 +242,19 @@ app.use("/admin/auth", adminAuthRoutes);
 app.use("/admin/categories", adminCategoriesRoutes);
 app.use("/admin", adminItemsRoutes); // Items routes are nested under categories
 app.use("/admin/dashboard", adminDashboardRoutes);
+app.use("/admin/images", adminImagesRoutes);
 
 // CMS Admin routes (new)
 app.use("/api/v1/admin/categories", cmsCategoriesRoutes);
 app.use("/api/v1/admin/categories", cmsItemsRoutes);
+app.use("/api/v1/admin/categories", cmsRevisionsRoutes); // /:categoryId/revisions and /items/:itemId/revisions
 app.use("/api/v1/admin", cmsPublishingRoutes); // Publishing routes define /items/... paths
+app.use("/api/v1/admin", cmsReviewsRoutes); // Review workflow: /items/:itemId/review/... and /reviews/...
+app.use("/api/v1/admin", cmsAudioRoutes); // Pronunciation audio: /items/:itemId/audio/... and /audio/...
+app.use("/api/v1/admin", cmsImagesRoutes); // Primary image and framing: /items/:itemId/images/... and /images/sizes
 app.use("/api/v1/admin/import-export", cmsImportExportRoutes);
+app.use("/api/v1/admin/users", cmsUsersRoutes);
+app.use("/api/v1/admin/api-keys", cmsApiKeysRoutes);
 
 // 404 handler
 app.use("*", (req, res) => {
@@ -276,6 +322,7 @@ const gracefulShutdown = async (signal) => {
     logger.info("HTTP server closed");
 
     try {
+      await rateLimitManager.close();
       await database.disconnect();
       logger.info("Database connection closed");
       process.exit(0);
@@ -292,6 +339,25 @@ const gracefulShutdown = async (signal) => {
   }, 10000);
 };
 
+// Scheduled publishing runs on the Bull queues, so it needs Redis. Without
+// Redis the API still starts; scheduled dates just won't be applied. Only the
+// publishing queue is started here, so the API doesn't also work the
+// collection, import and audio queues.
+async function startPublishingScheduler() {
+  if (process.env.PUBLISHING_SCHEDULER_ENABLED === "false") {
+    logger.info("Publishing scheduler disabled");
+    return;
+  }
+
+  try {
+    await queueManager.initialize(["publishing-schedule"]);
+    await queueManager.schedulePublishingSweep();
+    logger.info("Publishing scheduler started");
+  } catch (error) {
+    logger.warn(`Publishing scheduler not started: ${error.message}`);
+  }
+}
+
 // Start server
 async function startServer() {
   try {
@@ -324,6 +390,10 @@ async function startServer() {
       process.exit(1);
     });
 
+    // Not awaited: a missing Redis must not hold up the HTTP server
+    startPublishingScheduler();
+    rateLimitManager.initialize();
+
     return server;
   } catch (error) {
     logger.error("Failed to start server:", error);
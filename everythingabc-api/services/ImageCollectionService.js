@@ -5,6 +5,8 @@ const axios = require('axios');
 
 const logger = require('../utils/logger');
 const QualityAssessmentService = require('./QualityAssessmentService');
+const PerceptualHash = require('./analysis/PerceptualHash');
+const ApprovalRules = require('./collection/ApprovalRules');
 
 /**
  * Unified Image Collection Service
@@ -17,6 +19,7 @@ const QualityAssessmentService = require('./QualityAssessmentService');
 class ImageCollectionService {
   constructor() {
     this.qualityService = new QualityAssessmentService();
+    this.perceptualHash = new PerceptualHash();
     this.initialized = false;
 
     // Queue configuration
@@ -50,7 +53,10 @@ class ImageCollectionService {
         baseUrl: 'https://api.pexels.com/v1',
         key: process.env.PEXELS_API_KEY,
         rateLimit: { requests: 200, per: 'hour' }
-      }
+      },
+      // Keyless sources are searched through the shared API clients
+      wikimedia: { keyless: true },
+      openverse: { keyless: true }
     };
   }
 
@@ -113,6 +119,11 @@ class ImageCollectionService {
     const validationResults = {};
 
     for (const [provider, config] of Object.entries(this.apiClients)) {
+      if (config.keyless) {
+        validationResults[provider] = { valid: true };
+        continue;
+      }
+
       if (!config.key) {
         logger.warn(`No API key configured for ${provider}`);
         validationResults[provider] = { valid: false, reason: 'No API key' };
@@ -191,7 +202,7 @@ class ImageCollectionService {
       }
 
       // Get items that need collection
-      const pendingItems = category.getPendingCollectionItems();
+      const pendingItems = await category.findPendingCollectionItems();
       const itemsToCollect = specificItems
         ? pendingItems.filter(item => specificItems.includes(item.item.id))
         : pendingItems;
@@ -281,8 +292,8 @@ class ImageCollectionService {
       item.collectionProgress.lastAttempt = new Date();
       item.collectionProgress.searchAttempts += 1;
 
-      category.markModified('items');
-      await category.save();
+      await item.save();
+      await category.refreshItemStats();
 
       return {
         id: job.id,
@@ -379,8 +390,8 @@ class ImageCollectionService {
         throw new Error(`Category not found: ${categoryId}`);
       }
 
-      const items = category.getItemsByLetter(letter);
-      const item = items.find(i => i.id === itemId);
+      const Item = require('../models/Item');
+      const item = await Item.findOne({ categoryId, letter: letter.toUpperCase(), id: itemId });
       if (!item) {
         throw new Error(`Item not found: ${itemId}`);
       }
@@ -398,6 +409,9 @@ class ImageCollectionService {
       // Determine search terms
       const searchTerms = this.generateSearchTerms(item, category, settings);
 
+      // Library-wide hashes so the same photo from another source is skipped
+      const hashIndex = await Item.getImageHashIndex();
+
       // Collect from each source
       const prioritySources = settings.prioritySources || ['unsplash', 'pixabay', 'pexels'];
       const neededImages = Math.max(0, (settings.targetImagesPerItem || 3) - item.collectionProgress.approvedCount);
@@ -417,6 +431,7 @@ class ImageCollectionService {
             item,
             category,
             settings,
+            hashIndex,
             maxImages: neededImages - results.imagesApproved
           });
 
@@ -470,8 +485,8 @@ class ImageCollectionService {
         item.collectionProgress.bestQualityScore = Math.max(...qualityScores);
       }
 
-      category.markModified('items');
-      await category.save();
+      await item.save();
+      await category.refreshItemStats();
 
       logger.info(`Item collection completed: ${itemName}`, { results });
       return results;
@@ -481,21 +496,16 @@ class ImageCollectionService {
 
       // Update item status to failed
       try {
-        const Category = require('../models/Category');
-        const category = await Category.findOne({ id: categoryId });
-        if (category) {
-          const items = category.getItemsByLetter(letter);
-          const item = items.find(i => i.id === itemId);
-          if (item) {
-            item.collectionProgress.status = 'failed';
-            item.collectionProgress.errors.push({
-              timestamp: new Date(),
-              source: 'collection-service',
-              message: error.message
-            });
-            category.markModified('items');
-            await category.save();
-          }
+        const Item = require('../models/Item');
+        const item = await Item.findOne({ categoryId, letter: letter.toUpperCase(), id: itemId });
+        if (item) {
+          item.collectionProgress.status = 'failed';
+          item.collectionProgress.errors.push({
+            timestamp: new Date(),
+            source: 'collection-service',
+            message: error.message
+          });
+          await item.save();
         }
       } catch (saveError) {
         logger.error('Failed to update item status after error:', saveError);
@@ -506,13 +516,14 @@ class ImageCollectionService {
   }
 
   async collectFromSource(options) {
-    const { source, searchTerms, item, category, settings, maxImages } = options;
+    const { source, searchTerms, item, category, settings, maxImages, hashIndex = [] } = options;
 
     const results = {
       source,
       found: 0,
       processed: 0,
       approved: 0,
+      duplicates: 0,
       images: []
     };
 
@@ -533,19 +544,25 @@ class ImageCollectionService {
       for (const imageData of searchResults.slice(0, maxImages)) {
         try {
           // Download and process image
-          const processedImage = await this.processImageFromSource(imageData, source, item, category);
+          const processedImage = await this.processImageFromSource(imageData, source, item, category, hashIndex);
+
+          if (!processedImage) {
+            results.duplicates++;
+          } else {
+            // Auto-approve, reject or queue for review using the category's rules
+            const strategy = {
+              approvalRules: category.imageCollection?.strategy?.approvalRules,
+              autoApprovalThreshold: settings.autoApprovalThreshold ?? category.imageCollection?.strategy?.autoApprovalThreshold
+            };
+            const facts = ApprovalRules.buildFacts(processedImage);
+            ApprovalRules.applyDecision(processedImage, ApprovalRules.evaluateRules(facts, strategy));
 
-          if (processedImage) {
             // Add to item's images array
             item.images.push(processedImage);
             results.images.push(processedImage);
             results.processed++;
 
-            // Auto-approve high quality images
-            if (processedImage.qualityScore.overall >= (settings.autoApprovalThreshold || 8.5)) {
-              processedImage.status = 'approved';
-              processedImage.approvedAt = new Date();
-              processedImage.approvedBy = 'auto-approval';
+            if (processedImage.status === 'approved') {
               results.approved++;
 
               // Set as primary if it's the first approved image
@@ -603,6 +620,9 @@ class ImageCollectionService {
           return this.searchPixabay(searchTerm, options);
         case 'pexels':
           return this.searchPexels(searchTerm, options);
+        case 'wikimedia':
+        case 'openverse':
+          return this.searchWithClient(source, searchTerm, options);
         default:
           throw new Error(`Search not implemented for ${source}`);
       }
@@ -709,11 +729,39 @@ class ImageCollectionService {
     }));
   }
 
-  async processImageFromSource(imageData, source, item, category) {
+  async searchWithClient(source, query, options = {}) {
+    const { apiClientManager } = require('./apiClients');
+    await apiClientManager.initialize();
+
+    const result = await apiClientManager.getClient(source).search(query, {
+      perPage: options.perPage || 10
+    });
+
+    return result.images.map(image => ({
+      ...image,
+      downloadUrl: image.url,
+      photographer: image.photographer?.name
+    }));
+  }
+
+  async processImageFromSource(imageData, source, item, category, hashIndex = []) {
     try {
       // Download image
       const imageBuffer = await this.downloadImage(imageData.downloadUrl);
 
+      // Skip images we already hold, even if they came from another source
+      const perceptualHash = await this.perceptualHash.computeHash(imageBuffer);
+      const duplicate = this.perceptualHash.findDuplicate(perceptualHash, hashIndex);
+      if (duplicate) {
+        logger.info(`Skipping duplicate image from ${source}: ${imageData.id}`, {
+          duplicateOf: `${duplicate.sourceProvider}/${duplicate.sourceId}`,
+          itemName: duplicate.itemName,
+          distance: duplicate.distance
+        });
+        return null;
+      }
+      hashIndex.push({ perceptualHash, sourceProvider: source, sourceId: imageData.id, itemName: item.name });
+
       // Generate file path
       const fileName = `${item.id}-${source}-${imageData.id}.webp`;
       const relativePath = path.join('categories', category.id, item.letter, item.id, fileName);
@@ -745,6 +793,7 @@ class ImageCollectionService {
         fileName,
         metadata,
         qualityScore,
+        perceptualHash,
         status: qualityScore.overall >= 7.0 ? 'pending' : 'rejected',
         isPrimary: false,
         license: imageData.license,
@@ -929,7 +978,8 @@ class ImageCollectionService {
         throw new Error(`Category not found: ${categoryId}`);
       }
 
-      const item = category.items[letter]?.find(item => item.id === itemId);
+      const Item = require('../models/Item');
+      const item = await Item.findOne({ categoryId, letter, id: itemId });
       if (!item) {
         throw new Error(`Item not found: ${itemId} in ${categoryId}/${letter}`);
       }
@@ -942,23 +992,24 @@ class ImageCollectionService {
       // Update quality score
       image.qualityScore = qualityScore;
 
-      // Auto-approve/reject based on quality
-      if (qualityScore.overall >= (context.autoApprovalThreshold || 8.5)) {
-        image.status = 'approved';
-        image.approvedAt = new Date();
-        image.approvedBy = 'auto-approval';
+      // Auto-approve, reject or queue for review using the category's rules
+      const strategy = {
+        approvalRules: category.imageCollection?.strategy?.approvalRules,
+        autoApprovalThreshold: context.autoApprovalThreshold ?? category.imageCollection?.strategy?.autoApprovalThreshold
+      };
+      const decision = ApprovalRules.evaluateRules(ApprovalRules.buildFacts(image), strategy, {
+        rejectBelow: context.minQualityThreshold || undefined
+      });
+      ApprovalRules.applyDecision(image, decision);
 
+      if (image.status === 'approved') {
         // Set as primary if it's the first approved image
         if (!item.images.some(img => img.isPrimary && img.status === 'approved')) {
           image.isPrimary = true;
           item.image = image.filePath;
         }
-      } else if (qualityScore.overall < (context.minQualityThreshold || 5.0)) {
-        image.status = 'rejected';
-        image.rejectionReason = 'Quality score too low';
+      } else if (image.status === 'rejected') {
         image.rejectedAt = new Date();
-      } else {
-        image.status = 'manual_review';
       }
 
       // Update collection progress
@@ -981,8 +1032,8 @@ class ImageCollectionService {
       }
 
       // Save changes
-      category.markModified('items');
-      await category.save();
+      await item.save();
+      await category.refreshItemStats();
 
       logger.info(`Image quality assessment completed: ${imageId}`, {
         qualityScore: qualityScore.overall,
@@ -1004,19 +1055,15 @@ class ImageCollectionService {
 
       // Try to update image status to failed
       try {
-        const Category = require('../models/Category');
-        const category = await Category.findOne({ id: categoryId });
-        if (category) {
-          const item = category.items[letter]?.find(item => item.id === itemId);
-          if (item) {
-            const image = item.images.find(img => img.sourceId === imageId);
-            if (image) {
-              image.status = 'rejected';
-              image.rejectionReason = `Processing failed: ${error.message}`;
-              image.rejectedAt = new Date();
-              category.markModified('items');
-              await category.save();
-            }
+        const Item = require('../models/Item');
+        const item = await Item.findOne({ categoryId, letter, id: itemId });
+        if (item) {
+          const image = item.images.find(img => img.sourceId === imageId);
+          if (image) {
+            image.status = 'rejected';
+            image.rejectionReason = `Processing failed: ${error.message}`;
+            image.rejectedAt = new Date();
+            await item.save();
           }
         }
       } catch (saveError) {
@@ -0,0 +1,115 @@
+const sharp = require('sharp');
+
+/**
+ * Perceptual hashing for duplicate detection
+ *
+ * Uses a 64-bit difference hash (dHash): the image is reduced to a 9x8
+ * grayscale grid and each bit records whether a pixel is brighter than its
+ * right-hand neighbour. Re-encoded, resized or lightly recompressed copies of
+ * the same photo land within a few bits of each other.
+ *
+ * Neighbours must differ by more than `minDifference` grey levels to set a
+ * bit. Without it, flat studio backgrounds flip bits on compression noise.
+ */
+class PerceptualHash {
+  constructor(config = {}) {
+    this.config = {
+      // Max differing bits (out of 64) for two images to count as duplicates
+      threshold: parseInt(process.env.DUPLICATE_HASH_THRESHOLD) || 6,
+      minDifference: 1,
+      ...config
+    };
+  }
+
+  async computeHash(input) {
+    const width = 9;
+    const height = 8;
+
+    const pixels = await sharp(input)
+      .rotate()
+      .grayscale()
+      .resize(width, height, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    let hash = 0n;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width - 1; x++) {
+        const left = pixels[y * width + x];
+        const right = pixels[y * width + x + 1];
+        hash = (hash << 1n) | (left - right > this.config.minDifference ? 1n : 0n);
+      }
+    }
+
+    return hash.toString(16).padStart(16, '0');
+  }
+
+  static hammingDistance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let count = 0;
+    while (diff) {
+      count += Number(diff & 1n);
+      diff >>= 1n;
+    }
+    return count;
+  }
+
+  isDuplicate(a, b, threshold = this.config.threshold) {
+    return Boolean(a && b) && PerceptualHash.hammingDistance(a, b) <= threshold;
+  }
+
+  // Closest entry within the threshold, or null
+  findDuplicate(hash, entries, threshold = this.config.threshold) {
+    let best = null;
+
+    for (const entry of entries) {
+      if (!entry.perceptualHash) continue;
+
+      const distance = PerceptualHash.hammingDistance(hash, entry.perceptualHash);
+      if (distance <= threshold && (!best || distance < best.distance)) {
+        best = { ...entry, distance };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Group entries whose hashes are within the threshold of each other.
+   * Clusters are transitive, so A~B and B~C put A, B and C together.
+   *
+   * @param {Array<{perceptualHash: string}>} entries
+   * @returns {Array<Array<object>>} clusters with two or more entries
+   */
+  findClusters(entries, threshold = this.config.threshold) {
+    const hashed = entries.filter(entry => entry.perceptualHash);
+    const parent = hashed.map((_, index) => index);
+
+    const find = (i) => {
+      while (parent[i] !== i) {
+        parent[i] = parent[parent[i]];
+        i = parent[i];
+      }
+      return i;
+    };
+
+    for (let i = 0; i < hashed.length; i++) {
+      for (let j = i + 1; j < hashed.length; j++) {
+        if (this.isDuplicate(hashed[i].perceptualHash, hashed[j].perceptualHash, threshold)) {
+          parent[find(j)] = find(i);
+        }
+      }
+    }
+
+    const groups = new Map();
+    hashed.forEach((entry, index) => {
+      const root = find(index);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(entry);
+    });
+
+    return Array.from(groups.values()).filter(group => group.length > 1);
+  }
+}
+
+module.exports = PerceptualHash;
@@ -2,6 +2,7 @@ const sharp = require('sharp');
 const fs = require('fs-extra');
 const path = require('path');
 const logger = require('../../utils/logger');
+const { relevanceScorer } = require('./relevance/RelevanceScorer');
 
 class QualityAnalyzer {
   constructor() {
@@ -24,7 +25,7 @@ class QualityAnalyzer {
       }
     };
 
-    this.relevanceKeywords = this.loadRelevanceKeywords();
+    this.relevanceScorer = relevanceScorer;
   }
 
   async initialize() {
@@ -251,54 +252,9 @@ class QualityAnalyzer {
     };
   }
 
+  // Model-based when a local image-text model is installed, text heuristic otherwise
   async analyzeRelevance(imagePath, itemName, category, sourceData) {
-    const details = {};
-    let score = 0;
-
-    // Filename relevance
-    const filename = path.basename(imagePath, path.extname(imagePath));
-    const filenameScore = this.scoreTextRelevance(filename, itemName);
-    details.filename = {
-      filename,
-      score: filenameScore,
-      rating: this.getRating(filenameScore)
-    };
-    score += filenameScore * 0.3;
-
-    // Source data relevance (tags, description, etc.)
-    if (sourceData.tags && sourceData.tags.length > 0) {
-      const tagsText = sourceData.tags.join(' ');
-      const tagsScore = this.scoreTextRelevance(tagsText, itemName);
-      details.tags = {
-        tags: sourceData.tags,
-        relevantTags: this.findRelevantTerms(tagsText, itemName),
-        score: tagsScore,
-        rating: this.getRating(tagsScore)
-      };
-      score += tagsScore * 0.4;
-    } else {
-      details.tags = { tags: [], score: 5, rating: 'average' };
-      score += 5 * 0.4;
-    }
-
-    if (sourceData.description) {
-      const descriptionScore = this.scoreTextRelevance(sourceData.description, itemName);
-      details.description = {
-        description: sourceData.description,
-        relevantTerms: this.findRelevantTerms(sourceData.description, itemName),
-        score: descriptionScore,
-        rating: this.getRating(descriptionScore)
-      };
-      score += descriptionScore * 0.3;
-    } else {
-      details.description = { description: '', score: 5, rating: 'average' };
-      score += 5 * 0.3;
-    }
-
-    return {
-      score: Math.min(10, Math.max(0, score)),
-      details
-    };
+    return this.relevanceScorer.score({ imagePath, itemName, category, sourceData });
   }
 
   async analyzeAesthetic(imagePath, imageInfo) {
@@ -388,29 +344,6 @@ class QualityAnalyzer {
     return 4; // Too large
   }
 
-  scoreTextRelevance(text, itemName) {
-    if (!text || !itemName) return 5;
-
-    const textLower = text.toLowerCase();
-    const itemLower = itemName.toLowerCase();
-
-    // Exact match
-    if (textLower.includes(itemLower)) return 9;
-
-    // Partial matches
-    const itemWords = itemLower.split(/\s+/);
-    let matches = 0;
-    for (const word of itemWords) {
-      if (word.length > 2 && textLower.includes(word)) {
-        matches++;
-      }
-    }
-
-    if (matches === itemWords.length) return 8;
-    if (matches > 0) return 6;
-    return 4;
-  }
-
   scoreWebUsability(width, height) {
     if (width >= 400 && height >= 400 && width <= 2000 && height <= 2000) return 9;
     if (width >= 200 && height >= 200) return 7;
@@ -454,34 +387,6 @@ class QualityAnalyzer {
     return 'reject';
   }
 
-  findRelevantTerms(text, itemName) {
-    if (!text || !itemName) return [];
-
-    const textLower = text.toLowerCase();
-    const itemWords = itemName.toLowerCase().split(/\s+/);
-    const relevantTerms = [];
-
-    for (const word of itemWords) {
-      if (word.length > 2 && textLower.includes(word)) {
-        relevantTerms.push(word);
-      }
-    }
-
-    return relevantTerms;
-  }
-
-  loadRelevanceKeywords() {
-    // Basic relevance keywords for common categories
-    return {
-      animals: ['animal', 'wildlife', 'creature', 'mammal', 'bird', 'insect', 'pet'],
-      fruits: ['fruit', 'fresh', 'organic', 'healthy', 'nutrition', 'vitamin'],
-      vegetables: ['vegetable', 'fresh', 'organic', 'healthy', 'nutrition', 'garden'],
-      transportation: ['transport', 'vehicle', 'travel', 'road', 'traffic'],
-      colors: ['color', 'bright', 'vivid', 'hue', 'shade', 'palette'],
-      shapes: ['shape', 'geometric', 'form', 'pattern', 'design']
-    };
-  }
-
   // Configuration update method
   updateConfig(newConfig) {
     this.config = { ...this.config, ...newConfig };
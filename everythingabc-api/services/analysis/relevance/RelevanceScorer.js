@@ -0,0 +1,103 @@
+const logger = require('../../../utils/logger');
+
+const ClipRelevanceScorer = require('./providers/ClipRelevanceScorer');
+const TextRelevanceScorer = require('./providers/TextRelevanceScorer');
+
+const FALLBACK_SCORER = 'text';
+
+/**
+ * Picks how image relevance is scored. A local image-text model is used when
+ * one is installed (see ClipRelevanceScorer); otherwise, or when the model
+ * fails on an image, the text heuristic scores it instead.
+ */
+class RelevanceScorer {
+  constructor() {
+    this.initialized = false;
+    // Optional explicit choice, e.g. RELEVANCE_SCORER=text to skip the model
+    this.preferredScorer = process.env.RELEVANCE_SCORER || null;
+    this.activeScorer = null;
+    this.scorers = new Map();
+  }
+
+  initialize() {
+    if (this.initialized) return;
+
+    this.registerScorer(new ClipRelevanceScorer());
+    this.registerScorer(new TextRelevanceScorer());
+
+    const available = this.getAvailableScorers();
+    if (this.preferredScorer && available.includes(this.preferredScorer)) {
+      this.activeScorer = this.preferredScorer;
+    } else {
+      if (this.preferredScorer) {
+        logger.warn(`Relevance scorer '${this.preferredScorer}' is not available, using ${available[0]}`);
+      }
+      // Registration order is preference order; text is always available
+      this.activeScorer = available[0];
+    }
+
+    this.initialized = true;
+    logger.info('RelevanceScorer initialized', {
+      activeScorer: this.activeScorer,
+      availableScorers: available
+    });
+  }
+
+  // Scorers can be added or replaced, e.g. with a fake in tests
+  registerScorer(scorer) {
+    this.scorers.set(scorer.name, scorer);
+  }
+
+  getAvailableScorers() {
+    return Array.from(this.scorers.values())
+      .filter(scorer => scorer.isConfigured())
+      .map(scorer => scorer.name);
+  }
+
+  /**
+   * Score how well an image shows an item, 0-10.
+   *
+   * @param {object} input - See BaseRelevanceScorer#score
+   * @returns {Promise<{score: number, details: object}>} details.scorer names
+   *   the scorer used; details.fallbackFrom and details.error are set when
+   *   the active scorer failed
+   */
+  async score(input) {
+    this.initialize();
+
+    const scorer = this.scorers.get(this.activeScorer);
+    try {
+      const result = await scorer.score(input);
+      return { score: result.score, details: { scorer: scorer.name, ...result.details } };
+    } catch (error) {
+      if (scorer.name === FALLBACK_SCORER) throw error;
+
+      logger.warn(`Relevance scorer '${scorer.name}' failed, falling back to ${FALLBACK_SCORER}`, {
+        imagePath: input.imagePath,
+        error: error.message
+      });
+
+      const result = await this.scorers.get(FALLBACK_SCORER).score(input);
+      return {
+        score: result.score,
+        details: { scorer: FALLBACK_SCORER, fallbackFrom: scorer.name, error: error.message, ...result.details }
+      };
+    }
+  }
+
+  getStatus() {
+    this.initialize();
+
+    return {
+      activeScorer: this.activeScorer,
+      availableScorers: this.getAvailableScorers()
+    };
+  }
+}
+
+const relevanceScorer = new RelevanceScorer();
+
+module.exports = {
+  RelevanceScorer,
+  relevanceScorer
+};
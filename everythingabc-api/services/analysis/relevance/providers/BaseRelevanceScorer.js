@@ -0,0 +1,44 @@
+/**
+ * Base class for image relevance scorers.
+ *
+ * A scorer rates how well an image shows an item, from 0 (unrelated) to 10
+ * (clearly the item). QualityAnalyzer uses the result as
+ * qualityScore.breakdown.relevance.
+ */
+class BaseRelevanceScorer {
+  constructor(config = {}) {
+    this.config = config;
+  }
+
+  // Stable identifier used in RELEVANCE_SCORER and in score details
+  get name() {
+    throw new Error('Scorer name not implemented');
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Score one image.
+   *
+   * @param {object} input
+   * @param {string} input.imagePath - Local path of the image
+   * @param {string} input.itemName
+   * @param {string} [input.category] - Category id or name
+   * @param {object} [input.sourceData] - Source metadata (tags, description, ...)
+   * @returns {Promise<{score: number, details: object}>}
+   */
+  async score(input) {
+    throw new Error('score not implemented');
+  }
+
+  getRating(score) {
+    if (score >= 8.5) return 'excellent';
+    if (score >= 7.0) return 'good';
+    if (score >= 5.0) return 'average';
+    return 'poor';
+  }
+}
+
+module.exports = BaseRelevanceScorer;
@@ -0,0 +1,209 @@
+const path = require('path');
+const fs = require('fs-extra');
+const sharp = require('sharp');
+const BaseRelevanceScorer = require('./BaseRelevanceScorer');
+const { ClipTokenizer } = require('./clipTokenizer');
+const logger = require('../../../../utils/logger');
+
+const IMAGE_SIZE = 224;
+const MEAN = [0.48145466, 0.4578275, 0.40821073];
+const STD = [0.26862954, 0.26130258, 0.27577711];
+
+const MODEL_FILES = ['vision_model.onnx', 'text_model.onnx', 'vocab.json', 'merges.txt'];
+
+// Prompt ensemble for one item; averaging a few phrasings is steadier than
+// any single prompt
+const PROMPTS = [
+  (name) => `a photo of a ${name}.`,
+  (name, category) => `a photo of a ${name}, a type of ${category}.`,
+  (name) => `an illustration of a ${name}.`
+];
+
+// Text embeddings per item are reused across all of its images
+const TEXT_CACHE_SIZE = 500;
+
+/**
+ * CLIP-style image-text similarity, run on the CPU with onnxruntime-node.
+ *
+ * CLIP_MODEL_PATH points at a folder with a CLIP export split in two ONNX
+ * graphs (vision_model.onnx taking pixel_values, text_model.onnx taking
+ * input_ids and optionally attention_mask) plus the tokenizer's vocab.json
+ * and merges.txt, e.g. the onnx/ folder of Xenova/clip-vit-base-patch32.
+ *
+ * Cosine similarity between the image and the item's prompts is mapped
+ * linearly from [similarityFloor, similarityCeiling] onto 0-10. The defaults
+ * suit ViT-B/32; other models may need CLIP_SIMILARITY_FLOOR/CEILING.
+ */
+class ClipRelevanceScorer extends BaseRelevanceScorer {
+  constructor(config = {}) {
+    super({
+      modelPath: process.env.CLIP_MODEL_PATH,
+      similarityFloor: parseFloat(process.env.CLIP_SIMILARITY_FLOOR) || 0.15,
+      similarityCeiling: parseFloat(process.env.CLIP_SIMILARITY_CEILING) || 0.32,
+      threads: parseInt(process.env.CLIP_THREADS) || 1,
+      ...config
+    });
+    this.sessions = null;
+    this.loading = null;
+    this.tokenizer = null;
+    this.textCache = new Map();
+  }
+
+  get name() {
+    return 'clip';
+  }
+
+  isConfigured() {
+    const { modelPath } = this.config;
+    if (!modelPath || !MODEL_FILES.every(file => fs.existsSync(path.join(modelPath, file)))) {
+      return false;
+    }
+    try {
+      require.resolve('onnxruntime-node');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Sessions are created on first use and shared by concurrent analyses
+  async load() {
+    if (this.sessions) return this.sessions;
+    if (!this.loading) {
+      this.loading = (async () => {
+        const ort = require('onnxruntime-node');
+        const { modelPath, threads } = this.config;
+        const options = { intraOpNumThreads: threads, interOpNumThreads: 1 };
+
+        const [vision, text] = await Promise.all([
+          ort.InferenceSession.create(path.join(modelPath, 'vision_model.onnx'), options),
+          ort.InferenceSession.create(path.join(modelPath, 'text_model.onnx'), options)
+        ]);
+        this.ort = ort;
+        this.tokenizer = ClipTokenizer.fromDirectory(modelPath);
+        this.sessions = { vision, text };
+
+        logger.info('CLIP relevance model loaded', { modelPath });
+        return this.sessions;
+      })().catch(error => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  async score({ imagePath, itemName, category }) {
+    const startTime = Date.now();
+    const categoryLabel = (category || 'thing').replace(/[-_]+/g, ' ');
+
+    const [imageEmbedding, textEmbedding] = await Promise.all([
+      this.embedImage(imagePath),
+      this.embedItem(itemName, categoryLabel)
+    ]);
+
+    const similarity = dot(imageEmbedding, textEmbedding);
+    const score = this.similarityToScore(similarity);
+
+    return {
+      score,
+      details: {
+        similarity: Math.round(similarity * 10000) / 10000,
+        prompts: PROMPTS.map(prompt => prompt(itemName, categoryLabel)),
+        score,
+        rating: this.getRating(score),
+        inferenceTime: Date.now() - startTime
+      }
+    };
+  }
+
+  similarityToScore(similarity) {
+    const { similarityFloor, similarityCeiling } = this.config;
+    const scaled = ((similarity - similarityFloor) / (similarityCeiling - similarityFloor)) * 10;
+    return Math.round(Math.min(10, Math.max(0, scaled)) * 100) / 100;
+  }
+
+  async embedImage(imagePath) {
+    const { vision } = await this.load();
+    const pixels = await this.preprocessImage(imagePath);
+    const feeds = { [vision.inputNames[0]]: new this.ort.Tensor('float32', pixels, [1, 3, IMAGE_SIZE, IMAGE_SIZE]) };
+    const outputs = await vision.run(feeds);
+    return normalize(pickOutput(outputs, 'image_embeds').data);
+  }
+
+  async embedItem(itemName, categoryLabel) {
+    const key = `${itemName.toLowerCase()}|${categoryLabel}`;
+    if (this.textCache.has(key)) return this.textCache.get(key);
+
+    const { text } = await this.load();
+    const prompts = PROMPTS.map(prompt => prompt(itemName, categoryLabel));
+    const tokenized = prompts.map(prompt => this.tokenizer.tokenize(prompt));
+    const length = tokenized[0].inputIds.length;
+
+    const feeds = {
+      input_ids: new this.ort.Tensor('int64', BigInt64Array.from(tokenized.flatMap(t => t.inputIds), BigInt), [prompts.length, length])
+    };
+    if (text.inputNames.includes('attention_mask')) {
+      feeds.attention_mask = new this.ort.Tensor('int64', BigInt64Array.from(tokenized.flatMap(t => t.attentionMask), BigInt), [prompts.length, length]);
+    }
+
+    const outputs = await text.run(feeds);
+    const embeds = pickOutput(outputs, 'text_embeds');
+    const size = embeds.dims[1];
+
+    // Average the normalized prompt embeddings, then normalize again
+    const mean = new Float32Array(size);
+    for (let p = 0; p < prompts.length; p++) {
+      const embedding = normalize(embeds.data.subarray(p * size, (p + 1) * size));
+      for (let i = 0; i < size; i++) mean[i] += embedding[i] / prompts.length;
+    }
+    const embedding = normalize(mean);
+
+    if (this.textCache.size >= TEXT_CACHE_SIZE) {
+      this.textCache.delete(this.textCache.keys().next().value);
+    }
+    this.textCache.set(key, embedding);
+    return embedding;
+  }
+
+  /**
+   * Resize the shorter side to 224 and center-crop (sharp's cover), then
+   * normalize with CLIP's mean and std into a CHW float array.
+   */
+  async preprocessImage(imagePath) {
+    const { data } = await sharp(imagePath)
+      .resize(IMAGE_SIZE, IMAGE_SIZE, { fit: 'cover', position: 'centre', kernel: 'cubic' })
+      .removeAlpha()
+      .toColourspace('srgb')
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const plane = IMAGE_SIZE * IMAGE_SIZE;
+    const pixels = new Float32Array(3 * plane);
+    for (let i = 0; i < plane; i++) {
+      for (let c = 0; c < 3; c++) {
+        pixels[c * plane + i] = (data[i * 3 + c] / 255 - MEAN[c]) / STD[c];
+      }
+    }
+    return pixels;
+  }
+}
+
+function pickOutput(outputs, preferred) {
+  return outputs[preferred] || Object.values(outputs)[0];
+}
+
+function normalize(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm) || 1;
+  return Float32Array.from(vector, value => value / norm);
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+module.exports = ClipRelevanceScorer;
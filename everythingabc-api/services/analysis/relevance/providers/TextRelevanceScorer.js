@@ -0,0 +1,104 @@
+const path = require('path');
+const BaseRelevanceScorer = require('./BaseRelevanceScorer');
+
+/**
+ * Text heuristic: matches the item name against the filename, the source's
+ * tags and its description. Needs nothing installed, so it is always
+ * available and is the fallback for model-based scorers.
+ */
+class TextRelevanceScorer extends BaseRelevanceScorer {
+  get name() {
+    return 'text';
+  }
+
+  async score({ imagePath, itemName, sourceData = {} }) {
+    const details = {};
+    let score = 0;
+
+    // Filename relevance
+    const filename = path.basename(imagePath, path.extname(imagePath));
+    const filenameScore = this.scoreTextRelevance(filename, itemName);
+    details.filename = {
+      filename,
+      score: filenameScore,
+      rating: this.getRating(filenameScore)
+    };
+    score += filenameScore * 0.3;
+
+    // Source data relevance (tags, description, etc.)
+    if (sourceData.tags && sourceData.tags.length > 0) {
+      const tagsText = sourceData.tags.join(' ');
+      const tagsScore = this.scoreTextRelevance(tagsText, itemName);
+      details.tags = {
+        tags: sourceData.tags,
+        relevantTags: this.findRelevantTerms(tagsText, itemName),
+        score: tagsScore,
+        rating: this.getRating(tagsScore)
+      };
+      score += tagsScore * 0.4;
+    } else {
+      details.tags = { tags: [], score: 5, rating: 'average' };
+      score += 5 * 0.4;
+    }
+
+    if (sourceData.description) {
+      const descriptionScore = this.scoreTextRelevance(sourceData.description, itemName);
+      details.description = {
+        description: sourceData.description,
+        relevantTerms: this.findRelevantTerms(sourceData.description, itemName),
+        score: descriptionScore,
+        rating: this.getRating(descriptionScore)
+      };
+      score += descriptionScore * 0.3;
+    } else {
+      details.description = { description: '', score: 5, rating: 'average' };
+      score += 5 * 0.3;
+    }
+
+    return {
+      score: Math.min(10, Math.max(0, score)),
+      details
+    };
+  }
+
+  scoreTextRelevance(text, itemName) {
+    if (!text || !itemName) return 5;
+
+    const textLower = text.toLowerCase();
+    const itemLower = itemName.toLowerCase();
+
+    // Exact match
+    if (textLower.includes(itemLower)) return 9;
+
+    // Partial matches
+    const itemWords = itemLower.split(/\s+/);
+    let matches = 0;
+    for (const word of itemWords) {
+      if (word.length > 2 && textLower.includes(word)) {
+        matches++;
+      }
+    }
+
+    if (matches === itemWords.length) return 8;
+    if (matches > 0) return 6;
+    return 4;
+  }
+
+  findRelevantTerms(text, itemName) {
+    if (!text || !itemName) return [];
+
+    const textLower = text.toLowerCase();
+    const itemWords = itemName.toLowerCase().split(/\s+/);
+    const relevantTerms = [];
+
+    for (const word of itemWords) {
+      if (word.length > 2 && textLower.includes(word)) {
+        relevantTerms.push(word);
+      }
+    }
+
+    return relevantTerms;
+  }
+}
+
+module.exports = TextRelevanceScorer;
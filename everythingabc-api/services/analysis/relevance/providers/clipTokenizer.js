@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+
+// CLIP's byte-level BPE, as in openai/CLIP simple_tokenizer.py. Reads the
+// vocab.json and merges.txt shipped with the exported model.
+
+const CONTEXT_LENGTH = 77;
+const START_TOKEN = '<|startoftext|>';
+const END_TOKEN = '<|endoftext|>';
+const WORD_PATTERN = /<\|startoftext\|>|<\|endoftext\|>|'s|'t|'re|'ve|'m|'ll|'d|\p{L}+|\p{N}|[^\s\p{L}\p{N}]+/gu;
+
+// Reversible byte -> printable character map used by GPT-2 style BPE
+function bytesToUnicode() {
+  const bytes = [];
+  for (let b = 33; b <= 126; b++) bytes.push(b);
+  for (let b = 161; b <= 172; b++) bytes.push(b);
+  for (let b = 174; b <= 255; b++) bytes.push(b);
+
+  const chars = [...bytes];
+  let extra = 0;
+  for (let b = 0; b < 256; b++) {
+    if (!bytes.includes(b)) {
+      bytes.push(b);
+      chars.push(256 + extra++);
+    }
+  }
+
+  const map = new Map();
+  bytes.forEach((b, index) => map.set(b, String.fromCharCode(chars[index])));
+  return map;
+}
+
+class ClipTokenizer {
+  /**
+   * @param {object} vocab - Token -> id
+   * @param {string[]} merges - "a b" merge rules, highest priority first
+   */
+  constructor(vocab, merges) {
+    this.vocab = vocab;
+    this.ranks = new Map(merges.map((merge, index) => [merge, index]));
+    this.byteEncoder = bytesToUnicode();
+    this.cache = new Map();
+    this.startId = vocab[START_TOKEN];
+    this.endId = vocab[END_TOKEN];
+  }
+
+  static fromDirectory(directory) {
+    const vocab = JSON.parse(fs.readFileSync(path.join(directory, 'vocab.json'), 'utf-8'));
+    const merges = fs.readFileSync(path.join(directory, 'merges.txt'), 'utf-8')
+      .split('\n')
+      .filter(line => line && !line.startsWith('#version'));
+    return new ClipTokenizer(vocab, merges);
+  }
+
+  bpe(token) {
+    if (this.cache.has(token)) return this.cache.get(token);
+
+    const symbols = [...token];
+    let word = [...symbols.slice(0, -1), `${symbols[symbols.length - 1]}</w>`];
+
+    while (word.length > 1) {
+      let best = null;
+      let bestRank = Infinity;
+      for (let i = 0; i < word.length - 1; i++) {
+        const rank = this.ranks.get(`${word[i]} ${word[i + 1]}`);
+        if (rank !== undefined && rank < bestRank) {
+          bestRank = rank;
+          best = i;
+        }
+      }
+      if (best === null) break;
+
+      const merged = word[best] + word[best + 1];
+      const next = [];
+      for (let i = 0; i < word.length; i++) {
+        if (word[i] === word[best] && word[i + 1] === word[best + 1]) {
+          next.push(merged);
+          i++;
+        } else {
+          next.push(word[i]);
+        }
+      }
+      word = next;
+    }
+
+    this.cache.set(token, word);
+    return word;
+  }
+
+  encode(text) {
+    const cleaned = text.replace(/\s+/g, ' ').trim().toLowerCase();
+    const ids = [];
+    for (const [match] of cleaned.matchAll(WORD_PATTERN)) {
+      const token = [...Buffer.from(match, 'utf-8')].map(b => this.byteEncoder.get(b)).join('');
+      for (const piece of this.bpe(token)) {
+        if (this.vocab[piece] !== undefined) ids.push(this.vocab[piece]);
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Token ids for the text model: start token, text, end token, padded with
+   * the end token to the context length.
+   *
+   * @returns {{inputIds: number[], attentionMask: number[]}}
+   */
+  tokenize(text, contextLength = CONTEXT_LENGTH) {
+    const ids = [this.startId, ...this.encode(text).slice(0, contextLength - 2), this.endId];
+    const padding = contextLength - ids.length;
+    return {
+      inputIds: [...ids, ...new Array(padding).fill(this.endId)],
+      attentionMask: [...new Array(ids.length).fill(1), ...new Array(padding).fill(0)]
+    };
+  }
+}
+
+module.exports = { ClipTokenizer, CONTEXT_LENGTH };
@@ -0,0 +1,204 @@
+const BaseClient = require('./BaseClient');
+const { creativeCommons } = require('../../utils/licenses');
+const logger = require('../../utils/logger');
+
+/**
+ * Openverse
+ *
+ * Searches openly licensed images gathered from many collections (Flickr,
+ * museums, Wikimedia Commons and others). Each result states its exact
+ * Creative Commons license, creator and a ready-made attribution.
+ *
+ * Works anonymously with small pages and a low rate limit; registered
+ * applications get a token through the client credentials flow.
+ */
+class OpenverseClient extends BaseClient {
+  constructor(config, rateLimiter) {
+    super(config, rateLimiter);
+
+    this.accessToken = null;
+    this.tokenExpiresAt = 0;
+  }
+
+  async authenticate() {
+    if (!this.config.clientId || !this.config.clientSecret) return;
+    if (this.accessToken && Date.now() < this.tokenExpiresAt) return;
+
+    const response = await this.client.post('/auth_tokens/token/', new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_id: this.config.clientId,
+      client_secret: this.config.clientSecret
+    }).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+
+    this.accessToken = response.data.access_token;
+    // Renew a minute before the token runs out
+    this.tokenExpiresAt = Date.now() + (response.data.expires_in - 60) * 1000;
+    this.client.defaults.headers['Authorization'] = `Bearer ${this.accessToken}`;
+  }
+
+  async search(query, options = {}) {
+    const {
+      page = 1,
+      perPage = 20,
+      commercialOnly = true,
+      aspectRatio = '', // square, tall, wide
+      size = '' // small, medium, large
+    } = options;
+
+    try {
+      await this.authenticate();
+
+      const response = await this.retryRequest(async () => {
+        const params = {
+          q: query,
+          page,
+          // Anonymous requests are limited to 20 results a page
+          page_size: Math.min(perPage, this.accessToken ? 500 : 20),
+          mature: false
+        };
+
+        if (commercialOnly) params.license_type = 'commercial';
+        if (aspectRatio) params.aspect_ratio = aspectRatio;
+        if (size) params.size = size;
+
+        return await this.client.get('/images/', { params });
+      });
+
+      const images = response.data.results
+        .map(result => this.formatOpenverseImage(result, query))
+        .filter(Boolean);
+
+      return {
+        images,
+        total: response.data.result_count,
+        currentPage: response.data.page,
+        perPage: response.data.page_size,
+        hasMore: response.data.page < response.data.page_count
+      };
+    } catch (error) {
+      logger.error('Openverse search failed', {
+        query,
+        page,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  async downloadImage(imageData) {
+    try {
+      const imageResponse = await this.client({
+        method: 'GET',
+        url: imageData.url,
+        responseType: 'stream',
+        timeout: 60000,
+        headers: {
+          'Accept': 'image/*'
+        }
+      });
+
+      return {
+        stream: imageResponse.data,
+        headers: imageResponse.headers,
+        size: parseInt(imageResponse.headers['content-length']) || 0
+      };
+    } catch (error) {
+      logger.error('Openverse image download failed', {
+        imageId: imageData.id,
+        url: imageData.url,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  formatOpenverseImage(result, searchTerm) {
+    const license = creativeCommons(result.license, result.license_version);
+    if (!license) {
+      logger.debug(`Skipping Openverse image ${result.id}: unsupported license`, {
+        license: result.license
+      });
+      return null;
+    }
+
+    return {
+      id: result.id,
+      url: result.url,
+      urlLarge: result.url,
+      urlSmall: result.thumbnail,
+      width: result.width,
+      height: result.height,
+      description: result.title || searchTerm,
+      tags: (result.tags || []).map(tag => tag.name),
+      source: 'openverse',
+      sourceId: result.id,
+      license: {
+        ...license,
+        licenseUrl: result.license_url || license.licenseUrl,
+        author: result.creator || null,
+        authorUrl: result.creator_url || null,
+        attribution: result.attribution || `"${result.title}" by ${result.creator}, ${license.name}`,
+        url: result.foreign_landing_url
+      },
+      photographer: {
+        name: result.creator,
+        id: null,
+        profile: result.creator_url
+      },
+      stats: {
+        likes: null,
+        views: null,
+        downloads: null
+      },
+      // Collection the image was found in, e.g. flickr or wikimedia
+      provider: result.source || result.provider,
+      createdAt: null,
+      originalData: result
+    };
+  }
+
+  async enhancedSearch(itemName, category, options = {}) {
+    const searchStrategies = [
+      { query: itemName, options: {}, weight: 1.0 },
+      { query: `${itemName} ${category}`, options: {}, weight: 0.9 },
+      { query: itemName, options: { aspectRatio: 'square' }, weight: 0.7 }
+    ];
+
+    const allResults = [];
+
+    for (const strategy of searchStrategies) {
+      try {
+        const results = await this.search(strategy.query, {
+          ...options,
+          ...strategy.options,
+          perPage: Math.min(options.perPage || 15, 20)
+        });
+
+        allResults.push(...results.images.map(img => ({
+          ...img,
+          searchWeight: strategy.weight,
+          searchQuery: strategy.query,
+          searchOptions: strategy.options
+        })));
+      } catch (error) {
+        logger.warn(`Openverse strategy failed: ${strategy.query}`, error.message);
+      }
+    }
+
+    const seen = new Set();
+    const uniqueResults = allResults
+      .filter(img => !seen.has(img.id) && seen.add(img.id))
+      .sort((a, b) => b.searchWeight - a.searchWeight);
+
+    return {
+      images: uniqueResults.slice(0, options.maxResults || 20),
+      totalStrategies: searchStrategies.length,
+      totalResults: allResults.length,
+      uniqueResults: uniqueResults.length
+    };
+  }
+}
+
+module.exports = OpenverseClient;
@@ -0,0 +1,219 @@
+const BaseClient = require('./BaseClient');
+const { creativeCommons } = require('../../utils/licenses');
+const logger = require('../../utils/logger');
+
+// Formats sharp can process; SVG, GIF and TIFF files are skipped
+const SUPPORTED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+/**
+ * Wikimedia Commons
+ *
+ * Searches the File namespace through the MediaWiki API. Every file carries
+ * its own license and author in the extmetadata, which is kept on the image;
+ * files that are not under a Creative Commons license or in the public
+ * domain are left out. No API key is needed, but Wikimedia asks for a
+ * User-Agent that says who is calling.
+ */
+class WikimediaClient extends BaseClient {
+  constructor(config, rateLimiter) {
+    super(config, rateLimiter);
+
+    if (config.userAgent) {
+      this.client.defaults.headers['User-Agent'] = config.userAgent;
+    }
+  }
+
+  async search(query, options = {}) {
+    const {
+      page = 1,
+      perPage = 20,
+      thumbnailWidth = 1600,
+      commercialOnly = true
+    } = options;
+
+    const limit = Math.min(perPage, 50);
+
+    try {
+      const response = await this.retryRequest(async () => {
+        return await this.client.get('', {
+          params: {
+            action: 'query',
+            format: 'json',
+            formatversion: 2,
+            generator: 'search',
+            gsrsearch: `${query} filetype:bitmap`,
+            gsrnamespace: 6,
+            gsrlimit: limit,
+            gsroffset: (page - 1) * limit,
+            prop: 'imageinfo',
+            iiprop: 'url|size|mime|extmetadata',
+            iiurlwidth: thumbnailWidth
+          }
+        });
+      });
+
+      const pages = [...(response.data.query?.pages || [])].sort((a, b) => a.index - b.index);
+      const images = pages
+        .map(filePage => this.formatWikimediaImage(filePage, query))
+        .filter(image => image && (image.license.commercial || !commercialOnly));
+
+      return {
+        images,
+        total: images.length,
+        currentPage: page,
+        perPage: limit,
+        hasMore: Boolean(response.data.continue)
+      };
+    } catch (error) {
+      logger.error('Wikimedia search failed', {
+        query,
+        page,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  async downloadImage(imageData) {
+    try {
+      const imageResponse = await this.client({
+        method: 'GET',
+        url: imageData.url,
+        responseType: 'stream',
+        timeout: 60000,
+        headers: {
+          'Accept': 'image/*'
+        }
+      });
+
+      return {
+        stream: imageResponse.data,
+        headers: imageResponse.headers,
+        size: parseInt(imageResponse.headers['content-length']) || 0
+      };
+    } catch (error) {
+      logger.error('Wikimedia image download failed', {
+        imageId: imageData.id,
+        url: imageData.url,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  formatWikimediaImage(filePage, searchTerm) {
+    const info = filePage.imageinfo?.[0];
+    if (!info || !SUPPORTED_MIME_TYPES.includes(info.mime)) return null;
+
+    const meta = info.extmetadata || {};
+    const value = (key) => meta[key]?.value;
+
+    const license = creativeCommons(value('License') || value('LicenseShortName'));
+    if (!license) {
+      logger.debug(`Skipping ${filePage.title}: unsupported license`, {
+        license: value('LicenseShortName')
+      });
+      return null;
+    }
+
+    const title = filePage.title.replace(/^File:/, '').replace(/\.[a-z0-9]+$/i, '');
+    const author = stripHtml(value('Artist')) || null;
+    const authorUrl = linkFrom(value('Artist'));
+
+    return {
+      id: filePage.pageid.toString(),
+      url: info.thumburl || info.url,
+      urlLarge: info.url,
+      urlSmall: info.thumburl,
+      width: info.width,
+      height: info.height,
+      description: stripHtml(value('ImageDescription')) || title || searchTerm,
+      tags: (value('Categories') || '').split('|').filter(Boolean),
+      source: 'wikimedia',
+      sourceId: filePage.pageid.toString(),
+      license: {
+        ...license,
+        licenseUrl: value('LicenseUrl') || license.licenseUrl,
+        author,
+        authorUrl,
+        // The credit line Commons suggests for reusers
+        attribution: `${author || title}, ${license.name}, via Wikimedia Commons`,
+        url: info.descriptionurl
+      },
+      photographer: {
+        name: author,
+        id: null,
+        profile: authorUrl
+      },
+      stats: {
+        likes: null,
+        views: null,
+        downloads: null
+      },
+      createdAt: value('DateTimeOriginal') || null,
+      originalData: filePage
+    };
+  }
+
+  async enhancedSearch(itemName, category, options = {}) {
+    const searchStrategies = [
+      { query: itemName, weight: 1.0 },
+      { query: `${itemName} ${category}`, weight: 0.9 },
+      { query: `${itemName} isolated`, weight: 0.8 }
+    ];
+
+    const allResults = [];
+
+    for (const strategy of searchStrategies) {
+      try {
+        const results = await this.search(strategy.query, {
+          ...options,
+          perPage: Math.min(options.perPage || 15, 20)
+        });
+
+        allResults.push(...results.images.map(img => ({
+          ...img,
+          searchWeight: strategy.weight,
+          searchQuery: strategy.query
+        })));
+      } catch (error) {
+        logger.warn(`Wikimedia strategy failed: ${strategy.query}`, error.message);
+      }
+    }
+
+    const seen = new Set();
+    const uniqueResults = allResults
+      .filter(img => !seen.has(img.id) && seen.add(img.id))
+      .sort((a, b) => b.searchWeight - a.searchWeight);
+
+    return {
+      images: uniqueResults.slice(0, options.maxResults || 20),
+      totalStrategies: searchStrategies.length,
+      totalResults: allResults.length,
+      uniqueResults: uniqueResults.length
+    };
+  }
+}
+
+// Commons metadata is HTML; authors are usually a link to their user page
+function stripHtml(html) {
+  if (!html) return '';
+  return html
+    .replace(/<[^>]*>/g, '')
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'")
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function linkFrom(html) {
+  const href = (html || '').match(/href="([^"]+)"/)?.[1];
+  if (!href) return null;
+  if (href.startsWith('//')) return `https:${href}`;
+  if (href.startsWith('/')) return `https://commons.wikimedia.org${href}`;
+  return href;
+}
+
+module.exports = WikimediaClient;
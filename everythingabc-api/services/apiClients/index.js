@@ -4,6 +4,8 @@ const logger = require("../../utils/logger");
 const UnsplashClient = require("./UnsplashClient");
 const PixabayClient = require("./PixabayClient");
 const PexelsClient = require("./PexelsClient");
+const WikimediaClient = require("./WikimediaClient");
+const OpenverseClient = require("./OpenverseClient");
 
 class ApiClientManager {
   constructor() {
@@ -29,6 +31,20 @@ class ApiClientManager {
           baseUrl: 'https://api.pexels.com/v1',
           apiKey: process.env.PEXELS_API_KEY,
           rateLimit: 200
+        },
+        // Openly licensed sources work without a key
+        wikimedia: {
+          baseUrl: 'https://commons.wikimedia.org/w/api.php',
+          enabled: process.env.WIKIMEDIA_ENABLED !== 'false',
+          userAgent: process.env.WIKIMEDIA_USER_AGENT || 'EverythingABC-Platform/1.0 (https://everythingabc.com)',
+          rateLimit: 200
+        },
+        openverse: {
+          baseUrl: 'https://api.openverse.org/v1',
+          enabled: process.env.OPENVERSE_ENABLED !== 'false',
+          clientId: process.env.OPENVERSE_CLIENT_ID,
+          clientSecret: process.env.OPENVERSE_CLIENT_SECRET,
+          rateLimit: 100
         }
       }
     };
@@ -97,6 +113,16 @@ class ApiClientManager {
         duration: 3600,
         blockDuration: 60,
       },
+      wikimedia: {
+        points: this.config.apis.wikimedia.rateLimit,
+        duration: 3600,
+        blockDuration: 60,
+      },
+      openverse: {
+        points: this.config.apis.openverse.rateLimit,
+        duration: 3600,
+        blockDuration: 60,
+      },
     };
 
     Object.entries(rateLimiterConfigs).forEach(([name, rateLimitConfig]) => {
@@ -135,11 +161,30 @@ class ApiClientManager {
         config: this.config.apis.pexels,
         required: false,
       },
+      {
+        name: "wikimedia",
+        ClientClass: WikimediaClient,
+        config: this.config.apis.wikimedia,
+        required: false,
+        keyless: true,
+      },
+      {
+        name: "openverse",
+        ClientClass: OpenverseClient,
+        config: this.config.apis.openverse,
+        required: false,
+        keyless: true,
+      },
     ];
 
     for (const clientConfig of clientConfigs) {
       try {
-        if (!clientConfig.config.apiKey && !clientConfig.config.accessKey) {
+        if (clientConfig.config.enabled === false) {
+          logger.info(`Skipping ${clientConfig.name} client - disabled`);
+          continue;
+        }
+
+        if (!clientConfig.keyless && !clientConfig.config.apiKey && !clientConfig.config.accessKey) {
           if (clientConfig.required) {
             throw new Error(`Missing API key for ${clientConfig.name}`);
           }
@@ -573,4 +618,6 @@ module.exports = {
   UnsplashClient,
   PixabayClient,
   PexelsClient,
+  WikimediaClient,
+  OpenverseClient,
 };
\ No newline at end of file
@@ -0,0 +1,91 @@
+const ApiKey = require('../../models/ApiKey');
+const ApiKeyUsage = require('../../models/ApiKeyUsage');
+const { setHeaders } = require('../rateLimit/RateLimitManager');
+const logger = require('../../utils/logger');
+
+const API_KEY_HEADER = 'X-API-Key';
+const READ_METHODS = ['GET', 'HEAD'];
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Express middleware for requests made with an API key. Without the
+ * X-API-Key header the request carries on anonymously, under the per-IP rate
+ * limits. With it, the key must be valid, hold `scope` and be under its daily
+ * quota; the request is then counted against the key instead of the IP.
+ *
+ * @param {string} scope - Scope the routes need, e.g. 'search.read'
+ * @returns {Function} Middleware
+ */
+const apiKeyAuth = (scope) => {
+  if (!ApiKey.SCOPES.includes(scope)) {
+    throw new Error(`Unknown API key scope: ${scope}`);
+  }
+
+  return async (req, res, next) => {
+    const key = req.get(API_KEY_HEADER);
+    if (!key || req.apiKey) return next();
+
+    let apiKey;
+    let usage;
+    try {
+      apiKey = await ApiKey.findByKey(key.trim());
+      if (!apiKey || apiKey.inactiveReason()) {
+        return res.status(401).json({
+          success: false,
+          error: apiKey ? `API key ${apiKey.inactiveReason()}` : 'Invalid API key',
+          code: 'INVALID_API_KEY'
+        });
+      }
+
+      if (!READ_METHODS.includes(req.method)) {
+        return res.status(403).json({
+          success: false,
+          error: 'API keys only grant read access',
+          code: 'API_KEY_READ_ONLY'
+        });
+      }
+
+      if (!apiKey.hasScope(scope)) {
+        return res.status(403).json({
+          success: false,
+          error: `API key lacks the '${scope}' scope`,
+          code: 'API_KEY_SCOPE_MISSING'
+        });
+      }
+
+      usage = await ApiKeyUsage.consume(apiKey.id, scope, apiKey.dailyQuota);
+    } catch (error) {
+      logger.error(`API key check failed: ${error.message}`);
+      return res.status(503).json({
+        success: false,
+        error: 'API key could not be checked, please retry',
+        code: 'API_KEY_UNAVAILABLE'
+      });
+    }
+
+    const msBeforeNext = ApiKeyUsage.resetAt().getTime() - Date.now();
+    setHeaders(res,
+      { points: apiKey.dailyQuota, duration: DAY_SECONDS },
+      { consumedPoints: usage.used, msBeforeNext });
+
+    if (!usage.allowed) {
+      const retryAfter = Math.ceil(msBeforeNext / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: `Daily quota of ${apiKey.dailyQuota} requests exceeded`,
+        code: 'QUOTA_EXCEEDED',
+        retryAfter
+      });
+    }
+
+    req.apiKey = apiKey;
+    apiKey.touch().catch(error => logger.warn(`Failed to record API key use: ${error.message}`));
+    next();
+  };
+};
+
+module.exports = {
+  API_KEY_HEADER,
+  apiKeyAuth
+};
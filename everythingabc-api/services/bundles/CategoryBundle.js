@@ -0,0 +1,604 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const fs = require('fs-extra');
+const JSZip = require('jszip');
+const Category = require('../../models/Category');
+const Item = require('../../models/Item');
+const FileOrganizer = require('../storage/FileOrganizer');
+const S3ImageUploadService = require('../cloud/S3ImageUploadService');
+const { pronunciationAudio } = require('../speech/PronunciationAudio');
+const logger = require('../../utils/logger');
+
+const BUNDLE_FORMAT = 'everythingabc-category-bundle';
+const BUNDLE_VERSION = 1;
+const MANIFEST_FILE = 'manifest.json';
+
+const CONFLICT_STRATEGIES = ['skip', 'overwrite', 'merge'];
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-_]*$/;
+const LETTER_PATTERN = /^[A-Z]$/;
+
+// Category fields that travel with a bundle; stats are recomputed on import
+const CATEGORY_FIELDS = [
+  'id', 'name', 'icon', 'color', 'difficulty', 'description', 'status', 'priority', 'group',
+  'tags', 'ageRange', 'learningObjectives', 'translations', 'imageCollection'
+];
+
+// Item fields that are specific to one environment and never exported
+const ITEM_EXCLUDED_FIELDS = ['_id', '__v', 'categoryId', 'images', 'audio', 'review', 'collectionProgress'];
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav'
+};
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const extensionOf = (location, fallback = 'bin') => {
+  const ext = path.extname(String(location).split('?')[0]).slice(1).toLowerCase();
+  return /^[a-z0-9]{2,5}$/.test(ext) ? ext : fallback;
+};
+
+// Maps come back from lean() as plain objects already, but not from documents
+const plain = (value) => JSON.parse(JSON.stringify(value, (key, v) => (v instanceof Map ? Object.fromEntries(v) : v)));
+
+const imageKey = (image) => `${image.sourceProvider}:${image.sourceId}`;
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && Object.keys(value).length === 0);
+
+/**
+ * Check a bundle manifest against the files in the archive.
+ *
+ * @param {object} manifest - Parsed manifest.json
+ * @param {Set<string>|string[]} fileNames - Paths present in the archive
+ * @returns {{errors: string[], warnings: string[]}}
+ */
+const validateManifest = (manifest, fileNames) => {
+  const errors = [];
+  const warnings = [];
+  const files = new Set(fileNames);
+
+  if (!manifest || typeof manifest !== 'object') {
+    return { errors: ['manifest.json is missing or not valid JSON'], warnings };
+  }
+  if (manifest.format !== BUNDLE_FORMAT) {
+    errors.push(`Not a category bundle (format '${manifest.format}')`);
+    return { errors, warnings };
+  }
+  if (manifest.version > BUNDLE_VERSION) {
+    errors.push(`Bundle version ${manifest.version} is newer than this server supports (${BUNDLE_VERSION})`);
+  }
+
+  const category = manifest.category || {};
+  if (!category.id || !ID_PATTERN.test(category.id)) {
+    errors.push('category.id is missing or invalid');
+  }
+  for (const field of ['name', 'icon', 'color', 'description']) {
+    if (!category[field]) errors.push(`category.${field} is required`);
+  }
+
+  if (!Array.isArray(manifest.items)) {
+    errors.push('items must be an array');
+    return { errors, warnings };
+  }
+
+  const seenIds = new Set();
+  manifest.items.forEach((item, index) => {
+    const label = `items[${index}]${item && item.id ? ` (${item.id})` : ''}`;
+
+    if (!item || !item.id || !ID_PATTERN.test(item.id)) {
+      errors.push(`${label}: id is missing or invalid`);
+      return;
+    }
+    if (seenIds.has(item.id)) {
+      errors.push(`${label}: duplicate item id`);
+    }
+    seenIds.add(item.id);
+
+    if (!item.name) errors.push(`${label}: name is required`);
+    if (!item.description) errors.push(`${label}: description is required`);
+    if (!LETTER_PATTERN.test(item.letter || '')) errors.push(`${label}: letter must be A-Z`);
+
+    for (const [imageIndex, image] of (item.images || []).entries()) {
+      if (!image.sourceProvider || !image.sourceId) {
+        errors.push(`${label}: images[${imageIndex}] needs sourceProvider and sourceId`);
+      }
+      if (!image.license || !image.license.type) {
+        warnings.push(`${label}: images[${imageIndex}] has no license information`);
+      }
+      const referenced = [image.files?.primary, ...Object.values(image.files?.sizes || {})].filter(Boolean);
+      if (referenced.length === 0) {
+        warnings.push(`${label}: images[${imageIndex}] has no files and will be skipped`);
+      }
+      for (const file of referenced) {
+        if (!files.has(file)) errors.push(`${label}: missing file ${file}`);
+      }
+    }
+
+    for (const clip of item.audio || []) {
+      if (clip.file && !files.has(clip.file)) {
+        errors.push(`${label}: missing file ${clip.file}`);
+      }
+    }
+  });
+
+  return { errors, warnings };
+};
+
+/**
+ * Decide what happens to each bundled item.
+ *
+ * @param {Array} items - Manifest items
+ * @param {Set<string>} existingIds - Item ids already in the target category
+ * @param {object} options
+ * @param {string} [options.conflict='skip'] - Default for items that already exist
+ * @param {object} [options.resolutions] - Per-item overrides, { itemId: strategy }
+ * @returns {Array<{itemId: string, action: 'create'|'skip'|'overwrite'|'merge'}>}
+ */
+const planImport = (items, existingIds, { conflict = 'skip', resolutions = {} } = {}) =>
+  items.map(item => ({
+    itemId: item.id,
+    action: existingIds.has(item.id) ? (resolutions[item.id] || conflict) : 'create'
+  }));
+
+/**
+ * Merge a bundled item into an existing one. Fields the existing item already
+ * has win; empty ones are filled in, translations are added per locale, and
+ * images are added unless the same source image is already there.
+ *
+ * @returns {{fields: object, images: Array, audio: Array}} What to apply and store
+ */
+const mergeItem = (existing, incoming) => {
+  const fields = {};
+  for (const [key, value] of Object.entries(incoming.fields)) {
+    if (isEmpty(existing[key]) && !isEmpty(value)) {
+      fields[key] = value;
+    }
+  }
+
+  const existingTranslations = existing.translations instanceof Map
+    ? Object.fromEntries(existing.translations)
+    : existing.translations || {};
+  const newLocales = Object.entries(incoming.fields.translations || {})
+    .filter(([locale]) => !existingTranslations[locale]);
+  if (newLocales.length > 0) {
+    fields.translations = { ...plain(existingTranslations), ...Object.fromEntries(newLocales) };
+  }
+
+  const knownImages = new Set((existing.images || []).map(imageKey));
+  const knownLocales = new Set((existing.audio || []).map(clip => clip.locale));
+
+  return {
+    fields,
+    images: incoming.images.filter(image => !knownImages.has(imageKey(image))),
+    audio: incoming.audio.filter(clip => !knownLocales.has(clip.locale))
+  };
+};
+
+/**
+ * Self-contained category bundles
+ *
+ * A bundle is a ZIP with manifest.json (category, items, image records with
+ * license and attribution, audio) plus every image size variant and audio
+ * clip the environment could read. Bundles move content between
+ * environments: ids of the source database are dropped, files are stored
+ * afresh (S3 or local disk) and the category can be imported under a new id.
+ */
+class CategoryBundle {
+  constructor(config = {}) {
+    this.config = {
+      fileTimeout: 30000,
+      ...config
+    };
+    this.fileOrganizer = new FileOrganizer();
+    this.s3Service = new S3ImageUploadService();
+  }
+
+  /**
+   * Build a bundle for a category.
+   *
+   * @returns {Promise<{buffer: Buffer, manifest: object}>}
+   */
+  async exportCategory(categoryId, { exportedBy } = {}) {
+    const category = await Category.findOne({ id: categoryId }).lean();
+    if (!category) return null;
+
+    const items = await Item.findByCategory(categoryId).lean();
+    const zip = new JSZip();
+    const checksums = {};
+    const missingFiles = [];
+
+    const addFile = (name, buffer) => {
+      zip.file(name, buffer);
+      checksums[name] = sha256(buffer);
+    };
+
+    const manifestItems = [];
+    for (const item of items) {
+      const images = [];
+      for (const [index, image] of (item.images || []).entries()) {
+        images.push(await this.exportImage(item, image, index, addFile, missingFiles));
+      }
+
+      const audio = [];
+      for (const clip of item.audio || []) {
+        const buffer = await this.readLocation(clip.filePath);
+        const file = buffer ? `audio/${item.id}/${clip.locale}.${extensionOf(clip.filePath, EXTENSIONS[clip.mimeType])}` : null;
+        if (buffer) addFile(file, buffer);
+        else missingFiles.push(clip.filePath);
+
+        const { filePath, url, ...record } = clip;
+        audio.push({ ...record, file });
+      }
+
+      const fields = Object.fromEntries(
+        Object.entries(item).filter(([key]) => !ITEM_EXCLUDED_FIELDS.includes(key))
+      );
+      manifestItems.push({ ...fields, images, audio });
+    }
+
+    const manifest = {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      exportedBy: exportedBy || null,
+      category: Object.fromEntries(CATEGORY_FIELDS.filter(field => category[field] !== undefined)
+        .map(field => [field, category[field]])),
+      items: manifestItems,
+      stats: {
+        items: manifestItems.length,
+        images: manifestItems.reduce((total, item) => total + item.images.length, 0),
+        files: Object.keys(checksums).length
+      },
+      missingFiles,
+      checksums
+    };
+
+    zip.file(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+    zip.file('ATTRIBUTION.txt', this.buildAttribution(manifest));
+
+    const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', compressionOptions: { level: 6 } });
+    return { buffer, manifest };
+  }
+
+  async exportImage(item, image, index, addFile, missingFiles) {
+    const { filePath, processedSizes, ...record } = image;
+    const base = `images/${item.id}/${index}`;
+    const files = { primary: null, sizes: {} };
+
+    // Sizes stored on local disk (images saved without S3)
+    for (const size of processedSizes || []) {
+      const buffer = await this.readLocation(size.path);
+      if (!buffer) {
+        missingFiles.push(size.path);
+        continue;
+      }
+      const name = `${base}/${size.size}.${extensionOf(size.path, 'webp')}`;
+      addFile(name, buffer);
+      files.sizes[size.size] = name;
+      if (size.path === filePath) files.primary = name;
+    }
+
+    if (!files.primary && filePath) {
+      const buffer = await this.readLocation(filePath);
+      if (buffer) {
+        files.primary = `${base}/primary.${extensionOf(filePath, 'jpg')}`;
+        addFile(files.primary, buffer);
+      } else {
+        missingFiles.push(filePath);
+      }
+    }
+
+    return {
+      ...record,
+      processedSizes: (processedSizes || []).map(({ path: sizePath, ...size }) => size),
+      files
+    };
+  }
+
+  // Human-readable credits for everything in the bundle
+  buildAttribution(manifest) {
+    const lines = [`${manifest.category.name} — image credits`, ''];
+    for (const item of manifest.items) {
+      for (const image of item.images) {
+        const license = image.license || {};
+        lines.push([
+          `${item.name}: ${image.sourceProvider} ${image.sourceId}`,
+          `license ${license.type || 'unknown'}${license.commercial === false ? ' (non-commercial)' : ''}`,
+          license.attribution,
+          license.url || image.sourceUrl
+        ].filter(Boolean).join(' — '));
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  async readLocation(location) {
+    if (!location) return null;
+    try {
+      if (/^https?:\/\//.test(location)) {
+        const response = await axios.get(location, { responseType: 'arraybuffer', timeout: this.config.fileTimeout });
+        return Buffer.from(response.data);
+      }
+      if (await fs.pathExists(location)) {
+        return fs.readFile(location);
+      }
+    } catch (error) {
+      logger.debug('Could not read bundle file', { location, error: error.message });
+    }
+    return null;
+  }
+
+  /**
+   * Open and validate a bundle.
+   *
+   * @returns {Promise<{zip: JSZip|null, manifest: object|null, errors: string[], warnings: string[]}>}
+   */
+  async readBundle(buffer) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+      return { zip: null, manifest: null, errors: ['File is not a valid ZIP archive'], warnings: [] };
+    }
+
+    const manifestFile = zip.file(MANIFEST_FILE);
+    let manifest = null;
+    if (manifestFile) {
+      try {
+        manifest = JSON.parse(await manifestFile.async('string'));
+      } catch (error) {
+        manifest = null;
+      }
+    }
+
+    const fileNames = Object.keys(zip.files).filter(name => !zip.files[name].dir);
+    const { errors, warnings } = validateManifest(manifest, fileNames);
+
+    // Checksums catch truncated or hand-edited archives
+    if (errors.length === 0) {
+      for (const [name, checksum] of Object.entries(manifest.checksums || {})) {
+        const file = zip.file(name);
+        if (file && sha256(await file.async('nodebuffer')) !== checksum) {
+          errors.push(`Checksum mismatch for ${name}`);
+        }
+      }
+    }
+
+    return { zip, manifest, errors, warnings };
+  }
+
+  /**
+   * Summarize what an import would do, without writing anything.
+   */
+  async previewImport(manifest, options = {}) {
+    const targetCategoryId = options.targetCategoryId || manifest.category.id;
+    const category = await Category.findOne({ id: targetCategoryId }, 'id name').lean();
+    const existingIds = new Set(
+      category ? (await Item.find({ categoryId: targetCategoryId }, 'id').lean()).map(item => item.id) : []
+    );
+
+    const plan = planImport(manifest.items, existingIds, options);
+    return {
+      sourceCategoryId: manifest.category.id,
+      targetCategoryId,
+      categoryExists: Boolean(category),
+      plan,
+      counts: plan.reduce((counts, { action }) => ({ ...counts, [action]: (counts[action] || 0) + 1 }), {}),
+      conflicts: plan.filter(({ action }) => action !== 'create').map(({ itemId }) => itemId)
+    };
+  }
+
+  /**
+   * Import a validated bundle.
+   *
+   * @param {{zip: JSZip, manifest: object}} bundle - As from readBundle
+   * @param {object} options
+   * @param {string} [options.targetCategoryId] - Import under another category id
+   * @param {string} [options.conflict='skip'] - skip, overwrite or merge existing items
+   * @param {object} [options.resolutions] - Per-item strategy overrides
+   * @param {object} [options.preview] - A plan from previewImport to carry
+   *   out, e.g. one whose permissions were already checked
+   * @param {string} [options.importedBy]
+   */
+  async importBundle({ zip, manifest }, options = {}) {
+    const { importedBy = 'bundle-import' } = options;
+    const preview = options.preview || await this.previewImport(manifest, options);
+    const { targetCategoryId } = preview;
+
+    let category = await Category.findOne({ id: targetCategoryId });
+    if (!category) {
+      category = new Category({
+        ...plain(manifest.category),
+        id: targetCategoryId,
+        createdBy: importedBy
+      });
+      await category.save();
+    }
+
+    const bundledItems = new Map(manifest.items.map(item => [item.id, item]));
+    const results = [];
+
+    for (const { itemId, action } of preview.plan) {
+      const bundled = bundledItems.get(itemId);
+      try {
+        if (action === 'skip') {
+          results.push({ itemId, status: 'skipped' });
+          continue;
+        }
+
+        const incoming = this.toIncomingItem(bundled);
+        let item;
+        let images = incoming.images;
+        let audio = incoming.audio;
+
+        if (action === 'create' || action === 'overwrite') {
+          item = Item.buildForCategory(category, bundled.letter, {
+            ...incoming.fields,
+            images: [],
+            createdBy: incoming.fields.createdBy || importedBy,
+            lastModifiedBy: importedBy
+          });
+        } else {
+          item = await Item.findByItemId(itemId, targetCategoryId);
+          const merged = mergeItem(item, incoming);
+          item.set(merged.fields);
+          item.lastModifiedBy = importedBy;
+          images = merged.images;
+          audio = merged.audio;
+        }
+
+        let skippedFiles = 0;
+        for (const image of images) {
+          const record = await this.importImage(zip, item, image);
+          if (record) item.images.push(record);
+          else skippedFiles++;
+        }
+
+        if (action === 'overwrite') {
+          // The existing item is only removed once its replacement is valid
+          await item.validate();
+          await this.replaceItem(targetCategoryId, itemId, item);
+        } else {
+          await item.save();
+        }
+
+        for (const clip of audio) {
+          if (!clip.file) continue;
+          const buffer = await zip.file(clip.file).async('nodebuffer');
+          await pronunciationAudio.attach(item, {
+            ...clip,
+            buffer,
+            extension: extensionOf(clip.file, 'mp3'),
+            createdBy: clip.createdBy || importedBy
+          });
+        }
+
+        results.push({
+          itemId,
+          status: action === 'create' ? 'created' : action === 'overwrite' ? 'overwritten' : 'merged',
+          images: images.length - skippedFiles,
+          ...(skippedFiles > 0 && { skippedImages: skippedFiles })
+        });
+      } catch (error) {
+        logger.warn(`Bundle import failed for item ${itemId}`, { error: error.message });
+        results.push({ itemId, status: 'failed', reason: error.message });
+      }
+    }
+
+    await category.refreshItemStats();
+
+    return {
+      sourceCategoryId: preview.sourceCategoryId,
+      targetCategoryId,
+      categoryCreated: !preview.categoryExists,
+      results,
+      counts: results.reduce((counts, { status }) => ({ ...counts, [status]: (counts[status] || 0) + 1 }), {})
+    };
+  }
+
+  // Swap an existing item for a validated replacement. The unique
+  // categoryId/id index means the old document has to go first, so it is put
+  // back if the replacement still fails to save.
+  async replaceItem(categoryId, itemId, item) {
+    const filter = { categoryId, id: itemId };
+    const previous = await Item.findOne(filter).lean();
+    await Item.deleteOne(filter);
+    try {
+      await item.save();
+    } catch (error) {
+      if (previous) await Item.collection.insertOne(previous);
+      throw error;
+    }
+  }
+
+  // Split a manifest item into document fields and the media to store
+  toIncomingItem(bundled) {
+    const { images = [], audio = [], letter, ...fields } = bundled;
+    return { fields: { ...fields, letter }, images, audio };
+  }
+
+  // Store one bundled image the way collected images are stored: S3 when
+  // available, otherwise organized on local disk
+  async importImage(zip, item, image) {
+    const { files = {}, processedSizes = [], ...record } = image;
+    const sizeBuffers = {};
+    for (const [size, name] of Object.entries(files.sizes || {})) {
+      sizeBuffers[size] = await zip.file(name).async('nodebuffer');
+    }
+    const primary = files.primary ? await zip.file(files.primary).async('nodebuffer') : null;
+    const source = sizeBuffers.original || sizeBuffers.large || primary || Object.values(sizeBuffers)[0];
+    if (!source) return null;
+
+    const fileName = `${item.name}_${record.sourceProvider}_${record.sourceId}`;
+
+    try {
+      const uploaded = await this.s3Service.uploadImageWithMultipleSizes(source, {
+        category: item.categoryId,
+        letter: item.letter,
+        itemName: item.name,
+        sourceProvider: record.sourceProvider,
+        sourceId: record.sourceId
+      });
+      return {
+        ...record,
+        fileName,
+        filePath: uploaded.medium?.cdnUrl || uploaded.large?.cdnUrl || uploaded.original?.cdnUrl
+      };
+    } catch (error) {
+      logger.debug(`Cloud upload unavailable for bundled image ${record.sourceId}, storing locally`, { error: error.message });
+    }
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bundle-import-'));
+    try {
+      const primaryPath = path.join(tempDir, `primary.${extensionOf(files.primary || 'x.jpg', 'jpg')}`);
+      await fs.writeFile(primaryPath, primary || source);
+
+      const savedSizes = [];
+      for (const [size, buffer] of Object.entries(sizeBuffers)) {
+        const format = extensionOf(files.sizes[size], 'webp');
+        const sizePath = path.join(tempDir, `${size}.${format}`);
+        await fs.writeFile(sizePath, buffer);
+        const meta = processedSizes.find(processed => processed.size === size) || {};
+        savedSizes.push({ name: size, path: sizePath, width: meta.width, height: meta.height, fileSize: buffer.length, format });
+      }
+
+      const organized = await this.fileOrganizer.organizeImage(
+        primaryPath, savedSizes, item.categoryId, item.letter, item.name, record.sourceProvider, record.sourceId
+      );
+
+      return {
+        ...record,
+        fileName,
+        filePath: organized.primaryPath,
+        processedSizes: organized.sizes.map(size => ({
+          size: size.name,
+          path: size.path,
+          width: size.width,
+          height: size.height,
+          fileSize: size.fileSize
+        }))
+      };
+    } finally {
+      await fs.remove(tempDir);
+    }
+  }
+}
+
+module.exports = {
+  CategoryBundle,
+  validateManifest,
+  planImport,
+  mergeItem,
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  CONFLICT_STRATEGIES
+};
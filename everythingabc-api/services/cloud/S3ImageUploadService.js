@@ -1,5 +1,6 @@
 const AWS = require('aws-sdk');
 const sharp = require('sharp');
+const ImageProcessor = require('../processing/ImageProcessor');
 const logger = require('../../utils/logger');
 
 class S3ImageUploadService {
@@ -82,7 +83,7 @@ class S3ImageUploadService {
     }
   }
 
-  async uploadImageWithMultipleSizes(imageBuffer, metadata) {
+  async uploadImageWithMultipleSizes(imageBuffer, metadata, { framing = null } = {}) {
     if (!this.initialized) {
       await this.initialize();
     }
@@ -95,7 +96,7 @@ class S3ImageUploadService {
       console.log(`🔄 Processing image for ${metadata.category}/${metadata.letter}/${metadata.itemName}`);
 
       // Generate multiple sizes
-      const sizes = await this.generateMultipleSizes(imageBuffer);
+      const sizes = await this.generateMultipleSizes(imageBuffer, framing);
 
       // Upload all sizes to S3
       const uploadResults = {};
@@ -153,16 +154,69 @@ class S3ImageUploadService {
     }
   }
 
-  async generateMultipleSizes(inputBuffer) {
+  // Pronunciation audio is stored once, under the item's audio/ prefix
+  async uploadAudio(audioBuffer, metadata) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    if (!this.s3) {
+      throw new Error('S3 service not initialized - check AWS credentials');
+    }
+
+    const { category, letter, itemName, sourceProvider = 'unknown', locale = 'en', extension, contentType } = metadata;
+    const cleanItemName = itemName.toLowerCase().replace(/[^a-z0-9]/g, '_');
+    const filename = `${cleanItemName}_${sourceProvider}_${locale}_${Date.now()}.${extension}`;
+    const s3Key = `categories/${category.toLowerCase()}/${letter.toUpperCase()}/${cleanItemName}/audio/${filename}`;
+
+    try {
+      const uploadResult = await this.s3.upload({
+        Bucket: this.config.bucket,
+        Key: s3Key,
+        Body: audioBuffer,
+        ContentType: contentType,
+        CacheControl: 'max-age=31536000', // 1 year cache
+        Metadata: {
+          category,
+          letter,
+          itemName,
+          locale,
+          uploadedBy: 'everythingabc-api',
+          timestamp: new Date().toISOString(),
+          sourceProvider
+        }
+      }).promise();
+
+      logger.info(`Uploaded audio to S3: ${s3Key}`);
+
+      return {
+        s3Key,
+        s3Url: uploadResult.Location,
+        cdnUrl: this.getCDNUrl(s3Key),
+        fileSize: audioBuffer.length,
+        eTag: uploadResult.ETag
+      };
+    } catch (error) {
+      logger.error(`Audio upload failed for ${itemName}`, error);
+      throw error;
+    }
+  }
+
+  async generateMultipleSizes(inputBuffer, framing = null) {
     const results = {};
+    const { width, height } = framing ? await sharp(inputBuffer).metadata() : {};
 
     for (const [sizeName, config] of Object.entries(this.imageSizes)) {
       if (config === null) {
         // Keep original
         results[sizeName] = inputBuffer;
       } else {
-        // Generate specific size
-        const processed = await sharp(inputBuffer)
+        // Generate specific size, cut to the image's crop or focal point
+        const region = ImageProcessor.framingRegion(width, height, config, framing);
+        let pipeline = sharp(inputBuffer);
+        if (region) pipeline = pipeline.extract(region);
+
+        const processed = await pipeline
           .resize(config.width, config.height, {
             fit: config.fit,
             withoutEnlargement: true
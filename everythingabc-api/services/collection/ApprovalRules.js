@@ -0,0 +1,257 @@
+/**
+ * Auto-approval rules
+ *
+ * Each category's ImageCollectionStrategy can hold an ordered list of
+ * approvalRules. A rule is a set of conditions that must all hold, and an
+ * action (auto_approve, auto_reject or manual_review). The first enabled rule
+ * that matches decides; when none does, the strategy's autoApprovalThreshold
+ * and the default reject threshold decide on overall quality as before.
+ *
+ * The decision, with the conditions that matched and the actual values, is
+ * stored on the image as approvalDecision so reviewers can see why.
+ */
+
+const { licenseCompliance } = require('../compliance/LicenseCompliance');
+
+// Quality below this is rejected when no rule decides, matching the
+// thresholds collection has always used
+const DEFAULT_REJECT_BELOW = 5.0;
+const DEFAULT_AUTO_APPROVE_AT = 8.5;
+
+const ACTIONS = {
+  auto_approve: 'approved',
+  auto_reject: 'rejected',
+  manual_review: 'manual_review'
+};
+
+// What a condition can look at, read from the facts built for an image
+const FIELDS = {
+  'quality.overall': 'number',
+  'quality.technical': 'number',
+  'quality.relevance': 'number',
+  'quality.aesthetic': 'number',
+  'quality.usability': 'number',
+  source: 'string',
+  'license.type': 'string',
+  'license.commercial': 'boolean',
+  width: 'number',
+  height: 'number',
+  minDimension: 'number',
+  aspectRatio: 'number',
+  duplicate: 'boolean',
+  duplicateDistance: 'number'
+};
+
+const OPERATORS = {
+  eq: (actual, value) => actual === value,
+  ne: (actual, value) => actual !== value,
+  gt: (actual, value) => actual > value,
+  gte: (actual, value) => actual >= value,
+  lt: (actual, value) => actual < value,
+  lte: (actual, value) => actual <= value,
+  in: (actual, value) => value.includes(actual),
+  nin: (actual, value) => !value.includes(actual)
+};
+
+const ORDERING_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+const LIST_OPERATORS = ['in', 'nin'];
+
+/**
+ * Flatten an image record into the values rules can test.
+ *
+ * @param {object} image - Image record (qualityScore, metadata, license, sourceProvider)
+ * @param {object} [options]
+ * @param {object|null} [options.duplicate] - Closest perceptual-hash match, if any
+ */
+function buildFacts(image, { duplicate = null } = {}) {
+  const width = image.metadata?.width;
+  const height = image.metadata?.height;
+  const breakdown = image.qualityScore?.breakdown || {};
+
+  return {
+    'quality.overall': image.qualityScore?.overall,
+    'quality.technical': breakdown.technical,
+    'quality.relevance': breakdown.relevance,
+    'quality.aesthetic': breakdown.aesthetic,
+    'quality.usability': breakdown.usability,
+    source: image.sourceProvider,
+    'license.type': image.license?.type,
+    'license.commercial': image.license?.commercial !== false,
+    width,
+    height,
+    minDimension: width && height ? Math.min(width, height) : undefined,
+    aspectRatio: width && height ? Math.round((width / height) * 100) / 100 : undefined,
+    duplicate: Boolean(duplicate),
+    duplicateDistance: duplicate ? duplicate.distance : undefined
+  };
+}
+
+/**
+ * Check rules before they are saved on a category.
+ *
+ * @returns {string[]} Problems found, empty when the rules are valid
+ */
+function validateRules(rules) {
+  if (!Array.isArray(rules)) {
+    return ['approvalRules must be an array'];
+  }
+
+  const errors = [];
+  rules.forEach((rule, index) => {
+    const label = `approvalRules[${index}]${rule?.name ? ` (${rule.name})` : ''}`;
+
+    if (!rule || !rule.name) {
+      errors.push(`${label}: name is required`);
+    }
+    if (!ACTIONS[rule?.action]) {
+      errors.push(`${label}: action must be one of ${Object.keys(ACTIONS).join(', ')}`);
+    }
+    if (!Array.isArray(rule?.conditions) || rule.conditions.length === 0) {
+      errors.push(`${label}: at least one condition is required`);
+      return;
+    }
+
+    rule.conditions.forEach((condition, conditionIndex) => {
+      const where = `${label}.conditions[${conditionIndex}]`;
+      const type = FIELDS[condition.field];
+
+      if (!type) {
+        errors.push(`${where}: unknown field '${condition.field}'`);
+        return;
+      }
+      if (!OPERATORS[condition.operator]) {
+        errors.push(`${where}: unknown operator '${condition.operator}'`);
+        return;
+      }
+      if (ORDERING_OPERATORS.includes(condition.operator) && type !== 'number') {
+        errors.push(`${where}: '${condition.operator}' only applies to numeric fields`);
+        return;
+      }
+
+      const values = LIST_OPERATORS.includes(condition.operator) ? condition.value : [condition.value];
+      if (!Array.isArray(values) || values.length === 0) {
+        errors.push(`${where}: '${condition.operator}' needs a non-empty list`);
+      } else if (values.some(value => typeof value !== type)) {
+        errors.push(`${where}: value must be ${LIST_OPERATORS.includes(condition.operator) ? `a list of ${type}s` : `a ${type}`}`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Decide what happens to an image.
+ *
+ * @param {object} facts - From buildFacts
+ * @param {object} [strategy] - The category's ImageCollectionStrategy
+ * @param {object} [options]
+ * @param {number} [options.rejectBelow] - Overall quality rejected when no rule matches
+ * @returns {{action: string, status: string, rule: string|null, reason: string,
+ *   conditions: Array, evaluatedAt: Date}}
+ */
+function evaluateRules(facts, strategy = {}, { rejectBelow = DEFAULT_REJECT_BELOW } = {}) {
+  for (const rule of strategy?.approvalRules || []) {
+    if (rule.enabled === false) continue;
+
+    const conditions = rule.conditions.map(({ field, operator, value }) => ({
+      field,
+      operator,
+      value,
+      actual: facts[field]
+    }));
+    const matches = conditions.every(({ operator, value, actual }) =>
+      actual !== undefined && actual !== null && OPERATORS[operator](actual, value)
+    );
+
+    if (matches) {
+      return decision(rule.action, {
+        rule: rule.name,
+        reason: rule.reason || `Matched rule '${rule.name}'`,
+        conditions
+      });
+    }
+  }
+
+  return thresholdDecision(facts, strategy, rejectBelow);
+}
+
+function thresholdDecision(facts, strategy, rejectBelow) {
+  const overall = facts['quality.overall'];
+  const approveAt = strategy?.autoApprovalThreshold ?? DEFAULT_AUTO_APPROVE_AT;
+
+  if (overall >= approveAt) {
+    return decision('auto_approve', {
+      reason: `Quality ${overall} is at or above the auto-approval threshold ${approveAt}`,
+      conditions: [{ field: 'quality.overall', operator: 'gte', value: approveAt, actual: overall }]
+    });
+  }
+  if (overall < rejectBelow) {
+    return decision('auto_reject', {
+      reason: `Quality ${overall} is below ${rejectBelow}`,
+      conditions: [{ field: 'quality.overall', operator: 'lt', value: rejectBelow, actual: overall }]
+    });
+  }
+  return decision('manual_review', {
+    reason: 'Quality score in manual review range',
+    conditions: []
+  });
+}
+
+function decision(action, { rule = null, reason, conditions }) {
+  return {
+    action,
+    status: ACTIONS[action],
+    rule,
+    reason,
+    conditions,
+    evaluatedAt: new Date()
+  };
+}
+
+/**
+ * Whether a strategy has rules that test duplicate status. Collection then
+ * hands near-duplicates to the rules instead of skipping them outright.
+ */
+function handlesDuplicates(strategy) {
+  return (strategy?.approvalRules || []).some(rule =>
+    rule.enabled !== false &&
+    (rule.conditions || []).some(({ field }) => field === 'duplicate' || field === 'duplicateDistance')
+  );
+}
+
+/**
+ * Apply a decision to an image record: status, audit fields and the
+ * recorded approvalDecision.
+ */
+function applyDecision(image, result) {
+  // A license that needs a credit we don't have is never auto-approved
+  const blocker = result.status === 'approved' && licenseCompliance.approvalBlocker(image);
+  if (blocker) {
+    result = decision('manual_review', { rule: result.rule, reason: blocker, conditions: result.conditions });
+  }
+
+  image.status = result.status;
+  image.approvalDecision = result;
+
+  if (result.status === 'approved') {
+    image.approvedAt = new Date();
+    image.approvedBy = 'auto-approval';
+  } else if (result.status === 'rejected') {
+    image.rejectionReason = result.reason;
+  } else {
+    image.reviewNotes = result.reason;
+  }
+  return image;
+}
+
+module.exports = {
+  buildFacts,
+  validateRules,
+  evaluateRules,
+  handlesDuplicates,
+  applyDecision,
+  APPROVAL_ACTIONS: Object.keys(ACTIONS),
+  CONDITION_FIELDS: Object.keys(FIELDS),
+  CONDITION_OPERATORS: Object.keys(OPERATORS)
+};
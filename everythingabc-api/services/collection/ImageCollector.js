@@ -2,15 +2,21 @@ const fs = require('fs-extra');
 const path = require('path');
 const { apiClientManager } = require('../apiClients');
 const QualityAnalyzer = require('../analysis/QualityAnalyzer');
+const PerceptualHash = require('../analysis/PerceptualHash');
 const ImageProcessor = require('../processing/ImageProcessor');
 const FileOrganizer = require('../storage/FileOrganizer');
 const S3ImageUploadService = require('../cloud/S3ImageUploadService');
 const Category = require('../../models/Category');
+const Item = require('../../models/Item');
+const { aiGenerator } = require('../generation/AIGenerator');
+const ApprovalRules = require('./ApprovalRules');
+const { licenseCompliance } = require('../compliance/LicenseCompliance');
 const logger = require('../../utils/logger');
 
 class ImageCollector {
   constructor() {
     this.qualityAnalyzer = new QualityAnalyzer();
+    this.perceptualHash = new PerceptualHash();
     this.imageProcessor = new ImageProcessor();
     this.fileOrganizer = new FileOrganizer();
     this.s3Service = new S3ImageUploadService();
@@ -99,7 +105,11 @@ class ImageCollector {
     }
 
     // Find the item in the category
-    const item = categoryDoc.items[letter.toUpperCase()]?.find(item => item.id === itemName || item.name === itemName);
+    const item = await Item.findOne({
+      categoryId: categoryDoc.id,
+      letter: letter.toUpperCase(),
+      $or: [{ id: itemName }, { name: itemName }]
+    });
     if (!item) {
       throw new Error(`Item not found: ${itemName} in ${category}/${letter}`);
     }
@@ -144,9 +154,9 @@ class ImageCollector {
         });
       }
 
-      // Save category with updated progress
-      categoryDoc.markModified('items');
-      await categoryDoc.save();
+      // Save item and roll its progress up into the category
+      await item.save();
+      await categoryDoc.refreshItemStats();
 
       return result;
     } catch (error) {
@@ -158,8 +168,8 @@ class ImageCollector {
         details: { options }
       });
 
-      categoryDoc.markModified('items');
-      await categoryDoc.save();
+      await item.save();
+      await categoryDoc.refreshItemStats();
 
       logger.error(`Collection failed for ${itemName}`, error);
       throw error;
@@ -172,10 +182,15 @@ class ImageCollector {
       collectedCount: 0,
       approvedCount: 0,
       rejectedCount: 0,
+      duplicateCount: 0,
       images: [],
       errors: []
     };
 
+    // Hashes of everything already in the library; images accepted during
+    // this run are added as we go so one search can't yield the same photo twice
+    const hashIndex = await Item.getImageHashIndex();
+
     // Phase 1: Search and collect from free APIs
     logger.info(`Phase 1: Searching free APIs for ${itemName}`);
     const searchResults = await this.searchAllSources(itemName, category, options);
@@ -195,7 +210,7 @@ class ImageCollector {
           category,
           letter,
           itemName,
-          options
+          { ...options, hashIndex, strategy: categoryDoc.imageCollection?.strategy }
         );
 
         if (processedImage) {
@@ -222,6 +237,11 @@ class ImageCollector {
           this.updateSourceStats(item.collectionProgress, imageData.source, 1, processedImage.status === 'approved' ? 1 : 0);
         }
       } catch (error) {
+        if (error.code === 'DUPLICATE_IMAGE') {
+          results.duplicateCount++;
+          continue;
+        }
+
         results.errors.push({
           imageId: imageData.id,
           source: imageData.source,
@@ -291,7 +311,8 @@ class ImageCollector {
     logger.info(`Collection progress updated for ${itemName}`, {
       collected: results.collectedCount,
       approved: results.approvedCount,
-      rejected: results.rejectedCount
+      rejected: results.rejectedCount,
+      duplicates: results.duplicateCount
     });
 
     return results;
@@ -331,14 +352,27 @@ class ImageCollector {
     const startTime = Date.now();
 
     try {
-      // Download image to memory buffer (no disk I/O)
+      // Download image to memory buffer (no disk I/O); AI generated
+      // candidates already carry their buffer
       logger.debug(`Downloading image ${imageData.id} from ${imageData.source}`);
-      const downloadResult = await this.downloadImage(imageData);
+      const downloadResult = imageData.buffer
+        ? { success: true, buffer: imageData.buffer, size: imageData.buffer.length }
+        : await this.downloadImage(imageData);
 
       if (!downloadResult.success) {
         throw new Error(`Download failed: ${downloadResult.error}`);
       }
 
+      // Reject copies of images we already have before spending time on them,
+      // unless the category's approval rules decide what to do with duplicates
+      const perceptualHash = await this.perceptualHash.computeHash(downloadResult.buffer);
+      let duplicate = null;
+      if (ApprovalRules.handlesDuplicates(options.strategy)) {
+        duplicate = await this.findDuplicate(perceptualHash, options.hashIndex);
+      } else if (!options.allowDuplicates) {
+        await this.assertNotDuplicate(perceptualHash, imageData, options.hashIndex);
+      }
+
       // Process image from buffer (no disk I/O)
       const processingResult = await this.imageProcessor.processImageFromBuffer(
         downloadResult.buffer,
@@ -452,8 +486,14 @@ class ImageCollector {
           overall: qualityResult.overall,
           breakdown: qualityResult.breakdown
         },
+        perceptualHash,
         license: {
           type: imageData.license?.type || imageData.source,
+          name: imageData.license?.name,
+          version: imageData.license?.version,
+          licenseUrl: imageData.license?.licenseUrl,
+          author: imageData.license?.author || imageData.photographer?.name,
+          authorUrl: imageData.license?.authorUrl || imageData.photographer?.profile,
           attribution: imageData.license?.attribution || '',
           commercial: imageData.license?.commercial !== false,
           url: imageData.license?.url || ''
@@ -481,20 +521,26 @@ class ImageCollector {
         }));
       }
 
-      // Auto-approve or reject based on quality
-      if (options.manuallySelected) {
-        imageRecord.status = 'approved';
-        imageRecord.approvedAt = new Date();
-        imageRecord.reviewNotes = 'Manually selected by user';
-      } else if (qualityResult.overall >= 8.5) {
-        imageRecord.status = 'approved';
-        imageRecord.approvedAt = new Date();
-      } else if (qualityResult.overall < 5.0) {
-        imageRecord.status = 'rejected';
-        imageRecord.rejectionReason = 'Quality score too low';
+      // Auto-approve, reject or queue for review using the category's rules
+      if (options.initialStatus) {
+        imageRecord.status = options.initialStatus;
+      } else if (options.manuallySelected) {
+        const blocker = licenseCompliance.approvalBlocker(imageRecord);
+        if (blocker) {
+          imageRecord.status = 'manual_review';
+          imageRecord.reviewNotes = `Manually selected by user; held for review: ${blocker}`;
+        } else {
+          imageRecord.status = 'approved';
+          imageRecord.approvedAt = new Date();
+          imageRecord.reviewNotes = 'Manually selected by user';
+        }
       } else {
-        imageRecord.status = 'manual_review';
-        imageRecord.reviewNotes = 'Quality score in manual review range';
+        const facts = ApprovalRules.buildFacts(imageRecord, { duplicate });
+        ApprovalRules.applyDecision(imageRecord, ApprovalRules.evaluateRules(facts, options.strategy));
+      }
+
+      if (options.hashIndex && imageRecord.status !== 'rejected') {
+        options.hashIndex.push({ perceptualHash, sourceProvider: imageData.source, sourceId: imageRecord.sourceId, itemName });
       }
 
       const processingTime = Date.now() - startTime;
@@ -508,6 +554,8 @@ class ImageCollector {
 
       return imageRecord;
     } catch (error) {
+      if (error.code === 'DUPLICATE_IMAGE') throw error;
+
       logger.error(`Image processing failed: ${imageData.id}`, {
         error: error.message,
         processingTime: `${Date.now() - startTime}ms`
@@ -516,6 +564,29 @@ class ImageCollector {
     }
   }
 
+  async findDuplicate(perceptualHash, hashIndex = null) {
+    const entries = hashIndex || await Item.getImageHashIndex();
+    return this.perceptualHash.findDuplicate(perceptualHash, entries);
+  }
+
+  async assertNotDuplicate(perceptualHash, imageData, hashIndex = null) {
+    const match = await this.findDuplicate(perceptualHash, hashIndex);
+
+    if (match) {
+      logger.info(`Skipping duplicate image ${imageData.id}`, {
+        source: imageData.source,
+        duplicateOf: `${match.sourceProvider}/${match.sourceId}`,
+        itemName: match.itemName,
+        distance: match.distance
+      });
+
+      const error = new Error(`Duplicate of ${match.sourceProvider} image ${match.sourceId} on ${match.itemName}`);
+      error.code = 'DUPLICATE_IMAGE';
+      error.duplicateOf = match;
+      throw error;
+    }
+  }
+
   async downloadImage(imageData) {
     try {
       // Get appropriate client
@@ -566,10 +637,9 @@ class ImageCollector {
   }
 
   async generateMissingImages(itemName, category, letter, count, options = {}) {
-    const AIGenerator = require('../generation/AIGenerator');
-    const aiGenerator = new AIGenerator();
-
     try {
+      await aiGenerator.initialize();
+
       if (!aiGenerator.isAvailable()) {
         logger.warn('AI generation not available', {
           itemName,
@@ -598,27 +668,38 @@ class ImageCollector {
         letter,
         count,
         {
-          minQualityScore: options.minQualityScore || 7.0,
           style: options.style || 'photographic',
-          maxAttempts: Math.min(count * 2, 5),
-          uploadToCloud: options.uploadToCloud
+          quality: options.aiQuality
         }
       );
 
+      // Generated images always wait for a human decision, whatever they score
+      const images = [];
+      const errors = [...result.errors];
+      for (const candidate of result.images) {
+        try {
+          images.push(await this.processImageCandidate(candidate, category, letter, itemName, {
+            uploadToCloud: options.uploadToCloud,
+            initialStatus: 'pending'
+          }));
+        } catch (error) {
+          errors.push(error.message);
+        }
+      }
+
       logger.info(`AI generation completed for ${itemName}`, {
         generated: result.generated,
-        approved: result.approved,
-        rejected: result.rejected,
+        processed: images.length,
         totalCost: `$${(result.totalCost || 0).toFixed(4)}`
       });
 
       return {
-        images: result.images,
-        approved: result.approved,
-        rejected: result.rejected,
+        images,
+        approved: 0,
+        rejected: 0,
         generated: result.generated,
         totalCost: result.totalCost,
-        errors: result.errors
+        errors
       };
     } catch (error) {
       logger.error(`AI generation failed for ${itemName}`, {
@@ -638,6 +719,82 @@ class ImageCollector {
     }
   }
 
+  /**
+   * Generate images for a prompt and keep them as previews for review.
+   * Nothing is uploaded or saved to an item until attachGeneratedPreview().
+   */
+  async generatePreviews(prompt, options = {}) {
+    const { itemName = prompt, category = 'general', count = 1, provider, quality } = options;
+
+    const result = await aiGenerator.generateImage(prompt, { count, provider, quality });
+    const previews = [];
+
+    for (const image of result.images) {
+      const processingResult = await this.imageProcessor.processImageFromBuffer(image.buffer, {
+        outputFormat: 'webp',
+        quality: 85
+      });
+
+      let qualityResult;
+      const tempQualityPath = path.join(process.cwd(), 'temp', `quality_${Date.now()}.webp`);
+      try {
+        await fs.ensureDir(path.dirname(tempQualityPath));
+        await fs.writeFile(tempQualityPath, processingResult.buffer);
+        qualityResult = await this.qualityAnalyzer.analyzeImage(tempQualityPath, itemName, category, image);
+      } catch (qualityError) {
+        logger.warn(`Quality analysis failed for ${image.id}, using default score`, qualityError);
+        qualityResult = { overall: 7.0, breakdown: {} };
+      } finally {
+        await fs.remove(tempQualityPath).catch(() => {});
+      }
+
+      const previewId = await aiGenerator.savePreview(image, { qualityScore: qualityResult.overall });
+      const previewSize = processingResult.sizes.find(size => size.name === 'small') || processingResult;
+
+      previews.push({
+        previewId,
+        previewUrl: `data:image/webp;base64,${previewSize.buffer.toString('base64')}`,
+        fileSize: image.buffer.length,
+        qualityScore: qualityResult.overall,
+        enhancedPrompt: image.revisedPrompt || prompt,
+        metadata: {
+          provider: image.provider,
+          model: image.model,
+          width: processingResult.metadata.width,
+          height: processingResult.metadata.height
+        }
+      });
+    }
+
+    return {
+      images: previews,
+      provider: result.provider,
+      totalCost: result.cost
+    };
+  }
+
+  /**
+   * Process a stored preview like any collected image and add it to the
+   * item as a pending image. Returns null if the preview no longer exists.
+   */
+  async attachGeneratedPreview(previewId, item, options = {}) {
+    const preview = await aiGenerator.loadPreview(previewId);
+    if (!preview) {
+      return null;
+    }
+
+    const imageRecord = await this.processImageCandidate(preview, item.categoryId, item.letter, item.name, {
+      uploadToCloud: options.uploadToCloud,
+      initialStatus: 'pending'
+    });
+
+    item.images.push(imageRecord);
+    await item.save();
+    await aiGenerator.deletePreview(previewId);
+
+    return imageRecord;
+  }
+
   // Helper methods for collection progress management
   updateSourceStats(collectionProgress, source, found, approved) {
     if (!collectionProgress.sources[source]) {
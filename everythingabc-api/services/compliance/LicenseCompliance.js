@@ -0,0 +1,201 @@
+const {
+  LICENSE_TYPES,
+  PROVIDER_LICENSES,
+  requiresAttribution,
+  forbidsDerivatives,
+  describeLicense
+} = require('../../utils/licenses');
+
+/**
+ * License compliance
+ *
+ * Checks the license stored on each image against how the platform uses it:
+ * commercially, resized and sometimes cropped, with a credit line wherever
+ * the license asks for one. The credit line built here is what the app shows
+ * under an image and what the public credits page lists.
+ */
+class LicenseCompliance {
+  /**
+   * Problems with an image's license. Only blocking issues stop the image
+   * being approved; the rest are flagged in the compliance report.
+   *
+   * @returns {Array<{code: string, message: string, blocking: boolean}>}
+   */
+  check(image) {
+    const license = image.license || {};
+    const issues = [];
+
+    if (!license.type) {
+      return [issue('missing_license', 'No license is recorded for this image')];
+    }
+
+    if (!LICENSE_TYPES.includes(license.type)) {
+      issues.push(issue('unknown_license', `Unknown license '${license.type}'`));
+    }
+
+    const { name } = describeLicense(license);
+
+    if (license.commercial === false || license.type.includes('-nc')) {
+      issues.push(issue('non_commercial', `${name} does not allow commercial use`));
+    }
+
+    if (requiresAttribution(license.type) && !hasCredit(license)) {
+      issues.push(issue('missing_attribution', `${name} requires attribution, but no author or credit line is recorded`, true));
+    }
+
+    if (forbidsDerivatives(license.type) && image.crop) {
+      issues.push(issue('no_derivatives', `${name} does not allow adaptations, but the image is cropped`));
+    }
+
+    return issues;
+  }
+
+  // Why an image can't be approved, or null when it can
+  approvalBlocker(image) {
+    return this.check(image).find(({ blocking }) => blocking)?.message || null;
+  }
+
+  /**
+   * The credit shown with an image: who made it, under which license and
+   * where it came from. `text` is the source's own credit line when there is
+   * one. Returns null for images without a license.
+   */
+  credit(image) {
+    const license = image.license || {};
+    if (!license.type) return null;
+
+    const { name, url } = describeLicense(license);
+    const sourceName = PROVIDER_LICENSES[license.type]?.source;
+    const author = license.author || null;
+    const fallback = author ? `Photo by ${author}${sourceName ? ` on ${sourceName}` : ''}` : null;
+
+    return {
+      text: license.attribution?.trim() || fallback,
+      author,
+      authorUrl: license.authorUrl || null,
+      license: name,
+      licenseUrl: url,
+      sourceUrl: license.url || null,
+      sourceProvider: image.sourceProvider
+    };
+  }
+
+  /**
+   * Flag every image that isn't rejected and has license issues.
+   *
+   * @param {object} [options]
+   * @param {string} [options.categoryId] - Limit to one category
+   * @param {string} [options.status] - Limit to one image status
+   */
+  async report(options = {}) {
+    // Models are loaded here rather than at the top: the checks above are
+    // used by approval code that the Category model itself depends on
+    const Item = require('../../models/Item');
+
+    const filter = { 'images.0': { $exists: true } };
+    if (options.categoryId) filter.categoryId = options.categoryId;
+
+    const items = await Item.find(filter, 'id categoryId letter name images').lean();
+    return this.summarize(items, options);
+  }
+
+  summarize(items, { status } = {}) {
+    const summary = { imagesChecked: 0, flagged: 0, approvedFlagged: 0, blocking: 0, byIssue: {} };
+    const images = [];
+
+    for (const item of items) {
+      for (const image of item.images || []) {
+        if (image.status === 'rejected' || (status && image.status !== status)) continue;
+        summary.imagesChecked++;
+
+        const issues = this.check(image);
+        if (issues.length === 0) continue;
+
+        summary.flagged++;
+        if (image.status === 'approved') summary.approvedFlagged++;
+        if (issues.some(({ blocking }) => blocking)) summary.blocking++;
+        for (const { code } of issues) {
+          summary.byIssue[code] = (summary.byIssue[code] || 0) + 1;
+        }
+
+        images.push({
+          categoryId: item.categoryId,
+          letter: item.letter,
+          itemId: item.id,
+          itemName: item.name,
+          sourceId: image.sourceId,
+          sourceProvider: image.sourceProvider,
+          status: image.status,
+          isPrimary: image.isPrimary || false,
+          license: image.license || null,
+          issues
+        });
+      }
+    }
+
+    // Images already in use come first
+    const rank = (image) => (image.status === 'approved' ? 0 : 1) + (image.isPrimary ? 0 : 0.5);
+    images.sort((a, b) => rank(a) - rank(b));
+
+    return { summary, images };
+  }
+
+  /**
+   * Credits for every approved image in active categories, grouped by
+   * category and item, for the public credits page.
+   *
+   * @param {object} [options]
+   * @param {string} [options.categoryId] - Limit to one category
+   */
+  async credits(options = {}) {
+    const Category = require('../../models/Category');
+    const Item = require('../../models/Item');
+
+    const categoryFilter = { status: 'active' };
+    if (options.categoryId) categoryFilter.id = options.categoryId;
+
+    const categories = await Category.find(categoryFilter, 'id name').sort({ name: 1 }).lean();
+    const items = await Item.find(
+      { categoryId: { $in: categories.map(c => c.id) }, status: { $ne: 'archived' }, 'images.status': 'approved' },
+      'id categoryId letter name images'
+    ).sort({ letter: 1, name: 1 }).lean();
+
+    return this.groupCredits(categories, items);
+  }
+
+  groupCredits(categories, items) {
+    return categories
+      .map(category => ({
+        categoryId: category.id,
+        categoryName: category.name,
+        items: items
+          .filter(item => item.categoryId === category.id)
+          .map(item => ({
+            itemId: item.id,
+            itemName: item.name,
+            letter: item.letter,
+            credits: (item.images || [])
+              .filter(image => image.status === 'approved')
+              .map(image => this.credit(image))
+              .filter(Boolean)
+          }))
+          .filter(item => item.credits.length > 0)
+      }))
+      .filter(category => category.items.length > 0);
+  }
+}
+
+function issue(code, message, blocking = false) {
+  return { code, message, blocking };
+}
+
+function hasCredit(license) {
+  return Boolean(license.author?.trim() || license.attribution?.trim());
+}
+
+const licenseCompliance = new LicenseCompliance();
+
+module.exports = {
+  LicenseCompliance,
+  licenseCompliance
+};
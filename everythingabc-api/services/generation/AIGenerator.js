@@ -1,31 +1,68 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
 const logger = require('../../utils/logger');
 
+const OpenAIProvider = require('./providers/OpenAIProvider');
+const GeminiProvider = require('./providers/GeminiProvider');
+const StubProvider = require('./providers/StubProvider');
+
+const PREVIEW_ID_PATTERN = /^gen_[a-z0-9_]+$/;
+const MAX_RECENT_GENERATIONS = 20;
+
+const STYLE_PROMPTS = {
+  photographic: 'High-quality studio photograph',
+  illustration: "Clean, friendly children's book illustration",
+  artistic: 'Colorful artistic rendering',
+  minimal: 'Minimal flat illustration',
+  detailed: 'Highly detailed, realistic photograph'
+};
+
 class AIGenerator {
   constructor() {
     this.initialized = false;
     this.openaiApiKey = process.env.OPENAI_API_KEY;
     this.googleaiApiKey = process.env.GEMINI_API_KEY;
+    // Optional explicit choice, e.g. AI_IMAGE_PROVIDER=stub for offline work
+    this.preferredProvider = process.env.AI_IMAGE_PROVIDER || null;
     this.activeProvider = null;
+    this.providers = new Map();
+    this.previewDir = path.join(process.cwd(), 'temp', 'generated');
+
+    this.stats = {
+      totalGenerated: 0,
+      totalCost: 0,
+      recentGenerations: []
+    };
   }
 
   async initialize() {
     if (this.initialized) return;
 
     try {
-      // Check which AI providers are available
-      if (this.openaiApiKey) {
-        this.activeProvider = 'openai';
-        logger.info('OpenAI provider available for image generation');
-      } else if (this.googleaiApiKey) {
-        this.activeProvider = 'googleai';
-        logger.info('Google AI provider available for image generation');
+      this.registerProvider(new OpenAIProvider({ apiKey: this.openaiApiKey }));
+      this.registerProvider(new GeminiProvider({ apiKey: this.googleaiApiKey }));
+      this.registerProvider(new StubProvider());
+
+      // The stub is never picked implicitly so production can't silently
+      // fill items with placeholder art
+      const available = this.getAvailableProviders();
+      if (this.preferredProvider && available.includes(this.preferredProvider)) {
+        this.activeProvider = this.preferredProvider;
+      } else {
+        this.activeProvider = available.find(name => name !== 'stub') || null;
+      }
+
+      if (this.activeProvider) {
+        logger.info(`${this.activeProvider} provider available for image generation`);
       } else {
         logger.warn('No AI providers configured for image generation');
       }
 
       this.initialized = true;
       logger.info('AIGenerator initialized successfully', {
-        activeProvider: this.activeProvider
+        activeProvider: this.activeProvider,
+        availableProviders: available
       });
     } catch (error) {
       logger.error('Failed to initialize AIGenerator', error);
@@ -33,21 +70,43 @@ class AIGenerator {
     }
   }
 
+  // Providers can be added or replaced, e.g. with a fake in tests
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  getProvider(name) {
+    return this.providers.get(name || this.activeProvider);
+  }
+
+  getAvailableProviders() {
+    return Array.from(this.providers.values())
+      .filter(provider => provider.isConfigured())
+      .map(provider => provider.name);
+  }
+
   isAvailable() {
     return this.initialized && this.activeProvider !== null;
   }
 
+  buildPrompt(itemName, category, style = 'photographic') {
+    const lead = STYLE_PROMPTS[style] || STYLE_PROMPTS.photographic;
+    const context = category && category !== 'general' ? ` from the ${category.replace(/-/g, ' ')} category` : '';
+    return `${lead}: ${itemName}${context}, centered on a plain background, ` +
+      'well lit, no text, suitable for a visual vocabulary app for children';
+  }
+
   async generateImagesForItem(itemName, category, letter, count, options = {}) {
     if (!this.initialized) {
       await this.initialize();
     }
 
-    if (!this.isAvailable()) {
+    if (!this.isAvailable() && !options.provider) {
       return {
         images: [],
-        approved: 0,
-        rejected: 0,
         generated: 0,
+        totalCost: 0,
+        errors: [],
         error: 'No AI providers available'
       };
     }
@@ -57,23 +116,18 @@ class AIGenerator {
         category,
         letter,
         count,
-        provider: this.activeProvider
+        provider: options.provider || this.activeProvider
       });
 
-      // For now, return a placeholder response
-      // In a real implementation, this would call the actual AI services
-      logger.warn('AI generation not yet implemented in unified system');
+      const prompt = this.buildPrompt(itemName, category, options.style);
+      const result = await this.generateImage(prompt, { ...options, count });
 
       return {
-        images: [],
-        approved: 0,
-        rejected: 0,
-        generated: 0,
-        totalCost: 0,
-        errors: [],
-        message: 'AI generation service not yet implemented'
+        images: result.images,
+        generated: result.images.length,
+        totalCost: result.cost,
+        errors: []
       };
-
     } catch (error) {
       logger.error(`AI generation failed for ${itemName}`, {
         category,
@@ -84,45 +138,129 @@ class AIGenerator {
 
       return {
         images: [],
-        approved: 0,
-        rejected: 0,
         generated: 0,
+        totalCost: 0,
+        errors: [error.message],
         error: error.message
       };
     }
   }
 
+  /**
+   * Generate raw images for a prompt with the requested or active provider.
+   *
+   * @returns {Promise<{images: object[], cost: number, provider: string}>}
+   *   Each image has buffer, mimeType, source (the Image.sourceProvider
+   *   value), id, prompt, model and a generated license.
+   */
   async generateImage(prompt, options = {}) {
-    if (!this.isAvailable()) {
-      throw new Error('AI generation service not available');
+    if (!this.initialized) {
+      await this.initialize();
     }
 
     const {
-      style = 'photographic',
-      size = '1024x1024',
-      quality = 'hd'
+      count = 1,
+      quality = 'standard',
+      provider: providerName = null
     } = options;
 
-    // Placeholder for actual AI generation
+    const provider = this.getProvider(providerName);
+    if (!provider || !provider.isConfigured()) {
+      throw new Error(`AI generation provider not available: ${providerName || 'none configured'}`);
+    }
+
     logger.info('AI image generation requested', {
       prompt,
-      style,
-      size,
+      count,
       quality,
-      provider: this.activeProvider
+      provider: provider.name
     });
 
-    throw new Error('AI image generation not yet implemented');
+    const rawImages = await provider.generate(prompt, { count, quality });
+    const cost = provider.estimateCost(rawImages.length, { quality });
+
+    const images = rawImages.map(image => ({
+      ...image,
+      id: `${provider.name}_${crypto.createHash('sha1').update(image.buffer).digest('hex').slice(0, 16)}`,
+      source: provider.sourceProvider,
+      provider: provider.name,
+      model: provider.model,
+      prompt,
+      license: {
+        type: 'generated',
+        attribution: `Generated with ${provider.model}`,
+        commercial: true
+      }
+    }));
+
+    this.recordGeneration({ prompt, provider: provider.name, count: images.length, cost });
+
+    return { images, cost, provider: provider.name };
+  }
+
+  recordGeneration({ prompt, provider, count, cost }) {
+    this.stats.totalGenerated += count;
+    this.stats.totalCost += cost;
+    this.stats.recentGenerations.unshift({
+      prompt,
+      provider,
+      count,
+      cost,
+      createdAt: new Date()
+    });
+    this.stats.recentGenerations.length = Math.min(this.stats.recentGenerations.length, MAX_RECENT_GENERATIONS);
+  }
+
+  // Previews are kept on disk until they are attached to an item or discarded
+  async savePreview(image, details = {}) {
+    await fs.ensureDir(this.previewDir);
+
+    const previewId = `gen_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+    const { buffer, ...meta } = image;
+
+    await fs.writeFile(path.join(this.previewDir, `${previewId}.img`), buffer);
+    await fs.writeJson(path.join(this.previewDir, `${previewId}.json`), { ...meta, ...details, previewId });
+
+    return previewId;
+  }
+
+  async loadPreview(previewId) {
+    if (!PREVIEW_ID_PATTERN.test(previewId || '')) {
+      return null;
+    }
+
+    const imagePath = path.join(this.previewDir, `${previewId}.img`);
+    const metaPath = path.join(this.previewDir, `${previewId}.json`);
+
+    if (!(await fs.pathExists(imagePath)) || !(await fs.pathExists(metaPath))) {
+      return null;
+    }
+
+    return {
+      ...(await fs.readJson(metaPath)),
+      buffer: await fs.readFile(imagePath)
+    };
+  }
+
+  async deletePreview(previewId) {
+    if (!PREVIEW_ID_PATTERN.test(previewId || '')) return;
+
+    await fs.remove(path.join(this.previewDir, `${previewId}.img`));
+    await fs.remove(path.join(this.previewDir, `${previewId}.json`));
   }
 
   getGenerationStats() {
     return {
       available: this.isAvailable(),
       activeProvider: this.activeProvider,
+      availableProviders: this.getAvailableProviders(),
       initialized: this.initialized,
+      totalGenerated: this.stats.totalGenerated,
+      totalCost: this.stats.totalCost,
+      recentGenerations: this.stats.recentGenerations,
       capabilities: {
-        imageGeneration: false, // Will be true when implemented
-        textToImage: false,
+        imageGeneration: this.isAvailable(),
+        textToImage: this.isAvailable(),
         imageVariations: false
       }
     };
@@ -136,13 +274,22 @@ class AIGenerator {
     if (newConfig.googleaiApiKey) {
       this.googleaiApiKey = newConfig.googleaiApiKey;
     }
+    if (newConfig.preferredProvider !== undefined) {
+      this.preferredProvider = newConfig.preferredProvider;
+    }
 
     // Reset initialization if config changes
     if (this.initialized) {
       this.initialized = false;
       this.activeProvider = null;
+      this.providers.clear();
     }
   }
 }
 
-module.exports = AIGenerator;
\ No newline at end of file
+const aiGenerator = new AIGenerator();
+
+module.exports = {
+  AIGenerator,
+  aiGenerator
+};
@@ -0,0 +1,66 @@
+const axios = require('axios');
+
+/**
+ * Base class for AI image generation providers.
+ *
+ * Subclasses implement generate() and return raw image buffers; processing,
+ * quality scoring and storage happen downstream in ImageCollector.
+ */
+class BaseProvider {
+  constructor(config = {}) {
+    this.config = config;
+    this.client = axios.create({
+      baseURL: config.baseUrl,
+      timeout: config.timeout || 120000,
+      headers: {
+        'User-Agent': 'EverythingABC-Platform/1.0',
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  // Stable identifier used in API requests and stats (e.g. 'openai')
+  get name() {
+    throw new Error('Provider name not implemented');
+  }
+
+  // Value stored in Image.sourceProvider for images from this provider
+  get sourceProvider() {
+    throw new Error('Provider sourceProvider not implemented');
+  }
+
+  get model() {
+    return this.config.model;
+  }
+
+  isConfigured() {
+    return Boolean(this.config.apiKey);
+  }
+
+  /**
+   * Generate images for a prompt.
+   *
+   * @param {string} prompt
+   * @param {object} [options]
+   * @param {number} [options.count=1]
+   * @param {string} [options.quality='standard'] - 'standard' or 'hd'
+   * @returns {Promise<Array<{buffer: Buffer, mimeType: string, revisedPrompt?: string}>>}
+   */
+  async generate(prompt, options = {}) {
+    throw new Error('generate method not implemented');
+  }
+
+  // Estimated cost in USD for a request, used for generation stats
+  estimateCost(count, options = {}) {
+    return 0;
+  }
+
+  handleApiError(error) {
+    const message = error.response?.data?.error?.message || error.message;
+    const wrapped = new Error(`${this.name} generation failed: ${message}`);
+    wrapped.status = error.response?.status;
+    return wrapped;
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,69 @@
+const BaseProvider = require('./BaseProvider');
+
+// USD per image for Imagen 3 through the Gemini API
+const PRICE_PER_IMAGE = 0.03;
+const MAX_SAMPLES_PER_REQUEST = 4;
+
+class GeminiProvider extends BaseProvider {
+  constructor(config = {}) {
+    super({
+      baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+      model: 'imagen-3.0-generate-002',
+      aspectRatio: '1:1',
+      ...config
+    });
+  }
+
+  get name() {
+    return 'googleai';
+  }
+
+  get sourceProvider() {
+    return 'google-ai';
+  }
+
+  async generate(prompt, options = {}) {
+    const { count = 1 } = options;
+    const images = [];
+
+    while (images.length < count) {
+      const sampleCount = Math.min(count - images.length, MAX_SAMPLES_PER_REQUEST);
+
+      try {
+        const response = await this.client.post(`/models/${this.config.model}:predict`, {
+          instances: [{ prompt }],
+          parameters: {
+            sampleCount,
+            aspectRatio: this.config.aspectRatio
+          }
+        }, {
+          headers: { 'x-goog-api-key': this.config.apiKey }
+        });
+
+        const predictions = (response.data.predictions || []).filter(p => p.bytesBase64Encoded);
+
+        // Filtered prompts come back with no images; don't loop forever
+        if (predictions.length === 0) {
+          break;
+        }
+
+        for (const prediction of predictions) {
+          images.push({
+            buffer: Buffer.from(prediction.bytesBase64Encoded, 'base64'),
+            mimeType: prediction.mimeType || 'image/png'
+          });
+        }
+      } catch (error) {
+        throw this.handleApiError(error);
+      }
+    }
+
+    return images;
+  }
+
+  estimateCost(count) {
+    return count * PRICE_PER_IMAGE;
+  }
+}
+
+module.exports = GeminiProvider;
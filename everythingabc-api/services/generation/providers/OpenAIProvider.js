@@ -0,0 +1,65 @@
+const BaseProvider = require('./BaseProvider');
+
+// USD per image for DALL-E 3 at 1024x1024
+const PRICING = {
+  standard: 0.04,
+  hd: 0.08
+};
+
+class OpenAIProvider extends BaseProvider {
+  constructor(config = {}) {
+    super({
+      baseUrl: 'https://api.openai.com/v1',
+      model: 'dall-e-3',
+      size: '1024x1024',
+      ...config
+    });
+  }
+
+  get name() {
+    return 'openai';
+  }
+
+  get sourceProvider() {
+    return 'dalle';
+  }
+
+  async generate(prompt, options = {}) {
+    const { count = 1, quality = 'standard' } = options;
+    const images = [];
+
+    // DALL-E 3 only accepts n=1, so each image is a separate request
+    for (let i = 0; i < count; i++) {
+      try {
+        const response = await this.client.post('/images/generations', {
+          model: this.config.model,
+          prompt,
+          n: 1,
+          size: this.config.size,
+          quality: quality === 'hd' ? 'hd' : 'standard',
+          response_format: 'b64_json'
+        }, {
+          headers: { Authorization: `Bearer ${this.config.apiKey}` }
+        });
+
+        for (const image of response.data.data || []) {
+          images.push({
+            buffer: Buffer.from(image.b64_json, 'base64'),
+            mimeType: 'image/png',
+            revisedPrompt: image.revised_prompt
+          });
+        }
+      } catch (error) {
+        throw this.handleApiError(error);
+      }
+    }
+
+    return images;
+  }
+
+  estimateCost(count, options = {}) {
+    return count * (PRICING[options.quality] || PRICING.standard);
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const BaseProvider = require('./BaseProvider');
+
+/**
+ * Offline provider for development and tests.
+ *
+ * Draws simple shapes seeded from a hash of the prompt, so the same prompt
+ * always yields the same images and no network access or API key is needed.
+ */
+class StubProvider extends BaseProvider {
+  constructor(config = {}) {
+    super({
+      model: 'stub',
+      size: 512,
+      ...config
+    });
+  }
+
+  get name() {
+    return 'stub';
+  }
+
+  get sourceProvider() {
+    return 'stub';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async generate(prompt, options = {}) {
+    const { count = 1 } = options;
+    const images = [];
+
+    for (let i = 0; i < count; i++) {
+      const seed = crypto.createHash('sha256').update(`${prompt}:${i}`).digest();
+      images.push({
+        buffer: await this.render(seed),
+        mimeType: 'image/png',
+        revisedPrompt: prompt
+      });
+    }
+
+    return images;
+  }
+
+  async render(seed) {
+    const size = this.config.size;
+    const color = (offset) => `rgb(${seed[offset]}, ${seed[offset + 1]}, ${seed[offset + 2]})`;
+
+    const shapes = [];
+    for (let i = 0; i < 4; i++) {
+      const base = 3 + i * 7;
+      const cx = Math.round((seed[base] / 255) * size);
+      const cy = Math.round((seed[base + 1] / 255) * size);
+      const r = Math.round(size / 10 + (seed[base + 2] / 255) * (size / 4));
+      shapes.push(`<circle cx="${cx}" cy="${cy}" r="${r}" fill="${color(base + 3)}" fill-opacity="0.8"/>`);
+    }
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">` +
+      `<rect width="100%" height="100%" fill="${color(0)}"/>${shapes.join('')}</svg>`;
+
+    return sharp(Buffer.from(svg)).png().toBuffer();
+  }
+}
+
+module.exports = StubProvider;
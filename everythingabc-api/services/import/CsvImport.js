@@ -0,0 +1,453 @@
+const Category = require('../../models/Category');
+const Item = require('../../models/Item');
+const {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  TRANSLATABLE_ITEM_FIELDS,
+  parseTranslations
+} = require('../../utils/locales');
+
+// Translated fields use `<field>.<locale>` columns, e.g. name.es or facts.de.
+// Lists (facts) are separated with `|` inside the cell.
+const TRANSLATION_HEADER = /^([a-zA-Z]+)\.([a-z]{2})$/;
+const LIST_SEPARATOR = '|';
+const TRANSLATION_LOCALES = SUPPORTED_LOCALES.filter(locale => locale !== DEFAULT_LOCALE);
+
+const REQUIRED_HEADERS = ['category', 'letter', 'itemName'];
+
+/**
+ * Parse and validate CSV content.
+ *
+ * Header problems (row 1) make the whole file unusable. Row problems are
+ * reported per row; those rows are rejected and the rest can still be
+ * imported.
+ *
+ * @param {string} csvContent
+ * @param {Set<string>} categoryIds - Categories that exist
+ * @param {object} [options]
+ * @param {boolean} [options.createCategories=false] - Unknown categories are not an error
+ * @returns {{headers: string[], rows: object[], errors: object[], warnings: object[]}}
+ *   Rows carry `rowNumber` and the original cells in `raw`
+ */
+function parseCsv(csvContent, categoryIds, { createCategories = false } = {}) {
+  const lines = csvContent.trim().split('\n');
+  const errors = [];
+  const warnings = [];
+  const rows = [];
+
+  if (lines.length < 2) {
+    errors.push({
+      row: 0,
+      field: 'file',
+      message: 'CSV file is empty or has no data rows'
+    });
+    return { headers: [], rows, errors, warnings };
+  }
+
+  // Parse header
+  const headers = parseCSVLine(lines[0].trim());
+
+  REQUIRED_HEADERS.forEach(header => {
+    if (!headers.includes(header)) {
+      errors.push({
+        row: 1,
+        field: header,
+        message: `Missing required header: ${header}`
+      });
+    }
+  });
+
+  // Translation columns: <field>.<locale>
+  const translationColumns = [];
+  headers.forEach(header => {
+    const match = header.match(TRANSLATION_HEADER);
+    if (!match) return;
+
+    const [, field, locale] = match;
+    if (!TRANSLATABLE_ITEM_FIELDS.includes(field) || !TRANSLATION_LOCALES.includes(locale)) {
+      errors.push({
+        row: 1,
+        field: header,
+        message: `Unknown translation column: ${header}. Use <field>.<locale> with field ${TRANSLATABLE_ITEM_FIELDS.join('/')} and locale ${TRANSLATION_LOCALES.join('/')}`
+      });
+      return;
+    }
+    translationColumns.push({ header, field, locale });
+  });
+
+  if (errors.length > 0) {
+    return { headers, rows, errors, warnings };
+  }
+
+  // Parse data rows
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+
+    const values = parseCSVLine(line);
+    const raw = {};
+    headers.forEach((header, index) => {
+      raw[header] = values[index] || '';
+    });
+
+    const rowNumber = i + 1;
+    const row = { ...raw, rowNumber, raw };
+
+    // Validate category
+    if (!row.category) {
+      errors.push({
+        row: rowNumber,
+        field: 'category',
+        message: 'Category is required'
+      });
+    } else if (!categoryIds.has(row.category) && !createCategories) {
+      errors.push({
+        row: rowNumber,
+        field: 'category',
+        message: `Category '${row.category}' does not exist`
+      });
+    }
+
+    // Validate letter
+    if (!row.letter) {
+      errors.push({
+        row: rowNumber,
+        field: 'letter',
+        message: 'Letter is required'
+      });
+    } else if (!/^[A-Z]$/i.test(row.letter)) {
+      errors.push({
+        row: rowNumber,
+        field: 'letter',
+        message: 'Letter must be A-Z'
+      });
+    }
+
+    // Validate itemName
+    if (!row.itemName || !row.itemName.trim()) {
+      errors.push({
+        row: rowNumber,
+        field: 'itemName',
+        message: 'Item name is required'
+      });
+    }
+
+    // Validate difficulty (optional)
+    if (row.difficulty && (isNaN(row.difficulty) || row.difficulty < 1 || row.difficulty > 5)) {
+      warnings.push({
+        row: rowNumber,
+        field: 'difficulty',
+        message: 'Invalid difficulty (should be 1-5), will default to 1'
+      });
+      row.difficulty = 1;
+    } else {
+      row.difficulty = parseInt(row.difficulty) || 1;
+    }
+
+    // Parse tags
+    if (row.tags) {
+      row.tags = row.tags.split(',').map(t => t.trim()).filter(t => t);
+    } else {
+      row.tags = [];
+    }
+
+    // Collect translation cells into { locale: { field: value } }
+    const rawTranslations = {};
+    for (const { header, field, locale } of translationColumns) {
+      const value = row[header];
+      delete row[header];
+      if (!value) continue;
+
+      rawTranslations[locale] = rawTranslations[locale] || {};
+      rawTranslations[locale][field] = field === 'facts' ? value.split(LIST_SEPARATOR) : value;
+    }
+    row.translations = parseTranslations(rawTranslations, TRANSLATABLE_ITEM_FIELDS).translations;
+
+    for (const [locale, translation] of Object.entries(row.translations)) {
+      if (!translation.name) {
+        warnings.push({
+          row: rowNumber,
+          field: `name.${locale}`,
+          message: `Translation for '${locale}' has no name; the item will be listed under its English name`
+        });
+      }
+    }
+
+    rows.push(row);
+  }
+
+  return { headers, rows, errors, warnings };
+}
+
+/**
+ * Group row results by category and letter, e.g.
+ * { animals: { A: { created: ['Ant'], updated: [], skipped: [] } } }.
+ * Rejected and failed rows are left out; they're in the rejected report.
+ */
+function buildDiff(results) {
+  const diff = {};
+  for (const result of results) {
+    if (!['created', 'updated', 'skipped'].includes(result.status)) continue;
+
+    const letters = diff[result.categoryId] = diff[result.categoryId] || {};
+    const changes = letters[result.letter] = letters[result.letter] || { created: [], updated: [], skipped: [] };
+    changes[result.status].push(result.itemName);
+  }
+  return diff;
+}
+
+/**
+ * CSV of rejected rows: the original columns plus an `error` column, so the
+ * file can be fixed and imported again.
+ */
+function buildRejectedCsv(headers, rejected) {
+  const lines = [[...headers, 'error'].map(escapeCsvValue).join(',')];
+  for (const { raw = {}, reason } of rejected) {
+    lines.push([...headers.map(header => raw[header] ?? ''), reason].map(escapeCsvValue).join(','));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * CSV item import
+ *
+ * Runs an import row by row, reporting progress, or in dry-run mode works
+ * out the same per-row outcome without writing anything.
+ */
+class CsvImport {
+  /**
+   * @param {string} csvContent
+   * @param {object} options
+   * @param {boolean} [options.createCategories=false]
+   * @param {boolean} [options.skipDuplicates=true]
+   * @param {boolean} [options.updateExisting=false]
+   * @param {boolean} [options.dryRun=false]
+   * @param {string} [options.importedBy]
+   * @param {function(number): Promise} [onProgress] - Called with a percentage
+   */
+  async run(csvContent, options = {}, onProgress = async () => {}) {
+    const {
+      createCategories = false,
+      skipDuplicates = true,
+      updateExisting = false,
+      dryRun = false,
+      importedBy = 'csv-import'
+    } = options;
+
+    const { headers, rows, errors, warnings } = parseCsv(csvContent, await this.loadCategoryIds(), { createCategories });
+
+    const headerErrors = errors.filter(error => error.row <= 1);
+    if (headerErrors.length > 0) {
+      throw new Error(headerErrors.map(error => error.message).join('; '));
+    }
+
+    const rowErrors = new Map();
+    for (const error of errors) {
+      rowErrors.set(error.row, [...(rowErrors.get(error.row) || []), error.message]);
+    }
+
+    const results = [];
+    const rejected = [];
+    const categories = new Map();
+    const touchedCategories = new Map();
+    const newCategories = new Set();
+    // Names created earlier in this run, so a dry run treats repeats in the
+    // file the way the real import would
+    const plannedNames = new Set();
+    let lastProgress = -1;
+
+    for (const [index, row] of rows.entries()) {
+      const base = {
+        row: row.rowNumber,
+        categoryId: row.category,
+        letter: (row.letter || '').toUpperCase(),
+        itemName: row.itemName
+      };
+
+      try {
+        if (rowErrors.has(row.rowNumber)) {
+          throw new Error(rowErrors.get(row.rowNumber).join('; '));
+        }
+
+        if (!categories.has(row.category)) {
+          categories.set(row.category, await Category.findOne({ id: row.category }));
+        }
+        let category = categories.get(row.category);
+
+        if (!category) {
+          newCategories.add(row.category);
+        }
+        if (!category && !dryRun) {
+          category = new Category({
+            id: row.category,
+            name: capitalize(row.category),
+            description: `Category for ${row.category}`,
+            icon: '📦',
+            color: 'from-gray-400 to-gray-300',
+            group: 'educational',
+            status: 'active',
+            metadata: {
+              totalItems: 0,
+              createdAt: new Date()
+            }
+          });
+          await category.save();
+          categories.set(row.category, category);
+        }
+
+        const nameKey = `${row.category}:${base.letter}:${row.itemName.trim().toLowerCase()}`;
+        const existingItems = category ? await Item.findByLetter(category.id, base.letter) : [];
+        const existingItem = existingItems.find(item => item.name.toLowerCase() === row.itemName.trim().toLowerCase());
+        const exists = Boolean(existingItem) || (dryRun && plannedNames.has(nameKey));
+
+        if (exists && skipDuplicates) {
+          results.push({ ...base, status: 'skipped', reason: 'Item already exists', itemId: existingItem?.id });
+        } else if (exists && updateExisting) {
+          if (!dryRun && existingItem) {
+            this.applyRow(existingItem, row);
+            await existingItem.save();
+            touchedCategories.set(category.id, category);
+          }
+          results.push({ ...base, status: 'updated', itemId: existingItem?.id });
+        } else {
+          let itemId;
+          // A dry run builds and validates the item too, so rows the real
+          // import would fail on are reported as failing here
+          const newItem = Item.buildForCategory(category || { id: row.category }, base.letter, {
+            id: generateItemId(row.itemName),
+            name: row.itemName.trim(),
+            description: row.description || '',
+            tags: row.tags || [],
+            difficulty: row.difficulty || 1,
+            translations: Object.keys(row.translations).length > 0 ? row.translations : undefined,
+            collectionStatus: 'pending',
+            publishingStatus: 'draft',
+            images: [],
+            createdBy: importedBy,
+            createdAt: new Date(),
+            updatedAt: new Date()
+          });
+          if (dryRun) {
+            const invalid = newItem.validateSync();
+            if (invalid) throw invalid;
+          } else {
+            await newItem.save();
+            touchedCategories.set(category.id, category);
+            itemId = newItem.id;
+          }
+          plannedNames.add(nameKey);
+          results.push({ ...base, status: 'created', itemId });
+        }
+      } catch (error) {
+        const status = rowErrors.has(row.rowNumber) ? 'rejected' : 'failed';
+        results.push({ ...base, status, reason: error.message });
+        rejected.push({ row: row.rowNumber, raw: row.raw, reason: error.message });
+      }
+
+      const progress = Math.round(((index + 1) / rows.length) * 100);
+      if (progress !== lastProgress) {
+        lastProgress = progress;
+        await onProgress(progress);
+      }
+    }
+
+    // Update metadata once per category rather than per row
+    for (const category of touchedCategories.values()) {
+      await category.refreshItemStats();
+    }
+
+    const summary = { totalRows: rows.length, created: 0, updated: 0, skipped: 0, rejected: 0, failed: 0 };
+    for (const { status } of results) {
+      summary[status]++;
+    }
+
+    return {
+      dryRun,
+      summary,
+      diff: buildDiff(results),
+      newCategories: [...newCategories],
+      warnings,
+      headers,
+      rejected,
+      results
+    };
+  }
+
+  // Translated cells overwrite per field; locales not in the file are kept
+  applyRow(existingItem, row) {
+    existingItem.description = row.description || existingItem.description;
+    existingItem.tags = row.tags || existingItem.tags;
+    existingItem.difficulty = row.difficulty || existingItem.difficulty;
+    if (!existingItem.translations && Object.keys(row.translations).length > 0) {
+      existingItem.translations = {};
+    }
+    for (const [locale, translation] of Object.entries(row.translations)) {
+      const current = existingItem.translations?.get(locale);
+      existingItem.set(`translations.${locale}`, {
+        ...(current ? current.toObject() : {}),
+        ...translation
+      });
+    }
+    existingItem.updatedAt = new Date();
+  }
+
+  async loadCategoryIds() {
+    const categories = await Category.find({}, 'id').lean();
+    return new Set(categories.map(c => c.id));
+  }
+}
+
+function parseCSVLine(line) {
+  const result = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (char === '"') {
+      if (inQuotes && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+    } else if (char === ',' && !inQuotes) {
+      result.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  result.push(current.trim());
+  return result;
+}
+
+// Escape quotes and wrap in quotes if the value contains a comma, quote or newline
+function escapeCsvValue(value) {
+  if (typeof value === 'string' && (value.includes(',') || value.includes('\n') || value.includes('"'))) {
+    return `"${value.replace(/"/g, '""')}"`;
+  }
+  return value;
+}
+
+function generateItemId(name) {
+  return name.toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)/g, '') + '-' + Date.now().toString(36).slice(-6);
+}
+
+function capitalize(str) {
+  return str.charAt(0).toUpperCase() + str.slice(1);
+}
+
+module.exports = {
+  CsvImport,
+  parseCsv,
+  buildDiff,
+  buildRejectedCsv,
+  escapeCsvValue,
+  LIST_SEPARATOR,
+  TRANSLATION_LOCALES
+};
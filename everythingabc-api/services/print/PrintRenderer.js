@@ -0,0 +1,439 @@
+const axios = require('axios');
+const fs = require('fs-extra');
+const sharp = require('sharp');
+const PDFDocument = require('pdfkit');
+const logger = require('../../utils/logger');
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+
+const LAYOUTS = ['flashcards', 'poster', 'worksheet'];
+
+const PAPER_SIZES = {
+  a4: 'A4',
+  letter: 'LETTER'
+};
+
+// Flashcard grids, columns × rows, by cards per page
+const CARD_GRIDS = {
+  1: [1, 1],
+  2: [1, 2],
+  4: [2, 2],
+  6: [2, 3],
+  8: [2, 4],
+  9: [3, 3],
+  12: [3, 4]
+};
+
+const POSTER_GRID = [5, 6];
+
+const COLORS = {
+  text: '#111827',
+  muted: '#6b7280',
+  trace: '#cbd5e1',
+  line: '#9ca3af',
+  accent: '#2563eb',
+  placeholder: '#eff6ff'
+};
+
+const byLetterAndName = (a, b) =>
+  (a.letter || '').localeCompare(b.letter || '') || a.name.localeCompare(b.name);
+
+const chunk = (array, size) => {
+  const chunks = [];
+  for (let i = 0; i < array.length; i += size) {
+    chunks.push(array.slice(i, i + size));
+  }
+  return chunks;
+};
+
+// The image a printout should use: the primary approved image, then any
+// approved one. Pending and rejected images are never printed.
+const printableImage = (item) => {
+  const approved = (item.images || []).filter(image => image.status === 'approved');
+  return approved.find(image => image.isPrimary) || approved[0] || null;
+};
+
+/**
+ * Renders printable PDFs of a category: flashcards to cut out, a one-page
+ * A–Z poster, or a tracing worksheet.
+ *
+ * Rendering is split into paginate(), which decides what goes on each page,
+ * and render(), which draws it with pdfkit.
+ */
+class PrintRenderer {
+  constructor(config = {}) {
+    this.config = {
+      defaultCardsPerPage: { flashcards: 6, worksheet: 5 },
+      maxWorksheetRows: 8,
+      // Pixels on the long edge; plenty for print at card size and keeps the PDF small
+      imageSize: 600,
+      imageTimeout: 15000,
+      // Base URL for legacy relative `item.image` paths
+      imageBaseUrl: process.env.IMAGE_CDN_URL || null,
+      // Rendered PDFs kept for repeat requests
+      cacheSize: 20,
+      ...config
+    };
+
+    this.cache = new Map();
+  }
+
+  static get LAYOUTS() {
+    return LAYOUTS;
+  }
+
+  static get CARD_GRIDS() {
+    return CARD_GRIDS;
+  }
+
+  /**
+   * Normalize query parameters into render options.
+   *
+   * @returns {{layout: string, paper: string, cardsPerPage: number}|{error: string}}
+   */
+  parseOptions(query = {}) {
+    const layout = query.layout || 'flashcards';
+    if (!LAYOUTS.includes(layout)) {
+      return { error: `Unknown layout '${layout}'. Use ${LAYOUTS.join(', ')}` };
+    }
+
+    const paper = String(query.paper || 'a4').toLowerCase();
+    if (!PAPER_SIZES[paper]) {
+      return { error: `Unknown paper size '${query.paper}'. Use ${Object.keys(PAPER_SIZES).join(', ')}` };
+    }
+
+    let cardsPerPage = this.config.defaultCardsPerPage[layout] || null;
+    if (query.cardsPerPage !== undefined && layout !== 'poster') {
+      cardsPerPage = parseInt(query.cardsPerPage, 10);
+
+      if (layout === 'flashcards' && !CARD_GRIDS[cardsPerPage]) {
+        return { error: `cardsPerPage must be one of ${Object.keys(CARD_GRIDS).join(', ')}` };
+      }
+      if (layout === 'worksheet' &&
+          (!Number.isInteger(cardsPerPage) || cardsPerPage < 1 || cardsPerPage > this.config.maxWorksheetRows)) {
+        return { error: `cardsPerPage must be between 1 and ${this.config.maxWorksheetRows} for worksheets` };
+      }
+    }
+
+    return { layout, paper, cardsPerPage };
+  }
+
+  /**
+   * Decide what goes on each page.
+   *
+   * @param {Array} items - The category's items (plain objects with `letter`)
+   * @param {object} options - As from parseOptions
+   * @returns {Array<{cells: Array<{letter: string, item: object|null}>}>}
+   */
+  paginate(items, { layout, cardsPerPage }) {
+    const sorted = [...items].filter(item => item && item.name).sort(byLetterAndName);
+
+    if (layout === 'poster') {
+      // One cell per letter, preferring an item that has a picture
+      const cells = ALPHABET.map(letter => {
+        const candidates = sorted.filter(item => item.letter === letter);
+        const item = candidates.find(candidate => printableImage(candidate) || candidate.image) || candidates[0] || null;
+        return { letter, item };
+      });
+      return [{ cells }];
+    }
+
+    return chunk(sorted, cardsPerPage).map(pageItems => ({
+      cells: pageItems.map(item => ({ letter: item.letter, item }))
+    }));
+  }
+
+  /**
+   * Render a category printout, or reuse an earlier rendering. Renderings
+   * are keyed by the options and by when the category or any of its items
+   * last changed, so edits show up straight away.
+   *
+   * @returns {Promise<Buffer>} The PDF
+   */
+  renderCached(category, items, options) {
+    const changedAt = Math.max(
+      new Date(category.updatedAt || 0).getTime(),
+      ...items.map(item => new Date(item.updatedAt || 0).getTime())
+    );
+    const key = [category.id, options.layout, options.paper, options.cardsPerPage, items.length, changedAt].join(':');
+
+    let pdf = this.cache.get(key);
+    if (pdf) {
+      // Most recently used last
+      this.cache.delete(key);
+    } else {
+      // Concurrent requests for the same printout share one rendering
+      pdf = this.render(category, items, options);
+      pdf.catch(() => this.cache.delete(key));
+    }
+
+    this.cache.set(key, pdf);
+    if (this.cache.size > this.config.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    return pdf;
+  }
+
+  /**
+   * Render a category printout.
+   *
+   * @param {object} category - Category with `id` and `name`
+   * @param {Array} items - The category's items
+   * @param {object} options - As from parseOptions
+   * @returns {Promise<Buffer>} The PDF
+   */
+  async render(category, items, options) {
+    const pages = this.paginate(items, options);
+    const images = await this.loadImages(pages);
+
+    const doc = new PDFDocument({
+      size: PAPER_SIZES[options.paper],
+      margin: 36,
+      autoFirstPage: false,
+      info: {
+        Title: `${category.name} ${options.layout}`,
+        Author: 'EverythingABC'
+      }
+    });
+
+    const chunks = [];
+    const finished = new Promise((resolve, reject) => {
+      doc.on('data', data => chunks.push(data));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    if (pages.length === 0) {
+      doc.addPage();
+      doc.font('Helvetica').fontSize(14).fillColor(COLORS.muted)
+        .text(`${category.name} has no items to print yet.`, { align: 'center' });
+    }
+
+    pages.forEach((page, index) => {
+      doc.addPage();
+      if (options.layout === 'poster') {
+        this.drawPoster(doc, category, page, images);
+      } else if (options.layout === 'worksheet') {
+        this.drawWorksheet(doc, category, page, images, options);
+      } else {
+        this.drawFlashcards(doc, page, images, options);
+      }
+      this.drawFooter(doc, category, index + 1, pages.length);
+    });
+
+    doc.end();
+    return finished;
+  }
+
+  // Content area of the current page
+  area(doc) {
+    const { width, height, margins } = doc.page;
+    return {
+      x: margins.left,
+      y: margins.top,
+      width: width - margins.left - margins.right,
+      // Room for the footer
+      height: height - margins.top - margins.bottom - 16
+    };
+  }
+
+  drawFlashcards(doc, page, images, { cardsPerPage }) {
+    const [cols, rows] = CARD_GRIDS[cardsPerPage];
+    const area = this.area(doc);
+    const cellWidth = area.width / cols;
+    const cellHeight = area.height / rows;
+    const nameSize = Math.max(12, Math.min(32, cellHeight / 8));
+
+    page.cells.forEach(({ letter, item }, index) => {
+      const x = area.x + (index % cols) * cellWidth;
+      const y = area.y + Math.floor(index / cols) * cellHeight;
+
+      // Dashed cut lines
+      doc.save().lineWidth(0.5).dash(4, { space: 4 }).strokeColor(COLORS.line)
+        .rect(x, y, cellWidth, cellHeight).stroke().restore();
+
+      const padding = 12;
+      const imageHeight = cellHeight - nameSize * 2 - padding * 2;
+      this.drawPicture(doc, images.get(item), letter, x + padding, y + padding, cellWidth - padding * 2, imageHeight);
+
+      this.drawLetterBadge(doc, letter, x + padding + 4, y + padding + 4, Math.max(16, nameSize * 0.9));
+
+      doc.font('Helvetica-Bold').fontSize(this.fitFontSize(doc, item.name, cellWidth - padding * 2, nameSize))
+        .fillColor(COLORS.text)
+        .text(item.name, x + padding, y + cellHeight - padding - nameSize * 1.5, {
+          width: cellWidth - padding * 2,
+          align: 'center',
+          lineBreak: false
+        });
+    });
+  }
+
+  drawPoster(doc, category, page, images) {
+    const area = this.area(doc);
+
+    doc.font('Helvetica-Bold').fontSize(28).fillColor(COLORS.text)
+      .text(`${category.name} A–Z`, area.x, area.y, { width: area.width, align: 'center' });
+
+    const top = area.y + 44;
+    const [cols, rows] = POSTER_GRID;
+    const cellWidth = area.width / cols;
+    const cellHeight = (area.y + area.height - top) / rows;
+
+    page.cells.forEach(({ letter, item }, index) => {
+      const x = area.x + (index % cols) * cellWidth;
+      const y = top + Math.floor(index / cols) * cellHeight;
+      const padding = 4;
+
+      doc.save().lineWidth(0.5).strokeColor(COLORS.line)
+        .roundedRect(x + 2, y + 2, cellWidth - 4, cellHeight - 4, 6).stroke().restore();
+
+      doc.font('Helvetica-Bold').fontSize(16).fillColor(item ? COLORS.accent : COLORS.trace)
+        .text(letter, x + padding + 4, y + padding + 2, { lineBreak: false });
+
+      if (!item) return;
+
+      this.drawPicture(doc, images.get(item), letter, x + padding + 18, y + padding + 4, cellWidth - padding * 2 - 22, cellHeight - 34);
+      doc.font('Helvetica').fontSize(this.fitFontSize(doc, item.name, cellWidth - padding * 2, 10))
+        .fillColor(COLORS.text)
+        .text(item.name, x + padding, y + cellHeight - 20, {
+          width: cellWidth - padding * 2,
+          align: 'center',
+          lineBreak: false
+        });
+    });
+  }
+
+  drawWorksheet(doc, category, page, images, { cardsPerPage }) {
+    const area = this.area(doc);
+
+    doc.font('Helvetica-Bold').fontSize(18).fillColor(COLORS.text)
+      .text(`${category.name}: trace and write`, area.x, area.y);
+    doc.font('Helvetica').fontSize(11).fillColor(COLORS.muted)
+      .text('Name: ______________________', area.x, area.y + 4, { width: area.width, align: 'right' });
+
+    const top = area.y + 36;
+    const rowHeight = (area.y + area.height - top) / cardsPerPage;
+    const pictureSize = Math.min(rowHeight - 12, 110);
+    const textX = area.x + pictureSize + 24;
+    const textWidth = area.x + area.width - textX;
+
+    page.cells.forEach(({ letter, item }, index) => {
+      const y = top + index * rowHeight;
+
+      this.drawPicture(doc, images.get(item), letter, area.x, y + 6, pictureSize, pictureSize);
+
+      // Name in light grey to trace over, then a line to write it again
+      const traceSize = this.fitFontSize(doc, item.name, textWidth, Math.min(40, rowHeight / 3));
+      doc.font('Helvetica').fontSize(traceSize).fillColor(COLORS.trace)
+        .text(item.name, textX, y + 8, { width: textWidth, lineBreak: false });
+
+      const lineY = y + rowHeight - 14;
+      doc.save().lineWidth(0.75).strokeColor(COLORS.line)
+        .moveTo(textX, lineY).lineTo(textX + textWidth, lineY).stroke()
+        .lineWidth(0.5).dash(2, { space: 3 })
+        .moveTo(textX, lineY - traceSize * 0.45).lineTo(textX + textWidth, lineY - traceSize * 0.45).stroke()
+        .restore();
+    });
+  }
+
+  drawFooter(doc, category, pageNumber, pageCount) {
+    const { width, height, margins } = doc.page;
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+      .text(`everythingabc.com · ${category.name} · ${pageNumber}/${pageCount}`,
+        margins.left, height - margins.bottom - 10, {
+          width: width - margins.left - margins.right,
+          align: 'center',
+          lineBreak: false
+        });
+  }
+
+  // The item's picture, or a tinted box with its letter when there is none
+  drawPicture(doc, buffer, letter, x, y, width, height) {
+    if (width <= 0 || height <= 0) return;
+
+    if (buffer) {
+      doc.image(buffer, x, y, { fit: [width, height], align: 'center', valign: 'center' });
+      return;
+    }
+
+    const size = Math.min(width, height) * 0.6;
+    doc.save().rect(x, y, width, height).fill(COLORS.placeholder).restore();
+    doc.font('Helvetica-Bold').fontSize(size).fillColor(COLORS.accent)
+      .text(letter, x, y + (height - size) / 2, { width, align: 'center', lineBreak: false });
+  }
+
+  drawLetterBadge(doc, letter, x, y, size) {
+    const radius = size * 0.8;
+    doc.save().circle(x + radius, y + radius, radius).fill(COLORS.accent).restore();
+    doc.font('Helvetica-Bold').fontSize(size).fillColor('#ffffff')
+      .text(letter, x, y + radius - size * 0.35, { width: radius * 2, align: 'center', lineBreak: false });
+  }
+
+  // Largest size up to maxSize at which the text fits on one line
+  fitFontSize(doc, text, width, maxSize) {
+    let size = maxSize;
+    while (size > 6 && doc.fontSize(size).widthOfString(text) > width) {
+      size -= 1;
+    }
+    return size;
+  }
+
+  // Images for every item on the pages, as JPEGs pdfkit can embed
+  async loadImages(pages) {
+    const images = new Map();
+    const items = pages.flatMap(page => page.cells.map(cell => cell.item)).filter(Boolean);
+
+    for (const item of items) {
+      images.set(item, await this.loadImage(item));
+    }
+
+    return images;
+  }
+
+  async loadImage(item) {
+    const image = printableImage(item);
+    const locations = image
+      ? [
+        ...['medium', 'large', 'small']
+          .map(size => (image.processedSizes || []).find(processed => processed.size === size)?.path),
+        image.filePath
+      ]
+      : [];
+
+    // Items seeded before the multi-image system only have `image`
+    if (!image && item.image) {
+      if (/^https?:\/\//.test(item.image)) {
+        locations.push(item.image);
+      } else if (this.config.imageBaseUrl) {
+        locations.push(`${this.config.imageBaseUrl.replace(/\/$/, '')}/${item.image.replace(/^\//, '')}`);
+      }
+    }
+
+    for (const location of locations.filter(Boolean)) {
+      try {
+        let buffer = null;
+        if (/^https?:\/\//.test(location)) {
+          const response = await axios.get(location, { responseType: 'arraybuffer', timeout: this.config.imageTimeout });
+          buffer = Buffer.from(response.data);
+        } else if (await fs.pathExists(location)) {
+          buffer = await fs.readFile(location);
+        }
+
+        if (buffer) {
+          return await sharp(buffer)
+            .resize(this.config.imageSize, this.config.imageSize, { fit: 'inside', withoutEnlargement: true })
+            .flatten({ background: '#ffffff' })
+            .jpeg({ quality: 80 })
+            .toBuffer();
+        }
+      } catch (error) {
+        logger.debug(`Could not load print image for ${item.id}`, { location, error: error.message });
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = PrintRenderer;
@@ -0,0 +1,286 @@
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const fs = require('fs-extra');
+const ImageProcessor = require('./ImageProcessor');
+const FileOrganizer = require('../storage/FileOrganizer');
+const S3ImageUploadService = require('../cloud/S3ImageUploadService');
+const { LOCAL_MEDIA_PREFIX } = require('../speech/PronunciationAudio');
+const { licenseCompliance } = require('../compliance/LicenseCompliance');
+const logger = require('../../utils/logger');
+
+const isUrl = (location) => /^https?:\/\//.test(location || '');
+
+/**
+ * Image framing
+ *
+ * Editors can store a crop rectangle and/or a focal point on an image (see
+ * ImageProcessor.framingRegion). Saving either regenerates every size
+ * variant from the untouched original, on S3 when the image lives there and
+ * on local storage otherwise.
+ */
+class ImageFraming {
+  constructor() {
+    this.imageProcessor = new ImageProcessor();
+    this.fileOrganizer = new FileOrganizer();
+    this.s3Service = new S3ImageUploadService();
+  }
+
+  /**
+   * Check a { crop, focalPoint } body. Either may be null to clear it.
+   *
+   * @returns {string[]} Problems found, empty when the framing is valid
+   */
+  validate({ crop, focalPoint } = {}) {
+    const errors = [];
+    const fraction = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+
+    if (crop !== undefined && crop !== null) {
+      if (!['x', 'y', 'width', 'height'].every(key => fraction(crop[key]))) {
+        errors.push('crop x, y, width and height must be numbers between 0 and 1');
+      } else if (crop.width === 0 || crop.height === 0) {
+        errors.push('crop width and height must be greater than 0');
+      } else if (crop.x + crop.width > 1.0001 || crop.y + crop.height > 1.0001) {
+        errors.push('crop must lie within the image');
+      }
+    }
+
+    if (focalPoint !== undefined && focalPoint !== null) {
+      if (!fraction(focalPoint.x) || !fraction(focalPoint.y)) {
+        errors.push('focalPoint x and y must be numbers between 0 and 1');
+      }
+    }
+
+    return errors;
+  }
+
+  // Size boxes the variants are cut to, for previews
+  getSizes() {
+    return Object.entries(this.imageProcessor.config.imageProcessing.sizes)
+      .filter(([, config]) => config)
+      .map(([name, { width, height }]) => ({ name, width, height }));
+  }
+
+  /**
+   * An image as the CMS sees it: browser-loadable URLs for the current file,
+   * each size and the full-frame original the framing is relative to, plus
+   * its license, credit line and any license issues.
+   *
+   * @param {object} image - Image subdocument
+   * @param {object} item - The item the image belongs to
+   */
+  describe(image, item) {
+    const original = (image.processedSizes || []).find(size => size.size === 'original');
+    const framed = Boolean(image.crop || image.focalPoint);
+    const current = this.mediaUrl(item, image, 'file');
+
+    return {
+      sourceId: image.sourceId,
+      sourceProvider: image.sourceProvider,
+      status: image.status,
+      isPrimary: image.isPrimary || false,
+      url: current || image.sourceUrl,
+      originalUrl: this.mediaUrl(item, image, 'original') || image.sourceUrl || (framed ? null : current),
+      crop: plain(image.crop),
+      focalPoint: plain(image.focalPoint),
+      sizes: (image.processedSizes || []).map(({ size, width, height }) => ({
+        size,
+        width,
+        height,
+        url: this.mediaUrl(item, image, size)
+      })),
+      license: plain(image.license),
+      credit: licenseCompliance.credit(image),
+      licenseIssues: licenseCompliance.check(image),
+      updatedAt: image.updatedAt
+    };
+  }
+
+  /**
+   * Where an image's file, or one of its sizes, is stored
+   *
+   * @param {string} size - A processed size name, or 'file' for the current file
+   * @returns {string|null} A URL, a path inside the categories folder, or null
+   */
+  location(image, size) {
+    const location = size === 'file'
+      ? image.filePath
+      : (image.processedSizes || []).find(processed => processed.size === size)?.path;
+
+    if (!location) return null;
+    if (isUrl(location)) return location;
+
+    const relative = path.relative(this.fileOrganizer.getCategoriesPath(), location);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) return null;
+    return location;
+  }
+
+  // URLs pass through; local files are served by the media route, which
+  // only serves approved images (see routes/media.js)
+  mediaUrl(item, image, size) {
+    const location = this.location(image, size);
+    if (!location || isUrl(location)) return location;
+    if (image.status !== 'approved') return null;
+
+    return [LOCAL_MEDIA_PREFIX, 'images', item.categoryId, item.id, image.sourceId, size]
+      .map((segment, index) => index === 0 ? segment : encodeURIComponent(segment))
+      .join('/');
+  }
+
+  /**
+   * Store the framing on an image and regenerate its size variants. The
+   * caller saves the item.
+   *
+   * @param {object} item - Item document owning the image
+   * @param {object} image - Entry of item.images
+   * @param {object} framing - { crop, focalPoint }; omitted keys are kept
+   */
+  async reframe(item, image, framing) {
+    const previous = { crop: plain(image.crop), focalPoint: plain(image.focalPoint) };
+    const next = {
+      crop: framing.crop === undefined ? previous.crop : framing.crop,
+      focalPoint: framing.focalPoint === undefined ? previous.focalPoint : framing.focalPoint
+    };
+
+    const source = await this.loadOriginal(image, Boolean(previous.crop || previous.focalPoint));
+    if (!source) {
+      throw new Error('The original image is no longer available, so it cannot be re-cropped');
+    }
+
+    const active = next.crop || next.focalPoint ? next : null;
+    const stored = isUrl(image.filePath) && (image.processedSizes || []).length === 0
+      ? await this.uploadVariants(item, image, source, active)
+      : null;
+
+    if (!stored) {
+      await this.saveVariants(item, image, source, active);
+    }
+
+    image.crop = next.crop || undefined;
+    image.focalPoint = next.focalPoint || undefined;
+    image.updatedAt = new Date();
+
+    if (image.isPrimary) {
+      item.image = image.filePath;
+    }
+
+    return image;
+  }
+
+  /**
+   * The full-frame source: the stored original variant, then the provider's
+   * URL, and only for images never framed before the current file.
+   */
+  async loadOriginal(image, wasFramed) {
+    const original = (image.processedSizes || []).find(size => size.size === 'original');
+    const locations = [original?.path, image.sourceUrl, wasFramed ? null : image.filePath];
+
+    for (const location of locations) {
+      const buffer = await this.readLocation(location);
+      if (buffer) return buffer;
+    }
+    return null;
+  }
+
+  async readLocation(location) {
+    if (!location) return null;
+    try {
+      if (isUrl(location)) {
+        const response = await axios.get(location, { responseType: 'arraybuffer', timeout: 30000 });
+        return Buffer.from(response.data);
+      }
+      if (await fs.pathExists(location)) {
+        return fs.readFile(location);
+      }
+    } catch (error) {
+      logger.debug('Could not read image source', { location, error: error.message });
+    }
+    return null;
+  }
+
+  async uploadVariants(item, image, source, framing) {
+    try {
+      const uploaded = await this.s3Service.uploadImageWithMultipleSizes(source, {
+        category: item.categoryId,
+        letter: item.letter,
+        itemName: item.name,
+        sourceProvider: image.sourceProvider,
+        sourceId: image.sourceId
+      }, { framing });
+
+      image.filePath = uploaded.medium?.cdnUrl || uploaded.large?.cdnUrl || image.filePath;
+      return true;
+    } catch (error) {
+      logger.debug(`Cloud upload unavailable for ${image.sourceId}, storing variants locally`, { error: error.message });
+      return false;
+    }
+  }
+
+  async saveVariants(item, image, source, framing) {
+    const { formats } = this.imageProcessor.config.imageProcessing;
+    const generated = await this.imageProcessor.generateImageSizesFromBuffer(source, formats.output, formats.quality, framing);
+
+    // The original stays as it is so the framing can change again later
+    const original = (image.processedSizes || []).find(size => size.size === 'original');
+    const variants = generated.filter(size => size.name !== 'original' || !original);
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'image-framing-'));
+    try {
+      const savedSizes = [];
+      for (const variant of variants) {
+        const sizePath = path.join(tempDir, `${variant.name}.${variant.format}`);
+        await fs.writeFile(sizePath, variant.buffer);
+        savedSizes.push({ ...variant, path: sizePath });
+      }
+
+      const primary = savedSizes.find(size => size.name === 'large') || savedSizes[0];
+      const organized = await this.fileOrganizer.organizeImage(
+        primary.path, savedSizes, item.categoryId, item.letter, item.name, image.sourceProvider, image.sourceId
+      );
+
+      const replaced = [image.filePath, ...(image.processedSizes || [])
+        .filter(size => size !== original)
+        .map(size => size.path)];
+
+      image.filePath = organized.primaryPath;
+      image.processedSizes = [
+        ...(original ? [plain(original)] : []),
+        ...organized.sizes.map(size => ({
+          size: size.name,
+          path: size.path,
+          width: size.width,
+          height: size.height,
+          fileSize: size.fileSize
+        }))
+      ];
+      if (image.metadata) {
+        image.metadata.width = primary.width;
+        image.metadata.height = primary.height;
+        image.metadata.fileSize = primary.fileSize;
+      }
+
+      // Only files inside our own storage are cleaned up
+      const storagePath = path.resolve(this.fileOrganizer.basePath) + path.sep;
+      for (const oldPath of replaced) {
+        if (oldPath && !isUrl(oldPath) && path.resolve(oldPath).startsWith(storagePath)) {
+          await fs.remove(oldPath).catch(() => {});
+        }
+      }
+    } finally {
+      await fs.remove(tempDir);
+    }
+  }
+}
+
+// Mongoose subdocuments to plain objects, leaving plain values alone
+function plain(value) {
+  if (!value) return null;
+  return typeof value.toObject === 'function' ? value.toObject() : value;
+}
+
+const imageFraming = new ImageFraming();
+
+module.exports = {
+  ImageFraming,
+  imageFraming
+};
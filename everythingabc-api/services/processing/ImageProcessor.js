@@ -259,9 +259,11 @@ class ImageProcessor {
     }
   }
 
-  async generateImageSizesFromBuffer(inputBuffer, format, quality) {
+  // framing is an image's stored { crop, focalPoint }; see framingRegion
+  async generateImageSizesFromBuffer(inputBuffer, format, quality, framing = null) {
     const sizes = [];
     const sizeConfigs = this.config.imageProcessing.sizes;
+    const { width, height } = framing ? await sharp(inputBuffer).metadata() : {};
 
     for (const [sizeName, sizeConfig] of Object.entries(sizeConfigs)) {
       try {
@@ -270,7 +272,8 @@ class ImageProcessor {
           sizeName,
           sizeConfig,
           format,
-          quality
+          quality,
+          ImageProcessor.framingRegion(width, height, sizeConfig, framing)
         );
 
         if (processed) {
@@ -290,9 +293,14 @@ class ImageProcessor {
     return sizes.sort((a, b) => b.width * b.height - a.width * a.height); // Sort by size desc
   }
 
-  async generateSingleSizeFromBuffer(inputBuffer, sizeName, sizeConfig, format, quality) {
+  async generateSingleSizeFromBuffer(inputBuffer, sizeName, sizeConfig, format, quality, region = null) {
     let sharpInstance = sharp(inputBuffer);
 
+    // Cut out the framed part before resizing
+    if (region) {
+      sharpInstance = sharpInstance.extract(region);
+    }
+
     // Apply size transformation
     if (sizeConfig && (sizeConfig.width || sizeConfig.height)) {
       sharpInstance = sharpInstance.resize(sizeConfig.width, sizeConfig.height, {
@@ -868,6 +876,50 @@ class ImageProcessor {
   updateConfig(newConfig) {
     this.config = { ...this.config, ...newConfig };
   }
+
+  /**
+   * Pixel region of the source to use for one size variant, or null for the
+   * whole image.
+   *
+   * crop ({x, y, width, height}) and focalPoint ({x, y}) are fractions of the
+   * source so they survive re-encoding. The crop is applied first; a focal
+   * point then cuts the largest area with the size's aspect ratio, centred on
+   * the point as far as the crop allows. Sizes without a fixed box (the
+   * original) are never framed, so the framing can always be changed later.
+   */
+  static framingRegion(width, height, sizeConfig, framing) {
+    if (!framing || !sizeConfig || !width || !height) return null;
+    const { crop, focalPoint } = framing;
+    const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+    let region = { left: 0, top: 0, width, height };
+
+    if (crop) {
+      const left = clamp(Math.round(crop.x * width), 0, width - 1);
+      const top = clamp(Math.round(crop.y * height), 0, height - 1);
+      region = {
+        left,
+        top,
+        width: clamp(Math.round(crop.width * width), 1, width - left),
+        height: clamp(Math.round(crop.height * height), 1, height - top)
+      };
+    }
+
+    if (focalPoint && sizeConfig.width && sizeConfig.height) {
+      const aspect = sizeConfig.width / sizeConfig.height;
+      const regionWidth = Math.min(region.width, Math.round(region.height * aspect));
+      const regionHeight = Math.min(region.height, Math.round(region.width / aspect));
+
+      region = {
+        left: clamp(Math.round(focalPoint.x * width - regionWidth / 2), region.left, region.left + region.width - regionWidth),
+        top: clamp(Math.round(focalPoint.y * height - regionHeight / 2), region.top, region.top + region.height - regionHeight),
+        width: regionWidth,
+        height: regionHeight
+      };
+    }
+
+    return region.width === width && region.height === height ? null : region;
+  }
 }
 
 module.exports = ImageProcessor;
\ No newline at end of file
@@ -0,0 +1,162 @@
+const AuditLog = require('../../models/AuditLog');
+const Category = require('../../models/Category');
+const Item = require('../../models/Item');
+const logger = require('../../utils/logger');
+
+// Scheduled transitions are attributed to the scheduler, not to whoever
+// queued them; the description records who did the scheduling
+const SYSTEM_ACTOR = {
+  userId: 'system',
+  userEmail: 'system',
+  ipAddress: 'internal',
+  userAgent: 'publishing-scheduler'
+};
+
+/**
+ * Scheduled publishing
+ *
+ * Items carry optional `publishAt` / `unpublishAt` dates. A repeatable job on
+ * the publishing-schedule queue calls runDueTransitions(), which publishes or
+ * unpublishes every item whose date has passed.
+ *
+ * Items scheduled to publish while their collection is still pending stay
+ * queued and go live on the first run after their images are complete.
+ */
+class PublishScheduler {
+  /**
+   * Validate publishAt / unpublishAt from a request body. Missing values are
+   * returned as undefined, explicit nulls as null (clear the schedule).
+   *
+   * @returns {{publishAt?: Date|null, unpublishAt?: Date|null, error?: string}}
+   */
+  parseSchedule(body = {}, now = new Date()) {
+    const schedule = {};
+
+    for (const field of ['publishAt', 'unpublishAt']) {
+      const value = body[field];
+      if (value === undefined) continue;
+      if (value === null || value === '') {
+        schedule[field] = null;
+        continue;
+      }
+
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        return { error: `${field} must be a valid date` };
+      }
+      schedule[field] = date;
+    }
+
+    const publishAt = schedule.publishAt > now ? schedule.publishAt : now;
+    if (schedule.unpublishAt && schedule.unpublishAt <= publishAt) {
+      return { error: 'unpublishAt must be in the future and after publishAt' };
+    }
+
+    return schedule;
+  }
+
+  isFuture(date, now = new Date()) {
+    return Boolean(date) && date > now;
+  }
+
+  async runDueTransitions(now = new Date()) {
+    const results = {
+      published: [],
+      unpublished: [],
+      failed: []
+    };
+    const touchedCategories = new Set();
+
+    // Publish first so an item whose whole window passed while the
+    // scheduler was down still ends up unpublished
+    const dueForPublish = await Item.find({
+      publishAt: { $lte: now },
+      collectionStatus: 'complete'
+    });
+
+    for (const item of dueForPublish) {
+      try {
+        await this.publishItem(item, now);
+        results.published.push(item.id);
+        touchedCategories.add(item.categoryId);
+      } catch (error) {
+        logger.error('Scheduled publish failed', { itemId: item.id, error: error.message });
+        results.failed.push({ itemId: item.id, transition: 'publish', error: error.message });
+      }
+    }
+
+    const dueForUnpublish = await Item.find({ unpublishAt: { $lte: now } });
+
+    for (const item of dueForUnpublish) {
+      try {
+        await this.unpublishItem(item);
+        results.unpublished.push(item.id);
+        touchedCategories.add(item.categoryId);
+      } catch (error) {
+        logger.error('Scheduled unpublish failed', { itemId: item.id, error: error.message });
+        results.failed.push({ itemId: item.id, transition: 'unpublish', error: error.message });
+      }
+    }
+
+    for (const categoryId of touchedCategories) {
+      const category = await Category.findOne({ id: categoryId });
+      if (category) {
+        await category.refreshItemStats();
+      }
+    }
+
+    if (results.published.length || results.unpublished.length || results.failed.length) {
+      logger.info('Scheduled publishing run completed', {
+        published: results.published.length,
+        unpublished: results.unpublished.length,
+        failed: results.failed.length
+      });
+    }
+
+    return results;
+  }
+
+  async publishItem(item, now) {
+    const scheduledFor = item.publishAt;
+
+    item.publishingStatus = 'published';
+    item.publishedAt = now;
+    item.publishedBy = SYSTEM_ACTOR.userEmail;
+    item.publishAt = undefined;
+    await item.save();
+
+    await AuditLog.logAction({
+      ...SYSTEM_ACTOR,
+      action: 'publish',
+      resourceType: 'item',
+      resourceId: item.id,
+      resourceName: item.name,
+      description: `Scheduled publish of item: ${item.name} (scheduled for ${scheduledFor.toISOString()} by ${item.scheduledBy || 'unknown'})`
+    });
+  }
+
+  async unpublishItem(item) {
+    const scheduledFor = item.unpublishAt;
+
+    item.publishingStatus = 'draft';
+    item.unpublishAt = undefined;
+    await item.save();
+
+    await AuditLog.logAction({
+      ...SYSTEM_ACTOR,
+      action: 'unpublish',
+      resourceType: 'item',
+      resourceId: item.id,
+      resourceName: item.name,
+      description: `Scheduled unpublish of item: ${item.name} (scheduled for ${scheduledFor.toISOString()} by ${item.scheduledBy || 'unknown'})`
+    });
+  }
+}
+
+const publishScheduler = new PublishScheduler();
+
+module.exports = {
+  PublishScheduler,
+  publishScheduler,
+  SYSTEM_ACTOR
+};
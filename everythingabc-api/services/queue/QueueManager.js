@@ -1,19 +1,16 @@
 const Queue = require('bull');
 const logger = require('../../utils/logger');
+const redisConfig = require('./redisConfig');
 
 class QueueManager {
   constructor() {
     this.queues = new Map();
     this.initialized = false;
+    this.errorHandlersInstalled = false;
 
     // Queue configuration
     this.config = {
-      redis: {
-        host: process.env.REDIS_HOST || 'localhost',
-        port: process.env.REDIS_PORT || 6379,
-        password: process.env.REDIS_PASSWORD || undefined,
-        db: process.env.REDIS_DB || 0
-      },
+      redis: redisConfig,
       defaultJobOptions: {
         removeOnComplete: 50,
         removeOnFail: 50,
@@ -68,28 +65,79 @@ class QueueManager {
           attempts: 2,
           backoff: 'fixed'
         }
+      },
+      'publishing-schedule': {
+        name: 'publishing-schedule',
+        processor: require('./processors/PublishingScheduleProcessor'),
+        concurrency: 1,
+        jobOptions: {
+          removeOnComplete: 10,
+          removeOnFail: 50,
+          attempts: 1
+        }
+      },
+      'audio-generation': {
+        name: 'audio-generation',
+        processor: require('./processors/AudioGenerationProcessor'),
+        // Runs are long and hit one TTS provider; one at a time is plenty
+        concurrency: 1,
+        jobOptions: {
+          removeOnComplete: 20,
+          removeOnFail: 20,
+          // Items that succeeded aren't missing audio any more, so a retry
+          // only repeats the failures
+          attempts: 2,
+          backoff: 'fixed'
+        }
+      },
+      'csv-import': {
+        name: 'csv-import',
+        processor: require('./processors/CsvImportProcessor'),
+        concurrency: 1,
+        jobOptions: {
+          // Results hold the rejected-rows report, so keep them around a while
+          removeOnComplete: 50,
+          removeOnFail: 50,
+          // A half-finished import isn't safe to replay, and the upload is
+          // removed once the job ends
+          attempts: 1
+        }
       }
     };
   }
 
-  async initialize() {
-    if (this.initialized) return;
+  /**
+   * Create queues and register their processors. A process only becomes a
+   * worker for the queues it initializes, so the API starts just the ones it
+   * needs and the rest come up when a job is first added.
+   *
+   * @param {string[]} [queueNames] - Queues to start, all by default
+   */
+  async initialize(queueNames = Object.keys(this.queueDefinitions)) {
+    const pending = queueNames.filter(queueName => !this.queues.has(queueName));
+    if (pending.length === 0) return;
 
     try {
-      logger.info('Initializing queue manager...');
+      logger.info('Initializing queue manager...', { queues: pending });
 
       // Test Redis connection
-      await this.testRedisConnection();
+      if (this.queues.size === 0) {
+        await this.testRedisConnection();
+      }
 
-      // Initialize all queues
-      for (const [queueName, queueDef] of Object.entries(this.queueDefinitions)) {
+      for (const queueName of pending) {
+        const queueDef = this.queueDefinitions[queueName];
+        if (!queueDef) throw new Error(`Unknown queue: ${queueName}`);
         await this.initializeQueue(queueName, queueDef);
       }
 
       // Set up global error handlers
-      this.setupGlobalErrorHandlers();
+      if (!this.errorHandlersInstalled) {
+        this.setupGlobalErrorHandlers();
+        this.errorHandlersInstalled = true;
+      }
 
-      this.initialized = true;
+      this.initialized = this.queues.size === Object.keys(this.queueDefinitions).length;
       logger.info('Queue manager initialized successfully', {
         queues: Array.from(this.queues.keys()),
         redis: {
@@ -130,8 +178,10 @@ class QueueManager {
       });
 
       // Set up queue processor
+      // Jobs are added by name (see addJob), and Bull only hands named jobs
+      // to a processor registered for that name or '*'
       if (queueDef.processor) {
-        queue.process(queueDef.concurrency || 1, queueDef.processor);
+        queue.process('*', queueDef.concurrency || 1, queueDef.processor);
       }
 
       // Set up queue event handlers
@@ -207,15 +257,18 @@ class QueueManager {
   }
 
   async addJob(queueName, jobType, data, options = {}) {
-    if (!this.initialized) {
-      await this.initialize();
+    if (!this.queues.has(queueName)) {
+      await this.initialize([queueName]);
     }
 
     const queue = this.getQueue(queueName);
 
     try {
+      // Options passed to add() win over the queue's defaults, so the global
+      // defaults must not mask the queue's own, such as its attempts
       const job = await queue.add(jobType, data, {
         ...this.config.defaultJobOptions,
+        ...this.queueDefinitions[queueName]?.jobOptions,
         ...options
       });
 
@@ -237,6 +290,29 @@ class QueueManager {
     }
   }
 
+  // Job state for status polling, or null if the job is unknown or removed
+  async getJobStatus(queueName, jobId) {
+    if (!this.queues.has(queueName)) {
+      await this.initialize([queueName]);
+    }
+
+    const job = await this.getQueue(queueName).getJob(jobId);
+    if (!job) return null;
+
+    return {
+      id: job.id,
+      type: job.name,
+      state: await job.getState(),
+      progress: job.progress(),
+      data: job.data,
+      result: job.returnvalue || null,
+      failedReason: job.failedReason || null,
+      attemptsMade: job.attemptsMade,
+      createdAt: new Date(job.timestamp),
+      finishedAt: job.finishedOn ? new Date(job.finishedOn) : null
+    };
+  }
+
   async getJobCounts(queueName) {
     const queue = this.getQueue(queueName);
 
@@ -379,6 +455,26 @@ class QueueManager {
     return this.addJob('quality-analysis', 'analyze-quality', data, options);
   }
 
+  async addAudioGenerationJob(data, options = {}) {
+    return this.addJob('audio-generation', 'generate-missing-audio', data, options);
+  }
+
+  async addCsvImportJob(data, options = {}) {
+    return this.addJob('csv-import', data.options?.dryRun ? 'csv-dry-run' : 'csv-import', data, options);
+  }
+
+  // Repeatable sweep that applies due publishAt / unpublishAt dates. Bull
+  // keys repeatable jobs by name and cron, so calling this from several
+  // API instances still leaves a single schedule.
+  async schedulePublishingSweep(cron = process.env.PUBLISHING_SCHEDULE_CRON || '* * * * *') {
+    return this.addJob('publishing-schedule', 'apply-publishing-schedule', {}, {
+      repeat: { cron },
+      // The next run picks up anything a failed run missed
+      attempts: 1,
+      removeOnComplete: 10
+    });
+  }
+
   // Get specific queue instances
   get collectionQueue() {
     return this.getQueue('image-collection');
@@ -395,6 +491,18 @@ class QueueManager {
   get qualityQueue() {
     return this.getQueue('quality-analysis');
   }
+
+  get publishingQueue() {
+    return this.getQueue('publishing-schedule');
+  }
+
+  get audioQueue() {
+    return this.getQueue('audio-generation');
+  }
+
+  get csvImportQueue() {
+    return this.getQueue('csv-import');
+  }
 }
 
 // Create singleton instance
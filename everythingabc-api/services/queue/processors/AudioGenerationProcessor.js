@@ -0,0 +1,46 @@
+const { pronunciationAudio } = require('../../speech/PronunciationAudio');
+const logger = require('../../../utils/logger');
+
+/**
+ * Audio Generation Queue Processor
+ *
+ * Generates pronunciation audio for every item that has none in the
+ * requested locale, optionally limited to one category. One item failing
+ * doesn't stop the run; failures are reported in the result.
+ */
+
+module.exports = async function(job) {
+  const { locale = 'en', categoryId, provider, requestedBy, limit } = job.data;
+
+  try {
+    const items = await pronunciationAudio.findItemsMissingAudio(locale, { categoryId, limit });
+    const results = { total: items.length, generated: 0, failed: [] };
+
+    for (const [index, item] of items.entries()) {
+      try {
+        await pronunciationAudio.generateForItem(item, { locale, provider, createdBy: requestedBy });
+        results.generated++;
+      } catch (error) {
+        results.failed.push({ itemId: item.id, categoryId: item.categoryId, error: error.message });
+      }
+
+      await job.progress(Math.round(((index + 1) / items.length) * 100));
+    }
+
+    if (results.failed.length > 0) {
+      logger.warn('Some pronunciation audio could not be generated', {
+        jobId: job.id,
+        locale,
+        failed: results.failed.length
+      });
+    }
+
+    return { success: true, locale, categoryId: categoryId || null, ...results };
+  } catch (error) {
+    logger.error('Audio generation job failed', {
+      jobId: job.id,
+      error: error.message
+    });
+    throw error;
+  }
+};
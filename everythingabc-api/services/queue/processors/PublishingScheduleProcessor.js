@@ -0,0 +1,28 @@
+const { publishScheduler } = require('../../publishing/PublishScheduler');
+const logger = require('../../../utils/logger');
+
+/**
+ * Publishing Schedule Queue Processor
+ *
+ * Runs on a repeatable job and applies any publishAt / unpublishAt dates
+ * that have come due
+ */
+
+module.exports = async function(job) {
+  try {
+    const results = await publishScheduler.runDueTransitions(new Date());
+
+    return {
+      success: true,
+      published: results.published.length,
+      unpublished: results.unpublished.length,
+      failed: results.failed
+    };
+  } catch (error) {
+    logger.error('Publishing schedule job failed', {
+      jobId: job.id,
+      error: error.message
+    });
+    throw error;
+  }
+};
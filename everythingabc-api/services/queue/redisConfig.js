@@ -0,0 +1,8 @@
+// Redis connection settings shared by the Bull queues and anything else that
+// keeps state in the same Redis (rate limiting)
+module.exports = {
+  host: process.env.REDIS_HOST || 'localhost',
+  port: process.env.REDIS_PORT || 6379,
+  password: process.env.REDIS_PASSWORD || undefined,
+  db: process.env.REDIS_DB || 0
+};
@@ -0,0 +1,276 @@
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+
+const MODES = ['picture', 'letter', 'spell', 'fact'];
+
+// Small, fast PRNG (mulberry32). Math.random can't be seeded, and the same
+// seed has to give the same quiz on every server.
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// FNV-1a, so any string can be used as a seed
+const hashSeed = (value) => {
+  let hash = 0x811C9DC5;
+  for (const char of String(value)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+const shuffle = (array, random) => {
+  const result = [...array];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+const hasImage = (item) => Boolean(item.image || (item.images && item.images.length > 0));
+
+const spellingOf = (name) => name.toUpperCase().replace(/[^A-Z]/g, '');
+
+// Only what the app needs to show an item; answers are included on purpose,
+// quizzes are marked in the browser
+const toQuizItem = (item) => ({
+  id: item.id,
+  name: item.name,
+  letter: item.letter,
+  image: item.image,
+  imageAlt: item.imageAlt,
+  images: item.images
+});
+
+/**
+ * Generates quizzes from a category's items.
+ *
+ * Everything is driven by a seeded random source, so a seed and the same
+ * category content always produce the same quiz. Distractors are drawn from
+ * the same category, preferring items close to the target's difficulty.
+ */
+class QuizGenerator {
+  constructor(config = {}) {
+    this.config = {
+      defaultCount: 10,
+      maxCount: 30,
+      choices: 4,
+      // Items within this many difficulty levels count as the same band
+      difficultyBand: 1,
+      // Extra letter tiles mixed into spelling questions
+      spellingDecoys: 2,
+      maxSpellingLength: 12,
+      ...config
+    };
+  }
+
+  static get MODES() {
+    return MODES;
+  }
+
+  /**
+   * Normalize query parameters into generator options.
+   *
+   * @returns {{seed: string, count: number, modes: string[]}|{error: string}}
+   */
+  parseOptions(query = {}) {
+    const seed = query.seed !== undefined && query.seed !== ''
+      ? String(query.seed).slice(0, 64)
+      : Math.floor(Math.random() * 1e9).toString(36);
+
+    let count = this.config.defaultCount;
+    if (query.count !== undefined) {
+      count = parseInt(query.count, 10);
+      if (!Number.isInteger(count) || count < 1) {
+        return { error: 'count must be a positive integer' };
+      }
+      count = Math.min(count, this.config.maxCount);
+    }
+
+    let modes = MODES;
+    if (query.modes) {
+      modes = String(query.modes).split(',').map(mode => mode.trim()).filter(Boolean);
+      const unknown = modes.filter(mode => !MODES.includes(mode));
+      if (unknown.length > 0) {
+        return { error: `Unknown quiz mode(s): ${unknown.join(', ')}. Use ${MODES.join(', ')}` };
+      }
+    }
+
+    return { seed, count, modes };
+  }
+
+  /**
+   * Build a quiz.
+   *
+   * @param {object} category - Category with at least `id`
+   * @param {Array} items - The category's items (plain objects with `letter`)
+   * @param {object} options - { seed, count, modes } as from parseOptions
+   * @returns {{seed: string, categoryId: string, modes: string[], questions: Array}}
+   */
+  generate(category, items, { seed, count = this.config.defaultCount, modes = MODES } = {}) {
+    const random = createRandom(hashSeed(`${category.id}:${seed}`));
+
+    // Sort first so the database's return order can't change the quiz
+    const pool = [...items]
+      .filter(item => item && item.id && item.name)
+      .sort((a, b) => a.id.localeCompare(b.id));
+
+    const candidates = {
+      picture: pool.filter(hasImage),
+      letter: pool.filter(item => hasImage(item) && ALPHABET.includes(item.letter)),
+      spell: pool.filter(item => {
+        const length = spellingOf(item.name).length;
+        return hasImage(item) && length >= 2 && length <= this.config.maxSpellingLength;
+      }),
+      fact: pool.filter(item => item.facts && item.facts.length > 0)
+    };
+
+    const queues = {};
+    for (const mode of modes) {
+      queues[mode] = shuffle(candidates[mode] || [], random);
+    }
+
+    // Take modes in turn; a mode with no usable items left is dropped
+    const questions = [];
+    let activeModes = modes.filter(mode => queues[mode].length > 0);
+
+    while (questions.length < count && activeModes.length > 0) {
+      const mode = activeModes[questions.length % activeModes.length];
+      const target = queues[mode].shift();
+      const question = this.buildQuestion(mode, target, pool, random);
+
+      if (question) {
+        questions.push({ id: `q${questions.length + 1}`, ...question });
+      }
+      activeModes = activeModes.filter(m => queues[m].length > 0);
+    }
+
+    return {
+      seed,
+      categoryId: category.id,
+      modes,
+      questions
+    };
+  }
+
+  buildQuestion(mode, target, pool, random) {
+    switch (mode) {
+      case 'picture':
+        return this.pictureQuestion(target, pool, random);
+      case 'letter':
+        return this.letterQuestion(target, pool, random);
+      case 'spell':
+        return this.spellQuestion(target, pool, random);
+      case 'fact':
+        return this.factQuestion(target, pool, random);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Other items to use as wrong answers: same difficulty band first, then the
+   * rest of the category if the band is too small.
+   */
+  pickDistractors(target, pool, count, random, filter = () => true) {
+    const others = pool.filter(item => item.id !== target.id && filter(item));
+    const inBand = item =>
+      Math.abs((item.difficulty || 1) - (target.difficulty || 1)) <= this.config.difficultyBand;
+
+    const near = shuffle(others.filter(inBand), random);
+    const far = shuffle(others.filter(item => !inBand(item)), random);
+    return [...near, ...far].slice(0, count);
+  }
+
+  pictureQuestion(target, pool, random) {
+    const distractors = this.pickDistractors(target, pool, this.config.choices - 1, random, hasImage);
+    if (distractors.length === 0) return null;
+
+    return {
+      mode: 'picture',
+      prompt: `Which picture is the ${target.name}?`,
+      item: toQuizItem(target),
+      options: shuffle([target, ...distractors], random).map(toQuizItem),
+      answer: target.id
+    };
+  }
+
+  letterQuestion(target, pool, random) {
+    // Letters of similar items make better wrong answers than random ones
+    const letters = [];
+    for (const item of this.pickDistractors(target, pool, pool.length, random)) {
+      if (item.letter !== target.letter && !letters.includes(item.letter)) {
+        letters.push(item.letter);
+      }
+    }
+    for (const letter of shuffle(ALPHABET, random)) {
+      if (letter !== target.letter && !letters.includes(letter)) {
+        letters.push(letter);
+      }
+    }
+
+    return {
+      mode: 'letter',
+      prompt: 'What letter does this start with?',
+      item: toQuizItem(target),
+      options: shuffle([target.letter, ...letters.slice(0, this.config.choices - 1)], random),
+      answer: target.letter
+    };
+  }
+
+  spellQuestion(target, pool, random) {
+    const answer = spellingOf(target.name);
+
+    // Decoy tiles come from the names of similar items
+    const decoyLetters = this.pickDistractors(target, pool, pool.length, random)
+      .flatMap(item => spellingOf(item.name).split(''));
+    const decoys = shuffle(decoyLetters, random).slice(0, this.config.spellingDecoys);
+
+    return {
+      mode: 'spell',
+      prompt: 'Spell the word',
+      item: toQuizItem(target),
+      tiles: shuffle([...answer.split(''), ...decoys], random),
+      answer
+    };
+  }
+
+  factQuestion(target, pool, random) {
+    const fact = target.facts[Math.floor(random() * target.facts.length)];
+
+    // Half the time, show a fact about a similar item instead
+    if (random() < 0.5) {
+      const [other] = this.pickDistractors(target, pool, 1, random, item =>
+        item.facts && item.facts.some(f => !target.facts.includes(f)));
+
+      if (other) {
+        const otherFacts = other.facts.filter(f => !target.facts.includes(f));
+        return {
+          mode: 'fact',
+          prompt: `True or false: this is a fact about the ${target.name}.`,
+          item: toQuizItem(target),
+          statement: otherFacts[Math.floor(random() * otherFacts.length)],
+          answer: false,
+          explanation: `That fact is about the ${other.name}.`
+        };
+      }
+    }
+
+    return {
+      mode: 'fact',
+      prompt: `True or false: this is a fact about the ${target.name}.`,
+      item: toQuizItem(target),
+      statement: fact,
+      answer: true
+    };
+  }
+}
+
+module.exports = QuizGenerator;
@@ -0,0 +1,280 @@
+const { RateLimiterMemory, RateLimiterRedis, RateLimiterRes } = require('rate-limiter-flexible');
+const { createClient } = require('redis');
+const logger = require('../../utils/logger');
+const redisConfig = require('../queue/redisConfig');
+const AuditLog = require('../../models/AuditLog');
+
+/**
+ * Rate limit policies by route group. Each can be overridden with
+ * RATE_LIMIT_<NAME>, e.g. RATE_LIMIT_SEARCH=120/1m, or switched off with
+ * RATE_LIMIT_<NAME>=off.
+ */
+const DEFAULT_POLICIES = {
+  // Failed sign-ins and code checks per IP. Issuing a session clears the
+  // count, so only guessing is limited.
+  auth: {
+    limit: '5/15m',
+    countFailuresOnly: true,
+    message: 'Too many authentication attempts',
+    severity: 'high'
+  },
+  search: {
+    limit: '60/1m',
+    message: 'Too many search requests, please slow down',
+    severity: 'medium'
+  },
+  // PDF rendering loads every image in a category
+  print: {
+    limit: '10/1m',
+    message: 'Too many print requests, please try again shortly',
+    severity: 'medium'
+  },
+  // Paid AI image generation
+  generation: {
+    limit: '20/1h',
+    message: 'Too many image generation requests, please try again later',
+    severity: 'high'
+  },
+  public: {
+    limit: '300/1m',
+    message: 'Too many requests, please slow down',
+    severity: 'medium'
+  }
+};
+
+const DURATION_UNITS = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+/**
+ * Parse a limit such as "60/1m" (60 requests per minute)
+ * @param {string} spec - "<points>/<duration>", duration in s, m, h or d
+ * @returns {{ points: number, duration: number }|null} Duration in seconds,
+ *   or null when the policy is switched off
+ */
+const parseLimit = (spec) => {
+  if (String(spec).trim().toLowerCase() === 'off') return null;
+
+  const match = String(spec).trim().match(/^(\d+)\s*\/\s*(\d+)?([smhd])$/);
+  if (!match || Number(match[1]) < 1) {
+    throw new Error(`Invalid rate limit "${spec}", expected e.g. 60/1m or off`);
+  }
+
+  return {
+    points: Number(match[1]),
+    duration: Number(match[2] || 1) * DURATION_UNITS[match[3]]
+  };
+};
+
+class RateLimitManager {
+  constructor(policies = DEFAULT_POLICIES, env = process.env) {
+    this.env = env;
+    this.policies = {};
+    for (const [name, policy] of Object.entries(policies)) {
+      const override = env[`RATE_LIMIT_${name.toUpperCase()}`];
+      const limit = parseLimit(override || policy.limit);
+      this.policies[name] = limit && { ...policy, ...limit, name };
+    }
+
+    this.limiters = new Map();
+    this.redisClient = null;
+  }
+
+  get store() {
+    return this.redisClient ? 'redis' : 'memory';
+  }
+
+  /**
+   * Connect to Redis so limits are shared between instances and survive
+   * restarts. Until then, or if Redis is unavailable, limits are kept in
+   * memory per process.
+   */
+  async initialize() {
+    if (this.redisClient || this.env.RATE_LIMIT_STORE === 'memory') return;
+
+    let connected = false;
+    const client = createClient({
+      socket: {
+        host: redisConfig.host,
+        port: Number(redisConfig.port),
+        connectTimeout: 5000,
+        // Give up straight away at startup; once connected, keep retrying
+        reconnectStrategy: (retries) => connected ? Math.min(retries * 500, 10000) : false
+      },
+      password: redisConfig.password,
+      database: Number(redisConfig.db),
+      // Fail fast while disconnected so requests fall back to memory
+      disableOfflineQueue: true
+    });
+
+    client.on('error', (error) => {
+      if (connected) logger.warn(`Rate limit store error: ${error.message}`);
+    });
+
+    try {
+      await client.connect();
+      connected = true;
+      this.redisClient = client;
+      this.limiters.clear();
+      logger.info('Rate limiting uses Redis', { host: redisConfig.host, port: redisConfig.port });
+    } catch (error) {
+      logger.warn(`Rate limiting falls back to memory: ${error.message}`);
+      if (client.isOpen) client.destroy();
+    }
+  }
+
+  async close() {
+    if (!this.redisClient) return;
+
+    const client = this.redisClient;
+    this.redisClient = null;
+    this.limiters.clear();
+    await client.quit();
+  }
+
+  getLimiter(name) {
+    if (!this.limiters.has(name)) {
+      const { points, duration } = this.policies[name];
+      const options = { keyPrefix: `ratelimit:${name}`, points, duration };
+
+      // The memory limiter stands in whenever Redis stops answering
+      const memory = new RateLimiterMemory(options);
+      this.limiters.set(name, this.redisClient
+        ? new RateLimiterRedis({ ...options, storeClient: this.redisClient, useRedisPackage: true, insuranceLimiter: memory })
+        : memory);
+    }
+
+    return this.limiters.get(name);
+  }
+
+  describePolicies() {
+    return Object.fromEntries(Object.entries(this.policies).map(([name, policy]) => [
+      name,
+      policy
+        ? { points: policy.points, duration: policy.duration, countFailuresOnly: Boolean(policy.countFailuresOnly) }
+        : null
+    ]));
+  }
+
+  /**
+   * Express middleware enforcing a policy per client IP. A request is only
+   * counted against the first policy it meets, so mounting a stricter group
+   * before a broader one keeps it from being charged twice. Requests made
+   * with an API key are held to the key's daily quota instead.
+   *
+   * @param {string} name - Policy name
+   * @returns {Function} Middleware
+   */
+  middleware(name) {
+    if (!(name in this.policies)) {
+      throw new Error(`Unknown rate limit policy: ${name}`);
+    }
+
+    return async (req, res, next) => {
+      const policy = this.policies[name];
+      if (!policy || req.rateLimitPolicy || req.apiKey) return next();
+      req.rateLimitPolicy = name;
+
+      const limiter = this.getLimiter(name);
+      const key = req.ip || req.connection.remoteAddress;
+
+      let result;
+      try {
+        if (policy.countFailuresOnly) {
+          result = await limiter.get(key) || new RateLimiterRes(policy.points, 0, 0);
+          if (result.consumedPoints >= policy.points) {
+            return this.reject(req, res, policy, await limiter.penalty(key));
+          }
+          this.trackOutcome(res, limiter, key);
+        } else {
+          result = await limiter.consume(key);
+        }
+      } catch (error) {
+        if (error instanceof RateLimiterRes) return this.reject(req, res, policy, error);
+
+        // Never turn a limiter fault into an outage
+        logger.warn(`Rate limit '${name}' not applied: ${error.message}`);
+        return next();
+      }
+
+      setHeaders(res, policy, result);
+      next();
+    };
+  }
+
+  // Failures add to the count. Only a route that sets
+  // res.locals.rateLimitCleared clears it: a correct password that earns a
+  // two-factor challenge must not reset the limit on guessing codes.
+  trackOutcome(res, limiter, key) {
+    res.on('finish', () => {
+      let update = null;
+      if (res.statusCode === 400 || res.statusCode === 401) {
+        update = limiter.penalty(key);
+      } else if (res.statusCode === 200 && res.locals.rateLimitCleared) {
+        update = limiter.delete(key);
+      }
+
+      if (update) {
+        update.catch(error => logger.warn(`Rate limit update failed: ${error.message}`));
+      }
+    });
+  }
+
+  reject(req, res, policy, result) {
+    const retryAfter = Math.ceil(result.msBeforeNext / 1000);
+
+    setHeaders(res, policy, result);
+    res.set('Retry-After', String(retryAfter));
+
+    // Once per client per window, however hard it keeps trying
+    if (result.consumedPoints === policy.points + 1) {
+      AuditLog.logAction({
+        userId: req.user?.id || 'anonymous',
+        userEmail: req.user?.email || 'unknown',
+        action: 'rate_limited',
+        resourceType: 'system',
+        resourceId: policy.name,
+        description: `Rate limit '${policy.name}' exceeded on ${req.method} ${req.originalUrl.split('?')[0]}`,
+        ipAddress: req.ip || req.connection.remoteAddress,
+        userAgent: req.get('User-Agent') || 'unknown',
+        severity: policy.severity,
+        success: false,
+        errorMessage: `More than ${policy.points} ${policy.countFailuresOnly ? 'failed attempts' : 'requests'} in ${policy.duration}s`
+      }).catch(error => logger.warn(`Failed to audit rate limit rejection: ${error.message}`));
+    }
+
+    return res.status(429).json({
+      success: false,
+      error: policy.message,
+      code: 'RATE_LIMITED',
+      retryAfter
+    });
+  }
+}
+
+// RateLimit-* headers as in the IETF draft (draft-ietf-httpapi-ratelimit-headers)
+function setHeaders(res, policy, result) {
+  res.set({
+    'RateLimit-Policy': `${policy.points};w=${policy.duration}`,
+    'RateLimit-Limit': String(policy.points),
+    'RateLimit-Remaining': String(Math.max(policy.points - result.consumedPoints, 0)),
+    'RateLimit-Reset': String(Math.ceil((result.msBeforeNext || policy.duration * 1000) / 1000))
+  });
+}
+
+// Create singleton instance
+const rateLimitManager = new RateLimitManager();
+
+/**
+ * Middleware for a rate limit policy of the shared manager
+ * @param {string} name - Policy name: auth, search, print, generation or public
+ * @returns {Function} Middleware
+ */
+const rateLimit = (name) => rateLimitManager.middleware(name);
+
+module.exports = {
+  DEFAULT_POLICIES,
+  RateLimitManager,
+  rateLimitManager,
+  rateLimit,
+  parseLimit,
+  setHeaders
+};
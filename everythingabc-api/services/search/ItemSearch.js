@@ -0,0 +1,236 @@
+const Category = require('../../models/Category');
+const Item = require('../../models/Item');
+
+/**
+ * Item-level search across active categories.
+ *
+ * Items are scored in-process rather than with a MongoDB $text index: text
+ * indexes only match whole stemmed words, so they can't tolerate typos like
+ * "elefant". The vocabulary is small enough to scan with a narrow projection.
+ */
+class ItemSearch {
+  constructor(config = {}) {
+    this.config = {
+      defaultLimit: 20,
+      maxLimit: 100,
+      maxTagFacets: 20,
+
+      // Points awarded for the best match of each query term, per field
+      weights: {
+        name: { exact: 50, prefix: 35, contains: 25, fuzzy: 20 },
+        tags: { exact: 30, prefix: 20, contains: 12, fuzzy: 12 },
+        description: { exact: 10, prefix: 6, contains: 0, fuzzy: 4 }
+      },
+      // Bonus when the whole query equals, or starts, the item name
+      fullNameBonus: 100,
+      namePrefixBonus: 40,
+      // Each edit costs this many points off a fuzzy match
+      fuzzyPenalty: 5,
+
+      ...config
+    };
+  }
+
+  /**
+   * Search items by name, tags and description.
+   *
+   * @param {string} query - Free text; every term must match some field
+   * @param {object} [options]
+   * @param {string} [options.category] - Category id filter
+   * @param {string} [options.letter] - Letter filter
+   * @param {number|string} [options.difficulty] - Item difficulty (1-5) filter
+   * @param {string} [options.tag] - Tag filter
+   * @param {number|string} [options.page=1]
+   * @param {number|string} [options.limit=20]
+   * @returns {Promise<{results: object[], facets: object, pagination: object}>}
+   *   Facets are counted over every match for the query before the filters
+   *   are applied, so a client can show how many results each choice gives.
+   */
+  async search(query, options = {}) {
+    const terms = ItemSearch.tokenize(query);
+    const limit = Math.min(parseInt(options.limit) || this.config.defaultLimit, this.config.maxLimit);
+    const page = Math.max(parseInt(options.page) || 1, 1);
+
+    const categories = await Category.find({ status: 'active' }, 'id name').lean();
+    const categoryNames = new Map(categories.map(category => [category.id, category.name]));
+
+    const items = await Item.find(
+      { categoryId: { $in: [...categoryNames.keys()] }, ...Item.PUBLISHED },
+      'id name description tags difficulty image imageAlt images categoryId letter'
+    ).lean();
+
+    const matches = [];
+    for (const item of items) {
+      const score = this.scoreItem(item, terms);
+      if (score > 0) {
+        matches.push({ item, score });
+      }
+    }
+
+    const facets = this.buildFacets(matches, categoryNames);
+    const filtered = matches.filter(({ item }) => this.matchesFilters(item, options));
+
+    filtered.sort((a, b) => b.score - a.score || a.item.name.localeCompare(b.item.name));
+
+    const start = (page - 1) * limit;
+    const results = filtered.slice(start, start + limit).map(({ item, score }) => ({
+      ...Item.toEmbeddedShape(item),
+      categoryId: item.categoryId,
+      categoryName: categoryNames.get(item.categoryId),
+      letter: item.letter,
+      score
+    }));
+
+    return {
+      results,
+      facets,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(filtered.length / limit),
+        totalItems: filtered.length,
+        itemsPerPage: limit
+      }
+    };
+  }
+
+  // Returns 0 unless every query term matches at least one field
+  scoreItem(item, terms) {
+    if (terms.length === 0) return 0;
+
+    const fields = {
+      name: ItemSearch.tokenize(item.name),
+      tags: (item.tags || []).flatMap(tag => ItemSearch.tokenize(tag)),
+      description: ItemSearch.tokenize(item.description)
+    };
+
+    let score = 0;
+    for (const term of terms) {
+      let best = 0;
+      for (const [field, tokens] of Object.entries(fields)) {
+        best = Math.max(best, this.scoreTerm(term, tokens, this.config.weights[field]));
+      }
+      if (best === 0) return 0;
+      score += best;
+    }
+
+    const name = ItemSearch.normalize(item.name);
+    const phrase = terms.join(' ');
+    if (name === phrase) {
+      score += this.config.fullNameBonus;
+    } else if (name.startsWith(phrase)) {
+      score += this.config.namePrefixBonus;
+    }
+
+    return score;
+  }
+
+  scoreTerm(term, tokens, weights) {
+    const maxEdits = ItemSearch.maxEdits(term);
+    let best = 0;
+
+    for (const token of tokens) {
+      let points = 0;
+      if (token === term) {
+        points = weights.exact;
+      } else if (token.startsWith(term)) {
+        points = weights.prefix;
+      } else if (term.length >= 4 && token.includes(term)) {
+        points = weights.contains;
+      } else if (maxEdits > 0 && weights.fuzzy > 0) {
+        const distance = ItemSearch.editDistance(term, token, maxEdits);
+        if (distance <= maxEdits) {
+          points = Math.max(weights.fuzzy - distance * this.config.fuzzyPenalty, 1);
+        }
+      }
+      best = Math.max(best, points);
+    }
+
+    return best;
+  }
+
+  matchesFilters(item, { category, letter, difficulty, tag } = {}) {
+    if (category && item.categoryId !== category) return false;
+    if (letter && item.letter !== letter.toUpperCase()) return false;
+    if (difficulty && item.difficulty !== parseInt(difficulty)) return false;
+    if (tag && !(item.tags || []).some(t => t.toLowerCase() === tag.toLowerCase())) return false;
+    return true;
+  }
+
+  buildFacets(matches, categoryNames) {
+    const count = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+    const categories = new Map();
+    const letters = new Map();
+    const difficulties = new Map();
+    const tags = new Map();
+
+    for (const { item } of matches) {
+      count(categories, item.categoryId);
+      count(letters, item.letter);
+      if (item.difficulty) count(difficulties, item.difficulty);
+      new Set((item.tags || []).map(t => t.toLowerCase())).forEach(t => count(tags, t));
+    }
+
+    const byCount = (a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value));
+
+    return {
+      category: [...categories].map(([value, count]) => ({ value, label: categoryNames.get(value), count })).sort(byCount),
+      letter: [...letters].map(([value, count]) => ({ value, count })).sort((a, b) => a.value.localeCompare(b.value)),
+      difficulty: [...difficulties].map(([value, count]) => ({ value, count })).sort((a, b) => a.value - b.value),
+      tag: [...tags].map(([value, count]) => ({ value, count })).sort(byCount).slice(0, this.config.maxTagFacets)
+    };
+  }
+
+  // Lowercase and strip accents so "Crème" matches "creme"
+  static normalize(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .trim();
+  }
+
+  static tokenize(text) {
+    return ItemSearch.normalize(text).split(/[^a-z0-9]+/).filter(Boolean);
+  }
+
+  // Short terms would match almost anything with one edit
+  static maxEdits(term) {
+    if (term.length < 4) return 0;
+    if (term.length < 7) return 1;
+    return 2;
+  }
+
+  // Optimal string alignment distance (Levenshtein plus adjacent
+  // transpositions), giving up once every path exceeds maxDistance
+  static editDistance(a, b, maxDistance = Infinity) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+
+        if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, prevPrev[j - 2] + 1);
+        }
+
+        current.push(value);
+        rowMin = Math.min(rowMin, value);
+      }
+
+      if (rowMin > maxDistance) return maxDistance + 1;
+      prevPrev = prev;
+      prev = current;
+    }
+
+    return prev[b.length];
+  }
+}
+
+module.exports = ItemSearch;
@@ -0,0 +1,253 @@
+const fs = require('fs-extra');
+const path = require('path');
+const Item = require('../../models/Item');
+const FileOrganizer = require('../storage/FileOrganizer');
+const S3ImageUploadService = require('../cloud/S3ImageUploadService');
+const { speechGenerator } = require('./SpeechGenerator');
+const { DEFAULT_LOCALE, isSupportedLocale } = require('../../utils/locales');
+const logger = require('../../utils/logger');
+
+// Local files are served from the storage categories folder (see server.js)
+const LOCAL_MEDIA_PREFIX = '/api/v1/media';
+
+// Formats editors can upload, by MIME type
+const UPLOAD_FORMATS = {
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/ogg': 'ogg',
+  'audio/webm': 'webm',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a'
+};
+
+// Every format a clip can be stored in; generated clips are mp3 or wav
+const AUDIO_EXTENSIONS = [...new Set(Object.values(UPLOAD_FORMATS))];
+
+const MAX_UPLOAD_SIZE = 2 * 1024 * 1024;
+
+/**
+ * Pronunciation audio for items
+ *
+ * Each item has at most one clip per locale in `item.audio`. Clips are stored
+ * like images: on S3 when it is configured, otherwise through FileOrganizer
+ * on local disk. Storing a clip replaces the item's previous clip for that
+ * locale.
+ */
+class PronunciationAudio {
+  constructor() {
+    this.fileOrganizer = new FileOrganizer();
+    this.s3Service = new S3ImageUploadService();
+  }
+
+  // The item's name in a locale, or null if it hasn't been translated
+  textFor(item, locale = DEFAULT_LOCALE) {
+    if (locale === DEFAULT_LOCALE) return item.name;
+
+    const translations = item.translations;
+    const translation = translations instanceof Map ? translations.get(locale) : translations?.[locale];
+    return translation?.name || null;
+  }
+
+  /**
+   * Speak an item's name and attach the clip to the item.
+   *
+   * @param {object} item - Item document
+   * @param {object} [options]
+   * @param {string} [options.locale='en']
+   * @param {string} [options.provider] - Speech provider; defaults to the active one
+   * @param {string} [options.voice]
+   * @param {string} [options.createdBy]
+   * @returns {Promise<object>} The stored audio entry
+   */
+  async generateForItem(item, options = {}) {
+    const { locale = DEFAULT_LOCALE, provider, voice, createdBy } = options;
+
+    if (!isSupportedLocale(locale)) {
+      throw new Error(`Unsupported locale '${locale}'`);
+    }
+
+    const text = this.textFor(item, locale);
+    if (!text) {
+      throw new Error(`Item '${item.id}' has no ${locale} name to pronounce`);
+    }
+
+    const speech = await speechGenerator.synthesize(text, { locale, provider, voice });
+
+    return this.attach(item, {
+      buffer: speech.buffer,
+      mimeType: speech.mimeType,
+      extension: speech.format,
+      durationMs: speech.durationMs,
+      voice: speech.voice,
+      sourceProvider: speech.provider,
+      locale,
+      text,
+      createdBy
+    });
+  }
+
+  /**
+   * Attach an editor's recording to an item.
+   *
+   * @param {object} file - multer file (memory storage)
+   */
+  async attachUpload(item, file, options = {}) {
+    const { locale = DEFAULT_LOCALE, createdBy } = options;
+
+    if (!isSupportedLocale(locale)) {
+      throw new Error(`Unsupported locale '${locale}'`);
+    }
+
+    const extension = UPLOAD_FORMATS[file.mimetype];
+    if (!extension) {
+      throw new Error(`Unsupported audio type '${file.mimetype}'. Use one of: ${Object.keys(UPLOAD_FORMATS).join(', ')}`);
+    }
+
+    return this.attach(item, {
+      buffer: file.buffer,
+      mimeType: file.mimetype,
+      extension,
+      sourceProvider: 'upload',
+      locale,
+      text: this.textFor(item, locale) || undefined,
+      createdBy
+    });
+  }
+
+  async attach(item, clip) {
+    const stored = await this.store(item, clip);
+    const previous = item.getAudio(clip.locale);
+
+    const entry = {
+      locale: clip.locale,
+      text: clip.text,
+      sourceProvider: clip.sourceProvider,
+      voice: clip.voice,
+      filePath: stored.filePath,
+      url: stored.url,
+      mimeType: clip.mimeType,
+      fileSize: clip.buffer.length,
+      durationMs: clip.durationMs,
+      createdBy: clip.createdBy,
+      createdAt: new Date()
+    };
+
+    item.audio = [...(item.audio || []).filter(audio => audio.locale !== clip.locale), entry];
+    item.lastModifiedBy = clip.createdBy || item.lastModifiedBy;
+    await item.save();
+
+    if (previous) {
+      await this.removeFile(previous);
+    }
+
+    logger.info('Pronunciation audio stored', {
+      itemId: item.id,
+      categoryId: item.categoryId,
+      locale: clip.locale,
+      provider: clip.sourceProvider
+    });
+
+    return entry;
+  }
+
+  // S3 first, local disk if S3 isn't configured or the upload fails
+  async store(item, clip) {
+    const metadata = {
+      category: item.categoryId,
+      letter: item.letter,
+      itemName: item.name,
+      sourceProvider: clip.sourceProvider,
+      locale: clip.locale,
+      extension: clip.extension,
+      contentType: clip.mimeType
+    };
+
+    try {
+      const uploaded = await this.s3Service.uploadAudio(clip.buffer, metadata);
+      return { filePath: uploaded.cdnUrl, url: uploaded.cdnUrl };
+    } catch (error) {
+      logger.debug(`Cloud upload unavailable for ${item.id} audio, storing locally`, { error: error.message });
+    }
+
+    const organized = await this.fileOrganizer.organizeAudio(
+      clip.buffer,
+      item.categoryId,
+      item.letter,
+      item.name,
+      clip.sourceProvider,
+      clip.locale,
+      clip.extension
+    );
+
+    return {
+      filePath: organized.primaryPath,
+      url: `${LOCAL_MEDIA_PREFIX}/${organized.relativePath}`
+    };
+  }
+
+  async removeAudio(item, locale, removedBy) {
+    const existing = item.getAudio(locale);
+    if (!existing) return null;
+
+    item.audio = item.audio.filter(audio => audio.locale !== locale);
+    item.lastModifiedBy = removedBy || item.lastModifiedBy;
+    await item.save();
+    await this.removeFile(existing);
+
+    return existing;
+  }
+
+  // Best effort: a file left behind is harmless, a failed request is not
+  async removeFile(audio) {
+    try {
+      if (/^https?:\/\//.test(audio.filePath)) {
+        if (this.s3Service.isAvailable()) {
+          await this.s3Service.deleteImage(new URL(audio.filePath).pathname.slice(1));
+        }
+      } else if (path.resolve(audio.filePath).startsWith(path.resolve(this.fileOrganizer.getCategoriesPath()))) {
+        await fs.remove(audio.filePath);
+      }
+    } catch (error) {
+      logger.warn('Failed to remove old pronunciation audio', { filePath: audio.filePath, error: error.message });
+    }
+  }
+
+  /**
+   * Items with no clip for a locale. For translated locales only items with
+   * a translated name qualify, since there is nothing to pronounce otherwise.
+   */
+  missingAudioFilter(locale = DEFAULT_LOCALE, { categoryId } = {}) {
+    const filter = { 'audio.locale': { $ne: locale } };
+    if (categoryId) filter.categoryId = categoryId;
+    if (locale !== DEFAULT_LOCALE) {
+      filter[`translations.${locale}.name`] = { $exists: true, $ne: '' };
+    }
+    return filter;
+  }
+
+  findItemsMissingAudio(locale = DEFAULT_LOCALE, { categoryId, limit } = {}) {
+    const query = Item.find(this.missingAudioFilter(locale, { categoryId }))
+      .sort({ categoryId: 1, letter: 1, name: 1 });
+    return limit ? query.limit(limit) : query;
+  }
+
+  getUploadLimits() {
+    return {
+      maxSize: MAX_UPLOAD_SIZE,
+      mimeTypes: Object.keys(UPLOAD_FORMATS)
+    };
+  }
+}
+
+const pronunciationAudio = new PronunciationAudio();
+
+module.exports = {
+  PronunciationAudio,
+  pronunciationAudio,
+  LOCAL_MEDIA_PREFIX,
+  AUDIO_EXTENSIONS,
+  MAX_UPLOAD_SIZE
+};
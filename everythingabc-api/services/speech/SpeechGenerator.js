@@ -0,0 +1,115 @@
+const logger = require('../../utils/logger');
+
+const EspeakProvider = require('./providers/EspeakProvider');
+const OpenAISpeechProvider = require('./providers/OpenAISpeechProvider');
+const StubSpeechProvider = require('./providers/StubSpeechProvider');
+
+// Longest text we send to a provider; pronunciations are a word or two
+const MAX_TEXT_LENGTH = 200;
+
+class SpeechGenerator {
+  constructor() {
+    this.initialized = false;
+    this.openaiApiKey = process.env.OPENAI_API_KEY;
+    // Optional explicit choice, e.g. TTS_PROVIDER=stub for offline work
+    this.preferredProvider = process.env.TTS_PROVIDER || null;
+    this.activeProvider = null;
+    this.providers = new Map();
+  }
+
+  initialize() {
+    if (this.initialized) return;
+
+    this.registerProvider(new EspeakProvider());
+    this.registerProvider(new OpenAISpeechProvider({ apiKey: this.openaiApiKey }));
+    this.registerProvider(new StubSpeechProvider());
+
+    // As with image generation, the stub is never picked implicitly so
+    // production can't silently fill items with placeholder tones
+    const available = this.getAvailableProviders();
+    if (this.preferredProvider && available.includes(this.preferredProvider)) {
+      this.activeProvider = this.preferredProvider;
+    } else {
+      this.activeProvider = available.find(name => name !== 'stub') || null;
+    }
+
+    if (!this.activeProvider) {
+      logger.warn('No text-to-speech providers configured');
+    }
+
+    this.initialized = true;
+    logger.info('SpeechGenerator initialized', {
+      activeProvider: this.activeProvider,
+      availableProviders: available
+    });
+  }
+
+  // Providers can be added or replaced, e.g. with a fake in tests
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  getProvider(name) {
+    return this.providers.get(name || this.activeProvider);
+  }
+
+  getAvailableProviders() {
+    return Array.from(this.providers.values())
+      .filter(provider => provider.isConfigured())
+      .map(provider => provider.name);
+  }
+
+  isAvailable() {
+    return this.initialized && this.activeProvider !== null;
+  }
+
+  /**
+   * Speak text with the requested or active provider.
+   *
+   * @param {string} text
+   * @param {object} [options]
+   * @param {string} [options.locale='en']
+   * @param {string} [options.voice]
+   * @param {string} [options.provider] - Provider name; defaults to the active one
+   * @returns {Promise<{buffer: Buffer, mimeType: string, format: string, voice?: string, durationMs?: number, provider: string}>}
+   */
+  async synthesize(text, options = {}) {
+    this.initialize();
+
+    const { locale = 'en', voice, provider: providerName = null } = options;
+    const trimmed = typeof text === 'string' ? text.trim() : '';
+    if (!trimmed) {
+      throw new Error('Text to speak is required');
+    }
+    if (trimmed.length > MAX_TEXT_LENGTH) {
+      throw new Error(`Text to speak must be at most ${MAX_TEXT_LENGTH} characters`);
+    }
+
+    const provider = this.getProvider(providerName);
+    if (!provider || !provider.isConfigured()) {
+      throw new Error(`Speech provider not available: ${providerName || 'none configured'}`);
+    }
+
+    logger.debug('Speech synthesis requested', { text: trimmed, locale, provider: provider.name });
+
+    const result = await provider.synthesize(trimmed, { locale, voice });
+    return { ...result, provider: provider.name };
+  }
+
+  getStatus() {
+    this.initialize();
+
+    return {
+      available: this.isAvailable(),
+      activeProvider: this.activeProvider,
+      availableProviders: this.getAvailableProviders()
+    };
+  }
+}
+
+const speechGenerator = new SpeechGenerator();
+
+module.exports = {
+  SpeechGenerator,
+  speechGenerator
+};
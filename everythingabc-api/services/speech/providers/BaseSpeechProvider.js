@@ -0,0 +1,57 @@
+const axios = require('axios');
+
+/**
+ * Base class for text-to-speech providers.
+ *
+ * Subclasses implement synthesize() and return a raw audio buffer; storage
+ * and attaching the audio to items happen in PronunciationAudio.
+ */
+class BaseSpeechProvider {
+  constructor(config = {}) {
+    this.config = config;
+    this.client = axios.create({
+      baseURL: config.baseUrl,
+      timeout: config.timeout || 60000,
+      headers: {
+        'User-Agent': 'EverythingABC-Platform/1.0',
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  // Stable identifier used in API requests and stored on audio assets
+  get name() {
+    throw new Error('Provider name not implemented');
+  }
+
+  isConfigured() {
+    return Boolean(this.config.apiKey);
+  }
+
+  // Voice to use for a locale, or null to let the provider choose
+  voiceFor(locale) {
+    return (this.config.voices && this.config.voices[locale]) || null;
+  }
+
+  /**
+   * Speak a word or short phrase.
+   *
+   * @param {string} text
+   * @param {object} [options]
+   * @param {string} [options.locale='en']
+   * @param {string} [options.voice] - Provider-specific voice override
+   * @returns {Promise<{buffer: Buffer, mimeType: string, format: string, voice?: string, durationMs?: number}>}
+   */
+  async synthesize(text, options = {}) {
+    throw new Error('synthesize method not implemented');
+  }
+
+  handleApiError(error) {
+    const message = error.response?.data?.error?.message || error.message;
+    const wrapped = new Error(`${this.name} speech synthesis failed: ${message}`);
+    wrapped.status = error.response?.status;
+    return wrapped;
+  }
+}
+
+module.exports = BaseSpeechProvider;
@@ -0,0 +1,94 @@
+const { spawn, spawnSync } = require('child_process');
+const BaseSpeechProvider = require('./BaseSpeechProvider');
+const { wavDurationMs } = require('./wav');
+
+// espeak voice names for the locales in utils/locales.js
+const DEFAULT_VOICES = {
+  en: 'en-us',
+  es: 'es',
+  fr: 'fr-fr',
+  de: 'de',
+  pt: 'pt',
+  ru: 'ru',
+  el: 'el',
+  ar: 'ar'
+};
+
+/**
+ * Local speech synthesis with espeak-ng (or classic espeak). Works offline;
+ * it is only considered configured when the binary can be run.
+ */
+class EspeakProvider extends BaseSpeechProvider {
+  constructor(config = {}) {
+    super({
+      binary: process.env.ESPEAK_PATH || null,
+      // Words per minute; a little slower than espeak's default for learners
+      speed: 140,
+      voices: DEFAULT_VOICES,
+      ...config
+    });
+    this.resolvedBinary = undefined;
+  }
+
+  get name() {
+    return 'espeak';
+  }
+
+  // First of the configured / known binaries that runs, checked once
+  findBinary() {
+    if (this.resolvedBinary !== undefined) return this.resolvedBinary;
+
+    const candidates = this.config.binary ? [this.config.binary] : ['espeak-ng', 'espeak'];
+    this.resolvedBinary = candidates.find(binary => {
+      const result = spawnSync(binary, ['--version'], { timeout: 5000 });
+      return !result.error && result.status === 0;
+    }) || null;
+
+    return this.resolvedBinary;
+  }
+
+  isConfigured() {
+    return Boolean(this.findBinary());
+  }
+
+  async synthesize(text, options = {}) {
+    const { locale = 'en' } = options;
+    const voice = options.voice || this.voiceFor(locale) || locale;
+    const binary = this.findBinary();
+
+    if (!binary) {
+      throw new Error('espeak speech synthesis failed: espeak-ng is not installed');
+    }
+
+    const buffer = await new Promise((resolve, reject) => {
+      // The text goes in on stdin, so a name starting with "-" can't be
+      // read as an option
+      const child = spawn(binary, ['-v', voice, '-s', String(this.config.speed), '--stdout', '--stdin']);
+      const chunks = [];
+      let stderr = '';
+
+      child.stdout.on('data', chunk => chunks.push(chunk));
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.on('error', reject);
+      child.stdin.on('error', reject);
+      child.stdin.end(text);
+      child.on('close', code => {
+        if (code !== 0) {
+          reject(new Error(`espeak speech synthesis failed: ${stderr.trim() || `exit code ${code}`}`));
+        } else {
+          resolve(Buffer.concat(chunks));
+        }
+      });
+    });
+
+    return {
+      buffer,
+      mimeType: 'audio/wav',
+      format: 'wav',
+      voice,
+      durationMs: wavDurationMs(buffer)
+    };
+  }
+}
+
+module.exports = EspeakProvider;
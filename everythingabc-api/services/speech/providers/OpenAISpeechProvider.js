@@ -0,0 +1,50 @@
+const BaseSpeechProvider = require('./BaseSpeechProvider');
+
+/**
+ * OpenAI text-to-speech. The voices are multilingual, so the locale only
+ * matters through the text itself.
+ */
+class OpenAISpeechProvider extends BaseSpeechProvider {
+  constructor(config = {}) {
+    super({
+      baseUrl: 'https://api.openai.com/v1',
+      model: 'tts-1',
+      voice: 'nova',
+      // Slightly slow for young learners
+      speed: 0.9,
+      ...config
+    });
+  }
+
+  get name() {
+    return 'openai';
+  }
+
+  async synthesize(text, options = {}) {
+    const voice = options.voice || this.voiceFor(options.locale) || this.config.voice;
+
+    try {
+      const response = await this.client.post('/audio/speech', {
+        model: this.config.model,
+        input: text,
+        voice,
+        speed: this.config.speed,
+        response_format: 'mp3'
+      }, {
+        headers: { Authorization: `Bearer ${this.config.apiKey}` },
+        responseType: 'arraybuffer'
+      });
+
+      return {
+        buffer: Buffer.from(response.data),
+        mimeType: 'audio/mpeg',
+        format: 'mp3',
+        voice
+      };
+    } catch (error) {
+      throw this.handleApiError(error);
+    }
+  }
+}
+
+module.exports = OpenAISpeechProvider;
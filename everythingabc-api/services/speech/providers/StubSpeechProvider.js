@@ -0,0 +1,60 @@
+const BaseSpeechProvider = require('./BaseSpeechProvider');
+const { encodeWav, wavDurationMs } = require('./wav');
+
+/**
+ * Offline provider for development and tests.
+ *
+ * Renders one short tone per letter, pitched from the character, so the same
+ * text always yields the same audio and nothing needs to be installed.
+ */
+class StubSpeechProvider extends BaseSpeechProvider {
+  constructor(config = {}) {
+    super({
+      sampleRate: 16000,
+      toneMs: 90,
+      gapMs: 30,
+      ...config
+    });
+  }
+
+  get name() {
+    return 'stub';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async synthesize(text, options = {}) {
+    const { sampleRate, toneMs, gapMs } = this.config;
+    const toneSamples = Math.round((sampleRate * toneMs) / 1000);
+    const gapSamples = Math.round((sampleRate * gapMs) / 1000);
+    const samples = [];
+
+    for (const char of Array.from(text.trim())) {
+      if (/\s/.test(char)) {
+        samples.push(...new Array(toneSamples).fill(0));
+        continue;
+      }
+
+      const frequency = 220 + (char.codePointAt(0) % 32) * 20;
+      for (let i = 0; i < toneSamples; i++) {
+        // Short fade in and out so tones don't click
+        const envelope = Math.min(1, i / 200, (toneSamples - i) / 200);
+        samples.push(Math.round(Math.sin((2 * Math.PI * frequency * i) / sampleRate) * 8000 * envelope));
+      }
+      samples.push(...new Array(gapSamples).fill(0));
+    }
+
+    const buffer = encodeWav(samples, sampleRate);
+    return {
+      buffer,
+      mimeType: 'audio/wav',
+      format: 'wav',
+      voice: 'tones',
+      durationMs: wavDurationMs(buffer)
+    };
+  }
+}
+
+module.exports = StubSpeechProvider;
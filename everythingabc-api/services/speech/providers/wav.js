@@ -0,0 +1,44 @@
+// Minimal PCM WAV helpers shared by the offline speech providers
+
+const HEADER_SIZE = 44;
+
+// Wrap 16-bit mono PCM samples in a WAV container
+const encodeWav = (samples, sampleRate) => {
+  const buffer = Buffer.alloc(HEADER_SIZE + samples.length * 2);
+
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + samples.length * 2, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16); // fmt chunk size
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // mono
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28); // byte rate
+  buffer.writeUInt16LE(2, 32); // block align
+  buffer.writeUInt16LE(16, 34); // bits per sample
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(samples.length * 2, 40);
+
+  samples.forEach((sample, i) => buffer.writeInt16LE(sample, HEADER_SIZE + i * 2));
+  return buffer;
+};
+
+// Duration of a PCM WAV buffer, or undefined if it isn't one we can read
+const wavDurationMs = (buffer) => {
+  if (!buffer || buffer.length < HEADER_SIZE || buffer.toString('ascii', 0, 4) !== 'RIFF') {
+    return undefined;
+  }
+  const byteRate = buffer.readUInt32LE(28);
+  if (!byteRate) return undefined;
+
+  // espeak streams to stdout and leaves the size fields at their maximum
+  const declared = buffer.readUInt32LE(40);
+  const dataSize = Math.min(declared, buffer.length - HEADER_SIZE);
+  return Math.round((dataSize / byteRate) * 1000);
+};
+
+module.exports = {
+  encodeWav,
+  wavDurationMs
+};
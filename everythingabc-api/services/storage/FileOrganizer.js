@@ -117,6 +117,46 @@ class FileOrganizer {
     }
   }
 
+  // Pronunciation audio lives in an audio/ folder next to the item's images
+  async organizeAudio(buffer, category, letter, itemName, source, locale, extension) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    try {
+      const categoryPath = await this.createCategoryStructure(category, letter, itemName);
+      const audioPath = path.join(categoryPath, 'audio');
+      await fs.ensureDir(audioPath);
+
+      const fileName = `${this.generateFileName(itemName, source, locale)}.${extension}`;
+      const primaryPath = path.join(audioPath, fileName);
+      await fs.writeFile(primaryPath, buffer);
+
+      logger.debug('Audio organized successfully', { primaryPath });
+
+      return {
+        primaryPath,
+        fileName,
+        // Relative to the categories folder, which is served at /api/v1/media
+        relativePath: path.relative(path.join(this.basePath, this.structure.categories), primaryPath)
+          .split(path.sep)
+          .join('/'),
+        fileSize: buffer.length
+      };
+    } catch (error) {
+      logger.error(`Failed to organize audio for ${category}/${letter}/${itemName}`, error);
+      throw error;
+    }
+  }
+
+  getCategoriesPath() {
+    return path.join(this.basePath, this.structure.categories);
+  }
+
+  getTempPath() {
+    return path.join(this.basePath, this.structure.temp);
+  }
+
   async createCategoryStructure(category, letter, itemName) {
     const categoryPath = path.join(
       this.basePath,
@@ -0,0 +1,84 @@
+const AdminSession = require('../models/AdminSession');
+const { generateTokenPair, verifyToken } = require('../admin/utils/jwt');
+
+/**
+ * Admin session tests
+ *
+ * Sessions are built in memory, so these cover the rules for when a session
+ * ends rather than rotation, which needs a database
+ */
+
+describe('AdminSession', () => {
+  const HOUR = 60 * 60 * 1000;
+
+  const session = (fields = {}) => new AdminSession({
+    id: 'session-1',
+    userId: 'ann_1',
+    tokenHash: 'current-hash',
+    rotatedTokenHashes: ['old-hash'],
+    device: 'Firefox on Windows',
+    ipAddress: '203.0.113.9',
+    userAgent: 'Mozilla/5.0',
+    lastUsedAt: new Date(),
+    refreshExpiresAt: new Date(Date.now() + 24 * HOUR),
+    expiresAt: new Date(Date.now() + 30 * 24 * HOUR),
+    ...fields
+  });
+
+  test('labels sessions by browser and operating system', () => {
+    const { describeDevice } = AdminSession;
+
+    expect(describeDevice('Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:128.0) Gecko/20100101 Firefox/128.0'))
+      .toBe('Firefox on Windows');
+    expect(describeDevice('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36'))
+      .toBe('Chrome on macOS');
+    expect(describeDevice('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36 Edg/129.0.0.0'))
+      .toBe('Edge on Windows');
+    expect(describeDevice('Mozilla/5.0 (iPhone; CPU iPhone OS 17_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.6 Mobile/15E148 Safari/604.1'))
+      .toBe('Safari on iOS');
+    expect(describeDevice('curl/8.5.0')).toBe('curl');
+    expect(describeDevice('')).toBe('Unknown device');
+  });
+
+  test('ends when revoked, idle too long or past its absolute lifetime', () => {
+    expect(session().inactiveReason()).toBeNull();
+
+    // The refresh token was not used in time
+    expect(session({ refreshExpiresAt: new Date(Date.now() - 1000) }).inactiveReason()).toBe('expired');
+
+    // However recently it was refreshed
+    expect(session({ expiresAt: new Date(Date.now() - 1000) }).inactiveReason()).toBe('expired');
+
+    expect(session({ revokedAt: new Date(), revokedReason: 'reuse_detected' }).inactiveReason()).toBe('revoked');
+
+    expect(session({ revokedReason: 'stolen' }).validateSync().errors.revokedReason).toBeDefined();
+  });
+
+  test('summarizes a session without its token hashes', () => {
+    const summary = session().toSummary('session-1');
+
+    expect(summary).toMatchObject({
+      id: 'session-1',
+      device: 'Firefox on Windows',
+      ipAddress: '203.0.113.9',
+      current: true
+    });
+    expect(summary).not.toHaveProperty('tokenHash');
+    expect(summary).not.toHaveProperty('rotatedTokenHashes');
+    expect(session().toSummary('session-2').current).toBe(false);
+  });
+
+  test('issues access tokens tied to the session', () => {
+    const user = { id: 'ann_1', email: 'ann@example.com', role: 'editor', permissions: ['items.read'] };
+    const refreshTokenExpiresAt = new Date(Date.now() + 24 * HOUR);
+
+    const tokens = generateTokenPair(user, { sessionId: 'session-1', refreshToken: 'abc', refreshTokenExpiresAt });
+    expect(verifyToken(tokens.accessToken)).toMatchObject({ userId: 'ann_1', sessionId: 'session-1', tokenType: 'access' });
+    expect(tokens.refreshToken).toBe('abc');
+    expect(tokens.refreshTokenExpiresAt).toBe(refreshTokenExpiresAt);
+
+    const standalone = generateTokenPair(user);
+    expect(verifyToken(standalone.accessToken).sessionId).toBeUndefined();
+    expect(standalone.refreshToken).toMatch(/^[0-9a-f]{80}$/);
+  });
+});
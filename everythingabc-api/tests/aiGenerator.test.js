@@ -0,0 +1,84 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { AIGenerator } = require('../services/generation/AIGenerator');
+
+/**
+ * AI generation tests
+ *
+ * Uses the offline stub provider, so no API keys or network are needed
+ */
+
+describe('AIGenerator', () => {
+  let generator;
+
+  beforeEach(async () => {
+    generator = new AIGenerator();
+    generator.updateConfig({ preferredProvider: 'stub' });
+    generator.previewDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ai-previews-'));
+    await generator.initialize();
+  });
+
+  afterEach(async () => {
+    await fs.remove(generator.previewDir);
+  });
+
+  test('never selects the stub provider unless asked to', async () => {
+    const implicit = new AIGenerator();
+    implicit.preferredProvider = null;
+    implicit.openaiApiKey = undefined;
+    implicit.googleaiApiKey = undefined;
+    await implicit.initialize();
+
+    expect(implicit.getAvailableProviders()).toEqual(['stub']);
+    expect(implicit.isAvailable()).toBe(false);
+    expect(generator.getGenerationStats().activeProvider).toBe('stub');
+  });
+
+  test('stub output is deterministic per prompt', async () => {
+    const first = await generator.generateImage('a red apple', { count: 2 });
+    const second = await generator.generateImage('a red apple', { count: 2 });
+    const other = await generator.generateImage('a green pear', { count: 1 });
+
+    expect(first.images).toHaveLength(2);
+    expect(first.images[0].buffer.equals(second.images[0].buffer)).toBe(true);
+    expect(first.images[0].buffer.equals(first.images[1].buffer)).toBe(false);
+    expect(first.images[0].buffer.equals(other.images[0].buffer)).toBe(false);
+  });
+
+  test('generated candidates carry source and license for the image record', async () => {
+    const result = await generator.generateImagesForItem('Apple', 'fruits', 'A', 1);
+    const [image] = result.images;
+
+    expect(result.generated).toBe(1);
+    expect(image.source).toBe('stub');
+    expect(image.license.type).toBe('generated');
+    expect(image.prompt).toContain('Apple');
+  });
+
+  test('tracks totals and recent generations', async () => {
+    await generator.generateImage('a kite', { count: 3 });
+
+    const stats = generator.getGenerationStats();
+    expect(stats.totalGenerated).toBe(3);
+    expect(stats.totalCost).toBe(0);
+    expect(stats.recentGenerations[0]).toMatchObject({ prompt: 'a kite', provider: 'stub', count: 3 });
+  });
+
+  test('stores previews until they are deleted', async () => {
+    const { images: [image] } = await generator.generateImage('a drum');
+    const previewId = await generator.savePreview(image, { qualityScore: 7.5 });
+
+    const loaded = await generator.loadPreview(previewId);
+    expect(loaded.buffer.equals(image.buffer)).toBe(true);
+    expect(loaded).toMatchObject({ source: 'stub', qualityScore: 7.5, license: { type: 'generated' } });
+
+    await generator.deletePreview(previewId);
+    expect(await generator.loadPreview(previewId)).toBeNull();
+  });
+
+  test('rejects preview ids that could escape the preview directory', async () => {
+    expect(await generator.loadPreview('../../package')).toBeNull();
+    expect(await generator.loadPreview('gen_../x')).toBeNull();
+  });
+});
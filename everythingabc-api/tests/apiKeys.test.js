@@ -0,0 +1,155 @@
+const express = require('express');
+const request = require('supertest');
+const ApiKey = require('../models/ApiKey');
+const ApiKeyUsage = require('../models/ApiKeyUsage');
+const { apiKeyAuth } = require('../services/apiKeys/ApiKeyAuth');
+const { validateApiKeyInput } = require('../admin/utils/apiKeyManagement');
+const { RateLimitManager } = require('../services/rateLimit/RateLimitManager');
+const { hashToken } = require('../admin/utils/jwt');
+
+/**
+ * API key tests
+ *
+ * Lookups and usage counters are mocked; the middleware and the documents'
+ * own logic run as they do in the server
+ */
+
+describe('API keys', () => {
+  const key = (fields = {}) => new ApiKey({
+    id: 'key_1',
+    name: 'Reading app',
+    owner: 'Hillside Primary',
+    keyPrefix: 'eabc_abcdef',
+    keyHash: 'hash',
+    scopes: ['categories.read'],
+    dailyQuota: 2,
+    ...fields
+  });
+
+  let findByKey;
+  let consume;
+
+  beforeEach(() => {
+    findByKey = jest.spyOn(ApiKey, 'findByKey');
+    consume = jest.spyOn(ApiKeyUsage, 'consume');
+    jest.spyOn(ApiKey.prototype, 'touch').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const app = () => {
+    const server = express();
+    const limits = new RateLimitManager({ public: { limit: '100/1m', message: 'Too many requests' } }, {});
+    server.use('/search', apiKeyAuth('search.read'));
+    server.use('/categories', apiKeyAuth('categories.read'));
+    server.use(['/search', '/categories'], limits.middleware('public'));
+    server.all('*', (req, res) => res.json({ success: true, apiKey: req.apiKey?.id || null }));
+    return server;
+  };
+
+  test('validates keys before they are issued or changed', () => {
+    const created = validateApiKeyInput({
+      name: ' Reading app ',
+      owner: 'Hillside Primary',
+      contactEmail: ' IT@Hillside.example ',
+      scopes: ['search.read', 'search.read'],
+      dailyQuota: 500,
+      keyHash: 'chosen'
+    }, { create: true });
+    expect(created.errors).toEqual([]);
+    expect(created.values).toEqual({
+      name: 'Reading app',
+      owner: 'Hillside Primary',
+      contactEmail: 'it@hillside.example',
+      scopes: ['search.read'],
+      dailyQuota: 500
+    });
+
+    expect(validateApiKeyInput({}, { create: true }).errors).toEqual([
+      'name is required', 'owner is required', 'scopes is required'
+    ]);
+    expect(validateApiKeyInput({
+      scopes: ['categories.write'],
+      dailyQuota: 0,
+      expiresAt: '2001-01-01'
+    }).errors).toEqual([
+      'Unknown scopes: categories.write',
+      'dailyQuota must be a whole number between 1 and 10000000',
+      'expiresAt must be in the future'
+    ]);
+  });
+
+  test('stores only a hash of a new key and never shows it again', () => {
+    const { key: secret, keyPrefix, keyHash } = ApiKey.newKey();
+
+    expect(secret).toMatch(/^eabc_[A-Za-z0-9_-]{32}$/);
+    expect(secret.startsWith(keyPrefix)).toBe(true);
+    expect(keyHash).toBe(hashToken(secret));
+    expect(ApiKey.newKey().key).not.toBe(secret);
+
+    const apiKey = key({ scopes: ['categories.read', 'credits.read'] });
+    expect(apiKey.toSafeObject().keyHash).toBeUndefined();
+    expect(apiKey.hasScope('credits.read')).toBe(true);
+    expect(apiKey.hasScope('search.read')).toBe(false);
+    expect(apiKey.inactiveReason()).toBeNull();
+    expect(key({ expiresAt: new Date(Date.now() - 1000) }).inactiveReason()).toBe('expired');
+    expect(key({ status: 'revoked' }).inactiveReason()).toBe('revoked');
+  });
+
+  test('lets anonymous requests through and refuses bad or out-of-scope keys', async () => {
+    const server = app();
+
+    const anonymous = await request(server).get('/categories');
+    expect(anonymous.body.apiKey).toBeNull();
+    expect(anonymous.headers['ratelimit-policy']).toBe('100;w=60');
+    expect(findByKey).not.toHaveBeenCalled();
+
+    findByKey.mockResolvedValueOnce(null);
+    const unknown = await request(server).get('/categories').set('X-API-Key', 'eabc_nope');
+    expect(unknown.status).toBe(401);
+    expect(unknown.body).toMatchObject({ error: 'Invalid API key', code: 'INVALID_API_KEY' });
+
+    findByKey.mockResolvedValueOnce(key({ status: 'revoked' }));
+    const revoked = await request(server).get('/categories').set('X-API-Key', 'eabc_old');
+    expect(revoked.status).toBe(401);
+    expect(revoked.body.error).toBe('API key revoked');
+
+    findByKey.mockResolvedValue(key());
+    const write = await request(server).post('/categories').set('X-API-Key', 'eabc_key');
+    expect(write.status).toBe(403);
+    expect(write.body.code).toBe('API_KEY_READ_ONLY');
+
+    const search = await request(server).get('/search/apple').set('X-API-Key', 'eabc_key');
+    expect(search.status).toBe(403);
+    expect(search.body).toMatchObject({ error: "API key lacks the 'search.read' scope", code: 'API_KEY_SCOPE_MISSING' });
+    expect(consume).not.toHaveBeenCalled();
+  });
+
+  test('holds a key to its daily quota instead of the per-IP limit', async () => {
+    const server = app();
+    findByKey.mockResolvedValue(key());
+    consume
+      .mockResolvedValueOnce({ allowed: true, used: 1 })
+      .mockResolvedValueOnce({ allowed: false, used: 2 });
+
+    const allowed = await request(server).get('/categories/animals').set('X-API-Key', 'eabc_key');
+    expect(allowed.status).toBe(200);
+    expect(allowed.body.apiKey).toBe('key_1');
+    expect(allowed.headers['ratelimit-policy']).toBe('2;w=86400');
+    expect(allowed.headers['ratelimit-remaining']).toBe('1');
+    expect(consume).toHaveBeenCalledWith('key_1', 'categories.read', 2);
+
+    const refused = await request(server).get('/categories/animals').set('X-API-Key', 'eabc_key');
+    expect(refused.status).toBe(429);
+    expect(refused.body).toMatchObject({ code: 'QUOTA_EXCEEDED', error: 'Daily quota of 2 requests exceeded' });
+    expect(refused.headers['ratelimit-remaining']).toBe('0');
+
+    // Quotas start over at midnight UTC
+    const now = Date.UTC(2026, 9, 19, 23, 59, 30);
+    expect(ApiKeyUsage.dayOf(now)).toBe('2026-10-19');
+    expect(ApiKeyUsage.resetAt(now).getTime() - now).toBe(30 * 1000);
+    expect(Number(refused.headers['retry-after'])).toBeLessThanOrEqual(24 * 60 * 60);
+  });
+});
@@ -0,0 +1,122 @@
+const ApprovalRules = require('../services/collection/ApprovalRules');
+
+/**
+ * Auto-approval rules tests
+ */
+
+describe('ApprovalRules', () => {
+  const image = (overrides = {}) => ({
+    sourceProvider: 'unsplash',
+    metadata: { width: 1200, height: 800 },
+    qualityScore: {
+      overall: 7,
+      breakdown: { technical: 8, relevance: 6, aesthetic: 7, usability: 7 }
+    },
+    license: { type: 'unsplash', commercial: true },
+    ...overrides
+  });
+
+  const rule = (name, action, conditions, extra = {}) => ({ name, action, conditions, ...extra });
+
+  test('validates rule shape, fields, operators and value types', () => {
+    expect(ApprovalRules.validateRules([
+      rule('Sharp photos', 'auto_approve', [{ field: 'quality.technical', operator: 'gte', value: 8 }]),
+      rule('Free licences', 'manual_review', [{ field: 'license.type', operator: 'in', value: ['cc0', 'pixabay'] }])
+    ])).toEqual([]);
+
+    expect(ApprovalRules.validateRules({})).toEqual(['approvalRules must be an array']);
+
+    const errors = ApprovalRules.validateRules([
+      rule('', 'publish', []),
+      rule('Bad', 'auto_reject', [
+        { field: 'colour', operator: 'eq', value: 'red' },
+        { field: 'source', operator: 'gt', value: 'a' },
+        { field: 'width', operator: 'gte', value: '800' },
+        { field: 'source', operator: 'nin', value: [] }
+      ])
+    ]);
+    expect(errors).toEqual([
+      'approvalRules[0]: name is required',
+      'approvalRules[0]: action must be one of auto_approve, auto_reject, manual_review',
+      'approvalRules[0]: at least one condition is required',
+      "approvalRules[1] (Bad).conditions[0]: unknown field 'colour'",
+      "approvalRules[1] (Bad).conditions[1]: 'gt' only applies to numeric fields",
+      'approvalRules[1] (Bad).conditions[2]: value must be a number',
+      "approvalRules[1] (Bad).conditions[3]: 'nin' needs a non-empty list"
+    ]);
+  });
+
+  test('builds facts from dimensions, licence and duplicate matches', () => {
+    expect(ApprovalRules.buildFacts(image(), { duplicate: { distance: 3 } })).toMatchObject({
+      'quality.overall': 7,
+      'quality.relevance': 6,
+      source: 'unsplash',
+      'license.commercial': true,
+      minDimension: 800,
+      aspectRatio: 1.5,
+      duplicate: true,
+      duplicateDistance: 3
+    });
+
+    const facts = ApprovalRules.buildFacts(image({ metadata: {} }));
+    expect(facts.aspectRatio).toBeUndefined();
+    expect(facts.duplicate).toBe(false);
+  });
+
+  test('first enabled matching rule decides and records why', () => {
+    const strategy = {
+      approvalRules: [
+        rule('Disabled', 'auto_reject', [{ field: 'source', operator: 'eq', value: 'unsplash' }], { enabled: false }),
+        rule('Near duplicates', 'auto_reject', [{ field: 'duplicate', operator: 'eq', value: true }]),
+        rule('Landscape unsplash', 'auto_approve', [
+          { field: 'source', operator: 'eq', value: 'unsplash' },
+          { field: 'aspectRatio', operator: 'gte', value: 1.2 }
+        ], { reason: 'Trusted source, fits card layout' }),
+        rule('Everything else', 'manual_review', [{ field: 'quality.overall', operator: 'gte', value: 0 }])
+      ]
+    };
+
+    const decision = ApprovalRules.evaluateRules(ApprovalRules.buildFacts(image()), strategy);
+    expect(decision).toMatchObject({
+      action: 'auto_approve',
+      status: 'approved',
+      rule: 'Landscape unsplash',
+      reason: 'Trusted source, fits card layout',
+      conditions: [
+        { field: 'source', operator: 'eq', value: 'unsplash', actual: 'unsplash' },
+        { field: 'aspectRatio', operator: 'gte', value: 1.2, actual: 1.5 }
+      ]
+    });
+
+    const duplicate = ApprovalRules.evaluateRules(
+      ApprovalRules.buildFacts(image(), { duplicate: { distance: 2 } }),
+      strategy
+    );
+    expect(duplicate).toMatchObject({ status: 'rejected', rule: 'Near duplicates' });
+    expect(ApprovalRules.handlesDuplicates(strategy)).toBe(true);
+    expect(ApprovalRules.handlesDuplicates({ approvalRules: [strategy.approvalRules[3]] })).toBe(false);
+
+    // Missing facts never match, so portrait images fall through
+    const portrait = ApprovalRules.evaluateRules(ApprovalRules.buildFacts(image({ metadata: {} })), strategy);
+    expect(portrait.rule).toBe('Everything else');
+  });
+
+  test('falls back to thresholds and applies the decision to the image', () => {
+    const decide = (overall, strategy, options) =>
+      ApprovalRules.evaluateRules({ 'quality.overall': overall }, strategy, options);
+
+    expect(decide(8.5).status).toBe('approved');
+    expect(decide(8, { autoApprovalThreshold: 7.5 }).status).toBe('approved');
+    expect(decide(4.9).status).toBe('rejected');
+    expect(decide(5.5, {}, { rejectBelow: 6 }).status).toBe('rejected');
+    expect(decide(6)).toMatchObject({ status: 'manual_review', rule: null, conditions: [] });
+
+    const approved = ApprovalRules.applyDecision(image(), decide(9));
+    expect(approved).toMatchObject({ status: 'approved', approvedBy: 'auto-approval' });
+    expect(approved.approvalDecision.reason).toMatch(/auto-approval threshold 8.5/);
+
+    const rejected = ApprovalRules.applyDecision(image(), decide(2));
+    expect(rejected.status).toBe('rejected');
+    expect(rejected.rejectionReason).toBe('Quality 2 is below 5');
+  });
+});
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JSZip = require('jszip');
+const sharp = require('sharp');
+const {
+  CategoryBundle,
+  validateManifest,
+  planImport,
+  mergeItem,
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION
+} = require('../services/bundles/CategoryBundle');
+const Category = require('../models/Category');
+const Item = require('../models/Item');
+
+/**
+ * Category bundle tests
+ */
+
+describe('CategoryBundle', () => {
+  const category = { id: 'animals', name: 'Animals', icon: '🐾', color: '#f59e0b', description: 'Animals A-Z' };
+  const image = (sourceId, files) => ({
+    sourceProvider: 'unsplash',
+    sourceId,
+    license: { type: 'unsplash', attribution: 'Photo by Jo', commercial: true },
+    files
+  });
+  const manifest = (items) => ({ format: BUNDLE_FORMAT, version: BUNDLE_VERSION, category, items });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('validates the manifest against the archive contents', () => {
+    const valid = manifest([
+      { id: 'ant', name: 'Ant', letter: 'A', description: 'Small', images: [image('1', { primary: 'images/ant/0/primary.jpg', sizes: {} })] }
+    ]);
+    expect(validateManifest(valid, ['images/ant/0/primary.jpg'])).toEqual({ errors: [], warnings: [] });
+
+    const { errors } = validateManifest(manifest([
+      { id: 'ant', name: 'Ant', letter: 'A', description: 'Small', images: [image('1', { primary: 'images/ant/0/primary.jpg', sizes: {} })] },
+      { id: 'ant', name: 'Ant', letter: 'a', description: 'Again' },
+      { id: 'Bad Id', name: 'Bee', letter: 'B', description: 'Buzz' }
+    ]), []);
+    expect(errors).toEqual([
+      'items[0] (ant): missing file images/ant/0/primary.jpg',
+      'items[1] (ant): duplicate item id',
+      'items[1] (ant): letter must be A-Z',
+      'items[2] (Bad Id): id is missing or invalid'
+    ]);
+
+    expect(validateManifest({ format: 'other' }, []).errors[0]).toMatch(/Not a category bundle/);
+    expect(validateManifest({ ...manifest([]), version: BUNDLE_VERSION + 1 }, []).errors[0]).toMatch(/newer than this server/);
+  });
+
+  test('plans per-item actions with a default strategy and overrides', () => {
+    const items = [{ id: 'ant' }, { id: 'bee' }, { id: 'cat' }];
+    const plan = planImport(items, new Set(['ant', 'bee']), { conflict: 'merge', resolutions: { bee: 'overwrite' } });
+
+    expect(plan).toEqual([
+      { itemId: 'ant', action: 'merge' },
+      { itemId: 'bee', action: 'overwrite' },
+      { itemId: 'cat', action: 'create' }
+    ]);
+    expect(planImport(items, new Set(['cat']))[2].action).toBe('skip');
+  });
+
+  test('merges without clobbering existing content', () => {
+    const existing = {
+      name: 'Ant',
+      description: 'An ant',
+      facts: [],
+      translations: new Map([['es', { name: 'Hormiga' }]]),
+      images: [{ sourceProvider: 'unsplash', sourceId: '1' }],
+      audio: [{ locale: 'en' }]
+    };
+    const incoming = {
+      fields: {
+        name: 'Ant',
+        description: 'Replaced?',
+        facts: ['Ants are strong'],
+        translations: { es: { name: 'Otra' }, de: { name: 'Ameise' } }
+      },
+      images: [image('1', {}), image('2', {})],
+      audio: [{ locale: 'en' }, { locale: 'es' }]
+    };
+
+    const merged = mergeItem(existing, incoming);
+
+    expect(merged.fields).toEqual({
+      facts: ['Ants are strong'],
+      translations: { es: { name: 'Hormiga' }, de: { name: 'Ameise' } }
+    });
+    expect(merged.images.map(img => img.sourceId)).toEqual(['2']);
+    expect(merged.audio.map(clip => clip.locale)).toEqual(['es']);
+  });
+
+  test('packs local image sizes and detects tampered archives', async () => {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bundle-test-'));
+    try {
+      const primaryPath = path.join(tempDir, 'ant.jpg');
+      const smallPath = path.join(tempDir, 'ant_small.webp');
+      await sharp({ create: { width: 40, height: 40, channels: 3, background: '#884400' } }).jpeg().toFile(primaryPath);
+      await sharp(primaryPath).resize(10).webp().toFile(smallPath);
+
+      const bundle = new CategoryBundle();
+      const zip = new JSZip();
+      const checksums = {};
+      const missingFiles = [];
+      const addFile = (name, buffer) => {
+        zip.file(name, buffer);
+        checksums[name] = crypto.createHash('sha256').update(buffer).digest('hex');
+      };
+
+      const exported = await bundle.exportImage({ id: 'ant' }, {
+        sourceProvider: 'unsplash',
+        sourceId: '1',
+        license: { type: 'unsplash' },
+        filePath: primaryPath,
+        processedSizes: [
+          { size: 'small', path: smallPath, width: 10, height: 10 },
+          { size: 'large', path: path.join(tempDir, 'gone.webp') }
+        ]
+      }, 0, addFile, missingFiles);
+
+      expect(exported.files).toEqual({ primary: 'images/ant/0/primary.jpg', sizes: { small: 'images/ant/0/small.webp' } });
+      expect(exported.processedSizes[0]).toEqual({ size: 'small', width: 10, height: 10 });
+      expect(exported.filePath).toBeUndefined();
+      expect(missingFiles).toEqual([path.join(tempDir, 'gone.webp')]);
+
+      const item = { id: 'ant', name: 'Ant', letter: 'A', description: 'Small', images: [exported], audio: [] };
+      zip.file('manifest.json', JSON.stringify({ ...manifest([item]), checksums }));
+
+      const read = await bundle.readBundle(await zip.generateAsync({ type: 'nodebuffer' }));
+      expect(read.errors).toEqual([]);
+      expect(read.manifest.items[0].id).toBe('ant');
+
+      zip.file('images/ant/0/small.webp', Buffer.from('not an image'));
+      const tampered = await bundle.readBundle(await zip.generateAsync({ type: 'nodebuffer' }));
+      expect(tampered.errors).toEqual(['Checksum mismatch for images/ant/0/small.webp']);
+
+      expect((await bundle.readBundle(Buffer.from('nope'))).errors).toEqual(['File is not a valid ZIP archive']);
+    } finally {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test('keeps an existing item when its overwrite fails', async () => {
+    const bundle = new CategoryBundle();
+    const existing = { id: 'ant', categoryId: 'animals', name: 'Ant', description: 'An ant' };
+    jest.spyOn(bundle, 'previewImport').mockResolvedValue({
+      sourceCategoryId: 'animals',
+      targetCategoryId: 'animals',
+      categoryExists: true,
+      plan: [{ itemId: 'ant', action: 'overwrite' }, { itemId: 'bee', action: 'overwrite' }]
+    });
+    jest.spyOn(Category, 'findOne').mockResolvedValue({ id: 'animals', refreshItemStats: jest.fn() });
+    jest.spyOn(Item, 'findOne').mockReturnValue({ lean: () => Promise.resolve(existing) });
+    const deleteOne = jest.spyOn(Item, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    const insertOne = jest.spyOn(Item.collection, 'insertOne').mockResolvedValue({});
+    jest.spyOn(Item.prototype, 'save').mockRejectedValue(new Error('write conflict'));
+
+    const result = await bundle.importBundle({
+      zip: new JSZip(),
+      manifest: manifest([
+        { id: 'ant', name: 'Ant', letter: 'A', description: 'Small' },
+        { id: 'bee', name: 'Bee', letter: 'B' }
+      ])
+    }, { conflict: 'overwrite' });
+
+    expect(result.results).toEqual([
+      { itemId: 'ant', status: 'failed', reason: 'write conflict' },
+      { itemId: 'bee', status: 'failed', reason: expect.stringMatching(/description/) }
+    ]);
+    // The invalid replacement never got as far as deleting, and the one that
+    // failed to save was put back
+    expect(deleteOne).toHaveBeenCalledTimes(1);
+    expect(deleteOne).toHaveBeenCalledWith({ categoryId: 'animals', id: 'ant' });
+    expect(insertOne).toHaveBeenCalledWith(existing);
+  });
+});
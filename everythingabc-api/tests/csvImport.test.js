@@ -0,0 +1,95 @@
+const { CsvImport, parseCsv, buildDiff, buildRejectedCsv } = require('../services/import/CsvImport');
+const Category = require('../models/Category');
+const Item = require('../models/Item');
+
+/**
+ * CSV import tests
+ */
+
+describe('CSV import', () => {
+  const categories = new Set(['animals', 'fruits']);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('rejects rows individually and keeps their original cells', () => {
+    const csv = [
+      'category,letter,itemName,description,tags,name.es',
+      'animals,A,Ant,"Small, strong","insect,colony",Hormiga',
+      '',
+      'plants,B,Bamboo,Tall grass,,',
+      'fruits,1,,No name,,'
+    ].join('\n');
+
+    const { headers, rows, errors } = parseCsv(csv, categories);
+
+    expect(headers).toEqual(['category', 'letter', 'itemName', 'description', 'tags', 'name.es']);
+    expect(rows.map(row => row.rowNumber)).toEqual([2, 4, 5]);
+    expect(rows[0]).toMatchObject({ itemName: 'Ant', tags: ['insect', 'colony'], translations: { es: { name: 'Hormiga' } } });
+    expect(rows[0].raw.description).toBe('Small, strong');
+    expect(errors.map(({ row, field }) => `${row}:${field}`)).toEqual(['4:category', '5:letter', '5:itemName']);
+
+    // Unknown categories are fine when the import may create them
+    expect(parseCsv(csv, categories, { createCategories: true }).errors.map(error => error.row)).toEqual([5, 5]);
+  });
+
+  test('reports header problems against row 1', () => {
+    const { rows, errors } = parseCsv('category,itemName,name.xx\nanimals,Ant,Foo', categories);
+
+    expect(rows).toEqual([]);
+    expect(errors.map(error => error.message)).toEqual([
+      'Missing required header: letter',
+      expect.stringMatching(/^Unknown translation column: name\.xx/)
+    ]);
+    expect(parseCsv('category,letter,itemName', categories).errors[0].row).toBe(0);
+  });
+
+  test('groups outcomes by category and letter', () => {
+    const diff = buildDiff([
+      { status: 'created', categoryId: 'animals', letter: 'A', itemName: 'Ant' },
+      { status: 'skipped', categoryId: 'animals', letter: 'A', itemName: 'Alligator' },
+      { status: 'updated', categoryId: 'fruits', letter: 'B', itemName: 'Banana' },
+      { status: 'rejected', categoryId: 'plants', letter: 'B', itemName: 'Bamboo' }
+    ]);
+
+    expect(diff).toEqual({
+      animals: { A: { created: ['Ant'], updated: [], skipped: ['Alligator'] } },
+      fruits: { B: { created: [], updated: ['Banana'], skipped: [] } }
+    });
+  });
+
+  test('writes rejected rows back out with a reason column', () => {
+    const csv = buildRejectedCsv(['category', 'letter', 'itemName', 'description'], [
+      { row: 4, raw: { category: 'plants', letter: 'B', itemName: 'Bamboo', description: 'Tall, "giant" grass' }, reason: "Category 'plants' does not exist" },
+      { row: 5, raw: { category: 'fruits', letter: '1' }, reason: 'Letter must be A-Z; Item name is required' }
+    ]);
+
+    expect(csv.split('\n')).toEqual([
+      'category,letter,itemName,description,error',
+      'plants,B,Bamboo,"Tall, ""giant"" grass",Category \'plants\' does not exist',
+      'fruits,1,,,Letter must be A-Z; Item name is required'
+    ]);
+  });
+
+  test('fails rows in a dry run that the real import could not save', async () => {
+    const csvImport = new CsvImport();
+    jest.spyOn(csvImport, 'loadCategoryIds').mockResolvedValue(categories);
+    jest.spyOn(Category, 'findOne').mockResolvedValue({ id: 'animals' });
+    jest.spyOn(Item, 'findByLetter').mockResolvedValue([]);
+    const save = jest.spyOn(Item.prototype, 'save');
+
+    const result = await csvImport.run([
+      'category,letter,itemName,description',
+      'animals,A,Ant,Small insect',
+      'animals,B,Bee,'
+    ].join('\n'), { dryRun: true });
+
+    expect(result.summary).toMatchObject({ created: 1, failed: 1 });
+    expect(result.diff).toEqual({ animals: { A: { created: ['Ant'], updated: [], skipped: [] } } });
+    expect(result.rejected).toEqual([
+      { row: 3, raw: expect.objectContaining({ itemName: 'Bee' }), reason: expect.stringMatching(/description/) }
+    ]);
+    expect(save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,148 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const sharp = require('sharp');
+const express = require('express');
+const request = require('supertest');
+const Item = require('../models/Item');
+const ImageProcessor = require('../services/processing/ImageProcessor');
+const { ImageFraming, imageFraming } = require('../services/processing/ImageFraming');
+const mediaRoutes = require('../routes/media');
+
+/**
+ * Crop and focal point tests
+ */
+
+describe('Image framing', () => {
+  const square = { width: 150, height: 150 };
+
+  const picture = (width, height) =>
+    sharp({ create: { width, height, channels: 3, background: '#3366cc' } }).webp().toBuffer();
+
+  test('works out the source region for each size', () => {
+    expect(ImageProcessor.framingRegion(1000, 500, square, null)).toBeNull();
+    expect(ImageProcessor.framingRegion(1000, 500, null, { crop: { x: 0, y: 0, width: 0.5, height: 0.5 } })).toBeNull();
+
+    expect(ImageProcessor.framingRegion(1000, 500, square, { crop: { x: 0.1, y: 0.2, width: 0.5, height: 0.6 } }))
+      .toEqual({ left: 100, top: 100, width: 500, height: 300 });
+
+    // The focal point is kept as central as the edges allow
+    expect(ImageProcessor.framingRegion(1000, 500, square, { focalPoint: { x: 0.5, y: 0.5 } }))
+      .toEqual({ left: 250, top: 0, width: 500, height: 500 });
+    expect(ImageProcessor.framingRegion(1000, 500, square, { focalPoint: { x: 0.95, y: 0.1 } }))
+      .toEqual({ left: 500, top: 0, width: 500, height: 500 });
+
+    // Both: the focal point moves within the crop
+    expect(ImageProcessor.framingRegion(1000, 500, square, {
+      crop: { x: 0, y: 0, width: 0.6, height: 1 },
+      focalPoint: { x: 0.9, y: 0.5 }
+    })).toEqual({ left: 100, top: 0, width: 500, height: 500 });
+  });
+
+  test('validates crop rectangles and focal points', () => {
+    const framing = new ImageFraming();
+
+    expect(framing.validate({ crop: { x: 0.1, y: 0.1, width: 0.8, height: 0.9 }, focalPoint: { x: 0, y: 1 } })).toEqual([]);
+    expect(framing.validate({ crop: null, focalPoint: null })).toEqual([]);
+    expect(framing.validate({ crop: { x: 0.5, y: 0, width: 0.6, height: 1 } })).toEqual(['crop must lie within the image']);
+    expect(framing.validate({ crop: { x: 0, y: 0, width: 0, height: 1 } })).toEqual(['crop width and height must be greater than 0']);
+    expect(framing.validate({ crop: { x: '0', y: 0, width: 1, height: 1 }, focalPoint: { x: 2, y: 0 } })).toEqual([
+      'crop x, y, width and height must be numbers between 0 and 1',
+      'focalPoint x and y must be numbers between 0 and 1'
+    ]);
+  });
+
+  test('frames every size but the original', async () => {
+    const processor = new ImageProcessor();
+    const sizes = await processor.generateImageSizesFromBuffer(await picture(1600, 800), 'webp', 80, {
+      focalPoint: { x: 0.25, y: 0.5 }
+    });
+    const byName = Object.fromEntries(sizes.map(size => [size.name, size]));
+
+    expect([byName.thumbnail.width, byName.thumbnail.height]).toEqual([150, 150]);
+    expect([byName.large.width, byName.large.height]).toEqual([800, 800]);
+    expect([byName.original.width, byName.original.height]).toEqual([1600, 800]);
+  });
+
+  test('regenerates local variants from the original and cleans up the old ones', async () => {
+    const storage = await fs.mkdtemp(path.join(os.tmpdir(), 'image-framing-'));
+    const framing = new ImageFraming();
+    framing.fileOrganizer.basePath = storage;
+
+    try {
+      const itemDir = path.join(storage, 'categories', 'animals', 'A', 'ant');
+      await fs.ensureDir(itemDir);
+      const originalPath = path.join(itemDir, 'ant_original.webp');
+      const largePath = path.join(itemDir, 'ant_large.webp');
+      await fs.writeFile(originalPath, await picture(1200, 600));
+      await fs.writeFile(largePath, await picture(1200, 600));
+
+      const image = {
+        sourceId: 'abc',
+        sourceProvider: 'unsplash',
+        status: 'approved',
+        isPrimary: true,
+        filePath: largePath,
+        processedSizes: [
+          { size: 'original', path: originalPath, width: 1200, height: 600 },
+          { size: 'large', path: largePath, width: 1200, height: 600 }
+        ],
+        metadata: { width: 1200, height: 600 }
+      };
+      const item = { id: 'ant', categoryId: 'animals', letter: 'A', name: 'Ant', images: [image] };
+
+      await framing.reframe(item, image, { crop: { x: 0, y: 0, width: 0.5, height: 1 } });
+
+      expect(image.crop).toEqual({ x: 0, y: 0, width: 0.5, height: 1 });
+      expect(item.image).toBe(image.filePath);
+      expect(image.metadata).toEqual({ width: 600, height: 600, fileSize: expect.any(Number) });
+      expect(await fs.pathExists(largePath)).toBe(false);
+      expect(await fs.pathExists(originalPath)).toBe(true);
+
+      const described = framing.describe(image, item);
+      expect(described.originalUrl).toBe('/api/v1/media/images/animals/ant/abc/original');
+      expect(described.sizes.map(size => size.size).sort()).toEqual(['large', 'medium', 'original', 'small', 'thumbnail']);
+      expect(described.sizes.find(size => size.size === 'thumbnail')).toMatchObject({ width: 150, height: 150 });
+
+      // Changing only the focal point keeps the crop
+      await framing.reframe(item, image, { focalPoint: { x: 0.1, y: 0.5 } });
+      expect(image.crop).toEqual({ x: 0, y: 0, width: 0.5, height: 1 });
+      expect(image.focalPoint).toEqual({ x: 0.1, y: 0.5 });
+    } finally {
+      await fs.remove(storage);
+    }
+  });
+
+  test('serves local image files only while the image is approved', async () => {
+    const storage = await fs.mkdtemp(path.join(os.tmpdir(), 'image-media-'));
+    const basePath = imageFraming.fileOrganizer.basePath;
+    imageFraming.fileOrganizer.basePath = storage;
+
+    try {
+      const filePath = path.join(storage, 'categories', 'animals', 'A', 'ant', 'ant_small.webp');
+      await fs.outputFile(filePath, await picture(40, 40));
+      const image = { sourceId: 'abc', status: 'approved', filePath, processedSizes: [{ size: 'small', path: filePath }] };
+      const findByItemId = jest.spyOn(Item, 'findByItemId').mockResolvedValue({ id: 'ant', images: [image] });
+
+      const app = express();
+      app.use('/api/v1/media', mediaRoutes);
+
+      const served = await request(app).get('/api/v1/media/images/animals/ant/abc/small');
+      expect(served.status).toBe(200);
+      expect(served.headers['content-type']).toBe('image/webp');
+      expect(findByItemId).toHaveBeenCalledWith('ant', 'animals');
+
+      expect((await request(app).get('/api/v1/media/images/animals/ant/abc/large')).status).toBe(404);
+
+      image.status = 'manual_review';
+      expect((await request(app).get('/api/v1/media/images/animals/ant/abc/small')).status).toBe(404);
+
+      // The files themselves are not served, approved or not
+      expect((await request(app).get('/api/v1/media/animals/A/ant/ant_small.webp')).status).toBe(404);
+    } finally {
+      jest.restoreAllMocks();
+      imageFraming.fileOrganizer.basePath = basePath;
+      await fs.remove(storage);
+    }
+  });
+});
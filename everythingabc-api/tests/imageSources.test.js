@@ -0,0 +1,158 @@
+const { creativeCommons } = require('../utils/licenses');
+const { ApiClientManager, WikimediaClient, OpenverseClient } = require('../services/apiClients');
+const wikimediaSearch = require('./fixtures/wikimedia-search.json');
+const openverseSearch = require('./fixtures/openverse-search.json');
+
+/**
+ * Wikimedia Commons and Openverse client tests
+ *
+ * Responses are replayed from recorded fixtures through the axios adapter,
+ * so nothing here reaches the live APIs
+ */
+
+describe('Open image sources', () => {
+  // Answers every request from the client with the next fixture, in order
+  const replay = (client, ...fixtures) => {
+    const requests = [];
+    client.client.defaults.adapter = async (config) => {
+      requests.push(config);
+      return { data: fixtures.shift(), status: 200, statusText: 'OK', headers: {}, config };
+    };
+    return requests;
+  };
+
+  test('reads Creative Commons licenses as the sources write them', () => {
+    expect(creativeCommons('by-sa', '4.0')).toEqual({
+      type: 'cc-by-sa',
+      name: 'CC BY-SA 4.0',
+      version: '4.0',
+      licenseUrl: 'https://creativecommons.org/licenses/by-sa/4.0/',
+      commercial: true
+    });
+    expect(creativeCommons('cc-by-nc-3.0-de')).toMatchObject({ type: 'cc-by-nc', version: '3.0', commercial: false });
+    expect(creativeCommons('CC BY 2.0')).toMatchObject({ type: 'cc-by', name: 'CC BY 2.0' });
+    expect(creativeCommons('cc0')).toMatchObject({ type: 'cc0', name: 'CC0 1.0' });
+    expect(creativeCommons('Public domain')).toMatchObject({
+      type: 'pdm',
+      licenseUrl: 'https://creativecommons.org/publicdomain/mark/1.0/'
+    });
+    expect(creativeCommons('by')).toMatchObject({ name: 'CC BY', licenseUrl: 'https://creativecommons.org/licenses/by/' });
+
+    expect(creativeCommons('gfdl')).toBeNull();
+    expect(creativeCommons('sampling+', '1.0')).toBeNull();
+  });
+
+  test('Wikimedia Commons keeps the exact license and author of each file', async () => {
+    const client = new WikimediaClient({ baseUrl: 'https://commons.wikimedia.org/w/api.php', userAgent: 'Tests/1.0' });
+    const requests = replay(client, wikimediaSearch);
+
+    const result = await client.search('apple', { perPage: 4 });
+
+    expect(requests[0].params).toMatchObject({
+      generator: 'search',
+      gsrsearch: 'apple filetype:bitmap',
+      gsrnamespace: 6,
+      gsrlimit: 4,
+      prop: 'imageinfo'
+    });
+    expect(requests[0].headers['User-Agent']).toBe('Tests/1.0');
+
+    // The SVG and the GFDL file are left out
+    expect(result.images.map(image => image.id)).toEqual(['41583950', '5120977']);
+    expect(result.hasMore).toBe(true);
+
+    const [apple, illustration] = result.images;
+    expect(apple).toMatchObject({
+      url: 'https://upload.wikimedia.org/wikipedia/commons/thumb/1/15/Red_Apple.jpg/1600px-Red_Apple.jpg',
+      urlLarge: 'https://upload.wikimedia.org/wikipedia/commons/1/15/Red_Apple.jpg',
+      description: 'A red apple on a white background',
+      tags: ['Apples', 'Red apples', 'Fruits on white backgrounds'],
+      source: 'wikimedia'
+    });
+    expect(apple.license).toEqual({
+      type: 'cc-by-sa',
+      name: 'CC BY-SA 4.0',
+      version: '4.0',
+      licenseUrl: 'https://creativecommons.org/licenses/by-sa/4.0',
+      commercial: true,
+      author: 'Abhijit Tembhekar',
+      authorUrl: 'https://commons.wikimedia.org/wiki/User:Abhijit_Tembhekar',
+      attribution: 'Abhijit Tembhekar, CC BY-SA 4.0, via Wikimedia Commons',
+      url: 'https://commons.wikimedia.org/wiki/File:Red_Apple.jpg'
+    });
+    expect(illustration.license).toMatchObject({ type: 'pdm', author: 'Otto Wilhelm Thomé', authorUrl: null });
+  });
+
+  test('Openverse keeps its attribution and asks only for commercially usable images', async () => {
+    const client = new OpenverseClient({ baseUrl: 'https://api.openverse.org/v1' });
+    const requests = replay(client, openverseSearch);
+
+    const result = await client.search('apple', { perPage: 50 });
+
+    expect(requests[0].url).toBe('/images/');
+    expect(requests[0].params).toMatchObject({ q: 'apple', page_size: 20, license_type: 'commercial', mature: false });
+    expect(requests[0].headers.Authorization).toBeUndefined();
+
+    // The Sampling+ image is left out
+    expect(result.images.map(image => image.license.type)).toEqual(['cc-by', 'cc0']);
+    expect(result).toMatchObject({ total: 240, hasMore: true });
+    expect(result.images[0]).toMatchObject({
+      url: 'https://live.staticflickr.com/4137/4953457011_6f1c0e3d4a_b.jpg',
+      tags: ['apple', 'fruit', 'green'],
+      source: 'openverse',
+      provider: 'flickr',
+      license: {
+        name: 'CC BY 2.0',
+        author: 'Jessica Spengler',
+        authorUrl: 'https://www.flickr.com/photos/37873897@N06',
+        attribution: expect.stringContaining('"Green apple" by Jessica Spengler is licensed under CC BY 2.0'),
+        url: 'https://www.flickr.com/photos/37873897@N06/4953457011'
+      }
+    });
+
+    // Registered applications fetch a token first and may ask for more per page
+    const registered = new OpenverseClient({ baseUrl: 'https://api.openverse.org/v1', clientId: 'id', clientSecret: 'secret' });
+    const tokenRequests = replay(registered, { access_token: 'abc', expires_in: 36000 }, openverseSearch);
+    await registered.search('apple', { perPage: 50, commercialOnly: false });
+
+    expect(tokenRequests[0].url).toBe('/auth_tokens/token/');
+    expect(tokenRequests[0].data).toContain('grant_type=client_credentials');
+    expect(tokenRequests[1].headers.Authorization).toBe('Bearer abc');
+    expect(tokenRequests[1].params).toMatchObject({ page_size: 50 });
+    expect(tokenRequests[1].params.license_type).toBeUndefined();
+  });
+
+  test('registers both sources without keys, each with its own rate limiter', async () => {
+    const environment = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'development';
+
+    try {
+      const manager = new ApiClientManager();
+      manager.config.apis.unsplash.accessKey = undefined;
+      manager.config.apis.pexels.apiKey = undefined;
+      manager.config.apis.pixabay.apiKey = 'test-key';
+      await manager.initialize();
+
+      expect(manager.getAvailableClients()).toEqual(['pixabay', 'wikimedia', 'openverse']);
+      expect(manager.rateLimiters.get('wikimedia')).not.toBe(manager.rateLimiters.get('openverse'));
+      expect(manager.rateLimiters.get('openverse').points).toBe(100);
+
+      replay(manager.getClient('wikimedia'), wikimediaSearch);
+      replay(manager.getClient('openverse'), openverseSearch);
+      manager.clients.delete('pixabay');
+
+      const result = await manager.searchAllSources('apple', { prioritySources: ['openverse', 'wikimedia'], timeout: 500 });
+      expect(result.searchedSources).toEqual(['openverse', 'wikimedia']);
+      expect(result.images.find(image => image.source === 'openverse').sourceRank).toBe(0);
+      expect(result.images.find(image => image.source === 'wikimedia').sourceRank).toBe(1);
+
+      const disabled = new ApiClientManager();
+      disabled.config.apis.pixabay.apiKey = 'test-key';
+      disabled.config.apis.openverse.enabled = false;
+      await disabled.initialize();
+      expect(disabled.getAvailableClients()).not.toContain('openverse');
+    } finally {
+      process.env.NODE_ENV = environment;
+    }
+  });
+});
@@ -0,0 +1,101 @@
+const ItemSearch = require('../services/search/ItemSearch');
+const Category = require('../models/Category');
+const Item = require('../models/Item');
+
+/**
+ * Item search scoring tests
+ *
+ * Scoring and facets are pure functions, so these run without a database
+ */
+
+describe('ItemSearch', () => {
+  const search = new ItemSearch();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const items = [
+    { id: 'ant', name: 'Ant', description: 'A small insect that works in colonies', tags: ['insect', 'small'], difficulty: 1, categoryId: 'animals', letter: 'A' },
+    { id: 'anteater', name: 'Anteater', description: 'Eats ants and termites', tags: ['mammal'], difficulty: 3, categoryId: 'animals', letter: 'A' },
+    { id: 'elephant', name: 'Elephant', description: 'The largest land animal', tags: ['mammal', 'large'], difficulty: 2, categoryId: 'animals', letter: 'E' },
+    { id: 'eggplant', name: 'Eggplant', description: 'A purple vegetable', tags: ['vegetable'], difficulty: 2, categoryId: 'food', letter: 'E' }
+  ];
+
+  const rank = (query) => items
+    .map(item => ({ id: item.id, score: search.scoreItem(item, ItemSearch.tokenize(query)) }))
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(result => result.id);
+
+  test('should rank exact name matches above prefix and description matches', () => {
+    expect(rank('ant')).toEqual(['ant', 'anteater']);
+  });
+
+  test('should rank name matches above tag matches', () => {
+    expect(rank('mammal')).toEqual(['anteater', 'elephant']);
+  });
+
+  test('should tolerate misspellings', () => {
+    expect(rank('elefant')).toEqual(['elephant']);
+    expect(rank('elephnat')).toEqual(['elephant']);
+  });
+
+  test('should not fuzzy match short terms', () => {
+    expect(rank('ent')).toEqual([]);
+  });
+
+  test('should require every term to match', () => {
+    expect(rank('purple vegetable')).toEqual(['eggplant']);
+    expect(rank('purple mammal')).toEqual([]);
+  });
+
+  test('should ignore case and accents', () => {
+    expect(ItemSearch.tokenize('Crème BRÛLÉE')).toEqual(['creme', 'brulee']);
+    expect(rank('ÉLÉPHANT')).toEqual(['elephant']);
+  });
+
+  test('should compute edit distance with transpositions', () => {
+    expect(ItemSearch.editDistance('elefant', 'elephant')).toBe(2);
+    expect(ItemSearch.editDistance('lepahnt', 'lephant')).toBe(1);
+    expect(ItemSearch.editDistance('cat', 'elephant', 2)).toBe(3);
+  });
+
+  test('should count facets by category, letter, difficulty and tag', () => {
+    const matches = items.map(item => ({ item, score: 1 }));
+    const facets = search.buildFacets(matches, new Map([['animals', 'Animals'], ['food', 'Food']]));
+
+    expect(facets.category).toEqual([
+      { value: 'animals', label: 'Animals', count: 3 },
+      { value: 'food', label: 'Food', count: 1 }
+    ]);
+    expect(facets.letter).toEqual([{ value: 'A', count: 2 }, { value: 'E', count: 2 }]);
+    expect(facets.difficulty).toEqual([
+      { value: 1, count: 1 },
+      { value: 2, count: 2 },
+      { value: 3, count: 1 }
+    ]);
+    expect(facets.tag[0]).toEqual({ value: 'mammal', count: 2 });
+  });
+
+  test('should apply category, letter, difficulty and tag filters', () => {
+    const [ant, anteater, elephant] = items;
+
+    expect(search.matchesFilters(ant, { category: 'animals', letter: 'a' })).toBe(true);
+    expect(search.matchesFilters(elephant, { letter: 'A' })).toBe(false);
+    expect(search.matchesFilters(anteater, { difficulty: '3' })).toBe(true);
+    expect(search.matchesFilters(ant, { tag: 'Insect' })).toBe(true);
+    expect(search.matchesFilters(ant, { tag: 'mammal' })).toBe(false);
+  });
+
+  test('should only search published items', async () => {
+    const lean = (value) => ({ lean: () => Promise.resolve(value) });
+    jest.spyOn(Category, 'find').mockReturnValue(lean([{ id: 'animals', name: 'Animals' }]));
+    const find = jest.spyOn(Item, 'find').mockReturnValue(lean([items[0]]));
+
+    const { results } = await search.search('ant');
+
+    expect(find.mock.calls[0][0]).toEqual({ categoryId: { $in: ['animals'] }, publishingStatus: 'published' });
+    expect(results.map(result => result.id)).toEqual(['ant']);
+  });
+});
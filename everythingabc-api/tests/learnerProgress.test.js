@@ -0,0 +1,53 @@
+const LearnerProgress = require('../models/LearnerProgress');
+
+/**
+ * Learner progress sync tests
+ */
+
+describe('LearnerProgress', () => {
+  const card = (fields = {}) => ({
+    categoryId: 'fruits',
+    itemId: 'apple',
+    letter: 'a',
+    repetitions: 2,
+    interval: 6,
+    easeFactor: 2.6,
+    dueAt: '2025-01-10T00:00:00.000Z',
+    updatedAt: '2025-01-04T00:00:00.000Z',
+    ...fields
+  });
+
+  test('accepts only UUID learner ids', () => {
+    expect(LearnerProgress.isValidLearnerId('3f2b8c1e-9a4d-4e6f-8b2a-1c3d5e7f9a0b')).toBe(true);
+    expect(LearnerProgress.isValidLearnerId('not-a-uuid')).toBe(false);
+    expect(LearnerProgress.isValidLearnerId({ $ne: null })).toBe(false);
+  });
+
+  test('normalizes cards and clamps scheduling values', () => {
+    const normalized = LearnerProgress.normalizeCard(card({ easeFactor: 0.5, repetitions: -3, extra: 'x' }));
+
+    expect(normalized).toMatchObject({ letter: 'A', learned: true, repetitions: 0, easeFactor: 1.3 });
+    expect(normalized.dueAt).toEqual(new Date('2025-01-10T00:00:00.000Z'));
+    expect(normalized).not.toHaveProperty('extra');
+  });
+
+  test('rejects cards without ids or with bad dates', () => {
+    expect(LearnerProgress.normalizeCard(card({ itemId: undefined }))).toBeNull();
+    expect(LearnerProgress.normalizeCard(card({ updatedAt: undefined }))).toBeNull();
+    expect(LearnerProgress.normalizeCard(card({ dueAt: 'soon' }))).toBeNull();
+  });
+
+  test('keeps the most recently updated copy of each card', () => {
+    const stored = [card(), card({ itemId: 'banana', letter: 'b' })];
+    const incoming = [
+      card({ interval: 15, updatedAt: '2025-01-10T00:00:00.000Z' }),
+      card({ itemId: 'banana', letter: 'b', learned: false, updatedAt: '2025-01-01T00:00:00.000Z' })
+    ];
+
+    const merged = LearnerProgress.mergeCards(stored, incoming);
+
+    expect(merged).toHaveLength(2);
+    expect(merged.find(c => c.itemId === 'apple').interval).toBe(15);
+    expect(merged.find(c => c.itemId === 'banana').learned).toBeUndefined();
+  });
+});
@@ -0,0 +1,123 @@
+const { LicenseCompliance } = require('../services/compliance/LicenseCompliance');
+const ApprovalRules = require('../services/collection/ApprovalRules');
+
+/**
+ * License compliance tests
+ *
+ * Checks run on plain image records, so these run without a database
+ */
+
+describe('LicenseCompliance', () => {
+  const compliance = new LicenseCompliance();
+
+  const image = (license, fields = {}) => ({
+    sourceProvider: 'wikimedia',
+    sourceId: '1',
+    status: 'approved',
+    license,
+    ...fields
+  });
+
+  const codes = (record) => compliance.check(record).map(({ code }) => code);
+
+  test('flags missing and incompatible licenses', () => {
+    expect(codes(image({ type: 'pexels', commercial: true }))).toEqual([]);
+    expect(codes(image({ type: 'cc-by-sa', author: 'Ann' }))).toEqual([]);
+    expect(codes(image({ type: 'cc0' }))).toEqual([]);
+
+    expect(codes(image(undefined))).toEqual(['missing_license']);
+    expect(codes(image({ type: 'gfdl' }))).toEqual(['unknown_license']);
+    expect(codes(image({ type: 'cc-by-nc', author: 'Ann', commercial: false }))).toEqual(['non_commercial']);
+    expect(codes(image({ type: 'cc-by-nd', attribution: 'Ann, CC BY-ND 4.0' }, { crop: { x: 0, y: 0, width: 0.5, height: 1 } })))
+      .toEqual(['no_derivatives']);
+
+    const [missing] = compliance.check(image({ type: 'cc-by', name: 'CC BY 2.0', attribution: '  ' }));
+    expect(missing).toEqual({
+      code: 'missing_attribution',
+      message: 'CC BY 2.0 requires attribution, but no author or credit line is recorded',
+      blocking: true
+    });
+  });
+
+  test('blocks approval only when a required attribution is missing', () => {
+    expect(compliance.approvalBlocker(image({ type: 'cc-by-sa' }))).toMatch(/requires attribution/);
+    expect(compliance.approvalBlocker(image({ type: 'cc-by-sa', author: 'Ann' }))).toBeNull();
+    expect(compliance.approvalBlocker(image({ type: 'cc-by-nc', author: 'Ann' }))).toBeNull();
+
+    // Auto-approval falls back to manual review
+    const record = image({ type: 'cc-by' }, { status: 'pending', qualityScore: { overall: 9.5 } });
+    ApprovalRules.applyDecision(record, ApprovalRules.evaluateRules(ApprovalRules.buildFacts(record)));
+    expect(record.status).toBe('manual_review');
+    expect(record.approvalDecision).toMatchObject({ action: 'manual_review', reason: expect.stringMatching(/requires attribution/) });
+    expect(record.approvedAt).toBeUndefined();
+  });
+
+  test('builds the credit line shown with an image', () => {
+    expect(compliance.credit(image({
+      type: 'cc-by-sa',
+      name: 'CC BY-SA 4.0',
+      licenseUrl: 'https://creativecommons.org/licenses/by-sa/4.0',
+      author: 'Ann',
+      authorUrl: 'https://commons.wikimedia.org/wiki/User:Ann',
+      attribution: 'Ann, CC BY-SA 4.0, via Wikimedia Commons',
+      url: 'https://commons.wikimedia.org/wiki/File:Ant.jpg'
+    }))).toEqual({
+      text: 'Ann, CC BY-SA 4.0, via Wikimedia Commons',
+      author: 'Ann',
+      authorUrl: 'https://commons.wikimedia.org/wiki/User:Ann',
+      license: 'CC BY-SA 4.0',
+      licenseUrl: 'https://creativecommons.org/licenses/by-sa/4.0',
+      sourceUrl: 'https://commons.wikimedia.org/wiki/File:Ant.jpg',
+      sourceProvider: 'wikimedia'
+    });
+
+    expect(compliance.credit(image({ type: 'unsplash', author: 'Bo' }, { sourceProvider: 'unsplash' }))).toMatchObject({
+      text: 'Photo by Bo on Unsplash',
+      license: 'Unsplash License',
+      licenseUrl: 'https://unsplash.com/license'
+    });
+    expect(compliance.credit(image({ type: 'cc0' }))).toMatchObject({ text: null, license: 'CC0 1.0' });
+    expect(compliance.credit(image(undefined))).toBeNull();
+  });
+
+  test('summarizes the report and groups public credits', () => {
+    const items = [
+      {
+        id: 'ant', name: 'Ant', letter: 'A', categoryId: 'animals',
+        images: [
+          image({ type: 'pexels', attribution: 'Photo by Cy from Pexels' }, { sourceId: 'ok', isPrimary: true }),
+          image({ type: 'cc-by' }, { sourceId: 'pending', status: 'pending' }),
+          image(undefined, { sourceId: 'bad' }),
+          image(undefined, { sourceId: 'gone', status: 'rejected' })
+        ]
+      },
+      { id: 'bee', name: 'Bee', letter: 'B', categoryId: 'animals', images: [image({ type: 'cc-by' }, { status: 'pending' })] }
+    ];
+
+    const { summary, images } = compliance.summarize(items);
+    expect(summary).toEqual({
+      imagesChecked: 4,
+      flagged: 3,
+      approvedFlagged: 1,
+      blocking: 2,
+      byIssue: { missing_attribution: 2, missing_license: 1 }
+    });
+    expect(images[0]).toMatchObject({ itemId: 'ant', sourceId: 'bad', status: 'approved' });
+    expect(compliance.summarize(items, { status: 'pending' }).summary.imagesChecked).toBe(2);
+
+    const credits = compliance.groupCredits(
+      [{ id: 'animals', name: 'Animals' }, { id: 'fruits', name: 'Fruits' }],
+      items
+    );
+    expect(credits).toEqual([{
+      categoryId: 'animals',
+      categoryName: 'Animals',
+      items: [{
+        itemId: 'ant',
+        itemName: 'Ant',
+        letter: 'A',
+        credits: [expect.objectContaining({ text: 'Photo by Cy from Pexels', license: 'Pexels License' })]
+      }]
+    }]);
+  });
+});
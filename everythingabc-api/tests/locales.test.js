@@ -0,0 +1,64 @@
+const Item = require('../models/Item');
+const { letterFor, parseTranslations, getAlphabet, TRANSLATABLE_ITEM_FIELDS } = require('../utils/locales');
+
+/**
+ * Translation and per-locale alphabet bucketing tests
+ */
+
+describe('locales', () => {
+  test('buckets words by each locale\'s alphabet', () => {
+    expect(letterFor('ñandú', 'es')).toBe('Ñ');
+    expect(letterFor('Ñandú', 'en')).toBe('N');
+    expect(letterFor('águila', 'es')).toBe('A');
+    expect(letterFor('Äpfel', 'de')).toBe('Ä');
+    expect(letterFor('Élan', 'fr')).toBe('E');
+    expect(letterFor('ёж', 'ru')).toBe('Ё');
+    expect(letterFor('Ώρα', 'el')).toBe('Ω');
+    expect(letterFor('أسد', 'ar')).toBe('ا');
+    expect(letterFor('Apple', 'ru')).toBeNull();
+    expect(letterFor('Ñandu', 'es')).toBe('Ñ');
+    expect(getAlphabet('es')).toHaveLength(27);
+  });
+
+  test('parses translations, dropping blanks and unknown fields', () => {
+    const { translations } = parseTranslations({
+      es: { name: ' Manzana ', facts: ['Es roja', ' '], color: 'rojo' },
+      de: { name: '', description: '  ' }
+    }, TRANSLATABLE_ITEM_FIELDS);
+
+    expect(translations).toEqual({ es: { name: 'Manzana', facts: ['Es roja'] } });
+    expect(parseTranslations({ xx: { name: 'x' } }, TRANSLATABLE_ITEM_FIELDS).error).toMatch(/xx/);
+    expect(parseTranslations({ en: { name: 'x' } }, TRANSLATABLE_ITEM_FIELDS).error).toMatch(/en/);
+  });
+
+  test('groups items under their translated letter with English fallback', () => {
+    const items = [
+      { id: 'rhea', name: 'Rhea', description: 'Bird', letter: 'R', facts: ['Fast'],
+        translations: { es: { name: 'Ñandú', facts: ['Corre rápido'] } } },
+      { id: 'ant', name: 'Ant', description: 'Insect', letter: 'A',
+        translations: { ru: { name: 'Муравей' } } },
+      { id: 'bear', name: 'Bear', description: 'Mammal', letter: 'B' }
+    ];
+
+    const spanish = Item.groupByLocale(items, 'es');
+    expect(spanish['Ñ'].map(item => item.id)).toEqual(['rhea']);
+    expect(spanish['Ñ'][0]).toMatchObject({ name: 'Ñandú', description: 'Bird', facts: ['Corre rápido'], translated: true });
+    expect(spanish.B[0]).toMatchObject({ name: 'Bear', translated: false });
+
+    // English names can't be filed under Cyrillic letters
+    const russian = Item.groupByLocale(items, 'ru');
+    expect(russian['М'].map(item => item.id)).toEqual(['ant']);
+    expect(Object.values(russian).flat()).toHaveLength(1);
+  });
+
+  test('rejects unsupported translation locales', () => {
+    const item = new Item({
+      categoryId: 'animals', letter: 'R', id: 'rhea', name: 'Rhea', description: 'Bird',
+      translations: { es: { name: 'ñandú' } }
+    });
+
+    expect(item.validateSync()).toBeUndefined();
+    expect(new Item({ ...item.toObject(), translations: { xx: { name: 'x' } } }).validateSync().errors.translations)
+      .toBeDefined();
+  });
+});
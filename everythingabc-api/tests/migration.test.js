@@ -4,6 +4,8 @@ const { MongoMemoryServer } = require('mongodb-memory-server');
 const SchemaMigrator = require('../scripts/01-schema-migration');
 const DataMigrator = require('../scripts/02-data-migration');
 const Category = require('../models/Category');
+const Item = require('../models/Item');
+const ItemNormalization = require('../scripts/migration/04-item-normalization');
 
 /**
  * Comprehensive Migration Test Suite
@@ -580,6 +582,67 @@ describe('EverythingABC Migration Suite', () => {
     });
   });
 
+  describe('Item Normalization (Phase 4)', () => {
+    beforeEach(async () => {
+      // Insert the embedded layout directly, as it exists before the migration
+      await mongoose.connection.db.collection('categories').insertOne({
+        id: 'animals',
+        name: 'Animals',
+        status: 'active',
+        description: 'Meet amazing creatures from around the world!',
+        items: {
+          A: [{ id: 'ant', name: 'Ant', description: 'A small insect', images: [] }],
+          B: [
+            { id: 'bear', name: 'Bear', description: 'A large mammal', images: [] },
+            { id: 'bee', name: 'Bee', description: 'A flying insect', images: [] }
+          ]
+        }
+      });
+    });
+
+    test('should move embedded items into the items collection', async () => {
+      expect(await ItemNormalization.prepareIndexes()).toBe(true);
+      expect(await ItemNormalization.normalizeItems()).toBe(true);
+
+      const items = await Item.findByCategory('animals').lean();
+      expect(items.map(item => item.id)).toEqual(['ant', 'bear', 'bee']);
+      expect(items.map(item => item.letter)).toEqual(['A', 'B', 'B']);
+
+      const category = await mongoose.connection.db.collection('categories').findOne({ id: 'animals' });
+      expect(category.items).toBeUndefined();
+
+      expect(await ItemNormalization.validateMigration()).toBe(true);
+    });
+
+    test('should be safe to run twice', async () => {
+      await ItemNormalization.normalizeItems();
+      await ItemNormalization.normalizeItems();
+
+      expect(await Item.countDocuments({ categoryId: 'animals' })).toBe(3);
+    });
+
+    test('should restore embedded items on rollback', async () => {
+      await ItemNormalization.normalizeItems();
+      expect(await ItemNormalization.performRollback()).toBe(true);
+
+      const category = await mongoose.connection.db.collection('categories').findOne({ id: 'animals' });
+      expect(category.items.A.map(item => item.id)).toEqual(['ant']);
+      expect(category.items.B.map(item => item.id)).toEqual(['bear', 'bee']);
+      expect(category.items.B[0].categoryId).toBeUndefined();
+    });
+
+    test('should refresh category counters from the items collection', async () => {
+      await ItemNormalization.normalizeItems();
+
+      const category = await Category.findOne({ id: 'animals' });
+      await category.refreshItemStats();
+
+      expect(category.completeness).toBe(2);
+      expect(category.metadata.totalItems).toBe(3);
+      expect(category.getLettersWithItems(await category.loadItems())).toEqual(['A', 'B']);
+    });
+  });
+
   describe('Error Handling and Edge Cases', () => {
     test('should handle empty categories gracefully', async () => {
       const category = new Category({
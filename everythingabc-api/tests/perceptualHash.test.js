@@ -0,0 +1,76 @@
+const sharp = require('sharp');
+const PerceptualHash = require('../services/analysis/PerceptualHash');
+
+/**
+ * Perceptual hash tests
+ *
+ * Images are drawn in memory with sharp, so these run without a database
+ */
+
+describe('PerceptualHash', () => {
+  const hasher = new PerceptualHash({ threshold: 6 });
+
+  const draw = (shapes) => sharp(Buffer.from(
+    '<svg xmlns="http://www.w3.org/2000/svg" width="400" height="400">' +
+    `<rect width="100%" height="100%" fill="#eee"/>${shapes}</svg>`
+  )).png().toBuffer();
+
+  const circle = '<circle cx="120" cy="200" r="90" fill="#c33"/><rect x="230" y="60" width="120" height="280" fill="#236"/>';
+  const stripes = '<rect x="0" y="0" width="400" height="80" fill="#222"/><rect x="0" y="160" width="400" height="80" fill="#222"/>' +
+    '<rect x="0" y="320" width="400" height="80" fill="#222"/>';
+
+  test('produces a 64-bit hex hash', async () => {
+    const hash = await hasher.computeHash(await draw(circle));
+    expect(hash).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  test('resized and recompressed copies stay within the threshold', async () => {
+    const original = await draw(circle);
+    const copy = await sharp(original).resize(1000).jpeg({ quality: 40 }).toBuffer();
+
+    const a = await hasher.computeHash(original);
+    const b = await hasher.computeHash(copy);
+
+    expect(PerceptualHash.hammingDistance(a, b)).toBeLessThanOrEqual(6);
+    expect(hasher.isDuplicate(a, b)).toBe(true);
+  });
+
+  test('different pictures are far apart', async () => {
+    const a = await hasher.computeHash(await draw(circle));
+    const b = await hasher.computeHash(await draw(stripes));
+
+    expect(hasher.isDuplicate(a, b)).toBe(false);
+  });
+
+  test('hammingDistance counts differing bits', () => {
+    expect(PerceptualHash.hammingDistance('0000000000000000', '0000000000000000')).toBe(0);
+    expect(PerceptualHash.hammingDistance('0000000000000000', '000000000000000f')).toBe(4);
+    expect(PerceptualHash.hammingDistance('ffffffffffffffff', '0000000000000000')).toBe(64);
+  });
+
+  test('findDuplicate returns the closest match within the threshold', () => {
+    const entries = [
+      { sourceId: 'far', perceptualHash: 'ffffffffffffffff' },
+      { sourceId: 'near', perceptualHash: '0000000000000003' },
+      { sourceId: 'nearest', perceptualHash: '0000000000000001' },
+      { sourceId: 'unhashed' }
+    ];
+
+    expect(hasher.findDuplicate('0000000000000000', entries)).toMatchObject({ sourceId: 'nearest', distance: 1 });
+    expect(hasher.findDuplicate('00000000ffffffff', entries)).toBeNull();
+  });
+
+  test('findClusters groups transitively and drops singletons', () => {
+    const entries = [
+      { sourceId: 'a', perceptualHash: '0000000000000000' },
+      { sourceId: 'b', perceptualHash: '000000000000003f' },
+      { sourceId: 'c', perceptualHash: '0000000000000fff' },
+      { sourceId: 'lonely', perceptualHash: 'ffffffff00000000' }
+    ];
+
+    const clusters = hasher.findClusters(entries);
+
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].map(entry => entry.sourceId).sort()).toEqual(['a', 'b', 'c']);
+  });
+});
@@ -0,0 +1,92 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const sharp = require('sharp');
+const PrintRenderer = require('../services/print/PrintRenderer');
+
+/**
+ * Printable PDF tests
+ */
+
+describe('PrintRenderer', () => {
+  const renderer = new PrintRenderer();
+  const category = { id: 'animals', name: 'Animals' };
+
+  const item = (name, images = []) => ({ id: name.toLowerCase(), name, letter: name[0], images });
+  const items = ['Bear', 'Ant', 'Cat', 'Alligator', 'Dog', 'Eagle', 'Fox', 'Zebra'].map(name => item(name));
+
+  const pageCount = (pdf) => (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+
+  test('validates layout, paper and cards per page', () => {
+    expect(renderer.parseOptions({})).toEqual({ layout: 'flashcards', paper: 'a4', cardsPerPage: 6 });
+    expect(renderer.parseOptions({ layout: 'worksheet', paper: 'Letter', cardsPerPage: '4' }))
+      .toEqual({ layout: 'worksheet', paper: 'letter', cardsPerPage: 4 });
+    expect(renderer.parseOptions({ layout: 'poster', cardsPerPage: '7' }).error).toBeUndefined();
+    expect(renderer.parseOptions({ layout: 'banner' }).error).toMatch(/Unknown layout/);
+    expect(renderer.parseOptions({ paper: 'a3' }).error).toMatch(/Unknown paper size/);
+    expect(renderer.parseOptions({ cardsPerPage: '5' }).error).toMatch(/cardsPerPage must be one of/);
+    expect(renderer.parseOptions({ layout: 'worksheet', cardsPerPage: '20' }).error).toMatch(/between 1 and 8/);
+  });
+
+  test('paginates cards in letter order and builds one poster cell per letter', () => {
+    const cards = renderer.paginate(items, { layout: 'flashcards', cardsPerPage: 4 });
+    expect(cards.map(page => page.cells.map(cell => cell.item.name))).toEqual([
+      ['Alligator', 'Ant', 'Bear', 'Cat'],
+      ['Dog', 'Eagle', 'Fox', 'Zebra']
+    ]);
+
+    const withPicture = item('Ape', [{ status: 'approved', filePath: '/tmp/ape.jpg' }]);
+    const [poster] = renderer.paginate([...items, withPicture], { layout: 'poster' });
+    expect(poster.cells).toHaveLength(26);
+    expect(poster.cells[0].item.name).toBe('Ape');
+    expect(poster.cells[6]).toEqual({ letter: 'G', item: null });
+  });
+
+  test('renders a PDF page per chunk of cards', async () => {
+    const flashcards = await renderer.render(category, items, renderer.parseOptions({ cardsPerPage: '4' }));
+    const poster = await renderer.render(category, items, renderer.parseOptions({ layout: 'poster', paper: 'letter' }));
+    const empty = await renderer.render(category, [], renderer.parseOptions({ layout: 'worksheet' }));
+
+    expect(flashcards.toString('latin1', 0, 5)).toBe('%PDF-');
+    expect(pageCount(flashcards)).toBe(2);
+    expect(pageCount(poster)).toBe(1);
+    expect(pageCount(empty)).toBe(1);
+  });
+
+  test('prints approved images only', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'print-images-'));
+    const filePath = path.join(dir, 'ant.webp');
+    await sharp({ create: { width: 800, height: 600, channels: 3, background: '#ff0000' } }).webp().toFile(filePath);
+
+    try {
+      const approved = await renderer.loadImage(item('Ant', [{ status: 'approved', filePath }]));
+      const pending = await renderer.loadImage(item('Ant', [{ status: 'pending', filePath }]));
+
+      const metadata = await sharp(approved).metadata();
+      expect(metadata.format).toBe('jpeg');
+      expect(metadata.width).toBe(600);
+      expect(pending).toBeNull();
+    } finally {
+      await fs.remove(dir);
+    }
+  });
+
+  test('reuses a rendering until the category or its items change', async () => {
+    const cached = new PrintRenderer({ cacheSize: 2 });
+    const render = jest.spyOn(cached, 'render');
+    const options = cached.parseOptions({});
+    const edited = { ...category, updatedAt: new Date('2026-01-01') };
+    const stamped = items.map(entry => ({ ...entry, updatedAt: new Date('2026-01-02') }));
+
+    const first = await cached.renderCached(edited, stamped, options);
+    expect(await cached.renderCached(edited, stamped, options)).toBe(first);
+    expect(render).toHaveBeenCalledTimes(1);
+
+    // An edited item, a removed item and other options are rendered afresh
+    await cached.renderCached(edited, [{ ...stamped[0], updatedAt: new Date('2026-01-03') }, ...stamped.slice(1)], options);
+    await cached.renderCached(edited, stamped.slice(1), options);
+    await cached.renderCached(edited, stamped, cached.parseOptions({ layout: 'poster' }));
+    expect(render).toHaveBeenCalledTimes(4);
+    expect(cached.cache.size).toBe(2);
+  });
+});
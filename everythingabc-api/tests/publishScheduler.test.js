@@ -0,0 +1,51 @@
+const { PublishScheduler } = require('../services/publishing/PublishScheduler');
+
+/**
+ * Publish schedule validation tests
+ *
+ * runDueTransitions needs a database; parseSchedule and isFuture don't
+ */
+
+describe('PublishScheduler', () => {
+  const scheduler = new PublishScheduler();
+  const now = new Date('2026-03-01T09:00:00Z');
+
+  test('leaves missing dates undefined and turns empty ones into null', () => {
+    expect(scheduler.parseSchedule({}, now)).toEqual({});
+    expect(scheduler.parseSchedule({ publishAt: null, unpublishAt: '' }, now)).toEqual({
+      publishAt: null,
+      unpublishAt: null
+    });
+  });
+
+  test('parses ISO dates', () => {
+    const schedule = scheduler.parseSchedule({
+      publishAt: '2026-03-09T00:00:00Z',
+      unpublishAt: '2026-03-16T00:00:00Z'
+    }, now);
+
+    expect(schedule.publishAt).toEqual(new Date('2026-03-09T00:00:00Z'));
+    expect(schedule.unpublishAt).toEqual(new Date('2026-03-16T00:00:00Z'));
+  });
+
+  test('rejects invalid dates', () => {
+    expect(scheduler.parseSchedule({ publishAt: 'next tuesday' }, now).error).toMatch(/publishAt/);
+  });
+
+  test('rejects an unpublishAt that is not after publishAt', () => {
+    expect(scheduler.parseSchedule({
+      publishAt: '2026-03-09T00:00:00Z',
+      unpublishAt: '2026-03-08T00:00:00Z'
+    }, now).error).toMatch(/unpublishAt/);
+  });
+
+  test('rejects an unpublishAt in the past', () => {
+    expect(scheduler.parseSchedule({ unpublishAt: '2026-02-01T00:00:00Z' }, now).error).toMatch(/unpublishAt/);
+  });
+
+  test('only future dates count as scheduled', () => {
+    expect(scheduler.isFuture(new Date('2026-03-02T00:00:00Z'), now)).toBe(true);
+    expect(scheduler.isFuture(new Date('2026-02-28T00:00:00Z'), now)).toBe(false);
+    expect(scheduler.isFuture(null, now)).toBe(false);
+  });
+});
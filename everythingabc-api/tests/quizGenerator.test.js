@@ -0,0 +1,81 @@
+const QuizGenerator = require('../services/quiz/QuizGenerator');
+
+/**
+ * Seeded quiz generation tests
+ */
+
+describe('QuizGenerator', () => {
+  const generator = new QuizGenerator();
+  const category = { id: 'fruits' };
+
+  const item = (id, letter, difficulty, facts = [`${id} fact`]) => ({
+    id,
+    name: id.charAt(0).toUpperCase() + id.slice(1),
+    letter,
+    difficulty,
+    image: `categories/fruits/${letter}/${id}.webp`,
+    facts
+  });
+
+  const items = [
+    item('apple', 'A', 1),
+    item('banana', 'B', 1),
+    item('cherry', 'C', 2),
+    item('date', 'D', 2),
+    item('elderberry', 'E', 5),
+    item('fig', 'F', 5),
+    item('grape', 'G', 1)
+  ];
+
+  test('same seed gives the same quiz regardless of item order', () => {
+    const first = generator.generate(category, items, { seed: 'abc', count: 8 });
+    const second = generator.generate(category, [...items].reverse(), { seed: 'abc', count: 8 });
+    const other = generator.generate(category, items, { seed: 'xyz', count: 8 });
+
+    expect(second).toEqual(first);
+    expect(other.questions).not.toEqual(first.questions);
+    expect(first.questions.map(q => q.mode).slice(0, 4)).toEqual(QuizGenerator.MODES);
+  });
+
+  test('picture distractors come from the difficulty band first', () => {
+    const quiz = generator.generate(category, items, { seed: 1, count: 20, modes: ['picture'] });
+    const apple = quiz.questions.find(q => q.answer === 'apple');
+
+    const optionIds = apple.options.map(option => option.id);
+    expect(optionIds).toHaveLength(4);
+    expect(optionIds).toContain('apple');
+    expect(optionIds).not.toContain('elderberry');
+    expect(optionIds).not.toContain('fig');
+  });
+
+  test('letter, spelling and fact questions have consistent answers', () => {
+    const quiz = generator.generate(category, items, { seed: 'answers', count: 21, modes: ['letter', 'spell', 'fact'] });
+
+    for (const question of quiz.questions) {
+      if (question.mode === 'letter') {
+        expect(question.options).toContain(question.answer);
+        expect(new Set(question.options).size).toBe(question.options.length);
+        expect(question.answer).toBe(question.item.letter);
+      } else if (question.mode === 'spell') {
+        const tiles = [...question.tiles];
+        for (const letter of question.answer) {
+          tiles.splice(tiles.indexOf(letter), 1);
+        }
+        expect(tiles).toHaveLength(generator.config.spellingDecoys);
+      } else {
+        const itemFacts = items.find(i => i.id === question.item.id).facts;
+        expect(itemFacts.includes(question.statement)).toBe(question.answer);
+      }
+    }
+  });
+
+  test('validates query options', () => {
+    expect(generator.parseOptions({ count: '0' }).error).toBeDefined();
+    expect(generator.parseOptions({ modes: 'picture,riddle' }).error).toMatch(/riddle/);
+    expect(generator.parseOptions({ seed: 'abc', count: '100' })).toEqual({
+      seed: 'abc',
+      count: generator.config.maxCount,
+      modes: QuizGenerator.MODES
+    });
+  });
+});
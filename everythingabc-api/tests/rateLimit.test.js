@@ -0,0 +1,135 @@
+const express = require('express');
+const request = require('supertest');
+const { DEFAULT_POLICIES, RateLimitManager, parseLimit } = require('../services/rateLimit/RateLimitManager');
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Rate limiting tests
+ *
+ * These use the in-memory store, which the Redis store falls back to and
+ * behaves like
+ */
+
+describe('Rate limiting', () => {
+  const policies = {
+    auth: { limit: '2/15m', countFailuresOnly: true, message: 'Too many authentication attempts', severity: 'high' },
+    search: { limit: '2/1m', message: 'Too many search requests', severity: 'medium' },
+    public: { limit: '3/1m', message: 'Too many requests', severity: 'medium' }
+  };
+
+  let logAction;
+
+  beforeEach(() => {
+    logAction = jest.spyOn(AuditLog, 'logAction').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    logAction.mockRestore();
+  });
+
+  const app = (manager) => {
+    const server = express();
+    server.use('/search', manager.middleware('search'));
+    server.use(['/search', '/categories'], manager.middleware('public'));
+    server.post('/login', manager.middleware('auth'), (req, res) => {
+      // A right password with two-factor on only earns a challenge
+      res.locals.rateLimitCleared = Boolean(req.query.ok) && !req.query.challenge;
+      res.status(req.query.ok ? 200 : 401).json({ success: Boolean(req.query.ok) });
+    });
+    server.get('*', (req, res) => res.json({ success: true }));
+    return server;
+  };
+
+  test('reads limits from policies and environment overrides', () => {
+    expect(parseLimit('60/1m')).toEqual({ points: 60, duration: 60 });
+    expect(parseLimit('5 / 15m')).toEqual({ points: 5, duration: 900 });
+    expect(parseLimit('1000/d')).toEqual({ points: 1000, duration: 86400 });
+    expect(parseLimit('off')).toBeNull();
+    expect(() => parseLimit('lots')).toThrow('Invalid rate limit');
+    expect(() => parseLimit('0/1m')).toThrow('Invalid rate limit');
+
+    const manager = new RateLimitManager(DEFAULT_POLICIES, { RATE_LIMIT_SEARCH: '120/1m', RATE_LIMIT_PUBLIC: 'off' });
+    expect(manager.store).toBe('memory');
+    expect(manager.describePolicies()).toEqual({
+      auth: { points: 5, duration: 900, countFailuresOnly: true },
+      search: { points: 120, duration: 60, countFailuresOnly: false },
+      print: { points: 10, duration: 60, countFailuresOnly: false },
+      generation: { points: 20, duration: 3600, countFailuresOnly: false },
+      public: null
+    });
+    expect(() => manager.middleware('admin')).toThrow('Unknown rate limit policy: admin');
+  });
+
+  test('limits requests per client with RateLimit headers and audits the rejection once', async () => {
+    const server = app(new RateLimitManager(policies, {}));
+
+    const first = await request(server).get('/categories');
+    expect(first.status).toBe(200);
+    expect(first.headers['ratelimit-policy']).toBe('3;w=60');
+    expect(first.headers['ratelimit-limit']).toBe('3');
+    expect(first.headers['ratelimit-remaining']).toBe('2');
+    expect(Number(first.headers['ratelimit-reset'])).toBeGreaterThan(0);
+
+    await request(server).get('/categories');
+    await request(server).get('/categories');
+
+    const rejected = await request(server).get('/categories');
+    expect(rejected.status).toBe(429);
+    expect(rejected.body).toMatchObject({ success: false, error: 'Too many requests', code: 'RATE_LIMITED' });
+    expect(rejected.headers['ratelimit-remaining']).toBe('0');
+    expect(Number(rejected.headers['retry-after'])).toBeGreaterThan(0);
+
+    await request(server).get('/categories');
+    expect(logAction).toHaveBeenCalledTimes(1);
+    expect(logAction).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'rate_limited',
+      resourceType: 'system',
+      resourceId: 'public',
+      description: "Rate limit 'public' exceeded on GET /categories",
+      success: false
+    }));
+  });
+
+  test('counts only failed authentication attempts', async () => {
+    const server = app(new RateLimitManager(policies, {}));
+
+    // Signing in clears earlier failures
+    await request(server).post('/login');
+    await request(server).post('/login?ok=1');
+    await request(server).post('/login');
+    expect((await request(server).post('/login?ok=1')).status).toBe(200);
+
+    // A two-factor challenge does not
+    await request(server).post('/login');
+    await request(server).post('/login?ok=1&challenge=1');
+    await request(server).post('/login');
+    expect((await request(server).post('/login?ok=1')).status).toBe(429);
+
+    await request(server).post('/login');
+    await request(server).post('/login');
+
+    const rejected = await request(server).post('/login?ok=1');
+    expect(rejected.status).toBe(429);
+    expect(rejected.body.error).toBe('Too many authentication attempts');
+    expect(logAction).toHaveBeenCalledWith(expect.objectContaining({ resourceId: 'auth', severity: 'high' }));
+  });
+
+  test('charges a request to the first policy it meets', async () => {
+    const server = app(new RateLimitManager(policies, {}));
+
+    await request(server).get('/search/apple');
+    const search = await request(server).get('/search/apple');
+    expect(search.headers['ratelimit-policy']).toBe('2;w=60');
+    expect((await request(server).get('/search/apple')).status).toBe(429);
+
+    // Searches did not use up the public allowance
+    const browse = await request(server).get('/categories');
+    expect(browse.status).toBe(200);
+    expect(browse.headers['ratelimit-remaining']).toBe('2');
+
+    const unlimited = app(new RateLimitManager(policies, { RATE_LIMIT_PUBLIC: 'off' }));
+    const response = await request(unlimited).get('/categories');
+    expect(response.status).toBe(200);
+    expect(response.headers['ratelimit-limit']).toBeUndefined();
+  });
+});
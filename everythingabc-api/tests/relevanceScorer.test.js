@@ -0,0 +1,113 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const sharp = require('sharp');
+const ort = require('onnxruntime-node');
+const { RelevanceScorer } = require('../services/analysis/relevance/RelevanceScorer');
+const ClipRelevanceScorer = require('../services/analysis/relevance/providers/ClipRelevanceScorer');
+const TextRelevanceScorer = require('../services/analysis/relevance/providers/TextRelevanceScorer');
+const { ClipTokenizer } = require('../services/analysis/relevance/providers/clipTokenizer');
+
+/**
+ * Image relevance scoring tests
+ */
+
+describe('Relevance scoring', () => {
+  let tempDir;
+  let imagePath;
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'relevance-test-'));
+    imagePath = path.join(tempDir, 'photo_123.png');
+    await sharp({ create: { width: 320, height: 200, channels: 4, background: { r: 255, g: 0, b: 0, alpha: 1 } } })
+      .png()
+      .toFile(imagePath);
+  });
+
+  afterAll(async () => {
+    await fs.remove(tempDir);
+  });
+
+  test('tokenizes with CLIP byte-level BPE and pads to the context length', () => {
+    const vocab = { '<|startoftext|>': 0, '<|endoftext|>': 1, 'c': 2, 'a': 3, 't</w>': 4, 'ca': 5, 'cat</w>': 6, 'a</w>': 7 };
+    const tokenizer = new ClipTokenizer(vocab, ['c a', 'ca t</w>']);
+
+    expect(tokenizer.encode('Cat')).toEqual([6]);
+    expect(tokenizer.tokenize('a  CAT', 8)).toEqual({
+      inputIds: [0, 7, 6, 1, 1, 1, 1, 1],
+      attentionMask: [1, 1, 1, 1, 0, 0, 0, 0]
+    });
+  });
+
+  test('scores image-text similarity with a CLIP model', async () => {
+    const scorer = new ClipRelevanceScorer({ similarityFloor: 0.1, similarityCeiling: 0.3 });
+    const feeds = [];
+    const textRun = jest.fn(async (input) => {
+      feeds.push(input);
+      // Every prompt embeds to [0.2, ~0.98]; the image to [1, 0]
+      const data = new Float32Array([0.2, 0.9798, 0.2, 0.9798, 0.2, 0.9798]);
+      return { text_embeds: { data, dims: [3, 2] } };
+    });
+    scorer.ort = ort;
+    scorer.tokenizer = new ClipTokenizer({ '<|startoftext|>': 0, '<|endoftext|>': 1 }, []);
+    scorer.sessions = {
+      vision: {
+        inputNames: ['pixel_values'],
+        run: async (input) => {
+          feeds.push(input);
+          return { image_embeds: { data: new Float32Array([3, 0]) } };
+        }
+      },
+      text: { inputNames: ['input_ids'], run: textRun }
+    };
+
+    const result = await scorer.score({ imagePath, itemName: 'Apple', category: 'fruits' });
+
+    expect(result.score).toBeCloseTo(5, 1);
+    expect(result.details.similarity).toBeCloseTo(0.2, 3);
+    expect(result.details.prompts[1]).toBe('a photo of a Apple, a type of fruits.');
+    expect(feeds.find(feed => feed.pixel_values).pixel_values.dims).toEqual([1, 3, 224, 224]);
+    expect(feeds.find(feed => feed.input_ids).input_ids.dims).toEqual([3, 77]);
+
+    // Text embeddings are cached per item
+    await scorer.score({ imagePath, itemName: 'apple', category: 'fruits' });
+    expect(textRun).toHaveBeenCalledTimes(1);
+
+    expect(scorer.similarityToScore(0.05)).toBe(0);
+    expect(scorer.similarityToScore(0.5)).toBe(10);
+  });
+
+  test('normalizes pixels with the CLIP mean and std', async () => {
+    const pixels = await new ClipRelevanceScorer().preprocessImage(imagePath);
+    const plane = 224 * 224;
+
+    expect(pixels).toHaveLength(3 * plane);
+    expect(pixels[0]).toBeCloseTo((1 - 0.48145466) / 0.26862954, 2);
+    expect(pixels[plane]).toBeCloseTo((0 - 0.4578275) / 0.26130258, 2);
+  });
+
+  test('uses the model when available and falls back to the text heuristic', async () => {
+    const scorer = new RelevanceScorer();
+    scorer.registerScorer(new TextRelevanceScorer());
+    const model = { name: 'clip', isConfigured: () => true, score: jest.fn(async () => ({ score: 8, details: { similarity: 0.28 } })) };
+    scorer.registerScorer(model);
+    scorer.initialized = true;
+    scorer.activeScorer = 'clip';
+
+    const input = { imagePath, itemName: 'Apple', category: 'fruits', sourceData: { tags: ['red apple'] } };
+    expect(await scorer.score(input)).toEqual({ score: 8, details: { scorer: 'clip', similarity: 0.28 } });
+
+    model.score.mockRejectedValueOnce(new Error('model crashed'));
+    const fallback = await scorer.score(input);
+    expect(fallback.details).toMatchObject({ scorer: 'text', fallbackFrom: 'clip', error: 'model crashed' });
+    expect(fallback.score).toBeCloseTo(4 * 0.3 + 9 * 0.4 + 5 * 0.3);
+  });
+
+  test('picks the text heuristic when no model is installed', () => {
+    const scorer = new RelevanceScorer();
+    scorer.preferredScorer = 'clip';
+    scorer.initialize();
+
+    expect(scorer.getStatus()).toEqual({ activeScorer: 'text', availableScorers: ['text'] });
+  });
+});
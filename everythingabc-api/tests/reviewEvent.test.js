@@ -0,0 +1,48 @@
+const ReviewEvent = require('../models/ReviewEvent');
+
+/**
+ * Review comment threading tests
+ */
+
+describe('ReviewEvent', () => {
+  const item = { id: 'apple', categoryId: 'fruits' };
+  const user = { id: 'mod-1', email: 'mod@everythingabc.com' };
+
+  const event = (type, fields = {}) => new ReviewEvent({
+    itemId: item.id,
+    categoryId: item.categoryId,
+    type,
+    userId: user.id,
+    userEmail: user.email,
+    ...fields
+  }).toSummary();
+
+  test('nests replies under their comment and skips other events', () => {
+    const question = event('comment', { body: 'Is this a Fuji?' });
+    const answer = event('comment', { body: 'Gala', parentId: question.id });
+    const other = event('comment', { body: 'Crop is tight' });
+
+    const threads = ReviewEvent.threadComments([
+      event('submitted'),
+      question,
+      event('assigned', { assignee: { userId: 'mod-2', email: 'mod2@everythingabc.com' } }),
+      answer,
+      other
+    ]);
+
+    expect(threads.map(thread => thread.body)).toEqual(['Is this a Fuji?', 'Crop is tight']);
+    expect(threads[0].replies.map(reply => reply.body)).toEqual(['Gala']);
+    expect(threads[1].replies).toEqual([]);
+  });
+
+  test('keeps replies to unknown comments at the top level', () => {
+    const orphan = event('comment', { body: 'Reply', parentId: '64b7f0c2a1b2c3d4e5f60718' });
+    expect(ReviewEvent.threadComments([orphan]).map(thread => thread.body)).toEqual(['Reply']);
+  });
+
+  test('summaries only include an assignee for assignment events', () => {
+    expect(event('comment', { body: 'Looks good' }).assignee).toBeNull();
+    expect(event('assigned', { assignee: { userId: 'mod-2', email: 'mod2@everythingabc.com' } }).assignee)
+      .toMatchObject({ userId: 'mod-2', email: 'mod2@everythingabc.com' });
+  });
+});
@@ -0,0 +1,59 @@
+const Revision = require('../models/Revision');
+const Item = require('../models/Item');
+
+/**
+ * Revision snapshot and diff tests
+ *
+ * snapshotOf and diffSnapshots are pure, so these run without a database
+ */
+
+describe('Revision', () => {
+  const item = new Item({
+    id: 'apple',
+    name: 'Apple',
+    description: 'A red fruit',
+    categoryId: 'fruits',
+    letter: 'A',
+    tags: ['fruit', 'red'],
+    facts: ['Apples float in water'],
+    images: [{ sourceProvider: 'manual', sourceId: 'x', filePath: '/a.webp', fileName: 'a.webp', license: { type: 'cc0' } }]
+  });
+
+  test('snapshots only editable content fields', () => {
+    const snapshot = Revision.snapshotOf('item', item);
+
+    expect(snapshot).toMatchObject({
+      name: 'Apple',
+      description: 'A red fruit',
+      tags: ['fruit', 'red'],
+      facts: ['Apples float in water']
+    });
+    expect(snapshot).not.toHaveProperty('images');
+    expect(snapshot).not.toHaveProperty('collectionProgress');
+    expect(snapshot).not.toHaveProperty('_id');
+  });
+
+  test('keys items by category, categories by id alone', () => {
+    expect(Revision.keyFor('item', item)).toEqual({ resourceType: 'item', resourceId: 'apple', categoryId: 'fruits' });
+    expect(Revision.keyFor('category', { id: 'fruits' })).toEqual({ resourceType: 'category', resourceId: 'fruits', categoryId: null });
+  });
+
+  test('diffs changed, added and removed fields', () => {
+    const before = { name: 'Apple', description: 'A red fruit', tags: ['fruit'], pronunciation: 'AP-uhl' };
+    const after = { name: 'Apple', description: 'A crunchy fruit', tags: ['fruit', 'red'], uses: ['pie'] };
+
+    const changes = Revision.diffSnapshots('item', before, after);
+
+    expect(changes).toEqual([
+      { field: 'description', before: 'A red fruit', after: 'A crunchy fruit' },
+      { field: 'pronunciation', before: 'AP-uhl', after: null },
+      { field: 'tags', before: ['fruit'], after: ['fruit', 'red'] },
+      { field: 'uses', before: null, after: ['pie'] }
+    ]);
+  });
+
+  test('identical snapshots have no changes', () => {
+    const snapshot = Revision.snapshotOf('item', item);
+    expect(Revision.diffSnapshots('item', snapshot, Revision.snapshotOf('item', item.toObject()))).toEqual([]);
+  });
+});
@@ -0,0 +1,129 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { SpeechGenerator } = require('../services/speech/SpeechGenerator');
+const { PronunciationAudio } = require('../services/speech/PronunciationAudio');
+const { wavDurationMs } = require('../services/speech/providers/wav');
+
+/**
+ * Pronunciation audio tests
+ *
+ * Uses the offline stub provider and local storage, so no TTS binary, API
+ * keys or S3 credentials are needed
+ */
+
+describe('SpeechGenerator', () => {
+  test('never selects the stub provider unless asked to', () => {
+    const implicit = new SpeechGenerator();
+    implicit.preferredProvider = null;
+    implicit.openaiApiKey = undefined;
+    implicit.initialize();
+
+    const explicit = new SpeechGenerator();
+    explicit.preferredProvider = 'stub';
+    explicit.initialize();
+
+    expect(implicit.getAvailableProviders()).toContain('stub');
+    expect(implicit.activeProvider).not.toBe('stub');
+    expect(explicit.activeProvider).toBe('stub');
+  });
+
+  test('stub output is a deterministic WAV per text', async () => {
+    const generator = new SpeechGenerator();
+    generator.preferredProvider = 'stub';
+
+    const first = await generator.synthesize('Apple');
+    const second = await generator.synthesize('  Apple ');
+    const other = await generator.synthesize('Banana');
+
+    expect(first.buffer.toString('ascii', 0, 4)).toBe('RIFF');
+    expect(first.mimeType).toBe('audio/wav');
+    expect(first.provider).toBe('stub');
+    expect(first.buffer.equals(second.buffer)).toBe(true);
+    expect(first.buffer.equals(other.buffer)).toBe(false);
+    expect(first.durationMs).toBe(wavDurationMs(first.buffer));
+    expect(other.durationMs).toBeGreaterThan(first.durationMs);
+  });
+
+  test('rejects empty text and unknown providers', async () => {
+    const generator = new SpeechGenerator();
+    generator.preferredProvider = 'stub';
+
+    await expect(generator.synthesize('   ')).rejects.toThrow('Text to speak is required');
+    await expect(generator.synthesize('Apple', { provider: 'nope' })).rejects.toThrow('not available: nope');
+  });
+});
+
+describe('PronunciationAudio', () => {
+  let audio;
+  let basePath;
+
+  const fakeItem = (fields = {}) => ({
+    id: 'apple',
+    name: 'Apple',
+    categoryId: 'fruits',
+    letter: 'A',
+    audio: [],
+    getAudio(locale) {
+      return this.audio.find(entry => entry.locale === locale) || null;
+    },
+    save: jest.fn().mockResolvedValue(),
+    ...fields
+  });
+
+  beforeEach(async () => {
+    basePath = await fs.mkdtemp(path.join(os.tmpdir(), 'audio-storage-'));
+
+    audio = new PronunciationAudio();
+    audio.fileOrganizer.updateConfig({
+      storage: { ...audio.fileOrganizer.config.storage, basePath }
+    });
+    // No AWS credentials in tests, so uploads fall back to local storage
+    audio.s3Service.uploadAudio = jest.fn().mockRejectedValue(new Error('S3 service not initialized'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(basePath);
+  });
+
+  test('stores generated audio locally and replaces the previous clip', async () => {
+    const item = fakeItem();
+
+    const first = await audio.generateForItem(item, { provider: 'stub', createdBy: 'editor@example.com' });
+    const second = await audio.generateForItem(item, { provider: 'stub' });
+
+    expect(item.audio).toHaveLength(1);
+    expect(item.audio[0]).toBe(second);
+    expect(second).toMatchObject({ locale: 'en', text: 'Apple', sourceProvider: 'stub', mimeType: 'audio/wav' });
+    expect(second.url).toMatch(/^\/api\/v1\/media\/fruits\/a\/apple\/audio\/apple_stub_en_\d+\.wav$/);
+    expect(await fs.pathExists(second.filePath)).toBe(true);
+    expect(await fs.pathExists(first.filePath)).toBe(first.filePath === second.filePath);
+    expect(item.save).toHaveBeenCalledTimes(2);
+  });
+
+  test('speaks the translated name and needs one for other locales', async () => {
+    const item = fakeItem({ translations: new Map([['es', { name: 'Manzana' }]]) });
+
+    const spanish = await audio.generateForItem(item, { locale: 'es', provider: 'stub' });
+
+    expect(spanish.text).toBe('Manzana');
+    await expect(audio.generateForItem(item, { locale: 'de', provider: 'stub' }))
+      .rejects.toThrow("no de name to pronounce");
+    expect(audio.missingAudioFilter('de', { categoryId: 'fruits' })).toEqual({
+      'audio.locale': { $ne: 'de' },
+      categoryId: 'fruits',
+      'translations.de.name': { $exists: true, $ne: '' }
+    });
+  });
+
+  test('accepts uploaded recordings in known audio formats only', async () => {
+    const item = fakeItem();
+
+    const uploaded = await audio.attachUpload(item, { mimetype: 'audio/mpeg', buffer: Buffer.from('ID3') });
+
+    expect(uploaded).toMatchObject({ sourceProvider: 'upload', mimeType: 'audio/mpeg', fileSize: 3 });
+    expect(uploaded.filePath).toMatch(/\.mp3$/);
+    await expect(audio.attachUpload(item, { mimetype: 'audio/x-flac', buffer: Buffer.from('fLaC') }))
+      .rejects.toThrow('Unsupported audio type');
+  });
+});
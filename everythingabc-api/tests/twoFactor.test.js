@@ -0,0 +1,96 @@
+const {
+  RECOVERY_CODE_COUNT,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  otpauthUri,
+  qrCodeDataUrl,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  createChallengeToken,
+  verifyChallengeToken
+} = require('../admin/utils/twoFactor');
+const { generateTokenPair } = require('../admin/utils/jwt');
+
+/**
+ * Two-factor authentication tests
+ *
+ * Codes are checked against the RFC 6238 test vectors, so they match what
+ * authenticator apps show
+ */
+
+describe('Two-factor authentication', () => {
+  // "12345678901234567890" in base32, the secret of the RFC test vectors
+  const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+  const PERIOD = 30 * 1000;
+
+  test('generates the codes an authenticator app shows', () => {
+    expect(generateTotp(RFC_SECRET, 59 * 1000)).toBe('287082');
+    expect(generateTotp(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+    expect(generateTotp(RFC_SECRET, 1111111111 * 1000)).toBe('050471');
+    expect(generateTotp(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateSecret()).not.toBe(secret);
+  });
+
+  test('accepts codes from the neighbouring periods, once each', () => {
+    const secret = generateSecret();
+    const now = Date.UTC(2026, 0, 1, 12, 0, 10);
+    const step = Math.floor(now / PERIOD);
+
+    expect(verifyTotp(secret, generateTotp(secret, now), { now })).toBe(step);
+    expect(verifyTotp(secret, ` ${generateTotp(secret, now - PERIOD)} `, { now })).toBe(step - 1);
+    expect(verifyTotp(secret, generateTotp(secret, now + PERIOD), { now })).toBe(step + 1);
+    expect(verifyTotp(secret, generateTotp(secret, now - 2 * PERIOD), { now })).toBeNull();
+
+    // A code, or an older one, cannot follow a code that was already used
+    expect(verifyTotp(secret, generateTotp(secret, now), { now, after: step })).toBeNull();
+    expect(verifyTotp(secret, generateTotp(secret, now - PERIOD), { now, after: step - 1 })).toBeNull();
+    expect(verifyTotp(secret, generateTotp(secret, now + PERIOD), { now, after: step })).toBe(step + 1);
+
+    expect(verifyTotp(secret, 'abcdef', { now })).toBeNull();
+    expect(verifyTotp(null, '123456', { now })).toBeNull();
+  });
+
+  test('describes the account for enrollment by QR code', async () => {
+    const uri = otpauthUri(RFC_SECRET, 'ann@example.com');
+    const url = new URL(uri);
+
+    expect(url.protocol).toBe('otpauth:');
+    expect(url.host).toBe('totp');
+    expect(decodeURIComponent(url.pathname)).toBe('/EverythingABC Admin:ann@example.com');
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      secret: RFC_SECRET,
+      issuer: 'EverythingABC Admin',
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30'
+    });
+
+    await expect(qrCodeDataUrl(uri)).resolves.toMatch(/^data:image\/png;base64,/);
+  });
+
+  test('issues one-time recovery codes and short-lived login challenges', () => {
+    const { codes, hashes } = generateRecoveryCodes();
+
+    expect(codes).toHaveLength(RECOVERY_CODE_COUNT);
+    expect(new Set(codes).size).toBe(RECOVERY_CODE_COUNT);
+    codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+
+    // Typed with different case or spacing, a code still matches
+    expect(hashRecoveryCode(codes[0].toUpperCase().replace('-', ' '))).toBe(hashes[0]);
+    expect(hashRecoveryCode('123456')).toBeNull();
+
+    const user = { id: 'ann_1', email: 'ann@example.com', role: 'admin', permissions: [] };
+    const { challengeToken, challengeExpiresAt } = createChallengeToken(user, { device: 'Office laptop' });
+
+    expect(verifyChallengeToken(challengeToken)).toMatchObject({ userId: 'ann_1', device: 'Office laptop' });
+    expect(challengeExpiresAt.getTime() - Date.now()).toBeLessThanOrEqual(5 * 60 * 1000);
+
+    // Access tokens and challenges are not interchangeable
+    expect(verifyChallengeToken(generateTokenPair(user).accessToken)).toBeNull();
+    expect(verifyChallengeToken('not-a-token')).toBeNull();
+  });
+});
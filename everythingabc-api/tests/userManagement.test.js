@@ -0,0 +1,118 @@
+const {
+  MIN_PASSWORD_LENGTH,
+  validateUserInput,
+  accessChangeDenial,
+  generateTemporaryPassword
+} = require('../admin/utils/userManagement');
+
+/**
+ * Admin user management tests
+ *
+ * Validation and the rules for who may change whom run on plain objects, so
+ * these run without a database
+ */
+
+describe('Admin user management', () => {
+  const actor = (role, permissions = []) => ({
+    id: `${role}-1`,
+    role,
+    permissions,
+    hasPermission(permission) {
+      return role === 'admin' || permissions.includes(permission);
+    }
+  });
+
+  test('validates a new user and keeps only the fields an admin may set', () => {
+    const { values, errors } = validateUserInput({
+      email: '  Ann@Example.COM ',
+      firstName: ' Ann ',
+      lastName: 'Lee',
+      password: 'long-enough',
+      role: 'moderator',
+      permissions: ['items.read', 'items.read', 'items.approve'],
+      isActive: false,
+      passwordHash: 'sneaky',
+      createdBy: 'someone'
+    }, { create: true });
+
+    expect(errors).toEqual([]);
+    expect(values).toEqual({
+      email: 'ann@example.com',
+      firstName: 'Ann',
+      lastName: 'Lee',
+      password: 'long-enough',
+      role: 'moderator',
+      permissions: ['items.read', 'items.approve']
+    });
+
+    expect(validateUserInput({ email: 'ann@example.com' }, { create: true }).errors).toEqual([
+      'firstName is required',
+      'lastName is required',
+      'password is required'
+    ]);
+  });
+
+  test('reports every invalid field of an update', () => {
+    const { errors } = validateUserInput({
+      email: 'not-an-email',
+      firstName: '   ',
+      bio: 42,
+      role: 'owner',
+      permissions: ['items.read', 'users.impersonate']
+    });
+
+    expect(errors).toEqual([
+      'bio must be a string',
+      'email must be a valid email address',
+      'firstName cannot be empty',
+      'role must be one of: admin, editor, moderator',
+      'Unknown permissions: users.impersonate'
+    ]);
+
+    // Passwords are only set on creation or through a reset
+    expect(validateUserInput({ password: 'short' }).values).toEqual({});
+    expect(validateUserInput({ password: 'short' }, { create: true }).errors)
+      .toContain(`password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+  });
+
+  test('limits who may change roles and permissions', () => {
+    const admin = actor('admin');
+    const manager = actor('editor', ['users.read', 'users.update', 'items.read', 'items.update']);
+    const editor = { id: 'editor-2', role: 'editor' };
+
+    expect(accessChangeDenial(admin, admin, { role: 'editor' })).toBe('You cannot change your own role or permissions');
+    expect(accessChangeDenial(admin, admin, { firstName: 'Al' })).toBeNull();
+    expect(accessChangeDenial(admin, editor, { role: 'admin' })).toBeNull();
+
+    expect(accessChangeDenial(manager, { id: 'admin-2', role: 'admin' }, {})).toBe('Only admins can manage admin users');
+    expect(accessChangeDenial(manager, editor, { role: 'admin' })).toBe('Only admins can manage admin users');
+
+    expect(accessChangeDenial(manager, editor, { permissions: ['items.read', 'items.update'] })).toBeNull();
+    expect(accessChangeDenial(manager, editor, { permissions: ['items.read', 'items.delete'] }))
+      .toBe('You cannot grant permissions you do not have: items.delete');
+
+    // A role brings its default permissions, which the actor must hold too
+    expect(accessChangeDenial(manager, editor, { role: 'moderator' }))
+      .toBe('You cannot grant permissions you do not have: categories.read, items.approve, analytics.read');
+
+    // Resets and deactivation send no changes, but the target's own
+    // permissions still have to be within the actor's
+    const approver = { id: 'editor-3', role: 'editor', permissions: ['items.read', 'items.approve'] };
+    expect(accessChangeDenial(manager, { ...editor, permissions: ['items.read'] })).toBeNull();
+    expect(accessChangeDenial(manager, approver))
+      .toBe('You cannot manage a user with permissions you do not have: items.approve');
+    expect(accessChangeDenial(manager, approver, { firstName: 'Ann' }))
+      .toBe('You cannot manage a user with permissions you do not have: items.approve');
+    expect(accessChangeDenial(admin, approver)).toBeNull();
+  });
+
+  test('generates temporary passwords long enough to be accepted', () => {
+    const passwords = new Set(Array.from({ length: 20 }, generateTemporaryPassword));
+
+    expect(passwords.size).toBe(20);
+    for (const password of passwords) {
+      expect(password.length).toBeGreaterThanOrEqual(MIN_PASSWORD_LENGTH);
+      expect(password).toMatch(/^[A-Za-z0-9_-]+$/);
+    }
+  });
+});
@@ -0,0 +1,111 @@
+// Licenses an image can be held under. The stock sites (Unsplash, Pixabay,
+// Pexels) each have a license of their own; openly licensed sources such as
+// Wikimedia Commons and Openverse tag every file with a Creative Commons
+// license, stored under a `cc-*` type with its version alongside.
+
+const CREATIVE_COMMONS = {
+  cc0: { name: 'CC0', path: 'publicdomain/zero', version: '1.0' },
+  pdm: { name: 'Public Domain Mark', path: 'publicdomain/mark', version: '1.0' },
+  'cc-by': { name: 'CC BY', path: 'licenses/by', attribution: true },
+  'cc-by-sa': { name: 'CC BY-SA', path: 'licenses/by-sa', attribution: true },
+  'cc-by-nd': { name: 'CC BY-ND', path: 'licenses/by-nd', attribution: true, noDerivatives: true },
+  'cc-by-nc': { name: 'CC BY-NC', path: 'licenses/by-nc', attribution: true },
+  'cc-by-nc-sa': { name: 'CC BY-NC-SA', path: 'licenses/by-nc-sa', attribution: true },
+  'cc-by-nc-nd': { name: 'CC BY-NC-ND', path: 'licenses/by-nc-nd', attribution: true, noDerivatives: true }
+};
+
+// The stock sites' own licenses ask for no credit, though it is appreciated
+const PROVIDER_LICENSES = {
+  unsplash: { name: 'Unsplash License', url: 'https://unsplash.com/license', source: 'Unsplash' },
+  pixabay: { name: 'Pixabay Content License', url: 'https://pixabay.com/service/license-summary/', source: 'Pixabay' },
+  pexels: { name: 'Pexels License', url: 'https://www.pexels.com/license/', source: 'Pexels' },
+  generated: { name: 'AI-generated' },
+  purchased: { name: 'Licensed for use' }
+};
+
+const LICENSE_TYPES = [
+  'unsplash', 'pixabay', 'pexels',
+  ...Object.keys(CREATIVE_COMMONS),
+  'generated', 'purchased'
+];
+
+const PUBLIC_DOMAIN = {
+  cc0: 'cc0',
+  'cc-zero': 'cc0',
+  pdm: 'pdm',
+  pd: 'pdm',
+  'public-domain': 'pdm'
+};
+
+/**
+ * Read a Creative Commons license the way sources write it - 'by-sa' with a
+ * separate version (Openverse), 'cc-by-sa-4.0' (Commons), 'CC BY-SA 4.0' -
+ * into the license fields stored on an image.
+ *
+ * @returns {object|null} { type, name, version, licenseUrl, commercial }, or
+ *   null when the code is not a Creative Commons license or public domain
+ */
+function creativeCommons(code, version) {
+  const normalized = String(code || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+
+  let type;
+  let parsedVersion;
+
+  const publicDomain = normalized.match(/^(cc0|cc-zero|pdm|pd|public-domain)(?:-(\d\.\d))?$/);
+  const attribution = normalized.match(/^(?:cc-)?(by(?:-nc)?(?:-sa|-nd)?)(?:-(\d\.\d))?(?:-[a-z]{2,3})?$/);
+
+  if (publicDomain) {
+    type = PUBLIC_DOMAIN[publicDomain[1]];
+    parsedVersion = publicDomain[2];
+  } else if (attribution) {
+    type = `cc-${attribution[1]}`;
+    parsedVersion = attribution[2];
+  } else {
+    return null;
+  }
+
+  const definition = CREATIVE_COMMONS[type];
+  const licenseVersion = version ? String(version) : parsedVersion || definition.version;
+
+  return {
+    type,
+    name: licenseVersion ? `${definition.name} ${licenseVersion}` : definition.name,
+    version: licenseVersion,
+    licenseUrl: `https://creativecommons.org/${definition.path}/${licenseVersion ? `${licenseVersion}/` : ''}`,
+    commercial: !type.includes('-nc')
+  };
+}
+
+// Whether reusing an image under this license means crediting its author
+const requiresAttribution = (type) => Boolean(CREATIVE_COMMONS[type]?.attribution);
+
+// Whether cropping an image counts as an adaptation the license forbids
+const forbidsDerivatives = (type) => Boolean(CREATIVE_COMMONS[type]?.noDerivatives);
+
+// Human-readable name and deed URL for a stored license, whatever its kind
+function describeLicense(license = {}) {
+  const definition = CREATIVE_COMMONS[license.type];
+  if (definition) {
+    const version = license.version || definition.version;
+    return {
+      name: license.name || (version ? `${definition.name} ${version}` : definition.name),
+      url: license.licenseUrl || `https://creativecommons.org/${definition.path}/${version ? `${version}/` : ''}`
+    };
+  }
+
+  const provider = PROVIDER_LICENSES[license.type];
+  return {
+    name: license.name || provider?.name || license.type || null,
+    url: license.licenseUrl || provider?.url || null
+  };
+}
+
+module.exports = {
+  CREATIVE_COMMONS,
+  PROVIDER_LICENSES,
+  LICENSE_TYPES,
+  creativeCommons,
+  requiresAttribution,
+  forbidsDerivatives,
+  describeLicense
+};
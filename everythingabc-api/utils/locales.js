@@ -0,0 +1,150 @@
+// Locales items can be translated into, with the alphabet used to bucket
+// item names in that language. English is the source language of every item.
+//
+// `fold` maps letters that are not buckets of their own onto the bucket they
+// are filed under (accented vowels in Spanish and French, for example).
+
+const LATIN = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+
+const foldAll = (letters, base) =>
+  Object.fromEntries(letters.split('').map(letter => [letter, base]));
+
+const LATIN_ACCENTS = {
+  ...foldAll('ÀÁÂÃÄÅ', 'A'),
+  Ç: 'C',
+  ...foldAll('ÈÉÊË', 'E'),
+  ...foldAll('ÌÍÎÏ', 'I'),
+  Ñ: 'N',
+  ...foldAll('ÒÓÔÕÖ', 'O'),
+  ...foldAll('ÙÚÛÜ', 'U'),
+  Ÿ: 'Y'
+};
+
+const withoutKeys = (object, keys) =>
+  Object.fromEntries(Object.entries(object).filter(([key]) => !keys.includes(key)));
+
+const LOCALES = {
+  en: {
+    name: 'English',
+    alphabet: LATIN,
+    fold: LATIN_ACCENTS
+  },
+  es: {
+    name: 'Español',
+    alphabet: [...LATIN.slice(0, 14), 'Ñ', ...LATIN.slice(14)],
+    fold: withoutKeys(LATIN_ACCENTS, ['Ñ'])
+  },
+  fr: {
+    name: 'Français',
+    alphabet: LATIN,
+    fold: LATIN_ACCENTS
+  },
+  de: {
+    name: 'Deutsch',
+    alphabet: [...LATIN, 'Ä', 'Ö', 'Ü'],
+    fold: withoutKeys(LATIN_ACCENTS, ['Ä', 'Ö', 'Ü'])
+  },
+  pt: {
+    name: 'Português',
+    alphabet: LATIN,
+    fold: LATIN_ACCENTS
+  },
+  ru: {
+    name: 'Русский',
+    alphabet: 'АБВГДЕЁЖЗИЙКЛМНОПРСТУФХЦЧШЩЪЫЬЭЮЯ'.split(''),
+    fold: {}
+  },
+  el: {
+    name: 'Ελληνικά',
+    alphabet: 'ΑΒΓΔΕΖΗΘΙΚΛΜΝΞΟΠΡΣΤΥΦΧΨΩ'.split(''),
+    fold: { Ά: 'Α', Έ: 'Ε', Ή: 'Η', Ί: 'Ι', Ό: 'Ο', Ύ: 'Υ', Ώ: 'Ω' }
+  },
+  ar: {
+    name: 'العربية',
+    alphabet: 'ابتثجحخدذرزسشصضطظعغفقكلمنهوي'.split(''),
+    fold: { 'أ': 'ا', 'إ': 'ا', 'آ': 'ا', 'ى': 'ي' }
+  }
+};
+
+const DEFAULT_LOCALE = 'en';
+const SUPPORTED_LOCALES = Object.keys(LOCALES);
+
+// Fields of an item that can be translated
+const TRANSLATABLE_ITEM_FIELDS = ['name', 'description', 'pronunciation', 'facts'];
+const TRANSLATABLE_CATEGORY_FIELDS = ['name', 'description'];
+
+const isSupportedLocale = (locale) => SUPPORTED_LOCALES.includes(locale);
+
+const getAlphabet = (locale) => (LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).alphabet;
+
+/**
+ * The bucket a word is filed under in a locale: its first letter, upper-cased
+ * with the locale's rules and folded onto the locale's alphabet.
+ *
+ * @returns {string|null} null if the word doesn't start with a letter of the alphabet
+ */
+const letterFor = (word, locale = DEFAULT_LOCALE) => {
+  const config = LOCALES[locale];
+  if (!config || typeof word !== 'string') return null;
+
+  // NFC so a decomposed "N + combining tilde" is still Ñ
+  const [first] = word.normalize('NFC').trim();
+  if (!first) return null;
+
+  const upper = first.toLocaleUpperCase(locale);
+  const letter = config.fold[upper] || upper;
+
+  return config.alphabet.includes(letter) ? letter : null;
+};
+
+/**
+ * Validate translations sent by the CMS or CSV import: `{ es: { name, ... } }`.
+ * Unknown fields are dropped and blank values removed; a locale left with
+ * nothing in it is dropped too, which is how a translation is deleted.
+ *
+ * @param {object} input - Translations keyed by locale
+ * @param {string[]} fields - Translatable fields (TRANSLATABLE_*_FIELDS)
+ * @returns {{translations: object}|{error: string}}
+ */
+const parseTranslations = (input, fields) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'translations must be an object keyed by locale' };
+  }
+
+  const translations = {};
+  for (const [locale, values] of Object.entries(input)) {
+    if (!isSupportedLocale(locale) || locale === DEFAULT_LOCALE) {
+      return { error: `Unsupported translation locale '${locale}'. Use one of: ${SUPPORTED_LOCALES.filter(l => l !== DEFAULT_LOCALE).join(', ')}` };
+    }
+    if (!values || typeof values !== 'object') continue;
+
+    const translation = {};
+    for (const field of fields) {
+      const value = values[field];
+      if (Array.isArray(value)) {
+        const list = value.map(entry => String(entry).trim()).filter(Boolean);
+        if (list.length > 0) translation[field] = list;
+      } else if (typeof value === 'string' && value.trim()) {
+        translation[field] = value.trim();
+      }
+    }
+
+    if (Object.keys(translation).length > 0) {
+      translations[locale] = translation;
+    }
+  }
+
+  return { translations };
+};
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  TRANSLATABLE_ITEM_FIELDS,
+  TRANSLATABLE_CATEGORY_FIELDS,
+  isSupportedLocale,
+  getAlphabet,
+  letterFor,
+  parseTranslations
+};
@@ -42,6 +42,18 @@ export default async function handler(req, res) {
     }
 
     const response = await fetch(targetUrl, fetchOptions);
+
+    // Binary responses such as printable PDFs are passed through as-is
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.includes('application/json')) {
+      res.setHeader('Content-Type', contentType);
+      const disposition = response.headers.get('content-disposition');
+      if (disposition) {
+        res.setHeader('Content-Disposition', disposition);
+      }
+      return res.status(response.status).send(Buffer.from(await response.arrayBuffer()));
+    }
+
     const data = await response.json();
 
     return res.status(response.status).json(data);
@@ -3,10 +3,14 @@ import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import App from './App';
 import CategoryPage from './pages/CategoryPage';
 import ItemPage from './pages/ItemPage';
+import QuizPage from './pages/QuizPage';
+import SearchPage from './pages/SearchPage';
+import ReviewPage from './pages/ReviewPage';
 import AboutPage from './pages/AboutPage';
 import ContactPage from './pages/ContactPage';
 import PrivacyPage from './pages/PrivacyPage';
 import TermsPage from './pages/TermsPage';
+import CreditsPage from './pages/CreditsPage';
 import NotFoundPage from './pages/NotFoundPage';
 
 const AppRouter = () => {
@@ -16,13 +20,17 @@ const AppRouter = () => {
         {/* Public routes */}
         <Route path="/" element={<App />} />
         <Route path="/categories/:categoryId" element={<CategoryPage />} />
+        <Route path="/categories/:categoryId/quiz" element={<QuizPage />} />
         <Route path="/categories/:categoryId/:letter/:itemId" element={<ItemPage />} />
+        <Route path="/search" element={<SearchPage />} />
+        <Route path="/review" element={<ReviewPage />} />
 
         {/* Static pages */}
         <Route path="/about" element={<AboutPage />} />
         <Route path="/contact" element={<ContactPage />} />
         <Route path="/privacy" element={<PrivacyPage />} />
         <Route path="/terms" element={<TermsPage />} />
+        <Route path="/credits" element={<CreditsPage />} />
 
         {/* 404 page */}
         <Route path="*" element={<NotFoundPage />} />
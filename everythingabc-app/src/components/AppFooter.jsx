@@ -1,6 +1,6 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
-import { Mail, Heart, BookOpen, Users, Shield, FileText } from 'lucide-react';
+import { Mail, Heart, BookOpen, Users, Shield, FileText, Camera } from 'lucide-react';
 
 const AppFooter = () => {
   const currentYear = new Date().getFullYear();
@@ -13,6 +13,7 @@ const AppFooter = () => {
     legal: [
       { name: 'Privacy Policy', href: '/privacy', icon: Shield },
       { name: 'Terms of Service', href: '/terms', icon: FileText },
+      { name: 'Image Credits', href: '/credits', icon: Camera },
     ],
     categories: [
       { name: 'Animals', href: '/categories/animals' },
@@ -1,12 +1,14 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
-import { Search, Moon, Sun } from 'lucide-react';
-import { Input } from '@/components/ui/input';
+import { GraduationCap, Moon, Sun } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { useTheme } from '../contexts/ThemeContext.jsx';
+import { useProgress } from '../contexts/ProgressContext.jsx';
+import SearchBox from './SearchBox.jsx';
 
-const AppHeader = () => {
+const AppHeader = ({ searchQuery = '' }) => {
   const { isDarkMode, toggleDarkMode } = useTheme();
+  const { learnedCount, dueCards } = useProgress();
 
   return (
     <header className="sticky top-0 z-50 w-full border-b bg-background/95 dark:bg-gray-800/95 backdrop-blur supports-[backdrop-filter]:bg-background/60 dark:border-gray-700 transition-colors duration-300">
@@ -29,13 +31,22 @@ const AppHeader = () => {
         </div>
 
         <div className="flex items-center space-x-4">
-          <div className="relative">
-            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-muted-foreground dark:text-gray-400 w-4 h-4" />
-            <Input
-              placeholder="Search categories..."
-              className="pl-10 w-64 dark:bg-gray-700 dark:border-gray-600 dark:text-white dark:placeholder-gray-400"
-            />
-          </div>
+          <SearchBox initialQuery={searchQuery} />
+          {learnedCount > 0 && (
+            <Link
+              to="/review"
+              className="relative inline-flex items-center space-x-1 text-sm font-medium text-gray-700 dark:text-gray-200 hover:text-blue-600 dark:hover:text-blue-400 transition-colors"
+              title={`${dueCards.length} to review today`}
+            >
+              <GraduationCap className="w-5 h-5" />
+              <span className="hidden sm:inline">Review</span>
+              {dueCards.length > 0 && (
+                <span className="ml-1 px-1.5 min-w-5 h-5 rounded-full bg-blue-600 text-white text-xs flex items-center justify-center">
+                  {dueCards.length}
+                </span>
+              )}
+            </Link>
+          )}
           <Button
             variant="outline"
             size="icon"
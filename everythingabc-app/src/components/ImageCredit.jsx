@@ -0,0 +1,73 @@
+import React from "react";
+
+// Mirrors LicenseCompliance.credit and utils/licenses.js in the API
+const PROVIDER_LICENSES = {
+  unsplash: { name: "Unsplash License", url: "https://unsplash.com/license", source: "Unsplash" },
+  pixabay: { name: "Pixabay Content License", url: "https://pixabay.com/service/license-summary/", source: "Pixabay" },
+  pexels: { name: "Pexels License", url: "https://www.pexels.com/license/", source: "Pexels" },
+  generated: { name: "AI-generated" },
+  purchased: { name: "Licensed for use" },
+};
+
+export const creditFor = (image) => {
+  const license = image?.license;
+  if (!license?.type) return null;
+
+  const provider = PROVIDER_LICENSES[license.type];
+  const author = license.author || null;
+
+  return {
+    text: license.attribution?.trim() || (author ? `Photo by ${author}${provider?.source ? ` on ${provider.source}` : ""}` : null),
+    author,
+    authorUrl: license.authorUrl || null,
+    license: license.name || provider?.name || license.type.replace(/^cc-/, "CC ").toUpperCase(),
+    licenseUrl: license.licenseUrl || provider?.url || null,
+    sourceUrl: license.url || null,
+  };
+};
+
+// The image the item page shows, as getResponsiveImageUrl picks it
+export const primaryImageOf = (item) =>
+  (item?.images || []).find((img) => img.isPrimary) || item?.images?.[0] || null;
+
+const linkClass = "underline decoration-dotted hover:text-gray-700 dark:hover:text-gray-200";
+
+const MaybeLink = ({ href, children }) =>
+  href ? (
+    <a href={href} target="_blank" rel="noopener noreferrer" className={linkClass}>
+      {children}
+    </a>
+  ) : (
+    <>{children}</>
+  );
+
+/**
+ * Attribution line for an image: the author (or the source's own credit
+ * line), the license and a link back to where the image came from.
+ * Accepts an image record or a credit as the API's /credits returns it.
+ */
+function ImageCredit({ image, credit = creditFor(image), className = "" }) {
+  if (!credit) return null;
+
+  return (
+    <p className={`text-xs text-gray-500 dark:text-gray-400 ${className}`}>
+      {credit.author ? (
+        <>
+          Photo by <MaybeLink href={credit.authorUrl}>{credit.author}</MaybeLink>
+        </>
+      ) : (
+        credit.text
+      )}
+      {(credit.author || credit.text) && " · "}
+      <MaybeLink href={credit.licenseUrl}>{credit.license}</MaybeLink>
+      {credit.sourceUrl && (
+        <>
+          {" · "}
+          <MaybeLink href={credit.sourceUrl}>Source</MaybeLink>
+        </>
+      )}
+    </p>
+  );
+}
+
+export default ImageCredit;
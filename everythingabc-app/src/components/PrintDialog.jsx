@@ -0,0 +1,120 @@
+import React, { useState } from "react";
+import { Printer } from "lucide-react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import apiService from "../services/api.js";
+
+const LAYOUTS = [
+  { value: "flashcards", label: "Flashcards", description: "Picture cards to cut out" },
+  { value: "poster", label: "A–Z poster", description: "One page, one picture per letter" },
+  { value: "worksheet", label: "Worksheet", description: "Trace and write each word" },
+];
+
+// Must match CARD_GRIDS and the worksheet limit in the API's PrintRenderer
+const CARDS_PER_PAGE = {
+  flashcards: [1, 2, 4, 6, 8, 9, 12],
+  worksheet: [3, 4, 5, 6, 8],
+};
+
+const DEFAULT_CARDS_PER_PAGE = { flashcards: 6, worksheet: 5 };
+
+const selectClassName =
+  "w-full rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 px-3 py-2 text-sm text-gray-900 dark:text-white";
+
+/**
+ * Options for a category's printable PDF. The PDF is rendered by the API and
+ * opened in a new tab, where the browser's viewer handles printing.
+ */
+function PrintDialog({ category, open, onOpenChange }) {
+  const [layout, setLayout] = useState("flashcards");
+  const [paper, setPaper] = useState("a4");
+  const [cardsPerPage, setCardsPerPage] = useState(DEFAULT_CARDS_PER_PAGE);
+
+  const handlePrint = () => {
+    const url = apiService.getCategoryPrintUrl(category.id, {
+      layout,
+      paper,
+      cardsPerPage: CARDS_PER_PAGE[layout] ? cardsPerPage[layout] : undefined,
+    });
+    window.open(url, "_blank", "noopener");
+    onOpenChange(false);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Print {category.name}</DialogTitle>
+          <DialogDescription>Printable material for the classroom or at home.</DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="grid grid-cols-3 gap-2">
+            {LAYOUTS.map((option) => (
+              <button
+                key={option.value}
+                onClick={() => setLayout(option.value)}
+                className={`rounded-xl border-2 p-3 text-left transition-colors ${
+                  layout === option.value
+                    ? "border-blue-500 bg-blue-50 dark:bg-blue-900/30"
+                    : "border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700"
+                }`}
+              >
+                <div className="text-sm font-medium text-gray-900 dark:text-white">{option.label}</div>
+                <div className="text-xs text-gray-500 dark:text-gray-400">{option.description}</div>
+              </button>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <label className="block">
+              <span className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Paper</span>
+              <select value={paper} onChange={(e) => setPaper(e.target.value)} className={selectClassName}>
+                <option value="a4">A4</option>
+                <option value="letter">US Letter</option>
+              </select>
+            </label>
+
+            {CARDS_PER_PAGE[layout] && (
+              <label className="block">
+                <span className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  {layout === "worksheet" ? "Words per page" : "Cards per page"}
+                </span>
+                <select
+                  value={cardsPerPage[layout]}
+                  onChange={(e) => setCardsPerPage((prev) => ({ ...prev, [layout]: Number(e.target.value) }))}
+                  className={selectClassName}
+                >
+                  {CARDS_PER_PAGE[layout].map((count) => (
+                    <option key={count} value={count}>
+                      {count}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button onClick={handlePrint}>
+            <Printer />
+            Open PDF
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+export default PrintDialog;
@@ -0,0 +1,69 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Volume2 } from "lucide-react";
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || "http://localhost:3003/api/v1";
+
+// Clips stored on the API server come back as "/api/v1/media/..." paths
+const resolveAudioUrl = (url) => {
+  if (!url || /^https?:\/\//.test(url)) return url;
+  return `${new URL(API_BASE_URL).origin}${url}`;
+};
+
+/**
+ * Plays an item's pronunciation clip for a locale. Items without a clip
+ * fall back to the browser's speech synthesis where it is available.
+ */
+function PronunciationButton({ item, locale = "en", className = "" }) {
+  const audioRef = useRef(null);
+  const [playing, setPlaying] = useState(false);
+
+  const clip = (item.audio || []).find((audio) => audio.locale === locale);
+  const canSpeak = typeof window !== "undefined" && "speechSynthesis" in window;
+
+  // Stop playback when moving to another item
+  useEffect(() => {
+    return () => {
+      audioRef.current?.pause();
+      if (canSpeak) window.speechSynthesis.cancel();
+    };
+  }, [item.id, canSpeak]);
+
+  if (!clip && !canSpeak) return null;
+
+  const handlePlay = () => {
+    if (clip) {
+      audioRef.current?.pause();
+      const audio = new Audio(resolveAudioUrl(clip.url));
+      audioRef.current = audio;
+      audio.onended = () => setPlaying(false);
+      audio.onerror = () => setPlaying(false);
+      setPlaying(true);
+      audio.play().catch(() => setPlaying(false));
+      return;
+    }
+
+    const utterance = new SpeechSynthesisUtterance(item.name);
+    utterance.lang = locale;
+    utterance.rate = 0.8;
+    utterance.onend = () => setPlaying(false);
+    utterance.onerror = () => setPlaying(false);
+    window.speechSynthesis.cancel();
+    setPlaying(true);
+    window.speechSynthesis.speak(utterance);
+  };
+
+  return (
+    <button
+      onClick={handlePlay}
+      className={`inline-flex items-center justify-center w-12 h-12 sm:w-14 sm:h-14 rounded-full bg-blue-100 dark:bg-blue-900/40 text-blue-700 dark:text-blue-200 hover:bg-blue-200 dark:hover:bg-blue-900/60 transition-colors ${
+        playing ? "animate-pulse" : ""
+      } ${className}`}
+      aria-label={`Hear how to say ${item.name}`}
+      title={`Hear "${item.name}"`}
+    >
+      <Volume2 className="w-6 h-6 sm:w-7 sm:h-7" />
+    </button>
+  );
+}
+
+export default PronunciationButton;
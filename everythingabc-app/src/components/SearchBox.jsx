@@ -0,0 +1,204 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Search, Loader2 } from 'lucide-react';
+import { Input } from '@/components/ui/input';
+import apiService from '../services/api.js';
+import { getResponsiveImageUrl } from '../utils/imageUtils.js';
+
+const MIN_QUERY_LENGTH = 2;
+const SUGGESTION_LIMIT = 6;
+const DEBOUNCE_MS = 250;
+
+const SearchBox = ({ initialQuery = '' }) => {
+  const navigate = useNavigate();
+  const [query, setQuery] = useState(initialQuery);
+  const [suggestions, setSuggestions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    setQuery(initialQuery);
+  }, [initialQuery]);
+
+  // Fetch suggestions as the user types, ignoring responses for stale queries
+  useEffect(() => {
+    const trimmed = query.trim();
+    if (trimmed.length < MIN_QUERY_LENGTH) {
+      setSuggestions([]);
+      setLoading(false);
+      return;
+    }
+
+    let ignore = false;
+    setLoading(true);
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await apiService.searchItems(trimmed, { limit: SUGGESTION_LIMIT });
+        if (!ignore) {
+          setSuggestions(response.data || []);
+          setActiveIndex(-1);
+        }
+      } catch (err) {
+        console.error('Failed to load search suggestions:', err);
+        if (!ignore) setSuggestions([]);
+      } finally {
+        if (!ignore) setLoading(false);
+      }
+    }, DEBOUNCE_MS);
+
+    return () => {
+      ignore = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  // Close the dropdown when clicking elsewhere
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const openItem = (item) => {
+    setIsOpen(false);
+    navigate(`/categories/${item.categoryId}/${item.letter}/${item.id}`);
+  };
+
+  const openResults = () => {
+    const trimmed = query.trim();
+    if (trimmed.length < MIN_QUERY_LENGTH) return;
+    setIsOpen(false);
+    navigate(`/search?q=${encodeURIComponent(trimmed)}`);
+  };
+
+  const handleKeyDown = (event) => {
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        setIsOpen(true);
+        setActiveIndex((index) => Math.min(index + 1, suggestions.length - 1));
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        setActiveIndex((index) => Math.max(index - 1, -1));
+        break;
+      case 'Enter':
+        event.preventDefault();
+        if (isOpen && activeIndex >= 0 && suggestions[activeIndex]) {
+          openItem(suggestions[activeIndex]);
+        } else {
+          openResults();
+        }
+        break;
+      case 'Escape':
+        setIsOpen(false);
+        setActiveIndex(-1);
+        break;
+      default:
+        break;
+    }
+  };
+
+  const showDropdown = isOpen && query.trim().length >= MIN_QUERY_LENGTH;
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-muted-foreground dark:text-gray-400 w-4 h-4" />
+      <Input
+        type="search"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onKeyDown={handleKeyDown}
+        placeholder="Search words..."
+        aria-label="Search words"
+        role="combobox"
+        aria-expanded={showDropdown}
+        aria-controls="search-suggestions"
+        aria-autocomplete="list"
+        aria-activedescendant={activeIndex >= 0 ? `search-suggestion-${activeIndex}` : undefined}
+        className="pl-10 w-64 dark:bg-gray-700 dark:border-gray-600 dark:text-white dark:placeholder-gray-400"
+      />
+
+      {showDropdown && (
+        <div className="absolute top-full right-0 mt-2 w-80 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-xl shadow-lg overflow-hidden z-50">
+          {loading && suggestions.length === 0 ? (
+            <div className="flex items-center justify-center py-4">
+              <Loader2 className="w-5 h-5 animate-spin text-primary" />
+            </div>
+          ) : suggestions.length === 0 ? (
+            <p className="px-4 py-3 text-sm text-gray-500 dark:text-gray-400">
+              No words found for "{query.trim()}"
+            </p>
+          ) : (
+            <ul id="search-suggestions" role="listbox">
+              {suggestions.map((item, index) => {
+                const thumbnailUrl = getResponsiveImageUrl(item, { size: 'thumbnail' });
+
+                return (
+                  <li
+                    key={`${item.categoryId}-${item.id}`}
+                    id={`search-suggestion-${index}`}
+                    role="option"
+                    aria-selected={index === activeIndex}
+                    onMouseDown={(e) => e.preventDefault()}
+                    onClick={() => openItem(item)}
+                    onMouseEnter={() => setActiveIndex(index)}
+                    className={`flex items-center space-x-3 px-4 py-2 cursor-pointer transition-colors ${
+                      index === activeIndex
+                        ? 'bg-blue-50 dark:bg-gray-700'
+                        : 'hover:bg-gray-50 dark:hover:bg-gray-700'
+                    }`}
+                  >
+                    <div className="w-10 h-10 rounded-lg overflow-hidden bg-gray-100 dark:bg-gray-700 flex-shrink-0 flex items-center justify-center">
+                      {thumbnailUrl ? (
+                        <img
+                          src={thumbnailUrl}
+                          alt={item.imageAlt || `Image of ${item.name}`}
+                          className="w-full h-full object-cover"
+                          loading="lazy"
+                        />
+                      ) : (
+                        <span className="font-bold text-gray-400">{item.letter}</span>
+                      )}
+                    </div>
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                        {item.name}
+                      </p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                        {item.categoryName} · {item.letter}
+                      </p>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+
+          <button
+            type="button"
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={openResults}
+            className="w-full px-4 py-2 text-sm font-medium text-left text-blue-600 dark:text-blue-400 border-t border-gray-100 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700"
+          >
+            See all results for "{query.trim()}"
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchBox;
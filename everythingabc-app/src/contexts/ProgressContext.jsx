@@ -0,0 +1,186 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import apiService from '../services/api.js';
+import {
+  GRADES,
+  cardKey,
+  createCard,
+  reviewCard,
+  getDueCards,
+  mergeCards,
+} from '../lib/spacedRepetition.js';
+
+const STORAGE_KEY = 'learnerProfile';
+const SYNC_DELAY_MS = 2000;
+const LEARNER_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const generateLearnerId = () => {
+  if (crypto.randomUUID) return crypto.randomUUID();
+
+  // RFC 4122 v4 from random bytes, for browsers without randomUUID
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = [...bytes].map((b) => b.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+const newProfile = () => ({
+  learnerId: generateLearnerId(),
+  cards: {},
+  syncEnabled: false,
+  lastSyncedAt: null,
+});
+
+const loadProfile = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved && LEARNER_ID_PATTERN.test(saved.learnerId) && saved.cards) {
+      return { ...newProfile(), ...saved };
+    }
+  } catch (error) {
+    console.warn('Ignoring unreadable learner profile:', error);
+  }
+  return newProfile();
+};
+
+const ProgressContext = createContext();
+
+/**
+ * Anonymous learner profile: which items are learned and when each is next
+ * due for review. Lives in local storage; optionally synced to the API under
+ * the learner id so the same profile can be used on several devices.
+ */
+export const ProgressProvider = ({ children }) => {
+  const [profile, setProfile] = useState(loadProfile);
+  const [syncStatus, setSyncStatus] = useState('idle'); // idle, syncing, error
+  // Local changes not yet pushed to the API
+  const [pendingSync, setPendingSync] = useState(false);
+  const profileRef = useRef(profile);
+
+  useEffect(() => {
+    profileRef.current = profile;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(profile));
+  }, [profile]);
+
+  const updateCards = useCallback((updater) => {
+    setProfile((prev) => ({ ...prev, cards: updater(prev.cards) }));
+    setPendingSync(true);
+  }, []);
+
+  const syncNow = useCallback(async () => {
+    const { learnerId, cards } = profileRef.current;
+    setPendingSync(false);
+    setSyncStatus('syncing');
+    try {
+      const response = await apiService.syncLearnerProgress(learnerId, Object.values(cards));
+      setProfile((prev) => ({
+        ...prev,
+        cards: mergeCards(prev.cards, response.data.cards),
+        lastSyncedAt: response.data.lastSyncedAt,
+      }));
+      setSyncStatus('idle');
+    } catch (error) {
+      setSyncStatus('error');
+    }
+  }, []);
+
+  // Pull on start-up, and push local changes shortly after they happen
+  useEffect(() => {
+    if (profile.syncEnabled) syncNow();
+  }, [profile.syncEnabled, profile.learnerId, syncNow]);
+
+  useEffect(() => {
+    if (!profile.syncEnabled || !pendingSync) return undefined;
+    const timer = setTimeout(syncNow, SYNC_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [profile.syncEnabled, pendingSync, syncNow]);
+
+  const getCard = useCallback(
+    (categoryId, itemId) => profile.cards[cardKey(categoryId, itemId)] || null,
+    [profile.cards]
+  );
+
+  const isLearned = useCallback(
+    (categoryId, itemId) => Boolean(getCard(categoryId, itemId)?.learned),
+    [getCard]
+  );
+
+  const markLearned = useCallback(
+    ({ categoryId, itemId, letter }) => {
+      updateCards((cards) => ({
+        ...cards,
+        [cardKey(categoryId, itemId)]: createCard({ categoryId, itemId, letter }),
+      }));
+    },
+    [updateCards]
+  );
+
+  // Kept as an unlearned card rather than deleted, so the change syncs
+  const unmarkLearned = useCallback(
+    (categoryId, itemId) => {
+      const key = cardKey(categoryId, itemId);
+      updateCards((cards) =>
+        cards[key]
+          ? { ...cards, [key]: { ...cards[key], learned: false, updatedAt: new Date().toISOString() } }
+          : cards
+      );
+    },
+    [updateCards]
+  );
+
+  const recordReview = useCallback(
+    (card, grade) => {
+      const key = cardKey(card.categoryId, card.itemId);
+      updateCards((cards) => ({ ...cards, [key]: reviewCard(cards[key] || card, GRADES[grade]) }));
+    },
+    [updateCards]
+  );
+
+  const enableSync = useCallback(() => {
+    setProfile((prev) => ({ ...prev, syncEnabled: true }));
+  }, []);
+
+  const disableSync = useCallback(() => {
+    setProfile((prev) => ({ ...prev, syncEnabled: false }));
+    setSyncStatus('idle');
+  }, []);
+
+  // Switch to the learner id shown on another device; local cards are merged in
+  const linkDevice = useCallback((learnerId) => {
+    const id = learnerId.trim();
+    if (!LEARNER_ID_PATTERN.test(id)) return false;
+    setProfile((prev) => ({ ...prev, learnerId: id.toLowerCase(), syncEnabled: true }));
+    setPendingSync(true);
+    return true;
+  }, []);
+
+  const value = useMemo(() => {
+    const cards = Object.values(profile.cards);
+    return {
+      learnerId: profile.learnerId,
+      cards: profile.cards,
+      learnedCount: cards.filter((card) => card.learned).length,
+      dueCards: getDueCards(profile.cards),
+      getCard,
+      isLearned,
+      markLearned,
+      unmarkLearned,
+      recordReview,
+      syncEnabled: profile.syncEnabled,
+      syncStatus,
+      lastSyncedAt: profile.lastSyncedAt,
+      enableSync,
+      disableSync,
+      syncNow,
+      linkDevice,
+    };
+  }, [profile, syncStatus, getCard, isLearned, markLearned, unmarkLearned, recordReview, enableSync, disableSync, syncNow, linkDevice]);
+
+  return (
+    <ProgressContext.Provider value={value}>
+      {children}
+    </ProgressContext.Provider>
+  );
+};
+
+export const useProgress = () => useContext(ProgressContext);
@@ -3,6 +3,7 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import AppRouter from './AppRouter.jsx';
 import { ThemeProvider } from './contexts/ThemeContext.jsx';
+import { ProgressProvider } from './contexts/ProgressContext.jsx';
 
 import { HelmetProvider } from 'react-helmet-async';
 
@@ -11,7 +12,9 @@ root.render(
   <React.StrictMode>
     <HelmetProvider>
       <ThemeProvider>
-        <AppRouter />
+        <ProgressProvider>
+          <AppRouter />
+        </ProgressProvider>
       </ThemeProvider>
     </HelmetProvider>
   </React.StrictMode>
@@ -0,0 +1,38 @@
+// Quiz results, kept in local storage alongside the learner profile.
+
+const STORAGE_KEY = 'quizScores';
+const MAX_SCORES = 100;
+
+export const loadScores = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+};
+
+// Newest first; the oldest results are dropped past MAX_SCORES
+export const recordScore = ({ categoryId, seed, modes, correct, total }) => {
+  const score = {
+    categoryId,
+    seed,
+    modes,
+    correct,
+    total,
+    percent: total > 0 ? Math.round((correct / total) * 100) : 0,
+    completedAt: new Date().toISOString(),
+  };
+  const scores = [score, ...loadScores()].slice(0, MAX_SCORES);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(scores));
+  return score;
+};
+
+export const getCategoryScores = (categoryId) =>
+  loadScores().filter((score) => score.categoryId === categoryId);
+
+export const getBestScore = (categoryId) =>
+  getCategoryScores(categoryId).reduce(
+    (best, score) => (!best || score.percent > best.percent ? score : best),
+    null
+  );
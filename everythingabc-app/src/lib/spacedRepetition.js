@@ -0,0 +1,105 @@
+// SM-2 spaced repetition, as used by the "Review today" page.
+// Cards are plain objects so they can live in local storage and sync to the API.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_EASE = 2.5;
+export const MIN_EASE = 1.3;
+
+// Answer buttons and the SM-2 quality (0-5) each one stands for
+export const GRADES = {
+  again: 1,
+  hard: 3,
+  good: 4,
+  easy: 5,
+};
+
+export const cardKey = (categoryId, itemId) => `${categoryId}:${itemId}`;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// A newly learned item comes up for its first review the next day
+export const createCard = ({ categoryId, itemId, letter }, now = new Date()) => ({
+  categoryId,
+  itemId,
+  letter,
+  learned: true,
+  repetitions: 0,
+  interval: 0,
+  easeFactor: DEFAULT_EASE,
+  dueAt: addDays(now, 1).toISOString(),
+  learnedAt: now.toISOString(),
+  lastReviewedAt: null,
+  updatedAt: now.toISOString(),
+});
+
+export const reviewCard = (card, quality, now = new Date()) => {
+  let { repetitions, interval, easeFactor } = card;
+
+  if (quality >= 3) {
+    if (repetitions === 0) {
+      interval = 1;
+    } else if (repetitions === 1) {
+      interval = 6;
+    } else {
+      interval = Math.round(interval * easeFactor);
+    }
+    repetitions += 1;
+  } else {
+    // Forgotten: start the sequence again, keeping the lowered ease
+    repetitions = 0;
+    interval = 1;
+  }
+
+  easeFactor = Math.max(
+    MIN_EASE,
+    easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  return {
+    ...card,
+    repetitions,
+    interval,
+    easeFactor: Math.round(easeFactor * 100) / 100,
+    dueAt: addDays(now, interval).toISOString(),
+    lastReviewedAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+  };
+};
+
+// Days until the next review if the card were answered with `quality`
+export const previewInterval = (card, quality) => reviewCard(card, quality).interval;
+
+const endOfDay = (date) => {
+  const end = new Date(date);
+  end.setHours(23, 59, 59, 999);
+  return end;
+};
+
+// Due any time today counts as due, so a morning session covers the whole day
+export const isDue = (card, now = new Date()) =>
+  Boolean(card?.learned) && new Date(card.dueAt) <= endOfDay(now);
+
+export const getDueCards = (cards, now = new Date()) =>
+  Object.values(cards)
+    .filter((card) => isDue(card, now))
+    .sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt));
+
+export const getNextDueDate = (cards) =>
+  Object.values(cards)
+    .filter((card) => card.learned)
+    .map((card) => new Date(card.dueAt))
+    .sort((a, b) => a - b)[0] || null;
+
+// Keep the most recently updated copy of each card
+export const mergeCards = (local, remote) => {
+  const merged = { ...local };
+  remote.forEach((card) => {
+    const key = cardKey(card.categoryId, card.itemId);
+    const existing = merged[key];
+    if (!existing || new Date(card.updatedAt) > new Date(existing.updatedAt)) {
+      merged[key] = card;
+    }
+  });
+  return merged;
+};
@@ -1,13 +1,15 @@
 import React, { useState, useEffect } from "react";
 import { useParams, Link } from "react-router-dom";
-import { Loader2 } from "lucide-react";
+import { CheckCircle2, Loader2 } from "lucide-react";
 import apiService from "../services/api.js";
 import Breadcrumb from "../components/Breadcrumb.jsx";
 import AppHeader from "../components/AppHeader.jsx";
 import AppFooter from "../components/AppFooter.jsx";
+import PrintDialog from "../components/PrintDialog.jsx";
 import { getResponsiveImageUrl } from "../utils/imageUtils.js";
 import { Helmet } from "react-helmet-async";
 import { useTheme } from "../contexts/ThemeContext.jsx";
+import { useProgress } from "../contexts/ProgressContext.jsx";
 
 // Helper function to convert Tailwind gradient colors to actual CSS colors
 const getCategoryGradient = (gradientString) => {
@@ -24,10 +26,12 @@ const getCategoryGradient = (gradientString) => {
 function CategoryPage() {
   const { isDarkMode } = useTheme();
   const { categoryId } = useParams();
+  const { isLearned } = useProgress();
   const [category, setCategory] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [randomizedItems, setRandomizedItems] = useState({});
+  const [printOpen, setPrintOpen] = useState(false);
   const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ".split("");
 
   useEffect(() => {
@@ -112,6 +116,9 @@ function CategoryPage() {
     );
   }
 
+  const categoryItems = alphabet.flatMap((letter) => category.items[letter] || []);
+  const learnedInCategory = categoryItems.filter((item) => isLearned(category.id, item.id)).length;
+
   const pageTitle = `${category.name} A to Z | Visual Vocabulary Learning`;
   const pageDescription = `Explore the ${category.name} category with clear pictures. Learn ${category.name} names from A to Z. Perfect for kids, ESL learners, and visual education.`;
 
@@ -171,6 +178,12 @@ function CategoryPage() {
             <p className="text-sm text-gray-600 dark:text-gray-300 transition-colors duration-300">
               {category.description}
             </p>
+            {learnedInCategory > 0 && (
+              <p className="text-sm text-green-700 dark:text-green-300 mt-1 flex items-center transition-colors duration-300">
+                <CheckCircle2 className="w-4 h-4 mr-1" />
+                {learnedInCategory} of {categoryItems.length} items learned
+              </p>
+            )}
           </div>
         </div>
       </header>
@@ -195,8 +208,42 @@ function CategoryPage() {
               Randomize Items
             </span>
           </button>
+          <Link
+            to={`/categories/${category.id}/quiz`}
+            className="flex items-center space-x-2 px-6 py-3 ml-3 bg-white dark:bg-gray-800 border-2 rounded-xl hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors font-medium shadow-sm"
+            style={{
+              borderColor: getCategoryGradient(category.color).split(",")[0],
+            }}
+          >
+            <span className="text-lg">🧩</span>
+            <span
+              style={{
+                color: getCategoryGradient(category.color).split(",")[0],
+              }}
+            >
+              Play Quiz
+            </span>
+          </Link>
+          <button
+            onClick={() => setPrintOpen(true)}
+            className="flex items-center space-x-2 px-6 py-3 ml-3 bg-white dark:bg-gray-800 border-2 rounded-xl hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors font-medium shadow-sm"
+            style={{
+              borderColor: getCategoryGradient(category.color).split(",")[0],
+            }}
+          >
+            <span className="text-lg">🖨️</span>
+            <span
+              style={{
+                color: getCategoryGradient(category.color).split(",")[0],
+              }}
+            >
+              Print
+            </span>
+          </button>
         </div>
 
+        <PrintDialog category={category} open={printOpen} onOpenChange={setPrintOpen} />
+
         <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-3 gap-6">
           {alphabet.map((letter) => {
             const letterHasItems = hasItems(letter);
@@ -255,6 +302,14 @@ function CategoryPage() {
                         >
                           📷
                         </div>
+                        {isLearned(category.id, displayItem.id) && (
+                          <div
+                            className="absolute top-3 right-3 w-7 h-7 rounded-full bg-green-500 text-white flex items-center justify-center shadow"
+                            title="Learned"
+                          >
+                            <CheckCircle2 className="w-5 h-5" />
+                          </div>
+                        )}
                         <div className="absolute top-3 left-3">
                           <div
                             className="w-12 h-12 rounded-full flex items-center justify-center text-white text-xl font-bold shadow-lg"
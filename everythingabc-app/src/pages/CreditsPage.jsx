@@ -0,0 +1,131 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { Helmet } from "react-helmet-async";
+import { ArrowLeft, Camera } from "lucide-react";
+import { Card, CardContent } from "@/components/ui/card";
+import AppHeader from "../components/AppHeader";
+import AppFooter from "../components/AppFooter";
+import ImageCredit from "../components/ImageCredit.jsx";
+import apiService from "../services/api.js";
+
+const CreditsPage = () => {
+  const [credits, setCredits] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadCredits = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await apiService.getCredits();
+        setCredits(response.data);
+      } catch (err) {
+        console.error("Failed to load image credits:", err);
+        setError(err.message || "Failed to load image credits");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadCredits();
+  }, []);
+
+  return (
+    <div className="min-h-screen bg-background dark:bg-gray-900 transition-colors duration-300">
+      <Helmet>
+        <title>Image Credits | EverythingABC</title>
+        <meta
+          name="description"
+          content="The photographers and artists whose work appears on EverythingABC, and the licenses their images are used under."
+        />
+        <link rel="canonical" href="https://everythingabc.com/credits" />
+      </Helmet>
+
+      <AppHeader />
+
+      <main className="py-8">
+        {/* Breadcrumb */}
+        <div className="max-w-4xl mx-auto px-4 mb-8">
+          <Link
+            to="/"
+            className="inline-flex items-center space-x-2 text-muted-foreground dark:text-gray-400 hover:text-primary dark:hover:text-blue-400 transition-colors"
+          >
+            <ArrowLeft className="w-4 h-4" />
+            <span>Back to Home</span>
+          </Link>
+        </div>
+
+        {/* Header */}
+        <section className="max-w-4xl mx-auto px-4 py-8 text-center">
+          <div className="flex items-center justify-center space-x-3 mb-6">
+            <Camera className="w-8 h-8 text-primary dark:text-blue-400" />
+            <h1 className="text-4xl font-bold text-gray-900 dark:text-white">
+              Image Credits
+            </h1>
+          </div>
+          <p className="text-lg text-muted-foreground dark:text-gray-300">
+            Many of our pictures are shared by photographers and artists under
+            open licenses. Thank you to everyone whose work appears here.
+          </p>
+        </section>
+
+        {/* Credits */}
+        <section className="max-w-4xl mx-auto px-4 py-8 space-y-8">
+          {loading && (
+            <p className="text-center text-muted-foreground dark:text-gray-400">
+              Loading credits...
+            </p>
+          )}
+
+          {error && (
+            <p className="text-center text-red-600 dark:text-red-400">{error}</p>
+          )}
+
+          {credits && credits.categories.length === 0 && (
+            <p className="text-center text-muted-foreground dark:text-gray-400">
+              No image credits to show yet.
+            </p>
+          )}
+
+          {credits?.categories.map((category) => (
+            <Card
+              key={category.categoryId}
+              className="dark:bg-gray-800 dark:border-gray-700"
+            >
+              <CardContent className="p-6">
+                <h2 className="text-2xl font-semibold text-gray-900 dark:text-white mb-4">
+                  <Link
+                    to={`/categories/${category.categoryId}`}
+                    className="hover:text-primary dark:hover:text-blue-400"
+                  >
+                    {category.categoryName}
+                  </Link>
+                </h2>
+                <ul className="space-y-3">
+                  {category.items.map((item) => (
+                    <li key={item.itemId}>
+                      <Link
+                        to={`/categories/${category.categoryId}/${item.letter}/${item.itemId}`}
+                        className="font-medium text-gray-900 dark:text-white hover:text-primary dark:hover:text-blue-400"
+                      >
+                        {item.itemName}
+                      </Link>
+                      {item.credits.map((credit, index) => (
+                        <ImageCredit key={index} credit={credit} className="mt-1" />
+                      ))}
+                    </li>
+                  ))}
+                </ul>
+              </CardContent>
+            </Card>
+          ))}
+        </section>
+      </main>
+
+      <AppFooter />
+    </div>
+  );
+};
+
+export default CreditsPage;
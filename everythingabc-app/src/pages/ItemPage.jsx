@@ -1,13 +1,16 @@
 import React, { useState, useEffect } from "react";
 import { useParams, Link } from "react-router-dom";
-import { Loader2 } from "lucide-react";
+import { CheckCircle2, GraduationCap, Loader2 } from "lucide-react";
 import apiService from "../services/api.js";
 import Breadcrumb from "../components/Breadcrumb.jsx";
 import AppHeader from "../components/AppHeader.jsx";
 import AppFooter from "../components/AppFooter.jsx";
+import PronunciationButton from "../components/PronunciationButton.jsx";
+import ImageCredit, { primaryImageOf } from "../components/ImageCredit.jsx";
 import { getResponsiveImageUrl } from "../utils/imageUtils.js";
 import { Helmet } from "react-helmet-async";
 import { useTheme } from '../contexts/ThemeContext.jsx';
+import { useProgress } from '../contexts/ProgressContext.jsx';
 
 // Helper function to convert Tailwind gradient colors to actual CSS colors
 const getCategoryGradient = (gradientString) => {
@@ -24,6 +27,7 @@ const getCategoryGradient = (gradientString) => {
 function ItemPage() {
   const { isDarkMode } = useTheme();
   const { categoryId, letter, itemId } = useParams();
+  const { getCard, markLearned, unmarkLearned } = useProgress();
   const [category, setCategory] = useState(null);
   const [items, setItems] = useState([]);
   const [currentItemIndex, setCurrentItemIndex] = useState(0);
@@ -110,6 +114,7 @@ function ItemPage() {
     );
   }
 
+  const card = getCard(category.id, currentItem.id);
   const pageTitle = `${currentItem.name} - ${category.name} | Visual Vocabulary`;
   const pageDescription = currentItem.description || `Learn about ${currentItem.name} in the ${category.name} category.`;
 
@@ -248,11 +253,21 @@ function ItemPage() {
                 </div>
               </div>
             </div>
+            <ImageCredit image={primaryImageOf(currentItem)} className="px-4 pt-2 text-right" />
 
             <div className="p-4 sm:p-8 md:p-12 text-center">
-              <h2 className="text-3xl sm:text-5xl md:text-6xl font-bold text-gray-900 dark:text-white mb-3 sm:mb-6 transition-colors duration-300">
-                {currentItem.name}
-              </h2>
+              <div className="flex items-center justify-center gap-3 sm:gap-4 mb-3 sm:mb-6">
+                <h2 className="text-3xl sm:text-5xl md:text-6xl font-bold text-gray-900 dark:text-white transition-colors duration-300">
+                  {currentItem.name}
+                </h2>
+                <PronunciationButton item={currentItem} />
+              </div>
+
+              {currentItem.pronunciation && (
+                <p className="text-sm sm:text-base text-gray-500 dark:text-gray-400 -mt-2 sm:-mt-4 mb-3 sm:mb-6 transition-colors duration-300">
+                  {currentItem.pronunciation}
+                </p>
+              )}
 
               <p className="text-base sm:text-lg md:text-xl text-gray-600 dark:text-gray-300 mb-4 sm:mb-8 leading-relaxed transition-colors duration-300">
                 {currentItem.description}
@@ -279,6 +294,33 @@ function ItemPage() {
                 </div>
               )}
 
+              {/* Learner progress */}
+              <div className="flex flex-col items-center">
+                {card?.learned ? (
+                  <>
+                    <button
+                      onClick={() => unmarkLearned(category.id, currentItem.id)}
+                      className="inline-flex items-center px-4 py-2 sm:px-6 sm:py-3 bg-green-100 dark:bg-green-900/40 text-green-800 dark:text-green-200 rounded-xl font-medium text-sm sm:text-base transition-colors hover:bg-green-200 dark:hover:bg-green-900/60"
+                      title="Click to unmark"
+                    >
+                      <CheckCircle2 className="w-5 h-5 mr-2" />
+                      Learned
+                    </button>
+                    <p className="text-xs sm:text-sm text-gray-500 dark:text-gray-400 mt-2 transition-colors duration-300">
+                      Next review {new Date(card.dueAt).toLocaleDateString()}
+                    </p>
+                  </>
+                ) : (
+                  <button
+                    onClick={() => markLearned({ categoryId: category.id, itemId: currentItem.id, letter })}
+                    className="inline-flex items-center px-4 py-2 sm:px-6 sm:py-3 border-2 border-green-500 text-green-700 dark:text-green-300 hover:bg-green-50 dark:hover:bg-green-900/30 rounded-xl font-medium text-sm sm:text-base transition-colors"
+                  >
+                    <GraduationCap className="w-5 h-5 mr-2" />
+                    Mark as learned
+                  </button>
+                )}
+              </div>
+
               {hasMultiple && (
                 <div className="flex items-center justify-center space-x-3 sm:space-x-4 mt-4 sm:mt-8">
                   <button
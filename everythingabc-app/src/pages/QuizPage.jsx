@@ -0,0 +1,363 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useParams, useSearchParams, Link } from "react-router-dom";
+import { Check, Delete, Loader2, RotateCcw, Trophy, X } from "lucide-react";
+import apiService from "../services/api.js";
+import Breadcrumb from "../components/Breadcrumb.jsx";
+import AppHeader from "../components/AppHeader.jsx";
+import AppFooter from "../components/AppFooter.jsx";
+import { Button } from "@/components/ui/button";
+import { getResponsiveImageUrl } from "../utils/imageUtils.js";
+import { getBestScore, recordScore } from "../lib/quizScores.js";
+import { Helmet } from "react-helmet-async";
+
+const MODE_LABELS = {
+  picture: "Find the picture",
+  letter: "First letter",
+  spell: "Spell it",
+  fact: "True or false",
+};
+
+const newSeed = () => Math.random().toString(36).slice(2, 10);
+
+const QuizImage = ({ item, className = "" }) => {
+  const url = getResponsiveImageUrl(item, { context: "detail" });
+  return url ? (
+    <img src={url} alt="Quiz picture" className={`w-full h-full object-cover ${className}`} />
+  ) : (
+    <div className="w-full h-full flex items-center justify-center text-6xl bg-gray-100 dark:bg-gray-700">📷</div>
+  );
+};
+
+const optionClass = (state) => {
+  switch (state) {
+    case "correct":
+      return "border-green-500 ring-2 ring-green-400";
+    case "wrong":
+      return "border-red-500 ring-2 ring-red-400";
+    default:
+      return "border-gray-200 dark:border-gray-600 hover:border-blue-300 dark:hover:border-blue-500";
+  }
+};
+
+// State of an option once the question has been answered
+const stateOf = (value, question, response) => {
+  if (response === undefined) return null;
+  if (value === question.answer) return "correct";
+  if (value === response) return "wrong";
+  return null;
+};
+
+const PictureQuestion = ({ question, response, onAnswer }) => (
+  <div className="grid grid-cols-2 gap-4">
+    {question.options.map((option) => (
+      <button
+        key={option.id}
+        onClick={() => onAnswer(option.id)}
+        disabled={response !== undefined}
+        className={`aspect-square rounded-2xl border-2 overflow-hidden transition-all ${optionClass(
+          stateOf(option.id, question, response)
+        )}`}
+      >
+        <QuizImage item={option} />
+      </button>
+    ))}
+  </div>
+);
+
+const LetterQuestion = ({ question, response, onAnswer }) => (
+  <div className="space-y-6">
+    <div className="aspect-[4/3] rounded-2xl overflow-hidden">
+      <QuizImage item={question.item} />
+    </div>
+    <div className="grid grid-cols-4 gap-3">
+      {question.options.map((letter) => (
+        <button
+          key={letter}
+          onClick={() => onAnswer(letter)}
+          disabled={response !== undefined}
+          className={`py-4 text-3xl font-bold rounded-xl border-2 bg-white dark:bg-gray-800 text-gray-900 dark:text-white transition-all ${optionClass(
+            stateOf(letter, question, response)
+          )}`}
+        >
+          {letter}
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+const SpellQuestion = ({ question, response, onAnswer }) => {
+  // Indexes into question.tiles, so repeated letters stay distinct
+  const [picked, setPicked] = useState([]);
+  const word = picked.map((index) => question.tiles[index]).join("");
+
+  return (
+    <div className="space-y-6">
+      <div className="aspect-[4/3] rounded-2xl overflow-hidden">
+        <QuizImage item={question.item} />
+      </div>
+
+      <div className="flex items-center justify-center min-h-14 px-4 py-3 rounded-xl bg-gray-100 dark:bg-gray-700 text-3xl font-bold tracking-widest text-gray-900 dark:text-white">
+        {response !== undefined ? response || "—" : word || <span className="text-gray-400 text-lg font-normal tracking-normal">Tap the letters</span>}
+      </div>
+
+      {response === undefined && (
+        <>
+          <div className="flex flex-wrap justify-center gap-2">
+            {question.tiles.map((letter, index) => (
+              <button
+                key={index}
+                onClick={() => setPicked((prev) => [...prev, index])}
+                disabled={picked.includes(index)}
+                className="w-12 h-12 text-xl font-bold rounded-lg border-2 border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white hover:border-blue-300 disabled:opacity-30 transition-all"
+              >
+                {letter}
+              </button>
+            ))}
+          </div>
+          <div className="flex justify-center space-x-3">
+            <Button variant="outline" onClick={() => setPicked((prev) => prev.slice(0, -1))} disabled={picked.length === 0}>
+              <Delete className="w-4 h-4 mr-2" />
+              Undo
+            </Button>
+            <Button onClick={() => onAnswer(word)} disabled={picked.length === 0}>
+              <Check className="w-4 h-4 mr-2" />
+              Check
+            </Button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const FactQuestion = ({ question, response, onAnswer }) => (
+  <div className="space-y-6">
+    <div className="aspect-[4/3] rounded-2xl overflow-hidden">
+      <QuizImage item={question.item} />
+    </div>
+    <div className="bg-blue-50 dark:bg-blue-900/30 rounded-xl p-4 text-center">
+      <p className="text-blue-800 dark:text-blue-200 font-medium">💡 {question.statement}</p>
+    </div>
+    <div className="grid grid-cols-2 gap-3">
+      {[true, false].map((value) => (
+        <button
+          key={String(value)}
+          onClick={() => onAnswer(value)}
+          disabled={response !== undefined}
+          className={`py-4 text-xl font-bold rounded-xl border-2 bg-white dark:bg-gray-800 text-gray-900 dark:text-white transition-all ${optionClass(
+            stateOf(value, question, response)
+          )}`}
+        >
+          {value ? "True" : "False"}
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+const QUESTION_COMPONENTS = {
+  picture: PictureQuestion,
+  letter: LetterQuestion,
+  spell: SpellQuestion,
+  fact: FactQuestion,
+};
+
+function QuizPage() {
+  const { categoryId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const seed = searchParams.get("seed");
+
+  const [quiz, setQuiz] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [current, setCurrent] = useState(0);
+  const [responses, setResponses] = useState({});
+  const [result, setResult] = useState(null);
+
+  // The seed lives in the URL so a quiz can be replayed or shared
+  useEffect(() => {
+    if (!seed) {
+      setSearchParams({ seed: newSeed() }, { replace: true });
+    }
+  }, [seed, setSearchParams]);
+
+  useEffect(() => {
+    if (!seed) return;
+
+    const loadQuiz = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        setCurrent(0);
+        setResponses({});
+        setResult(null);
+        const response = await apiService.getCategoryQuiz(categoryId, { seed });
+        setQuiz(response.data);
+      } catch (err) {
+        console.error("Failed to load quiz:", err);
+        setError(err.message || "Failed to load quiz");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadQuiz();
+  }, [categoryId, seed]);
+
+  const question = quiz?.questions[current];
+  const response = question ? responses[question.id] : undefined;
+  const correctCount = quiz
+    ? quiz.questions.filter((q) => responses[q.id] === q.answer).length
+    : 0;
+
+  const handleAnswer = useCallback(
+    (value) => {
+      setResponses((prev) => ({ ...prev, [question.id]: value }));
+    },
+    [question]
+  );
+
+  const handleNext = () => {
+    if (current + 1 < quiz.questions.length) {
+      setCurrent(current + 1);
+      return;
+    }
+    const best = getBestScore(categoryId);
+    const score = recordScore({
+      categoryId,
+      seed: quiz.seed,
+      modes: quiz.modes,
+      correct: correctCount,
+      total: quiz.questions.length,
+    });
+    setResult({ score, isBest: !best || score.percent > best.percent });
+  };
+
+  const replay = () => {
+    setCurrent(0);
+    setResponses({});
+    setResult(null);
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-background dark:bg-gray-900 flex items-center justify-center transition-colors duration-300">
+        <Loader2 className="w-8 h-8 animate-spin text-primary" />
+      </div>
+    );
+  }
+
+  if (error || !quiz) {
+    return (
+      <div className="min-h-screen bg-background dark:bg-gray-900 flex flex-col items-center justify-center transition-colors duration-300">
+        <p className="text-red-600 dark:text-red-400 mb-4">{error || "Quiz not found."}</p>
+        <Button asChild variant="outline">
+          <Link to={`/categories/${categoryId}`}>Back to category</Link>
+        </Button>
+      </div>
+    );
+  }
+
+  const QuestionComponent = question && QUESTION_COMPONENTS[question.mode];
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 dark:from-gray-900 dark:via-gray-800 dark:to-gray-900 transition-colors duration-300">
+      <Helmet>
+        <title>{`${quiz.categoryName} Quiz | EverythingABC`}</title>
+        <meta name="robots" content="noindex" />
+      </Helmet>
+
+      <AppHeader />
+
+      <header className="bg-white dark:bg-gray-800 shadow-sm border-b dark:border-gray-700 transition-colors duration-300">
+        <div className="max-w-4xl mx-auto px-4 py-4">
+          <div className="flex items-center space-x-4 mb-3">
+            <Breadcrumb
+              items={[
+                { label: "Home", path: "/" },
+                { label: quiz.categoryName, path: `/categories/${categoryId}` },
+                { label: "Quiz", path: `/categories/${categoryId}/quiz` },
+              ]}
+            />
+          </div>
+          <h1 className="text-xl font-bold text-gray-900 dark:text-white transition-colors duration-300">
+            {quiz.categoryName} Quiz
+          </h1>
+          {!result && quiz.questions.length > 0 && (
+            <p className="text-sm text-gray-600 dark:text-gray-300 transition-colors duration-300">
+              Question {current + 1} of {quiz.questions.length} · {MODE_LABELS[question.mode]}
+            </p>
+          )}
+        </div>
+      </header>
+
+      <div className="max-w-xl mx-auto px-4 py-8">
+        {quiz.questions.length === 0 ? (
+          <div className="text-center py-12">
+            <p className="text-gray-600 dark:text-gray-300 mb-4">
+              This category doesn't have enough items for a quiz yet.
+            </p>
+            <Link to={`/categories/${categoryId}`} className="text-blue-600 dark:text-blue-400 hover:underline">
+              Back to category
+            </Link>
+          </div>
+        ) : result ? (
+          <div className="bg-white dark:bg-gray-800 rounded-3xl shadow-2xl dark:shadow-gray-900/50 p-8 text-center transition-colors duration-300">
+            <Trophy className="w-16 h-16 mx-auto mb-4 text-yellow-500" />
+            <h2 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
+              {result.score.correct} / {result.score.total}
+            </h2>
+            <p className="text-gray-600 dark:text-gray-300 mb-6">
+              {result.isBest ? "New best score for this category!" : `${result.score.percent}% correct`}
+            </p>
+            <div className="flex flex-wrap justify-center gap-3">
+              <Button variant="outline" onClick={replay}>
+                <RotateCcw className="w-4 h-4 mr-2" />
+                Same quiz again
+              </Button>
+              <Button onClick={() => setSearchParams({ seed: newSeed() })}>New quiz</Button>
+            </div>
+          </div>
+        ) : (
+          <div className="bg-white dark:bg-gray-800 rounded-3xl shadow-2xl dark:shadow-gray-900/50 p-6 sm:p-8 transition-colors duration-300">
+            <h2 className="text-xl sm:text-2xl font-bold text-gray-900 dark:text-white text-center mb-6">
+              {question.prompt}
+            </h2>
+
+            <QuestionComponent key={question.id} question={question} response={response} onAnswer={handleAnswer} />
+
+            {response !== undefined && (
+              <div className="mt-6 text-center">
+                {response === question.answer ? (
+                  <p className="flex items-center justify-center text-green-600 dark:text-green-400 font-medium mb-4">
+                    <Check className="w-5 h-5 mr-1" />
+                    Correct!
+                  </p>
+                ) : (
+                  <p className="flex items-center justify-center text-red-600 dark:text-red-400 font-medium mb-4">
+                    <X className="w-5 h-5 mr-1" />
+                    {question.mode === "spell"
+                      ? `It's spelled ${question.answer}`
+                      : question.mode === "fact"
+                        ? question.explanation || "That one was true."
+                        : question.mode === "letter"
+                          ? `${question.item.name} starts with ${question.answer}`
+                          : "That was the wrong picture"}
+                  </p>
+                )}
+                <Button onClick={handleNext}>
+                  {current + 1 < quiz.questions.length ? "Next question" : "See score"}
+                </Button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      <AppFooter />
+    </div>
+  );
+}
+
+export default QuizPage;
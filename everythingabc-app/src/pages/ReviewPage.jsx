@@ -0,0 +1,302 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { Link } from "react-router-dom";
+import { CheckCircle2, Cloud, CloudOff, Loader2, RefreshCw } from "lucide-react";
+import apiService from "../services/api.js";
+import Breadcrumb from "../components/Breadcrumb.jsx";
+import AppHeader from "../components/AppHeader.jsx";
+import AppFooter from "../components/AppFooter.jsx";
+import { getResponsiveImageUrl } from "../utils/imageUtils.js";
+import { Helmet } from "react-helmet-async";
+import { useProgress } from "../contexts/ProgressContext.jsx";
+import { GRADES, cardKey, getNextDueDate, previewInterval } from "../lib/spacedRepetition.js";
+
+const GRADE_BUTTONS = [
+  { grade: "again", label: "Again", className: "bg-red-500 hover:bg-red-600" },
+  { grade: "hard", label: "Hard", className: "bg-orange-500 hover:bg-orange-600" },
+  { grade: "good", label: "Good", className: "bg-green-500 hover:bg-green-600" },
+  { grade: "easy", label: "Easy", className: "bg-blue-500 hover:bg-blue-600" },
+];
+
+const formatInterval = (days) => (days === 1 ? "1 day" : `${days} days`);
+
+// Sync settings: the learner id doubles as the code for linking another device
+const SyncSettings = () => {
+  const { learnerId, syncEnabled, syncStatus, lastSyncedAt, enableSync, disableSync, syncNow, linkDevice } =
+    useProgress();
+  const [code, setCode] = useState("");
+  const [codeError, setCodeError] = useState(null);
+
+  const handleLink = (e) => {
+    e.preventDefault();
+    if (linkDevice(code)) {
+      setCode("");
+      setCodeError(null);
+    } else {
+      setCodeError("That doesn't look like a sync code");
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-2xl border dark:border-gray-700 p-4 sm:p-6 transition-colors duration-300">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          {syncEnabled ? (
+            <Cloud className="w-5 h-5 text-blue-500" />
+          ) : (
+            <CloudOff className="w-5 h-5 text-gray-400" />
+          )}
+          <h2 className="font-semibold text-gray-900 dark:text-white">Sync across devices</h2>
+        </div>
+        <button
+          onClick={syncEnabled ? disableSync : enableSync}
+          className="px-3 py-1.5 text-sm rounded-lg border dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+        >
+          {syncEnabled ? "Turn off" : "Turn on"}
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-600 dark:text-gray-300 mt-2">
+        Your progress is saved in this browser. Turn on sync to back it up and use it on another
+        device - no account needed.
+      </p>
+
+      {syncEnabled && (
+        <div className="mt-4 space-y-3 text-sm">
+          <div>
+            <div className="text-gray-500 dark:text-gray-400">Your sync code</div>
+            <code className="block mt-1 px-2 py-1 bg-gray-100 dark:bg-gray-700 rounded text-gray-800 dark:text-gray-200 break-all">
+              {learnerId}
+            </code>
+          </div>
+          <div className="flex items-center justify-between text-gray-500 dark:text-gray-400">
+            <span>
+              {syncStatus === "syncing"
+                ? "Syncing..."
+                : syncStatus === "error"
+                  ? "Sync failed - we'll keep your progress here and retry"
+                  : lastSyncedAt
+                    ? `Last synced ${new Date(lastSyncedAt).toLocaleString()}`
+                    : "Not synced yet"}
+            </span>
+            <button
+              onClick={syncNow}
+              disabled={syncStatus === "syncing"}
+              className="inline-flex items-center text-blue-600 dark:text-blue-400 hover:underline disabled:opacity-50"
+            >
+              <RefreshCw className={`w-4 h-4 mr-1 ${syncStatus === "syncing" ? "animate-spin" : ""}`} />
+              Sync now
+            </button>
+          </div>
+        </div>
+      )}
+
+      <form onSubmit={handleLink} className="mt-4">
+        <label htmlFor="sync-code" className="text-sm text-gray-500 dark:text-gray-400">
+          Have a code from another device?
+        </label>
+        <div className="flex mt-1 space-x-2">
+          <input
+            id="sync-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx"
+            className="flex-1 px-3 py-1.5 text-sm rounded-lg border dark:border-gray-600 bg-white dark:bg-gray-900 text-gray-900 dark:text-white"
+          />
+          <button
+            type="submit"
+            disabled={!code.trim()}
+            className="px-3 py-1.5 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 transition-colors"
+          >
+            Link
+          </button>
+        </div>
+        {codeError && <p className="text-sm text-red-600 dark:text-red-400 mt-1">{codeError}</p>}
+      </form>
+    </div>
+  );
+};
+
+function ReviewPage() {
+  const { cards, learnedCount, dueCards, recordReview } = useProgress();
+  const [categories, setCategories] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [revealed, setRevealed] = useState(false);
+  const [reviewedCount, setReviewedCount] = useState(0);
+
+  // Load each category with due cards once; cards only store ids
+  const dueCategoryIds = useMemo(
+    () => [...new Set(dueCards.map((card) => card.categoryId))],
+    [dueCards]
+  );
+
+  useEffect(() => {
+    const missing = dueCategoryIds.filter((id) => !(id in categories));
+    if (missing.length === 0) return;
+
+    let ignore = false;
+    setLoading(true);
+
+    Promise.all(
+      missing.map((id) =>
+        apiService
+          .getCategory(id)
+          .then((response) => [id, response.data])
+          .catch(() => [id, null])
+      )
+    ).then((loaded) => {
+      if (ignore) return;
+      setCategories((prev) => ({ ...prev, ...Object.fromEntries(loaded) }));
+      setLoading(false);
+    });
+
+    return () => {
+      ignore = true;
+    };
+  }, [dueCategoryIds, categories]);
+
+  // Cards whose item has been removed from the site are skipped
+  const reviewQueue = dueCards
+    .map((card) => {
+      const category = categories[card.categoryId];
+      const item = category?.items?.[card.letter]?.find((i) => i.id === card.itemId);
+      return item ? { card, category, item } : null;
+    })
+    .filter(Boolean);
+
+  const current = reviewQueue[0];
+  const waitingForCategories = dueCategoryIds.some((id) => !(id in categories));
+
+  const handleGrade = (grade) => {
+    recordReview(current.card, grade);
+    setReviewedCount((count) => count + 1);
+    setRevealed(false);
+  };
+
+  const nextDue = getNextDueDate(cards);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 dark:from-gray-900 dark:via-gray-800 dark:to-gray-900 transition-colors duration-300">
+      <Helmet>
+        <title>Review Today | EverythingABC</title>
+        <meta name="robots" content="noindex" />
+      </Helmet>
+
+      <AppHeader />
+
+      <header className="bg-white dark:bg-gray-800 shadow-sm border-b dark:border-gray-700 transition-colors duration-300">
+        <div className="max-w-4xl mx-auto px-4 py-4">
+          <div className="flex items-center space-x-4 mb-3">
+            <Breadcrumb
+              items={[
+                { label: "Home", path: "/" },
+                { label: "Review", path: "/review" },
+              ]}
+            />
+          </div>
+          <h1 className="text-xl font-bold text-gray-900 dark:text-white transition-colors duration-300">
+            Review today
+          </h1>
+          <p className="text-sm text-gray-600 dark:text-gray-300 transition-colors duration-300">
+            {learnedCount} learned · {dueCards.length} due
+            {reviewedCount > 0 && ` · ${reviewedCount} reviewed this session`}
+          </p>
+        </div>
+      </header>
+
+      <div className="max-w-2xl mx-auto px-4 py-8 space-y-8">
+        {learnedCount === 0 ? (
+          <div className="text-center py-12">
+            <h2 className="text-lg font-medium text-gray-900 dark:text-white mb-2">Nothing to review yet</h2>
+            <p className="text-gray-600 dark:text-gray-300 mb-4">
+              Open any item and tap "Mark as learned" - it will come back here for review.
+            </p>
+            <Link to="/" className="text-blue-600 dark:text-blue-400 hover:underline">
+              Browse categories
+            </Link>
+          </div>
+        ) : current ? (
+          <div className="bg-white dark:bg-gray-800 rounded-3xl shadow-2xl dark:shadow-gray-900/50 overflow-hidden transition-colors duration-300">
+            <div className="aspect-[4/3] relative bg-gray-100 dark:bg-gray-700">
+              {getResponsiveImageUrl(current.item, { context: "detail" }) ? (
+                <img
+                  key={cardKey(current.card.categoryId, current.card.itemId)}
+                  src={getResponsiveImageUrl(current.item, { context: "detail" })}
+                  alt={revealed ? current.item.name : "Picture to identify"}
+                  className="w-full h-full object-cover"
+                />
+              ) : (
+                <div className="w-full h-full flex items-center justify-center text-6xl">📷</div>
+              )}
+              <div className="absolute top-4 left-4 px-3 py-1 rounded-full bg-white/90 dark:bg-gray-900/80 text-sm text-gray-700 dark:text-gray-200">
+                {current.category.icon} {current.category.name} · {current.card.letter}
+              </div>
+            </div>
+
+            <div className="p-6 sm:p-8 text-center">
+              {!revealed ? (
+                <>
+                  <p className="text-lg text-gray-700 dark:text-gray-200 mb-6">What is this?</p>
+                  <button
+                    onClick={() => setRevealed(true)}
+                    className="px-6 py-3 bg-blue-500 dark:bg-blue-600 hover:bg-blue-600 dark:hover:bg-blue-700 text-white rounded-xl transition-colors font-medium"
+                  >
+                    Show answer
+                  </button>
+                </>
+              ) : (
+                <>
+                  <h2 className="text-4xl sm:text-5xl font-bold text-gray-900 dark:text-white mb-2">
+                    {current.item.name}
+                  </h2>
+                  {current.item.pronunciation && (
+                    <p className="text-gray-500 dark:text-gray-400 mb-4">/{current.item.pronunciation}/</p>
+                  )}
+                  {current.item.facts?.length > 0 && (
+                    <div className="bg-blue-50 dark:bg-blue-900/30 rounded-xl p-4 mb-6">
+                      <p className="text-blue-800 dark:text-blue-200 font-medium">💡 {current.item.facts[0]}</p>
+                    </div>
+                  )}
+                  <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">How well did you know it?</p>
+                  <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                    {GRADE_BUTTONS.map(({ grade, label, className }) => (
+                      <button
+                        key={grade}
+                        onClick={() => handleGrade(grade)}
+                        className={`px-3 py-2 rounded-xl text-white font-medium transition-colors ${className}`}
+                      >
+                        <div>{label}</div>
+                        <div className="text-xs opacity-80">
+                          {formatInterval(previewInterval(current.card, GRADES[grade]))}
+                        </div>
+                      </button>
+                    ))}
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+        ) : loading || waitingForCategories ? (
+          <div className="flex justify-center py-12">
+            <Loader2 className="w-8 h-8 animate-spin text-primary" />
+          </div>
+        ) : (
+          <div className="text-center py-12">
+            <CheckCircle2 className="w-16 h-16 mx-auto mb-4 text-green-500" />
+            <h2 className="text-lg font-medium text-gray-900 dark:text-white mb-2">All caught up!</h2>
+            <p className="text-gray-600 dark:text-gray-300">
+              {nextDue
+                ? `Your next review is on ${nextDue.toLocaleDateString()}.`
+                : "Mark more items as learned to keep practising."}
+            </p>
+          </div>
+        )}
+
+        <SyncSettings />
+      </div>
+
+      <AppFooter />
+    </div>
+  );
+}
+
+export default ReviewPage;
@@ -0,0 +1,304 @@
+import React, { useState, useEffect } from "react";
+import { useSearchParams, Link } from "react-router-dom";
+import { Loader2, X } from "lucide-react";
+import apiService from "../services/api.js";
+import Breadcrumb from "../components/Breadcrumb.jsx";
+import AppHeader from "../components/AppHeader.jsx";
+import AppFooter from "../components/AppFooter.jsx";
+import { getResponsiveImageUrl } from "../utils/imageUtils.js";
+import { Helmet } from "react-helmet-async";
+
+const RESULTS_PER_PAGE = 48;
+const FILTER_KEYS = ["category", "letter", "difficulty"];
+
+// Keep the ranked order, grouping results under the category of their first hit
+const groupByCategory = (results) => {
+  const groups = new Map();
+  results.forEach((item) => {
+    if (!groups.has(item.categoryId)) {
+      groups.set(item.categoryId, { id: item.categoryId, name: item.categoryName, items: [] });
+    }
+    groups.get(item.categoryId).items.push(item);
+  });
+  return [...groups.values()];
+};
+
+const FilterChip = ({ label, count, active, onClick }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    aria-pressed={active}
+    className={`px-3 py-1 rounded-full border text-sm transition-colors ${
+      active
+        ? "bg-blue-600 border-blue-600 text-white"
+        : "bg-white dark:bg-gray-800 border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:border-blue-300 dark:hover:border-blue-500"
+    }`}
+  >
+    {label}
+    {count !== undefined && (
+      <span className={`ml-1 ${active ? "text-blue-100" : "text-gray-400"}`}>{count}</span>
+    )}
+  </button>
+);
+
+function SearchPage() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = (searchParams.get("q") || "").trim();
+  const page = parseInt(searchParams.get("page")) || 1;
+  const filters = Object.fromEntries(FILTER_KEYS.map((key) => [key, searchParams.get(key) || ""]));
+  const { category, letter, difficulty } = filters;
+
+  const [results, setResults] = useState([]);
+  const [facets, setFacets] = useState(null);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (query.length < 2) {
+      setResults([]);
+      setFacets(null);
+      setPagination(null);
+      return;
+    }
+
+    let ignore = false;
+
+    const loadResults = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await apiService.searchItems(query, {
+          category,
+          letter,
+          difficulty,
+          page,
+          limit: RESULTS_PER_PAGE,
+        });
+        if (!ignore) {
+          setResults(response.data || []);
+          setFacets(response.facets || null);
+          setPagination(response.pagination || null);
+        }
+      } catch (err) {
+        console.error("Failed to search items:", err);
+        if (!ignore) setError(err.message || "Search failed");
+      } finally {
+        if (!ignore) setLoading(false);
+      }
+    };
+
+    loadResults();
+    return () => {
+      ignore = true;
+    };
+  }, [query, page, category, letter, difficulty]);
+
+  // Changing a filter starts again from the first page
+  const toggleFilter = (key, value) => {
+    const next = new URLSearchParams(searchParams);
+    if (next.get(key) === String(value)) {
+      next.delete(key);
+    } else {
+      next.set(key, value);
+    }
+    next.delete("page");
+    setSearchParams(next);
+  };
+
+  const clearFilters = () => {
+    const next = new URLSearchParams();
+    next.set("q", query);
+    setSearchParams(next);
+  };
+
+  const goToPage = (nextPage) => {
+    const next = new URLSearchParams(searchParams);
+    next.set("page", nextPage);
+    setSearchParams(next);
+    window.scrollTo(0, 0);
+  };
+
+  const hasFilters = FILTER_KEYS.some((key) => filters[key]);
+  const groups = groupByCategory(results);
+
+  return (
+    <div className="min-h-screen bg-background dark:bg-gray-900 transition-colors duration-300">
+      <Helmet>
+        <title>{query ? `Search results for "${query}" | EverythingABC` : "Search | EverythingABC"}</title>
+        <meta name="robots" content="noindex" />
+      </Helmet>
+
+      <AppHeader searchQuery={query} />
+
+      <header className="bg-white dark:bg-gray-800 shadow-sm border-b dark:border-gray-700 transition-colors duration-300">
+        <div className="max-w-4xl mx-auto px-4 py-4">
+          <div className="flex items-center space-x-4 mb-3">
+            <Breadcrumb
+              items={[
+                { label: "Home", path: "/" },
+                { label: "Search", path: `/search?q=${encodeURIComponent(query)}` },
+              ]}
+            />
+          </div>
+          <h1 className="text-xl font-bold text-gray-900 dark:text-white transition-colors duration-300">
+            {query ? `Results for "${query}"` : "Search"}
+          </h1>
+          {pagination && (
+            <p className="text-sm text-gray-600 dark:text-gray-300 transition-colors duration-300">
+              {pagination.totalItems} {pagination.totalItems === 1 ? "word" : "words"} found
+            </p>
+          )}
+        </div>
+      </header>
+
+      <div className="max-w-4xl mx-auto px-4 py-8">
+        {query.length < 2 ? (
+          <p className="text-center text-muted-foreground dark:text-gray-400">
+            Type at least 2 letters in the search box to find words.
+          </p>
+        ) : (
+          <>
+            {facets && (
+              <div className="space-y-3 mb-8">
+                {facets.category.length > 0 && (
+                  <div className="flex flex-wrap gap-2">
+                    {facets.category.map((facet) => (
+                      <FilterChip
+                        key={facet.value}
+                        label={facet.label || facet.value}
+                        count={facet.count}
+                        active={filters.category === facet.value}
+                        onClick={() => toggleFilter("category", facet.value)}
+                      />
+                    ))}
+                  </div>
+                )}
+                {facets.letter.length > 0 && (
+                  <div className="flex flex-wrap gap-2">
+                    {facets.letter.map((facet) => (
+                      <FilterChip
+                        key={facet.value}
+                        label={facet.value}
+                        count={facet.count}
+                        active={filters.letter === facet.value}
+                        onClick={() => toggleFilter("letter", facet.value)}
+                      />
+                    ))}
+                  </div>
+                )}
+                {facets.difficulty.length > 0 && (
+                  <div className="flex flex-wrap gap-2">
+                    {facets.difficulty.map((facet) => (
+                      <FilterChip
+                        key={facet.value}
+                        label={`Level ${facet.value}`}
+                        count={facet.count}
+                        active={filters.difficulty === String(facet.value)}
+                        onClick={() => toggleFilter("difficulty", facet.value)}
+                      />
+                    ))}
+                  </div>
+                )}
+                {hasFilters && (
+                  <button
+                    type="button"
+                    onClick={clearFilters}
+                    className="flex items-center space-x-1 text-sm text-blue-600 dark:text-blue-400 hover:underline"
+                  >
+                    <X className="w-4 h-4" />
+                    <span>Clear filters</span>
+                  </button>
+                )}
+              </div>
+            )}
+
+            {loading ? (
+              <div className="flex justify-center py-12">
+                <Loader2 className="w-8 h-8 animate-spin text-primary" />
+              </div>
+            ) : error ? (
+              <p className="text-center text-red-600 dark:text-red-400 text-lg font-medium">
+                Error: {error}
+              </p>
+            ) : results.length === 0 ? (
+              <p className="text-center text-muted-foreground dark:text-gray-400">
+                No words match "{query}". Try a different spelling or fewer filters.
+              </p>
+            ) : (
+              <div className="space-y-10">
+                {groups.map((group) => (
+                  <section key={group.id}>
+                    <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+                      <Link to={`/categories/${group.id}`} className="hover:underline">
+                        {group.name}
+                      </Link>
+                    </h2>
+                    <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
+                      {group.items.map((item) => {
+                        const imageUrl = getResponsiveImageUrl(item, { context: "grid" });
+
+                        return (
+                          <Link
+                            key={item.id}
+                            to={`/categories/${item.categoryId}/${item.letter}/${item.id}`}
+                            className="rounded-2xl border-2 overflow-hidden bg-white dark:bg-gray-800 border-gray-200 dark:border-gray-600 hover:border-blue-300 dark:hover:border-blue-500 hover:shadow-lg transition-all duration-200"
+                          >
+                            <div className="aspect-square bg-gray-100 dark:bg-gray-700 flex items-center justify-center">
+                              {imageUrl ? (
+                                <img
+                                  src={imageUrl}
+                                  alt={item.imageAlt || `Image of ${item.name}`}
+                                  className="w-full h-full object-cover"
+                                  loading="lazy"
+                                />
+                              ) : (
+                                <span className="text-4xl font-bold text-gray-400">{item.letter}</span>
+                              )}
+                            </div>
+                            <div className="p-3">
+                              <p className="font-medium text-gray-900 dark:text-white truncate">{item.name}</p>
+                              <p className="text-xs text-gray-500 dark:text-gray-400">Letter {item.letter}</p>
+                            </div>
+                          </Link>
+                        );
+                      })}
+                    </div>
+                  </section>
+                ))}
+              </div>
+            )}
+
+            {pagination && pagination.totalPages > 1 && !loading && (
+              <div className="flex items-center justify-center space-x-4 mt-10">
+                <button
+                  type="button"
+                  onClick={() => goToPage(page - 1)}
+                  disabled={page <= 1}
+                  className="px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-600 text-sm disabled:opacity-50 dark:text-white"
+                >
+                  Previous
+                </button>
+                <span className="text-sm text-gray-600 dark:text-gray-300">
+                  Page {pagination.currentPage} of {pagination.totalPages}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => goToPage(page + 1)}
+                  disabled={page >= pagination.totalPages}
+                  className="px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-600 text-sm disabled:opacity-50 dark:text-white"
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      <AppFooter />
+    </div>
+  );
+}
+
+export default SearchPage;
@@ -9,18 +9,20 @@ class ApiService {
     this.baseURL = API_BASE_URL;
   }
 
-  async request(endpoint, options = {}) {
-    let url;
-
+  buildUrl(endpoint) {
     if (USE_PROXY) {
       // In production, use Vercel serverless proxy
       const path = endpoint.startsWith('/') ? endpoint.slice(1) : endpoint;
-      url = `/api/proxy?path=${encodeURIComponent(path)}`;
-    } else {
-      // In development, call API directly
-      url = `${this.baseURL}${endpoint}`;
+      return `/api/proxy?path=${encodeURIComponent(path)}`;
     }
 
+    // In development, call API directly
+    return `${this.baseURL}${endpoint}`;
+  }
+
+  async request(endpoint, options = {}) {
+    const url = this.buildUrl(endpoint);
+
     const config = {
       headers: {
         'Content-Type': 'application/json',
@@ -60,14 +62,66 @@ class ApiService {
     return this.request(`/categories/${categoryId}/letters/${letter}`);
   }
 
-  async searchItems(query) {
-    return this.request(`/categories/search/${encodeURIComponent(query)}`);
+  // options: { category, letter, difficulty, tag, page, limit }
+  async searchItems(query, options = {}) {
+    const params = new URLSearchParams();
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        params.append(key, value);
+      }
+    });
+    const queryString = params.toString();
+    return this.request(`/categories/search/${encodeURIComponent(query)}${queryString ? `?${queryString}` : ''}`);
+  }
+
+  // options: { seed, count, modes } - the same seed always gives the same quiz
+  async getCategoryQuiz(categoryId, options = {}) {
+    const params = new URLSearchParams();
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        params.append(key, Array.isArray(value) ? value.join(',') : value);
+      }
+    });
+    const queryString = params.toString();
+    return this.request(`/categories/${categoryId}/quiz${queryString ? `?${queryString}` : ''}`);
+  }
+
+  // The PDF is opened in a new tab rather than fetched, so this only builds the URL
+  getCategoryPrintUrl(categoryId, options = {}) {
+    const params = new URLSearchParams(
+      Object.entries(options).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+    const queryString = params.toString();
+    return this.buildUrl(`/categories/${categoryId}/print${queryString ? `?${queryString}` : ''}`);
   }
 
   async getStats() {
     return this.request('/categories/stats/overview');
   }
 
+  // Attribution for every approved image, optionally for one category
+  async getCredits(categoryId) {
+    return this.request(`/credits${categoryId ? `?category=${encodeURIComponent(categoryId)}` : ''}`);
+  }
+
+  // Learner progress sync. The server merges cards and returns the result.
+  async getLearnerProgress(learnerId) {
+    return this.request(`/learners/${learnerId}/progress`);
+  }
+
+  async syncLearnerProgress(learnerId, cards) {
+    return this.request(`/learners/${learnerId}/progress`, {
+      method: 'PUT',
+      body: JSON.stringify({ cards }),
+    });
+  }
+
+  async deleteLearnerProgress(learnerId) {
+    return this.request(`/learners/${learnerId}/progress`, {
+      method: 'DELETE',
+    });
+  }
+
   // Admin functions (for future use)
   async createCategory(categoryData) {
     return this.request('/categories', {
@@ -104,6 +158,7 @@ export const {
   getCategory,
   getCategoryLetter,
   searchItems,
+  getCategoryQuiz,
   getStats,
   createCategory,
   updateCategory,
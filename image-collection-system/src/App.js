@@ -11,6 +11,7 @@ import Generate from './pages/Generate';
 import Progress from './pages/Progress';
 import Settings from './pages/Settings';
 import ManageCategory from './pages/ManageCategory';
+import Users from './pages/Users';
 // Admin pages commented out - not needed for ICS functionality
 // import AdminCategories from './pages/AdminCategories';
 // import AdminItems from './pages/AdminItems';
@@ -31,6 +32,7 @@ function App() {
                 <Route path="/generate" element={<Generate />} />
                 <Route path="/progress" element={<Progress />} />
                 <Route path="/manage-category" element={<ManageCategory />} />
+                <Route path="/users" element={<Users />} />
                 <Route path="/settings" element={<Settings />} />
                 {/* Admin routes commented out - not needed for ICS
                 <Route path="/admin" element={<AdminDashboard />} />
@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
-import { Lock, User, Eye, EyeOff } from 'lucide-react';
+import { Lock, User, Eye, EyeOff, ShieldCheck } from 'lucide-react';
 
 const Login = () => {
   const [email, setEmail] = useState('');
@@ -8,8 +8,12 @@ const Login = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  // Set once the password is accepted and a two-factor code is needed
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
 
-  const { login } = useAuth();
+  const { login, verifyTwoFactor } = useAuth();
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -18,13 +22,122 @@ const Login = () => {
 
     const result = await login(email, password);
 
-    if (!result.success) {
+    if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+      setPassword('');
+    } else if (!result.success) {
       setError(result.error);
     }
 
     setLoading(false);
   };
 
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const result = await verifyTwoFactor(challengeToken, code);
+
+    if (result.success) {
+      if (result.recoveryCodesRemaining !== undefined) {
+        window.alert(
+          `You signed in with a recovery code. ${result.recoveryCodesRemaining} recovery codes are left; ` +
+          'generate new ones if you are running low.'
+        );
+      }
+      return;
+    }
+
+    if (result.code === 'INVALID_CHALLENGE') {
+      handleBack();
+    }
+    setError(result.error);
+    setCode('');
+    setLoading(false);
+  };
+
+  const handleBack = () => {
+    setChallengeToken(null);
+    setCode('');
+    setUseRecoveryCode(false);
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <div className="mx-auto h-12 w-12 flex items-center justify-center rounded-full bg-blue-100">
+              <ShieldCheck className="h-6 w-6 text-blue-600" />
+            </div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+              Two-Factor Authentication
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              {useRecoveryCode
+                ? 'Enter one of your recovery codes'
+                : 'Enter the 6-digit code from your authenticator app'}
+            </p>
+          </div>
+
+          <form className="mt-8 space-y-6" onSubmit={handleVerify}>
+            {error && (
+              <div className="rounded-md bg-red-50 p-4">
+                <div className="text-sm text-red-700">{error}</div>
+              </div>
+            )}
+
+            <div>
+              <label htmlFor="code" className="sr-only">
+                {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+              </label>
+              <input
+                id="code"
+                name="code"
+                type="text"
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                autoFocus
+                required
+                className="block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 text-center tracking-widest font-mono rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+              />
+            </div>
+
+            <div>
+              <button
+                type="submit"
+                disabled={loading}
+                className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? 'Verifying...' : 'Verify'}
+              </button>
+            </div>
+
+            <div className="flex justify-between text-sm">
+              <button type="button" className="text-gray-600 hover:text-gray-900" onClick={handleBack}>
+                Back to sign in
+              </button>
+              <button
+                type="button"
+                className="text-blue-600 hover:text-blue-700"
+                onClick={() => {
+                  setUseRecoveryCode(!useRecoveryCode);
+                  setCode('');
+                }}
+              >
+                {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -0,0 +1,208 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Clock, RefreshCw, RotateCcw, X } from "lucide-react";
+import { useApi } from "../../contexts/ApiContext";
+import { showNotification } from "../Common/Notification";
+
+const actionStyles = {
+  baseline: "bg-gray-100 text-gray-700",
+  update: "bg-blue-100 text-blue-800",
+  restore: "bg-amber-100 text-amber-800",
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === "") return "—";
+  if (Array.isArray(value)) return value.join(", ") || "—";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+// Item ids are only unique within a category
+const revisionParams = (resourceType, categoryId) =>
+  resourceType === "item" && categoryId ? { categoryId } : {};
+
+/**
+ * Revision history panel for an item or category. Selecting a revision shows
+ * what differs between it and the current content, and lets the user restore it.
+ */
+const RevisionHistory = ({ resourceType, resourceId, categoryId, title, onClose, onRestored }) => {
+  const { getRevisions, getRevisionDiff, restoreRevision } = useApi();
+
+  const [revisions, setRevisions] = useState([]);
+  const [loadingRevisions, setLoadingRevisions] = useState(false);
+  const [selectedVersion, setSelectedVersion] = useState(null);
+  const [changes, setChanges] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+
+  const loadRevisions = useCallback(async () => {
+    setLoadingRevisions(true);
+    try {
+      const result = await getRevisions(resourceType, resourceId, revisionParams(resourceType, categoryId));
+      if (result.success) {
+        setRevisions(result.data.revisions || []);
+      }
+    } catch (error) {
+      showNotification("error", "Failed to load revision history");
+    } finally {
+      setLoadingRevisions(false);
+    }
+  }, [resourceType, resourceId, categoryId, getRevisions]);
+
+  useEffect(() => {
+    setSelectedVersion(null);
+    setChanges(null);
+    loadRevisions();
+  }, [loadRevisions]);
+
+  const handleSelectRevision = async (version) => {
+    setSelectedVersion(version);
+    setChanges(null);
+    try {
+      const result = await getRevisionDiff(resourceType, resourceId, version, "current", revisionParams(resourceType, categoryId));
+      if (result.success) {
+        setChanges(result.data.changes);
+      }
+    } catch (error) {
+      showNotification("error", "Failed to compare revisions");
+    }
+  };
+
+  const handleRestore = async () => {
+    if (!window.confirm(`Restore "${title}" to revision ${selectedVersion}? The current content will be kept in the history.`)) {
+      return;
+    }
+
+    setRestoring(true);
+    try {
+      const result = await restoreRevision(resourceType, resourceId, selectedVersion, revisionParams(resourceType, categoryId));
+      if (result.success) {
+        showNotification("success", result.message);
+        setSelectedVersion(null);
+        setChanges(null);
+        await loadRevisions();
+        if (onRestored) onRestored(result.data);
+      }
+    } catch (error) {
+      showNotification("error", error.response?.data?.error || "Failed to restore revision");
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <div className="flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900 flex items-center">
+              <Clock className="h-5 w-5 mr-2 text-gray-500" />
+              History
+            </h3>
+            <p className="text-sm text-gray-500">{title}</p>
+          </div>
+          <div className="flex items-center space-x-1">
+            <button
+              onClick={loadRevisions}
+              className="p-1.5 text-gray-500 hover:bg-gray-100 rounded"
+              title="Refresh history"
+            >
+              <RefreshCw className={`h-4 w-4 ${loadingRevisions ? "animate-spin" : ""}`} />
+            </button>
+            <button
+              onClick={onClose}
+              className="p-1.5 text-gray-500 hover:bg-gray-100 rounded"
+              title="Close history"
+            >
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="card-body space-y-4">
+        {loadingRevisions && revisions.length === 0 ? (
+          <div className="text-center py-8">
+            <RefreshCw className="h-6 w-6 mx-auto mb-2 text-gray-400 animate-spin" />
+            <p className="text-sm text-gray-500">Loading history...</p>
+          </div>
+        ) : revisions.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-8">
+            No edits recorded yet. A revision is saved each time this {resourceType} is edited.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-200 border border-gray-200 rounded">
+            {revisions.map((revision) => (
+              <li key={revision.version}>
+                <button
+                  onClick={() => handleSelectRevision(revision.version)}
+                  className={`w-full text-left px-3 py-2 hover:bg-gray-50 ${
+                    selectedVersion === revision.version ? "bg-primary-50" : ""
+                  }`}
+                >
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm font-medium text-gray-900">
+                      Revision {revision.version}
+                    </span>
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${actionStyles[revision.action] || actionStyles.update}`}>
+                      {revision.action === "restore" ? `restored from ${revision.restoredFrom}` : revision.action}
+                    </span>
+                  </div>
+                  <div className="text-xs text-gray-500 mt-0.5">
+                    {new Date(revision.createdAt).toLocaleString()} · {revision.userEmail}
+                  </div>
+                  {revision.changedFields?.length > 0 && (
+                    <div className="text-xs text-gray-600 mt-0.5">
+                      Changed: {revision.changedFields.join(", ")}
+                    </div>
+                  )}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {selectedVersion !== null && (
+          <div className="border border-gray-200 rounded p-3 space-y-3">
+            <h4 className="text-sm font-medium text-gray-900">
+              Revision {selectedVersion} compared to current
+            </h4>
+
+            {changes === null ? (
+              <p className="text-xs text-gray-500">Comparing...</p>
+            ) : changes.length === 0 ? (
+              <p className="text-xs text-gray-500">Current content matches this revision.</p>
+            ) : (
+              <div className="space-y-2">
+                {changes.map((change) => (
+                  <div key={change.field} className="text-xs">
+                    <div className="font-medium text-gray-700">{change.field}</div>
+                    <div className="text-amber-800 bg-amber-50 px-2 py-1 rounded mt-0.5 break-words">
+                      <span className="font-medium">Revision {selectedVersion}:</span> {formatValue(change.before)}
+                    </div>
+                    <div className="text-gray-700 bg-gray-50 px-2 py-1 rounded mt-0.5 break-words">
+                      <span className="font-medium">Current:</span> {formatValue(change.after)}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <button
+              onClick={handleRestore}
+              disabled={restoring || !changes || changes.length === 0}
+              className="w-full btn-secondary"
+            >
+              {restoring ? (
+                <RefreshCw className="h-4 w-4 mr-2 animate-spin" />
+              ) : (
+                <RotateCcw className="h-4 w-4 mr-2" />
+              )}
+              Restore revision {selectedVersion}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RevisionHistory;
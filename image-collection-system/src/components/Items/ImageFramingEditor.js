@@ -0,0 +1,215 @@
+import React, { useState, useRef } from "react";
+import { Crop, Crosshair, RotateCcw, Save, X } from "lucide-react";
+
+const PREVIEW_BOX = 96;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+const round = (value) => Math.round(value * 10000) / 10000;
+
+// Mirrors ImageProcessor.framingRegion in the API
+const framingRegion = (width, height, size, { crop, focalPoint }) => {
+  let region = { left: 0, top: 0, width, height };
+
+  if (crop) {
+    const left = clamp(Math.round(crop.x * width), 0, width - 1);
+    const top = clamp(Math.round(crop.y * height), 0, height - 1);
+    region = {
+      left,
+      top,
+      width: clamp(Math.round(crop.width * width), 1, width - left),
+      height: clamp(Math.round(crop.height * height), 1, height - top),
+    };
+  }
+
+  if (focalPoint) {
+    const aspect = size.width / size.height;
+    const regionWidth = Math.min(region.width, Math.round(region.height * aspect));
+    const regionHeight = Math.min(region.height, Math.round(region.width / aspect));
+    region = {
+      left: clamp(Math.round(focalPoint.x * width - regionWidth / 2), region.left, region.left + region.width - regionWidth),
+      top: clamp(Math.round(focalPoint.y * height - regionHeight / 2), region.top, region.top + region.height - regionHeight),
+      width: regionWidth,
+      height: regionHeight,
+    };
+  }
+
+  return region;
+};
+
+/**
+ * Draw a crop rectangle and/or click a focal point on the original image,
+ * with a preview of how each size variant will be cut. Coordinates are
+ * fractions of the original, as the API stores them.
+ */
+const ImageFramingEditor = ({ image, src, sizes, saving, onSave, onCancel }) => {
+  const [crop, setCrop] = useState(image.crop || null);
+  const [focalPoint, setFocalPoint] = useState(image.focalPoint || null);
+  const [mode, setMode] = useState("crop");
+  const [natural, setNatural] = useState(null);
+  const [dragStart, setDragStart] = useState(null);
+  const frameRef = useRef(null);
+
+  const pointFromEvent = (event) => {
+    const rect = frameRef.current.getBoundingClientRect();
+    return {
+      x: clamp((event.clientX - rect.left) / rect.width, 0, 1),
+      y: clamp((event.clientY - rect.top) / rect.height, 0, 1),
+    };
+  };
+
+  const handleMouseDown = (event) => {
+    event.preventDefault();
+    const point = pointFromEvent(event);
+    if (mode === "focal") {
+      setFocalPoint({ x: round(point.x), y: round(point.y) });
+    } else {
+      setDragStart(point);
+    }
+  };
+
+  const handleMouseMove = (event) => {
+    if (!dragStart) return;
+    const point = pointFromEvent(event);
+    setCrop({
+      x: round(Math.min(dragStart.x, point.x)),
+      y: round(Math.min(dragStart.y, point.y)),
+      width: round(Math.abs(point.x - dragStart.x)),
+      height: round(Math.abs(point.y - dragStart.y)),
+    });
+  };
+
+  const handleMouseUp = () => {
+    if (!dragStart) return;
+    setDragStart(null);
+    // A click without a drag clears the crop
+    setCrop((current) => (current && current.width > 0.02 && current.height > 0.02 ? current : null));
+  };
+
+  const renderPreview = (size) => {
+    const region = framingRegion(natural.width, natural.height, size, { crop, focalPoint });
+    // Variants fit inside their box and are never enlarged
+    const fit = Math.min(size.width / region.width, size.height / region.height, 1);
+    const output = { width: Math.round(region.width * fit), height: Math.round(region.height * fit) };
+    const scale = Math.min(PREVIEW_BOX / output.width, PREVIEW_BOX / output.height) * fit;
+
+    return (
+      <div key={size.name} className="text-center">
+        <div
+          className="relative overflow-hidden bg-gray-100 border border-gray-200 mx-auto"
+          style={{ width: region.width * scale, height: region.height * scale }}
+        >
+          <img
+            src={src}
+            alt=""
+            className="absolute max-w-none"
+            style={{
+              width: natural.width * scale,
+              height: natural.height * scale,
+              left: -region.left * scale,
+              top: -region.top * scale,
+            }}
+          />
+        </div>
+        <div className="text-xs text-gray-600 mt-1">{size.name}</div>
+        <div className="text-xs text-gray-400">
+          {output.width}×{output.height}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-md p-3 space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex space-x-1">
+          <button
+            onClick={() => setMode("crop")}
+            className={`px-3 py-1 text-sm rounded flex items-center ${
+              mode === "crop" ? "bg-primary-100 text-primary-800" : "text-gray-600 hover:bg-gray-100"
+            }`}
+            title="Drag over the image to crop"
+          >
+            <Crop className="h-4 w-4 mr-1" />
+            Crop
+          </button>
+          <button
+            onClick={() => setMode("focal")}
+            className={`px-3 py-1 text-sm rounded flex items-center ${
+              mode === "focal" ? "bg-primary-100 text-primary-800" : "text-gray-600 hover:bg-gray-100"
+            }`}
+            title="Click the part of the image to keep in square sizes"
+          >
+            <Crosshair className="h-4 w-4 mr-1" />
+            Focal point
+          </button>
+        </div>
+        <button
+          onClick={() => {
+            setCrop(null);
+            setFocalPoint(null);
+          }}
+          className="px-3 py-1 text-sm rounded text-gray-600 hover:bg-gray-100 flex items-center"
+        >
+          <RotateCcw className="h-4 w-4 mr-1" />
+          Reset
+        </button>
+      </div>
+
+      <div
+        ref={frameRef}
+        className={`relative inline-block select-none ${mode === "focal" ? "cursor-crosshair" : "cursor-cell"}`}
+        onMouseDown={handleMouseDown}
+        onMouseMove={handleMouseMove}
+        onMouseUp={handleMouseUp}
+        onMouseLeave={handleMouseUp}
+      >
+        <img
+          src={src}
+          alt={image.sourceId}
+          draggable={false}
+          className="block max-h-80 max-w-full"
+          onLoad={(e) => setNatural({ width: e.target.naturalWidth, height: e.target.naturalHeight })}
+        />
+        {crop && (
+          <div
+            className="absolute border-2 border-white pointer-events-none"
+            style={{
+              left: `${crop.x * 100}%`,
+              top: `${crop.y * 100}%`,
+              width: `${crop.width * 100}%`,
+              height: `${crop.height * 100}%`,
+              boxShadow: "0 0 0 9999px rgba(0, 0, 0, 0.45)",
+            }}
+          />
+        )}
+        {focalPoint && (
+          <div
+            className="absolute h-4 w-4 -ml-2 -mt-2 rounded-full border-2 border-white bg-primary-500 pointer-events-none"
+            style={{ left: `${focalPoint.x * 100}%`, top: `${focalPoint.y * 100}%` }}
+          />
+        )}
+      </div>
+
+      {natural && (
+        <div className="flex flex-wrap items-end gap-4">{sizes.map(renderPreview)}</div>
+      )}
+
+      <div className="flex justify-end space-x-2">
+        <button onClick={onCancel} className="btn-secondary flex items-center">
+          <X className="h-4 w-4 mr-1" />
+          Cancel
+        </button>
+        <button
+          onClick={() => onSave({ crop, focalPoint })}
+          disabled={saving}
+          className="btn-primary flex items-center"
+        >
+          <Save className="h-4 w-4 mr-2" />
+          {saving ? "Regenerating sizes..." : "Save framing"}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ImageFramingEditor;
@@ -0,0 +1,93 @@
+import React, { useState } from "react";
+import { AlertTriangle, Save, X } from "lucide-react";
+
+const CREDIT_FIELDS = [
+  { field: "author", label: "Author", placeholder: "Name of the photographer or artist" },
+  { field: "authorUrl", label: "Author URL", placeholder: "https://..." },
+  { field: "attribution", label: "Credit line", placeholder: "As the source asks for it to be shown" },
+  { field: "url", label: "Source page", placeholder: "https://..." },
+];
+
+// Mirrors the blocking check in LicenseCompliance in the API: CC BY
+// licenses of every kind need an author or credit line before approval
+export const licenseWarning = (image) => {
+  const license = image.license || {};
+  if (image.licenseIssues) {
+    return image.licenseIssues.map(({ message }) => message).join("; ") || null;
+  }
+  if (!license.type) return "No license is recorded for this image";
+  if (/^cc-by/.test(license.type) && !license.author?.trim() && !license.attribution?.trim()) {
+    return `${license.name || license.type} requires attribution, but no author or credit line is recorded`;
+  }
+  return null;
+};
+
+/**
+ * Edit who an image is credited to and where it came from. The license type
+ * itself is read from the source when the image is collected.
+ */
+const ImageLicenseEditor = ({ image, saving, onSave, onCancel }) => {
+  const license = image.license || {};
+  const [values, setValues] = useState(() =>
+    Object.fromEntries(CREDIT_FIELDS.map(({ field }) => [field, license[field] || ""]))
+  );
+  const warning = licenseWarning(image);
+
+  return (
+    <div className="border border-gray-200 rounded-md p-3 space-y-3">
+      <div className="text-sm text-gray-700">
+        License:{" "}
+        {license.type ? (
+          license.licenseUrl ? (
+            <a href={license.licenseUrl} target="_blank" rel="noopener noreferrer" className="text-primary-600 underline">
+              {license.name || license.type}
+            </a>
+          ) : (
+            license.name || license.type
+          )
+        ) : (
+          <span className="text-gray-500">not recorded</span>
+        )}
+      </div>
+
+      {warning && (
+        <div className="flex items-start text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded p-2">
+          <AlertTriangle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+          {warning}
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 gap-3">
+        {CREDIT_FIELDS.map(({ field, label, placeholder }) => (
+          <label key={field} className="block text-sm font-medium text-gray-700">
+            {label}
+            <input
+              type="text"
+              value={values[field]}
+              onChange={(e) => setValues((prev) => ({ ...prev, [field]: e.target.value }))}
+              placeholder={placeholder}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+            />
+          </label>
+        ))}
+      </div>
+
+      <div className="flex justify-end space-x-2">
+        <button onClick={onCancel} className="btn-secondary flex items-center">
+          <X className="h-4 w-4 mr-1" />
+          Cancel
+        </button>
+        <button
+          onClick={() => onSave(Object.fromEntries(Object.entries(values).map(([field, value]) => [field, value.trim()])))}
+          disabled={saving}
+          className="btn-primary flex items-center"
+        >
+          <Save className="h-4 w-4 mr-2" />
+          {saving ? "Saving..." : "Save credit"}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ImageLicenseEditor;
@@ -0,0 +1,585 @@
+import React, { useState, useEffect, useRef } from "react";
+import { AlertTriangle, Crop, Edit, FileText, Globe, Image as ImageIcon, Mic, Save, Star, Trash2, Upload, Volume2, X } from "lucide-react";
+import { useApi } from "../../contexts/ApiContext";
+import { showNotification } from "../Common/Notification";
+import ImageFramingEditor from "./ImageFramingEditor";
+import ImageLicenseEditor, { licenseWarning } from "./ImageLicenseEditor";
+
+// Mirrors utils/locales.js in the API. English is edited in the main fields.
+const TRANSLATION_LOCALES = [
+  { code: "es", name: "Español" },
+  { code: "fr", name: "Français" },
+  { code: "de", name: "Deutsch" },
+  { code: "pt", name: "Português" },
+  { code: "ru", name: "Русский" },
+  { code: "el", name: "Ελληνικά" },
+  { code: "ar", name: "العربية", dir: "rtl" },
+];
+
+const RTL_LOCALES = TRANSLATION_LOCALES.filter((l) => l.dir === "rtl").map((l) => l.code);
+
+const API_URL = process.env.REACT_APP_ICS_API_URL || "http://localhost:3003/api/v1";
+
+// Locally stored images and clips come back as "/api/v1/media/..." paths
+const mediaSrc = (url) => (!url || /^https?:\/\//.test(url) ? url : `${new URL(API_URL).origin}${url}`);
+
+// Facts are edited one per line
+const toLines = (facts) => (facts || []).join("\n");
+const fromLines = (text) =>
+  text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+const toForm = (item) => ({
+  name: item.name || "",
+  description: item.description || "",
+  pronunciation: item.pronunciation || "",
+  difficulty: item.difficulty || 1,
+  tags: (item.tags || []).join(", "),
+  facts: toLines(item.facts),
+  translations: Object.fromEntries(
+    TRANSLATION_LOCALES.map(({ code }) => {
+      const translation = item.translations?.[code] || {};
+      return [
+        code,
+        {
+          name: translation.name || "",
+          description: translation.description || "",
+          pronunciation: translation.pronunciation || "",
+          facts: toLines(translation.facts),
+        },
+      ];
+    })
+  ),
+});
+
+const hasTranslation = (translation) =>
+  Object.values(translation).some((value) => value.trim() !== "");
+
+/**
+ * Edit an item's English content and its translations. Saving sends every
+ * locale, so clearing all of a locale's fields removes that translation.
+ */
+const ItemEditor = ({ item, categoryId, onClose, onSaved }) => {
+  const {
+    updateItem,
+    generateItemAudio,
+    uploadItemAudio,
+    deleteItemAudio,
+    getImageSizes,
+    setPrimaryImage,
+    updateImageFraming,
+    updateImageLicense,
+  } = useApi();
+
+  const [form, setForm] = useState(() => toForm(item));
+  const [activeLocale, setActiveLocale] = useState("en");
+  const [saving, setSaving] = useState(false);
+  const [audio, setAudio] = useState(item.audio || []);
+  const [audioBusy, setAudioBusy] = useState(false);
+  const [images, setImages] = useState(item.images || []);
+  const [framingImage, setFramingImage] = useState(null);
+  const [licenseImage, setLicenseImage] = useState(null);
+  const [imageSizes, setImageSizes] = useState([]);
+  const [imageBusy, setImageBusy] = useState(false);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    setForm(toForm(item));
+    setActiveLocale("en");
+    setAudio(item.audio || []);
+    setImages(item.images || []);
+    setFramingImage(null);
+    setLicenseImage(null);
+  }, [item]);
+
+  const setField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const setTranslationField = (locale, field, value) =>
+    setForm((prev) => ({
+      ...prev,
+      translations: {
+        ...prev.translations,
+        [locale]: { ...prev.translations[locale], [field]: value },
+      },
+    }));
+
+  const handleSave = async () => {
+    if (!form.name.trim()) {
+      showNotification("error", "Name is required");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const translations = Object.fromEntries(
+        Object.entries(form.translations).map(([locale, translation]) => [
+          locale,
+          {
+            name: translation.name,
+            description: translation.description,
+            pronunciation: translation.pronunciation,
+            facts: fromLines(translation.facts),
+          },
+        ])
+      );
+
+      const result = await updateItem(categoryId, item.id, {
+        name: form.name,
+        description: form.description,
+        pronunciation: form.pronunciation,
+        difficulty: Number(form.difficulty),
+        tags: form.tags
+          .split(",")
+          .map((tag) => tag.trim())
+          .filter(Boolean),
+        facts: fromLines(form.facts),
+        translations,
+      });
+
+      if (result.success) {
+        showNotification("success", result.message || "Item updated");
+        if (onSaved) onSaved(result.data.item);
+      }
+    } catch (error) {
+      showNotification("error", error.response?.data?.error || "Failed to update item");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Audio is stored straight away rather than on Save
+  const runAudioAction = async (action, successMessage) => {
+    setAudioBusy(true);
+    try {
+      const result = await action();
+      if (result.success) {
+        const clip = result.data?.audio;
+        setAudio((prev) => [...prev.filter((a) => a.locale !== activeLocale), ...(clip ? [clip] : [])]);
+        showNotification("success", result.message || successMessage);
+      }
+    } catch (error) {
+      showNotification("error", error.response?.data?.error || "Audio update failed");
+    } finally {
+      setAudioBusy(false);
+    }
+  };
+
+  const handleGenerateAudio = () =>
+    runAudioAction(
+      () => generateItemAudio(categoryId, item.id, { locale: activeLocale }),
+      "Pronunciation audio generated"
+    );
+
+  const handleUploadAudio = (event) => {
+    const [file] = event.target.files;
+    event.target.value = "";
+    if (!file) return;
+    runAudioAction(
+      () => uploadItemAudio(categoryId, item.id, file, activeLocale),
+      "Pronunciation audio uploaded"
+    );
+  };
+
+  const handleDeleteAudio = () =>
+    runAudioAction(
+      () => deleteItemAudio(categoryId, item.id, activeLocale),
+      "Pronunciation audio removed"
+    );
+
+  // Like audio, image changes apply straight away
+  const replaceImage = (updated, { primary = false } = {}) =>
+    setImages((prev) =>
+      prev.map((img) =>
+        img.sourceId === updated.sourceId
+          ? { ...img, ...updated }
+          : primary
+          ? { ...img, isPrimary: false }
+          : img
+      )
+    );
+
+  const handleSetPrimary = async (image) => {
+    setImageBusy(true);
+    try {
+      const result = await setPrimaryImage(categoryId, item.id, image.sourceId);
+      if (result.success) {
+        replaceImage(result.data.image, { primary: true });
+        showNotification("success", result.message || "Primary image updated");
+      }
+    } catch (error) {
+      showNotification("error", error.response?.data?.error || "Failed to set primary image");
+    } finally {
+      setImageBusy(false);
+    }
+  };
+
+  const openFraming = async (image) => {
+    if (imageSizes.length === 0) {
+      try {
+        const result = await getImageSizes();
+        setImageSizes(result.data.sizes);
+      } catch (error) {
+        showNotification("error", "Failed to load image sizes");
+        return;
+      }
+    }
+    setFramingImage(image);
+  };
+
+  const handleSaveFraming = async (framing) => {
+    setImageBusy(true);
+    try {
+      const result = await updateImageFraming(categoryId, item.id, framingImage.sourceId, framing);
+      if (result.success) {
+        replaceImage(result.data.image);
+        setFramingImage(null);
+        showNotification("success", result.message || "Image framing updated");
+      }
+    } catch (error) {
+      const data = error.response?.data;
+      showNotification("error", data?.details?.join("; ") || data?.error || "Failed to update framing");
+    } finally {
+      setImageBusy(false);
+    }
+  };
+
+  const handleSaveLicense = async (license) => {
+    setImageBusy(true);
+    try {
+      const result = await updateImageLicense(categoryId, item.id, licenseImage.sourceId, license);
+      if (result.success) {
+        replaceImage(result.data.image);
+        setLicenseImage(null);
+        showNotification("success", result.message || "Image license updated");
+      }
+    } catch (error) {
+      const data = error.response?.data;
+      showNotification("error", data?.details?.join("; ") || data?.error || "Failed to update license");
+    } finally {
+      setImageBusy(false);
+    }
+  };
+
+  const translation = activeLocale !== "en" ? form.translations[activeLocale] : null;
+  const clip = audio.find((a) => a.locale === activeLocale);
+  const dir = RTL_LOCALES.includes(activeLocale) ? "rtl" : "ltr";
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <div className="flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900 flex items-center">
+              <Edit className="h-5 w-5 mr-2 text-gray-500" />
+              Edit Item
+            </h3>
+            <p className="text-sm text-gray-500">{item.name}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1.5 text-gray-500 hover:bg-gray-100 rounded"
+            title="Close editor"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="card-body space-y-4">
+        <div className="flex flex-wrap gap-1 border-b border-gray-200 pb-2">
+          <button
+            onClick={() => setActiveLocale("en")}
+            className={`px-3 py-1 text-sm rounded ${
+              activeLocale === "en" ? "bg-primary-100 text-primary-800" : "text-gray-600 hover:bg-gray-100"
+            }`}
+          >
+            English
+          </button>
+          {TRANSLATION_LOCALES.map(({ code, name }) => (
+            <button
+              key={code}
+              onClick={() => setActiveLocale(code)}
+              className={`px-3 py-1 text-sm rounded flex items-center ${
+                activeLocale === code ? "bg-primary-100 text-primary-800" : "text-gray-600 hover:bg-gray-100"
+              }`}
+            >
+              {name}
+              {hasTranslation(form.translations[code]) && (
+                <Globe className="h-3 w-3 ml-1 text-green-600" title="Translated" />
+              )}
+            </button>
+          ))}
+        </div>
+
+        {activeLocale === "en" ? (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input
+                value={form.name}
+                onChange={(e) => setField("name", e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Pronunciation</label>
+              <input
+                value={form.pronunciation}
+                onChange={(e) => setField("pronunciation", e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+              />
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+              <textarea
+                value={form.description}
+                onChange={(e) => setField("description", e.target.value)}
+                rows={2}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Tags (comma separated)</label>
+              <input
+                value={form.tags}
+                onChange={(e) => setField("tags", e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Difficulty</label>
+              <select
+                value={form.difficulty}
+                onChange={(e) => setField("difficulty", e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+              >
+                {[1, 2, 3, 4, 5].map((level) => (
+                  <option key={level} value={level}>
+                    {level}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Facts (one per line)</label>
+              <textarea
+                value={form.facts}
+                onChange={(e) => setField("facts", e.target.value)}
+                rows={3}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+              />
+            </div>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4" dir={dir}>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input
+                value={translation.name}
+                onChange={(e) => setTranslationField(activeLocale, "name", e.target.value)}
+                placeholder={form.name}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+              />
+              <p className="text-xs text-gray-500 mt-1" dir="ltr">
+                Listed under the first letter of this name in the {activeLocale} alphabet
+              </p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Pronunciation</label>
+              <input
+                value={translation.pronunciation}
+                onChange={(e) => setTranslationField(activeLocale, "pronunciation", e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+              />
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+              <textarea
+                value={translation.description}
+                onChange={(e) => setTranslationField(activeLocale, "description", e.target.value)}
+                placeholder={form.description}
+                rows={2}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+              />
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Facts (one per line)</label>
+              <textarea
+                value={translation.facts}
+                onChange={(e) => setTranslationField(activeLocale, "facts", e.target.value)}
+                rows={3}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+              />
+            </div>
+          </div>
+        )}
+
+        <div className="border-t border-gray-200 pt-4">
+          <div className="flex items-center justify-between mb-2">
+            <label className="text-sm font-medium text-gray-700 flex items-center">
+              <Volume2 className="h-4 w-4 mr-1 text-gray-500" />
+              Pronunciation audio ({activeLocale})
+            </label>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={handleGenerateAudio}
+                disabled={audioBusy}
+                className="btn-secondary text-sm flex items-center"
+                title="Speak the name with the text-to-speech provider"
+              >
+                <Mic className="h-4 w-4 mr-1" />
+                {clip ? "Regenerate" : "Generate"}
+              </button>
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                disabled={audioBusy}
+                className="btn-secondary text-sm flex items-center"
+              >
+                <Upload className="h-4 w-4 mr-1" />
+                Upload
+              </button>
+              {clip && (
+                <button
+                  onClick={handleDeleteAudio}
+                  disabled={audioBusy}
+                  className="p-1.5 text-red-600 hover:bg-red-50 rounded"
+                  title="Remove audio"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              )}
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept="audio/*"
+                onChange={handleUploadAudio}
+                className="hidden"
+              />
+            </div>
+          </div>
+          {clip ? (
+            <div className="flex items-center space-x-3">
+              <audio key={clip.url} controls src={mediaSrc(clip.url)} className="h-8" />
+              <span className="text-xs text-gray-500">
+                {clip.sourceProvider === "upload" ? "Uploaded" : `Generated with ${clip.sourceProvider}`}
+              </span>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">No audio for this language yet.</p>
+          )}
+        </div>
+
+        <div className="border-t border-gray-200 pt-4">
+          <label className="text-sm font-medium text-gray-700 flex items-center mb-2">
+            <ImageIcon className="h-4 w-4 mr-1 text-gray-500" />
+            Images
+          </label>
+          {images.length === 0 ? (
+            <p className="text-sm text-gray-500">No images collected for this item yet.</p>
+          ) : (
+            <div className="flex flex-wrap gap-3">
+              {images.map((image) => (
+                <div
+                  key={image.sourceId}
+                  className={`w-28 rounded border ${
+                    image.isPrimary ? "border-primary-500 ring-2 ring-primary-200" : "border-gray-200"
+                  }`}
+                >
+                  <img
+                    src={mediaSrc(image.url)}
+                    alt={image.sourceId}
+                    className="w-full h-20 object-cover rounded-t"
+                  />
+                  <div className="flex items-center justify-between px-1 py-1">
+                    <span className="text-xs text-gray-500 truncate flex items-center" title={image.status}>
+                      {licenseWarning(image) && (
+                        <span title={licenseWarning(image)}>
+                          <AlertTriangle className="h-3 w-3 mr-1 text-yellow-600 flex-shrink-0" />
+                        </span>
+                      )}
+                      {image.isPrimary ? "Primary" : image.status}
+                    </span>
+                    <div className="flex">
+                      <button
+                        onClick={() => {
+                          setFramingImage(null);
+                          setLicenseImage(image);
+                        }}
+                        disabled={imageBusy}
+                        className="p-1 text-gray-500 hover:bg-gray-100 rounded"
+                        title="License and credit"
+                      >
+                        <FileText className="h-3 w-3" />
+                      </button>
+                      {!image.isPrimary && image.status === "approved" && (
+                        <button
+                          onClick={() => handleSetPrimary(image)}
+                          disabled={imageBusy}
+                          className="p-1 text-gray-500 hover:bg-gray-100 rounded"
+                          title="Make primary image"
+                        >
+                          <Star className="h-3 w-3" />
+                        </button>
+                      )}
+                      {image.originalUrl && (
+                        <button
+                          onClick={() => {
+                            setLicenseImage(null);
+                            openFraming(image);
+                          }}
+                          disabled={imageBusy}
+                          className="p-1 text-gray-500 hover:bg-gray-100 rounded"
+                          title="Crop and focal point"
+                        >
+                          <Crop className="h-3 w-3" />
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+          {framingImage && (
+            <div className="mt-3">
+              <ImageFramingEditor
+                key={framingImage.sourceId}
+                image={framingImage}
+                src={mediaSrc(framingImage.originalUrl)}
+                sizes={imageSizes}
+                saving={imageBusy}
+                onSave={handleSaveFraming}
+                onCancel={() => setFramingImage(null)}
+              />
+            </div>
+          )}
+          {licenseImage && (
+            <div className="mt-3">
+              <ImageLicenseEditor
+                key={licenseImage.sourceId}
+                image={licenseImage}
+                saving={imageBusy}
+                onSave={handleSaveLicense}
+                onCancel={() => setLicenseImage(null)}
+              />
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end space-x-2">
+          <button onClick={onClose} className="btn-secondary">
+            Cancel
+          </button>
+          <button onClick={handleSave} disabled={saving} className="btn-primary flex items-center">
+            <Save className="h-4 w-4 mr-2" />
+            {saving ? "Saving..." : "Save"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ItemEditor;
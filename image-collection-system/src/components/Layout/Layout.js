@@ -12,7 +12,7 @@ import {
   Sparkles,
   Shield,
   Edit3,
-  // Users, // COMMENTED OUT - Not used in ICS
+  Users,
   LogOut,
   User,
   ChevronDown
@@ -52,6 +52,11 @@ const navigation = [
     href: '/manage-category',
     icon: Edit3
   },
+  {
+    name: 'Users',
+    href: '/users',
+    icon: Users
+  },
   {
     name: 'Settings',
     href: '/settings',
@@ -0,0 +1,375 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  CheckCircle,
+  CornerDownRight,
+  MessageSquare,
+  RefreshCw,
+  Send,
+  UserPlus,
+  X,
+  XCircle,
+} from "lucide-react";
+import { useApi } from "../../contexts/ApiContext";
+import { showNotification } from "../Common/Notification";
+
+const eventLabels = {
+  submitted: "submitted for review",
+  assigned: "assigned",
+  unassigned: "unassigned",
+  comment: "commented",
+  changes_requested: "requested changes",
+  approved: "approved and published",
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleString() : "");
+
+const Comment = ({ comment, onReply }) => (
+  <div className="text-sm">
+    <div className="flex items-center justify-between">
+      <span className="text-xs font-medium text-gray-700">{comment.userEmail}</span>
+      <span className="text-xs text-gray-400">{formatDate(comment.createdAt)}</span>
+    </div>
+    <p className="text-gray-800 whitespace-pre-wrap break-words mt-0.5">{comment.body}</p>
+    {onReply && (
+      <button
+        onClick={() => onReply(comment)}
+        className="text-xs text-primary-600 hover:text-primary-700 mt-0.5"
+      >
+        Reply
+      </button>
+    )}
+  </div>
+);
+
+/**
+ * Editorial review panel for one item: assigned reviewers, the reviewer's
+ * decision, threaded comments and the full review history.
+ */
+const ReviewPanel = ({ item, onClose, onChanged }) => {
+  const {
+    getItemReview,
+    getReviewers,
+    submitForReview,
+    assignReviewers,
+    unassignReviewer,
+    addReviewComment,
+    requestChanges,
+    approveReview,
+  } = useApi();
+
+  const [review, setReview] = useState(null);
+  const [reviewers, setReviewers] = useState([]);
+  const [loadingReview, setLoadingReview] = useState(false);
+  const [working, setWorking] = useState(false);
+  const [selectedReviewer, setSelectedReviewer] = useState("");
+  const [commentText, setCommentText] = useState("");
+  const [replyTo, setReplyTo] = useState(null);
+  const [reason, setReason] = useState("");
+
+  const loadReview = useCallback(async () => {
+    setLoadingReview(true);
+    try {
+      const result = await getItemReview(item.id, item.categoryId);
+      if (result.success) {
+        setReview(result.data);
+      }
+    } catch (error) {
+      showNotification("error", "Failed to load review");
+    } finally {
+      setLoadingReview(false);
+    }
+  }, [item.id, item.categoryId, getItemReview]);
+
+  useEffect(() => {
+    setReplyTo(null);
+    setReason("");
+    loadReview();
+  }, [loadReview]);
+
+  useEffect(() => {
+    getReviewers()
+      .then((result) => setReviewers(result.data?.reviewers || []))
+      .catch(() => setReviewers([]));
+  }, [getReviewers]);
+
+  // Run a review action, then reload the panel and let the parent refresh its list
+  const runAction = async (action, successMessage) => {
+    setWorking(true);
+    try {
+      const result = await action();
+      if (result.success) {
+        showNotification("success", successMessage || result.message);
+        await loadReview();
+        if (onChanged) onChanged();
+        return true;
+      }
+    } catch (error) {
+      const apiError = error.response?.data?.error;
+      showNotification("error", apiError?.message || apiError || "Review action failed");
+    } finally {
+      setWorking(false);
+    }
+    return false;
+  };
+
+  const handleAssign = async () => {
+    if (!selectedReviewer) return;
+    const assigned = await runAction(() => assignReviewers(item.id, [selectedReviewer], item.categoryId));
+    if (assigned) setSelectedReviewer("");
+  };
+
+  const handleUnassign = (reviewer) =>
+    runAction(() => unassignReviewer(item.id, reviewer.userId, item.categoryId));
+
+  const handleSubmit = () =>
+    runAction(() => submitForReview(item.id, {}, item.categoryId));
+
+  const handleComment = async () => {
+    if (!commentText.trim()) return;
+    const posted = await runAction(
+      () => addReviewComment(item.id, commentText, replyTo?.id || null, item.categoryId),
+      "Comment added"
+    );
+    if (posted) {
+      setCommentText("");
+      setReplyTo(null);
+    }
+  };
+
+  const handleRequestChanges = async () => {
+    if (!reason.trim()) {
+      showNotification("error", "Please give a reason for the requested changes");
+      return;
+    }
+    const requested = await runAction(() => requestChanges(item.id, reason, item.categoryId));
+    if (requested) setReason("");
+  };
+
+  const handleApprove = () => {
+    if (!window.confirm(`Approve and publish "${item.name}"?`)) return;
+    runAction(() => approveReview(item.id, reason || undefined, item.categoryId));
+  };
+
+  const state = review?.review;
+  const status = review?.item.publishingStatus || item.publishingStatus;
+  const assignedIds = new Set((state?.reviewers || []).map((reviewer) => reviewer.userId));
+  const availableReviewers = reviewers.filter((reviewer) => !assignedIds.has(reviewer.id));
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <div className="flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900 flex items-center">
+              <MessageSquare className="h-5 w-5 mr-2 text-gray-500" />
+              Review
+            </h3>
+            <p className="text-sm text-gray-500">
+              {item.name} · <span className="capitalize">{status}</span>
+            </p>
+          </div>
+          <div className="flex items-center space-x-1">
+            <button
+              onClick={loadReview}
+              className="p-1.5 text-gray-500 hover:bg-gray-100 rounded"
+              title="Refresh review"
+            >
+              <RefreshCw className={`h-4 w-4 ${loadingReview ? "animate-spin" : ""}`} />
+            </button>
+            <button
+              onClick={onClose}
+              className="p-1.5 text-gray-500 hover:bg-gray-100 rounded"
+              title="Close review"
+            >
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="card-body space-y-5">
+        {!review ? (
+          <div className="text-center py-8">
+            <RefreshCw className="h-6 w-6 mx-auto mb-2 text-gray-400 animate-spin" />
+            <p className="text-sm text-gray-500">Loading review...</p>
+          </div>
+        ) : (
+          <>
+            {/* Latest decision */}
+            {state.decision === "changes_requested" && (
+              <div className="p-3 bg-orange-50 border border-orange-200 rounded text-sm">
+                <div className="font-medium text-orange-800">
+                  Changes requested by {state.decidedBy}
+                </div>
+                <p className="text-orange-700 whitespace-pre-wrap mt-1">{state.decisionReason}</p>
+              </div>
+            )}
+
+            {/* Reviewers */}
+            <div>
+              <h4 className="text-sm font-medium text-gray-900 mb-2">Reviewers</h4>
+              {state.reviewers.length === 0 ? (
+                <p className="text-xs text-gray-500 mb-2">
+                  No reviewers assigned. Any moderator can review this item.
+                </p>
+              ) : (
+                <div className="flex flex-wrap gap-2 mb-2">
+                  {state.reviewers.map((reviewer) => (
+                    <span
+                      key={reviewer.userId}
+                      className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-blue-50 text-blue-800 border border-blue-200"
+                      title={`Assigned by ${reviewer.assignedBy} on ${formatDate(reviewer.assignedAt)}`}
+                    >
+                      {reviewer.name || reviewer.email}
+                      <button
+                        onClick={() => handleUnassign(reviewer)}
+                        disabled={working}
+                        className="ml-1 text-blue-600 hover:text-blue-800"
+                        title="Unassign reviewer"
+                      >
+                        <X className="h-3 w-3" />
+                      </button>
+                    </span>
+                  ))}
+                </div>
+              )}
+              {availableReviewers.length > 0 && (
+                <div className="flex items-center space-x-2">
+                  <select
+                    value={selectedReviewer}
+                    onChange={(e) => setSelectedReviewer(e.target.value)}
+                    className="flex-1 px-2 py-1.5 border border-gray-300 rounded-md text-sm"
+                  >
+                    <option value="">Assign a reviewer...</option>
+                    {availableReviewers.map((reviewer) => (
+                      <option key={reviewer.id} value={reviewer.id}>
+                        {reviewer.name} ({reviewer.role})
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={handleAssign}
+                    disabled={!selectedReviewer || working}
+                    className="btn-secondary text-sm"
+                  >
+                    <UserPlus className="h-4 w-4 mr-1" />
+                    Assign
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {/* Decision */}
+            {status === "review" ? (
+              <div className="space-y-2">
+                <h4 className="text-sm font-medium text-gray-900">Decision</h4>
+                <textarea
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  rows={2}
+                  placeholder="Reason for changes (required), or a note with the approval"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                />
+                <div className="flex items-center space-x-2">
+                  <button
+                    onClick={handleRequestChanges}
+                    disabled={working}
+                    className="btn-secondary text-sm text-orange-700"
+                  >
+                    <XCircle className="h-4 w-4 mr-1" />
+                    Request Changes
+                  </button>
+                  <button
+                    onClick={handleApprove}
+                    disabled={working || review.item.collectionStatus === "pending"}
+                    className="btn-primary text-sm"
+                    title={review.item.collectionStatus === "pending" ? "Add images before publishing" : ""}
+                  >
+                    <CheckCircle className="h-4 w-4 mr-1" />
+                    Approve & Publish
+                  </button>
+                </div>
+              </div>
+            ) : status === "draft" ? (
+              <button onClick={handleSubmit} disabled={working} className="btn-secondary text-sm">
+                <Send className="h-4 w-4 mr-1" />
+                Submit for Review
+              </button>
+            ) : null}
+
+            {/* Comments */}
+            <div>
+              <h4 className="text-sm font-medium text-gray-900 mb-2">
+                Comments ({review.history.filter((event) => event.type === "comment").length})
+              </h4>
+              <div className="space-y-3 max-h-64 overflow-y-auto mb-2">
+                {review.comments.length === 0 && (
+                  <p className="text-xs text-gray-500">No comments yet.</p>
+                )}
+                {review.comments.map((thread) => (
+                  <div key={thread.id} className="border border-gray-200 rounded p-2 space-y-2">
+                    <Comment comment={thread} onReply={setReplyTo} />
+                    {thread.replies.map((reply) => (
+                      <div key={reply.id} className="flex pl-2">
+                        <CornerDownRight className="h-3 w-3 mr-1 mt-1 text-gray-400 flex-shrink-0" />
+                        <div className="flex-1">
+                          <Comment comment={reply} />
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                ))}
+              </div>
+              {replyTo && (
+                <div className="flex items-center justify-between text-xs text-gray-600 mb-1">
+                  <span>Replying to {replyTo.userEmail}</span>
+                  <button onClick={() => setReplyTo(null)} className="text-gray-500 hover:text-gray-700">
+                    Cancel
+                  </button>
+                </div>
+              )}
+              <div className="flex items-start space-x-2">
+                <textarea
+                  value={commentText}
+                  onChange={(e) => setCommentText(e.target.value)}
+                  rows={2}
+                  placeholder={replyTo ? "Write a reply..." : "Add a comment..."}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm"
+                />
+                <button
+                  onClick={handleComment}
+                  disabled={!commentText.trim() || working}
+                  className="btn-primary text-sm"
+                >
+                  Post
+                </button>
+              </div>
+            </div>
+
+            {/* History */}
+            <div>
+              <h4 className="text-sm font-medium text-gray-900 mb-2">History</h4>
+              {review.history.length === 0 ? (
+                <p className="text-xs text-gray-500">No review activity yet.</p>
+              ) : (
+                <ul className="space-y-1 max-h-48 overflow-y-auto">
+                  {[...review.history].reverse().map((event) => (
+                    <li key={event.id} className="text-xs text-gray-600">
+                      <span className="text-gray-400">{formatDate(event.createdAt)}</span>{" "}
+                      <span className="font-medium text-gray-700">{event.userEmail}</span>{" "}
+                      {eventLabels[event.type] || event.type}
+                      {event.assignee && ` ${event.assignee.email}`}
+                      {event.type === "changes_requested" && event.body && `: ${event.body}`}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReviewPanel;
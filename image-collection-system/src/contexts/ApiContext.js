@@ -62,6 +62,25 @@ icsApi.interceptors.response.use(
 
 
 
+// Calls to admin-only routes carry the token that AuthContext keeps in
+// localStorage
+const adminAuthHeaders = () => {
+  const token = localStorage.getItem("adminToken");
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+// Multipart body for the bundle validate/import endpoints
+const bundleFormData = (file, { conflict, targetCategoryId, resolutions } = {}) => {
+  const formData = new FormData();
+  formData.append("file", file);
+  if (conflict) formData.append("conflict", conflict);
+  if (targetCategoryId) formData.append("targetCategoryId", targetCategoryId);
+  if (resolutions && Object.keys(resolutions).length > 0) {
+    formData.append("resolutions", JSON.stringify(resolutions));
+  }
+  return formData;
+};
+
 export const ApiProvider = ({ children }) => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -369,7 +388,7 @@ export const ApiProvider = ({ children }) => {
           itemName,
           category,
           options,
-        });
+        }, { headers: adminAuthHeaders() });
         return response.data;
       });
     },
@@ -384,7 +403,7 @@ export const ApiProvider = ({ children }) => {
           itemName,
           category,
           options,
-        });
+        }, { headers: adminAuthHeaders() });
         return response.data;
       });
     },
@@ -441,10 +460,15 @@ export const ApiProvider = ({ children }) => {
     });
   }, [handleRequest]);
 
+  // Through the admin API, since the public one only lists published items
+  // and collection works on drafts too
   const getCategoryById = useCallback(async (categoryId) => {
     return handleRequest(async () => {
-      const response = await icsApi.get(`/categories/${categoryId}`);
-      return response.data.data || response.data;
+      const response = await icsApi.get(`/admin/categories/${categoryId}`, {
+        params: { include_items: true },
+        headers: adminAuthHeaders(),
+      });
+      return response.data.data.category;
     });
   }, [handleRequest]);
 
@@ -513,12 +537,14 @@ export const ApiProvider = ({ children }) => {
     [handleRequest]
   );
 
+  // Item ids are only unique within a category, so it goes along as a query param
   const updateItem = useCallback(
     async (categoryId, itemId, itemData) => {
       return handleRequest(async () => {
         const response = await icsApi.put(
-          `/admin/categories/${categoryId}/items/${itemId}`,
-          itemData
+          `/admin/categories/items/${itemId}`,
+          itemData,
+          { params: { categoryId } }
         );
         return response.data;
       });
@@ -578,6 +604,49 @@ export const ApiProvider = ({ children }) => {
     [handleRequest]
   );
 
+  // Revision history. Items are addressed by item id, with the category
+  // passed along because item ids are only unique within a category.
+  const revisionPath = (resourceType, resourceId) =>
+    resourceType === "item"
+      ? `/admin/categories/items/${resourceId}/revisions`
+      : `/admin/categories/${resourceId}/revisions`;
+
+  const getRevisions = useCallback(
+    async (resourceType, resourceId, params = {}) => {
+      return handleRequest(async () => {
+        const response = await icsApi.get(revisionPath(resourceType, resourceId), { params });
+        return response.data;
+      });
+    },
+    [handleRequest]
+  );
+
+  const getRevisionDiff = useCallback(
+    async (resourceType, resourceId, from, to = "current", params = {}) => {
+      return handleRequest(async () => {
+        const response = await icsApi.get(`${revisionPath(resourceType, resourceId)}/diff`, {
+          params: { ...params, from, to },
+        });
+        return response.data;
+      });
+    },
+    [handleRequest]
+  );
+
+  const restoreRevision = useCallback(
+    async (resourceType, resourceId, version, params = {}) => {
+      return handleRequest(async () => {
+        const response = await icsApi.post(
+          `${revisionPath(resourceType, resourceId)}/${version}/restore`,
+          {},
+          { params }
+        );
+        return response.data;
+      });
+    },
+    [handleRequest]
+  );
+
   const bulkUpdateStatus = useCallback(
     async (categoryId, itemIds, status) => {
       return handleRequest(async () => {
@@ -597,10 +666,11 @@ export const ApiProvider = ({ children }) => {
 
   // Publishing Management
   const getItemsPendingReview = useCallback(
-    async (categoryId = null, limit = 50, offset = 0) => {
+    async (categoryId = null, limit = 50, offset = 0, reviewerId = null) => {
       return handleRequest(async () => {
         const params = { limit, offset };
         if (categoryId) params.categoryId = categoryId;
+        if (reviewerId) params.reviewerId = reviewerId;
 
         const response = await icsApi.get("/admin/items/pending-review", {
           params,
@@ -668,6 +738,295 @@ export const ApiProvider = ({ children }) => {
     [handleRequest]
   );
 
+  // Review workflow. Like revisions, item endpoints take the category as a
+  // query param because item ids are only unique within a category.
+  const reviewPath = (itemId) => `/admin/items/${itemId}/review`;
+  const reviewParams = (categoryId) => (categoryId ? { categoryId } : {});
+
+  const getReviewers = useCallback(async () => {
+    return handleRequest(async () => {
+      const response = await icsApi.get("/admin/reviews/reviewers");
+      return response.data;
+    });
+  }, [handleRequest]);
+
+  const getReviewQueue = useCallback(
+    async (params = {}) => {
+      return handleRequest(async () => {
+        const response = await icsApi.get("/admin/reviews/queue", { params });
+        return response.data;
+      });
+    },
+    [handleRequest]
+  );
+
+  const getItemReview = useCallback(
+    async (itemId, categoryId = null) => {
+      return handleRequest(async () => {
+        const response = await icsApi.get(reviewPath(itemId), {
+          params: reviewParams(categoryId),
+        });
+        return response.data;
+      });
+    },
+    [handleRequest]
+  );
+
+  const submitForReview = useCallback(
+    async (itemId, { reviewerIds = [], comment } = {}, categoryId = null) => {
+      return handleRequest(async () => {
+        const response = await icsApi.post(
+          `${reviewPath(itemId)}/submit`,
+          { reviewerIds, comment },
+          { params: reviewParams(categoryId) }
+        );
+        return response.data;
+      });
+    },
+    [handleRequest]
+  );
+
+  const assignReviewers = useCallback(
+    async (itemId, reviewerIds, categoryId = null) => {
+      return handleRequest(async () => {
+        const response = await icsApi.post(
+          `${reviewPath(itemId)}/reviewers`,
+          { reviewerIds },
+          { params: reviewParams(categoryId) }
+        );
+        return response.data;
+      });
+    },
+    [handleRequest]
+  );
+
+  const unassignReviewer = useCallback(
+    async (itemId, userId, categoryId = null) => {
+      return handleRequest(async () => {
+        const response = await icsApi.delete(`${reviewPath(itemId)}/reviewers/${userId}`, {
+          params: reviewParams(categoryId),
+        });
+        return response.data;
+      });
+    },
+    [handleRequest]
+  );
+
+  const addReviewComment = useCallback(
+    async (itemId, body, parentId = null, categoryId = null) => {
+      return handleRequest(async () => {
+        const response = await icsApi.post(
+          `${reviewPath(itemId)}/comments`,
+          { body, parentId },
+          { params: reviewParams(categoryId) }
+        );
+        return response.data;
+      });
+    },
+    [handleRequest]
+  );
+
+  const requestChanges = useCallback(
+    async (itemId, reason, categoryId = null) => {
+      return handleRequest(async () => {
+        const response = await icsApi.post(
+          `${reviewPath(itemId)}/request-changes`,
+          { reason },
+          { params: reviewParams(categoryId) }
+        );
+        return response.data;
+      });
+    },
+    [handleRequest]
+  );
+
+  const approveReview = useCallback(
+    async (itemId, comment, categoryId = null) => {
+      return handleRequest(async () => {
+        const response = await icsApi.post(
+          `${reviewPath(itemId)}/approve`,
+          { comment },
+          { params: reviewParams(categoryId) }
+        );
+        return response.data;
+      });
+    },
+    [handleRequest]
+  );
+
+  // Pronunciation audio, one clip per item and locale
+  const getSpeechProviders = useCallback(async () => {
+    return handleRequest(async () => {
+      const response = await icsApi.get("/admin/audio/providers");
+      return response.data;
+    });
+  }, [handleRequest]);
+
+  const generateItemAudio = useCallback(
+    async (categoryId, itemId, options = {}) => {
+      return handleRequest(async () => {
+        const response = await icsApi.post(
+          `/admin/items/${itemId}/audio/generate`,
+          options,
+          { params: { categoryId } }
+        );
+        return response.data;
+      });
+    },
+    [handleRequest]
+  );
+
+  const uploadItemAudio = useCallback(
+    async (categoryId, itemId, file, locale = "en") => {
+      return handleRequest(async () => {
+        const formData = new FormData();
+        formData.append("file", file);
+        formData.append("locale", locale);
+
+        const response = await icsApi.post(`/admin/items/${itemId}/audio`, formData, {
+          params: { categoryId },
+          headers: { "Content-Type": "multipart/form-data" },
+        });
+        return response.data;
+      });
+    },
+    [handleRequest]
+  );
+
+  const deleteItemAudio = useCallback(
+    async (categoryId, itemId, locale) => {
+      return handleRequest(async () => {
+        const response = await icsApi.delete(`/admin/items/${itemId}/audio/${locale}`, {
+          params: { categoryId },
+        });
+        return response.data;
+      });
+    },
+    [handleRequest]
+  );
+
+  const generateMissingAudio = useCallback(
+    async (options = {}) => {
+      return handleRequest(async () => {
+        const response = await icsApi.post("/admin/audio/generate-missing", options);
+        return response.data;
+      });
+    },
+    [handleRequest]
+  );
+
+  const getAudioJob = useCallback(
+    async (jobId) => {
+      return handleRequest(async () => {
+        const response = await icsApi.get(`/admin/audio/jobs/${jobId}`);
+        return response.data;
+      });
+    },
+    [handleRequest]
+  );
+
+  // Item images: primary image and crop/focal point framing
+  const getImageSizes = useCallback(async () => {
+    return handleRequest(async () => {
+      const response = await icsApi.get("/admin/images/sizes");
+      return response.data;
+    });
+  }, [handleRequest]);
+
+  const setPrimaryImage = useCallback(
+    async (categoryId, itemId, sourceId) => {
+      return handleRequest(async () => {
+        const response = await icsApi.put(
+          `/admin/items/${itemId}/images/${encodeURIComponent(sourceId)}/primary`,
+          {},
+          { params: { categoryId } }
+        );
+        return response.data;
+      });
+    },
+    [handleRequest]
+  );
+
+  const updateImageFraming = useCallback(
+    async (categoryId, itemId, sourceId, framing) => {
+      return handleRequest(async () => {
+        const response = await icsApi.put(
+          `/admin/items/${itemId}/images/${encodeURIComponent(sourceId)}/framing`,
+          framing,
+          { params: { categoryId }, timeout: 120000 }
+        );
+        return response.data;
+      });
+    },
+    [handleRequest]
+  );
+
+  const updateImageLicense = useCallback(
+    async (categoryId, itemId, sourceId, license) => {
+      return handleRequest(async () => {
+        const response = await icsApi.put(
+          `/admin/items/${itemId}/images/${encodeURIComponent(sourceId)}/license`,
+          license,
+          { params: { categoryId } }
+        );
+        return response.data;
+      });
+    },
+    [handleRequest]
+  );
+
+  // Admin users
+  const getAdminUsers = useCallback(
+    async (filters = {}) => {
+      return handleRequest(async () => {
+        const response = await icsApi.get("/admin/users", { params: filters });
+        return response.data;
+      });
+    },
+    [handleRequest]
+  );
+
+  const createAdminUser = useCallback(
+    async (userData) => {
+      return handleRequest(async () => {
+        const response = await icsApi.post("/admin/users", userData);
+        return response.data;
+      });
+    },
+    [handleRequest]
+  );
+
+  const updateAdminUser = useCallback(
+    async (userId, updates) => {
+      return handleRequest(async () => {
+        const response = await icsApi.put(`/admin/users/${encodeURIComponent(userId)}`, updates);
+        return response.data;
+      });
+    },
+    [handleRequest]
+  );
+
+  // action: deactivate, activate, reset-password or unlock
+  const adminUserAction = useCallback(
+    async (userId, action, body = {}) => {
+      return handleRequest(async () => {
+        const response = await icsApi.post(`/admin/users/${encodeURIComponent(userId)}/${action}`, body);
+        return response.data;
+      });
+    },
+    [handleRequest]
+  );
+
+  const deleteAdminUser = useCallback(
+    async (userId) => {
+      return handleRequest(async () => {
+        const response = await icsApi.delete(`/admin/users/${encodeURIComponent(userId)}`);
+        return response.data;
+      });
+    },
+    [handleRequest]
+  );
+
   const value = {
     // State
     loading,
@@ -739,6 +1098,41 @@ export const ApiProvider = ({ children }) => {
     updateItemStatus,
     bulkUpdateStatus,
 
+    // Revision history methods
+    getRevisions,
+    getRevisionDiff,
+    restoreRevision,
+
+    // Review workflow methods
+    getReviewers,
+    getReviewQueue,
+    getItemReview,
+    submitForReview,
+    assignReviewers,
+    unassignReviewer,
+    addReviewComment,
+    requestChanges,
+    approveReview,
+
+    // Pronunciation audio methods
+    getSpeechProviders,
+    generateItemAudio,
+    uploadItemAudio,
+    deleteItemAudio,
+    generateMissingAudio,
+    getAudioJob,
+
+    // Item image methods
+    getImageSizes,
+    setPrimaryImage,
+    updateImageFraming,
+    updateImageLicense,
+    getAdminUsers,
+    createAdminUser,
+    updateAdminUser,
+    adminUserAction,
+    deleteAdminUser,
+
     // Publishing methods
     getItemsPendingReview,
     publishItem,
@@ -781,6 +1175,47 @@ export const ApiProvider = ({ children }) => {
       return { success: true };
     }, []),
 
+    // Category bundles (ZIP with items, images and audio)
+    exportCategoryBundle: useCallback(async (categoryId) => {
+      return handleRequest(async () => {
+        const response = await icsApi.get(`/admin/import-export/export/bundle/${categoryId}`, {
+          responseType: "blob",
+          timeout: 300000,
+        });
+
+        const url = URL.createObjectURL(response.data);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `bundle-${categoryId}.zip`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+
+        return { success: true };
+      });
+    }, [handleRequest]),
+
+    validateCategoryBundle: useCallback(async (file, options = {}) => {
+      return handleRequest(async () => {
+        const response = await icsApi.post("/admin/import-export/import/bundle/validate", bundleFormData(file, options), {
+          headers: { "Content-Type": "multipart/form-data" },
+          timeout: 300000,
+        });
+        return response.data;
+      });
+    }, [handleRequest]),
+
+    importCategoryBundle: useCallback(async (file, options = {}) => {
+      return handleRequest(async () => {
+        const response = await icsApi.post("/admin/import-export/import/bundle", bundleFormData(file, options), {
+          headers: { "Content-Type": "multipart/form-data" },
+          timeout: 600000,
+        });
+        return response.data;
+      });
+    }, [handleRequest]),
+
     // Category Management
     getAllCategories: useCallback(
       async () => {
@@ -60,6 +60,15 @@ export const AuthProvider = ({ children }) => {
     initAuth();
   }, [token, logout]);
 
+  const startSession = ({ accessToken, refreshToken, user: userData }) => {
+    localStorage.setItem('adminToken', accessToken);
+    localStorage.setItem('refreshToken', refreshToken);
+    setToken(accessToken);
+    setUser(userData);
+  };
+
+  // With two-factor authentication enabled the password only earns a
+  // challenge token, which verifyTwoFactor exchanges along with a code
   const login = async (email, password) => {
     try {
       const response = await adminApi.post('/auth/login', {
@@ -67,13 +76,12 @@ export const AuthProvider = ({ children }) => {
         password
       });
 
-      const { accessToken, refreshToken, user: userData } = response.data.data;
-
-      localStorage.setItem('adminToken', accessToken);
-      localStorage.setItem('refreshToken', refreshToken);
-      setToken(accessToken);
-      setUser(userData);
+      const data = response.data.data;
+      if (data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: data.challengeToken };
+      }
 
+      startSession(data);
       return { success: true };
     } catch (error) {
       const message = error.response?.data?.error || 'Login failed';
@@ -81,6 +89,25 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const verifyTwoFactor = async (challengeToken, code) => {
+    try {
+      const response = await adminApi.post('/auth/login/two-factor', {
+        challengeToken,
+        code
+      });
+
+      const data = response.data.data;
+      startSession(data);
+      return { success: true, recoveryCodesRemaining: data.recoveryCodesRemaining };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.error || 'Verification failed',
+        code: error.response?.data?.code
+      };
+    }
+  };
+
   const refreshAccessToken = useCallback(async () => {
     try {
       const refreshToken = localStorage.getItem('refreshToken');
@@ -92,8 +119,10 @@ export const AuthProvider = ({ children }) => {
         refreshToken
       });
 
-      const { accessToken } = response.data.data;
+      // Refresh tokens are single-use, so keep the new one
+      const { accessToken, refreshToken: nextRefreshToken } = response.data.data;
       localStorage.setItem('adminToken', accessToken);
+      localStorage.setItem('refreshToken', nextRefreshToken);
       setToken(accessToken);
 
       return accessToken;
@@ -137,6 +166,7 @@ export const AuthProvider = ({ children }) => {
     user,
     loading,
     login,
+    verifyTwoFactor,
     logout,
     isAuthenticated: !!user
   };
@@ -56,6 +56,8 @@ const PreviewCard = ({ preview, index, onDownload, onDiscard, categories }) => {
         <div className="text-xs text-gray-500 grid grid-cols-2 gap-2">
           <div>Size: {(preview.fileSize / 1024).toFixed(1)}KB</div>
           <div>Model: {preview.metadata?.model}</div>
+          <div>Quality: {preview.qualityScore?.toFixed(1) ?? 'N/A'}</div>
+          <div>Provider: {preview.metadata?.provider}</div>
         </div>
 
         {/* Enhanced Prompt */}
@@ -107,7 +109,7 @@ const PreviewCard = ({ preview, index, onDownload, onDiscard, categories }) => {
             ) : (
               <Download className="h-3 w-3 mr-1" />
             )}
-            {isDownloading ? 'Processing...' : 'Download'}
+            {isDownloading ? 'Processing...' : 'Attach to Item'}
           </button>
           <button
             onClick={() => onDiscard(preview)}
@@ -179,7 +181,8 @@ const Generate = () => {
 
   const providers = [
     { value: 'googleai', label: 'Google AI Studio (Free Tier)', available: true },
-    { value: 'openai', label: 'OpenAI DALL-E 3 (Paid)', available: false }
+    { value: 'openai', label: 'OpenAI DALL-E 3 (Paid)', available: false },
+    { value: 'stub', label: 'Offline Stub (Testing)', available: true }
   ];
 
   const fetchStats = async () => {
@@ -260,10 +263,10 @@ const Generate = () => {
       }));
 
       if (result.success) {
-        // Check if we got previews that need user selection (Google AI)
-        const previewImages = result.result?.images?.filter(img => img.previewUrl && !img.url);
-        
-        if (previewImages && previewImages.length > 0) {
+        // Generated images come back as previews for the user to review
+        const previewImages = result.data?.images || [];
+
+        if (previewImages.length > 0) {
           setImagePreviews(previewImages.map(img => ({
             ...img,
             originalPrompt: formData.prompt
@@ -273,8 +276,8 @@ const Generate = () => {
             'Previews Ready'
           );
         } else {
-          showNotification('success', 
-            `Generated ${result.result?.approved || 0} images`, 
+          showNotification('warning',
+            'The provider returned no images for this prompt',
             'Generation Complete'
           );
         }
@@ -283,7 +286,7 @@ const Generate = () => {
         await fetchStats();
       } else {
         showNotification('warning', 
-          `Generation completed with issues: ${result.result?.message || result.message}`,
+          `Generation completed with issues: ${result.error || result.message}`,
           'Generation Warning'
         );
       }
@@ -327,7 +330,7 @@ const Generate = () => {
     try {
       const { downloadCategory, downloadItemName } = preview;
       
-      showNotification('info', `Downloading and processing ${downloadItemName}...`);
+      showNotification('info', `Processing image for ${downloadItemName}...`);
       
       const result = await downloadPreview(
         preview,
@@ -342,8 +345,8 @@ const Generate = () => {
 
       if (result.success) {
         showNotification('success', 
-          `Successfully processed ${downloadItemName} in ${downloadCategory}`, 
-          'Download Complete'
+          `Added image to ${downloadItemName} in ${downloadCategory} for review`,
+          'Image Attached'
         );
         
         // Remove the preview from the list
@@ -595,9 +598,9 @@ const Generate = () => {
                 
                 {activeGeneration.result && (
                   <div className="mt-2 text-sm text-gray-600">
-                    Generated: {activeGeneration.result.result?.generated || 0} | 
-                    Approved: {activeGeneration.result.result?.approved || 0} | 
-                    Cost: {formatCost(activeGeneration.result.result?.totalCost)}
+                    Generated: {activeGeneration.result.data?.generatedCount || 0} |
+                    Provider: {activeGeneration.result.data?.provider || 'N/A'} |
+                    Cost: {formatCost(activeGeneration.result.data?.totalCost)}
                   </div>
                 )}
                 
@@ -617,7 +620,7 @@ const Generate = () => {
                   Image Previews ({imagePreviews.length})
                 </h3>
                 <p className="text-sm text-blue-800 mb-4">
-                  Review the generated images and choose which ones to download and process.
+                  Review the generated images and attach the ones you want to an item. Attached images are added as pending for review.
                 </p>
                 
                 <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
@@ -736,15 +739,15 @@ const Generate = () => {
                   <div key={index} className="flex justify-between items-start">
                     <div className="flex-1">
                       <p className="text-sm font-medium text-gray-900">
-                        {item.itemName}
+                        {item.prompt?.substring(0, 40)}
                       </p>
                       <p className="text-xs text-gray-500">
-                        {item.category} • Score: {item.qualityScore?.overall?.toFixed(1) || 'N/A'}
+                        {item.provider} • {item.count} image{item.count === 1 ? '' : 's'}
                       </p>
                     </div>
                     <div className="text-right">
                       <p className="text-xs text-green-600">
-                        {formatCost(item.aiGeneration?.cost)}
+                        {formatCost(item.cost)}
                       </p>
                       <p className="text-xs text-gray-500">
                         {new Date(item.createdAt).toLocaleDateString()}
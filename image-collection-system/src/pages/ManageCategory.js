@@ -20,9 +20,16 @@ import {
   Search,
   Layers,
   FolderOpen,
+  MessageSquare,
+  Volume2,
+  Package,
 } from "lucide-react";
 import { useApi } from "../contexts/ApiContext";
+import { useAuth } from "../contexts/AuthContext";
 import { showNotification } from "../components/Common/Notification";
+import RevisionHistory from "../components/History/RevisionHistory";
+import ReviewPanel from "../components/Review/ReviewPanel";
+import ItemEditor from "../components/Items/ItemEditor";
 import categoriesData from "../data/phase1-categories-complete.json";
 
 const ManageCategory = () => {
@@ -43,12 +50,18 @@ const ManageCategory = () => {
     bulkUpdatePublishingStatus,
     exportCSV,
     downloadImportTemplate,
+    exportCategoryBundle,
+    validateCategoryBundle,
+    importCategoryBundle,
     getAllCategories,
     createCategory,
     updateCategory,
     deleteCategory,
+    generateMissingAudio,
+    getAudioJob,
     loading,
   } = useApi();
+  const { user } = useAuth();
 
   const [activeTab, setActiveTab] = useState("manage");
   const [fetchedCategories, setFetchedCategories] = useState(Object.values(categoriesData.categories));
@@ -70,12 +83,15 @@ const ManageCategory = () => {
   const [publishingFilter, setPublishingFilter] = useState("all"); // all, draft, review, published
   const [searchQuery, setSearchQuery] = useState("");
   const [selectedItems, setSelectedItems] = useState([]);
+  const [audioJob, setAudioJob] = useState(null); // { id, categoryId, progress }
 
   // Publishing tab state
   const [pendingReviewItems, setPendingReviewItems] = useState([]);
   const [publishingCategoryFilter, setPublishingCategoryFilter] = useState(null);
   const [selectedPublishingItems, setSelectedPublishingItems] = useState([]);
   const [loadingPublishing, setLoadingPublishing] = useState(false);
+  const [reviewQueueFilter, setReviewQueueFilter] = useState("all"); // all, mine
+  const [reviewItem, setReviewItem] = useState(null);
 
   // Import/Export state
   const [exportOptions, setExportOptions] = useState({
@@ -85,6 +101,12 @@ const ManageCategory = () => {
     includeMetadata: false
   });
   const [showExportOptions, setShowExportOptions] = useState(false);
+  const [bundleExportCategoryId, setBundleExportCategoryId] = useState("");
+  const [bundleFile, setBundleFile] = useState(null);
+  const [bundleOptions, setBundleOptions] = useState({ conflict: "skip", targetCategoryId: "" });
+  const [bundleValidation, setBundleValidation] = useState(null);
+  const [bundleResult, setBundleResult] = useState(null);
+  const [bundleBusy, setBundleBusy] = useState(false);
 
   // Categories Management state
   const [categoriesList, setCategoriesList] = useState([]);
@@ -102,6 +124,9 @@ const ManageCategory = () => {
   const [deletingCategory, setDeletingCategory] = useState(null);
   const [categorySearchQuery, setCategorySearchQuery] = useState('');
 
+  // Revision history panel: { resourceType, resourceId, categoryId, title }
+  const [historyTarget, setHistoryTarget] = useState(null);
+
   const availableCategories = fetchedCategories.map((cat) => cat.name);
 
   useEffect(() => {
@@ -222,8 +247,11 @@ const ManageCategory = () => {
   const handleEditItem = (item) => {
     setEditingItem(item);
     setEditMode(true);
-    // TODO: Implement edit modal/form
-    showNotification("info", "Edit functionality coming soon");
+  };
+
+  const closeItemEditor = () => {
+    setEditingItem(null);
+    setEditMode(false);
   };
 
   const handleDeleteItem = async (item) => {
@@ -309,8 +337,26 @@ const ManageCategory = () => {
     }
   };
 
+  const handleGenerateMissingAudio = async () => {
+    if (!window.confirm(`Generate pronunciation audio for every item in ${selectedCategory} that has none?`)) {
+      return;
+    }
+
+    try {
+      const result = await generateMissingAudio({ categoryId: selectedCategoryId });
+      if (result.success) {
+        showNotification("success", result.message);
+        if (result.data.pending > 0) {
+          setAudioJob({ id: result.data.jobId, categoryId: selectedCategoryId, progress: 0 });
+        }
+      }
+    } catch (error) {
+      showNotification("error", error.response?.data?.error || "Failed to queue audio generation");
+    }
+  };
+
   // Load items for a letter from backend
-  const loadItemsForLetter = async (categoryId, letter) => {
+  const loadItemsForLetter = useCallback(async (categoryId, letter) => {
     if (!categoryId || !letter) return;
 
     setLoadingItems(true);
@@ -328,7 +374,43 @@ const ManageCategory = () => {
     } finally {
       setLoadingItems(false);
     }
-  };
+  }, [getItemsByLetter]);
+
+  // Poll the generate-missing job until it finishes
+  const audioJobId = audioJob?.id;
+  const audioJobCategoryId = audioJob?.categoryId;
+
+  useEffect(() => {
+    if (!audioJobId) return undefined;
+
+    const timer = setInterval(async () => {
+      try {
+        const result = await getAudioJob(audioJobId);
+        const { state, progress, result: summary, failedReason } = result.data.job;
+
+        if (state === "completed") {
+          setAudioJob(null);
+          const failed = summary?.failed?.length || 0;
+          showNotification(
+            failed > 0 ? "warning" : "success",
+            `Generated audio for ${summary?.generated || 0} item(s)${failed > 0 ? `, ${failed} failed` : ""}`
+          );
+          if (audioJobCategoryId === selectedCategoryId) {
+            loadItemsForLetter(selectedCategoryId, selectedLetter);
+          }
+        } else if (state === "failed") {
+          setAudioJob(null);
+          showNotification("error", failedReason || "Audio generation failed");
+        } else {
+          setAudioJob((prev) => prev && { ...prev, progress });
+        }
+      } catch (error) {
+        setAudioJob(null);
+      }
+    }, 2000);
+
+    return () => clearInterval(timer);
+  }, [audioJobId, audioJobCategoryId, getAudioJob, loadItemsForLetter, selectedCategoryId, selectedLetter]);
 
   // Load items when letter changes
   useEffect(() => {
@@ -337,7 +419,7 @@ const ManageCategory = () => {
     } else {
       setLetterItems([]);
     }
-  }, [selectedLetter, selectedCategoryId]);
+  }, [selectedLetter, selectedCategoryId, loadItemsForLetter]);
 
   const getItemsForLetter = (categoryName, letter) => {
     const category = getCategoryInfo(categoryName);
@@ -399,7 +481,8 @@ const ManageCategory = () => {
   const loadPendingReviewItems = async () => {
     setLoadingPublishing(true);
     try {
-      const result = await getItemsPendingReview(publishingCategoryFilter);
+      const reviewerId = reviewQueueFilter === "mine" ? user?.id : null;
+      const result = await getItemsPendingReview(publishingCategoryFilter, 50, 0, reviewerId);
       if (result.success && result.data) {
         setPendingReviewItems(result.data.items || []);
       } else {
@@ -419,7 +502,7 @@ const ManageCategory = () => {
     if (activeTab === "publishing") {
       loadPendingReviewItems();
     }
-  }, [activeTab, publishingCategoryFilter]);
+  }, [activeTab, publishingCategoryFilter, reviewQueueFilter]);
 
   // Publishing actions
   const handlePublishItem = async (item) => {
@@ -525,6 +608,52 @@ const ManageCategory = () => {
     }
   };
 
+  const handleExportBundle = async () => {
+    setBundleBusy(true);
+    try {
+      await exportCategoryBundle(bundleExportCategoryId);
+      showNotification("success", "Bundle downloaded");
+    } catch (error) {
+      showNotification("error", "Failed to export bundle");
+    } finally {
+      setBundleBusy(false);
+    }
+  };
+
+  const handleBundleFileChange = (e) => {
+    setBundleFile(e.target.files[0] || null);
+    setBundleValidation(null);
+    setBundleResult(null);
+  };
+
+  const handleValidateBundle = async () => {
+    setBundleBusy(true);
+    setBundleResult(null);
+    try {
+      const result = await validateCategoryBundle(bundleFile, bundleOptions);
+      setBundleValidation(result.data);
+    } catch (error) {
+      showNotification("error", error.response?.data?.error || "Failed to validate bundle");
+    } finally {
+      setBundleBusy(false);
+    }
+  };
+
+  const handleImportBundle = async () => {
+    setBundleBusy(true);
+    try {
+      const result = await importCategoryBundle(bundleFile, bundleOptions);
+      setBundleResult(result.data);
+      setBundleValidation(null);
+      showNotification("success", `Bundle imported into ${result.data.targetCategoryId}`);
+      loadCategories();
+    } catch (error) {
+      showNotification("error", error.response?.data?.error || "Failed to import bundle");
+    } finally {
+      setBundleBusy(false);
+    }
+  };
+
   // Categories Management handlers
   const loadCategories = async () => {
     setLoadingCategories(true);
@@ -756,7 +885,7 @@ const ManageCategory = () => {
                         Select a letter and manage items
                       </p>
                     </div>
-                    {selectedItems.length > 0 && (
+                    {selectedItems.length > 0 ? (
                       <div className="flex items-center space-x-2">
                         <span className="text-sm text-gray-600">{selectedItems.length} selected</span>
                         <button onClick={() => handleBulkStatusChange("review")} className="btn-secondary text-xs">
@@ -766,6 +895,16 @@ const ManageCategory = () => {
                           Publish
                         </button>
                       </div>
+                    ) : (
+                      <button
+                        onClick={handleGenerateMissingAudio}
+                        disabled={Boolean(audioJob)}
+                        className="btn-secondary text-xs flex items-center"
+                        title="Queue text-to-speech for items without pronunciation audio"
+                      >
+                        <Volume2 className="h-4 w-4 mr-1" />
+                        {audioJob ? `Generating audio… ${audioJob.progress || 0}%` : "Generate missing audio"}
+                      </button>
                     )}
                   </div>
                 </div>
@@ -975,6 +1114,18 @@ const ManageCategory = () => {
                                 >
                                   <Edit className="h-4 w-4" />
                                 </button>
+                                <button
+                                  onClick={() => setHistoryTarget({
+                                    resourceType: "item",
+                                    resourceId: item.id,
+                                    categoryId: selectedCategoryId,
+                                    title: item.name
+                                  })}
+                                  className="p-1 text-gray-600 hover:bg-gray-100 rounded"
+                                  title="Item history"
+                                >
+                                  <Clock className="h-4 w-4" />
+                                </button>
                                 <button
                                   onClick={() => handleDeleteItem(item)}
                                   className="p-1 text-red-600 hover:bg-red-50 rounded"
@@ -1010,6 +1161,30 @@ const ManageCategory = () => {
             </div>
           )}
 
+          {editMode && editingItem && (
+            <div className="lg:col-span-3">
+              <ItemEditor
+                item={editingItem}
+                categoryId={selectedCategoryId}
+                onClose={closeItemEditor}
+                onSaved={() => {
+                  closeItemEditor();
+                  loadItemsForLetter(selectedCategoryId, selectedLetter);
+                }}
+              />
+            </div>
+          )}
+
+          {historyTarget?.resourceType === "item" && historyTarget.categoryId === selectedCategoryId && (
+            <div className="lg:col-span-3">
+              <RevisionHistory
+                {...historyTarget}
+                onClose={() => setHistoryTarget(null)}
+                onRestored={() => loadItemsForLetter(selectedCategoryId, selectedLetter)}
+              />
+            </div>
+          )}
+
           {!selectedCategory && (
             <div className="lg:col-span-2">
               <div className="card">
@@ -1030,7 +1205,8 @@ const ManageCategory = () => {
 
       {/* Publishing Tab */}
       {activeTab === "publishing" && (
-        <div className="card">
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className={`card ${reviewItem ? "lg:col-span-2" : "lg:col-span-3"}`}>
           <div className="card-header">
             <div className="flex items-center justify-between">
               <div>
@@ -1063,6 +1239,14 @@ const ManageCategory = () => {
                   <option key={cat.id} value={cat.id}>{cat.icon} {cat.name}</option>
                 ))}
               </select>
+              <select
+                value={reviewQueueFilter}
+                onChange={(e) => setReviewQueueFilter(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+              >
+                <option value="all">All reviewers</option>
+                <option value="mine">Assigned to me</option>
+              </select>
               <button
                 onClick={() => loadPendingReviewItems()}
                 className="btn-secondary text-sm"
@@ -1085,6 +1269,7 @@ const ManageCategory = () => {
                 <h3 className="text-lg font-medium text-gray-900 mb-2">All Caught Up!</h3>
                 <p className="text-sm text-gray-500">
                   No items pending review{publishingCategoryFilter ? " in this category" : ""}
+                  {reviewQueueFilter === "mine" ? " assigned to you" : ""}
                 </p>
               </div>
             ) : (
@@ -1150,6 +1335,11 @@ const ManageCategory = () => {
                                   {item.imageCount} images
                                 </span>
                               )}
+                              <span className="text-xs text-gray-500">
+                                {item.reviewers?.length > 0
+                                  ? `Reviewers: ${item.reviewers.map(r => r.name || r.email).join(", ")}`
+                                  : "Unassigned"}
+                              </span>
                             </div>
                           </div>
                         </div>
@@ -1185,6 +1375,14 @@ const ManageCategory = () => {
                             </div>
                           </div>
 
+                          <button
+                            onClick={() => setReviewItem(item)}
+                            className={`p-1.5 rounded ${reviewItem?.id === item.id ? "bg-primary-50 text-primary-700" : "text-gray-600 hover:bg-gray-100"}`}
+                            title="Review, comments and history"
+                          >
+                            <MessageSquare className="h-4 w-4" />
+                          </button>
+
                           {/* Quick Actions */}
                           {collectionStatus === 'complete' && (
                             <button
@@ -1213,6 +1411,15 @@ const ManageCategory = () => {
             )}
           </div>
         </div>
+
+        {reviewItem && (
+          <ReviewPanel
+            item={reviewItem}
+            onClose={() => setReviewItem(null)}
+            onChanged={loadPendingReviewItems}
+          />
+        )}
+        </div>
       )}
 
       {/* Import/Export Tab */}
@@ -1356,6 +1563,129 @@ const ManageCategory = () => {
               </div>
             </div>
           </div>
+
+          {/* Category Bundles */}
+          <div className="card lg:col-span-2">
+            <div className="card-header">
+              <h3 className="text-lg font-medium text-gray-900">Category Bundles</h3>
+              <p className="text-sm text-gray-500">
+                Move a complete category with images, audio and attribution between environments
+              </p>
+            </div>
+            <div className="card-body grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <div>
+                <h4 className="text-sm font-medium text-gray-900 mb-2">Export</h4>
+                <select
+                  value={bundleExportCategoryId}
+                  onChange={(e) => setBundleExportCategoryId(e.target.value)}
+                  className="w-full border border-gray-300 rounded px-3 py-2 text-sm mb-3"
+                >
+                  <option value="">Select a category</option>
+                  {fetchedCategories.map((cat) => (
+                    <option key={cat.id || cat.name} value={cat.id || cat.name.toLowerCase()}>
+                      {cat.name}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={handleExportBundle}
+                  className="btn-primary w-full"
+                  disabled={!bundleExportCategoryId || bundleBusy}
+                >
+                  <Package className="h-4 w-4 mr-2" />
+                  Download Bundle (.zip)
+                </button>
+              </div>
+
+              <div>
+                <h4 className="text-sm font-medium text-gray-900 mb-2">Import</h4>
+                <div className="space-y-3">
+                  <input
+                    type="file"
+                    accept=".zip,application/zip"
+                    onChange={handleBundleFileChange}
+                    className="w-full text-sm"
+                  />
+                  <div>
+                    <label className="block text-xs text-gray-600 mb-1">Existing items</label>
+                    <select
+                      value={bundleOptions.conflict}
+                      onChange={(e) => setBundleOptions(prev => ({ ...prev, conflict: e.target.value }))}
+                      className="w-full border border-gray-300 rounded px-3 py-2 text-sm"
+                    >
+                      <option value="skip">Skip</option>
+                      <option value="merge">Merge (keep existing, add what's missing)</option>
+                      <option value="overwrite">Overwrite</option>
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-600 mb-1">Import as category (optional)</label>
+                    <input
+                      type="text"
+                      value={bundleOptions.targetCategoryId}
+                      onChange={(e) => setBundleOptions(prev => ({ ...prev, targetCategoryId: e.target.value.trim() }))}
+                      placeholder="Same id as the bundle"
+                      className="w-full border border-gray-300 rounded px-3 py-2 text-sm"
+                    />
+                  </div>
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={handleValidateBundle}
+                      className="btn-secondary flex-1"
+                      disabled={!bundleFile || bundleBusy}
+                    >
+                      <CheckCircle className="h-4 w-4 mr-2" />
+                      Validate
+                    </button>
+                    <button
+                      onClick={handleImportBundle}
+                      className="btn-primary flex-1"
+                      disabled={!bundleValidation?.valid || bundleBusy}
+                    >
+                      <Upload className="h-4 w-4 mr-2" />
+                      Import
+                    </button>
+                  </div>
+
+                  {bundleValidation && (
+                    <div className={`text-sm rounded p-3 ${bundleValidation.valid ? "bg-green-50 text-green-800" : "bg-red-50 text-red-800"}`}>
+                      {bundleValidation.valid ? (
+                        <>
+                          <p className="font-medium">
+                            {bundleValidation.category.name}: {bundleValidation.stats.items} items, {bundleValidation.stats.images} images
+                          </p>
+                          <p>
+                            Into <strong>{bundleValidation.preview.targetCategoryId}</strong>
+                            {bundleValidation.preview.categoryExists ? "" : " (new category)"} —{" "}
+                            {Object.entries(bundleValidation.preview.counts).map(([action, count]) => `${count} ${action}`).join(", ")}
+                          </p>
+                        </>
+                      ) : (
+                        <ul className="list-disc list-inside">
+                          {bundleValidation.errors.slice(0, 10).map((error) => (
+                            <li key={error}>{error}</li>
+                          ))}
+                        </ul>
+                      )}
+                      {bundleValidation.warnings.length > 0 && (
+                        <p className="flex items-center mt-2 text-yellow-700">
+                          <AlertTriangle className="h-4 w-4 mr-1" />
+                          {bundleValidation.warnings.length} warning(s), e.g. {bundleValidation.warnings[0]}
+                        </p>
+                      )}
+                    </div>
+                  )}
+
+                  {bundleResult && (
+                    <div className="text-sm rounded p-3 bg-blue-50 text-blue-800">
+                      Imported into <strong>{bundleResult.targetCategoryId}</strong>:{" "}
+                      {Object.entries(bundleResult.counts).map(([status, count]) => `${count} ${status}`).join(", ")}
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+          </div>
         </div>
       )}
 
@@ -1494,6 +1824,17 @@ const ManageCategory = () => {
                                 >
                                   <Edit className="h-4 w-4" />
                                 </button>
+                                <button
+                                  onClick={() => setHistoryTarget({
+                                    resourceType: "category",
+                                    resourceId: category.id,
+                                    title: category.name
+                                  })}
+                                  className="p-1.5 text-gray-600 hover:bg-gray-100 rounded"
+                                  title="Category history"
+                                >
+                                  <Clock className="h-4 w-4" />
+                                </button>
                                 <button
                                   onClick={() => handleDeleteCategory(category)}
                                   className="p-1.5 text-red-600 hover:bg-red-50 rounded"
@@ -1515,6 +1856,8 @@ const ManageCategory = () => {
             </div>
           </div>
 
+          {(showCategoryForm || historyTarget?.resourceType === "category") && (
+          <div className="space-y-6">
           {/* Create/Edit Form */}
           {showCategoryForm && (
             <div className="card">
@@ -1643,6 +1986,17 @@ const ManageCategory = () => {
               </div>
             </div>
           )}
+
+          {/* Revision History */}
+          {historyTarget?.resourceType === "category" && (
+            <RevisionHistory
+              {...historyTarget}
+              onClose={() => setHistoryTarget(null)}
+              onRestored={loadCategories}
+            />
+          )}
+          </div>
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,460 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Key,
+  Lock,
+  Plus,
+  RefreshCw,
+  Save,
+  Search,
+  ShieldOff,
+  Trash2,
+  Unlock,
+  UserCheck,
+  UserX,
+  Users as UsersIcon,
+  X,
+} from "lucide-react";
+import { useApi } from "../contexts/ApiContext";
+import { showNotification } from "../components/Common/Notification";
+
+// Mirrors AdminUser.getDefaultPermissions in the API
+const ROLE_PERMISSIONS = {
+  admin: [
+    "categories.read", "categories.create", "categories.update", "categories.delete",
+    "items.read", "items.create", "items.update", "items.delete", "items.approve",
+    "users.read", "users.create", "users.update", "users.delete",
+    "analytics.read", "settings.update",
+  ],
+  editor: [
+    "categories.read", "categories.create", "categories.update",
+    "items.read", "items.create", "items.update",
+    "analytics.read",
+  ],
+  moderator: [
+    "categories.read",
+    "items.read", "items.update", "items.approve",
+    "analytics.read",
+  ],
+};
+
+const EMPTY_FORM = { email: "", firstName: "", lastName: "", password: "", role: "editor", permissions: ROLE_PERMISSIONS.editor };
+
+const errorMessage = (error, fallback) => {
+  const data = error.response?.data;
+  return data?.details?.join("; ") || data?.error || fallback;
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleString() : "Never");
+
+const StatusBadges = ({ user }) => (
+  <div className="flex flex-wrap gap-1">
+    {user.isActive ? <span className="badge-success">Active</span> : <span className="badge-gray">Inactive</span>}
+    {user.isLocked && (
+      <span className="badge-error" title={`Locked until ${formatDate(user.lockUntil)}`}>
+        Locked
+      </span>
+    )}
+    {user.mustChangePassword && <span className="badge-warning">Password change pending</span>}
+    {user.twoFactorEnabled && <span className="badge-gray">2FA</span>}
+  </div>
+);
+
+/**
+ * Create or edit an admin user. Changing the role resets the permission
+ * boxes to that role's defaults; they can then be adjusted one by one.
+ */
+const UserForm = ({ user, permissions, roles, saving, onSave, onCancel }) => {
+  const [form, setForm] = useState(() =>
+    user
+      ? { email: user.email, firstName: user.firstName, lastName: user.lastName, role: user.role, permissions: user.permissions }
+      : EMPTY_FORM
+  );
+
+  const setField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const togglePermission = (permission) =>
+    setField(
+      "permissions",
+      form.permissions.includes(permission)
+        ? form.permissions.filter((p) => p !== permission)
+        : [...form.permissions, permission]
+    );
+
+  const inputClass = "mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-sm";
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900">{user ? `Edit ${user.fullName}` : "New user"}</h3>
+      </div>
+      <div className="card-body space-y-4">
+        <div className="grid md:grid-cols-2 gap-4">
+          {["firstName", "lastName", "email"].map((field) => (
+            <label key={field} className="block text-sm font-medium text-gray-700">
+              {{ firstName: "First name", lastName: "Last name", email: "Email" }[field]}
+              <input
+                type={field === "email" ? "email" : "text"}
+                value={form[field]}
+                onChange={(e) => setField(field, e.target.value)}
+                className={inputClass}
+              />
+            </label>
+          ))}
+          {!user && (
+            <label className="block text-sm font-medium text-gray-700">
+              Initial password
+              <input
+                type="password"
+                value={form.password}
+                onChange={(e) => setField("password", e.target.value)}
+                placeholder="At least 8 characters; replaced at first sign-in"
+                className={inputClass}
+              />
+            </label>
+          )}
+          <label className="block text-sm font-medium text-gray-700">
+            Role
+            <select
+              value={form.role}
+              onChange={(e) => setForm((prev) => ({ ...prev, role: e.target.value, permissions: ROLE_PERMISSIONS[e.target.value] || [] }))}
+              className={inputClass}
+            >
+              {roles.map((role) => (
+                <option key={role} value={role}>
+                  {role}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <div>
+          <div className="text-sm font-medium text-gray-700 mb-2">Permissions</div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+            {permissions.map((permission) => (
+              <label key={permission} className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.role === "admin" || form.permissions.includes(permission)}
+                  disabled={form.role === "admin"}
+                  onChange={() => togglePermission(permission)}
+                  className="mr-2"
+                />
+                {permission}
+              </label>
+            ))}
+          </div>
+          {form.role === "admin" && <p className="text-xs text-gray-500 mt-1">Admins have every permission.</p>}
+        </div>
+
+        <div className="flex justify-end space-x-2">
+          <button onClick={onCancel} className="btn-secondary flex items-center">
+            <X className="h-4 w-4 mr-1" />
+            Cancel
+          </button>
+          <button onClick={() => onSave(form)} disabled={saving} className="btn-primary flex items-center">
+            <Save className="h-4 w-4 mr-2" />
+            {saving ? "Saving..." : user ? "Save changes" : "Create user"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const Users = () => {
+  const { getAdminUsers, createAdminUser, updateAdminUser, adminUserAction, deleteAdminUser } = useApi();
+
+  const [users, setUsers] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [roles, setRoles] = useState(Object.keys(ROLE_PERMISSIONS));
+  const [permissions, setPermissions] = useState(ROLE_PERMISSIONS.admin);
+  const [filters, setFilters] = useState({ search: "", role: "", status: "" });
+  const [editing, setEditing] = useState(null); // a user, "new" or null
+  const [busy, setBusy] = useState(false);
+  const [temporaryPassword, setTemporaryPassword] = useState(null);
+
+  const loadUsers = useCallback(async () => {
+    try {
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+      const result = await getAdminUsers(params);
+      setUsers(result.data.users);
+      setStats(result.data.stats);
+      setRoles(result.data.roles);
+      setPermissions(result.data.permissions);
+    } catch (error) {
+      showNotification("error", errorMessage(error, "Failed to load users"));
+    }
+  }, [getAdminUsers, filters]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const replaceUser = (updated) => setUsers((prev) => prev.map((u) => (u.id === updated.id ? updated : u)));
+
+  const run = async (request, fallback, onSuccess) => {
+    setBusy(true);
+    try {
+      const result = await request();
+      if (result.success) {
+        onSuccess(result);
+        showNotification("success", result.message);
+      }
+    } catch (error) {
+      showNotification("error", errorMessage(error, fallback));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = (form) => {
+    if (editing === "new") {
+      return run(() => createAdminUser(form), "Failed to create user", () => {
+        setEditing(null);
+        loadUsers();
+      });
+    }
+
+    const { email, firstName, lastName, role, permissions: granted } = form;
+    const updates = { email, firstName, lastName };
+    const samePermissions =
+      granted.length === editing.permissions.length && granted.every((p) => editing.permissions.includes(p));
+    if (role !== editing.role) updates.role = role;
+    if (role !== "admin" && (role !== editing.role || !samePermissions)) updates.permissions = granted;
+
+    return run(() => updateAdminUser(editing.id, updates), "Failed to update user", (result) => {
+      replaceUser(result.data.user);
+      setEditing(null);
+    });
+  };
+
+  const handleAction = (user, action, fallback) =>
+    run(() => adminUserAction(user.id, action), fallback, (result) => {
+      replaceUser(result.data.user);
+      if (result.data.temporaryPassword) {
+        setTemporaryPassword({ email: user.email, password: result.data.temporaryPassword });
+      }
+    });
+
+  const handleResetPassword = (user) => {
+    if (!window.confirm(`Reset the password of ${user.email}? They will be signed out everywhere.`)) return;
+    handleAction(user, "reset-password", "Failed to reset password");
+  };
+
+  const handleResetTwoFactor = (user) => {
+    if (!window.confirm(`Remove two-factor authentication from ${user.email}? They will be signed out everywhere.`)) return;
+    handleAction(user, "reset-two-factor", "Failed to reset two-factor authentication");
+  };
+
+  const handleDelete = (user) => {
+    if (!window.confirm(`Delete ${user.email} for good? This cannot be undone.`)) return;
+    run(() => deleteAdminUser(user.id), "Failed to delete user", () =>
+      setUsers((prev) => prev.filter((u) => u.id !== user.id))
+    );
+  };
+
+  const iconButton = "p-1.5 text-gray-500 hover:bg-gray-100 rounded disabled:opacity-50";
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Users</h1>
+          <p className="mt-1 text-sm text-gray-500">Manage CMS accounts, roles and permissions</p>
+        </div>
+        <div className="flex space-x-2">
+          <button onClick={loadUsers} className="btn-secondary flex items-center">
+            <RefreshCw className="h-4 w-4 mr-2" />
+            Refresh
+          </button>
+          <button onClick={() => setEditing("new")} className="btn-primary flex items-center">
+            <Plus className="h-4 w-4 mr-2" />
+            New user
+          </button>
+        </div>
+      </div>
+
+      {stats && (
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+          <div className="stat-card">
+            <div className="text-sm text-gray-500">Active users</div>
+            <div className="text-2xl font-semibold text-gray-900">{stats.totalUsers}</div>
+          </div>
+          <div className="stat-card">
+            <div className="text-sm text-gray-500">Signed in, last 30 days</div>
+            <div className="text-2xl font-semibold text-gray-900">{stats.activeUsers}</div>
+          </div>
+          {roles.map((role) => (
+            <div key={role} className="stat-card">
+              <div className="text-sm text-gray-500 capitalize">{role}s</div>
+              <div className="text-2xl font-semibold text-gray-900">{stats.usersByRole[role] || 0}</div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {temporaryPassword && (
+        <div className="card border-warning-300">
+          <div className="card-body flex items-center justify-between">
+            <div className="text-sm text-gray-700">
+              Temporary password for <strong>{temporaryPassword.email}</strong>:{" "}
+              <code className="px-2 py-1 bg-gray-100 rounded">{temporaryPassword.password}</code>
+              <div className="text-xs text-gray-500 mt-1">
+                It is shown only once. Share it securely; it must be changed at next sign-in.
+              </div>
+            </div>
+            <button onClick={() => setTemporaryPassword(null)} className={iconButton} title="Dismiss">
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {editing && (
+        <UserForm
+          key={editing === "new" ? "new" : editing.id}
+          user={editing === "new" ? null : editing}
+          permissions={permissions}
+          roles={roles}
+          saving={busy}
+          onSave={handleSave}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      <div className="card">
+        <div className="card-header flex flex-wrap items-center gap-3">
+          <div className="relative flex-1 min-w-[200px]">
+            <Search className="h-4 w-4 text-gray-400 absolute left-3 top-2.5" />
+            <input
+              type="text"
+              value={filters.search}
+              onChange={(e) => setFilters((prev) => ({ ...prev, search: e.target.value }))}
+              placeholder="Search by name or email"
+              className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-md text-sm"
+            />
+          </div>
+          <select
+            value={filters.role}
+            onChange={(e) => setFilters((prev) => ({ ...prev, role: e.target.value }))}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="">All roles</option>
+            {roles.map((role) => (
+              <option key={role} value={role}>
+                {role}
+              </option>
+            ))}
+          </select>
+          <select
+            value={filters.status}
+            onChange={(e) => setFilters((prev) => ({ ...prev, status: e.target.value }))}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="">Any status</option>
+            <option value="active">Active</option>
+            <option value="inactive">Inactive</option>
+            <option value="locked">Locked</option>
+          </select>
+        </div>
+
+        {users.length === 0 ? (
+          <div className="card-body text-center py-12 text-gray-500">
+            <UsersIcon className="h-8 w-8 mx-auto mb-2 text-gray-400" />
+            No users match these filters.
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>User</th>
+                  <th>Role</th>
+                  <th>Status</th>
+                  <th>Last sign-in</th>
+                  <th className="text-right">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {users.map((user) => (
+                  <tr key={user.id}>
+                    <td>
+                      <button onClick={() => setEditing(user)} className="text-left hover:text-primary-600">
+                        <div className="font-medium">{user.fullName}</div>
+                        <div className="text-xs text-gray-500">{user.email}</div>
+                      </button>
+                    </td>
+                    <td className="capitalize">{user.role}</td>
+                    <td>
+                      <StatusBadges user={user} />
+                    </td>
+                    <td>{formatDate(user.lastLogin)}</td>
+                    <td>
+                      <div className="flex justify-end">
+                        {user.isLocked && (
+                          <button
+                            onClick={() => handleAction(user, "unlock", "Failed to unlock user")}
+                            disabled={busy}
+                            className={iconButton}
+                            title="Unlock"
+                          >
+                            <Unlock className="h-4 w-4" />
+                          </button>
+                        )}
+                        <button onClick={() => handleResetPassword(user)} disabled={busy} className={iconButton} title="Reset password">
+                          <Key className="h-4 w-4" />
+                        </button>
+                        {user.twoFactorEnabled && (
+                          <button
+                            onClick={() => handleResetTwoFactor(user)}
+                            disabled={busy}
+                            className={iconButton}
+                            title="Reset two-factor authentication"
+                          >
+                            <ShieldOff className="h-4 w-4" />
+                          </button>
+                        )}
+                        {user.isActive ? (
+                          <button
+                            onClick={() => handleAction(user, "deactivate", "Failed to deactivate user")}
+                            disabled={busy}
+                            className={iconButton}
+                            title="Deactivate"
+                          >
+                            <UserX className="h-4 w-4" />
+                          </button>
+                        ) : (
+                          <>
+                            <button
+                              onClick={() => handleAction(user, "activate", "Failed to activate user")}
+                              disabled={busy}
+                              className={iconButton}
+                              title="Activate"
+                            >
+                              <UserCheck className="h-4 w-4" />
+                            </button>
+                            <button onClick={() => handleDelete(user)} disabled={busy} className={iconButton} title="Delete">
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          </>
+                        )}
+                        {!user.isLocked && user.loginAttempts > 0 && (
+                          <span className="p-1.5 text-gray-400" title={`${user.loginAttempts} failed sign-in attempts`}>
+                            <Lock className="h-4 w-4" />
+                          </span>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Users;